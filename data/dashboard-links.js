@@ -49,6 +49,20 @@ export const sidebarLinks = [
     type: ACCOUNT_TYPE.STUDENT,
     icon: "VscHistory",
   },
+  {
+    id: 12,
+    name: "Membership",
+    path: "/dashboard/membership",
+    type: ACCOUNT_TYPE.STUDENT,
+    icon: "VscCreditCard",
+  },
+  {
+    id: 10,
+    name: "Wishlist",
+    path: "/dashboard/wishlist",
+    type: ACCOUNT_TYPE.STUDENT,
+    icon: "VscHeart",
+  },
   {
     id: 7,
     name: "Certificates",
@@ -63,4 +77,11 @@ export const sidebarLinks = [
     type: ACCOUNT_TYPE.INSTRUCTOR,
     icon: "VscComment",
   },
+  {
+    id: 11,
+    name: "Assignments",
+    path: "/dashboard/assignments",
+    type: ACCOUNT_TYPE.INSTRUCTOR,
+    icon: "VscChecklist",
+  },
 ];
@@ -0,0 +1,135 @@
+/* eslint-env serviceworker */
+
+// Service worker for the offline course player.
+// Lectures downloaded from the course sidebar are stored in LECTURE_CACHE by the
+// page itself; this worker serves them back (with Range support so the video
+// element can seek) and keeps the app shell available when the network drops.
+
+const APP_CACHE = "beeja-app-v1";
+const LECTURE_CACHE = "beeja-lectures-v1";
+const SYNC_TAG = "beeja-progress-sync";
+
+const APP_SHELL = ["/", "/index.html", "/beejalogo.png"];
+
+// Lecture videos are progressive files; everything else goes straight to the network
+const LECTURE_VIDEO_PATTERN = /\.(mp4|webm|mov|m4v|ogv)$/i;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(APP_CACHE).then((cache) => cache.addAll(APP_SHELL)).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key !== APP_CACHE && key !== LECTURE_CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Build a 206 response for the requested byte range of a cached lecture
+const rangeResponse = async (request, cachedResponse) => {
+  const rangeHeader = request.headers.get("range");
+  if (!rangeHeader) return cachedResponse;
+
+  const blob = await cachedResponse.blob();
+  const match = /bytes=(\d*)-(\d*)/.exec(rangeHeader);
+  let start = 0;
+  let end = blob.size - 1;
+  if (match && !match[1] && match[2]) {
+    // "bytes=-N" asks for the last N bytes
+    start = Math.max(0, blob.size - Number(match[2]));
+  } else if (match) {
+    if (match[1]) start = Number(match[1]);
+    if (match[2]) end = Math.min(Number(match[2]), blob.size - 1);
+  }
+
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: "Partial Content",
+    headers: {
+      "Content-Type": cachedResponse.headers.get("Content-Type") || "video/mp4",
+      "Content-Range": `bytes ${start}-${end}/${blob.size}`,
+      "Content-Length": String(end - start + 1),
+      "Accept-Ranges": "bytes",
+    },
+  });
+};
+
+const serveLecture = async (request) => {
+  const cache = await caches.open(LECTURE_CACHE);
+  // Cached entries are keyed by URL only, so ignore the Range header when matching
+  const cachedResponse = await cache.match(request.url);
+  if (!cachedResponse) return null;
+  return rangeResponse(request, cachedResponse);
+};
+
+// Network first for page navigations, falling back to the cached app shell
+const serveNavigation = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(APP_CACHE);
+      cache.put("/index.html", response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cache = await caches.open(APP_CACHE);
+    return (await cache.match("/index.html")) || Response.error();
+  }
+};
+
+// Stale-while-revalidate for the built JS/CSS bundles
+const serveAsset = async (request) => {
+  const cache = await caches.open(APP_CACHE);
+  const cachedResponse = await cache.match(request);
+  const networkResponse = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cachedResponse || Response.error());
+  return cachedResponse || networkResponse;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(serveNavigation(request));
+    return;
+  }
+
+  if (url.origin === self.location.origin && url.pathname.startsWith("/assets/")) {
+    event.respondWith(serveAsset(request));
+    return;
+  }
+
+  // Downloaded lectures are served from cache even when online to save bandwidth
+  if (request.destination === "video" || LECTURE_VIDEO_PATTERN.test(url.pathname)) {
+    event.respondWith(
+      serveLecture(request).then((response) => response || fetch(request))
+    );
+  }
+});
+
+// Background Sync: the auth token lives in the page, so ask open tabs to replay the queue
+self.addEventListener("sync", (event) => {
+  if (event.tag !== SYNC_TAG) return;
+  event.waitUntil(
+    self.clients.matchAll({ type: "window" }).then((clients) =>
+      clients.forEach((client) => client.postMessage({ type: "REPLAY_SYNC_QUEUE" }))
+    )
+  );
+});
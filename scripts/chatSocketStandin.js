@@ -0,0 +1,141 @@
+/* eslint-env node */
+// Local socket.io stand-in for the chat backend, so reconnection, receipts, presence
+// and the outbox can be exercised without running the real server.
+//
+//   npm run chat:standin                      (listens on CHAT_STANDIN_PORT, default 4001)
+//   VITE_SOCKET_URL=http://localhost:4001 npm run dev
+//
+// Tokens are not verified - the user id is read from the JWT payload. Events can be
+// injected into a chat room with:
+//   curl -X POST localhost:4001/emit -H 'Content-Type: application/json' \
+//     -d '{"room":"<chatId>","event":"new_message","data":{...}}'
+// Restart the stand-in to test reconnection and backfill.
+
+import { createServer } from "http"
+import { Server } from "socket.io"
+
+const PORT = Number(process.env.CHAT_STANDIN_PORT) || 4001
+
+// userId -> number of open sockets, and last time each user went offline
+const connections = new Map()
+const lastSeen = new Map()
+
+const decodeUserId = (token) => {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split(".")[1], "base64url").toString())
+    return payload.id || payload._id || payload.userId || null
+  } catch (error) {
+    return null
+  }
+}
+
+const getPresence = (userId) => ({
+  userId,
+  online: (connections.get(userId) || 0) > 0,
+  lastSeen: lastSeen.get(userId) || null,
+})
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let body = ""
+    req.on("data", (chunk) => (body += chunk))
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body || "{}"))
+      } catch (error) {
+        reject(error)
+      }
+    })
+  })
+
+const httpServer = createServer(async (req, res) => {
+  if (req.method === "POST" && req.url === "/emit") {
+    try {
+      const { room, event, data } = await readBody(req)
+      ;(room ? io.to(room) : io).emit(event, data)
+      res.writeHead(200, { "Content-Type": "application/json" })
+      res.end(JSON.stringify({ success: true }))
+    } catch (error) {
+      res.writeHead(400, { "Content-Type": "application/json" })
+      res.end(JSON.stringify({ success: false, message: error.message }))
+    }
+    return
+  }
+
+  res.writeHead(404)
+  res.end()
+})
+
+const io = new Server(httpServer, {
+  cors: { origin: true, credentials: true },
+})
+
+io.on("connection", (socket) => {
+  socket.on("authenticate", (token) => {
+    const userId = decodeUserId(token)
+    if (!userId) {
+      socket.emit("authentication_error", { message: "Invalid token" })
+      return
+    }
+
+    // Re-authentication on the same socket must not count the user twice
+    if (!socket.data.userId) {
+      socket.data.userId = userId
+      connections.set(userId, (connections.get(userId) || 0) + 1)
+      socket.join(`user_${userId}`)
+      io.to(`presence_${userId}`).emit("presence", getPresence(userId))
+    }
+    socket.emit("authenticated", { userId })
+    console.log(`authenticated ${userId} (${socket.id})`)
+  })
+
+  socket.on("join_chat", (chatId) => {
+    socket.join(chatId)
+    socket.emit("joined_chat", { chatId })
+  })
+
+  socket.on("leave_chat", (chatId) => socket.leave(chatId))
+
+  socket.on("typing_start", (chatId) => {
+    socket.to(chatId).emit("user_typing", { userId: socket.data.userId, typing: true })
+  })
+
+  socket.on("typing_stop", (chatId) => {
+    socket.to(chatId).emit("user_typing", { userId: socket.data.userId, typing: false })
+  })
+
+  const relayStatus = (status) => ({ chatId, messageIds }) => {
+    if (!socket.data.userId || !chatId || !messageIds?.length) return
+    io.to(chatId).emit("message_status", {
+      chatId,
+      messageIds,
+      userId: socket.data.userId,
+      status,
+      at: new Date().toISOString(),
+    })
+  }
+
+  socket.on("message_delivered", relayStatus("delivered"))
+  socket.on("message_read", relayStatus("read"))
+
+  socket.on("presence_subscribe", (userIds = []) => {
+    userIds.forEach((userId) => socket.join(`presence_${userId}`))
+    socket.emit("presence_state", userIds.map(getPresence))
+  })
+
+  socket.on("disconnect", () => {
+    const { userId } = socket.data
+    if (!userId) return
+
+    const remaining = (connections.get(userId) || 1) - 1
+    connections.set(userId, remaining)
+    if (remaining === 0) {
+      lastSeen.set(userId, new Date().toISOString())
+      io.to(`presence_${userId}`).emit("presence", getPresence(userId))
+    }
+  })
+})
+
+httpServer.listen(PORT, () => {
+  console.log(`Chat socket stand-in listening on http://localhost:${PORT}`)
+})
@@ -1,6 +1,6 @@
 import { useEffect, useState } from "react";
 import { Route, Routes, useLocation, Link } from "react-router-dom";
-import { useSelector } from "react-redux";
+import { useDispatch, useSelector } from "react-redux";
 
 import Toast from "./components/common/Toast";
 import CourseCategories from "./components/core/Dashboard/AddCategory/CourseCategories";
@@ -15,6 +15,7 @@ import ForgotPassword from "./pages/ForgotPassword";
 import UpdatePassword from "./pages/UpdatePassword";
 import VerifyEmail from "./pages/VerifyEmail";
 import VerifyCertificate from "./pages/VerifyCertificate";
+import CertificateBadge from "./pages/CertificateBadge";
 
 import AdminRoutes from "./routes/AdminRoutes";
 import AdminDashboard from "./pages/Admin/Dashboard";
@@ -55,22 +56,29 @@ import Instructor from './components/core/Dashboard/Instructor';
 
 
 import Cart from "./components/core/Dashboard/Cart/Cart";
+import Wishlist from "./components/core/Dashboard/Wishlist/Wishlist";
 import EnrolledCourses from "./components/core/Dashboard/EnrolledCourses";
 import AddCourse from "./components/core/Dashboard/AddCourse/AddCourse";
 import AccessRequests from "./components/core/Dashboard/AccessRequests";
 import PurchaseHistory from "./components/core/Dashboard/PurchaseHistory/PurchaseHistory";
+import Membership from "./components/core/Dashboard/Membership/Membership";
 import Certificates from "./pages/Dashboard/Certificates";
 import UserAnalytics from "./components/core/Dashboard/UserAnalytics";
 import InstructorChats from "./pages/Dashboard/InstructorChats";
+import AssignmentSubmissions from "./components/core/Dashboard/Assignments/AssignmentSubmissions";
 import AdminChats from "./pages/Dashboard/AdminChats";
 
 import ViewCourse from "./pages/ViewCourse";
 import BundleCheckout from "./pages/BundleCheckout";
+import PaymentStatus from "./pages/PaymentStatus";
 import CourseCheckout from "./pages/CourseCheckout";
 import VideoDetails from './components/core/ViewCourse/VideoDetails';
 import QuizView from './components/core/ViewCourse/QuizView';
+import AssignmentView from './components/core/ViewCourse/AssignmentView';
 
 import { ACCOUNT_TYPE } from './utils/constants';
+import useOfflineSync from "./hooks/useOfflineSync";
+import { fetchMembership } from "./services/operations/membershipAPI";
 
 import { HiArrowNarrowUp } from "react-icons/hi"
 import FaqButton from "./components/common/FaqButton"
@@ -81,6 +89,18 @@ function App() {
 
   const { user } = useSelector((state) => state.profile)
 
+  // Replay lecture progress made while offline
+  useOfflineSync()
+
+  // Memberships aren't kept in localStorage, so load the student's one on every visit
+  const dispatch = useDispatch()
+  const { token } = useSelector((state) => state.auth)
+  useEffect(() => {
+    if (token && user?.accountType === ACCOUNT_TYPE.STUDENT) {
+      dispatch(fetchMembership(token))
+    }
+  }, [token, user?.accountType, dispatch])
+
   // Scroll to the top of the page when the component mounts
   const location = useLocation();
   useEffect(() => {
@@ -153,8 +173,16 @@ function App() {
         <Route path="courses/:courseId" element={<CourseDetails />} />
         <Route path="verify-certificate" element={<VerifyCertificate />} />
         <Route path="verify-certificate/:certificateId" element={<VerifyCertificate />} />
+        <Route path="verify-certificate/:certificateId/badge" element={<CertificateBadge />} />
         <Route path="bundle-checkout" element={<BundleCheckout />} />
         <Route path="course-checkout" element={<CourseCheckout />} />
+        <Route
+          path="payment-status/:orderId" element={
+            <ProtectedRoute>
+              <PaymentStatus />
+            </ProtectedRoute>
+          }
+        />
 
         {/* Open Route - for Only Non Logged in User */}
         <Route
@@ -216,8 +244,10 @@ function App() {
           {user?.accountType === ACCOUNT_TYPE.STUDENT && (
             <>
               <Route path="dashboard/cart" element={<Cart />} />
+              <Route path="dashboard/wishlist" element={<Wishlist />} />
               <Route path="dashboard/enrolled-courses" element={<EnrolledCourses />} />
               <Route path="dashboard/purchase-history" element={<PurchaseHistory />} />
+              <Route path="dashboard/membership" element={<Membership />} />
               <Route path="dashboard/access-requests" element={<AccessRequests />} />
               <Route path="dashboard/certificates" element={<Certificates />} />
               <Route path="dashboard/user-analytics" element={<UserAnalytics />} />
@@ -232,6 +262,7 @@ function App() {
               <Route path="dashboard/my-courses" element={<MyCourses />} />
               <Route path="dashboard/edit-course/:courseId" element={<EditCourse />} />
               <Route path="dashboard/instructor-chats" element={<InstructorChats />} />
+              <Route path="dashboard/assignments" element={<AssignmentSubmissions />} />
             </>
           )}
 
@@ -272,6 +303,10 @@ function App() {
                 path="view-course/:courseId/section/:sectionId/sub-section/:subSectionId/quiz"
                 element={<QuizView />}
               />
+              <Route
+                path="view-course/:courseId/section/:sectionId/sub-section/:subSectionId/assignment"
+                element={<AssignmentView />}
+              />
             </>
           )}
         </Route>
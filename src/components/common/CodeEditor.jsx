@@ -6,6 +6,7 @@ const CodeEditor = ({
   language = 'javascript', 
   starterCode = '', 
   onChange, 
+  onLanguageChange,
   height = '400px',
   testCases = [],
   showInput = false,
@@ -36,6 +37,9 @@ const CodeEditor = ({
 
   const handleLanguageChange = (newLanguage) => {
     setCurrentLanguage(newLanguage);
+    if (onLanguageChange) {
+      onLanguageChange(newLanguage);
+    }
     if (onChange) {
       onChange(code);
     }
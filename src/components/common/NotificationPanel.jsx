@@ -3,7 +3,7 @@ import { useSelector } from 'react-redux';
 import { motion, AnimatePresence } from 'framer-motion';
 import { IoClose } from 'react-icons/io5';
 import { BsCheckAll } from 'react-icons/bs';
-import { FiBell } from 'react-icons/fi';
+import { FiBell, FiTrendingDown } from 'react-icons/fi';
 import { getNotifications, markNotificationAsRead, markAllNotificationsAsRead } from '../../services/operations/notificationAPI';
 
 export default function NotificationPanel() {
@@ -198,6 +198,14 @@ export default function NotificationPanel() {
                             <p className="text-xs sm:text-[13.5px] text-gray-300 mt-1 leading-relaxed break-all word-break-break-all overflow-hidden max-w-full">
                               {notification.message}
                             </p>
+                            {/* Wishlisted course got cheaper */}
+                            {notification.type === 'price_drop' && notification.metadata && (
+                              <p className="flex items-center gap-1.5 mt-1.5 text-xs sm:text-[13px]">
+                                <FiTrendingDown className="text-green-400" />
+                                <span className="text-gray-400 line-through">₹{notification.metadata.oldPrice}</span>
+                                <span className="font-semibold text-green-400">₹{notification.metadata.newPrice}</span>
+                              </p>
+                            )}
                             <div className="flex items-center mt-2 space-x-2 sm:space-x-3">
                               <span className="text-xs text-gray-400">
                                 {new Date(notification.createdAt).toLocaleDateString()}
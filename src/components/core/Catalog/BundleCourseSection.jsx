@@ -1,18 +1,26 @@
-import React, { useState, useEffect } from "react"
+import React, { useState, useEffect, useMemo } from "react"
 import { useNavigate } from "react-router-dom"
 import { useSelector } from "react-redux"
 import { motion, AnimatePresence } from "framer-motion"
 import Course_Card from "./Course_Card"
 import { FiShoppingCart, FiArrowRight, FiX, FiPackage } from "react-icons/fi"
 import { getUserEnrolledCourses } from "../../../services/operations/profileAPI"
+import { getBundlePricing } from "../../../services/operations/bundleAPI"
+import { formatTier, getActiveFixedBundles, getRulesForCategory, priceBundle, priceFixedBundle } from "../../../utils/bundlePricing"
+import { formatCurrency } from "../../../utils/cartPricing"
 
-function BundleCourseSection({ courses }) {
+function BundleCourseSection({ courses, categoryId }) {
   const [selectedCourses, setSelectedCourses] = useState([])
   const [availableCourses, setAvailableCourses] = useState([])
   const [enrolledCourses, setEnrolledCourses] = useState([])
+  const [bundleRules, setBundleRules] = useState([])
   const navigate = useNavigate()
   const { token } = useSelector((state) => state.auth)
 
+  useEffect(() => {
+    getBundlePricing().then(setBundleRules)
+  }, [])
+
   // Fetch enrolled courses and filter available courses
   useEffect(() => {
     const fetchEnrolledCourses = async () => {
@@ -52,42 +60,27 @@ function BundleCourseSection({ courses }) {
     })
   }
 
+  // catalog courses don't carry their category, which category-scoped rules need
+  const quote = useMemo(
+    () => priceBundle(selectedCourses.map((course) => ({ ...course, category: course.category || categoryId })), bundleRules),
+    [selectedCourses, bundleRules, categoryId]
+  )
+  const categoryRules = useMemo(() => getRulesForCategory(bundleRules, categoryId), [bundleRules, categoryId])
+
+  // curated bundles with at least one course from this category
+  const curatedBundles = useMemo(() => {
+    const courseIds = (courses || []).map((course) => course._id)
+    return getActiveFixedBundles(bundleRules).filter((bundle) =>
+      bundle.courses?.some((course) => courseIds.includes(course._id))
+    )
+  }, [bundleRules, courses])
+
+  // only the selection travels to checkout, which prices it again from the bundle rules
   const handleProceedToBundle = () => {
     if (selectedCourses.length === 0) {
       return
     }
-    navigate('/bundle-checkout', { 
-      state: { 
-        selectedCourses,
-        bundleDiscount: getBundleDiscount(),
-        originalPrice: getOriginalPrice(),
-        finalPrice: getFinalPrice()
-      } 
-    })
-  }
-
-  const getTotalPrice = () => {
-    return selectedCourses.reduce((total, course) => {
-      return total + (course.courseType === 'Free' ? 0 : course.price)
-    }, 0)
-  }
-
-  const getOriginalPrice = () => {
-    return selectedCourses.reduce((total, course) => {
-      return total + (course.courseType === 'Free' ? 0 : course.price)
-    }, 0)
-  }
-
-  const getBundleDiscount = () => {
-    if (selectedCourses.length >= 3) return 0.15 // 15% discount for 3+ courses
-    if (selectedCourses.length >= 2) return 0.10 // 10% discount for 2+ courses
-    return 0
-  }
-
-  const getFinalPrice = () => {
-    const originalPrice = getOriginalPrice()
-    const discount = getBundleDiscount()
-    return Math.round(originalPrice * (1 - discount))
+    navigate('/bundle-checkout', { state: { selectedCourses, categoryId } })
   }
 
   return (
@@ -114,15 +107,67 @@ function BundleCourseSection({ courses }) {
         </p>
         
         {/* Discount Info */}
-        <div className="flex flex-col sm:flex-row items-center justify-center flex-wrap gap-3 sm:gap-4 mt-6 sm:mt-8 w-full">
-          <div className="bg-gradient-to-r from-yellow-900/30 to-yellow-800/30 border border-yellow-700 rounded-full px-3 sm:px-4 py-2">
-            <span className="text-yellow-100 text-xs sm:text-sm md:text-base font-medium">2+ Courses: 10% OFF</span>
+        {categoryRules.length > 0 && (
+          <div className="flex flex-col sm:flex-row items-center justify-center flex-wrap gap-3 sm:gap-4 mt-6 sm:mt-8 w-full">
+            {categoryRules.flatMap((rule) =>
+              [...rule.tiers]
+                .sort((a, b) => a.minCourses - b.minCourses)
+                .map((tier, index) => (
+                  <div
+                    key={`${rule._id}-${tier.minCourses}`}
+                    className={`bg-gradient-to-r rounded-full px-3 sm:px-4 py-2 border ${
+                      index % 2 === 0
+                        ? 'from-yellow-900/30 to-yellow-800/30 border-yellow-700'
+                        : 'from-green-900/30 to-green-800/30 border-green-700'
+                    }`}
+                    title={rule.name}
+                  >
+                    <span className={`text-xs sm:text-sm md:text-base font-medium ${index % 2 === 0 ? 'text-yellow-100' : 'text-green-100'}`}>
+                      {formatTier(tier)}
+                    </span>
+                  </div>
+                ))
+            )}
           </div>
-          <div className="bg-gradient-to-r from-green-900/30 to-green-800/30 border border-green-700 rounded-full px-3 sm:px-4 py-2">
-            <span className="text-green-100 text-xs sm:text-sm md:text-base font-medium">3+ Courses: 15% OFF</span>
+        )}
+      </div>
+
+      {/* Curated Bundles */}
+      {curatedBundles.length > 0 && (
+        <div className="w-full max-w-maxContent mx-auto mb-12">
+          <h3 className="text-lg sm:text-xl font-semibold text-richblack-5 mb-4">Ready-made bundles</h3>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+            {curatedBundles.map((bundle) => {
+              const bundleQuote = priceFixedBundle(bundle)
+              return (
+                <button
+                  key={bundle._id}
+                  onClick={() => navigate('/bundle-checkout', { state: { bundleId: bundle._id } })}
+                  className="text-left bg-richblack-800 rounded-xl overflow-hidden border border-richblack-700 hover:border-yellow-50 transition-colors"
+                >
+                  {bundle.thumbnail && <img src={bundle.thumbnail} alt={bundle.name} className="w-full h-40 object-cover" />}
+                  <div className="p-4 space-y-2">
+                    <p className="text-richblack-5 font-semibold">{bundle.name}</p>
+                    {bundle.description && <p className="text-richblack-300 text-sm line-clamp-2">{bundle.description}</p>}
+                    <p className="text-richblack-400 text-xs">{bundle.courses.map((course) => course.courseName).join(' · ')}</p>
+                    <div className="flex items-center gap-2">
+                      <span className="text-yellow-50 font-bold text-lg">{formatCurrency(bundleQuote.finalPrice)}</span>
+                      {bundleQuote.discount > 0 && (
+                        <>
+                          <span className="text-richblack-400 line-through text-sm">{formatCurrency(bundleQuote.originalPrice)}</span>
+                          <span className="bg-green-900/30 text-green-100 px-2 py-1 rounded text-xs font-medium">
+                            {bundleQuote.discountPercent}% OFF
+                          </span>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                </button>
+              )
+            })}
           </div>
         </div>
-      </div>
+      )}
       
       {/* Course Grid */}
       <div className="w-full max-w-maxContent mx-auto">
@@ -193,18 +238,18 @@ function BundleCourseSection({ courses }) {
                         {selectedCourses.length} Course{selectedCourses.length > 1 ? 's' : ''} Selected
                       </p>
                       <div className="flex items-center gap-2 sm:gap-3 flex-wrap">
-                        {getBundleDiscount() > 0 && (
+                        {quote.discount > 0 && (
                           <>
                             <span className="text-richblack-400 line-through text-xs sm:text-sm">
-                              ₹{getOriginalPrice()}
+                              {formatCurrency(quote.originalPrice)}
                             </span>
                             <span className="bg-green-900/30 text-green-100 px-2 py-1 rounded text-xs font-medium">
-                              {Math.round(getBundleDiscount() * 100)}% OFF
+                              {quote.discountPercent}% OFF
                             </span>
                           </>
                         )}
                         <span className="text-yellow-50 font-bold text-base sm:text-lg md:text-xl">
-                          ₹{getFinalPrice()}
+                          {formatCurrency(quote.finalPrice)}
                         </span>
                       </div>
                     </div>
@@ -0,0 +1,55 @@
+import { Link } from 'react-router-dom';
+import { FiX } from 'react-icons/fi';
+import useCertificateBadge from '../../../hooks/useCertificateBadge';
+import BadgeShareOptions from './BadgeShareOptions';
+
+export default function BadgeShareModal({ certificate, onClose }) {
+  const { credential, badgeImage, loading } = useCertificateBadge(certificate.certificateId);
+
+  return (
+    <div
+      className="fixed inset-0 z-[1000] !mt-0 grid h-screen w-screen place-items-center overflow-auto bg-white bg-opacity-10 backdrop-blur-sm p-4"
+      onClick={onClose}
+    >
+      <div
+        className="w-full max-w-lg rounded-lg border border-richblack-400 bg-richblack-800 p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-6">
+          <p className="text-xl font-semibold text-richblack-5">Share Badge</p>
+          <button
+            onClick={onClose}
+            className="text-richblack-400 hover:text-richblack-200 transition-colors p-2 hover:bg-richblack-700 rounded-lg"
+          >
+            <FiX size={20} />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="grid h-64 place-items-center">
+            <div className="spinner"></div>
+          </div>
+        ) : !credential ? (
+          <p className="py-12 text-center text-richblack-300">This badge is not available right now. Please try again later.</p>
+        ) : (
+          <>
+            <div className="flex items-center gap-4 mb-6">
+              {badgeImage && <img src={badgeImage.url} alt="Badge" className="h-24 w-24" />}
+              <div>
+                <p className="font-semibold text-richblack-5">{certificate.courseName}</p>
+                <Link
+                  to={`/verify-certificate/${certificate.certificateId}/badge`}
+                  target="_blank"
+                  className="text-sm text-yellow-50 hover:text-yellow-25"
+                >
+                  View public badge page →
+                </Link>
+              </div>
+            </div>
+            <BadgeShareOptions certificateId={certificate.certificateId} credential={credential} badgeImage={badgeImage} />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
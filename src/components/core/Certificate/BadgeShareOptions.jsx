@@ -0,0 +1,83 @@
+import { toast } from 'react-hot-toast';
+import { FaLinkedin } from 'react-icons/fa';
+import { FiCopy, FiDownload, FiFileText, FiShare2 } from 'react-icons/fi';
+import {
+  bakeBadgeImage,
+  downloadFile,
+  getBadgePageUrl,
+  getCredentialFileName,
+  getLinkedInAddToProfileUrl,
+  getLinkedInShareUrl,
+} from '../../../utils/openBadge';
+
+// Export and share actions for an Open Badges credential
+export default function BadgeShareOptions({ certificateId, credential, badgeImage }) {
+  const handleDownloadBadge = async () => {
+    const baked = await bakeBadgeImage(badgeImage.blob, credential);
+    downloadFile(baked, getCredentialFileName(credential, 'png'));
+  };
+
+  const handleDownloadCredential = () => {
+    const json = new Blob([JSON.stringify(credential, null, 2)], { type: 'application/ld+json' });
+    downloadFile(json, getCredentialFileName(credential, 'json'));
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(getBadgePageUrl(certificateId));
+      toast.success('Badge link copied to clipboard!');
+    } catch (error) {
+      toast.error('Failed to copy badge link');
+    }
+  };
+
+  const options = [
+    {
+      name: 'Add to LinkedIn profile',
+      icon: <FaLinkedin className="text-blue-400" />,
+      action: () => window.open(getLinkedInAddToProfileUrl(credential, certificateId), '_blank', 'noopener'),
+    },
+    {
+      name: 'Post on LinkedIn',
+      icon: <FiShare2 className="text-blue-400" />,
+      action: () => window.open(getLinkedInShareUrl(certificateId), '_blank', 'noopener'),
+    },
+    {
+      name: 'Copy badge link',
+      icon: <FiCopy className="text-yellow-50" />,
+      action: handleCopyLink,
+    },
+    {
+      name: 'Download badge (PNG)',
+      icon: <FiDownload className="text-caribbeangreen-200" />,
+      action: handleDownloadBadge,
+      disabled: !badgeImage,
+    },
+    {
+      name: 'Download credential (JSON)',
+      icon: <FiFileText className="text-caribbeangreen-200" />,
+      action: handleDownloadCredential,
+    },
+  ];
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {options.map((option) => (
+          <button
+            key={option.name}
+            onClick={option.action}
+            disabled={option.disabled}
+            className="flex items-center gap-3 p-3 rounded-lg border border-richblack-600 bg-richblack-700 text-sm text-richblack-5 hover:border-richblack-500 hover:bg-richblack-600 transition-all duration-200 disabled:opacity-50"
+          >
+            <span className="text-lg">{option.icon}</span>
+            {option.name}
+          </button>
+        ))}
+      </div>
+      <p className="mt-3 text-xs text-richblack-400">
+        The badge PNG has the credential baked in. Import it or the JSON file into any Open Badges 3.0 wallet.
+      </p>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import React, { useRef } from 'react';
 import { useReactToPrint } from 'react-to-print';
 import CleanInternshipCertificate from './CleanInternshipCertificate';
+import IssuedCertificate from './IssuedCertificate';
 import IconBtn from '../../common/IconBtn';
 
 export default function CertificateModal({ onClose, certificateData }) {
@@ -39,7 +40,7 @@ export default function CertificateModal({ onClose, certificateData }) {
         <div className="flex flex-col items-center">
           <div ref={certificateRef} className="w-full overflow-x-auto overflow-y-hidden">
             <div className="min-w-[320px]">
-              <CleanInternshipCertificate certificateData={certificateData} />
+              <IssuedCertificate certificateData={certificateData} fallback={CleanInternshipCertificate} />
             </div>
           </div>
           
@@ -1,25 +1,9 @@
-import React, { useEffect, useState } from 'react';
-import QRCode from 'qrcode';
+import React from 'react';
+import useCertificateQR from '../../../hooks/useCertificateQR';
 import { formatDate } from '../../../utils/dateFormatter';
 
 export default function CleanInternshipCertificate({ certificateData }) {
-  const [qrCodeUrl, setQrCodeUrl] = useState('');
-
-  useEffect(() => {
-    const generateQR = async () => {
-      if (certificateData?.certificateId) {
-        try {
-          const url = await QRCode.toDataURL(
-            `${window.location.origin}/verify-certificate/${certificateData.certificateId}`
-          );
-          setQrCodeUrl(url);
-        } catch (err) {
-          console.error('Error generating QR code:', err);
-        }
-      }
-    };
-    generateQR();
-  }, [certificateData?.certificateId]);
+  const { qrCodeUrl, verifyUrl } = useCertificateQR(certificateData);
 
   return (
     <div 
@@ -126,7 +110,9 @@ export default function CleanInternshipCertificate({ certificateData }) {
           <div className="flex flex-col items-center order-first sm:order-none">
             {qrCodeUrl && (
               <div className="mb-2">
-                <img src={qrCodeUrl} alt="Certificate QR Code" className="w-12 h-12 sm:w-14 sm:h-14 lg:w-16 lg:h-16 border border-gray-300" />
+                <a href={verifyUrl} target="_blank" rel="noopener noreferrer">
+                  <img src={qrCodeUrl} alt="Certificate QR Code" className="w-12 h-12 sm:w-14 sm:h-14 lg:w-16 lg:h-16 border border-gray-300" />
+                </a>
                 <p className="text-xs text-gray-500 mt-1 text-center">Verify Online</p>
               </div>
             )}
@@ -1,26 +1,10 @@
-import React, { useEffect, useState } from 'react';
-import QRCode from 'qrcode';
+import React from 'react';
+import useCertificateQR from '../../../hooks/useCertificateQR';
 import { formatDate } from '../../../utils/dateFormatter';
 import { beejaLogo, isoLogo, msmeLogo, founderSign } from '../../../assets/Images/certification img';
 
 export default function CourseCertificate({ certificateData }) {
-  const [qrCodeUrl, setQrCodeUrl] = useState('');
-
-  useEffect(() => {
-    const generateQR = async () => {
-      if (certificateData?.certificateId) {
-        try {
-          const url = await QRCode.toDataURL(
-            `${window.location.origin}/verify-certificate/${certificateData.certificateId}`
-          );
-          setQrCodeUrl(url);
-        } catch (err) {
-          console.error('Error generating QR code:', err);
-        }
-      }
-    };
-    generateQR();
-  }, [certificateData?.certificateId]);
+  const { qrCodeUrl, verifyUrl } = useCertificateQR(certificateData);
 
   return (
     <div className="relative w-full aspect-[1.414/1] bg-white p-8 text-black">
@@ -73,7 +57,9 @@ export default function CourseCertificate({ certificateData }) {
             <img src={isoLogo} alt="ISO Certification" className="h-12" />
             <img src={msmeLogo} alt="MSME Certification" className="h-12" />
           </div>
-          <img src={qrCodeUrl} alt="Certificate QR Code" className="h-20" />
+          <a href={verifyUrl} target="_blank" rel="noopener noreferrer">
+            <img src={qrCodeUrl} alt="Certificate QR Code" className="h-20" />
+          </a>
         </div>
       </div>
     </div>
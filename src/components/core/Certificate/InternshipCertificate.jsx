@@ -1,26 +1,10 @@
-import React, { useEffect, useState } from 'react';
-import QRCode from 'qrcode';
+import React from 'react';
+import useCertificateQR from '../../../hooks/useCertificateQR';
 import { formatDate } from '../../../utils/dateFormatter';
 import { founderSign, isoLogo, msmeLogo } from '../../../assets/Images/certification img';
 
 export default function InternshipCertificate({ certificateData }) {
-  const [qrCodeUrl, setQrCodeUrl] = useState('');
-
-  useEffect(() => {
-    const generateQR = async () => {
-      if (certificateData?.certificateId) {
-        try {
-          const url = await QRCode.toDataURL(
-            `${window.location.origin}/verify-certificate/${certificateData.certificateId}`
-          );
-          setQrCodeUrl(url);
-        } catch (err) {
-          console.error('Error generating QR code:', err);
-        }
-      }
-    };
-    generateQR();
-  }, [certificateData?.certificateId]);
+  const { qrCodeUrl, verifyUrl } = useCertificateQR(certificateData);
 
   return (
     <div className="relative w-full aspect-[1.414/1] bg-white overflow-hidden">
@@ -97,7 +81,9 @@ export default function InternshipCertificate({ certificateData }) {
             {/* QR Code */}
             <div className="flex flex-col items-center">
               {qrCodeUrl && (
-                <img src={qrCodeUrl} alt="Certificate QR Code" className="w-20 h-20" />
+                <a href={verifyUrl} target="_blank" rel="noopener noreferrer">
+                  <img src={qrCodeUrl} alt="Certificate QR Code" className="w-20 h-20" />
+                </a>
               )}
             </div>
 
@@ -0,0 +1,47 @@
+import { useEffect, useState } from 'react';
+import TemplateCertificate from './TemplateCertificate';
+import { getTemplateVersion } from '../../../services/operations/certificateTemplateAPI';
+
+// Renders a certificate with the template version it was issued with
+// (certificateData.template = { templateId, version }). Certificates issued before
+// templates existed, or whose template can't be loaded, use the built-in Fallback layout.
+export default function IssuedCertificate({ certificateData, fallback: Fallback }) {
+  const templateId = certificateData?.template?.templateId;
+  const version = certificateData?.template?.version;
+  const [layout, setLayout] = useState(null);
+  const [loading, setLoading] = useState(Boolean(templateId));
+
+  useEffect(() => {
+    if (!templateId) {
+      setLayout(null);
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    getTemplateVersion(templateId, version).then((templateVersion) => {
+      if (cancelled) return;
+      setLayout(templateVersion?.layout || null);
+      setLoading(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [templateId, version]);
+
+  if (loading) {
+    return (
+      <div className="grid aspect-[842/595] w-full place-items-center bg-richblack-700">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (layout) {
+    return <TemplateCertificate layout={layout} certificateData={certificateData} />;
+  }
+
+  return <Fallback certificateData={certificateData} />;
+}
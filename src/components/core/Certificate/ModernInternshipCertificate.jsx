@@ -1,26 +1,10 @@
-import React, { useEffect, useState } from 'react';
-import QRCode from 'qrcode';
+import React from 'react';
+import useCertificateQR from '../../../hooks/useCertificateQR';
 import { formatDate } from '../../../utils/dateFormatter';
 import { founderSign, isoLogo, msmeLogo } from '../../../assets/Images/certification img';
 
 export default function ModernInternshipCertificate({ certificateData }) {
-  const [qrCodeUrl, setQrCodeUrl] = useState('');
-
-  useEffect(() => {
-    const generateQR = async () => {
-      if (certificateData?.certificateId) {
-        try {
-          const url = await QRCode.toDataURL(
-            `${window.location.origin}/verify-certificate/${certificateData.certificateId}`
-          );
-          setQrCodeUrl(url);
-        } catch (err) {
-          console.error('Error generating QR code:', err);
-        }
-      }
-    };
-    generateQR();
-  }, [certificateData?.certificateId]);
+  const { qrCodeUrl, verifyUrl } = useCertificateQR(certificateData);
 
   return (
     <div className="relative w-full aspect-[1.414/1] bg-gradient-to-br from-slate-50 to-blue-50 p-8 overflow-hidden">
@@ -114,7 +98,9 @@ export default function ModernInternshipCertificate({ certificateData }) {
             <div className="flex flex-col items-center">
               {qrCodeUrl && (
                 <div className="p-3 bg-white rounded-xl shadow-lg border border-gray-100">
-                  <img src={qrCodeUrl} alt="Certificate QR Code" className="w-16 h-16" />
+                  <a href={verifyUrl} target="_blank" rel="noopener noreferrer">
+                    <img src={qrCodeUrl} alt="Certificate QR Code" className="w-16 h-16" />
+                  </a>
                 </div>
               )}
               <p className="text-xs text-gray-500 mt-2">Verify Online</p>
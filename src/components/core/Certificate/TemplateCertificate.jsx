@@ -0,0 +1,132 @@
+import useCertificateQR from '../../../hooks/useCertificateQR';
+import {
+  CERTIFICATE_SIZE,
+  fillPlaceholders,
+  resolveImageSrc,
+} from '../../../utils/certificateTemplates';
+
+// Positions and font sizes are stored in canvas units; percentages and container query
+// units scale them to whatever width the certificate is shown (or printed) at
+const toPercent = (value, total) => `${(value / total) * 100}%`;
+const toFontSize = (size) => `${(size / CERTIFICATE_SIZE.width) * 100}cqw`;
+
+function ElementContent({ element, certificateData, qrCodeUrl, verifyUrl }) {
+  switch (element.type) {
+    case 'text':
+      return (
+        <div
+          className="h-full w-full overflow-hidden leading-tight"
+          style={{
+            fontSize: toFontSize(element.fontSize),
+            fontFamily: element.fontFamily,
+            fontWeight: element.fontWeight,
+            fontStyle: element.fontStyle,
+            color: element.color,
+            textAlign: element.align,
+          }}
+        >
+          {fillPlaceholders(element.text, certificateData)}
+        </div>
+      );
+    case 'image': {
+      const src = resolveImageSrc(element);
+      return (
+        <div className="flex h-full w-full flex-col items-center">
+          {src && <img src={src} alt={element.caption || 'Certificate image'} className="min-h-0 w-full flex-1 object-contain" />}
+          {element.caption && (
+            <p className="text-gray-700" style={{ fontSize: toFontSize(11) }}>
+              {element.caption}
+            </p>
+          )}
+        </div>
+      );
+    }
+    case 'qr':
+      // No link while designing, where clicks select and drag
+      if (qrCodeUrl && verifyUrl) {
+        return (
+          <a href={verifyUrl} target="_blank" rel="noopener noreferrer">
+            <img src={qrCodeUrl} alt="Certificate QR Code" className="h-full w-full object-contain" />
+          </a>
+        );
+      }
+      return qrCodeUrl ? (
+        <img src={qrCodeUrl} alt="Certificate QR Code" className="h-full w-full object-contain" />
+      ) : (
+        <div className="h-full w-full border border-dashed border-gray-400" />
+      );
+    case 'line':
+      return <div className="h-full w-full" style={{ backgroundColor: element.color }} />;
+    default:
+      return null;
+  }
+}
+
+// Renders a certificate from a template layout. The designer passes the editing props
+// to select, move and resize elements on the same rendering students see.
+export default function TemplateCertificate({
+  layout,
+  certificateData,
+  selectedId = null,
+  onElementPointerDown,
+  onResizePointerDown,
+}) {
+  const { qrCodeUrl, verifyUrl } = useCertificateQR(certificateData, { margin: 1 });
+  const editable = Boolean(onElementPointerDown);
+  const { background = {}, border } = layout;
+
+  return (
+    <div
+      className="relative mx-auto w-full overflow-hidden"
+      style={{
+        aspectRatio: `${CERTIFICATE_SIZE.width}/${CERTIFICATE_SIZE.height}`,
+        containerType: 'inline-size',
+        backgroundColor: background.color || '#ffffff',
+        backgroundImage: background.image ? `url(${background.image})` : undefined,
+        backgroundSize: 'cover',
+        printColorAdjust: 'exact',
+        WebkitPrintColorAdjust: 'exact',
+      }}
+    >
+      {border?.width > 0 && (
+        <div
+          className="pointer-events-none absolute"
+          style={{
+            inset: toPercent(border.inset || 0, CERTIFICATE_SIZE.width),
+            border: `${toFontSize(border.width)} solid ${border.color}`,
+          }}
+        />
+      )}
+
+      {layout.elements.map((element) => (
+        <div
+          key={element.id}
+          onPointerDown={editable ? (event) => onElementPointerDown(event, element) : undefined}
+          className={`absolute ${editable ? 'cursor-move select-none' : ''} ${
+            selectedId === element.id ? 'outline outline-2 outline-offset-1 outline-yellow-50' : editable ? 'hover:outline hover:outline-1 hover:outline-richblack-300' : ''
+          }`}
+          style={{
+            left: toPercent(element.x, CERTIFICATE_SIZE.width),
+            top: toPercent(element.y, CERTIFICATE_SIZE.height),
+            width: toPercent(element.width, CERTIFICATE_SIZE.width),
+            height: toPercent(element.height, CERTIFICATE_SIZE.height),
+          }}
+        >
+          <ElementContent
+            element={element}
+            certificateData={certificateData}
+            qrCodeUrl={qrCodeUrl}
+            verifyUrl={editable ? null : verifyUrl}
+          />
+
+          {selectedId === element.id && onResizePointerDown && (
+            <span
+              onPointerDown={(event) => onResizePointerDown(event, element)}
+              className="absolute -bottom-1.5 -right-1.5 h-3 w-3 cursor-se-resize rounded-sm border border-richblack-900 bg-yellow-50"
+            />
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,280 +1,431 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useSelector } from 'react-redux';
 import { toast } from 'react-hot-toast';
-import { IoClose, IoSend, IoImage, IoPersonCircle, IoVideocam, IoCall } from 'react-icons/io5';
+import { formatDistanceToNow } from 'date-fns';
+import { IoClose, IoSend, IoImage, IoPersonCircle, IoVideocam, IoCall, IoCodeSlash, IoDocumentTextOutline } from 'react-icons/io5';
 import { BsEmojiSmile, BsThreeDotsVertical } from 'react-icons/bs';
 import { HiOutlinePaperClip } from 'react-icons/hi';
-import { getChatMessages, sendMessage } from '../../../services/operations/chatAPI';
+import { getChatMessages, hideMessage } from '../../../services/operations/chatAPI';
+import { connectChatSocket, releaseChatSocket } from '../../../services/chatSocket';
+import {
+  createClientId,
+  flushOutbox,
+  getOutboxMessages,
+  queueOutboxMessage,
+  removeOutboxMessage,
+  retryOutboxMessage,
+} from '../../../services/chatOutbox';
+import useChatPresence from '../../../hooks/useChatPresence';
+import {
+  CHAT_MESSAGE_TYPES,
+  FILE_INPUT_ACCEPT,
+  formatFileSize,
+  getDefaultCaption,
+  validateChatAttachment,
+} from '../../../utils/chatAttachments';
 import MessageList from './MessageList';
-import io from 'socket.io-client';
+import CodeSnippetModal from './CodeSnippetModal';
+import VoiceRecorder from './VoiceRecorder';
+
+// How often queued messages are retried while the outbox is not empty
+const OUTBOX_RETRY_DELAY = 15000;
+
+// Merge fetched or received messages into the list, newest copy wins, ordered by time
+const mergeMessages = (current, incoming) => {
+  const byId = new Map(current.map(message => [message._id, message]));
+  incoming.forEach(message => byId.set(message._id, { ...byId.get(message._id), ...message }));
+  return [...byId.values()].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
 
 const ChatWindow = ({ chat, onClose, courseName }) => {
   const { token } = useSelector((state) => state.auth);
   const { user } = useSelector((state) => state.profile);
   const [messages, setMessages] = useState([]);
-  
-  // Helper function to deduplicate messages by _id
-  const deduplicateMessages = (messageArray) => {
-    const seen = new Set();
-    return messageArray.filter(msg => {
-      if (seen.has(msg._id)) {
-        return false;
-      }
-      seen.add(msg._id);
-      return true;
-    });
-  };
+  const [outbox, setOutbox] = useState([]); // queued messages not yet accepted by the server
   const [newMessage, setNewMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [isSending, setIsSending] = useState(false);
-  const [selectedImage, setSelectedImage] = useState(null);
-  const [imagePreview, setImagePreview] = useState(null);
+  const [attachment, setAttachment] = useState(null); // { messageType, file, preview, duration }
+  const [codeSnippet, setCodeSnippet] = useState(null); // { code, language, compose }
   const [socket, setSocket] = useState(null);
+  const [connectionStatus, setConnectionStatus] = useState('connecting');
   const [isTyping, setIsTyping] = useState(false);
   const [otherUserTyping, setOtherUserTyping] = useState(false);
   
   const fileInputRef = useRef(null);
+  const documentInputRef = useRef(null);
   const messagesEndRef = useRef(null);
   const typingTimeoutRef = useRef(null);
 
-  // Initialize socket connection
-  useEffect(() => {
-    if (token && chat?._id) {
-      const newSocket = io('https://beejalms.onrender.com' , {
-        withCredentials: true
-      });
-
-      // Authenticate socket
-      newSocket.emit('authenticate', token);
+  const otherUser = user?.accountType === 'Student' ? chat?.instructor : chat?.student;
+  const presence = useChatPresence([otherUser?._id]);
+  const otherUserPresence = presence[otherUser?._id];
+
+  // The server sends sender ids only on some payloads - always show our own details
+  const withOwnSender = useCallback((message) => ({
+    ...message,
+    sender: {
+      _id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      image: user.image
+    }
+  }), [user]);
 
-      newSocket.on('authenticated', () => {
-        console.log('Socket authenticated successfully');
-        newSocket.emit('join_chat', chat._id);
-      });
+  const isFromOtherUser = useCallback(
+    (message) => message.sender && String(message.sender._id) !== String(user._id),
+    [user]
+  );
 
-      newSocket.on('joined_chat', ({ chatId }) => {
-        console.log('Joined chat:', chatId);
-      });
+  // Tell the sender their messages were delivered / read
+  const sendReceipts = useCallback((socketInstance, receivedMessages, status) => {
+    const field = status === 'read' ? 'readBy' : 'deliveredTo';
+    const messageIds = receivedMessages
+      .filter(message => isFromOtherUser(message))
+      .filter(message => !message[field]?.some(entry => String(entry.user) === String(user._id)))
+      .map(message => message._id);
 
-      newSocket.on('new_message', (message) => {
-        console.log('New message received:', message);
-        // Only add messages from other users, not our own sent messages
-        setMessages(prev => {
-          // Check if message already exists by ID
-          const messageExists = prev.some(msg => msg._id === message._id);
-          if (messageExists) {
-            return prev; // Message already exists, don't add duplicate
-          }
-          
-          // Skip messages from current user to prevent interference with optimistic updates
-          if (message.sender._id === user._id) {
-            return prev;
-          }
-          
-          // Add new message from other users
-          const newMessage = {
-            ...message,
-            sender: {
-              _id: message.sender._id,
-              firstName: message.sender.firstName,
-              lastName: message.sender.lastName,
-              image: message.sender.image
-            }
-          };
-          return deduplicateMessages([...prev, newMessage]);
-        });
-        scrollToBottom();
-      });
+    if (socketInstance?.connected && messageIds.length) {
+      socketInstance.emit(status === 'read' ? 'message_read' : 'message_delivered', { chatId: chat._id, messageIds });
+    }
+  }, [chat?._id, user, isFromOtherUser]);
 
-      newSocket.on('user_typing', ({ userId, typing }) => {
-        if (userId !== user._id) {
-          setOtherUserTyping(typing);
-        }
-      });
+  // Initial load, and backfill of anything missed while disconnected
+  const loadMessages = useCallback(async (socketInstance, isBackfill = false) => {
+    if (!isBackfill) setIsLoading(true);
+    try {
+      const messagesData = await getChatMessages(chat._id, token);
+      if (messagesData?.messages) {
+        setMessages(prev => mergeMessages(prev, messagesData.messages));
+        // The chat is open, so everything fetched has been read
+        sendReceipts(socketInstance, messagesData.messages, 'read');
+      }
+    } catch (error) {
+      console.error('Error loading messages:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [chat?._id, token, sendReceipts]);
 
-      // Listen for notifications
-      newSocket.on('new_notification', (notification) => {
-        console.log('New notification received:', notification);
-        // Show toast notification
-        toast.success(notification.message, {
-          duration: 5000,
-          position: 'top-right',
-        });
-      });
+  // Send queued messages in order; sent ones move from the outbox to the message list
+  const sendOutbox = useCallback(async () => {
+    const remaining = await flushOutbox(chat._id, token, (record, message) => {
+      setMessages(prev => mergeMessages(prev, [withOwnSender(message)]));
+    });
+    setOutbox(remaining);
+  }, [chat?._id, token, withOwnSender]);
 
-      newSocket.on('error', (error) => {
-        console.error('Socket error:', error);
-        toast.error(error.message || 'Connection error');
-      });
+  // Initialize socket connection
+  useEffect(() => {
+    if (!token || !chat?._id) return;
+
+    const newSocket = connectChatSocket(token);
+
+    // Fired after the first connection and after every reconnection
+    const handleAuthenticated = () => {
+      console.log('Socket authenticated successfully');
+      setConnectionStatus('connected');
+      newSocket.emit('join_chat', chat._id);
+      loadMessages(newSocket, true);
+      sendOutbox();
+    };
+
+    const handleDisconnect = () => setConnectionStatus('reconnecting');
+
+    const handleJoinedChat = ({ chatId }) => {
+      console.log('Joined chat:', chatId);
+    };
+
+    const handleNewMessage = (message) => {
+      console.log('New message received:', message);
+      // Our own messages are added when the server accepts them
+      if (!isFromOtherUser(message)) return;
+
+      setMessages(prev => mergeMessages(prev, [message]));
+      sendReceipts(newSocket, [message], 'delivered');
+      if (document.visibilityState === 'visible') {
+        sendReceipts(newSocket, [message], 'read');
+      }
+      scrollToBottom();
+    };
 
-      newSocket.on('authentication_error', (error) => {
-        console.error('Socket authentication error:', error);
-        toast.error('Authentication failed');
-      });
+    // Delivery / read receipts for our messages
+    const handleMessageStatus = ({ chatId, messageIds, userId, status, at }) => {
+      if (chatId !== chat._id || String(userId) === String(user._id)) return;
+      const field = status === 'read' ? 'readBy' : 'deliveredTo';
 
-      setSocket(newSocket);
+      setMessages(prev => prev.map(message => {
+        if (!messageIds.includes(message._id) || message[field]?.some(entry => String(entry.user) === String(userId))) {
+          return message;
+        }
+        return { ...message, [field]: [...(message[field] || []), { user: userId, [`${status}At`]: at }] };
+      }));
+    };
 
-      return () => {
-        newSocket.emit('leave_chat', chat._id);
-        newSocket.disconnect();
-      };
+    const handleUserTyping = ({ userId, typing }) => {
+      if (userId !== user._id) {
+        setOtherUserTyping(typing);
+      }
+    };
+
+    // A moderator hid a message - drop its content for everyone in the chat
+    const handleMessageHidden = ({ chatId, messageId, reason }) => {
+      if (chatId !== chat._id) return;
+      setMessages(prev => prev.map(message =>
+        message._id === messageId ? { ...message, isHidden: true, hiddenReason: reason } : message
+      ));
+    };
+
+    // Listen for notifications
+    const handleNotification = (notification) => {
+      console.log('New notification received:', notification);
+      // Show toast notification
+      toast.success(notification.message, {
+        duration: 5000,
+        position: 'top-right',
+      });
+    };
+
+    const handleError = (error) => {
+      console.error('Socket error:', error);
+      toast.error(error.message || 'Connection error');
+    };
+
+    const handleAuthenticationError = (error) => {
+      console.error('Socket authentication error:', error);
+      toast.error('Authentication failed');
+    };
+
+    newSocket.on('authenticated', handleAuthenticated);
+    newSocket.on('disconnect', handleDisconnect);
+    newSocket.on('joined_chat', handleJoinedChat);
+    newSocket.on('new_message', handleNewMessage);
+    newSocket.on('message_status', handleMessageStatus);
+    newSocket.on('message_hidden', handleMessageHidden);
+    newSocket.on('user_typing', handleUserTyping);
+    newSocket.on('new_notification', handleNotification);
+    newSocket.on('error', handleError);
+    newSocket.on('authentication_error', handleAuthenticationError);
+
+    setSocket(newSocket);
+
+    // Show what we have right away; the socket backfills once it is connected
+    loadMessages(newSocket);
+    getOutboxMessages(chat._id).then(setOutbox);
+    if (newSocket.connected) {
+      handleAuthenticated();
     }
-  }, [token, chat?._id, user?._id]);
 
-  // Load initial messages
+    return () => {
+      newSocket.emit('leave_chat', chat._id);
+      newSocket.off('authenticated', handleAuthenticated);
+      newSocket.off('disconnect', handleDisconnect);
+      newSocket.off('joined_chat', handleJoinedChat);
+      newSocket.off('new_message', handleNewMessage);
+      newSocket.off('message_status', handleMessageStatus);
+      newSocket.off('message_hidden', handleMessageHidden);
+      newSocket.off('user_typing', handleUserTyping);
+      newSocket.off('new_notification', handleNotification);
+      newSocket.off('error', handleError);
+      newSocket.off('authentication_error', handleAuthenticationError);
+      releaseChatSocket();
+    };
+  }, [token, chat?._id, user?._id, loadMessages, sendOutbox, sendReceipts, isFromOtherUser]);
+
+  // Mark messages read when the student comes back to the tab
   useEffect(() => {
-    if (chat?._id && token) {
-      loadMessages();
-    }
-  }, [chat?._id, token]);
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') {
+        sendReceipts(socket, messages, 'read');
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, [socket, messages, sendReceipts]);
+
+  // Keep retrying queued messages until the outbox is empty (failed ones wait for the user)
+  useEffect(() => {
+    if (!outbox.some(record => !record.failed)) return;
+
+    const retry = setTimeout(sendOutbox, OUTBOX_RETRY_DELAY);
+    window.addEventListener('online', sendOutbox);
+    return () => {
+      clearTimeout(retry);
+      window.removeEventListener('online', sendOutbox);
+    };
+  }, [outbox, sendOutbox]);
 
   // Auto scroll to bottom when new messages arrive
   useEffect(() => {
     scrollToBottom();
-  }, [messages]);
+  }, [messages, outbox]);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
-  const loadMessages = async () => {
-    setIsLoading(true);
-    try {
-      const messagesData = await getChatMessages(chat._id, token);
-      if (messagesData?.messages) {
-        setMessages(deduplicateMessages(messagesData.messages));
-      }
-    } catch (error) {
-      console.error('Error loading messages:', error);
-    } finally {
-      setIsLoading(false);
-    }
+  // Queue the message first so it survives a lost connection or a closed tab
+  const queueMessage = async (fields) => {
+    const record = await queueOutboxMessage({
+      clientId: createClientId(),
+      chatId: chat._id,
+      createdAt: new Date().toISOString(),
+      ...fields
+    });
+    setOutbox(prev => [...prev, record]);
   };
 
   const handleSendMessage = async (e) => {
     e.preventDefault();
     
-    if ((!newMessage.trim() && !selectedImage) || isSending) {
+    if ((!newMessage.trim() && !attachment) || isSending) {
       return;
     }
 
     setIsSending(true);
     
     try {
-      const messageType = selectedImage ? 'image' : 'text';
-      const content = selectedImage ? (newMessage.trim() || 'Image') : newMessage.trim();
-      
-      // Create optimistic message for immediate UI update
-      const optimisticMessage = {
-        _id: Date.now().toString(), // Temporary ID
-        chat: chat._id,
-        sender: {
-          _id: user._id,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          image: user.image
-        },
-        messageType,
-        content,
-        imageUrl: selectedImage ? imagePreview : null,
-        createdAt: new Date().toISOString(),
-        isOptimistic: true // Flag to identify optimistic messages
-      };
-
-      // Add message optimistically to UI
-      setMessages(prev => [...prev, optimisticMessage]);
+      if (attachment) {
+        await queueMessage({
+          messageType: attachment.messageType,
+          content: newMessage.trim() || getDefaultCaption(attachment.messageType, attachment.file.name),
+          file: attachment.file,
+          imagePreview: attachment.messageType === CHAT_MESSAGE_TYPES.IMAGE ? attachment.preview : null,
+          duration: attachment.duration || null
+        });
+      } else {
+        await queueMessage({ messageType: CHAT_MESSAGE_TYPES.TEXT, content: newMessage.trim() });
+      }
       
       // Clear input immediately
-      const messageContent = newMessage;
-      const selectedImg = selectedImage;
-      const imgPreview = imagePreview;
-      
       setNewMessage('');
-      setSelectedImage(null);
-      setImagePreview(null);
+      removeAttachment();
       
       // Stop typing indicator
       if (socket && isTyping) {
         socket.emit('typing_stop', chat._id);
         setIsTyping(false);
       }
-      
-      // Send message to server
-      const sentMessage = await sendMessage(
-        chat._id,
-        content,
-        messageType,
-        selectedImg,
-        token
-      );
-
-      if (sentMessage) {
-        // Replace optimistic message with real message and ensure sender info is preserved
-        setMessages(prev => {
-          // Filter out optimistic message with same _id
-          const filtered = prev.filter(msg => !(msg.isOptimistic && msg._id === optimisticMessage._id));
-          // Ensure the real message has the correct sender info
-          const realMessage = {
-            ...sentMessage,
-            sender: {
-              _id: user._id, // Ensure this matches the current user
-              firstName: user.firstName,
-              lastName: user.lastName,
-              image: user.image
-            },
-            isOptimistic: false
-          };
-          return deduplicateMessages([...filtered, realMessage]);
-        });
-      } else {
-        // Remove optimistic message if sending failed
-        setMessages(prev => prev.filter(msg => msg._id !== optimisticMessage._id));
-        // Restore input values
-        setNewMessage(messageContent);
-        setSelectedImage(selectedImg);
-        setImagePreview(imgPreview);
-        toast.error('Failed to send message');
-      }
     } catch (error) {
       console.error('Error sending message:', error);
-      // Remove optimistic message on error
-      setMessages(prev => prev.filter(msg => !msg.isOptimistic));
       toast.error('Failed to send message');
     } finally {
       setIsSending(false);
     }
+
+    await sendOutbox();
+  };
+
+  const handleSendCode = async ({ code, language }) => {
+    setCodeSnippet(null);
+    try {
+      await queueMessage({ messageType: CHAT_MESSAGE_TYPES.CODE, content: code, language });
+    } catch (error) {
+      console.error('Error sending code snippet:', error);
+      toast.error('Failed to send code snippet');
+      return;
+    }
+    await sendOutbox();
+  };
+
+  // Admins moderate from the chat window through the existing hide flow
+  const handleHideMessage = async (messageId) => {
+    const reason = prompt('Enter reason for hiding this message:');
+    if (!reason) return;
+
+    const success = await hideMessage(messageId, reason, token);
+    if (success) {
+      setMessages(prev => prev.map(message =>
+        message._id === messageId ? { ...message, isHidden: true, hiddenReason: reason } : message
+      ));
+    }
+  };
+
+  const handleRetryMessage = async (clientId) => {
+    const record = outbox.find(item => item.clientId === clientId);
+    if (!record) return;
+    await retryOutboxMessage(record);
+    await sendOutbox();
+  };
+
+  const handleDiscardMessage = async (clientId) => {
+    await removeOutboxMessage(clientId);
+    setOutbox(prev => prev.filter(item => item.clientId !== clientId));
+  };
+
+  // Queued messages are shown after the ones the server already has
+  const outboxMessages = outbox.map(record => withOwnSender({
+    _id: record.clientId,
+    chat: record.chatId,
+    messageType: record.messageType,
+    content: record.content,
+    imageUrl: record.imagePreview,
+    fileName: record.file?.name,
+    fileSize: record.file?.size,
+    mimeType: record.file?.type,
+    language: record.language,
+    duration: record.duration,
+    createdAt: record.createdAt,
+    outboxStatus: record.failed ? 'failed' : 'pending'
+  }));
+
+  const getPresenceText = () => {
+    if (connectionStatus === 'reconnecting') return 'Reconnecting...';
+    if (otherUserPresence?.online) return 'Online';
+    if (otherUserPresence?.lastSeen) {
+      return `Last seen ${formatDistanceToNow(new Date(otherUserPresence.lastSeen), { addSuffix: true })}`;
+    }
+    return null;
+  };
+
+  // Validates a picked or recorded file and stages it above the message input
+  const selectAttachment = (file, messageType, duration = null) => {
+    const error = validateChatAttachment(file, messageType);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    if (messageType === CHAT_MESSAGE_TYPES.FILE) {
+      setAttachment({ messageType, file });
+      return;
+    }
+
+    // Images and voice notes get a preview
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      setAttachment({ messageType, file, duration, preview: e.target.result });
+    };
+    reader.readAsDataURL(file);
   };
 
   const handleImageSelect = (e) => {
     const file = e.target.files[0];
     if (file) {
-      if (file.size > 10 * 1024 * 1024) { // 10MB limit
-        toast.error('Image size should be less than 10MB');
-        return;
-      }
-      
-      if (!file.type.startsWith('image/')) {
-        toast.error('Please select a valid image file');
-        return;
-      }
+      selectAttachment(file, CHAT_MESSAGE_TYPES.IMAGE);
+    }
+  };
 
-      setSelectedImage(file);
-      
-      // Create preview
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        setImagePreview(e.target.result);
-      };
-      reader.readAsDataURL(file);
+  const handleDocumentSelect = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      // Images picked through the file button are still sent as images
+      selectAttachment(file, file.type.startsWith('image/') ? CHAT_MESSAGE_TYPES.IMAGE : CHAT_MESSAGE_TYPES.FILE);
     }
   };
 
-  const removeSelectedImage = () => {
-    setSelectedImage(null);
-    setImagePreview(null);
+  const handleVoiceRecorded = (file, duration) => {
+    selectAttachment(file, CHAT_MESSAGE_TYPES.VOICE, duration);
+  };
+
+  const removeAttachment = () => {
+    setAttachment(null);
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
+    if (documentInputRef.current) {
+      documentInputRef.current.value = '';
+    }
   };
 
   const handleTyping = (e) => {
@@ -299,8 +450,6 @@ const ChatWindow = ({ chat, onClose, courseName }) => {
     }, 1000);
   };
 
-  const otherUser = user?.accountType === 'Student' ? chat?.instructor : chat?.student;
-
   return (
     <div className="fixed inset-0 z-[9999] flex items-center justify-center bg-black/60 backdrop-blur-sm p-4">
       <div className="bg-white rounded-2xl shadow-2xl w-full max-w-4xl max-h-[85vh] h-[700px] flex flex-col mx-auto overflow-hidden border border-gray-200">
@@ -319,16 +468,27 @@ const ChatWindow = ({ chat, onClose, courseName }) => {
                   <IoPersonCircle size={48} className="text-white/80" />
                 )}
               </div>
-              <div className="absolute -bottom-1 -right-1 w-4 h-4 bg-green-400 rounded-full border-2 border-white"></div>
+              {otherUserPresence?.online && (
+                <div className="absolute -bottom-1 -right-1 w-4 h-4 bg-green-400 rounded-full border-2 border-white"></div>
+              )}
             </div>
             <div>
               <h3 className="font-semibold text-xl">
                 {otherUser ? `${otherUser.firstName} ${otherUser.lastName}` : 'Chat'}
               </h3>
-              <p className="text-sm text-white/80 truncate max-w-[250px] flex items-center gap-1">
-                <span className="w-2 h-2 bg-green-400 rounded-full"></span>
+              <p className="text-sm text-white/80 truncate max-w-[250px]">
                 {courseName || chat?.course?.courseName}
               </p>
+              {getPresenceText() && (
+                <p className="text-xs text-white/70 flex items-center gap-1">
+                  <span className={`w-2 h-2 rounded-full ${
+                    connectionStatus === 'reconnecting'
+                      ? 'bg-yellow-300 animate-pulse'
+                      : otherUserPresence?.online ? 'bg-green-400' : 'bg-white/40'
+                  }`}></span>
+                  {getPresenceText()}
+                </p>
+              )}
             </div>
           </div>
           
@@ -355,9 +515,14 @@ const ChatWindow = ({ chat, onClose, courseName }) => {
             </div>
           ) : (
             <MessageList 
-              messages={messages} 
+              messages={[...messages, ...outboxMessages]} 
               currentUserId={user?._id}
               messagesEndRef={messagesEndRef}
+              onRetry={handleRetryMessage}
+              onDiscard={handleDiscardMessage}
+              onRunCode={({ code, language }) => setCodeSnippet({ code, language })}
+              onHide={user?.accountType === 'Admin' ? handleHideMessage : undefined}
+              showHiddenContent={user?.accountType === 'Admin'}
             />
           )}
           
@@ -376,25 +541,41 @@ const ChatWindow = ({ chat, onClose, courseName }) => {
           )}
         </div>
 
-        {/* Enhanced Image Preview */}
-        {imagePreview && (
+        {/* Attachment Preview */}
+        {attachment && (
           <div className="p-4 bg-gradient-to-r from-blue-50 to-purple-50 border-t border-gray-200">
             <div className="flex items-center gap-3">
               <div className="relative">
-                <img 
-                  src={imagePreview} 
-                  alt="Preview" 
-                  className="w-16 h-16 rounded-xl object-cover shadow-md"
-                />
+                {attachment.messageType === CHAT_MESSAGE_TYPES.IMAGE ? (
+                  <img 
+                    src={attachment.preview} 
+                    alt="Preview" 
+                    className="w-16 h-16 rounded-xl object-cover shadow-md"
+                  />
+                ) : (
+                  <div className="w-16 h-16 rounded-xl bg-white shadow-md flex items-center justify-center text-blue-600">
+                    <IoDocumentTextOutline size={28} />
+                  </div>
+                )}
                 <button
-                  onClick={removeSelectedImage}
+                  onClick={removeAttachment}
                   className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full p-1 hover:bg-red-600 transition-colors shadow-lg"
                 >
                   <IoClose size={14} />
                 </button>
               </div>
-              <div>
-                <p className="text-sm font-medium text-gray-700">Image ready to send</p>
+              <div className="min-w-0">
+                {attachment.messageType === CHAT_MESSAGE_TYPES.IMAGE && (
+                  <p className="text-sm font-medium text-gray-700">Image ready to send</p>
+                )}
+                {attachment.messageType === CHAT_MESSAGE_TYPES.FILE && (
+                  <p className="text-sm font-medium text-gray-700 truncate">
+                    {attachment.file.name} ({formatFileSize(attachment.file.size)})
+                  </p>
+                )}
+                {attachment.messageType === CHAT_MESSAGE_TYPES.VOICE && (
+                  <audio src={attachment.preview} controls className="h-10" />
+                )}
                 <p className="text-xs text-gray-500">Click the send button to share</p>
               </div>
             </div>
@@ -411,6 +592,13 @@ const ChatWindow = ({ chat, onClose, courseName }) => {
               accept="image/*"
               className="hidden"
             />
+            <input
+              type="file"
+              ref={documentInputRef}
+              onChange={handleDocumentSelect}
+              accept={FILE_INPUT_ACCEPT}
+              className="hidden"
+            />
             
             {/* Attachment Buttons */}
             <div className="flex gap-1">
@@ -424,11 +612,21 @@ const ChatWindow = ({ chat, onClose, courseName }) => {
               </button>
               <button
                 type="button"
+                onClick={() => documentInputRef.current?.click()}
                 className="p-3 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-xl transition-all duration-200"
                 title="Attach file"
               >
                 <HiOutlinePaperClip size={20} />
               </button>
+              <button
+                type="button"
+                onClick={() => setCodeSnippet({ compose: true })}
+                className="p-3 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-xl transition-all duration-200"
+                title="Share code snippet"
+              >
+                <IoCodeSlash size={20} />
+              </button>
+              <VoiceRecorder onRecorded={handleVoiceRecorded} disabled={!!attachment} />
             </div>
 
             {/* Message Input */}
@@ -459,9 +657,9 @@ const ChatWindow = ({ chat, onClose, courseName }) => {
             {/* Send Button */}
             <button
               type="submit"
-              disabled={(!newMessage.trim() && !selectedImage) || isSending}
+              disabled={(!newMessage.trim() && !attachment) || isSending}
               className={`p-3 rounded-2xl transition-all duration-200 ${
-                (!newMessage.trim() && !selectedImage) || isSending
+                (!newMessage.trim() && !attachment) || isSending
                   ? 'bg-gray-200 text-gray-400 cursor-not-allowed'
                   : 'bg-gradient-to-r from-blue-600 to-purple-600 text-white hover:from-blue-700 hover:to-purple-700 shadow-lg hover:shadow-xl transform hover:scale-105'
               }`}
@@ -475,6 +673,15 @@ const ChatWindow = ({ chat, onClose, courseName }) => {
           </form>
         </div>
       </div>
+
+      {codeSnippet && (
+        <CodeSnippetModal
+          initialCode={codeSnippet.code}
+          initialLanguage={codeSnippet.language}
+          onSend={codeSnippet.compose ? handleSendCode : undefined}
+          onClose={() => setCodeSnippet(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,73 @@
+import { useEffect, useState } from 'react';
+import { loader } from '@monaco-editor/react';
+import { toast } from 'react-hot-toast';
+import { IoCopyOutline, IoPlay } from 'react-icons/io5';
+import { getLanguageLabel } from '../../../utils/chatAttachments';
+
+// Code message body. Highlighting reuses the Monaco instance CodeEditor loads, and
+// falls back to plain text until (or if) it is available.
+const CodeBlock = ({ code, language, onRun }) => {
+  const [highlighted, setHighlighted] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loader
+      .init()
+      .then((monaco) => {
+        monaco.editor.setTheme('vs-dark');
+        return monaco.editor.colorize(code, language || 'plaintext', { tabSize: 2 });
+      })
+      .then((html) => {
+        if (!cancelled) setHighlighted(html);
+      })
+      .catch((error) => console.log('CODE HIGHLIGHT ERROR............', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [code, language]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      toast.success('Code copied');
+    } catch (error) {
+      toast.error('Could not copy code');
+    }
+  };
+
+  return (
+    <div className="w-72 sm:w-96 max-w-full rounded-lg overflow-hidden bg-[#1e1e1e] text-left">
+      <div className="flex items-center justify-between px-3 py-1.5 bg-black/40 text-xs text-gray-300">
+        <span className="font-medium">{getLanguageLabel(language)}</span>
+        <div className="flex items-center gap-2">
+          <button onClick={handleCopy} className="flex items-center gap-1 hover:text-white" title="Copy code">
+            <IoCopyOutline size={12} />
+            Copy
+          </button>
+          {onRun && (
+            <button
+              onClick={() => onRun({ code, language })}
+              className="flex items-center gap-1 hover:text-white"
+              title="Open in the code editor"
+            >
+              <IoPlay size={12} />
+              Run in editor
+            </button>
+          )}
+        </div>
+      </div>
+      {highlighted ? (
+        <pre
+          className="p-3 text-xs leading-relaxed overflow-x-auto max-h-80"
+          dangerouslySetInnerHTML={{ __html: highlighted }}
+        />
+      ) : (
+        <pre className="p-3 text-xs leading-relaxed overflow-x-auto max-h-80 text-gray-100">{code}</pre>
+      )}
+    </div>
+  );
+};
+
+export default CodeBlock;
@@ -0,0 +1,67 @@
+import { useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { IoClose } from 'react-icons/io5';
+import CodeEditor from '../../common/CodeEditor';
+import { validateCodeSnippet } from '../../../utils/chatAttachments';
+
+// Opens CodeEditor for writing a snippet to send, or - without onSend - for running
+// a snippet someone shared in the chat
+const CodeSnippetModal = ({ initialCode = '', initialLanguage = 'javascript', onSend, onClose }) => {
+  const [code, setCode] = useState(initialCode);
+  const [language, setLanguage] = useState(initialLanguage);
+
+  const handleSend = () => {
+    const error = validateCodeSnippet(code);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+    onSend({ code, language });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-[60] p-4">
+      <div className="bg-richblack-900 rounded-2xl shadow-2xl w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-richblack-700">
+          <h2 className="text-lg font-semibold text-richblack-5">
+            {onSend ? 'Share code snippet' : 'Run code snippet'}
+          </h2>
+          <button onClick={onClose} className="text-richblack-300 hover:text-richblack-5" title="Close">
+            <IoClose size={22} />
+          </button>
+        </div>
+
+        <div className="p-4">
+          <CodeEditor
+            language={language}
+            starterCode={initialCode}
+            onChange={setCode}
+            onLanguageChange={setLanguage}
+            height="320px"
+            showInput
+            allowLanguageChange
+          />
+        </div>
+
+        {onSend && (
+          <div className="flex justify-end gap-3 px-6 pb-6">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 rounded-lg bg-richblack-700 text-richblack-50 hover:bg-richblack-600"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSend}
+              className="px-4 py-2 rounded-lg bg-yellow-50 text-richblack-900 font-medium hover:bg-yellow-100"
+            >
+              Send snippet
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CodeSnippetModal;
@@ -0,0 +1,54 @@
+import { useState } from 'react';
+import { IoDocumentTextOutline, IoDownloadOutline, IoEyeOutline } from 'react-icons/io5';
+import { formatFileSize, getFileLabel, isPreviewableFile } from '../../../utils/chatAttachments';
+
+// File message body: name, type and size, a download link, and an inline preview for PDFs
+const FileAttachment = ({ fileUrl, fileName, fileSize, mimeType, isOwnMessage }) => {
+  const [showPreview, setShowPreview] = useState(false);
+  const canPreview = fileUrl && isPreviewableFile(mimeType);
+
+  return (
+    <div className="w-64 sm:w-80 max-w-full text-left">
+      <div className={`flex items-center gap-3 p-2 rounded-lg ${isOwnMessage ? 'bg-white/15' : 'bg-gray-100'}`}>
+        <IoDocumentTextOutline size={28} className={isOwnMessage ? 'text-white' : 'text-blue-600'} />
+        <div className="flex-1 min-w-0">
+          <p className="text-sm font-medium truncate" title={fileName}>{fileName || 'Attachment'}</p>
+          <p className={`text-xs ${isOwnMessage ? 'text-white/70' : 'text-gray-500'}`}>
+            {getFileLabel(mimeType)}{fileSize ? ` · ${formatFileSize(fileSize)}` : ''}
+          </p>
+        </div>
+        {canPreview && (
+          <button
+            onClick={() => setShowPreview(!showPreview)}
+            className="p-1.5 rounded-full hover:bg-black/10"
+            title={showPreview ? 'Hide preview' : 'Preview'}
+          >
+            <IoEyeOutline size={18} />
+          </button>
+        )}
+        {fileUrl && (
+          <a
+            href={fileUrl}
+            download={fileName}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="p-1.5 rounded-full hover:bg-black/10"
+            title="Download"
+          >
+            <IoDownloadOutline size={18} />
+          </a>
+        )}
+      </div>
+
+      {showPreview && (
+        <iframe
+          src={fileUrl}
+          title={fileName}
+          className="mt-2 w-full h-80 rounded-lg bg-white"
+        />
+      )}
+    </div>
+  );
+};
+
+export default FileAttachment;
@@ -1,8 +1,20 @@
 import React from 'react';
 import { formatDistanceToNow } from 'date-fns';
-import { IoPersonCircle, IoCheckmarkDone, IoCheckmark } from 'react-icons/io5';
+import { IoPersonCircle, IoCheckmarkDone, IoCheckmark, IoTimeOutline, IoAlertCircle, IoEyeOff, IoMic } from 'react-icons/io5';
+import { CHAT_MESSAGE_TYPES, formatDuration, getDefaultCaption } from '../../../utils/chatAttachments';
+import CodeBlock from './CodeBlock';
+import FileAttachment from './FileAttachment';
 
-const MessageList = ({ messages, currentUserId, messagesEndRef }) => {
+const MessageList = ({
+  messages,
+  currentUserId,
+  messagesEndRef,
+  onRetry,
+  onDiscard,
+  onRunCode,
+  onHide,
+  showHiddenContent = false
+}) => {
   
   const formatMessageTime = (timestamp) => {
     try {
@@ -13,9 +25,88 @@ const MessageList = ({ messages, currentUserId, messagesEndRef }) => {
   };
 
   const isMessageRead = (message) => {
-    return message.readBy?.some(read => read.user !== currentUserId);
+    return message.readBy?.some(read => String(read.user) !== String(currentUserId));
   };
 
+  const isMessageDelivered = (message) => {
+    return message.deliveredTo?.some(delivery => String(delivery.user) !== String(currentUserId));
+  };
+
+  // Single tick: sent, grey double tick: delivered, blue double tick: read
+  const renderMessageStatus = (message) => {
+    if (message.outboxStatus === 'pending') {
+      return <IoTimeOutline size={12} className="text-white/70" title="Sending" />;
+    }
+    if (message.outboxStatus === 'failed') {
+      return <IoAlertCircle size={12} className="text-red-200" title="Not sent" />;
+    }
+    if (isMessageRead(message)) {
+      return <IoCheckmarkDone size={12} className="text-blue-200" title="Read" />;
+    }
+    if (isMessageDelivered(message)) {
+      return <IoCheckmarkDone size={12} className="text-white/70" title="Delivered" />;
+    }
+    return <IoCheckmark size={12} className="text-white/70" title="Sent" />;
+  };
+
+  // Attachment part of a message; captions are rendered separately
+  const renderAttachment = (message, isOwnMessage) => {
+    switch (message.messageType) {
+      case CHAT_MESSAGE_TYPES.IMAGE:
+        return message.imageUrl && (
+          <div className="mb-1">
+            <img
+              src={message.imageUrl}
+              alt="Shared image"
+              className="max-w-full h-auto rounded-lg cursor-pointer hover:opacity-90 transition-opacity"
+              onClick={() => window.open(message.imageUrl, '_blank')}
+              style={{ maxHeight: '300px', maxWidth: '250px' }}
+            />
+          </div>
+        );
+      case CHAT_MESSAGE_TYPES.CODE:
+        return (
+          <div className="mb-1">
+            <CodeBlock
+              code={message.content}
+              language={message.language}
+              onRun={message.outboxStatus ? undefined : onRunCode}
+            />
+          </div>
+        );
+      case CHAT_MESSAGE_TYPES.FILE:
+        return (
+          <div className="mb-1">
+            <FileAttachment
+              fileUrl={message.fileUrl}
+              fileName={message.fileName}
+              fileSize={message.fileSize}
+              mimeType={message.mimeType}
+              isOwnMessage={isOwnMessage}
+            />
+          </div>
+        );
+      case CHAT_MESSAGE_TYPES.VOICE:
+        return message.fileUrl ? (
+          <div className="mb-1">
+            <audio src={message.fileUrl} controls preload="metadata" className="h-10 max-w-[240px]" />
+          </div>
+        ) : (
+          <div className="flex items-center gap-2 mb-1 text-sm">
+            <IoMic size={16} />
+            Voice note{message.duration ? ` · ${formatDuration(message.duration)}` : ''}
+          </div>
+        );
+      default:
+        return null;
+    }
+  };
+
+  const hasCaption = (message) =>
+    message.content &&
+    message.messageType !== CHAT_MESSAGE_TYPES.CODE &&
+    message.content !== getDefaultCaption(message.messageType, message.fileName);
+
   return (
     <div className="flex-1 overflow-y-auto p-4">
       {messages.length === 0 ? (
@@ -75,25 +166,39 @@ const MessageList = ({ messages, currentUserId, messagesEndRef }) => {
                       ? 'bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-br-md' 
                       : 'bg-white border border-gray-200 text-gray-900 rounded-bl-md'
                   } shadow-sm`}>
-                    {/* Text Content */}
-                    {message.content && message.content !== 'Image' && (
-                      <div className="text-sm leading-relaxed">
-                        {message.content}
+                    {message.isHidden && !showHiddenContent ? (
+                      <div className="flex items-center gap-2 text-sm italic opacity-70">
+                        <IoEyeOff size={14} />
+                        This message was hidden by a moderator
+                      </div>
+                    ) : (
+                      <div className={message.isHidden ? 'opacity-50' : ''}>
+                        {renderAttachment(message, isOwnMessage)}
+
+                        {/* Text Content */}
+                        {hasCaption(message) && (
+                          <div className="text-sm leading-relaxed whitespace-pre-wrap">
+                            {message.content}
+                          </div>
+                        )}
                       </div>
                     )}
-                    
-                    {/* Image Message */}
-                    {message.messageType === 'image' && message.imageUrl && (
-                      <div className="mb-1">
-                        <img
-                          src={message.imageUrl}
-                          alt="Shared image"
-                          className="max-w-full h-auto rounded-lg cursor-pointer hover:opacity-90 transition-opacity"
-                          onClick={() => window.open(message.imageUrl, '_blank')}
-                          style={{ maxHeight: '300px', maxWidth: '250px' }}
-                        />
+
+                    {/* Moderation */}
+                    {message.isHidden && showHiddenContent && (
+                      <div className="flex items-center gap-1 mt-1 text-xs text-red-500">
+                        <IoEyeOff size={12} />
+                        Hidden{message.hiddenReason ? `: ${message.hiddenReason}` : ''}
                       </div>
                     )}
+                    {onHide && !message.isHidden && !message.outboxStatus && (
+                      <button
+                        onClick={() => onHide(message._id)}
+                        className={`block mt-1 text-xs hover:underline ${isOwnMessage ? 'text-white/70 ml-auto' : 'text-gray-500'}`}
+                      >
+                        Hide message
+                      </button>
+                    )}
                     
                     {/* Message Time and Status */}
                     <div className={`flex items-center gap-1 mt-1 text-xs ${isOwnMessage ? 'justify-end' : 'justify-start'}`}>
@@ -101,18 +206,23 @@ const MessageList = ({ messages, currentUserId, messagesEndRef }) => {
                         {formatMessageTime(message.createdAt)}
                       </span>
                       
-                      {/* Read Status (only for own messages) */}
-                      {isOwnMessage && (
-                        <>
-                          {isMessageRead(message) ? (
-                            <IoCheckmarkDone size={12} className="text-blue-200" title="Read" />
-                          ) : (
-                            <IoCheckmark size={12} className="text-white/70" title="Sent" />
-                          )}
-                        </>
-                      )}
+                      {/* Delivery Status (only for own messages) */}
+                      {isOwnMessage && renderMessageStatus(message)}
                     </div>
                   </div>
+
+                  {/* Failed messages stay in the outbox until retried or discarded */}
+                  {message.outboxStatus === 'failed' && (
+                    <div className="flex items-center justify-end gap-3 mt-1 text-xs">
+                      <span className="text-red-500">Not sent</span>
+                      <button onClick={() => onRetry?.(message._id)} className="text-blue-600 hover:underline">
+                        Retry
+                      </button>
+                      <button onClick={() => onDiscard?.(message._id)} className="text-gray-500 hover:underline">
+                        Discard
+                      </button>
+                    </div>
+                  )}
                 </div>
               </div>
             );
@@ -0,0 +1,125 @@
+import { useEffect, useRef, useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { IoMic, IoStop, IoTrashOutline } from 'react-icons/io5';
+import { MAX_VOICE_NOTE_SECONDS, formatDuration } from '../../../utils/chatAttachments';
+
+// Records a voice note with MediaRecorder and hands it back as an audio File
+const VoiceRecorder = ({ onRecorded, disabled }) => {
+  const [isRecording, setIsRecording] = useState(false);
+  const [elapsed, setElapsed] = useState(0);
+
+  const recorderRef = useRef(null);
+  const chunksRef = useRef([]);
+  const startedAtRef = useRef(0);
+  const discardRef = useRef(false);
+  const timerRef = useRef(null);
+
+  const stopTracks = () => {
+    recorderRef.current?.stream.getTracks().forEach((track) => track.stop());
+  };
+
+  // Release the microphone if the chat closes mid-recording
+  useEffect(() => {
+    return () => {
+      clearInterval(timerRef.current);
+      discardRef.current = true;
+      if (recorderRef.current?.state === 'recording') {
+        recorderRef.current.stop();
+      }
+      stopTracks();
+    };
+  }, []);
+
+  const startRecording = async () => {
+    if (!navigator.mediaDevices?.getUserMedia || typeof MediaRecorder === 'undefined') {
+      toast.error('Voice notes are not supported in this browser');
+      return;
+    }
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const recorder = new MediaRecorder(stream);
+
+      chunksRef.current = [];
+      discardRef.current = false;
+      recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunksRef.current.push(e.data);
+      };
+      recorder.onstop = () => {
+        stopTracks();
+        if (discardRef.current) return;
+
+        const duration = (Date.now() - startedAtRef.current) / 1000;
+        const type = recorder.mimeType || 'audio/webm';
+        const extension = type.includes('ogg') ? 'ogg' : type.includes('mp4') ? 'm4a' : 'webm';
+        const file = new File(chunksRef.current, `voice-note-${Date.now()}.${extension}`, { type });
+        onRecorded(file, Math.round(duration));
+      };
+
+      recorderRef.current = recorder;
+      startedAtRef.current = Date.now();
+      recorder.start();
+      setIsRecording(true);
+      setElapsed(0);
+
+      timerRef.current = setInterval(() => {
+        const seconds = (Date.now() - startedAtRef.current) / 1000;
+        setElapsed(seconds);
+        if (seconds >= MAX_VOICE_NOTE_SECONDS) {
+          stopRecording();
+        }
+      }, 250);
+    } catch (error) {
+      console.log('VOICE RECORDING ERROR............', error);
+      toast.error('Microphone access is needed to record voice notes');
+    }
+  };
+
+  const stopRecording = (discard = false) => {
+    clearInterval(timerRef.current);
+    discardRef.current = discard;
+    if (recorderRef.current?.state === 'recording') {
+      recorderRef.current.stop();
+    }
+    setIsRecording(false);
+  };
+
+  if (isRecording) {
+    return (
+      <div className="flex items-center gap-2 px-3 py-2 bg-red-50 rounded-xl">
+        <span className="w-2 h-2 bg-red-500 rounded-full animate-pulse"></span>
+        <span className="text-sm text-red-600 font-mono">{formatDuration(elapsed)}</span>
+        <button
+          type="button"
+          onClick={() => stopRecording(true)}
+          className="p-1 text-gray-500 hover:text-red-600"
+          title="Discard recording"
+        >
+          <IoTrashOutline size={18} />
+        </button>
+        <button
+          type="button"
+          onClick={() => stopRecording()}
+          className="p-1 text-red-600 hover:text-red-700"
+          title="Stop recording"
+        >
+          <IoStop size={18} />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={startRecording}
+      disabled={disabled}
+      className="p-3 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-xl transition-all duration-200 disabled:opacity-50"
+      title="Record voice note"
+    >
+      <IoMic size={20} />
+    </button>
+  );
+};
+
+export default VoiceRecorder;
@@ -7,8 +7,9 @@ import { useNavigate } from "react-router-dom"
 import { BsFillCaretRightFill } from "react-icons/bs"
 import { FaShareSquare } from "react-icons/fa"
 
-import { addToCart } from "../../../slices/cartSlice"
+import { addCourseToCart } from "../../../services/operations/cartAPI"
 import { ACCOUNT_TYPE } from "../../../utils/constants"
+import { getCourseStartPath, hasMembershipAccess, isMembershipActive } from "../../../utils/membership"
 import { requestCourseAccess } from "../../../services/operations/courseAccessAPI"
 import RatingStars from "../../common/RatingStars"
 import Img from './../../common/Img';
@@ -17,7 +18,12 @@ import Img from './../../common/Img';
 function CourseDetailsCard({ course, setConfirmationModal, handleBuyCourse }) {
   const { user } = useSelector((state) => state.profile)
   const { token } = useSelector((state) => state.auth)
+  const { membership } = useSelector((state) => state.membership)
   const navigate = useNavigate()
+
+  // members start covered courses straight away, without enrolling or paying
+  const isEnrolled = user && course?.studentsEnrolled?.includes(user?._id)
+  const includedInMembership = !isEnrolled && hasMembershipAccess(membership, course)
   const dispatch = useDispatch()
 
   const {
@@ -70,7 +76,7 @@ function CourseDetailsCard({ course, setConfirmationModal, handleBuyCourse }) {
     }
     
     if (token) {
-      dispatch(addToCart(course))
+      dispatch(addCourseToCart(course, token))
       return
     }
     
@@ -182,6 +188,19 @@ function CourseDetailsCard({ course, setConfirmationModal, handleBuyCourse }) {
                 </div>
               )
             ) :
+            /* Student Role - Membership covers the course */
+            includedInMembership ? (
+              <div className="flex flex-col gap-2">
+                <button
+                  className="yellowButton outline-none"
+                  onClick={() => navigate(getCourseStartPath(course))}
+                  disabled={!getCourseStartPath(course)}
+                >
+                  Start Learning
+                </button>
+                <p className="text-center text-xs text-caribbeangreen-100">Included in your {membership.plan?.name} membership</p>
+              </div>
+            ) :
             /* Student Role - Normal buy/request access flow */
             course?.courseType === 'Free' ? (
               <button
@@ -212,6 +231,14 @@ function CourseDetailsCard({ course, setConfirmationModal, handleBuyCourse }) {
                     : "Buy Now"}
                 </button>
                 {/* Removed Add to Cart button as per user request */}
+                {!isEnrolled && !isMembershipActive(membership) && (
+                  <button
+                    className="text-center text-sm text-richblack-300 underline hover:text-richblack-5"
+                    onClick={() => navigate(token ? "/dashboard/membership" : "/login")}
+                  >
+                    Or learn this and more with a membership
+                  </button>
+                )}
               </>
             )}
           </div>
@@ -0,0 +1,173 @@
+import { RiAddLine, RiDeleteBin6Line } from "react-icons/ri"
+
+import { ASSIGNMENT_FILE_TYPES, createCriterion, getRubricTotal } from "../../../../../utils/assignmentRubric"
+
+// Assignment settings for an assignment subsection - instructions, due date,
+// accepted file types and the rubric instructors grade against
+export default function AssignmentForm({ value, onChange, disabled = false }) {
+  const update = (field, fieldValue) => onChange({ ...value, [field]: fieldValue })
+
+  const toggleFileType = (type) => {
+    const allowedFileTypes = value.allowedFileTypes.includes(type)
+      ? value.allowedFileTypes.filter((t) => t !== type)
+      : [...value.allowedFileTypes, type]
+    update("allowedFileTypes", allowedFileTypes)
+  }
+
+  const updateCriterion = (index, field, fieldValue) => {
+    const rubric = value.rubric.map((criterion, i) =>
+      i === index ? { ...criterion, [field]: fieldValue } : criterion
+    )
+    update("rubric", rubric)
+  }
+
+  const removeCriterion = (index) => {
+    update("rubric", value.rubric.filter((_, i) => i !== index))
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Instructions */}
+      <div className="flex flex-col space-y-2">
+        <label className="text-sm text-richblack-5" htmlFor="assignmentInstructions">
+          Instructions <sup className="text-pink-200">*</sup>
+        </label>
+        <textarea
+          id="assignmentInstructions"
+          disabled={disabled}
+          value={value.instructions}
+          onChange={(e) => update("instructions", e.target.value)}
+          placeholder="What should students build or hand in?"
+          className="form-style resize-x-none min-h-[130px] w-full"
+        />
+      </div>
+
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
+        <div className="flex flex-col space-y-2">
+          <label className="text-sm text-richblack-5" htmlFor="assignmentDueDate">
+            Due date
+          </label>
+          <input
+            id="assignmentDueDate"
+            type="datetime-local"
+            disabled={disabled}
+            value={value.dueDate}
+            onChange={(e) => update("dueDate", e.target.value)}
+            className="form-style w-full"
+          />
+        </div>
+        <div className="flex flex-col space-y-2">
+          <label className="text-sm text-richblack-5" htmlFor="assignmentMaxSize">
+            Max file size (MB)
+          </label>
+          <input
+            id="assignmentMaxSize"
+            type="number"
+            min={1}
+            disabled={disabled}
+            value={value.maxFileSizeMB}
+            onChange={(e) => update("maxFileSizeMB", e.target.value)}
+            className="form-style w-full"
+          />
+        </div>
+        <div className="flex flex-col space-y-2">
+          <label className="text-sm text-richblack-5" htmlFor="assignmentPassing">
+            Passing score (%)
+          </label>
+          <input
+            id="assignmentPassing"
+            type="number"
+            min={0}
+            max={100}
+            disabled={disabled}
+            value={value.passingPercentage}
+            onChange={(e) => update("passingPercentage", e.target.value)}
+            className="form-style w-full"
+          />
+        </div>
+      </div>
+
+      {/* Allowed File Types */}
+      <div className="space-y-2">
+        <p className="text-sm text-richblack-5">
+          Allowed file types <sup className="text-pink-200">*</sup>
+        </p>
+        <div className="flex flex-wrap gap-2">
+          {Object.entries(ASSIGNMENT_FILE_TYPES).map(([type, { label }]) => (
+            <button
+              key={type}
+              type="button"
+              disabled={disabled}
+              onClick={() => toggleFileType(type)}
+              className={`rounded-full border px-3 py-1 text-xs transition-all duration-200 ${
+                value.allowedFileTypes.includes(type)
+                  ? "border-yellow-50 bg-yellow-50 text-richblack-900"
+                  : "border-richblack-500 text-richblack-200 hover:border-richblack-300"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Rubric */}
+      <div className="space-y-3">
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-richblack-5">
+            Rubric <sup className="text-pink-200">*</sup>
+          </p>
+          <span className="text-xs text-richblack-300">Total: {getRubricTotal(value.rubric)} points</span>
+        </div>
+
+        {value.rubric.map((criterion, index) => (
+          <div key={criterion._id} className="space-y-2 rounded-lg border border-richblack-600 bg-richblack-700 p-4">
+            <div className="flex items-center gap-3">
+              <input
+                disabled={disabled}
+                value={criterion.title}
+                onChange={(e) => updateCriterion(index, "title", e.target.value)}
+                placeholder={`Criterion ${index + 1}, e.g. Code quality`}
+                className="form-style flex-1"
+              />
+              <input
+                type="number"
+                min={1}
+                disabled={disabled}
+                value={criterion.maxPoints}
+                onChange={(e) => updateCriterion(index, "maxPoints", e.target.value)}
+                className="form-style w-24"
+                title="Max points"
+              />
+              <button
+                type="button"
+                disabled={disabled || value.rubric.length === 1}
+                onClick={() => removeCriterion(index)}
+                className="text-richblack-300 hover:text-red-400 disabled:opacity-50"
+              >
+                <RiDeleteBin6Line className="text-xl" />
+              </button>
+            </div>
+            <textarea
+              disabled={disabled}
+              value={criterion.description}
+              onChange={(e) => updateCriterion(index, "description", e.target.value)}
+              placeholder="What does full marks look like?"
+              className="form-style min-h-[60px] w-full"
+            />
+          </div>
+        ))}
+
+        <button
+          type="button"
+          disabled={disabled}
+          onClick={() => update("rubric", [...value.rubric, createCriterion()])}
+          className="flex items-center gap-1 text-sm text-yellow-50"
+        >
+          <RiAddLine className="text-lg" />
+          Add Criterion
+        </button>
+      </div>
+    </div>
+  )
+}
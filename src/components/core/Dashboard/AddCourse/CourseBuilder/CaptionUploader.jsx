@@ -0,0 +1,109 @@
+import { useRef } from "react"
+import { toast } from "react-hot-toast"
+import { FiFileText } from "react-icons/fi"
+import { RiAddLine, RiDeleteBin6Line } from "react-icons/ri"
+
+import {
+  CAPTION_LANGUAGES,
+  MAX_CAPTION_FILE_SIZE_MB,
+  createCaption,
+  toWebVttFile,
+  validateCaptionFile,
+} from "../../../../../utils/captions"
+
+// WebVTT / SRT caption files of a video lecture, one per language
+export default function CaptionUploader({ value = [], onChange, disabled = false }) {
+  const fileInputRef = useRef(null)
+
+  const handleFileSelect = async (e) => {
+    const selected = Array.from(e.target.files || [])
+    e.target.value = ""
+    const added = []
+    for (const file of selected) {
+      const error = validateCaptionFile(file)
+      if (error) {
+        toast.error(error)
+        continue
+      }
+      const vttFile = await toWebVttFile(file)
+      if (!vttFile) {
+        toast.error(`No captions found in ${file.name}`)
+        continue
+      }
+      // default to the first language that has no track yet
+      const used = [...value, ...added].map((caption) => caption.language)
+      const language = CAPTION_LANGUAGES.find(({ code }) => !used.includes(code))?.code || CAPTION_LANGUAGES[0].code
+      added.push(createCaption(language, vttFile))
+    }
+    if (added.length) onChange([...value, ...added])
+  }
+
+  const updateLanguage = (index, language) => {
+    onChange(value.map((caption, i) => (i === index ? { ...caption, language } : caption)))
+  }
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <p className="text-sm text-richblack-5">Captions</p>
+        <p className="text-xs text-richblack-300">
+          WebVTT (.vtt) or SRT (.srt), up to {MAX_CAPTION_FILE_SIZE_MB}MB. Captions also power the lecture transcript and course search.
+        </p>
+      </div>
+      {value.map((caption, index) => (
+        <div key={caption._id} className="flex items-center gap-3">
+          <select
+            value={caption.language}
+            disabled={disabled}
+            onChange={(e) => updateLanguage(index, e.target.value)}
+            className="form-style w-40"
+          >
+            {CAPTION_LANGUAGES.map((language) => (
+              <option key={language.code} value={language.code}>
+                {language.label}
+              </option>
+            ))}
+          </select>
+          <span className="flex flex-1 items-center gap-2 truncate text-sm text-richblack-100">
+            <FiFileText className="shrink-0" />
+            {caption.file ? (
+              caption.file.name
+            ) : (
+              <a href={caption.url} target="_blank" rel="noreferrer" className="truncate text-blue-100 hover:underline">
+                Uploaded captions
+              </a>
+            )}
+          </span>
+          <button
+            type="button"
+            disabled={disabled}
+            onClick={() => onChange(value.filter((_, i) => i !== index))}
+            className="text-richblack-300 hover:text-red-400"
+          >
+            <RiDeleteBin6Line className="text-xl" />
+          </button>
+        </div>
+      ))}
+      {!disabled && (
+        <>
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            className="flex items-center gap-1 text-sm text-yellow-50"
+          >
+            <RiAddLine className="text-lg" />
+            Add Captions
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept=".vtt,.srt,text/vtt"
+            onChange={handleFileSelect}
+            className="hidden"
+          />
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,170 @@
+import { useState } from "react"
+import { toast } from "react-hot-toast"
+import { IoAddCircleOutline } from "react-icons/io5"
+import { MdEdit } from "react-icons/md"
+import { RiDeleteBin6Line } from "react-icons/ri"
+import { useSelector } from "react-redux"
+
+import { createCohort, deleteCohort, updateCohort } from "../../../../../services/operations/courseDetailsAPI"
+import { formatDate, toDateInputValue } from "../../../../../utils/dateFormatter"
+import ConfirmationModal from "../../../../common/ConfirmationModal"
+
+const EMPTY_FORM = { name: "", startDate: "", endDate: "", capacity: "" }
+
+// Course cohorts, saved as soon as they are added or edited. Students are placed in a
+// cohort when they enroll and drip schedules count from its start date.
+export default function CohortManager({ courseId, cohorts = [], onChange }) {
+  const { token } = useSelector((state) => state.auth)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [editingId, setEditingId] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [confirmationModal, setConfirmationModal] = useState(null)
+
+  const updateField = (field) => (e) => setForm({ ...form, [field]: e.target.value })
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM)
+    setEditingId(null)
+  }
+
+  const startEdit = (cohort) => {
+    if (editingId === cohort._id) {
+      resetForm()
+      return
+    }
+    setEditingId(cohort._id)
+    setForm({
+      name: cohort.name,
+      startDate: toDateInputValue(cohort.startDate),
+      endDate: toDateInputValue(cohort.endDate),
+      capacity: cohort.capacity ?? "",
+    })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!form.name.trim() || !form.startDate) {
+      toast.error("Cohort name and start date are required")
+      return
+    }
+    if (form.endDate && form.endDate < form.startDate) {
+      toast.error("End date must be after the start date")
+      return
+    }
+
+    const data = {
+      courseId,
+      name: form.name.trim(),
+      startDate: new Date(`${form.startDate}T00:00:00`).toISOString(),
+      endDate: form.endDate ? new Date(`${form.endDate}T23:59:59`).toISOString() : null,
+      capacity: form.capacity ? Number(form.capacity) : null,
+    }
+
+    setLoading(true)
+    const result = editingId
+      ? await updateCohort({ ...data, cohortId: editingId }, token)
+      : await createCohort(data, token)
+    if (result) {
+      onChange(result)
+      resetForm()
+    }
+    setLoading(false)
+  }
+
+  const handleDelete = async (cohortId) => {
+    setConfirmationModal(null)
+    const result = await deleteCohort({ courseId, cohortId }, token)
+    if (result) {
+      onChange(result)
+      if (editingId === cohortId) resetForm()
+    }
+  }
+
+  return (
+    <div className="space-y-4 rounded-2xl bg-richblack-700 p-6 px-8">
+      <div>
+        <p className="text-lg font-semibold text-richblack-5">Cohorts</p>
+        <p className="text-sm text-richblack-300">
+          Run the course in batches. Section release schedules count from each cohort&apos;s start date.
+        </p>
+      </div>
+
+      {cohorts.length > 0 && (
+        <div className="divide-y divide-richblack-600">
+          {cohorts.map((cohort) => (
+            <div key={cohort._id} className="flex items-center justify-between gap-4 py-2">
+              <div>
+                <p className="font-semibold text-richblack-50">{cohort.name}</p>
+                <p className="text-xs text-richblack-300">
+                  Starts {formatDate(cohort.startDate)}
+                  {cohort.endDate && ` · Ends ${formatDate(cohort.endDate)}`}
+                  {cohort.capacity && ` · ${cohort.studentsCount ?? 0}/${cohort.capacity} seats`}
+                </p>
+              </div>
+              <div className="flex items-center gap-x-3">
+                <button type="button" onClick={() => startEdit(cohort)} className="text-richblack-300 hover:text-richblack-5">
+                  <MdEdit className="text-xl" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() =>
+                    setConfirmationModal({
+                      text1: "Delete this Cohort?",
+                      text2: "Only cohorts without students can be deleted",
+                      btn1Text: "Delete",
+                      btn2Text: "Cancel",
+                      btn1Handler: () => handleDelete(cohort._id),
+                      btn2Handler: () => setConfirmationModal(null),
+                    })
+                  }
+                  className="text-richblack-300 hover:text-red-400"
+                >
+                  <RiDeleteBin6Line className="text-xl" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 gap-3 md:grid-cols-2">
+        <input
+          placeholder="Cohort name, e.g. January 2026 batch"
+          value={form.name}
+          onChange={updateField("name")}
+          disabled={loading}
+          className="form-style w-full md:col-span-2"
+        />
+        <label className="flex flex-col space-y-1 text-sm text-richblack-5">
+          Start date
+          <input type="date" value={form.startDate} onChange={updateField("startDate")} disabled={loading} className="form-style w-full" />
+        </label>
+        <label className="flex flex-col space-y-1 text-sm text-richblack-5">
+          End date (optional)
+          <input type="date" value={form.endDate} onChange={updateField("endDate")} disabled={loading} className="form-style w-full" />
+        </label>
+        <label className="flex flex-col space-y-1 text-sm text-richblack-5">
+          Seats (optional)
+          <input type="number" min={1} value={form.capacity} onChange={updateField("capacity")} disabled={loading} className="form-style w-full" />
+        </label>
+        <div className="flex items-end gap-x-4">
+          <button
+            type="submit"
+            disabled={loading}
+            className="flex items-center gap-2 rounded-md border border-yellow-50 bg-transparent py-2 px-4 text-yellow-50 hover:bg-yellow-50 hover:text-richblack-900 transition-all duration-200"
+          >
+            <IoAddCircleOutline size={20} />
+            {editingId ? "Update Cohort" : "Add Cohort"}
+          </button>
+          {editingId && (
+            <button type="button" onClick={resetForm} className="text-sm text-richblack-300 underline hover:text-richblack-5">
+              Cancel Edit
+            </button>
+          )}
+        </div>
+      </form>
+
+      {confirmationModal && <ConfirmationModal modalData={confirmationModal} />}
+    </div>
+  )
+}
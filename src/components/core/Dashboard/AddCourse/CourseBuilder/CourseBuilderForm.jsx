@@ -9,6 +9,7 @@ import { createSection, updateSection } from "../../../../../services/operations
 import { setCourse, setEditCourse, setStep, } from "../../../../../slices/courseSlice"
 
 import IconBtn from "../../../../common/IconBtn"
+import CohortManager from "./CohortManager"
 import NestedView from "./NestedView"
 
 
@@ -136,6 +137,13 @@ export default function CourseBuilderForm() {
         <NestedView handleChangeEditSectionName={handleChangeEditSectionName} />
       )}
 
+      {/* Cohorts - sections with a drip schedule count from the cohort start */}
+      <CohortManager
+        courseId={course._id}
+        cohorts={course.cohorts || []}
+        onChange={(cohorts) => dispatch(setCourse({ ...course, cohorts }))}
+      />
+
       {/* Next Prev Button */}
       <div className="flex justify-end gap-x-3">
         <button
@@ -1,15 +1,18 @@
 import { useState } from "react"
 import { AiFillCaretDown } from "react-icons/ai"
 import { FaPlus } from "react-icons/fa"
+import { FiClock } from "react-icons/fi"
 import { MdEdit } from "react-icons/md"
 import { RiDeleteBin6Line } from "react-icons/ri"
 import { RxDropdownMenu } from "react-icons/rx"
 import { useDispatch, useSelector } from "react-redux"
 
-import { deleteSection, deleteSubSection } from "../../../../../services/operations/courseDetailsAPI"
+import { deleteSection, deleteSubSection, updateSection } from "../../../../../services/operations/courseDetailsAPI"
 import { setCourse } from "../../../../../slices/courseSlice"
+import { describeDrip } from "../../../../../utils/dripSchedule"
 
 import ConfirmationModal from "../../../../common/ConfirmationModal"
+import SectionDripModal from "./SectionDripModal"
 import SubSectionModal from "./SubSectionModal"
 
 
@@ -27,6 +30,9 @@ export default function NestedView({ handleChangeEditSectionName }) {
   const [editSubSection, setEditSubSection] = useState(null)
   // to keep track of confirmation modal
   const [confirmationModal, setConfirmationModal] = useState(null)
+  // section whose release schedule is being edited
+  const [dripSection, setDripSection] = useState(null)
+  const [dripLoading, setDripLoading] = useState(false)
 
   // Delele Section
   const handleDeleleSection = async (sectionId) => {
@@ -37,6 +43,17 @@ export default function NestedView({ handleChangeEditSectionName }) {
     setConfirmationModal(null)
   }
 
+  // Save Section release schedule
+  const handleSaveDrip = async (drip) => {
+    setDripLoading(true)
+    const result = await updateSection({ sectionId: dripSection._id, courseId: course._id, drip }, token)
+    if (result) {
+      dispatch(setCourse(result))
+      setDripSection(null)
+    }
+    setDripLoading(false)
+  }
+
   // Delete SubSection 
   const handleDeleteSubSection = async (subSectionId, sectionId) => {
     const result = await deleteSubSection({ subSectionId, sectionId, token })
@@ -68,6 +85,11 @@ export default function NestedView({ handleChangeEditSectionName }) {
                 <p className="font-semibold text-richblack-50">
                   {section.sectionName}
                 </p>
+                {describeDrip(section.drip) && (
+                  <span className="rounded-full bg-richblack-600 px-2 py-0.5 text-xs text-yellow-50">
+                    {describeDrip(section.drip)}
+                  </span>
+                )}
               </div>
 
               <div className="flex items-center gap-x-3">
@@ -83,6 +105,11 @@ export default function NestedView({ handleChangeEditSectionName }) {
                   <MdEdit className="text-xl text-richblack-300" />
                 </button>
 
+                {/* Release schedule button */}
+                <button type="button" title="Release schedule" onClick={() => setDripSection(section)}>
+                  <FiClock className="text-xl text-richblack-300" />
+                </button>
+
                 <button
                   onClick={() =>
                     setConfirmationModal({
@@ -116,6 +143,11 @@ export default function NestedView({ handleChangeEditSectionName }) {
                     <p className="font-semibold text-richblack-50">
                       {data.title}
                     </p>
+                    {data.assignment && (
+                      <span className="rounded-full bg-richblack-600 px-2 py-0.5 text-xs text-caribbeangreen-100">
+                        Assignment
+                      </span>
+                    )}
                   </div>
                   <div
                     onClick={(e) => e.stopPropagation()}
@@ -183,6 +215,14 @@ export default function NestedView({ handleChangeEditSectionName }) {
       ) : (
         <></>
       )}
+      {dripSection && (
+        <SectionDripModal
+          section={dripSection}
+          onSave={handleSaveDrip}
+          onClose={() => setDripSection(null)}
+          loading={dripLoading}
+        />
+      )}
       {/* Confirmation Modal */}
       {confirmationModal ? (
         <ConfirmationModal modalData={confirmationModal} />
@@ -0,0 +1,110 @@
+import { useState } from "react"
+import { toast } from "react-hot-toast"
+import { RxCross2 } from "react-icons/rx"
+
+import { toDateInputValue } from "../../../../../utils/dateFormatter"
+import { DRIP_TYPES } from "../../../../../utils/dripSchedule"
+import IconBtn from "../../../../common/IconBtn"
+
+const DRIP_OPTIONS = [
+  { type: DRIP_TYPES.NONE, label: "Available immediately" },
+  { type: DRIP_TYPES.DAYS, label: "Days after the student starts" },
+  { type: DRIP_TYPES.DATE, label: "On a fixed date" },
+]
+
+export default function SectionDripModal({ section, onSave, onClose, loading = false }) {
+  const [type, setType] = useState(section.drip?.type || DRIP_TYPES.NONE)
+  const [days, setDays] = useState(section.drip?.days ?? 7)
+  const [date, setDate] = useState(toDateInputValue(section.drip?.date))
+
+  const handleSave = () => {
+    if (type === DRIP_TYPES.DAYS && (!Number.isInteger(Number(days)) || Number(days) < 0)) {
+      toast.error("Enter a whole number of days")
+      return
+    }
+    if (type === DRIP_TYPES.DATE && !date) {
+      toast.error("Choose a release date")
+      return
+    }
+
+    onSave(
+      type === DRIP_TYPES.DAYS
+        ? { type, days: Number(days) }
+        : type === DRIP_TYPES.DATE
+          // release at the start of the chosen day, in the instructor's time zone
+          ? { type, date: new Date(`${date}T00:00:00`).toISOString() }
+          : { type }
+    )
+  }
+
+  return (
+    <div className="fixed inset-0 z-[1000] !mt-0 grid place-items-center overflow-auto bg-white bg-opacity-10 backdrop-blur-sm">
+      <div className="my-4 w-11/12 max-w-[500px] rounded-lg border border-richblack-400 bg-richblack-800">
+        {/* Modal Header */}
+        <div className="flex items-center justify-between rounded-t-lg bg-richblack-700 p-4 md:p-5">
+          <p className="text-xl font-semibold text-richblack-5">Release Schedule</p>
+          <button onClick={() => (!loading ? onClose() : {})}>
+            <RxCross2 className="text-2xl text-richblack-5" />
+          </button>
+        </div>
+
+        <div className="space-y-6 px-8 py-8">
+          <p className="text-sm text-richblack-300">
+            When should students get access to <span className="font-semibold text-richblack-5">{section.sectionName}</span>?
+            Students in a cohort count days from the cohort start date, others from their enrollment date.
+          </p>
+
+          <div className="space-y-3">
+            {DRIP_OPTIONS.map((option) => (
+              <label key={option.type} className="flex cursor-pointer items-center gap-3 text-richblack-5">
+                <input
+                  type="radio"
+                  name="dripType"
+                  checked={type === option.type}
+                  onChange={() => setType(option.type)}
+                  className="accent-yellow-50"
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+
+          {type === DRIP_TYPES.DAYS && (
+            <div className="flex flex-col space-y-2">
+              <label className="text-sm text-richblack-5" htmlFor="dripDays">
+                Days after start
+              </label>
+              <input
+                id="dripDays"
+                type="number"
+                min={0}
+                value={days}
+                onChange={(e) => setDays(e.target.value)}
+                className="form-style w-full"
+              />
+            </div>
+          )}
+
+          {type === DRIP_TYPES.DATE && (
+            <div className="flex flex-col space-y-2">
+              <label className="text-sm text-richblack-5" htmlFor="dripDate">
+                Release date
+              </label>
+              <input
+                id="dripDate"
+                type="date"
+                value={date}
+                onChange={(e) => setDate(e.target.value)}
+                className="form-style w-full"
+              />
+            </div>
+          )}
+
+          <div className="flex justify-end">
+            <IconBtn disabled={loading} text={loading ? "Saving..." : "Save"} onClick={handleSave} />
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -8,9 +8,21 @@ import {
   createSubSection,
   updateSubSection,
 } from "../../../../../services/operations/courseDetailsAPI"
+import { createAssignment, deleteAssignment, getAssignmentById, updateAssignment } from "../../../../../services/operations/assignmentAPI"
 import { setCourse } from "../../../../../slices/courseSlice"
+import { toAssignmentForm, toAssignmentPayload, validateAssignmentForm } from "../../../../../utils/assignmentRubric"
+import { appendCaptions, validateCaptions } from "../../../../../utils/captions"
+import { toTimelinePayload, validateTimeline } from "../../../../../utils/videoTimeline"
 import IconBtn from "../../../../common/IconBtn"
 import Upload from "../Upload"
+import AssignmentForm from "./AssignmentForm"
+import CaptionUploader from "./CaptionUploader"
+import VideoTimelineEditor from "./VideoTimelineEditor"
+
+const LECTURE_TYPES = [
+  { type: "video", label: "Video Lecture" },
+  { type: "assignment", label: "Assignment" },
+]
 
 export default function SubSectionModal({ modalData, setModalData, add = false, view = false, edit = false, }) {
   const {
@@ -26,6 +38,31 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
   const { token } = useSelector((state) => state.auth)
   const { course } = useSelector((state) => state.course)
 
+  // assignment subsections have no video, they collect student submissions instead
+  const assignmentId = modalData?.assignment?._id || modalData?.assignment
+  const [lectureType, setLectureType] = useState(assignmentId ? "assignment" : "video")
+  const [assignmentForm, setAssignmentForm] = useState(() => toAssignmentForm(null))
+  const [savedAssignmentForm, setSavedAssignmentForm] = useState(null)
+
+  // chapter markers and checkpoint questions of a video lecture
+  const [savedTimeline] = useState(() => ({
+    chapters: modalData?.chapters || [],
+    checkpoints: modalData?.checkpoints || [],
+  }))
+  const [timeline, setTimeline] = useState(savedTimeline)
+  const isTimelineUpdated = () => JSON.stringify(timeline) !== JSON.stringify(savedTimeline)
+
+  const appendTimeline = (formData) => {
+    const { chapters, checkpoints } = toTimelinePayload(timeline)
+    formData.append("chapters", JSON.stringify(chapters))
+    formData.append("checkpoints", JSON.stringify(checkpoints))
+  }
+
+  // caption tracks, one per language
+  const [savedCaptions] = useState(() => modalData?.captions || [])
+  const [captions, setCaptions] = useState(savedCaptions)
+  const isCaptionsUpdated = () => JSON.stringify(captions) !== JSON.stringify(savedCaptions)
+
   useEffect(() => {
     if (view || edit) {
       setValue("lectureTitle", modalData.title)
@@ -34,13 +71,84 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
     }
   }, [])
 
+  useEffect(() => {
+    if (!(view || edit) || !assignmentId) return
+    const fetchAssignment = async () => {
+      const assignment = await getAssignmentById(assignmentId, token)
+      if (assignment) {
+        setAssignmentForm(toAssignmentForm(assignment))
+        setSavedAssignmentForm(toAssignmentForm(assignment))
+      }
+    }
+    fetchAssignment()
+  }, [view, edit, assignmentId, token])
+
+  // replace the updated section in the course structure
+  const updateCourseSection = (sectionId, updatedSection) => {
+    const updatedCourseContent = course.courseContent.map((section) =>
+      section._id === sectionId ? updatedSection : section
+    )
+    dispatch(setCourse({ ...course, courseContent: updatedCourseContent }))
+  }
+
+  // create or update an assignment subsection
+  const handleSaveAssignment = async (data) => {
+    const error = validateAssignmentForm(assignmentForm)
+    if (error) {
+      toast.error(error)
+      return
+    }
+
+    setLoading(true)
+    const payload = toAssignmentPayload(assignmentForm)
+    if (edit) {
+      const assignmentChanged = JSON.stringify(assignmentForm) !== JSON.stringify(savedAssignmentForm)
+      if (!assignmentChanged && !isFormUpdated()) {
+        toast.error("No changes made to the form")
+        setLoading(false)
+        return
+      }
+      if (assignmentChanged && !(await updateAssignment(assignmentId, payload, token))) {
+        setLoading(false)
+        return
+      }
+      if (isFormUpdated()) {
+        await handleEditSubsection()
+      } else {
+        setModalData(null)
+      }
+      setLoading(false)
+      return
+    }
+
+    const assignment = await createAssignment({ ...payload, courseId: course._id }, token)
+    if (assignment) {
+      const formData = new FormData()
+      formData.append("sectionId", modalData)
+      formData.append("title", data.lectureTitle)
+      formData.append("description", data.lectureDesc)
+      formData.append("assignment", assignment._id)
+      const result = await createSubSection(formData, token)
+      if (result) {
+        updateCourseSection(modalData, result)
+        setModalData(null)
+      } else {
+        // don't leave an assignment behind that no lecture points to
+        await deleteAssignment(assignment._id, token)
+      }
+    }
+    setLoading(false)
+  }
+
   // detect whether form is updated or not
   const isFormUpdated = () => {
     const currentValues = getValues()
     if (
       currentValues.lectureTitle !== modalData.title ||
       currentValues.lectureDesc !== modalData.description ||
-      currentValues.lectureVideo !== modalData.videoUrl
+      currentValues.lectureVideo !== modalData.videoUrl ||
+      isTimelineUpdated() ||
+      isCaptionsUpdated()
     ) {
       return true
     }
@@ -65,6 +173,12 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
       if (currentValues.lectureVideo !== modalData.videoUrl) {
         formData.append("videoFile", currentValues.lectureVideo)
       }
+      if (isTimelineUpdated()) {
+        appendTimeline(formData)
+      }
+      if (isCaptionsUpdated()) {
+        appendCaptions(formData, captions)
+      }
       
       const result = await updateSubSection(formData, token)
       if (result) {
@@ -89,6 +203,23 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
   const onSubmit = async (data) => {
     if (view) return
 
+    if (lectureType === "assignment") {
+      handleSaveAssignment(data)
+      return
+    }
+
+    const timelineError = validateTimeline(timeline)
+    if (timelineError) {
+      toast.error(timelineError)
+      return
+    }
+
+    const captionsError = validateCaptions(captions)
+    if (captionsError) {
+      toast.error(captionsError)
+      return
+    }
+
     if (edit) {
       if (!isFormUpdated()) {
         toast.error("No changes made to the form")
@@ -121,6 +252,8 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
       formData.append("title", data.lectureTitle)
       formData.append("description", data.lectureDesc)
       formData.append("video", data.lectureVideo)
+      appendTimeline(formData)
+      appendCaptions(formData, captions)
 
       // Create subsection with timeout
       const timeoutDuration = 300000 // 5 minutes
@@ -170,7 +303,7 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
         {/* Modal Header */}
         <div className="sticky top-0 z-10 flex items-center justify-between rounded-t-lg bg-richblack-700 p-4 md:p-5">
           <p className="text-xl font-semibold text-richblack-5">
-            {view && "Viewing"} {add && "Adding"} {edit && "Editing"} Lecture
+            {view && "Viewing"} {add && "Adding"} {edit && "Editing"} {lectureType === "assignment" ? "Assignment" : "Lecture"}
           </p>
           <button onClick={() => (!loading ? setModalData(null) : {})}>
             <RxCross2 className="text-2xl text-richblack-5" />
@@ -182,17 +315,38 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
           onSubmit={handleSubmit(onSubmit)}
           className="space-y-8 px-8 py-10"
         >
+          {/* Lecture Type - fixed once the lecture is created */}
+          {add && (
+            <div className="flex gap-2 rounded-full bg-richblack-700 p-1 w-max">
+              {LECTURE_TYPES.map(({ type, label }) => (
+                <button
+                  key={type}
+                  type="button"
+                  disabled={loading}
+                  onClick={() => setLectureType(type)}
+                  className={`rounded-full px-4 py-1.5 text-sm font-medium transition-all duration-200 ${
+                    lectureType === type ? "bg-richblack-900 text-richblack-5" : "text-richblack-200"
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+
           {/* Lecture Video Upload */}
-          <Upload
-            name="lectureVideo"
-            label="Lecture Video"
-            register={register}
-            setValue={setValue}
-            errors={errors}
-            video={true}
-            viewData={view ? modalData.videoUrl : null}
-            editData={edit ? modalData.videoUrl : null}
-          />
+          {lectureType === "video" && (
+            <Upload
+              name="lectureVideo"
+              label="Lecture Video"
+              register={register}
+              setValue={setValue}
+              errors={errors}
+              video={true}
+              viewData={view ? modalData.videoUrl : null}
+              editData={edit ? modalData.videoUrl : null}
+            />
+          )}
           
           {/* Lecture Title */}
           <div className="flex flex-col space-y-2">
@@ -233,6 +387,21 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
             )}
           </div>
 
+          {/* Captions */}
+          {lectureType === "video" && (
+            <CaptionUploader value={captions} onChange={setCaptions} disabled={view || loading} />
+          )}
+
+          {/* Chapters and Checkpoints */}
+          {lectureType === "video" && (
+            <VideoTimelineEditor value={timeline} onChange={setTimeline} disabled={view || loading} />
+          )}
+
+          {/* Assignment Settings */}
+          {lectureType === "assignment" && (
+            <AssignmentForm value={assignmentForm} onChange={setAssignmentForm} disabled={view || loading} />
+          )}
+
           {!view && (
             <div className="flex justify-end">
               <IconBtn
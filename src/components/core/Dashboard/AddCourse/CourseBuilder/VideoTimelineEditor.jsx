@@ -0,0 +1,233 @@
+import { useState } from "react"
+import { RiAddLine, RiDeleteBin6Line } from "react-icons/ri"
+
+import {
+  CHECKPOINT_QUESTION_TYPES,
+  createChapter,
+  createCheckpoint,
+  formatTimestamp,
+  parseTimestamp,
+} from "../../../../../utils/videoTimeline"
+import { parseTags } from "../../../../../utils/quizShuffler"
+
+// mm:ss text field that reports seconds once the value can be read
+function TimestampInput({ value, onChange, disabled }) {
+  const [text, setText] = useState(formatTimestamp(value))
+
+  const handleBlur = () => {
+    const seconds = parseTimestamp(text)
+    if (seconds === null) {
+      setText(formatTimestamp(value))
+      return
+    }
+    setText(formatTimestamp(seconds))
+    onChange(seconds)
+  }
+
+  return (
+    <input
+      value={text}
+      disabled={disabled}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={handleBlur}
+      placeholder="m:ss"
+      title="Timestamp (m:ss)"
+      className="form-style w-24 text-center"
+    />
+  )
+}
+
+// Comma separated keywords, kept as typed while reporting the parsed list
+function KeywordsInput({ value = [], onChange, disabled }) {
+  const [text, setText] = useState(value.join(", "))
+
+  return (
+    <input
+      value={text}
+      disabled={disabled}
+      onChange={(e) => {
+        setText(e.target.value)
+        onChange(parseTags(e.target.value))
+      }}
+      placeholder="Keywords (comma separated)"
+      title="Answers containing one of these keywords are marked correct"
+      className="form-style w-full"
+    />
+  )
+}
+
+// Chapter markers and checkpoint questions for a video lecture
+export default function VideoTimelineEditor({ value, onChange, disabled = false }) {
+  const { chapters, checkpoints } = value
+
+  const updateChapter = (index, field, fieldValue) => {
+    onChange({
+      ...value,
+      chapters: chapters.map((chapter, i) => (i === index ? { ...chapter, [field]: fieldValue } : chapter)),
+    })
+  }
+
+  const updateCheckpoint = (index, changes) => {
+    onChange({
+      ...value,
+      checkpoints: checkpoints.map((checkpoint, i) => (i === index ? { ...checkpoint, ...changes } : checkpoint)),
+    })
+  }
+
+  const updateQuestion = (index, changes) => {
+    updateCheckpoint(index, { question: { ...checkpoints[index].question, ...changes } })
+  }
+
+  const toggleCorrectAnswer = (index, optionIndex) => {
+    const { question } = checkpoints[index]
+    if (question.questionType === "multipleChoice") {
+      const correctAnswers = question.correctAnswers.includes(optionIndex)
+        ? question.correctAnswers.filter((i) => i !== optionIndex)
+        : [...question.correctAnswers, optionIndex]
+      updateQuestion(index, { correctAnswers })
+    } else {
+      updateQuestion(index, { correctAnswer: optionIndex })
+    }
+  }
+
+  const lastTime = (items) => (items.length ? items[items.length - 1].time + 60 : 0)
+
+  return (
+    <div className="space-y-6">
+      {/* Chapters */}
+      <div className="space-y-3">
+        <div>
+          <p className="text-sm text-richblack-5">Chapters</p>
+          <p className="text-xs text-richblack-300">Let students jump to the parts of the lecture they need.</p>
+        </div>
+        {chapters.map((chapter, index) => (
+          <div key={chapter._id} className="flex items-center gap-3">
+            <TimestampInput value={chapter.time} disabled={disabled} onChange={(time) => updateChapter(index, "time", time)} />
+            <input
+              value={chapter.title}
+              disabled={disabled}
+              onChange={(e) => updateChapter(index, "title", e.target.value)}
+              placeholder="Chapter title"
+              className="form-style flex-1"
+            />
+            <button
+              type="button"
+              disabled={disabled}
+              onClick={() => onChange({ ...value, chapters: chapters.filter((_, i) => i !== index) })}
+              className="text-richblack-300 hover:text-red-400"
+            >
+              <RiDeleteBin6Line className="text-xl" />
+            </button>
+          </div>
+        ))}
+        {!disabled && (
+          <button
+            type="button"
+            onClick={() => onChange({ ...value, chapters: [...chapters, createChapter(lastTime(chapters))] })}
+            className="flex items-center gap-1 text-sm text-yellow-50"
+          >
+            <RiAddLine className="text-lg" />
+            Add Chapter
+          </button>
+        )}
+      </div>
+
+      {/* Checkpoints */}
+      <div className="space-y-3">
+        <div>
+          <p className="text-sm text-richblack-5">Checkpoint questions</p>
+          <p className="text-xs text-richblack-300">
+            The video pauses at each checkpoint. Students must answer every checkpoint to complete the lecture.
+          </p>
+        </div>
+        {checkpoints.map((checkpoint, index) => {
+          const { question } = checkpoint
+          const hasOptions = question.questionType !== "shortAnswer"
+          return (
+            <div key={checkpoint._id} className="space-y-3 rounded-lg border border-richblack-600 bg-richblack-700 p-4">
+              <div className="flex items-center gap-3">
+                <TimestampInput value={checkpoint.time} disabled={disabled} onChange={(time) => updateCheckpoint(index, { time })} />
+                <select
+                  value={question.questionType}
+                  disabled={disabled}
+                  onChange={(e) => updateQuestion(index, { questionType: e.target.value, correctAnswers: [], correctAnswer: null })}
+                  className="form-style flex-1"
+                >
+                  {CHECKPOINT_QUESTION_TYPES.map((type) => (
+                    <option key={type.value} value={type.value}>
+                      {type.label}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  disabled={disabled}
+                  onClick={() => onChange({ ...value, checkpoints: checkpoints.filter((_, i) => i !== index) })}
+                  className="text-richblack-300 hover:text-red-400"
+                >
+                  <RiDeleteBin6Line className="text-xl" />
+                </button>
+              </div>
+              <textarea
+                value={question.questionText}
+                disabled={disabled}
+                onChange={(e) => updateQuestion(index, { questionText: e.target.value })}
+                placeholder="Question"
+                className="form-style min-h-[60px] w-full"
+              />
+              {hasOptions &&
+                question.options.map((option, optionIndex) => (
+                  <div key={optionIndex} className="flex items-center gap-3">
+                    <input
+                      type={question.questionType === "multipleChoice" ? "checkbox" : "radio"}
+                      name={`checkpoint-${checkpoint._id}`}
+                      disabled={disabled}
+                      checked={
+                        question.questionType === "multipleChoice"
+                          ? question.correctAnswers.includes(optionIndex)
+                          : question.correctAnswer === optionIndex
+                      }
+                      onChange={() => toggleCorrectAnswer(index, optionIndex)}
+                      title="Correct answer"
+                      className="h-4 w-4"
+                    />
+                    <input
+                      value={option}
+                      disabled={disabled}
+                      onChange={(e) =>
+                        updateQuestion(index, {
+                          options: question.options.map((o, i) => (i === optionIndex ? e.target.value : o)),
+                        })
+                      }
+                      placeholder={`Option ${optionIndex + 1}`}
+                      className="form-style flex-1"
+                    />
+                  </div>
+                ))}
+              {!hasOptions && (
+                <div className="space-y-1">
+                  <KeywordsInput
+                    value={question.keywords}
+                    disabled={disabled}
+                    onChange={(keywords) => updateQuestion(index, { keywords })}
+                  />
+                  <p className="text-xs text-richblack-300">Answers containing one of these keywords are marked correct.</p>
+                </div>
+              )}
+            </div>
+          )
+        })}
+        {!disabled && (
+          <button
+            type="button"
+            onClick={() => onChange({ ...value, checkpoints: [...checkpoints, createCheckpoint(lastTime(checkpoints))] })}
+            className="flex items-center gap-1 text-sm text-yellow-50"
+          >
+            <RiAddLine className="text-lg" />
+            Add Checkpoint
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
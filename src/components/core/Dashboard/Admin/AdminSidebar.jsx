@@ -1,6 +1,6 @@
 import { useEffect, useState } from "react";
 import { useSelector, useDispatch } from 'react-redux';
-import { FaUsers, FaBookOpen, FaChartBar, FaGraduationCap, FaQuestionCircle, FaStar, FaComments, FaTag, FaChartLine, FaCommentDots, FaBriefcase, FaEnvelope, FaSmile } from 'react-icons/fa';
+import { FaUsers, FaBookOpen, FaChartBar, FaGraduationCap, FaQuestionCircle, FaStar, FaComments, FaTag, FaChartLine, FaCommentDots, FaBriefcase, FaEnvelope, FaSmile, FaLayerGroup, FaCertificate, FaFlag, FaBoxOpen, FaCrown, FaUserShield, FaHistory } from 'react-icons/fa';
 import { MdSettings, MdKeyboardArrowLeft, MdKeyboardArrowRight } from 'react-icons/md';
 import { FiBell } from 'react-icons/fi';
 import { VscSignOut, VscPackage, VscGitPullRequestCreate, VscSymbolClass } from "react-icons/vsc";
@@ -10,6 +10,7 @@ import { useNavigate } from "react-router-dom";
 import { toggleSidebarCollapse, setOpenSideMenu, setScreenSize } from '../../../../slices/sidebarSlice';
 import { logout } from "../../../../services/operations/authAPI";
 import ConfirmationModal from "../../../common/ConfirmationModal";
+import { canViewTab } from "../../../../utils/permissions";
 
 const AdminSidebar = ({ activeTab, onTabChange }) => {
   const { isCollapsed, openSideMenu, screenSize } = useSelector((state) => state.sidebar);
@@ -20,25 +21,33 @@ const AdminSidebar = ({ activeTab, onTabChange }) => {
   const [confirmationModal, setConfirmationModal] = useState(null);
 
   // Sidebar navigation items
-  const sidebarItems = [
+  const allSidebarItems = [
     { id: 'analytics', label: 'Analytics', icon: <FaChartBar size={16} /> },
     { id: 'users', label: 'Users', icon: <FaUsers size={16} /> },
     { id: 'courses', label: 'Courses', icon: <FaBookOpen size={16} /> },
     { id: 'categories', label: 'Course Categories', icon: <VscSymbolClass size={16} /> },
     { id: 'studentProgress', label: 'Student Progress', icon: <FaChartLine size={16} /> },
     { id: 'quizzes', label: 'Quiz Management', icon: <FaQuestionCircle size={16} /> },
+    { id: 'questionBank', label: 'Question Bank', icon: <FaLayerGroup size={16} /> },
     { id: 'featuredCourses', label: 'Featured Courses', icon: <FaStar size={16} /> },
     { id: 'reviews', label: 'Review', icon: <FaSmile size={16} /> },
     { id: 'accessRequests', label: 'Access Requests', icon: <FaUsers size={16} /> },
     { id: 'bundleRequests', label: 'Bundle Requests', icon: <VscGitPullRequestCreate size={16} /> },
+    { id: 'bundleRules', label: 'Bundle Pricing', icon: <FaBoxOpen size={16} /> },
     { id: 'orders', label: 'Orders', icon: <VscPackage size={16} /> },
+    { id: 'memberships', label: 'Memberships', icon: <FaCrown size={16} /> },
     { id: 'coupons', label: 'Coupons', icon: <FaTag size={16} /> },
+    { id: 'certificateTemplates', label: 'Certificate Templates', icon: <FaCertificate size={16} /> },
     { id: 'careers', label: 'Careers', icon: <FaBriefcase size={16} /> },
     { id: 'notifications', label: 'Notifications', icon: <FiBell size={16} /> },
     { id: 'contactMessages', label: 'Contact Messages', icon: <FaEnvelope size={16} /> },
     { id: 'faqs', label: 'FAQ Management', icon: <FaComments size={16} /> },
     { id: 'chats', label: 'Manage Chats', icon: <FaCommentDots size={16} /> },
+    { id: 'discussions', label: 'Discussions', icon: <FaFlag size={16} /> },
+    { id: 'roles', label: 'Roles & Permissions', icon: <FaUserShield size={16} /> },
+    { id: 'activityLog', label: 'Activity Log', icon: <FaHistory size={16} /> },
   ];
+  const sidebarItems = allSidebarItems.filter((item) => canViewTab(user, item.id));
 
   useEffect(() => {
     const handleResize = () => dispatch(setScreenSize(window.innerWidth));
@@ -124,7 +133,7 @@ const AdminSidebar = ({ activeTab, onTabChange }) => {
                       {user?.firstName} {user?.lastName}
                     </h3>
                     <p className="text-richblack-200 text-xs truncate capitalize">
-                      Admin
+                      {user?.adminRole?.name || 'Admin'}
                     </p>
                   </div>
                 )}
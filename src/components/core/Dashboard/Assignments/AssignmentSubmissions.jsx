@@ -0,0 +1,169 @@
+import { useEffect, useState } from "react"
+import { useSelector } from "react-redux"
+
+import { getInstructorSubmissions } from "../../../../services/operations/assignmentAPI"
+import { fetchInstructorCourses } from "../../../../services/operations/courseDetailsAPI"
+import { SUBMISSION_STATUS, getRubricTotal, getSubmissionScore } from "../../../../utils/assignmentRubric"
+import { formatDate } from "../../../../utils/dateFormatter"
+import GradeSubmissionModal from "./GradeSubmissionModal"
+
+const STATUS_FILTERS = [
+  { value: SUBMISSION_STATUS.SUBMITTED, label: "To Grade" },
+  { value: SUBMISSION_STATUS.GRADED, label: "Graded" },
+  { value: SUBMISSION_STATUS.RESUBMIT, label: "Resubmission Requested" },
+  { value: "", label: "All" },
+]
+
+const STATUS_LABELS = {
+  [SUBMISSION_STATUS.SUBMITTED]: { label: "To grade", className: "text-yellow-50" },
+  [SUBMISSION_STATUS.GRADED]: { label: "Graded", className: "text-caribbeangreen-100" },
+  [SUBMISSION_STATUS.RESUBMIT]: { label: "Resubmit", className: "text-pink-200" },
+}
+
+export default function AssignmentSubmissions() {
+  const { token } = useSelector((state) => state.auth)
+  const { user } = useSelector((state) => state.profile)
+  const [courses, setCourses] = useState([])
+  const [courseId, setCourseId] = useState("")
+  const [status, setStatus] = useState(SUBMISSION_STATUS.SUBMITTED)
+  const [submissions, setSubmissions] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [gradingSubmission, setGradingSubmission] = useState(null)
+
+  useEffect(() => {
+    const fetchCourses = async () => {
+      const result = await fetchInstructorCourses(token, user?.accountType)
+      if (result) {
+        setCourses(result)
+      }
+    }
+    fetchCourses()
+  }, [token, user?.accountType])
+
+  useEffect(() => {
+    const fetchSubmissions = async () => {
+      setLoading(true)
+      const params = {}
+      if (courseId) params.courseId = courseId
+      if (status) params.status = status
+      const result = await getInstructorSubmissions(params, token)
+      setSubmissions(result || [])
+      setLoading(false)
+    }
+    fetchSubmissions()
+  }, [courseId, status, token])
+
+  const handleGraded = (updated) => {
+    setSubmissions((prev) =>
+      status && updated.status !== status
+        ? prev.filter((s) => s._id !== updated._id)
+        : prev.map((s) => (s._id === updated._id ? { ...s, ...updated } : s))
+    )
+    setGradingSubmission(null)
+  }
+
+  return (
+    <div className="w-full">
+      <div className="mb-8 flex flex-col gap-4 md:flex-row md:items-center md:justify-between">
+        <h1 className="text-2xl md:text-4xl font-medium text-richblack-5 font-boogaloo text-center md:text-left">
+          Assignments
+        </h1>
+        <select
+          value={courseId}
+          onChange={(e) => setCourseId(e.target.value)}
+          className="form-style md:w-72"
+        >
+          <option value="">All courses</option>
+          {courses.map((course) => (
+            <option key={course._id} value={course._id}>
+              {course.courseName}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {/* Status Tabs */}
+      <div className="mb-6 flex flex-wrap gap-2">
+        {STATUS_FILTERS.map((filter) => (
+          <button
+            key={filter.label}
+            onClick={() => setStatus(filter.value)}
+            className={`rounded-full px-4 py-1.5 text-sm font-medium transition-all duration-200 ${
+              status === filter.value
+                ? "bg-yellow-50 text-richblack-900"
+                : "bg-richblack-700 text-richblack-200 hover:bg-richblack-600"
+            }`}
+          >
+            {filter.label}
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-yellow-50"></div>
+        </div>
+      ) : submissions.length === 0 ? (
+        <p className="py-12 text-center text-richblack-300">No submissions here yet.</p>
+      ) : (
+        <div className="w-full overflow-x-auto rounded-xl border border-richblack-700">
+          <table className="w-full text-left text-sm text-richblack-5">
+            <thead className="bg-richblack-800 text-richblack-200">
+              <tr>
+                <th className="px-4 py-3 font-medium">Student</th>
+                <th className="px-4 py-3 font-medium">Assignment</th>
+                <th className="px-4 py-3 font-medium">Submitted</th>
+                <th className="px-4 py-3 font-medium">Status</th>
+                <th className="px-4 py-3 font-medium">Score</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-richblack-700">
+              {submissions.map((submission) => {
+                const statusLabel = STATUS_LABELS[submission.status]
+                return (
+                  <tr key={submission._id} className="hover:bg-richblack-800">
+                    <td className="px-4 py-3">
+                      <p className="font-medium">{submission.student?.firstName} {submission.student?.lastName}</p>
+                      <p className="text-xs text-richblack-300">{submission.student?.email}</p>
+                    </td>
+                    <td className="px-4 py-3">
+                      <p>{submission.subSection?.title}</p>
+                      <p className="text-xs text-richblack-300">{submission.course?.courseName}</p>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      {formatDate(submission.submittedAt)}
+                      {submission.isLate && <span className="ml-1 text-xs text-pink-200">late</span>}
+                    </td>
+                    <td className={`px-4 py-3 ${statusLabel?.className || ""}`}>{statusLabel?.label || submission.status}</td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      {submission.status === SUBMISSION_STATUS.GRADED
+                        ? `${getSubmissionScore(submission.scores)} / ${getRubricTotal(submission.assignment?.rubric)}`
+                        : "-"}
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      <button
+                        onClick={() => setGradingSubmission(submission)}
+                        className="rounded-md border border-yellow-50 px-3 py-1 text-yellow-50 hover:bg-yellow-50 hover:text-richblack-900 transition-all duration-200"
+                      >
+                        {submission.status === SUBMISSION_STATUS.SUBMITTED ? "Grade" : "Review"}
+                      </button>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {gradingSubmission && (
+        <GradeSubmissionModal
+          submission={gradingSubmission}
+          onGraded={handleGraded}
+          onClose={() => setGradingSubmission(null)}
+        />
+      )}
+    </div>
+  )
+}
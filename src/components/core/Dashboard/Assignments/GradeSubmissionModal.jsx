@@ -0,0 +1,177 @@
+import { useState } from "react"
+import { toast } from "react-hot-toast"
+import { FiFile } from "react-icons/fi"
+import { RxCross2 } from "react-icons/rx"
+import { useSelector } from "react-redux"
+
+import { gradeSubmission } from "../../../../services/operations/assignmentAPI"
+import {
+  SUBMISSION_STATUS,
+  getRubricTotal,
+  getSubmissionScore,
+  isPassingScore,
+} from "../../../../utils/assignmentRubric"
+import { formatDate } from "../../../../utils/dateFormatter"
+import IconBtn from "../../../common/IconBtn"
+
+// Scores a submission against its assignment rubric, or sends it back for resubmission
+export default function GradeSubmissionModal({ submission, onGraded, onClose }) {
+  const { token } = useSelector((state) => state.auth)
+  const { assignment } = submission
+  const [scores, setScores] = useState(() =>
+    assignment.rubric.map((criterion) => {
+      const existing = submission.scores?.find((s) => s.criterionId === criterion._id)
+      return { criterionId: criterion._id, points: existing?.points ?? "", comment: existing?.comment || "" }
+    })
+  )
+  const [feedback, setFeedback] = useState(submission.feedback || "")
+  const [loading, setLoading] = useState(false)
+
+  const totalPoints = getRubricTotal(assignment.rubric)
+  const score = getSubmissionScore(scores)
+  const passed = isPassingScore(score, assignment)
+
+  const updateScore = (index, field, value) => {
+    setScores(scores.map((s, i) => (i === index ? { ...s, [field]: value } : s)))
+  }
+
+  const handleSave = async (status) => {
+    if (status === SUBMISSION_STATUS.GRADED) {
+      const invalid = scores.some((s, i) => {
+        const points = Number(s.points)
+        return s.points === "" || points < 0 || points > Number(assignment.rubric[i].maxPoints)
+      })
+      if (invalid) {
+        toast.error("Score every criterion within its points range")
+        return
+      }
+    } else if (!feedback.trim()) {
+      toast.error("Tell the student what to change before requesting a resubmission")
+      return
+    }
+
+    setLoading(true)
+    const result = await gradeSubmission(
+      submission._id,
+      {
+        status,
+        feedback: feedback.trim(),
+        scores: status === SUBMISSION_STATUS.GRADED
+          ? scores.map((s) => ({ ...s, points: Number(s.points), comment: s.comment.trim() }))
+          : [],
+      },
+      token
+    )
+    setLoading(false)
+    if (result) {
+      onGraded(result)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-[1000] !mt-0 grid place-items-center overflow-auto bg-white bg-opacity-10 backdrop-blur-sm">
+      <div className="my-4 w-11/12 max-w-[800px] rounded-lg border border-richblack-400 bg-richblack-800">
+        {/* Modal Header */}
+        <div className="sticky top-0 z-10 flex items-center justify-between rounded-t-lg bg-richblack-700 p-4 md:p-5">
+          <div>
+            <p className="text-xl font-semibold text-richblack-5">{submission.subSection?.title}</p>
+            <p className="text-sm text-richblack-300">
+              {submission.student?.firstName} {submission.student?.lastName} · Submitted {formatDate(submission.submittedAt)}
+              {submission.isLate && <span className="ml-2 text-pink-200">(late)</span>}
+            </p>
+          </div>
+          <button onClick={() => (!loading ? onClose() : {})}>
+            <RxCross2 className="text-2xl text-richblack-5" />
+          </button>
+        </div>
+
+        <div className="space-y-6 px-8 py-8 text-richblack-5">
+          {/* Submitted Work */}
+          <div className="space-y-2">
+            <p className="text-sm font-semibold text-richblack-200">Submitted files</p>
+            <ul className="space-y-2">
+              {submission.files?.map((file) => (
+                <li key={file.url}>
+                  <a href={file.url} target="_blank" rel="noreferrer" className="flex items-center gap-2 text-sm text-blue-100 hover:underline">
+                    <FiFile /> {file.name}
+                  </a>
+                </li>
+              ))}
+            </ul>
+            {submission.comment && (
+              <p className="whitespace-pre-wrap rounded-md bg-richblack-700 p-3 text-sm text-richblack-100">{submission.comment}</p>
+            )}
+          </div>
+
+          {/* Rubric Scores */}
+          <div className="space-y-3">
+            <p className="text-sm font-semibold text-richblack-200">Rubric</p>
+            {assignment.rubric.map((criterion, index) => (
+              <div key={criterion._id} className="space-y-2 rounded-lg border border-richblack-600 bg-richblack-700 p-4">
+                <div className="flex items-start justify-between gap-4">
+                  <div>
+                    <p className="font-medium">{criterion.title}</p>
+                    {criterion.description && <p className="text-sm text-richblack-300">{criterion.description}</p>}
+                  </div>
+                  <div className="flex items-center gap-2 text-sm">
+                    <input
+                      type="number"
+                      min={0}
+                      max={criterion.maxPoints}
+                      disabled={loading}
+                      value={scores[index].points}
+                      onChange={(e) => updateScore(index, "points", e.target.value)}
+                      className="form-style w-20"
+                    />
+                    <span className="whitespace-nowrap text-richblack-300">/ {criterion.maxPoints}</span>
+                  </div>
+                </div>
+                <textarea
+                  disabled={loading}
+                  value={scores[index].comment}
+                  onChange={(e) => updateScore(index, "comment", e.target.value)}
+                  placeholder="Comment on this criterion (optional)"
+                  className="form-style min-h-[50px] w-full"
+                />
+              </div>
+            ))}
+          </div>
+
+          {/* Overall Feedback */}
+          <div className="flex flex-col space-y-2">
+            <label className="text-sm font-semibold text-richblack-200" htmlFor="gradeFeedback">
+              Overall feedback
+            </label>
+            <textarea
+              id="gradeFeedback"
+              disabled={loading}
+              value={feedback}
+              onChange={(e) => setFeedback(e.target.value)}
+              className="form-style min-h-[100px] w-full"
+            />
+          </div>
+
+          <div className="flex flex-col-reverse items-center justify-between gap-4 sm:flex-row">
+            <p className="text-sm">
+              Total <span className="font-semibold">{score} / {totalPoints}</span>
+              <span className={`ml-2 ${passed ? "text-caribbeangreen-100" : "text-pink-200"}`}>
+                {passed ? "Pass" : `Below ${assignment.passingPercentage}% pass mark`}
+              </span>
+            </p>
+            <div className="flex gap-x-3">
+              <button
+                type="button"
+                disabled={loading}
+                onClick={() => handleSave(SUBMISSION_STATUS.RESUBMIT)}
+                className="rounded-md bg-richblack-700 px-4 py-2 text-sm text-richblack-50 hover:bg-richblack-600"
+              >
+                Request Resubmission
+              </button>
+              <IconBtn disabled={loading} text={loading ? "Saving..." : "Save Grade"} onClick={() => handleSave(SUBMISSION_STATUS.GRADED)} />
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
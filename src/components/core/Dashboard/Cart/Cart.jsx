@@ -1,12 +1,23 @@
-import { useSelector } from "react-redux"
+import { useEffect } from "react"
+import { useDispatch, useSelector } from "react-redux"
 import { useNavigate } from "react-router-dom"
 import RenderCartCourses from "./RenderCartCourses"
 import RenderTotalAmount from "./RenderTotalAmount"
 import { FiShoppingCart, FiShield, FiZap, FiDollarSign } from "react-icons/fi"
+import { revalidateCart } from "../../../../services/operations/cartAPI"
 
 export default function Cart() {
   const { total, totalItems } = useSelector((state) => state.cart)
+  const { token } = useSelector((state) => state.auth)
   const navigate = useNavigate()
+  const dispatch = useDispatch()
+
+  // Prices may have changed since the courses were added
+  useEffect(() => {
+    if (token) {
+      dispatch(revalidateCart(token))
+    }
+  }, [dispatch, token])
 
   return (
     <div className="animate-fade-in-up space-y-8 p-6">
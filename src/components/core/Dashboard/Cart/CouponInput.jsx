@@ -60,7 +60,7 @@ export default function CouponInput({ totalAmount, onCouponApply, checkoutType =
         });
         
         // Call the parent component's callback with discount details
-        onCouponApply(result.data);
+        onCouponApply({ code, ...result.data });
         
         // Show success modal
         setShowSuccessModal(true);
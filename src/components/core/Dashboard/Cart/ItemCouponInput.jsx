@@ -0,0 +1,106 @@
+import { useState } from "react"
+import { useDispatch, useSelector } from "react-redux"
+import { toast } from "react-hot-toast"
+import { FiTag, FiX } from "react-icons/fi"
+
+import { validateAndApplyCoupon } from "../../../../services/operations/couponAPI"
+import { applyItemCoupon, removeItemCoupon } from "../../../../slices/cartSlice"
+import { formatCurrency, toCartCoupon } from "../../../../utils/cartPricing"
+
+// Coupon that applies to a single course in the cart
+export default function ItemCouponInput({ course, line }) {
+  const { token } = useSelector((state) => state.auth)
+  const { itemCoupons } = useSelector((state) => state.cart)
+  const dispatch = useDispatch()
+
+  const [isOpen, setIsOpen] = useState(false)
+  const [couponCode, setCouponCode] = useState("")
+  const [loading, setLoading] = useState(false)
+
+  const appliedCoupon = itemCoupons[course._id]
+
+  const handleApply = async () => {
+    if (!couponCode) {
+      toast.error("Please enter a coupon code")
+      return
+    }
+
+    setLoading(true)
+    try {
+      const result = await validateAndApplyCoupon(
+        {
+          code: couponCode,
+          totalAmount: course.price,
+          checkoutType: "course",
+          courseId: course._id,
+        },
+        token
+      )
+
+      if (result.success) {
+        dispatch(applyItemCoupon({ courseId: course._id, coupon: toCartCoupon(couponCode, result.data) }))
+        toast.success(`Coupon applied to ${course.courseName}`)
+        setCouponCode("")
+        setIsOpen(false)
+      }
+    } catch (error) {
+      toast.error(error.message || "Invalid coupon code. Please try again.")
+    }
+    setLoading(false)
+  }
+
+  if (appliedCoupon) {
+    return (
+      <div className="flex items-center gap-2 text-sm">
+        <span className="flex items-center gap-1 px-2 py-1 rounded-full bg-green-500/10 text-green-400 border border-green-500/20">
+          <FiTag className="w-3 h-3" />
+          {appliedCoupon.code}
+          {line?.itemDiscount > 0 && <span>(-{formatCurrency(line.itemDiscount)})</span>}
+        </span>
+        <button
+          onClick={() => dispatch(removeItemCoupon(course._id))}
+          className="text-slate-400 hover:text-red-400"
+          title="Remove coupon"
+        >
+          <FiX />
+        </button>
+      </div>
+    )
+  }
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={() => setIsOpen(true)}
+        className="flex items-center gap-1 text-sm text-purple-400 hover:text-purple-300"
+      >
+        <FiTag className="w-3 h-3" />
+        Apply a course coupon
+      </button>
+    )
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      <input
+        type="text"
+        value={couponCode}
+        onChange={(e) => setCouponCode(e.target.value.toUpperCase())}
+        onKeyDown={(e) => e.key === "Enter" && handleApply()}
+        placeholder="Course coupon"
+        className="w-36 px-3 py-1.5 text-sm bg-slate-700/50 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-purple-500"
+        disabled={loading}
+      />
+      <button
+        onClick={handleApply}
+        disabled={loading}
+        className="px-3 py-1.5 text-sm rounded-lg bg-purple-500/20 text-purple-300 hover:bg-purple-500/30 disabled:opacity-50"
+      >
+        {loading ? "Applying..." : "Apply"}
+      </button>
+      <button onClick={() => setIsOpen(false)} className="text-slate-400 hover:text-white" title="Cancel">
+        <FiX />
+      </button>
+    </div>
+  )
+}
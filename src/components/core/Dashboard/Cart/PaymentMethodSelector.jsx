@@ -0,0 +1,64 @@
+import { useState } from "react"
+
+import { getAvailableGateways } from "../../../../services/paymentGateways"
+import { MOCK_OUTCOMES, getMockOutcome, setMockOutcome } from "../../../../services/paymentGateways/mockGateway"
+import { getPaymentConfig } from "../../../../config/environment"
+
+// Gateway picker shown at checkout; hidden when only one gateway is enabled
+export default function PaymentMethodSelector({ value, onChange }) {
+  const gateways = getAvailableGateways()
+  const [mockOutcome, setOutcome] = useState(() => getMockOutcome(getPaymentConfig().mock.OUTCOME))
+
+  const handleOutcomeChange = (outcome) => {
+    setMockOutcome(outcome)
+    setOutcome(outcome)
+  }
+
+  if (gateways.length <= 1) return null
+
+  return (
+    <div className="space-y-2">
+      <p className="text-sm font-medium text-richblack-300">Pay with</p>
+      {gateways.map((gateway) => (
+        <label
+          key={gateway.name}
+          className={`flex cursor-pointer items-center gap-3 rounded-md border px-3 py-2 transition-colors ${
+            value === gateway.name
+              ? "border-yellow-50 bg-richblack-700"
+              : "border-richblack-600 hover:border-richblack-400"
+          }`}
+        >
+          <input
+            type="radio"
+            name="payment-gateway"
+            value={gateway.name}
+            checked={value === gateway.name}
+            onChange={() => onChange(gateway.name)}
+            className="accent-yellow-50"
+          />
+          <span>
+            <span className="block text-sm font-medium text-richblack-5">{gateway.label}</span>
+            <span className="block text-xs text-richblack-400">{gateway.description}</span>
+          </span>
+        </label>
+      ))}
+
+      {value === "mock" && (
+        <label className="block text-xs font-medium text-richblack-300">
+          Simulated outcome
+          <select
+            value={mockOutcome}
+            onChange={(e) => handleOutcomeChange(e.target.value)}
+            className="mt-1 w-full rounded-md border border-richblack-600 bg-richblack-700 px-3 py-2 text-sm text-richblack-5"
+          >
+            {MOCK_OUTCOMES.map((outcome) => (
+              <option key={outcome} value={outcome}>
+                {outcome.replace("_", " ")}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+    </div>
+  )
+}
@@ -3,16 +3,23 @@ import { RiDeleteBin6Line } from "react-icons/ri"
 import { FiClock, FiUsers, FiBookOpen } from "react-icons/fi"
 import ReactStars from "react-rating-stars-component"
 import { useDispatch, useSelector } from "react-redux"
-import { removeFromCart } from "../../../../slices/cartSlice"
+import { removeCourseFromCart } from "../../../../services/operations/cartAPI"
 import Img from './../../../common/Img';
+import ItemCouponInput from "./ItemCouponInput"
+import useCartPricing from "../../../../hooks/useCartPricing"
+import { formatCurrency } from "../../../../utils/cartPricing"
 
 export default function RenderCartCourses() {
   const { cart } = useSelector((state) => state.cart)
+  const { token } = useSelector((state) => state.auth)
   const dispatch = useDispatch()
+  const { items } = useCartPricing()
 
   return (
     <div className="space-y-4">
-      {cart.map((course, indx) => (
+      {cart.map((course, indx) => {
+        const line = items[indx]
+        return (
         <div
           key={course._id}
           className="group bg-slate-800/50 backdrop-blur-xl rounded-2xl border border-slate-700/50 hover:border-purple-500/30 transition-all duration-300"
@@ -81,17 +88,34 @@ export default function RenderCartCourses() {
 
                 <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4 mt-4 pt-4 border-t border-slate-700/50">
                   <div className="space-y-1">
-                    <div className="text-2xl font-bold bg-gradient-to-r from-yellow-400 to-orange-400 bg-clip-text text-transparent">
-                      ₹ {course?.price}
-                    </div>
-                    <div className="text-sm text-slate-400 line-through">
-                      ₹ {Math.round(course?.price * 1.5)}
+                    <div className="flex items-baseline gap-2">
+                      <div className="text-2xl font-bold bg-gradient-to-r from-yellow-400 to-orange-400 bg-clip-text text-transparent">
+                        ₹ {course?.price}
+                      </div>
+                      {line?.originalPrice > line?.price && (
+                        <div className="text-sm text-slate-400 line-through">
+                          ₹ {line.originalPrice}
+                        </div>
+                      )}
                     </div>
+                    {/* Line-item breakdown */}
+                    {line && (
+                      <div className="text-xs text-slate-400 space-y-0.5">
+                        {line.discount > 0 && (
+                          <p className="text-green-400">Discount: -{formatCurrency(line.discount)}</p>
+                        )}
+                        {line.taxes.map((tax) => (
+                          <p key={tax.name}>{tax.name} ({tax.rate}%): {formatCurrency(tax.amount)}</p>
+                        ))}
+                        <p className="text-slate-200 font-medium">Item total: {formatCurrency(line.total)}</p>
+                      </div>
+                    )}
+                    <ItemCouponInput course={course} line={line} />
                   </div>
                   
                   <div className="flex items-center gap-3">
                     <button
-                      onClick={() => dispatch(removeFromCart(course._id))}
+                      onClick={() => dispatch(removeCourseFromCart(course._id, token))}
                       className="group/btn flex items-center gap-2 px-4 py-2 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 hover:bg-red-500/20 hover:text-red-300 transition-all duration-300 hover:scale-105 transform"
                     >
                       <RiDeleteBin6Line className="text-lg group-hover/btn:animate-bounce" />
@@ -118,7 +142,8 @@ export default function RenderCartCourses() {
             </div>
           </div>
         </div>
-      ))}
+        )
+      })}
     </div>
   )
 }
@@ -1,87 +1,161 @@
 import { useState } from "react"
 import { useDispatch, useSelector } from "react-redux"
 import { useNavigate } from "react-router-dom"
+import { toast } from "react-hot-toast"
 
 import IconBtn from "../../../common/IconBtn"
 import CouponInput from "./CouponInput"
+import PaymentMethodSelector from "./PaymentMethodSelector"
 import { FiCreditCard, FiShield, FiZap, FiGift } from "react-icons/fi"
 import { buyCourse } from "../../../../services/operations/studentFeaturesAPI"
+import { revalidateCart } from "../../../../services/operations/cartAPI"
+import { applyOrderCoupon, removeOrderCoupon, setTaxRegion } from "../../../../slices/cartSlice"
+import useCartPricing from "../../../../hooks/useCartPricing"
+import { getDefaultGatewayName } from "../../../../services/paymentGateways"
+import { TAX_REGIONS, canStackCoupons, formatCurrency, toCartCoupon } from "../../../../utils/cartPricing"
 
 export default function RenderTotalAmount() {
-  const { total, cart } = useSelector((state) => state.cart)
+  const { cart, itemCoupons, orderCoupon, taxRegion } = useSelector((state) => state.cart)
   const { token } = useSelector((state) => state.auth)
   const { user } = useSelector((state) => state.profile)
+  const { paymentLoading } = useSelector((state) => state.course)
+  const [gateway, setGateway] = useState(getDefaultGatewayName)
   const navigate = useNavigate()
   const dispatch = useDispatch()
 
-  const [appliedCoupon, setAppliedCoupon] = useState(null)
-  const [discountAmount, setDiscountAmount] = useState(0)
-
-  const finalAmount = total - discountAmount
+  const pricing = useCartPricing()
 
   const handleCouponApply = (couponData) => {
-    setAppliedCoupon(couponData)
-    setDiscountAmount(couponData.discountAmount)
-  }
+    // CouponInput reports a cancelled coupon as a zero discount
+    if (!couponData?.code) {
+      dispatch(removeOrderCoupon())
+      return
+    }
 
-  const handleRemoveCoupon = () => {
-    setAppliedCoupon(null)
-    setDiscountAmount(0)
+    const coupon = toCartCoupon(couponData.code, couponData)
+    if (!canStackCoupons(coupon, Object.values(itemCoupons))) {
+      toast.error("This coupon can't be combined with course coupons in your cart")
+      return
+    }
+    dispatch(applyOrderCoupon(coupon))
   }
 
   const handleBuyCourse = async () => {
+    // Stop if prices or availability changed so the student sees the new total first
+    if (!(await dispatch(revalidateCart(token)))) return
+
     const courses = cart.map((course) => course._id)
-    await buyCourse(token, courses, user, navigate, dispatch)
+    const couponData = pricing.orderCouponApplied
+      ? { code: orderCoupon.code, discountAmount: pricing.orderDiscount }
+      : null
+    await buyCourse(token, courses, user, navigate, dispatch, couponData, {
+      items: pricing.items.map(({ courseId, couponCode, price, discount, taxableAmount, taxes, tax, total }) => ({
+        courseId,
+        couponCode,
+        price,
+        discount,
+        taxableAmount,
+        taxes,
+        tax,
+        total,
+      })),
+      taxRegion,
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      tax: pricing.tax,
+      totalAmount: pricing.total,
+    }, gateway)
   }
 
-  const savings = Math.round(total * 0.3)
-  const originalPrice = total + savings
-
   return (
     <div className="min-w-[280px] rounded-md border-[1px] border-richblack-700 bg-richblack-800 p-6">
       <div className="mb-4">
         <p className="mb-1 text-sm font-medium text-richblack-300">Subtotal:</p>
-        <p className="text-2xl font-medium text-richblack-100">₹ {total}</p>
+        <p className="text-2xl font-medium text-richblack-100">{formatCurrency(pricing.subtotal)}</p>
       </div>
 
-      {appliedCoupon && (
+      {pricing.itemDiscount > 0 && (
+        <div className="mb-2 flex justify-between text-sm text-green-200">
+          <span>Course coupons</span>
+          <span>-{formatCurrency(pricing.itemDiscount)}</span>
+        </div>
+      )}
+
+      {orderCoupon && (
         <div className="mb-4 p-3 bg-green-900 rounded-md">
           <div className="flex justify-between items-center">
             <div>
               <p className="text-sm text-green-200">Coupon Applied</p>
               <p className="text-sm font-medium text-green-100">
-                {appliedCoupon.discountType === 'percentage' 
-                  ? `${appliedCoupon.discountValue}% OFF` 
-                  : `₹${appliedCoupon.discountValue} OFF`}
+                {orderCoupon.code}{" "}
+                {orderCoupon.discountType === 'percentage'
+                  ? `${orderCoupon.discountValue}% OFF`
+                  : `₹${orderCoupon.discountValue} OFF`}
               </p>
             </div>
             <button
-              onClick={handleRemoveCoupon}
+              onClick={() => dispatch(removeOrderCoupon())}
               className="text-red-400 hover:text-red-300 text-sm"
             >
               Remove
             </button>
           </div>
-          <p className="text-sm text-green-200 mt-1">
-            Discount: -₹{discountAmount}
-          </p>
+          {pricing.orderCouponApplied ? (
+            <p className="text-sm text-green-200 mt-1">
+              Discount: -{formatCurrency(pricing.orderDiscount)}
+            </p>
+          ) : (
+            <p className="text-sm text-yellow-100 mt-1">
+              Not combinable with the course coupons in your cart
+            </p>
+          )}
         </div>
       )}
 
+      {/* Tax breakdown for the buyer's region */}
+      <div className="mb-4 space-y-2">
+        <label className="block text-sm font-medium text-richblack-300">
+          Billing state
+          <select
+            value={taxRegion}
+            onChange={(e) => dispatch(setTaxRegion(e.target.value))}
+            className="mt-1 w-full px-3 py-2 bg-richblack-700 border border-richblack-600 rounded-md text-richblack-5 text-sm"
+          >
+            {TAX_REGIONS.map((region) => (
+              <option key={region.code} value={region.code}>{region.name}</option>
+            ))}
+          </select>
+        </label>
+        {pricing.taxBreakdown.map((tax) => (
+          <div key={tax.name} className="flex justify-between text-sm text-richblack-200">
+            <span>{tax.name} ({tax.rate}%)</span>
+            <span>{formatCurrency(tax.amount)}</span>
+          </div>
+        ))}
+        {pricing.taxBreakdown.length === 0 && (
+          <p className="text-xs text-richblack-400">No GST is charged outside India</p>
+        )}
+      </div>
+
       <div className="mb-4">
         <p className="mb-1 text-sm font-medium text-richblack-300">Total:</p>
-        <p className="mb-6 text-3xl font-medium text-yellow-100">₹ {finalAmount}</p>
+        <p className="mb-6 text-3xl font-medium text-yellow-100">{formatCurrency(pricing.total)}</p>
       </div>
 
-      {!appliedCoupon && (
+      {!orderCoupon && (
         <div className="mb-4">
-          <CouponInput totalAmount={total} onCouponApply={handleCouponApply} />
+          <CouponInput totalAmount={pricing.subtotal - pricing.itemDiscount} onCouponApply={handleCouponApply} />
         </div>
       )}
 
+      <div className="mb-4">
+        <PaymentMethodSelector value={gateway} onChange={setGateway} />
+      </div>
+
       <IconBtn
-        text="Buy Now"
+        text={paymentLoading ? "Processing..." : "Buy Now"}
         onClick={handleBuyCourse}
+        disabled={paymentLoading}
         customClasses="w-full justify-center"
       />
     </div>
@@ -71,7 +71,11 @@ export default function EnrolledCourses() {
           studentName: `${user?.firstName} ${user?.lastName}`,
           email: user?.email,
           completionDate: certificateData.completionDate || new Date().toISOString(),
-          certificateId: certificateData.certificateId
+          certificateId: certificateData.certificateId,
+          // Template version active when the certificate was issued
+          template: certificateData.template,
+          // Signed by the backend for offline verification from the QR code
+          signedPayload: certificateData.signedPayload
         })
         setShowCertificate(true)
       }
@@ -216,6 +220,12 @@ export default function EnrolledCourses() {
                       baseBgColor="#1F2937"
                       className="rounded-full"
                     />
+                    {/* Assignments count towards completion once graded, so the certificate waits on them */}
+                    {course.pendingAssignments > 0 && (
+                      <p className="text-xs text-yellow-400">
+                        {course.pendingAssignments} assignment{course.pendingAssignments > 1 ? "s" : ""} awaiting grading
+                      </p>
+                    )}
                   </div>
 
                   {/* Actions */}
@@ -0,0 +1,66 @@
+import { formatCurrency } from "../../../../utils/cartPricing"
+import { formatDate } from "../../../../utils/dateFormatter"
+
+const STATUS_STYLES = {
+  paid: "text-caribbeangreen-100",
+  failed: "text-pink-200",
+  refunded: "text-richblack-300",
+}
+
+// Every charge made for the student's membership, newest first
+export default function BillingHistory({ records }) {
+  return (
+    <div className="space-y-4">
+      <h2 className="text-xl font-semibold text-richblack-5">Billing history</h2>
+
+      {records.length === 0 ? (
+        <p className="text-sm text-richblack-300">You haven&apos;t been charged for a membership yet.</p>
+      ) : (
+        <>
+          {/* Desktop Table View */}
+          <div className="hidden text-richblack-5 lg:block">
+            <div className="flex rounded-t-lg bg-richblack-500">
+              <p className="w-[25%] px-5 py-3">Plan</p>
+              <p className="w-[30%] px-2 py-3">Period</p>
+              <p className="w-[15%] px-2 py-3">Amount</p>
+              <p className="w-[15%] px-2 py-3">Status</p>
+              <p className="flex-1 px-2 py-3">Paid on</p>
+            </div>
+            {records.map((record, i, arr) => (
+              <div
+                key={record._id}
+                className={`flex items-center border border-richblack-700 text-sm text-richblack-100 ${
+                  i === arr.length - 1 ? "rounded-b-lg" : "rounded-none"
+                }`}
+              >
+                <p className="w-[25%] px-5 py-3 font-medium text-richblack-5">{record.plan?.name || "Membership"}</p>
+                <p className="w-[30%] px-2 py-3">
+                  {formatDate(record.periodStart)} – {formatDate(record.periodEnd)}
+                </p>
+                <p className="w-[15%] px-2 py-3">{formatCurrency(record.amount)}</p>
+                <p className={`w-[15%] px-2 py-3 capitalize ${STATUS_STYLES[record.status] || ""}`}>{record.status}</p>
+                <p className="flex-1 px-2 py-3">{record.paidAt ? formatDate(record.paidAt) : "-"}</p>
+              </div>
+            ))}
+          </div>
+
+          {/* Mobile Card View */}
+          <div className="space-y-4 lg:hidden">
+            {records.map((record) => (
+              <div key={record._id} className="space-y-2 rounded-lg bg-richblack-700 p-4 text-sm text-richblack-100">
+                <div className="flex items-center justify-between">
+                  <p className="font-semibold text-richblack-5">{record.plan?.name || "Membership"}</p>
+                  <p className={`capitalize ${STATUS_STYLES[record.status] || ""}`}>{record.status}</p>
+                </div>
+                <p>
+                  {formatDate(record.periodStart)} – {formatDate(record.periodEnd)}
+                </p>
+                <p className="font-medium text-richblack-5">{formatCurrency(record.amount)}</p>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
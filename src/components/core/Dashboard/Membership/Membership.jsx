@@ -0,0 +1,141 @@
+import { useEffect, useState } from "react"
+import { useDispatch, useSelector } from "react-redux"
+import { Link } from "react-router-dom"
+
+import {
+  cancelMembership,
+  getBillingHistory,
+  getMembershipPlans,
+  resumeMembership,
+} from "../../../../services/operations/membershipAPI"
+import {
+  MEMBERSHIP_STATUS,
+  STATUS_LABELS,
+  describeMembership,
+  formatPlanPrice,
+  getPlanCoverage,
+  isMembershipActive,
+} from "../../../../utils/membership"
+import { formatDate } from "../../../../utils/dateFormatter"
+import ConfirmationModal from "../../../common/ConfirmationModal"
+import BillingHistory from "./BillingHistory"
+import PlanPicker from "./PlanPicker"
+
+const STATUS_STYLES = {
+  trialing: "bg-blue-500 text-blue-5",
+  active: "bg-caribbeangreen-700 text-caribbeangreen-5",
+  past_due: "bg-pink-700 text-pink-5",
+  cancelled: "bg-richblack-600 text-richblack-100",
+  expired: "bg-richblack-600 text-richblack-100",
+}
+
+export default function Membership() {
+  const { token } = useSelector((state) => state.auth)
+  const { membership, loading: membershipLoading } = useSelector((state) => state.membership)
+  const dispatch = useDispatch()
+
+  const [plans, setPlans] = useState([])
+  const [billing, setBilling] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [confirmationModal, setConfirmationModal] = useState(null)
+
+  useEffect(() => {
+    const fetchMembershipPage = async () => {
+      setLoading(true)
+      const [planList, billingHistory] = await Promise.all([getMembershipPlans(), getBillingHistory(token)])
+      setPlans(planList)
+      setBilling(billingHistory)
+      setLoading(false)
+    }
+    fetchMembershipPage()
+  }, [token])
+
+  const active = isMembershipActive(membership)
+  const willRenew =
+    active && !membership.cancelAtPeriodEnd && membership.status !== MEMBERSHIP_STATUS.CANCELLED
+
+  const handleCancel = () => {
+    setConfirmationModal({
+      text1: "Cancel your membership?",
+      text2: `You'll keep access until ${formatDate(membership.currentPeriodEnd)} and won't be charged again.`,
+      btn1Text: "Cancel membership",
+      btn2Text: "Keep it",
+      btn1Handler: async () => {
+        await dispatch(cancelMembership(token))
+        setConfirmationModal(null)
+      },
+      btn2Handler: () => setConfirmationModal(null),
+    })
+  }
+
+  if (loading || membershipLoading) {
+    return (
+      <div className="grid min-h-[calc(100vh-3.5rem)] place-items-center">
+        <div className="spinner"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="mx-auto w-11/12 max-w-[1000px] space-y-12 py-10">
+      <div>
+        <h1 className="text-3xl font-medium text-richblack-5">Membership</h1>
+        <p className="mt-2 text-richblack-300">
+          One subscription, unlimited learning. Members can start any course their plan covers without buying it.
+        </p>
+      </div>
+
+      {membership && (
+        <div className="flex flex-col gap-4 rounded-xl border border-richblack-700 bg-richblack-800 p-6 md:flex-row md:items-center md:justify-between">
+          <div className="space-y-1">
+            <div className="flex items-center gap-3">
+              <p className="text-xl font-semibold text-richblack-5">{membership.plan?.name}</p>
+              <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${STATUS_STYLES[active ? membership.status : "expired"]}`}>
+                {STATUS_LABELS[active ? membership.status : MEMBERSHIP_STATUS.EXPIRED]}
+              </span>
+            </div>
+            {membership.plan && (
+              <p className="text-sm text-richblack-300">
+                {formatPlanPrice(membership.plan)} · {getPlanCoverage(membership.plan)}
+              </p>
+            )}
+            <p className="text-sm text-richblack-100">{describeMembership(membership)}</p>
+          </div>
+
+          <div className="flex flex-wrap gap-3">
+            {active && (
+              <Link
+                to="/courses"
+                className="rounded-md bg-yellow-50 px-4 py-2 text-sm font-semibold text-richblack-900"
+              >
+                Browse courses
+              </Link>
+            )}
+            {willRenew && (
+              <button
+                onClick={handleCancel}
+                className="rounded-md bg-richblack-700 px-4 py-2 text-sm text-richblack-5 hover:bg-richblack-600"
+              >
+                Cancel membership
+              </button>
+            )}
+            {active && !willRenew && (
+              <button
+                onClick={() => dispatch(resumeMembership(token))}
+                className="rounded-md bg-richblack-700 px-4 py-2 text-sm text-richblack-5 hover:bg-richblack-600"
+              >
+                Resume membership
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      <PlanPicker plans={plans} onSubscribed={() => getBillingHistory(token).then(setBilling)} />
+
+      <BillingHistory records={billing} />
+
+      {confirmationModal && <ConfirmationModal modalData={confirmationModal} />}
+    </div>
+  )
+}
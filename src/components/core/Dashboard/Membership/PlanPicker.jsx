@@ -0,0 +1,165 @@
+import { useState } from "react"
+import { FiCheck } from "react-icons/fi"
+import { useDispatch, useSelector } from "react-redux"
+
+import { subscribeToPlan } from "../../../../services/operations/membershipAPI"
+import { getDefaultGatewayName } from "../../../../services/paymentGateways"
+import { formatCurrency } from "../../../../utils/cartPricing"
+import {
+  PLAN_INTERVALS,
+  formatPlanPrice,
+  getMonthlyPrice,
+  getPlanCoverage,
+  isMembershipActive,
+  isTrialAvailable,
+} from "../../../../utils/membership"
+import IconBtn from "../../../common/IconBtn"
+import PaymentMethodSelector from "../Cart/PaymentMethodSelector"
+
+// Plan cards with a monthly / annual switch; picking a plan asks for a payment method
+export default function PlanPicker({ plans, onSubscribed }) {
+  const { token } = useSelector((state) => state.auth)
+  const { user } = useSelector((state) => state.profile)
+  const { membership } = useSelector((state) => state.membership)
+  const dispatch = useDispatch()
+
+  const [billingInterval, setBillingInterval] = useState("month")
+  const [selectedPlan, setSelectedPlan] = useState(null)
+  const [gateway, setGateway] = useState(getDefaultGatewayName)
+  const [processing, setProcessing] = useState(false)
+
+  const hasActiveMembership = isMembershipActive(membership)
+  const visiblePlans = plans.filter((plan) => plan.interval === billingInterval)
+
+  // compare annual plans with the monthly plan of the same name to show the saving
+  const monthlyPlans = plans.filter((plan) => plan.interval === "month")
+  const getAnnualSaving = (plan) => {
+    const monthly = monthlyPlans.find((item) => item.name === plan.name) || monthlyPlans[0]
+    if (!monthly || plan.interval !== "year") return 0
+    return Math.round((1 - getMonthlyPrice(plan) / monthly.price) * 100)
+  }
+
+  const handleSubscribe = async (startTrial) => {
+    setProcessing(true)
+    const subscribed = await dispatch(subscribeToPlan(token, selectedPlan, user, { gatewayName: gateway, startTrial }))
+    setProcessing(false)
+    if (subscribed) {
+      setSelectedPlan(null)
+      onSubscribed?.()
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-xl font-semibold text-richblack-5">Plans</h2>
+        <div className="flex gap-1 rounded-full bg-richblack-800 p-1 text-sm">
+          {PLAN_INTERVALS.map(({ value, label }) => (
+            <button
+              key={value}
+              onClick={() => setBillingInterval(value)}
+              className={`rounded-full px-4 py-1 ${billingInterval === value ? "bg-richblack-900 text-richblack-5" : "text-richblack-300"}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {visiblePlans.length === 0 ? (
+        <p className="text-richblack-300">No {billingInterval === "year" ? "annual" : "monthly"} plans available right now.</p>
+      ) : (
+        <div className="grid grid-cols-1 gap-6 md:grid-cols-2 xl:grid-cols-3">
+          {visiblePlans.map((plan) => {
+            const isCurrent = hasActiveMembership && membership.plan?._id === plan._id
+            const saving = getAnnualSaving(plan)
+            return (
+              <div
+                key={plan._id}
+                className={`flex flex-col gap-4 rounded-xl border p-6 ${
+                  isCurrent ? "border-yellow-50 bg-richblack-800" : "border-richblack-700 bg-richblack-800"
+                }`}
+              >
+                <div>
+                  <div className="flex items-center justify-between gap-2">
+                    <p className="text-lg font-semibold text-richblack-5">{plan.name}</p>
+                    {isCurrent && <span className="rounded-full bg-yellow-50 px-2 py-0.5 text-xs text-richblack-900">Current plan</span>}
+                  </div>
+                  {plan.description && <p className="mt-1 text-sm text-richblack-300">{plan.description}</p>}
+                </div>
+
+                <div>
+                  <p className="text-3xl font-bold text-yellow-50">{formatPlanPrice(plan)}</p>
+                  {plan.interval === "year" && (
+                    <p className="text-xs text-richblack-300">
+                      {formatCurrency(getMonthlyPrice(plan))}/mo billed yearly
+                      {saving > 0 && <span className="ml-1 text-caribbeangreen-100">· save {saving}%</span>}
+                    </p>
+                  )}
+                </div>
+
+                <ul className="flex-1 space-y-2 text-sm text-richblack-100">
+                  <li className="flex gap-2">
+                    <FiCheck className="mt-0.5 shrink-0 text-caribbeangreen-100" />
+                    {getPlanCoverage(plan)}
+                  </li>
+                  {(plan.features || []).map((feature) => (
+                    <li key={feature} className="flex gap-2">
+                      <FiCheck className="mt-0.5 shrink-0 text-caribbeangreen-100" />
+                      {feature}
+                    </li>
+                  ))}
+                </ul>
+
+                {isCurrent ? null : hasActiveMembership ? (
+                  <p className="text-xs text-richblack-400">You can switch plans once your current membership ends.</p>
+                ) : (
+                  <IconBtn
+                    text={isTrialAvailable(plan, membership) ? `Start ${plan.trialDays}-day free trial` : "Choose plan"}
+                    onClick={() => setSelectedPlan(plan)}
+                    customClasses="w-full justify-center"
+                  />
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      {selectedPlan && (
+        <div className="fixed inset-0 z-[1000] grid place-items-center bg-white/10 p-4 backdrop-blur-sm">
+          <div className="w-full max-w-md space-y-5 rounded-lg border border-richblack-400 bg-richblack-800 p-6">
+            <div>
+              <p className="text-xl font-semibold text-richblack-5">{selectedPlan.name}</p>
+              <p className="text-sm text-richblack-300">{formatPlanPrice(selectedPlan)} · cancel anytime</p>
+            </div>
+
+            {isTrialAvailable(selectedPlan, membership) ? (
+              <p className="text-sm text-richblack-100">
+                You won&apos;t be charged today. After {selectedPlan.trialDays} days your membership continues at{" "}
+                {formatPlanPrice(selectedPlan)} unless you cancel before the trial ends.
+              </p>
+            ) : (
+              <PaymentMethodSelector value={gateway} onChange={setGateway} />
+            )}
+
+            <div className="flex justify-end gap-3">
+              <button
+                disabled={processing}
+                onClick={() => setSelectedPlan(null)}
+                className="rounded-md bg-richblack-700 px-4 py-2 text-richblack-5 hover:bg-richblack-600"
+              >
+                Cancel
+              </button>
+              <IconBtn
+                disabled={processing}
+                text={isTrialAvailable(selectedPlan, membership) ? "Start trial" : `Pay ${formatCurrency(selectedPlan.price)}`}
+                onClick={() => handleSubscribe(isTrialAvailable(selectedPlan, membership))}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,15 +1,133 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import { useSelector } from "react-redux";
 import { toast } from "react-hot-toast";
+import { FiDownload } from "react-icons/fi";
 import { apiConnector } from "../../../../services/apiConnector";
-import { courseEndpoints } from "../../../../services/apis";
+import { courseEndpoints, profileEndpoints } from "../../../../services/apis";
+import { downloadCreditNotePdf, downloadInvoicePdf, groupPurchasesIntoOrders } from "../../../../utils/invoicePdf";
+import { REFUND_STATE_LABELS, getRefundEligibility, getRefundState } from "../../../../utils/refunds";
+import RefundRequestModal from "./RefundRequestModal";
 
 const { COURSE_PURCHASE_HISTORY_API } = courseEndpoints;
+const { GET_USER_ENROLLED_COURSES_API } = profileEndpoints;
+
+// Purchases don't carry course progress, which refund eligibility depends on. `_id` is the
+// purchase (or its order), so progress is matched on the course id; a purchase whose
+// progress can't be found keeps it unknown (null) rather than counting as 0%.
+const withCourseProgress = async (purchases, token) => {
+  try {
+    const response = await apiConnector("GET", GET_USER_ENROLLED_COURSES_API, null, {
+      Authorization: `Bearer ${token}`,
+    });
+    const progressByCourse = new Map(
+      (response?.data?.data || []).map((course) => [course._id, course.progressPercentage || 0])
+    );
+    return purchases.map((purchase) => ({
+      ...purchase,
+      progressPercentage:
+        purchase.progressPercentage ?? progressByCourse.get(purchase.courseId?._id || purchase.courseId) ?? null,
+    }));
+  } catch (error) {
+    console.log("GET_USER_ENROLLED_COURSES_API ERROR............", error);
+    return purchases;
+  }
+};
 
 export default function PurchaseHistory() {
   const { token } = useSelector((state) => state.auth);
+  const { user } = useSelector((state) => state.profile);
   const [purchases, setPurchases] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [refundPurchase, setRefundPurchase] = useState(null);
+
+  // Courses bought in one checkout share an order and an invoice
+  const ordersById = useMemo(
+    () => new Map(groupPurchasesIntoOrders(purchases).map((order) => [order.orderId, order])),
+    [purchases]
+  );
+
+  const handleDownloadInvoice = (purchase) => {
+    const order = ordersById.get(purchase.orderId || purchase._id);
+    try {
+      downloadInvoicePdf(order, user);
+    } catch (error) {
+      console.log("INVOICE PDF ERROR............", error);
+      toast.error("Could not generate invoice");
+    }
+  };
+
+  const renderInvoiceButton = (purchase) =>
+    purchase.price === 0 ? (
+      <span className="text-sm text-richblack-400">-</span>
+    ) : (
+      <button
+        onClick={() => handleDownloadInvoice(purchase)}
+        className="flex items-center gap-2 text-sm font-medium text-yellow-50 hover:text-yellow-100"
+      >
+        <FiDownload />
+        Invoice
+      </button>
+    );
+
+  const handleDownloadCreditNote = (creditNote) => {
+    try {
+      downloadCreditNotePdf(creditNote, user);
+    } catch (error) {
+      console.log("CREDIT NOTE PDF ERROR............", error);
+      toast.error("Could not generate credit note");
+    }
+  };
+
+  const handleRefundRequested = (updated) => {
+    setPurchases((prev) => prev.map((purchase) => (purchase._id === updated._id ? { ...purchase, ...updated } : purchase)));
+    setRefundPurchase(null);
+  };
+
+  // Credit notes for refunds already made, and the refund button or why the policy rules one out
+  const renderRefundActions = (purchase) => {
+    const eligibility = getRefundEligibility(purchase);
+    return (
+      <>
+        {(purchase.creditNotes || []).map((creditNote) => (
+          <button
+            key={creditNote.creditNoteNumber}
+            onClick={() => handleDownloadCreditNote(creditNote)}
+            className="flex items-center gap-2 text-sm font-medium text-yellow-50 hover:text-yellow-100"
+          >
+            <FiDownload />
+            Credit note
+          </button>
+        ))}
+        {eligibility.eligible ? (
+          <button
+            onClick={() => setRefundPurchase(purchase)}
+            className="text-left text-sm text-richblack-300 underline hover:text-richblack-5"
+          >
+            Request refund
+          </button>
+        ) : (
+          purchase.price > 0 && <p className="text-xs text-richblack-400">{eligibility.reason}</p>
+        )}
+      </>
+    );
+  };
+
+  const renderStatus = (purchase) => {
+    const refundState = getRefundState(purchase.price, purchase);
+    return (
+      <>
+        <p className="text-sm font-medium text-yellow-100">{purchase.status}</p>
+        {refundState && (
+          <p
+            className={`text-xs ${refundState === "rejected" ? "text-pink-200" : "text-richblack-300"}`}
+            title={purchase.refund?.decisionReason || ""}
+          >
+            {REFUND_STATE_LABELS[refundState]}
+          </p>
+        )}
+      </>
+    );
+  };
 
   useEffect(() => {
     const fetchPurchaseHistory = async () => {
@@ -24,7 +142,7 @@ export default function PurchaseHistory() {
           }
         );
         if (response?.data?.success) {
-          setPurchases(response.data.data);
+          setPurchases(await withCourseProgress(response.data.data, token));
         } else {
           throw new Error("Could not fetch purchase history");
         }
@@ -60,10 +178,11 @@ export default function PurchaseHistory() {
           {/* Desktop Table View */}
           <div className="hidden lg:block my-8 text-richblack-5">
             <div className="flex rounded-t-lg bg-richblack-500 ">
-              <p className="w-[45%] px-5 py-3">Course</p>
-              <p className="w-[20%] px-2 py-3">Purchase Date</p>
-              <p className="w-[20%] px-2 py-3">Price</p>
-              <p className="flex-1 px-2 py-3">Status</p>
+              <p className="w-[40%] px-5 py-3">Course</p>
+              <p className="w-[17%] px-2 py-3">Purchase Date</p>
+              <p className="w-[15%] px-2 py-3">Price</p>
+              <p className="w-[14%] px-2 py-3">Status</p>
+              <p className="flex-1 px-2 py-3">Documents</p>
             </div>
             {purchases.map((purchase, i, arr) => (
               <div
@@ -72,7 +191,7 @@ export default function PurchaseHistory() {
                 }`}
                 key={purchase._id}
               >
-                <div className="flex w-[45%] cursor-pointer items-center gap-4 px-5 py-3">
+                <div className="flex w-[40%] cursor-pointer items-center gap-4 px-5 py-3">
                   <img
                     src={purchase.thumbnail}
                     alt="course_img"
@@ -87,20 +206,22 @@ export default function PurchaseHistory() {
                     </p>
                   </div>
                 </div>
-                <div className="w-[20%] px-2 py-3">
+                <div className="w-[17%] px-2 py-3">
                   <p className="text-sm font-medium text-richblack-100">
                     {new Date(purchase.purchaseDate).toLocaleDateString()}
                   </p>
                 </div>
-                <div className="w-[20%] px-2 py-3">
+                <div className="w-[15%] px-2 py-3">
                   <p className="text-sm font-medium text-richblack-100">
                     {purchase.price === 0 ? "Free" : `₹${purchase.price}`}
                   </p>
                 </div>
-                <div className="flex-1 px-2 py-3">
-                  <p className="text-sm font-medium text-yellow-100">
-                    {purchase.status}
-                  </p>
+                <div className="w-[14%] px-2 py-3">
+                  {renderStatus(purchase)}
+                </div>
+                <div className="flex flex-1 flex-col gap-1 px-2 py-3">
+                  {renderInvoiceButton(purchase)}
+                  {renderRefundActions(purchase)}
                 </div>
               </div>
             ))}
@@ -135,15 +256,29 @@ export default function PurchaseHistory() {
                     <p>{purchase.price === 0 ? "Free" : `₹${purchase.price}`}</p>
                   </div>
                 </div>
-                <div>
-                  <p className="font-medium text-yellow-100">Status</p>
-                  <p>{purchase.status}</p>
+                <div className="flex items-end justify-between">
+                  <div>
+                    <p className="font-medium text-yellow-100">Status</p>
+                    {renderStatus(purchase)}
+                  </div>
+                  <div className="flex flex-col items-end gap-1">
+                    {renderInvoiceButton(purchase)}
+                    {renderRefundActions(purchase)}
+                  </div>
                 </div>
               </div>
             ))}
           </div>
         </>
       )}
+
+      {refundPurchase && (
+        <RefundRequestModal
+          purchase={refundPurchase}
+          onClose={() => setRefundPurchase(null)}
+          onRequested={handleRefundRequested}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,78 @@
+import { useState } from "react";
+import { useSelector } from "react-redux";
+
+import { REFUND_CONFIG } from "../../../../config/environment";
+import { requestRefund } from "../../../../services/operations/refundAPI";
+import { formatCurrency } from "../../../../utils/cartPricing";
+import { formatDate } from "../../../../utils/dateFormatter";
+import { getRefundDeadline } from "../../../../utils/refunds";
+
+// Asks for a refund on one purchased course; an admin reviews it and decides the amount
+export default function RefundRequestModal({ purchase, onClose, onRequested }) {
+  const { token } = useSelector((state) => state.auth);
+  const [reason, setReason] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    const updated = await requestRefund(token, purchase._id, reason.trim());
+    setSubmitting(false);
+    if (updated) onRequested(updated);
+  };
+
+  return (
+    <div className="fixed inset-0 z-[1000] grid place-items-center bg-white/10 p-4 backdrop-blur-sm">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-md space-y-4 rounded-lg border border-richblack-400 bg-richblack-800 p-6"
+      >
+        <div>
+          <p className="text-xl font-semibold text-richblack-5">Request a refund</p>
+          <p className="mt-1 text-sm text-richblack-300">
+            {purchase.courseName} · {formatCurrency(purchase.price)}
+          </p>
+        </div>
+
+        <p className="text-sm text-richblack-100">
+          Courses can be refunded within {REFUND_CONFIG.WINDOW_DAYS} days of purchase if you have completed no more
+          than {REFUND_CONFIG.MAX_PROGRESS_PERCENT}% of them. You can ask until{" "}
+          {formatDate(getRefundDeadline(purchase.purchaseDate))}. If the refund is approved you may lose access to
+          the course.
+        </p>
+
+        <div>
+          <label htmlFor="refundReason" className="mb-1 block text-sm text-richblack-5">
+            Why would you like a refund? <sup className="text-pink-200">*</sup>
+          </label>
+          <textarea
+            id="refundReason"
+            rows={4}
+            required
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            className="form-style w-full resize-none"
+          />
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            disabled={submitting}
+            onClick={onClose}
+            className="rounded-md bg-richblack-700 px-4 py-2 text-richblack-5 hover:bg-richblack-600"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={submitting || !reason.trim()}
+            className="rounded-md bg-yellow-50 px-4 py-2 font-semibold text-richblack-900 disabled:opacity-50"
+          >
+            Request refund
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
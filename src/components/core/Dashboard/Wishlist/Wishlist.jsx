@@ -0,0 +1,118 @@
+import { useEffect } from "react"
+import { useDispatch, useSelector } from "react-redux"
+import { useNavigate } from "react-router-dom"
+import { FiHeart, FiShoppingCart, FiTrash2, FiTrendingDown } from "react-icons/fi"
+
+import Img from "../../../common/Img"
+import { addCourseToCart } from "../../../../services/operations/cartAPI"
+import { fetchWishlist, removeCourseFromWishlist } from "../../../../services/operations/wishlistAPI"
+import { formatCurrency } from "../../../../utils/cartPricing"
+
+export default function Wishlist() {
+  const { wishlist, loading } = useSelector((state) => state.wishlist)
+  const { cart } = useSelector((state) => state.cart)
+  const { token } = useSelector((state) => state.auth)
+  const dispatch = useDispatch()
+  const navigate = useNavigate()
+
+  useEffect(() => {
+    if (token) {
+      dispatch(fetchWishlist(token))
+    }
+  }, [dispatch, token])
+
+  const handleMoveToCart = async (course) => {
+    await dispatch(addCourseToCart(course, token))
+    dispatch(removeCourseFromWishlist(course._id, token))
+  }
+
+  return (
+    <div className="animate-fade-in-up space-y-8 p-6">
+      <div className="flex items-center justify-between">
+        <div className="space-y-2">
+          <h1 className="text-3xl font-bold text-richblack-5">Wishlist</h1>
+          <p className="text-richblack-300">
+            Courses you saved for later. You will be notified when their price drops.
+          </p>
+        </div>
+        <FiHeart className="w-6 h-6 text-pink-400" />
+      </div>
+
+      {loading && !wishlist.length ? (
+        <div className="grid min-h-[200px] place-items-center">
+          <div className="spinner"></div>
+        </div>
+      ) : !wishlist.length ? (
+        <div className="flex flex-col items-center justify-center gap-4 py-20 rounded-2xl border border-richblack-700 bg-richblack-800">
+          <p className="text-xl font-semibold text-richblack-5">Your wishlist is empty</p>
+          <button
+            onClick={() => navigate("/catalog")}
+            className="rounded-md bg-yellow-50 px-5 py-2 font-semibold text-richblack-900 hover:bg-yellow-25"
+          >
+            Browse Courses
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {wishlist.map(({ course, priceWhenAdded }) => {
+            const priceDrop = priceWhenAdded > course.price ? priceWhenAdded - course.price : 0
+            const inCart = cart.some((item) => item._id === course._id)
+
+            return (
+              <div
+                key={course._id}
+                className="flex flex-col gap-4 rounded-2xl border border-richblack-700 bg-richblack-800 p-4 sm:flex-row sm:items-center"
+              >
+                <button onClick={() => navigate(`/courses/${course._id}`)} className="shrink-0">
+                  <Img
+                    src={course.thumbnail}
+                    alt={course.courseName}
+                    className="h-24 w-full rounded-xl object-cover sm:w-40"
+                  />
+                </button>
+
+                <div className="flex-1 min-w-0 space-y-2">
+                  <h3
+                    onClick={() => navigate(`/courses/${course._id}`)}
+                    className="text-lg font-semibold text-richblack-5 line-clamp-2 cursor-pointer hover:text-yellow-50"
+                  >
+                    {course.courseName}
+                  </h3>
+                  <div className="flex flex-wrap items-center gap-3">
+                    <span className="text-xl font-semibold text-yellow-50">{formatCurrency(course.price)}</span>
+                    {priceDrop > 0 && (
+                      <>
+                        <span className="text-sm text-richblack-400 line-through">{formatCurrency(priceWhenAdded)}</span>
+                        <span className="flex items-center gap-1 rounded-full border border-caribbeangreen-300/30 bg-caribbeangreen-300/10 px-2 py-0.5 text-xs font-medium text-caribbeangreen-100">
+                          <FiTrendingDown />
+                          Price dropped by {formatCurrency(priceDrop)}
+                        </span>
+                      </>
+                    )}
+                  </div>
+                </div>
+
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => (inCart ? navigate("/dashboard/cart") : handleMoveToCart(course))}
+                    className="flex items-center gap-2 rounded-md bg-yellow-50 px-4 py-2 text-sm font-semibold text-richblack-900 hover:bg-yellow-25"
+                  >
+                    <FiShoppingCart />
+                    {inCart ? "Go to cart" : "Move to cart"}
+                  </button>
+                  <button
+                    onClick={() => dispatch(removeCourseFromWishlist(course._id, token))}
+                    className="rounded-md border border-richblack-600 px-3 py-2 text-richblack-300 hover:text-pink-200"
+                    title="Remove from wishlist"
+                  >
+                    <FiTrash2 />
+                  </button>
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
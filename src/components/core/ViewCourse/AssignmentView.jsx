@@ -0,0 +1,365 @@
+import { useEffect, useMemo, useRef, useState } from "react"
+import { toast } from "react-hot-toast"
+import { FaLock, FaRegClock } from "react-icons/fa"
+import { FiAlertCircle, FiAward, FiCalendar, FiFile, FiUploadCloud, FiX } from "react-icons/fi"
+import { useDispatch, useSelector } from "react-redux"
+import { useParams } from "react-router-dom"
+
+import { getAssignmentById, getMySubmission, submitAssignment } from "../../../services/operations/assignmentAPI"
+import { setPassedAssignments } from "../../../slices/viewCourseSlice"
+import {
+  MAX_SUBMISSION_FILES,
+  SUBMISSION_STATUS,
+  describeFileTypes,
+  getAcceptAttribute,
+  getRubricTotal,
+  getSubmissionScore,
+  isPassingScore,
+  isPastDue,
+  validateSubmissionFile,
+} from "../../../utils/assignmentRubric"
+import { formatDate } from "../../../utils/dateFormatter"
+import { formatCountdown, getSectionReleaseDate } from "../../../utils/dripSchedule"
+import IconBtn from "../../common/IconBtn"
+
+const formatDateTime = (dateString) =>
+  new Date(dateString).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  })
+
+const STATUS_STYLES = {
+  [SUBMISSION_STATUS.SUBMITTED]: { label: "Awaiting grading", className: "bg-yellow-700 text-yellow-25" },
+  [SUBMISSION_STATUS.GRADED]: { label: "Graded", className: "bg-caribbeangreen-700 text-caribbeangreen-25" },
+  [SUBMISSION_STATUS.RESUBMIT]: { label: "Resubmission requested", className: "bg-pink-700 text-pink-25" },
+}
+
+const AssignmentView = () => {
+  const { sectionId, subSectionId } = useParams()
+  const dispatch = useDispatch()
+  const fileInputRef = useRef(null)
+  const { token } = useSelector((state) => state.auth)
+  const {
+    courseSectionData,
+    enrollment,
+    completedLectures,
+    completedQuizzes,
+    passedAssignments,
+  } = useSelector((state) => state.viewCourse)
+
+  const [assignment, setAssignment] = useState(null)
+  const [submission, setSubmission] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [files, setFiles] = useState([])
+  const [comment, setComment] = useState("")
+  const [submitting, setSubmitting] = useState(false)
+
+  const subSection = useMemo(() => {
+    const section = courseSectionData.find((data) => data._id === sectionId)
+    return section?.subSection.find((data) => data._id === subSectionId) || null
+  }, [courseSectionData, sectionId, subSectionId])
+
+  // Opened by URL the sidebar's locks don't apply, so check them here as well: drip-released
+  // sections wait for their release date, later sections for the previous one to be completed
+  const [now, setNow] = useState(Date.now())
+  const releaseDate = useMemo(() => {
+    const section = courseSectionData.find((data) => data._id === sectionId)
+    const date = getSectionReleaseDate(section, enrollment)
+    return date && date.getTime() > now ? date : null
+  }, [courseSectionData, sectionId, enrollment, now])
+
+  useEffect(() => {
+    if (!releaseDate) return
+    const interval = setInterval(() => setNow(Date.now()), 60 * 1000)
+    return () => clearInterval(interval)
+  }, [releaseDate])
+
+  const isLockedByProgress = useMemo(() => {
+    const sectionIndex = courseSectionData.findIndex((data) => data._id === sectionId)
+    if (sectionIndex <= 0) return false
+    const previousSection = courseSectionData[sectionIndex - 1]
+    return !previousSection.subSection.every((subSec) => {
+      if (subSec.assignment) return passedAssignments.includes(subSec._id)
+      const videoCompleted = completedLectures.includes(subSec._id)
+      const quizCompleted = subSec.quiz ? completedQuizzes.includes(subSec._id) : true
+      return videoCompleted && quizCompleted
+    })
+  }, [courseSectionData, sectionId, completedLectures, completedQuizzes, passedAssignments])
+
+  const isLocked = Boolean(releaseDate) || isLockedByProgress
+
+  const assignmentId = subSection?.assignment?._id || subSection?.assignment
+
+  useEffect(() => {
+    if (!assignmentId || isLocked) return
+    const fetchAssignment = async () => {
+      setLoading(true)
+      const [assignmentData, submissionData] = await Promise.all([
+        getAssignmentById(assignmentId, token),
+        getMySubmission(assignmentId, token),
+      ])
+      setAssignment(assignmentData)
+      setSubmission(submissionData)
+      setFiles([])
+      setComment("")
+      setLoading(false)
+    }
+    fetchAssignment()
+  }, [assignmentId, isLocked, token])
+
+  const totalPoints = getRubricTotal(assignment?.rubric)
+  const isGraded = submission?.status === SUBMISSION_STATUS.GRADED
+  const score = isGraded ? getSubmissionScore(submission.scores) : 0
+  const passed = isGraded && (submission.passed ?? isPassingScore(score, assignment))
+  // students can replace their work until it has been graded, or when asked to resubmit
+  const canSubmit = !isGraded
+
+  // keep sidebar progress in step when a passing grade shows up
+  useEffect(() => {
+    if (passed && !passedAssignments.includes(subSectionId)) {
+      dispatch(setPassedAssignments([...passedAssignments, subSectionId]))
+    }
+  }, [passed, subSectionId, passedAssignments, dispatch])
+
+  const handleFileSelect = (e) => {
+    const selected = Array.from(e.target.files || [])
+    e.target.value = ""
+    const valid = []
+    selected.forEach((file) => {
+      const error = validateSubmissionFile(file, assignment)
+      if (error) toast.error(error)
+      else valid.push(file)
+    })
+    const nextFiles = [...files, ...valid]
+    if (nextFiles.length > MAX_SUBMISSION_FILES) {
+      toast.error(`You can upload up to ${MAX_SUBMISSION_FILES} files`)
+    }
+    setFiles(nextFiles.slice(0, MAX_SUBMISSION_FILES))
+  }
+
+  const handleSubmit = async () => {
+    if (isLocked) return
+    if (!files.length) {
+      toast.error("Please add at least one file")
+      return
+    }
+    setSubmitting(true)
+    const formData = new FormData()
+    files.forEach((file) => formData.append("files", file))
+    formData.append("comment", comment.trim())
+    const result = await submitAssignment(assignmentId, formData, token)
+    if (result) {
+      setSubmission(result)
+      setFiles([])
+      setComment("")
+    }
+    setSubmitting(false)
+  }
+
+  if (releaseDate) {
+    return (
+      <div className="flex items-center justify-center min-h-[60vh]">
+        <div className="text-center">
+          <FaRegClock size={36} className="mx-auto mb-4 text-yellow-50" />
+          <p className="text-richblack-5 text-lg mb-2">
+            This section unlocks in {formatCountdown(releaseDate.getTime() - now)}
+          </p>
+          <p className="text-richblack-400 text-sm">
+            Available from {formatDate(releaseDate)} at {releaseDate.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+          </p>
+        </div>
+      </div>
+    )
+  }
+
+  if (isLockedByProgress) {
+    return (
+      <div className="flex items-center justify-center min-h-[60vh]">
+        <div className="text-center">
+          <FaLock size={32} className="mx-auto mb-4 text-yellow-50" />
+          <p className="text-richblack-5 text-lg mb-2">This assignment is locked</p>
+          <p className="text-richblack-400 text-sm">Complete the previous section to unlock it.</p>
+        </div>
+      </div>
+    )
+  }
+
+  if (loading && assignmentId) {
+    return (
+      <div className="flex items-center justify-center min-h-[60vh]">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-yellow-50 mx-auto mb-4"></div>
+          <p className="text-richblack-200">Loading assignment...</p>
+        </div>
+      </div>
+    )
+  }
+
+  if (!assignmentId || !assignment) {
+    return (
+      <div className="flex items-center justify-center min-h-[60vh]">
+        <div className="text-center">
+          <FiAlertCircle className="mx-auto text-6xl text-richblack-400 mb-4" />
+          <p className="text-richblack-200">Assignment not found</p>
+        </div>
+      </div>
+    )
+  }
+
+  const statusStyle = STATUS_STYLES[submission?.status]
+
+  return (
+    <div className="max-w-4xl mx-auto p-6 space-y-6 text-richblack-5">
+      {/* Header */}
+      <div className="bg-richblack-800 rounded-xl p-6 shadow-xl">
+        <h1 className="text-2xl font-bold text-white mb-3">{subSection.title}</h1>
+        <div className="flex flex-wrap items-center gap-4 text-sm text-richblack-200">
+          {assignment.dueDate && (
+            <span className={`flex items-center gap-2 ${isPastDue(assignment) ? "text-pink-200" : ""}`}>
+              <FiCalendar />
+              Due {formatDateTime(assignment.dueDate)}
+              {isPastDue(assignment) && " (past due)"}
+            </span>
+          )}
+          <span>{totalPoints} points</span>
+          <span>Pass mark {assignment.passingPercentage}%</span>
+        </div>
+      </div>
+
+      {/* Instructions */}
+      <div className="bg-richblack-800 rounded-xl p-6 shadow-xl">
+        <h2 className="text-lg font-semibold mb-3">Instructions</h2>
+        <p className="whitespace-pre-wrap text-richblack-100">{assignment.instructions}</p>
+      </div>
+
+      {/* Rubric */}
+      <div className="bg-richblack-800 rounded-xl p-6 shadow-xl">
+        <h2 className="text-lg font-semibold mb-3">Rubric</h2>
+        <div className="divide-y divide-richblack-600">
+          {assignment.rubric.map((criterion) => {
+            const criterionScore = isGraded && submission.scores?.find((s) => s.criterionId === criterion._id)
+            return (
+              <div key={criterion._id} className="py-3">
+                <div className="flex items-start justify-between gap-4">
+                  <div>
+                    <p className="font-medium">{criterion.title}</p>
+                    {criterion.description && <p className="text-sm text-richblack-300">{criterion.description}</p>}
+                  </div>
+                  <span className="whitespace-nowrap text-sm font-semibold text-yellow-50">
+                    {criterionScore ? `${criterionScore.points} / ` : ""}{criterion.maxPoints} pts
+                  </span>
+                </div>
+                {criterionScore?.comment && (
+                  <p className="mt-2 rounded-md bg-richblack-700 p-3 text-sm text-richblack-100">{criterionScore.comment}</p>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      </div>
+
+      {/* Grade */}
+      {isGraded && (
+        <div className={`bg-gradient-to-r ${passed ? "from-green-800 to-green-600" : "from-red-800 to-red-600"} rounded-xl p-6 text-center shadow-xl`}>
+          {passed ? <FiAward className="mx-auto text-5xl text-white mb-3" /> : <FiAlertCircle className="mx-auto text-5xl text-white mb-3" />}
+          <p className="text-2xl font-bold text-white">{score} / {totalPoints}</p>
+          <p className="text-white/80">{passed ? "Passed" : "Below the pass mark"}</p>
+          {submission.feedback && (
+            <p className="mt-4 whitespace-pre-wrap rounded-lg bg-white/10 p-4 text-left text-white">{submission.feedback}</p>
+          )}
+        </div>
+      )}
+
+      {/* Current Submission */}
+      {submission && (
+        <div className="bg-richblack-800 rounded-xl p-6 shadow-xl">
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="text-lg font-semibold">Your Submission</h2>
+            {statusStyle && (
+              <span className={`rounded-full px-3 py-1 text-xs font-medium ${statusStyle.className}`}>{statusStyle.label}</span>
+            )}
+          </div>
+          <p className="text-sm text-richblack-300 mb-3">
+            Submitted {formatDateTime(submission.submittedAt)}
+            {submission.isLate && <span className="ml-2 text-pink-200">(late)</span>}
+          </p>
+          <ul className="space-y-2">
+            {submission.files?.map((file) => (
+              <li key={file.url}>
+                <a href={file.url} target="_blank" rel="noreferrer" className="flex items-center gap-2 text-sm text-blue-100 hover:underline">
+                  <FiFile /> {file.name}
+                </a>
+              </li>
+            ))}
+          </ul>
+          {submission.status === SUBMISSION_STATUS.RESUBMIT && submission.feedback && (
+            <p className="mt-4 whitespace-pre-wrap rounded-md bg-richblack-700 p-3 text-sm text-richblack-100">{submission.feedback}</p>
+          )}
+        </div>
+      )}
+
+      {/* Upload */}
+      {canSubmit && (
+        <div className="bg-richblack-800 rounded-xl p-6 shadow-xl space-y-4">
+          <h2 className="text-lg font-semibold">{submission ? "Replace Submission" : "Submit Your Work"}</h2>
+          {isPastDue(assignment) && (
+            <p className="flex items-center gap-2 text-sm text-pink-200">
+              <FiAlertCircle /> The due date has passed - this submission will be marked late.
+            </p>
+          )}
+
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            className="flex w-full flex-col items-center justify-center gap-2 rounded-lg border-2 border-dashed border-richblack-500 bg-richblack-700 p-6 text-richblack-200 hover:border-yellow-50"
+          >
+            <FiUploadCloud className="text-3xl text-yellow-50" />
+            <span>Choose files to upload</span>
+            <span className="text-xs text-richblack-400">
+              {describeFileTypes(assignment.allowedFileTypes)} · up to {assignment.maxFileSizeMB}MB each · max {MAX_SUBMISSION_FILES} files
+            </span>
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept={getAcceptAttribute(assignment.allowedFileTypes)}
+            onChange={handleFileSelect}
+            className="hidden"
+          />
+
+          {files.length > 0 && (
+            <ul className="space-y-2">
+              {files.map((file, index) => (
+                <li key={`${file.name}-${index}`} className="flex items-center justify-between rounded-md bg-richblack-700 px-3 py-2 text-sm">
+                  <span className="flex items-center gap-2 truncate">
+                    <FiFile /> {file.name}
+                  </span>
+                  <button type="button" onClick={() => setFiles(files.filter((_, i) => i !== index))} className="text-richblack-300 hover:text-pink-200">
+                    <FiX />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="Anything your instructor should know? (optional)"
+            className="form-style min-h-[80px] w-full"
+          />
+
+          <div className="flex justify-end">
+            <IconBtn disabled={submitting} text={submitting ? "Uploading..." : "Submit Assignment"} onClick={handleSubmit} />
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AssignmentView
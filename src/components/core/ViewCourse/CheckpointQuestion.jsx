@@ -0,0 +1,116 @@
+import { useState } from "react"
+import { FiAlertCircle, FiCheckCircle } from "react-icons/fi"
+import { useSelector } from "react-redux"
+
+import { answerCheckpoint } from "../../../services/operations/courseDetailsAPI"
+import { hasCheckpointAnswer } from "../../../utils/videoTimeline"
+import IconBtn from "../../common/IconBtn"
+
+// Question shown over the paused video when playback reaches a checkpoint
+export default function CheckpointQuestion({ checkpoint, courseId, subSectionId, onAnswered, onRewatch }) {
+  const { token } = useSelector((state) => state.auth)
+  const { question } = checkpoint
+  const [answer, setAnswer] = useState(question.questionType === "multipleChoice" ? [] : null)
+  const [result, setResult] = useState(null) // null | "correct" | "incorrect"
+  const [loading, setLoading] = useState(false)
+
+  const toggleOption = (optionIndex) => {
+    setResult(null)
+    if (question.questionType === "multipleChoice") {
+      setAnswer(answer.includes(optionIndex) ? answer.filter((i) => i !== optionIndex) : [...answer, optionIndex])
+    } else {
+      setAnswer(optionIndex)
+    }
+  }
+
+  const handleSubmit = async () => {
+    setLoading(true)
+    const response = await answerCheckpoint(
+      { courseId, subsectionId: subSectionId, checkpointId: checkpoint._id, answer },
+      token
+    )
+    setLoading(false)
+    if (response) {
+      setResult(response.correct ? "correct" : "incorrect")
+    }
+  }
+
+  return (
+    <div
+      style={{ backgroundImage: "linear-gradient(to top, rgb(0, 0, 0), rgba(0,0,0,0.85))" }}
+      className="absolute inset-0 z-[100] flex items-center justify-center overflow-y-auto p-4 font-inter"
+    >
+      <div className="w-full max-w-xl space-y-4 rounded-xl bg-richblack-800 p-6 text-richblack-5 shadow-xl">
+        <p className="text-xs font-semibold uppercase tracking-wide text-yellow-50">Checkpoint</p>
+        <h2 className="text-lg font-semibold">{question.questionText}</h2>
+
+        {question.questionType === "multipleChoice" && (
+          <p className="text-sm text-richblack-300">Select all that apply:</p>
+        )}
+        {question.questionType !== "shortAnswer" ? (
+          <div className="space-y-2">
+            {question.options.map((option, optionIndex) => (
+              <label key={optionIndex} className="flex items-center space-x-3 p-3 bg-richblack-700 rounded-lg cursor-pointer hover:bg-richblack-600 transition-colors">
+                <input
+                  type={question.questionType === "multipleChoice" ? "checkbox" : "radio"}
+                  name={`checkpoint-${checkpoint._id}`}
+                  checked={question.questionType === "multipleChoice" ? answer.includes(optionIndex) : answer === optionIndex}
+                  onChange={() => toggleOption(optionIndex)}
+                  disabled={loading || result === "correct"}
+                  className="w-4 h-4"
+                />
+                <span className="text-richblack-25">{option}</span>
+              </label>
+            ))}
+          </div>
+        ) : (
+          <input
+            type="text"
+            placeholder="Enter your answer..."
+            value={answer || ""}
+            onChange={(e) => {
+              setResult(null)
+              setAnswer(e.target.value)
+            }}
+            disabled={loading || result === "correct"}
+            maxLength={200}
+            className="w-full p-4 bg-richblack-700 text-richblack-25 rounded-lg border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+          />
+        )}
+
+        {result === "correct" && (
+          <p className="flex items-center gap-2 text-sm text-caribbeangreen-100">
+            <FiCheckCircle /> Correct! Carry on with the lecture.
+          </p>
+        )}
+        {result === "incorrect" && (
+          <p className="flex items-center gap-2 text-sm text-pink-200">
+            <FiAlertCircle /> Not quite. Try again or rewatch this part.
+          </p>
+        )}
+
+        <div className="flex justify-end gap-3">
+          {result === "correct" ? (
+            <IconBtn text="Continue" onClick={onAnswered} />
+          ) : (
+            <>
+              <button
+                type="button"
+                onClick={onRewatch}
+                disabled={loading}
+                className="rounded-md bg-richblack-700 px-4 py-2 text-sm text-richblack-50 hover:bg-richblack-600"
+              >
+                Rewatch
+              </button>
+              <IconBtn
+                disabled={loading || !hasCheckpointAnswer(question, answer)}
+                text={loading ? "Checking..." : "Submit"}
+                onClick={handleSubmit}
+              />
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,75 @@
+import { FiCheckCircle, FiXCircle, FiEyeOff } from "react-icons/fi"
+
+// Per test case pass/fail report for a graded codeSolve question
+export default function CodeTestReport({ questionNumber, questionText, report }) {
+  if (!report) return null
+
+  const passedCount = report.results.filter((result) => result.passed).length
+
+  return (
+    <div className="bg-richblack-800 rounded-lg p-5 text-left">
+      <div className="flex items-start justify-between gap-4 mb-4">
+        <div>
+          <p className="text-sm text-richblack-300">Question {questionNumber}</p>
+          <p className="text-white font-semibold">{questionText}</p>
+        </div>
+        <div className="text-right shrink-0">
+          <p className="text-yellow-50 font-bold">{report.score} marks</p>
+          <p className="text-xs text-richblack-300">
+            {passedCount}/{report.results.length} tests · {report.earnedPoints}/{report.totalPoints} pts
+          </p>
+        </div>
+      </div>
+
+      {report.results.length === 0 && (
+        <p className="text-sm text-richblack-300">No code was submitted for this question.</p>
+      )}
+
+      <div className="space-y-2">
+        {report.results.map((result) => (
+          <div key={result.index} className="bg-richblack-700 rounded-md p-3">
+            <div className="flex items-center justify-between text-sm">
+              <span className="flex items-center gap-2 text-richblack-50">
+                {result.passed ? (
+                  <FiCheckCircle className="text-caribbeangreen-200" />
+                ) : (
+                  <FiXCircle className="text-pink-200" />
+                )}
+                Test Case {result.index + 1}
+                {result.isHidden && (
+                  <span className="flex items-center gap-1 text-xs text-richblack-300">
+                    <FiEyeOff /> Hidden
+                  </span>
+                )}
+              </span>
+              <span className="text-richblack-300">
+                {result.status && <span className="mr-3">{result.status}</span>}
+                {result.earnedPoints}/{result.points} pts
+              </span>
+            </div>
+
+            {!result.isHidden && !result.passed && (
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mt-3 font-mono text-xs">
+                <div>
+                  <p className="text-richblack-300 mb-1">Input</p>
+                  <pre className="bg-richblack-800 p-2 rounded whitespace-pre-wrap text-richblack-100">{result.input || "(empty)"}</pre>
+                </div>
+                <div>
+                  <p className="text-richblack-300 mb-1">Expected</p>
+                  <pre className="bg-richblack-800 p-2 rounded whitespace-pre-wrap text-richblack-100">{result.expectedOutput}</pre>
+                </div>
+                <div>
+                  <p className="text-richblack-300 mb-1">Your Output</p>
+                  <pre className="bg-richblack-800 p-2 rounded whitespace-pre-wrap text-richblack-100">{result.actualOutput || "(no output)"}</pre>
+                </div>
+                {result.error && (
+                  <p className="md:col-span-3 text-pink-200 whitespace-pre-wrap">Error: {result.error}</p>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
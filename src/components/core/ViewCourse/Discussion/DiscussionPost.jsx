@@ -0,0 +1,134 @@
+import { useState } from "react"
+import { BsFlag } from "react-icons/bs"
+import { FiArrowUp, FiCheckCircle, FiEye, FiEyeOff } from "react-icons/fi"
+import { useSelector } from "react-redux"
+
+import { flagPost, hidePost, toggleUpvote, unhidePost } from "../../../../services/operations/discussionAPI"
+import { getRelativeTime } from "../../../../utils/dateFormatter"
+import { getFullName, isCourseInstructor, splitMentions } from "../../../../utils/discussions"
+
+// One thread or reply with its votes, badges and moderation actions
+export default function DiscussionPost({ post, postType, course, moderator = false, accepted = false, onAccept, onChange, children }) {
+  const { token } = useSelector((state) => state.auth)
+  const { user } = useSelector((state) => state.profile)
+  const [busy, setBusy] = useState(false)
+
+  const isOwn = post.author?._id === user?._id
+  const target = { postId: post._id, postType }
+
+  const handleUpvote = async () => {
+    setBusy(true)
+    const result = await toggleUpvote(target, token)
+    if (result) onChange({ ...post, upvotes: result.upvotes, hasUpvoted: result.hasUpvoted })
+    setBusy(false)
+  }
+
+  const handleFlag = async () => {
+    const reason = prompt("Why are you reporting this post?")
+    if (!reason) return
+    if (await flagPost({ ...target, reason }, token)) {
+      onChange({ ...post, isFlagged: true, flagReason: reason })
+    }
+  }
+
+  const handleHide = async () => {
+    const reason = prompt("Reason for hiding this post (optional):")
+    if (reason === null) return
+    if (await hidePost({ ...target, reason }, token)) {
+      onChange({ ...post, isHidden: true, hiddenReason: reason })
+    }
+  }
+
+  const handleUnhide = async () => {
+    if (await unhidePost(target, token)) {
+      onChange({ ...post, isHidden: false, hiddenReason: null })
+    }
+  }
+
+  if (post.isHidden && !moderator) {
+    return (
+      <div className="rounded-lg bg-richblack-800 p-4 text-sm italic text-richblack-400">
+        This post was hidden by a moderator
+      </div>
+    )
+  }
+
+  return (
+    <div
+      className={`flex gap-3 rounded-lg p-4 ${accepted ? "border border-caribbeangreen-300 bg-richblack-800" : "bg-richblack-800"}`}
+    >
+      {/* Votes */}
+      <button
+        onClick={handleUpvote}
+        disabled={busy}
+        className={`flex h-fit flex-col items-center rounded-md px-2 py-1 text-sm ${
+          post.hasUpvoted ? "bg-yellow-50 text-richblack-900" : "bg-richblack-700 text-richblack-100 hover:text-yellow-50"
+        }`}
+        title={post.hasUpvoted ? "Remove upvote" : "Upvote"}
+      >
+        <FiArrowUp />
+        {post.upvotes || 0}
+      </button>
+
+      <div className={`min-w-0 flex-1 space-y-2 ${post.isHidden ? "opacity-50" : ""}`}>
+        <div className="flex flex-wrap items-center gap-2 text-xs text-richblack-300">
+          {post.author?.image && <img src={post.author.image} alt="" className="h-6 w-6 rounded-full object-cover" />}
+          <span className="font-medium text-richblack-50">{getFullName(post.author)}</span>
+          {isCourseInstructor(post.author, course) && (
+            <span className="rounded-full bg-yellow-800 px-2 py-0.5 text-yellow-25">Instructor</span>
+          )}
+          <span>{getRelativeTime(post.createdAt)}</span>
+          {accepted && (
+            <span className="flex items-center gap-1 rounded-full bg-caribbeangreen-700 px-2 py-0.5 text-caribbeangreen-25">
+              <FiCheckCircle /> Accepted answer
+            </span>
+          )}
+        </div>
+
+        {post.title && <p className="font-semibold text-richblack-5">{post.title}</p>}
+        <p className="whitespace-pre-wrap break-words text-sm text-richblack-50">
+          {splitMentions(post.body, post.mentions).map((part, index) =>
+            part.mention ? (
+              <span key={index} className="font-medium text-blue-100">
+                {part.text}
+              </span>
+            ) : (
+              part.text
+            )
+          )}
+        </p>
+
+        {moderator && post.isHidden && (
+          <p className="text-xs text-pink-200">Hidden{post.hiddenReason ? `: ${post.hiddenReason}` : ""}</p>
+        )}
+        {moderator && post.isFlagged && (
+          <p className="text-xs text-pink-200">Reported{post.flagReason ? `: ${post.flagReason}` : ""}</p>
+        )}
+
+        <div className="flex flex-wrap items-center gap-4 text-xs text-richblack-300">
+          {children}
+          {onAccept && (
+            <button onClick={onAccept} className="flex items-center gap-1 hover:text-caribbeangreen-100">
+              <FiCheckCircle /> {accepted ? "Unaccept" : "Accept answer"}
+            </button>
+          )}
+          {!isOwn && !post.isFlagged && (
+            <button onClick={handleFlag} className="flex items-center gap-1 hover:text-pink-200">
+              <BsFlag /> Report
+            </button>
+          )}
+          {moderator &&
+            (post.isHidden ? (
+              <button onClick={handleUnhide} className="flex items-center gap-1 hover:text-richblack-5">
+                <FiEye /> Unhide
+              </button>
+            ) : (
+              <button onClick={handleHide} className="flex items-center gap-1 hover:text-pink-200">
+                <FiEyeOff /> Hide
+              </button>
+            ))}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,127 @@
+import { useEffect, useMemo, useState } from "react"
+import { FiArrowLeft } from "react-icons/fi"
+import { useSelector } from "react-redux"
+
+import { acceptAnswer, createReply, getThread } from "../../../../services/operations/discussionAPI"
+import {
+  POST_TYPES,
+  canAcceptAnswer,
+  extractMentions,
+  getMentionCandidates,
+  isCourseInstructor,
+  sortReplies,
+} from "../../../../utils/discussions"
+import IconBtn from "../../../common/IconBtn"
+import DiscussionPost from "./DiscussionPost"
+import MentionInput from "./MentionInput"
+
+// A question with its replies; onUpdate keeps the thread list in step
+export default function DiscussionThread({ threadId, course, moderator, onBack, onUpdate }) {
+  const { token } = useSelector((state) => state.auth)
+  const { user } = useSelector((state) => state.profile)
+
+  const [thread, setThread] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [reply, setReply] = useState("")
+  const [posting, setPosting] = useState(false)
+
+  useEffect(() => {
+    const fetchThread = async () => {
+      setLoading(true)
+      setThread(await getThread(threadId, token))
+      setLoading(false)
+    }
+    fetchThread()
+  }, [threadId, token])
+
+  const replies = useMemo(() => (thread ? sortReplies(thread.replies || [], thread, course) : []), [thread, course])
+  const candidates = useMemo(
+    () => (thread ? getMentionCandidates(course, [thread, ...replies], user) : []),
+    [thread, replies, course, user]
+  )
+
+  const updateThread = (changes) => {
+    setThread({ ...thread, ...changes })
+    onUpdate({ _id: thread._id, ...changes })
+  }
+
+  const handleReply = async () => {
+    const body = reply.trim()
+    if (!body) return
+    setPosting(true)
+    const created = await createReply(thread._id, { body, mentions: extractMentions(body, candidates) }, token)
+    if (created) {
+      const changes = { replies: [...thread.replies, created], replyCount: thread.replies.length + 1 }
+      if (isCourseInstructor(user, course)) changes.isInstructorAnswered = true
+      updateThread(changes)
+      setReply("")
+    }
+    setPosting(false)
+  }
+
+  const handleAccept = async (replyId) => {
+    const updated = await acceptAnswer(thread._id, replyId, token)
+    if (updated) updateThread({ acceptedAnswer: updated.acceptedAnswer ?? replyId })
+  }
+
+  const updateReply = (updatedReply) => {
+    setThread({ ...thread, replies: thread.replies.map((item) => (item._id === updatedReply._id ? updatedReply : item)) })
+  }
+
+  if (loading) return <p className="text-sm text-richblack-300">Loading discussion...</p>
+  if (!thread) return null
+
+  const acceptedId = thread.acceptedAnswer?._id || thread.acceptedAnswer
+  const mayAccept = canAcceptAnswer(user, thread, course)
+
+  return (
+    <div className="space-y-4">
+      <button onClick={onBack} className="flex items-center gap-1 text-sm text-richblack-300 hover:text-richblack-5">
+        <FiArrowLeft /> All questions
+      </button>
+
+      <DiscussionPost
+        post={thread}
+        postType={POST_TYPES.THREAD}
+        course={course}
+        moderator={moderator}
+        onChange={(updated) => updateThread(updated)}
+      />
+
+      <p className="text-sm text-richblack-300">
+        {replies.length} {replies.length === 1 ? "reply" : "replies"}
+      </p>
+      <div className="space-y-3 border-l border-richblack-700 pl-4">
+        {replies.map((item) => {
+          const accepted = item._id === acceptedId
+          return (
+            <DiscussionPost
+              key={item._id}
+              post={item}
+              postType={POST_TYPES.REPLY}
+              course={course}
+              moderator={moderator}
+              accepted={accepted}
+              onAccept={mayAccept && !item.isHidden ? () => handleAccept(accepted ? null : item._id) : undefined}
+              onChange={updateReply}
+            />
+          )
+        })}
+      </div>
+
+      {/* Reply */}
+      <div className="space-y-2">
+        <MentionInput
+          value={reply}
+          onChange={setReply}
+          candidates={candidates}
+          disabled={posting}
+          placeholder="Write a reply... type @ to mention someone"
+        />
+        <div className="flex justify-end">
+          <IconBtn text="Reply" disabled={posting || !reply.trim()} onClick={handleReply} />
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,186 @@
+import { useEffect, useMemo, useState } from "react"
+import { toast } from "react-hot-toast"
+import { FiArrowUp, FiCheckCircle, FiMessageSquare } from "react-icons/fi"
+import { useSelector } from "react-redux"
+import { useParams } from "react-router-dom"
+
+import { createThread, getLectureThreads } from "../../../../services/operations/discussionAPI"
+import { getRelativeTime } from "../../../../utils/dateFormatter"
+import {
+  THREAD_SORTS,
+  canModerate,
+  extractMentions,
+  getFullName,
+  getMentionCandidates,
+  sortThreads,
+} from "../../../../utils/discussions"
+import IconBtn from "../../../common/IconBtn"
+import DiscussionThread from "./DiscussionThread"
+import MentionInput from "./MentionInput"
+
+// Questions and discussion about the current lecture, shared with the student's cohort
+export default function LectureDiscussion() {
+  const { courseId, sectionId, subSectionId } = useParams()
+  const { token } = useSelector((state) => state.auth)
+  const { user } = useSelector((state) => state.profile)
+  const { courseEntireData, enrollment } = useSelector((state) => state.viewCourse)
+
+  const [threads, setThreads] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [sort, setSort] = useState("top")
+  const [openThreadId, setOpenThreadId] = useState(null)
+  const [composing, setComposing] = useState(false)
+  const [draft, setDraft] = useState({ title: "", body: "" })
+  const [posting, setPosting] = useState(false)
+
+  useEffect(() => {
+    const fetchThreads = async () => {
+      setLoading(true)
+      setOpenThreadId(null)
+      setThreads(await getLectureThreads(subSectionId, token))
+      setLoading(false)
+    }
+    fetchThreads()
+  }, [subSectionId, token])
+
+  const moderator = canModerate(user, courseEntireData)
+  const visibleThreads = useMemo(
+    () => sortThreads(moderator ? threads : threads.filter((thread) => !thread.isHidden), sort),
+    [threads, sort, moderator]
+  )
+  const candidates = useMemo(() => getMentionCandidates(courseEntireData, threads, user), [courseEntireData, threads, user])
+
+  const handlePost = async () => {
+    const title = draft.title.trim()
+    const body = draft.body.trim()
+    if (!title || !body) {
+      toast.error("Add a title and describe your question")
+      return
+    }
+    setPosting(true)
+    const thread = await createThread(
+      { courseId, sectionId, subSectionId, title, body, mentions: extractMentions(body, candidates) },
+      token
+    )
+    if (thread) {
+      setThreads([thread, ...threads])
+      setDraft({ title: "", body: "" })
+      setComposing(false)
+    }
+    setPosting(false)
+  }
+
+  const updateThread = (changes) => {
+    setThreads((prev) => prev.map((thread) => (thread._id === changes._id ? { ...thread, ...changes } : thread)))
+  }
+
+  return (
+    <div className="mb-10 space-y-4 border-t border-richblack-700 pt-6">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <p className="text-xl font-semibold text-richblack-5">Questions &amp; discussion</p>
+          <p className="text-xs text-richblack-400">
+            {enrollment?.cohort ? `Visible to everyone in ${enrollment.cohort.name}` : "Visible to everyone taking this course"}
+          </p>
+        </div>
+        {!openThreadId && !composing && <IconBtn text="Ask a question" onClick={() => setComposing(true)} />}
+      </div>
+
+      {openThreadId ? (
+        <DiscussionThread
+          threadId={openThreadId}
+          course={courseEntireData}
+          moderator={moderator}
+          onBack={() => setOpenThreadId(null)}
+          onUpdate={updateThread}
+        />
+      ) : (
+        <>
+          {composing && (
+            <div className="space-y-2 rounded-lg bg-richblack-800 p-4">
+              <input
+                value={draft.title}
+                onChange={(e) => setDraft({ ...draft, title: e.target.value })}
+                placeholder="Summarise your question"
+                className="form-style w-full"
+              />
+              <MentionInput
+                value={draft.body}
+                onChange={(body) => setDraft({ ...draft, body })}
+                candidates={candidates}
+                disabled={posting}
+                placeholder="Add details... type @ to mention someone"
+              />
+              <div className="flex justify-end gap-2">
+                <button onClick={() => setComposing(false)} className="text-sm text-richblack-300 hover:text-richblack-5">
+                  Cancel
+                </button>
+                <IconBtn text="Post" disabled={posting} onClick={handlePost} />
+              </div>
+            </div>
+          )}
+
+          <div className="flex gap-1 text-sm">
+            {THREAD_SORTS.map(({ value, label }) => (
+              <button
+                key={value}
+                onClick={() => setSort(value)}
+                className={`rounded-full px-3 py-1 ${sort === value ? "bg-richblack-700 text-richblack-5" : "text-richblack-300"}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {loading ? (
+            <p className="text-sm text-richblack-300">Loading questions...</p>
+          ) : visibleThreads.length === 0 ? (
+            <p className="text-sm text-richblack-300">
+              {sort === "unanswered" ? "Every question here has an answer" : "No questions about this lecture yet"}
+            </p>
+          ) : (
+            <div className="space-y-2">
+              {visibleThreads.map((thread) => (
+                <button
+                  key={thread._id}
+                  onClick={() => setOpenThreadId(thread._id)}
+                  className={`flex w-full items-start gap-4 rounded-lg bg-richblack-800 p-4 text-left hover:bg-richblack-700 ${
+                    thread.isHidden ? "opacity-50" : ""
+                  }`}
+                >
+                  <div className="flex flex-col items-center text-sm text-richblack-300">
+                    <FiArrowUp />
+                    {thread.upvotes || 0}
+                  </div>
+                  <div className="min-w-0 flex-1 space-y-1">
+                    <p className="truncate font-medium text-richblack-5">{thread.title}</p>
+                    <p className="line-clamp-2 text-sm text-richblack-300">{thread.body}</p>
+                    <div className="flex flex-wrap items-center gap-2 text-xs text-richblack-400">
+                      <span>
+                        {getFullName(thread.author)} · {getRelativeTime(thread.createdAt)}
+                      </span>
+                      {thread.acceptedAnswer && (
+                        <span className="flex items-center gap-1 rounded-full bg-caribbeangreen-700 px-2 py-0.5 text-caribbeangreen-25">
+                          <FiCheckCircle /> Accepted answer
+                        </span>
+                      )}
+                      {thread.isInstructorAnswered && (
+                        <span className="rounded-full bg-yellow-800 px-2 py-0.5 text-yellow-25">Instructor answered</span>
+                      )}
+                      {moderator && thread.isFlagged && (
+                        <span className="rounded-full bg-pink-800 px-2 py-0.5 text-pink-50">Reported</span>
+                      )}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-1 text-sm text-richblack-300">
+                    <FiMessageSquare /> {thread.replyCount || 0}
+                  </div>
+                </button>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,86 @@
+import { useRef, useState } from "react"
+
+import { getFullName, getMentionQuery, insertMention } from "../../../../utils/discussions"
+
+// Textarea that suggests people to @mention while typing
+export default function MentionInput({ value, onChange, candidates = [], placeholder, disabled = false }) {
+  const textareaRef = useRef(null)
+  const [query, setQuery] = useState(null)
+  const [highlighted, setHighlighted] = useState(0)
+
+  const suggestions =
+    query === null
+      ? []
+      : candidates.filter((person) => getFullName(person).toLowerCase().startsWith(query.toLowerCase())).slice(0, 5)
+
+  const updateQuery = (text, caret) => {
+    setQuery(getMentionQuery(text, caret))
+    setHighlighted(0)
+  }
+
+  const selectMention = (person) => {
+    const textarea = textareaRef.current
+    const { text, caret } = insertMention(value, textarea.selectionStart, person)
+    onChange(text)
+    setQuery(null)
+    // put the caret after the inserted name once the new value has rendered
+    requestAnimationFrame(() => {
+      textarea.focus()
+      textarea.setSelectionRange(caret, caret)
+    })
+  }
+
+  const handleKeyDown = (e) => {
+    if (!suggestions.length) return
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault()
+      const step = e.key === "ArrowDown" ? 1 : -1
+      setHighlighted((highlighted + step + suggestions.length) % suggestions.length)
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault()
+      selectMention(suggestions[highlighted])
+    } else if (e.key === "Escape") {
+      setQuery(null)
+    }
+  }
+
+  return (
+    <div className="relative">
+      <textarea
+        ref={textareaRef}
+        value={value}
+        disabled={disabled}
+        placeholder={placeholder}
+        onChange={(e) => {
+          onChange(e.target.value)
+          updateQuery(e.target.value, e.target.selectionStart)
+        }}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setQuery(null)}
+        className="form-style min-h-[90px] w-full"
+      />
+      {suggestions.length > 0 && (
+        <ul className="absolute left-0 top-full z-10 mt-1 w-60 overflow-hidden rounded-md border border-richblack-600 bg-richblack-800 shadow-lg">
+          {suggestions.map((person, index) => (
+            <li key={person._id}>
+              <button
+                type="button"
+                // mousedown so the textarea doesn't blur and close the list first
+                onMouseDown={(e) => {
+                  e.preventDefault()
+                  selectMention(person)
+                }}
+                className={`flex w-full items-center gap-2 px-3 py-2 text-left text-sm ${
+                  index === highlighted ? "bg-richblack-700 text-yellow-50" : "text-richblack-50"
+                }`}
+              >
+                {person.image && <img src={person.image} alt="" className="h-5 w-5 rounded-full object-cover" />}
+                {getFullName(person)}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
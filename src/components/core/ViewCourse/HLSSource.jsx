@@ -0,0 +1,56 @@
+import Hls from "hls.js"
+import { useEffect, useRef } from "react"
+
+// Video child for video-react (rendered with isVideoChild) that streams an HLS manifest into the
+// player's <video>. Browsers without Media Source Extensions but with native HLS (Safari on iOS)
+// play the manifest directly and pick the quality themselves.
+export default function HLSSource({ manifestUrl, video, quality, onLevelsLoaded, onLevelSwitched }) {
+  const hlsRef = useRef(null)
+  // callbacks change on every render of the parent, the stream must not be rebuilt for that
+  const callbacksRef = useRef({ onLevelsLoaded, onLevelSwitched })
+  callbacksRef.current = { onLevelsLoaded, onLevelSwitched }
+
+  useEffect(() => {
+    if (!video || !manifestUrl) return
+
+    if (!Hls.isSupported()) {
+      if (video.canPlayType("application/vnd.apple.mpegurl")) {
+        video.src = manifestUrl
+      }
+      callbacksRef.current.onLevelsLoaded?.([])
+      return
+    }
+
+    const hls = new Hls({ capLevelToPlayerSize: true })
+    hlsRef.current = hls
+    hls.on(Hls.Events.MANIFEST_PARSED, (_, data) => {
+      callbacksRef.current.onLevelsLoaded?.(data.levels.map(({ height, bitrate }) => ({ height, bitrate })))
+    })
+    hls.on(Hls.Events.LEVEL_SWITCHED, (_, data) => {
+      callbacksRef.current.onLevelSwitched?.(data.level)
+    })
+    hls.on(Hls.Events.ERROR, (_, data) => {
+      if (!data.fatal) return
+      console.log("HLS PLAYBACK ERROR............", data)
+      // try to recover from dropped connections and decode errors before giving up
+      if (data.type === Hls.ErrorTypes.NETWORK_ERROR) hls.startLoad()
+      else if (data.type === Hls.ErrorTypes.MEDIA_ERROR) hls.recoverMediaError()
+      else hls.destroy()
+    })
+    hls.loadSource(manifestUrl)
+    hls.attachMedia(video)
+
+    return () => {
+      hls.destroy()
+      hlsRef.current = null
+    }
+  }, [manifestUrl, video])
+
+  useEffect(() => {
+    if (hlsRef.current && quality !== undefined) {
+      hlsRef.current.currentLevel = quality
+    }
+  }, [quality])
+
+  return null
+}
@@ -0,0 +1,276 @@
+import { useEffect, useMemo, useState } from "react"
+import { toast } from "react-hot-toast"
+import { FiBookmark, FiDownload, FiEdit2, FiSearch, FiTrash2 } from "react-icons/fi"
+import Markdown from "react-markdown"
+import { useSelector } from "react-redux"
+import { useNavigate, useParams } from "react-router-dom"
+
+import { createNote, deleteNote, getCourseNotes, updateNote } from "../../../services/operations/notesAPI"
+import { NOTE_TYPES, getLectureIndex, getNoteLink, searchNotes, sortNotes } from "../../../utils/lectureNotes"
+import { downloadStudyGuideMarkdown, downloadStudyGuidePdf } from "../../../utils/studyGuideExport"
+import { formatTimestamp } from "../../../utils/videoTimeline"
+import ConfirmationModal from "../../common/ConfirmationModal"
+import IconBtn from "../../common/IconBtn"
+
+// tailwind resets element styles, so rendered markdown is styled from its wrapper
+const MARKDOWN_CLASSES =
+  "break-words [&_a]:text-blue-100 [&_a]:underline [&_blockquote]:border-l-2 [&_blockquote]:border-richblack-500 [&_blockquote]:pl-3 [&_code]:rounded [&_code]:bg-richblack-900 [&_code]:px-1 [&_code]:font-mono [&_code]:text-xs [&_h1]:font-semibold [&_h2]:font-semibold [&_h3]:font-semibold [&_ol]:mb-2 [&_ol]:list-decimal [&_ol]:pl-5 [&_p:last-child]:mb-0 [&_p]:mb-2 [&_ul]:mb-2 [&_ul]:list-disc [&_ul]:pl-5"
+
+// links in notes open next to the lecture instead of replacing it
+const MARKDOWN_COMPONENTS = {
+  a: ({ href, children }) => (
+    <a href={href} target="_blank" rel="noreferrer">
+      {children}
+    </a>
+  ),
+}
+
+const SCOPES = [
+  { value: "lecture", label: "This lecture" },
+  { value: "course", label: "All notes" },
+]
+
+// Notes and bookmarks of the student, pinned to moments of the course's lectures
+export default function NotesPanel({ currentTime, onSeek }) {
+  const { courseId, sectionId, subSectionId } = useParams()
+  const navigate = useNavigate()
+  const { token } = useSelector((state) => state.auth)
+  const { courseSectionData, courseEntireData } = useSelector((state) => state.viewCourse)
+
+  const [notes, setNotes] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [scope, setScope] = useState("lecture")
+  const [query, setQuery] = useState("")
+  const [draft, setDraft] = useState("")
+  const [preview, setPreview] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [editing, setEditing] = useState(null) // { _id, content }
+  const [confirmationModal, setConfirmationModal] = useState(null)
+
+  useEffect(() => {
+    const fetchNotes = async () => {
+      setLoading(true)
+      setNotes(await getCourseNotes(courseId, token))
+      setLoading(false)
+    }
+    fetchNotes()
+  }, [courseId, token])
+
+  const lectureIndex = useMemo(() => getLectureIndex(courseSectionData), [courseSectionData])
+
+  // searching always looks through the whole course
+  const visibleNotes = useMemo(() => {
+    const scoped = query.trim() || scope === "course" ? notes : notes.filter((note) => note.subSectionId === subSectionId)
+    return sortNotes(searchNotes(scoped, query, lectureIndex), lectureIndex)
+  }, [notes, query, scope, subSectionId, lectureIndex])
+
+  const handleAdd = async (type) => {
+    const content = draft.trim()
+    if (type === NOTE_TYPES.NOTE && !content) {
+      toast.error("Write something before saving the note")
+      return
+    }
+    setSaving(true)
+    const note = await createNote(
+      { courseId, sectionId, subSectionId, timestamp: Math.floor(currentTime), type, content },
+      token
+    )
+    if (note) {
+      setNotes([note, ...notes])
+      setDraft("")
+      setPreview(false)
+      toast.success(type === NOTE_TYPES.BOOKMARK ? "Bookmark added" : "Note saved")
+    }
+    setSaving(false)
+  }
+
+  const handleUpdate = async () => {
+    setSaving(true)
+    const note = await updateNote(editing._id, { content: editing.content.trim() }, token)
+    if (note) {
+      setNotes(notes.map((item) => (item._id === note._id ? note : item)))
+      setEditing(null)
+    }
+    setSaving(false)
+  }
+
+  const handleDelete = async (noteId) => {
+    setConfirmationModal(null)
+    if (await deleteNote(noteId, token)) {
+      setNotes((prev) => prev.filter((note) => note._id !== noteId))
+    }
+  }
+
+  const openNote = (note) => {
+    if (note.subSectionId === subSectionId) onSeek(note.timestamp)
+    else navigate(getNoteLink(courseId, note))
+  }
+
+  const handleExport = (format) => {
+    const course = { _id: courseId, courseName: courseEntireData?.courseName }
+    if (format === "pdf") downloadStudyGuidePdf(course, notes, lectureIndex)
+    else downloadStudyGuideMarkdown(course, notes, lectureIndex)
+  }
+
+  return (
+    <div className="flex flex-col gap-4 rounded-lg bg-richblack-800 p-4 text-sm xl:sticky xl:top-4 xl:max-h-[calc(100vh-7rem)] xl:self-start">
+      <div className="flex items-center justify-between">
+        <p className="font-semibold text-richblack-5">Notes</p>
+        <div className="flex items-center gap-3 text-xs text-richblack-300">
+          <FiDownload />
+          <button disabled={!notes.length} onClick={() => handleExport("md")} className="hover:text-richblack-5 disabled:opacity-50">
+            Markdown
+          </button>
+          <button disabled={!notes.length} onClick={() => handleExport("pdf")} className="hover:text-richblack-5 disabled:opacity-50">
+            PDF
+          </button>
+        </div>
+      </div>
+
+      {/* Composer */}
+      <div className="space-y-2">
+        <div className="flex gap-3 text-xs">
+          {["Write", "Preview"].map((tab) => (
+            <button
+              key={tab}
+              onClick={() => setPreview(tab === "Preview")}
+              className={(tab === "Preview") === preview ? "text-yellow-50" : "text-richblack-300"}
+            >
+              {tab}
+            </button>
+          ))}
+        </div>
+        {preview ? (
+          <div className={`min-h-[80px] rounded-md bg-richblack-700 p-3 text-richblack-50 ${MARKDOWN_CLASSES}`}>
+            {draft.trim() ? <Markdown components={MARKDOWN_COMPONENTS}>{draft}</Markdown> : <span className="text-richblack-400">Nothing to preview</span>}
+          </div>
+        ) : (
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder="Take a note... markdown works"
+            className="form-style min-h-[80px] w-full"
+          />
+        )}
+        <div className="flex items-center justify-between gap-2">
+          <button
+            disabled={saving}
+            onClick={() => handleAdd(NOTE_TYPES.BOOKMARK)}
+            className="flex items-center gap-1 text-xs text-richblack-100 hover:text-yellow-50"
+            title="Bookmark this moment, with the text above as an optional label"
+          >
+            <FiBookmark /> Bookmark {formatTimestamp(currentTime)}
+          </button>
+          <IconBtn disabled={saving} text={`Save at ${formatTimestamp(currentTime)}`} onClick={() => handleAdd(NOTE_TYPES.NOTE)} />
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="space-y-2">
+        <div className="flex items-center gap-2 rounded-md bg-richblack-700 px-3 py-2">
+          <FiSearch className="shrink-0 text-richblack-300" />
+          <input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search notes in this course"
+            className="w-full bg-transparent text-richblack-5 placeholder:text-richblack-400 focus:outline-none"
+          />
+        </div>
+        {!query.trim() && (
+          <div className="flex gap-1 rounded-full bg-richblack-700 p-1 text-xs">
+            {SCOPES.map(({ value, label }) => (
+              <button
+                key={value}
+                onClick={() => setScope(value)}
+                className={`flex-1 rounded-full py-1 ${scope === value ? "bg-richblack-900 text-richblack-5" : "text-richblack-300"}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Notes */}
+      <div className="-mr-2 flex-1 space-y-3 overflow-y-auto pr-2">
+        {loading ? (
+          <p className="text-richblack-300">Loading notes...</p>
+        ) : visibleNotes.length === 0 ? (
+          <p className="text-richblack-300">
+            {query.trim() ? "No notes match your search" : scope === "lecture" ? "No notes for this lecture yet" : "No notes yet"}
+          </p>
+        ) : (
+          visibleNotes.map((note) => {
+            const lecture = lectureIndex[note.subSectionId]
+            const isEditing = editing?._id === note._id
+            return (
+              <div key={note._id} className="rounded-md bg-richblack-700 p-3">
+                <div className="mb-1 flex items-center justify-between gap-2">
+                  <button
+                    onClick={() => openNote(note)}
+                    className="flex items-center gap-1 font-mono text-xs text-yellow-50 hover:underline"
+                    title="Jump to this moment"
+                  >
+                    {note.type === NOTE_TYPES.BOOKMARK && <FiBookmark />}
+                    {formatTimestamp(note.timestamp)}
+                  </button>
+                  <div className="flex items-center gap-2 text-richblack-300">
+                    <button onClick={() => setEditing({ _id: note._id, content: note.content || "" })} className="hover:text-richblack-5" title="Edit">
+                      <FiEdit2 />
+                    </button>
+                    <button
+                      onClick={() =>
+                        setConfirmationModal({
+                          text1: "Delete this note?",
+                          text2: "It will be removed from your notes and study guide.",
+                          btn1Text: "Delete",
+                          btn2Text: "Cancel",
+                          btn1Handler: () => handleDelete(note._id),
+                          btn2Handler: () => setConfirmationModal(null),
+                        })
+                      }
+                      className="hover:text-pink-200"
+                      title="Delete"
+                    >
+                      <FiTrash2 />
+                    </button>
+                  </div>
+                </div>
+                {note.subSectionId !== subSectionId && lecture && (
+                  <p className="mb-1 truncate text-xs text-richblack-400">{lecture.subSection.title}</p>
+                )}
+                {isEditing ? (
+                  <div className="space-y-2">
+                    <textarea
+                      value={editing.content}
+                      onChange={(e) => setEditing({ ...editing, content: e.target.value })}
+                      className="form-style min-h-[80px] w-full"
+                    />
+                    <div className="flex justify-end gap-2">
+                      <button onClick={() => setEditing(null)} className="text-xs text-richblack-300 hover:text-richblack-5">
+                        Cancel
+                      </button>
+                      <IconBtn
+                        disabled={saving || (note.type === NOTE_TYPES.NOTE && !editing.content.trim())}
+                        text="Save"
+                        onClick={handleUpdate}
+                      />
+                    </div>
+                  </div>
+                ) : (
+                  note.content && (
+                    <div className={`text-richblack-50 ${MARKDOWN_CLASSES}`}>
+                      <Markdown components={MARKDOWN_COMPONENTS}>{note.content}</Markdown>
+                    </div>
+                  )
+                )}
+              </div>
+            )
+          })
+        )}
+      </div>
+
+      {confirmationModal && <ConfirmationModal modalData={confirmationModal} />}
+    </div>
+  )
+}
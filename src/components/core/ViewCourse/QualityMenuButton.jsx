@@ -0,0 +1,29 @@
+import { MenuButton } from "video-react"
+
+import { AUTO_QUALITY, formatQualityLabel } from "../../../utils/videoStreaming"
+
+// Control bar menu for picking an HLS rendition, or leaving it on automatic
+export default function QualityMenuButton({ levels, quality, activeLevel, onSelect }) {
+  if (!levels.length) return null
+
+  // highest quality first; indexes still point into the hls.js level list
+  const options = levels
+    .map((level, index) => ({ label: formatQualityLabel(level), value: index, height: level.height || 0 }))
+    .sort((a, b) => b.height - a.height)
+  const activeLabel = levels[activeLevel] ? formatQualityLabel(levels[activeLevel]) : ""
+  const items = [{ label: activeLabel ? `Auto (${activeLabel})` : "Auto", value: AUTO_QUALITY }, ...options]
+
+  return (
+    <MenuButton
+      className="video-react-playback-rate"
+      items={items}
+      selectedIndex={items.findIndex((item) => item.value === quality)}
+      onSelectItem={(index) => onSelect(items[index].value)}
+    >
+      <span className="video-react-control-text">Quality</span>
+      <div className="video-react-playback-rate-value">
+        {quality === AUTO_QUALITY ? "Auto" : formatQualityLabel(levels[quality])}
+      </div>
+    </MenuButton>
+  )
+}
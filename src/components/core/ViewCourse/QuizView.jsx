@@ -1,20 +1,58 @@
 import React, { useEffect, useState } from "react"
 import { useDispatch, useSelector } from "react-redux"
 import { useNavigate, useParams, useLocation } from "react-router-dom"
-import { getQuizById, submitQuiz, getQuizStatus } from "../../../services/operations/quizAPI"
+import {
+  getQuizById,
+  submitQuiz,
+  getQuizStatus,
+  startQuizAttempt,
+  getActiveQuizAttempt,
+  saveQuizAttemptProgress,
+} from "../../../services/operations/quizAPI"
 import IconBtn from "../../common/IconBtn"
 import CodeEditor from "../../common/CodeEditor"
+import CodeTestReport from "./CodeTestReport"
+import { gradeCodeSolveQuestion } from "../../../services/codeExecution"
+import { buildQuizAttempt, createSeed, getOptionOrder, getQuizQuestionCount } from "../../../utils/quizShuffler"
+import {
+  clearQuizAttempt,
+  getClockOffset,
+  getRemainingSeconds,
+  loadQuizAttempt,
+  restoreQuizAttempt,
+  saveQuizAttempt,
+} from "../../../utils/quizAttemptStorage"
 import { IoIosArrowBack } from "react-icons/io"
 import { FiClock, FiCheckCircle, FiAlertCircle, FiAward } from "react-icons/fi"
 import { HiOutlineQuestionMarkCircle } from "react-icons/hi"
 import Xarrow from 'react-xarrows'
 import { toast } from "react-hot-toast"
 
+// Display order of answers for match the following questions, keyed by question id
+const getShuffledAnswers = (questions) => {
+  const shuffledAnswers = {}
+  questions.forEach(question => {
+    if (question.questionType === 'matchTheFollowing') {
+      const answersToShow = question.answers?.length ? question.answers : question.options
+      shuffledAnswers[question._id] = question.answerOrder.map(index => ({
+        answer: answersToShow[index],
+        originalIndex: index,
+        letter: String.fromCharCode(65 + index)
+      }))
+    }
+  })
+  return shuffledAnswers
+}
+
+// Delay before answers are autosaved to the server
+const AUTOSAVE_DELAY = 2000
+
 const QuizView = () => {
   const { courseId, sectionId, subSectionId } = useParams()
   const navigate = useNavigate()
   const location = useLocation()
   const { token } = useSelector((state) => state.auth)
+  const { user } = useSelector((state) => state.profile)
   const { courseSectionData, courseEntireData, completedLectures } = useSelector((state) => state.viewCourse)
 
   const [quizData, setQuizData] = useState(null)
@@ -35,6 +73,12 @@ const QuizView = () => {
     one: false
   })
   const [initialTimeLimit, setInitialTimeLimit] = useState(null)
+  const [codeReports, setCodeReports] = useState({})
+  // Running attempt: { attemptId, seed, questions, startedAt (server ms), clockOffset, timeLimit }
+  const [attempt, setAttempt] = useState(null)
+
+  // Questions of the current attempt (fixed questions + pool draws, in shuffled order)
+  const quizQuestions = attempt?.questions || quizData?.questions || []
 
   // Load quiz data and status
   useEffect(() => {
@@ -60,6 +104,39 @@ const QuizView = () => {
           const timeLimit = quiz.timeLimit || 10 * 60
           setTimeRemaining(timeLimit)
           setInitialTimeLimit(timeLimit) // Store initial time limit
+
+          // Resume an attempt interrupted by a reload or a crashed tab
+          const active = await getActiveQuizAttempt(quizId, token)
+          const saved = restoreQuizAttempt(
+            quiz,
+            loadQuizAttempt(user?._id, quizId),
+            active,
+            status?.lastAttempt?.completedAt
+          )
+          if (saved) {
+            const { answers, currentQuestion, shuffledAnswers, ...resumedAttempt } = saved
+            const remaining = getRemainingSeconds(resumedAttempt)
+            setAttempt(resumedAttempt)
+            setQuizAnswers(answers || {})
+            setCurrentQuestion(Math.min(currentQuestion || 0, resumedAttempt.questions.length - 1))
+            setShuffledAnswers(shuffledAnswers || getShuffledAnswers(resumedAttempt.questions))
+            setTimeRemaining(remaining)
+            // Skip time warnings for thresholds that passed while the student was away
+            setNotificationsShown({
+              twenty: remaining <= 1200,
+              ten: remaining <= 600,
+              five: remaining <= 300,
+              one: remaining <= 60
+            })
+            setQuizStarted(true)
+            // An expired attempt is auto-submitted by the timer expiry effect
+            toast.success(remaining > 0
+              ? "Resumed your quiz attempt"
+              : "Time ran out while you were away, submitting your answers")
+          } else {
+            // nothing to resume, drop a stale local copy
+            clearQuizAttempt(user?._id, quizId)
+          }
         } catch (error) {
           console.error("Error loading quiz:", error)
         } finally {
@@ -69,42 +146,45 @@ const QuizView = () => {
     }
 
     loadQuiz()
-  }, [courseSectionData, sectionId, subSectionId, token])
+  }, [courseSectionData, sectionId, subSectionId, token, user?._id])
 
-  // Timer effect
+  // Timer effect - remaining time is derived from the attempt's server start time,
+  // so it stays correct across reloads and throttled background tabs
   useEffect(() => {
-    if (quizStarted && timeRemaining > 0 && initialTimeLimit) {
+    if (quizStarted && timeRemaining > 0 && initialTimeLimit && attempt?.startedAt) {
       const timer = setInterval(() => {
+        const remaining = getRemainingSeconds(attempt)
         setTimeRemaining(prev => {
           // Smart notification logic - skip if initial time limit matches notification threshold
           const shouldSkip20Min = initialTimeLimit === 1200 // Skip if quiz is exactly 20 minutes
           const shouldSkip10Min = initialTimeLimit === 600  // Skip if quiz is exactly 10 minutes
           const shouldSkip5Min = initialTimeLimit === 300   // Skip if quiz is exactly 5 minutes
           const shouldSkip1Min = initialTimeLimit === 60    // Skip if quiz is exactly 1 minute
+          const crossed = (threshold) => prev > threshold && remaining <= threshold
 
           // Check for notification thresholds with smart skipping logic
-          if (prev === 1200 && !notificationsShown.twenty && !shouldSkip20Min) { // 20 minutes
+          if (crossed(1200) && !notificationsShown.twenty && !shouldSkip20Min) { // 20 minutes
             toast.success("20 minutes remaining!", {
               icon: "⏰",
               duration: 4000
             })
             setNotificationsShown(prev => ({ ...prev, twenty: true }))
           }
-          else if (prev === 600 && !notificationsShown.ten && !shouldSkip10Min) { // 10 minutes
+          else if (crossed(600) && !notificationsShown.ten && !shouldSkip10Min) { // 10 minutes
             toast.success("10 minutes remaining!", {
               icon: "⚠️",
               duration: 4000
             })
             setNotificationsShown(prev => ({ ...prev, ten: true }))
           }
-          else if (prev === 300 && !notificationsShown.five && !shouldSkip5Min) { // 5 minutes
+          else if (crossed(300) && !notificationsShown.five && !shouldSkip5Min) { // 5 minutes
             toast.success("5 minutes remaining!", {
               icon: "⚠️",
               duration: 4000
             })
             setNotificationsShown(prev => ({ ...prev, five: true }))
           }
-          else if (prev === 60 && !notificationsShown.one && !shouldSkip1Min) { // 1 minute
+          else if (crossed(60) && !notificationsShown.one && !shouldSkip1Min) { // 1 minute
             toast.success("1 minute remaining!", {
               icon: "🚨",
               duration: 4000
@@ -112,54 +192,65 @@ const QuizView = () => {
             setNotificationsShown(prev => ({ ...prev, one: true }))
           }
 
-          if (prev <= 1) {
-            handleTimerExpiry()
-            return 0
-          }
-          return prev - 1
+          return remaining
         })
       }, 1000)
 
       return () => clearInterval(timer)
     }
-  }, [quizStarted, timeRemaining, notificationsShown, initialTimeLimit])
-
-  // Function to check if shuffled array is in different order than original
-  const isShuffledDifferent = (original, shuffled) => {
-    return !shuffled.every((item, index) => item.originalIndex === index);
-  }
+  }, [quizStarted, timeRemaining, notificationsShown, initialTimeLimit, attempt])
 
-  // Function to shuffle array until it's in a different order
-  const shuffleUntilDifferent = (array) => {
-    let shuffled;
-    do {
-      shuffled = [...array].sort(() => Math.random() - 0.5);
-    } while (!isShuffledDifferent(array, shuffled));
-    return shuffled;
-  }
-
-  // Initialize shuffled answers for match the following questions
+  // Auto submit once time runs out - also fires right after resuming an attempt
+  // whose time ran out while the student was away
   useEffect(() => {
-    if (quizData && quizData.questions) {
-      const newShuffledAnswers = {}
-      quizData.questions.forEach(question => {
-        if (question.questionType === 'matchTheFollowing') {
-          const answersToShow = question.answers || question.options
-          const mappedAnswers = answersToShow
-            .map((answer, index) => ({ 
-              answer, 
-              originalIndex: index, 
-              letter: String.fromCharCode(65 + index) 
-            }))
-          
-          // Shuffle until we get a different order than original
-          const shuffled = shuffleUntilDifferent(mappedAnswers)
-          newShuffledAnswers[question._id] = shuffled
-        }
-      })
-      setShuffledAnswers(newShuffledAnswers)
+    if (quizStarted && attempt && timeRemaining === 0) {
+      handleTimerExpiry()
     }
-  }, [quizData])
+  }, [quizStarted, attempt, timeRemaining])
+
+  // Keep the running attempt locally on every change and autosave answers to the server
+  const isTimeUp = timeRemaining === 0
+  useEffect(() => {
+    if (!quizStarted || !attempt || !quizData || isTimeUp) return
+
+    saveQuizAttempt(user?._id, quizData._id, {
+      ...attempt,
+      answers: quizAnswers,
+      currentQuestion,
+      shuffledAnswers
+    })
+
+    if (!attempt.attemptId) return
+    const autosave = setTimeout(() => {
+      saveQuizAttemptProgress(attempt.attemptId, { answers: quizAnswers, currentQuestion }, token)
+    }, AUTOSAVE_DELAY)
+    return () => clearTimeout(autosave)
+  }, [quizStarted, attempt, quizAnswers, currentQuestion, shuffledAnswers, quizData, isTimeUp, token, user?._id])
+
+  // Draw this attempt's questions. The seed, pool candidates and start time come from the
+  // server so the same draw can be rebuilt for review and the timer survives reloads.
+  // Without them pool questions would silently drop out, so a failed start begins nothing;
+  // returns whether the attempt began.
+  const beginAttempt = async (quiz) => {
+    const started = await startQuizAttempt(quiz._id, token)
+    if (!started) return false
+    const seed = started.seed ?? createSeed()
+    const built = buildQuizAttempt(quiz, started.poolQuestions || [], seed)
+    const clockOffset = getClockOffset(started.serverTime)
+    const timeLimit = quiz.timeLimit || 10 * 60
+
+    setAttempt({
+      attemptId: started.attemptId || null,
+      ...built,
+      startedAt: started.startedAt ? new Date(started.startedAt).getTime() : Date.now() + clockOffset,
+      clockOffset,
+      timeLimit
+    })
+    setShuffledAnswers(getShuffledAnswers(built.questions))
+    setCurrentQuestion(0)
+    setTimeRemaining(timeLimit)
+    return true
+  }
 
   // Function to handle quiz retake
   const handleQuizRetake = async () => {
@@ -200,6 +291,8 @@ const QuizView = () => {
       setQuizAnswers({})
       setSelectedQuestion(null)
       setShuffledAnswers({})
+      setCodeReports({})
+      setAttempt(null)
       setRetakeKey(prev => prev + 1)
       
       // Reset timer with fallback
@@ -207,25 +300,10 @@ const QuizView = () => {
       setTimeRemaining(timeLimit)
       setInitialTimeLimit(timeLimit) // Update initial time limit for retake
       
-      // Re-shuffle answers for match the following questions
-      if (quiz.questions) {
-        const newShuffledAnswers = {}
-        quiz.questions.forEach(question => {
-          if (question.questionType === 'matchTheFollowing') {
-            const answersToShow = question.answers || question.options
-            const mappedAnswers = answersToShow
-              .map((answer, index) => ({ 
-                answer, 
-                originalIndex: index, 
-                letter: String.fromCharCode(65 + index) 
-              }))
-            
-            // Shuffle until we get a different order than original
-            const shuffled = shuffleUntilDifferent(mappedAnswers)
-            newShuffledAnswers[question._id] = shuffled
-          }
-        })
-        setShuffledAnswers(newShuffledAnswers)
+      // Draw a fresh set of questions for the new attempt
+      if (!(await beginAttempt(quiz))) {
+        setLoading(false)
+        return
       }
       
       // Start the quiz immediately after reset
@@ -258,7 +336,7 @@ const QuizView = () => {
 
   const handleAnswerClick = (answerIndex) => {
     if (selectedQuestion !== null) {
-      const currentQuestionData = quizData.questions[currentQuestion]
+      const currentQuestionData = quizQuestions[currentQuestion]
       // Check if this connection already exists
       const existingConnection = Object.entries(quizAnswers)
         .find(([key, value]) => 
@@ -314,6 +392,44 @@ const QuizView = () => {
   }
 
 
+  // Run every codeSolve answer against its test cases (including hidden ones).
+  // The per-case report is kept for the result screen and a summary is sent to the server.
+  const gradeCodeAnswers = async (answers) => {
+    const codeQuestions = quizQuestions.filter(question => question.questionType === 'codeSolve')
+    if (!codeQuestions.length) return {}
+
+    const toastId = toast.loading("Running test cases...")
+    const reports = {}
+    for (const question of codeQuestions) {
+      try {
+        reports[question._id] = await gradeCodeSolveQuestion(question, answers[question._id])
+      } catch (error) {
+        console.error("Error grading code question:", error)
+      }
+    }
+    toast.dismiss(toastId)
+    setCodeReports(reports)
+
+    return Object.fromEntries(Object.entries(reports).map(([questionId, report]) => [
+      questionId,
+      {
+        earnedPoints: report.earnedPoints,
+        totalPoints: report.totalPoints,
+        score: report.score,
+        results: report.results.map(({ index, passed, points, earnedPoints, status }) => ({
+          index, passed, points, earnedPoints, status
+        }))
+      }
+    ]))
+  }
+
+  // Identify the drawn questions so the server grades (and later replays) this exact attempt
+  const getAttemptSubmissionData = () => ({
+    attemptId: attempt?.attemptId,
+    seed: attempt?.seed,
+    questionIds: quizQuestions.map(question => question._id)
+  })
+
   // Handle timer expiry - auto submit without validation
   const handleTimerExpiry = async () => {
     if (!quizData) return
@@ -325,11 +441,14 @@ const QuizView = () => {
         courseID: courseId,
         subsectionId: subSectionId,
         answers: quizAnswers || {}, // Use empty object if no answers
+        codeResults: await gradeCodeAnswers(quizAnswers || {}),
+        ...getAttemptSubmissionData(),
         timerExpired: true // Add timerExpired flag
       }
 
       const result = await submitQuiz(quizSubmissionData, token) // timerExpired is already in the data
       if (result) {
+        clearQuizAttempt(user?._id, quizData._id)
         setQuizResult(result)
         setQuizStarted(false) // Stop the quiz after submission
         try {
@@ -352,7 +471,7 @@ const QuizView = () => {
 
     // Validate all questions are answered
     const unansweredQuestions = []
-    quizData.questions.forEach((question, index) => {
+    quizQuestions.forEach((question, index) => {
       const answer = quizAnswers[question._id]
       
       if (question.questionType === 'codeSolve') {
@@ -397,11 +516,14 @@ const QuizView = () => {
         courseID: courseId,
         subsectionId: subSectionId,
         answers: quizAnswers,
+        codeResults: await gradeCodeAnswers(quizAnswers),
+        ...getAttemptSubmissionData(),
         timerExpired: false // Add timerExpired flag for manual submission
       }
 
       const result = await submitQuiz(quizSubmissionData, token) // timerExpired is already in the data
       if (result) {
+        clearQuizAttempt(user?._id, quizData._id)
         setQuizResult(result)
         setQuizStarted(false) // Stop the quiz after submission
         try {
@@ -522,6 +644,20 @@ const QuizView = () => {
             </div>
           </div>
 
+          {/* Test case report for code questions graded in this attempt */}
+          {Object.keys(codeReports).length > 0 && (
+            <div className="space-y-4 mb-6">
+              {quizQuestions.map((question, index) => codeReports[question._id] && (
+                <CodeTestReport
+                  key={question._id}
+                  questionNumber={index + 1}
+                  questionText={question.questionText}
+                  report={codeReports[question._id]}
+                />
+              ))}
+            </div>
+          )}
+
           {isPassed && (
             <div className="bg-white/10 rounded-lg p-4 mb-6">
               <p className="text-white text-sm">
@@ -585,7 +721,7 @@ const QuizView = () => {
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-richblack-200">
               <div className="flex items-center gap-2">
                 <HiOutlineQuestionMarkCircle className="text-yellow-50" />
-                <span>Questions: {quizData.questions.length}</span>
+                <span>Questions: {attempt ? attempt.questions.length : getQuizQuestionCount(quizData)}</span>
               </div>
               <div className="flex items-center gap-2">
                 <FiClock className="text-yellow-50" />
@@ -627,6 +763,9 @@ const QuizView = () => {
               <li>• The quiz will auto-submit when time runs out</li>
               <li>• Make sure you have a stable internet connection</li>
               <li>• You need at least 60% to pass this quiz</li>
+              {quizData.questionPools?.length > 0 && (
+                <li>• Questions are drawn at random for every attempt</li>
+              )}
               {quizStatus && quizStatus.passed && (
                 <li className="text-green-300">• You have already passed this quiz. Retakes are not allowed.</li>
               )}
@@ -651,7 +790,7 @@ const QuizView = () => {
               </div>
             ) : (
               <IconBtn
-                onClick={() => {
+                onClick={async () => {
                   // Reset notifications when starting quiz
                   setNotificationsShown({
                     twenty: false,
@@ -663,7 +802,10 @@ const QuizView = () => {
                   if (!initialTimeLimit && timeRemaining) {
                     setInitialTimeLimit(timeRemaining)
                   }
-                  setQuizStarted(true)
+                  setLoading(true)
+                  const began = await beginAttempt(quizData)
+                  setLoading(false)
+                  if (began) setQuizStarted(true)
                 }}
                 text={quizStatus && quizStatus.attempts > 0 ? "Retake Quiz" : "Start Quiz"}
                 customClasses="px-8 py-3 text-lg"
@@ -676,7 +818,16 @@ const QuizView = () => {
   }
 
   // Quiz taking interface
-  const currentQuestionData = quizData.questions[currentQuestion]
+  const currentQuestionData = quizQuestions[currentQuestion]
+  if (!currentQuestionData) {
+    return (
+      <div className="max-w-4xl mx-auto p-6">
+        <div className="bg-richblack-800 rounded-xl p-6 text-center text-richblack-200">
+          This quiz has no questions to answer right now. Please try again later.
+        </div>
+      </div>
+    )
+  }
 
   return (
     <div className="max-w-4xl mx-auto p-6">
@@ -693,11 +844,11 @@ const QuizView = () => {
         </div>
         
         <div className="flex items-center justify-between text-richblack-200">
-          <span>Question {currentQuestion + 1} of {quizData.questions.length}</span>
+          <span>Question {currentQuestion + 1} of {quizQuestions.length}</span>
           <div className="w-64 bg-richblack-700 rounded-full h-2">
             <div 
               className="bg-yellow-50 h-2 rounded-full transition-all duration-300"
-              style={{ width: `${((currentQuestion + 1) / quizData.questions.length) * 100}%` }}
+              style={{ width: `${((currentQuestion + 1) / quizQuestions.length) * 100}%` }}
             ></div>
           </div>
         </div>
@@ -759,7 +910,7 @@ const QuizView = () => {
         {currentQuestionData.questionType === 'multipleChoice' && (
           <div className="space-y-3">
             <p className="text-sm text-richblack-300 mb-4">Select all that apply:</p>
-            {currentQuestionData.options.map((option, optionIndex) => (
+            {getOptionOrder(currentQuestionData).map((optionIndex) => (
               <label key={optionIndex} className="flex items-center space-x-3 p-3 bg-richblack-700 rounded-lg cursor-pointer hover:bg-richblack-600 transition-colors">
                 <input
                   type="checkbox"
@@ -767,7 +918,7 @@ const QuizView = () => {
                   onChange={() => handleQuizAnswer(currentQuestionData._id, optionIndex, 'multipleChoice')}
                   className="w-4 h-4 text-yellow-50 bg-richblack-600 border-richblack-500 rounded focus:ring-yellow-50"
                 />
-                <span className="text-richblack-25">{option}</span>
+                <span className="text-richblack-25">{currentQuestionData.options[optionIndex]}</span>
               </label>
             ))}
           </div>
@@ -776,7 +927,7 @@ const QuizView = () => {
         {/* Single Answer Questions */}
         {currentQuestionData.questionType === 'singleAnswer' && (
           <div className="space-y-3">
-            {currentQuestionData.options.map((option, optionIndex) => (
+            {getOptionOrder(currentQuestionData).map((optionIndex) => (
               <label key={optionIndex} className="flex items-center space-x-3 p-3 bg-richblack-700 rounded-lg cursor-pointer hover:bg-richblack-600 transition-colors">
                 <input
                   type="radio"
@@ -786,7 +937,7 @@ const QuizView = () => {
                   onChange={() => handleQuizAnswer(currentQuestionData._id, optionIndex, 'singleAnswer')}
                   className="w-4 h-4 text-yellow-50 bg-richblack-600 border-richblack-500 focus:ring-yellow-50"
                 />
-                <span className="text-richblack-25">{option}</span>
+                <span className="text-richblack-25">{currentQuestionData.options[optionIndex]}</span>
               </label>
             ))}
           </div>
@@ -982,7 +1133,7 @@ const QuizView = () => {
         />
         
         <div className="flex gap-4">
-          {currentQuestion < quizData.questions.length - 1 ? (
+          {currentQuestion < quizQuestions.length - 1 ? (
             <IconBtn
               onClick={() => setCurrentQuestion(prev => prev + 1)}
               text="Next"
@@ -1002,9 +1153,9 @@ const QuizView = () => {
       <div className="mt-6 bg-richblack-800 rounded-xl p-6">
         <h3 className="text-white font-semibold mb-4">Question Navigation</h3>
         <div className="grid grid-cols-5 sm:grid-cols-10 gap-2">
-          {quizData.questions.map((_, index) => {
+          {quizQuestions.map((_, index) => {
             const isAnswered = (() => {
-              const question = quizData.questions[index]
+              const question = quizQuestions[index]
               const answer = quizAnswers[question._id]
               
               if (question.questionType === 'codeSolve') {
@@ -0,0 +1,74 @@
+import { useEffect, useState } from "react"
+import { useSelector } from "react-redux"
+import { toast } from "react-hot-toast"
+
+import {
+  downloadSectionLectures,
+  getSectionDownloadStatus,
+  isDownloadSupported,
+  removeSectionDownloads,
+} from "../../../services/lectureDownloads"
+
+import { MdDownloadForOffline, MdOfflinePin } from "react-icons/md"
+
+// Download / remove all lecture videos of a section for offline viewing
+export default function SectionDownloadButton({ section }) {
+  const [status, setStatus] = useState({ downloaded: 0, total: 0 })
+  const [progress, setProgress] = useState(null) // { done, total } while downloading
+  const { enrollment } = useSelector((state) => state.viewCourse)
+
+  useEffect(() => {
+    let cancelled = false
+    getSectionDownloadStatus(section, enrollment)
+      .then((result) => !cancelled && setStatus(result))
+      .catch((error) => console.log("GET SECTION DOWNLOAD STATUS ERROR............", error))
+    return () => {
+      cancelled = true
+    }
+  }, [section, enrollment])
+
+  if (!isDownloadSupported() || !status.total) return null
+
+  const isDownloaded = status.downloaded === status.total
+
+  const handleClick = async (e) => {
+    // the section header toggles the accordion, don't collapse it
+    e.stopPropagation()
+    if (progress) return
+
+    if (isDownloaded) {
+      await removeSectionDownloads(section)
+      setStatus({ downloaded: 0, total: status.total })
+      toast.success("Removed offline lectures")
+      return
+    }
+
+    setProgress({ done: status.downloaded, total: status.total })
+    try {
+      await downloadSectionLectures(section, enrollment, (done, total) => setProgress({ done, total }))
+      toast.success(`${section.sectionName} is available offline`)
+    } catch (error) {
+      console.log("DOWNLOAD SECTION ERROR............", error)
+      toast.error(error.message || "Could not download lectures")
+    } finally {
+      setProgress(null)
+      setStatus(await getSectionDownloadStatus(section, enrollment))
+    }
+  }
+
+  return (
+    <button
+      onClick={handleClick}
+      className="flex items-center gap-1 text-[12px] text-richblack-200 hover:text-yellow-50"
+      title={isDownloaded ? "Remove offline copy" : "Download for offline viewing"}
+    >
+      {progress ? (
+        <span className="text-yellow-50">{progress.done}/{progress.total}</span>
+      ) : isDownloaded ? (
+        <MdOfflinePin size={18} className="text-caribbeangreen-200" />
+      ) : (
+        <MdDownloadForOffline size={18} />
+      )}
+    </button>
+  )
+}
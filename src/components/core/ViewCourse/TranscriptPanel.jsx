@@ -0,0 +1,98 @@
+import { useEffect, useRef, useState } from "react"
+
+import { getActiveCue, getLanguageLabel, parseCaptions } from "../../../utils/captions"
+import { formatTimestamp } from "../../../utils/videoTimeline"
+
+// Interactive transcript built from the lecture's caption tracks - clicking a line seeks the video
+export default function TranscriptPanel({ captions = [], currentTime, onSeek }) {
+  const [language, setLanguage] = useState(captions[0]?.language)
+  const [cuesByUrl, setCuesByUrl] = useState({})
+  const [error, setError] = useState(false)
+  const listRef = useRef(null)
+  const activeRef = useRef(null)
+
+  // switch back to an available language when the lecture changes
+  useEffect(() => {
+    if (!captions.some((caption) => caption.language === language)) {
+      setLanguage(captions[0]?.language)
+    }
+  }, [captions, language])
+
+  const caption = captions.find((track) => track.language === language)
+  const cues = caption ? cuesByUrl[caption.url] : null
+
+  useEffect(() => {
+    if (!caption || cuesByUrl[caption.url]) return
+    let cancelled = false
+    const fetchCues = async () => {
+      setError(false)
+      try {
+        const response = await fetch(caption.url)
+        if (!response.ok) throw new Error(`Could not load captions (${response.status})`)
+        const parsed = parseCaptions(await response.text())
+        if (!cancelled) setCuesByUrl((prev) => ({ ...prev, [caption.url]: parsed }))
+      } catch (err) {
+        console.log("TRANSCRIPT FETCH ERROR............", err)
+        if (!cancelled) setError(true)
+      }
+    }
+    fetchCues()
+    return () => {
+      cancelled = true
+    }
+  }, [caption, cuesByUrl])
+
+  const activeCue = getActiveCue(cues || [], currentTime)
+
+  // keep the current line in view without scrolling the page
+  useEffect(() => {
+    if (!listRef.current || !activeRef.current) return
+    const list = listRef.current
+    list.scrollTop = activeRef.current.offsetTop - list.clientHeight / 2
+  }, [activeCue])
+
+  if (!captions.length) return null
+
+  return (
+    <div className="rounded-lg bg-richblack-800 p-4">
+      <div className="mb-2 flex items-center justify-between">
+        <p className="text-sm font-semibold text-richblack-200">Transcript</p>
+        {captions.length > 1 && (
+          <select
+            value={language}
+            onChange={(e) => setLanguage(e.target.value)}
+            className="rounded-md bg-richblack-700 px-2 py-1 text-xs text-richblack-5"
+          >
+            {captions.map((track) => (
+              <option key={track.language} value={track.language}>
+                {getLanguageLabel(track.language)}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {error ? (
+        <p className="text-sm text-richblack-300">The transcript could not be loaded.</p>
+      ) : !cues ? (
+        <p className="text-sm text-richblack-300">Loading transcript...</p>
+      ) : (
+        <div ref={listRef} className="relative max-h-72 overflow-y-auto">
+          {cues.map((cue, index) => (
+            <button
+              key={index}
+              ref={cue === activeCue ? activeRef : null}
+              onClick={() => onSeek(cue.start)}
+              className={`flex w-full gap-3 rounded px-2 py-1.5 text-left text-sm transition-colors ${
+                cue === activeCue ? "bg-richblack-700 text-yellow-50" : "text-richblack-50 hover:bg-richblack-700"
+              }`}
+            >
+              <span className="font-mono text-xs leading-5 text-richblack-300">{formatTimestamp(cue.start)}</span>
+              <span>{cue.text}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,98 @@
+import { useState } from "react"
+import { FiSearch, FiX } from "react-icons/fi"
+import { useSelector } from "react-redux"
+import { useNavigate } from "react-router-dom"
+
+import { searchCourseTranscripts } from "../../../services/operations/courseDetailsAPI"
+import { getLanguageLabel } from "../../../utils/captions"
+import { formatTimestamp } from "../../../utils/videoTimeline"
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// wraps every occurrence of the query in a highlight
+const highlight = (text, query) =>
+  text.split(new RegExp(`(${escapeRegExp(query)})`, "gi")).map((part, index) =>
+    part.toLowerCase() === query.toLowerCase() ? (
+      <mark key={index} className="rounded bg-yellow-50 px-0.5 text-richblack-900">
+        {part}
+      </mark>
+    ) : (
+      part
+    )
+  )
+
+// Finds a phrase across every lecture transcript of the course and jumps to where it is said
+export default function TranscriptSearch({ courseId }) {
+  const navigate = useNavigate()
+  const { token } = useSelector((state) => state.auth)
+  const [query, setQuery] = useState("")
+  const [results, setResults] = useState(null)
+  const [searchedQuery, setSearchedQuery] = useState("")
+  const [loading, setLoading] = useState(false)
+
+  const handleSearch = async (e) => {
+    e.preventDefault()
+    const phrase = query.trim()
+    if (phrase.length < 2) return
+    setLoading(true)
+    const data = await searchCourseTranscripts(courseId, phrase, token)
+    setResults(data)
+    setSearchedQuery(phrase)
+    setLoading(false)
+  }
+
+  const clearSearch = () => {
+    setQuery("")
+    setResults(null)
+  }
+
+  return (
+    <div className="w-full text-sm font-normal">
+      <form onSubmit={handleSearch} className="flex items-center gap-2 rounded-md bg-richblack-700 px-3 py-2">
+        <FiSearch className="shrink-0 text-richblack-300" />
+        <input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search lecture transcripts"
+          className="w-full bg-transparent text-richblack-5 placeholder:text-richblack-400 focus:outline-none"
+        />
+        {results && (
+          <button type="button" onClick={clearSearch} className="text-richblack-300 hover:text-richblack-5" title="Clear search">
+            <FiX />
+          </button>
+        )}
+      </form>
+
+      {loading && <p className="mt-2 text-xs text-richblack-300">Searching...</p>}
+
+      {!loading && results && (
+        <div className="mt-2 max-h-64 overflow-y-auto rounded-md bg-richblack-900">
+          {results.length === 0 ? (
+            <p className="p-3 text-xs text-richblack-300">No lecture mentions &quot;{searchedQuery}&quot;</p>
+          ) : (
+            results.map((result, index) => (
+              <button
+                key={`${result.subSectionId}-${result.start}-${index}`}
+                onClick={() =>
+                  navigate(
+                    `/view-course/${courseId}/section/${result.sectionId}/sub-section/${result.subSectionId}?t=${Math.floor(result.start)}`
+                  )
+                }
+                className="block w-full border-b border-richblack-700 px-3 py-2 text-left last:border-b-0 hover:bg-richblack-700"
+              >
+                <p className="flex items-center justify-between gap-2 text-xs text-richblack-300">
+                  <span className="truncate">{result.lectureTitle}</span>
+                  <span className="shrink-0 font-mono">
+                    {formatTimestamp(result.start)}
+                    {result.language && ` · ${getLanguageLabel(result.language)}`}
+                  </span>
+                </p>
+                <p className="mt-1 text-richblack-50">{highlight(result.text, searchedQuery)}</p>
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,74 @@
+import { FiCheckCircle, FiHelpCircle } from "react-icons/fi"
+
+import { formatTimestamp, getCurrentChapter, sortByTime } from "../../../utils/videoTimeline"
+
+// Timeline of chapter and checkpoint markers under the player, plus the chapter list
+export default function VideoChapters({ chapters = [], checkpoints = [], answeredCheckpoints = [], currentTime, duration, onSeek }) {
+  if (!chapters.length && !checkpoints.length) return null
+
+  const currentChapter = getCurrentChapter(chapters, currentTime)
+  const position = (time) => `${Math.min((time / duration) * 100, 100)}%`
+  const answeredCount = checkpoints.filter((checkpoint) => answeredCheckpoints.includes(checkpoint._id)).length
+
+  return (
+    <div className="space-y-4">
+      {/* Marker Strip */}
+      {duration > 0 && (
+        <div className="relative h-2 rounded-full bg-richblack-700">
+          <div className="absolute left-0 top-0 h-2 rounded-full bg-richblack-500" style={{ width: position(currentTime) }} />
+          {chapters.map((chapter) => (
+            <button
+              key={chapter._id}
+              onClick={() => onSeek(chapter.time)}
+              title={`${formatTimestamp(chapter.time)} ${chapter.title}`}
+              className="absolute top-1/2 h-4 w-1 -translate-y-1/2 rounded bg-richblack-5"
+              style={{ left: position(chapter.time) }}
+            />
+          ))}
+          {checkpoints.map((checkpoint) => (
+            <span
+              key={checkpoint._id}
+              title={`Checkpoint at ${formatTimestamp(checkpoint.time)}`}
+              className={`absolute top-1/2 h-3 w-3 -translate-x-1/2 -translate-y-1/2 rotate-45 ${
+                answeredCheckpoints.includes(checkpoint._id) ? "bg-caribbeangreen-100" : "bg-yellow-50"
+              }`}
+              style={{ left: position(checkpoint.time) }}
+            />
+          ))}
+        </div>
+      )}
+
+      {/* Chapter List */}
+      {chapters.length > 0 && (
+        <div className="rounded-lg bg-richblack-800 p-4">
+          <p className="mb-2 text-sm font-semibold text-richblack-200">Chapters</p>
+          <div className="flex flex-col">
+            {sortByTime(chapters).map((chapter) => (
+              <button
+                key={chapter._id}
+                onClick={() => onSeek(chapter.time)}
+                className={`flex items-center gap-3 rounded px-2 py-1.5 text-left text-sm transition-colors ${
+                  currentChapter?._id === chapter._id ? "bg-richblack-700 text-yellow-50" : "text-richblack-50 hover:bg-richblack-700"
+                }`}
+              >
+                <span className="font-mono text-xs text-richblack-300">{formatTimestamp(chapter.time)}</span>
+                {chapter.title}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {checkpoints.length > 0 && (
+        <p className="flex items-center gap-2 text-xs text-richblack-300">
+          {answeredCount === checkpoints.length ? (
+            <FiCheckCircle className="text-caribbeangreen-100" />
+          ) : (
+            <FiHelpCircle className="text-yellow-50" />
+          )}
+          {answeredCount} of {checkpoints.length} checkpoints answered
+        </p>
+      )}
+    </div>
+  )
+}
@@ -4,18 +4,45 @@ import { useLocation } from "react-router-dom"
 import { useNavigate, useParams } from "react-router-dom"
 
 import "video-react/dist/video-react.css"
-import { BigPlayButton, Player } from "video-react"
+import { BigPlayButton, ClosedCaptionButton, ControlBar, PlaybackRateMenuButton, Player, Shortcut } from "video-react"
 
 import { markLectureAsComplete } from "../../../services/operations/courseDetailsAPI"
-import { updateCompletedLectures } from "../../../slices/viewCourseSlice"
+import { addAnsweredCheckpoint, updateCompletedLectures, updateLecturePosition } from "../../../slices/viewCourseSlice"
 import { setCourseViewSidebar } from "../../../slices/sidebarSlice"
-import { apiConnector } from "../../../services/apiConnector"
-import { endpoints } from "../../../services/apis"
+import { updateWatchTime as sendWatchTime } from "../../../services/operations/userAnalyticsAPI"
+import { formatDate } from "../../../utils/dateFormatter"
+import { getLanguageLabel } from "../../../utils/captions"
+import { formatCountdown, getSectionReleaseDate } from "../../../utils/dripSchedule"
+import { formatTimestamp, getCurrentChapter, getNextPendingCheckpoint } from "../../../utils/videoTimeline"
+import { AUTO_QUALITY, PLAYBACK_RATES, getHlsUrl, getResumePosition } from "../../../utils/videoStreaming"
+import { isLectureDownloaded } from "../../../services/lectureDownloads"
+import useOnlineStatus from "../../../hooks/useOnlineStatus"
 
 import IconBtn from "../../common/IconBtn"
+import CheckpointQuestion from "./CheckpointQuestion"
+import HLSSource from "./HLSSource"
+import LectureDiscussion from "./Discussion/LectureDiscussion"
+import NotesPanel from "./NotesPanel"
+import QualityMenuButton from "./QualityMenuButton"
+import TranscriptPanel from "./TranscriptPanel"
+import VideoChapters from "./VideoChapters"
 
 import { HiMenuAlt1 } from 'react-icons/hi'
-
+import { FaRegClock } from "react-icons/fa"
+
+// added to video-react's defaults (space/k play, j/l and arrows seek, f fullscreen, shift + >/< speed)
+const PLAYER_SHORTCUTS = [
+  { keyCode: 77, handle: (player, actions) => actions.mute(!player.muted) }, // m
+  // 0-9 jump to 0%-90% of the lecture
+  ...Array.from({ length: 10 }, (_, digit) => ({
+    keyCode: 48 + digit,
+    handle: (player, actions) => actions.seek((player.duration * digit) / 10),
+  })),
+]
+
+// the player's shortcuts listen on the whole document; keys typed into a field are not for it
+const isTypingTarget = (target) =>
+  target instanceof HTMLElement && (["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName) || target.isContentEditable)
 
 const VideoDetails = () => {
   const { courseId, sectionId, subSectionId } = useParams()
@@ -26,7 +53,7 @@ const VideoDetails = () => {
   const dispatch = useDispatch()
 
   const { token } = useSelector((state) => state.auth)
-  const { courseSectionData, courseEntireData, completedLectures } = useSelector((state) => state.viewCourse)
+  const { courseSectionData, courseEntireData, completedLectures, enrollment, answeredCheckpoints, lecturePositions } = useSelector((state) => state.viewCourse)
 
   const [videoData, setVideoData] = useState([])
   const [previewSource, setPreviewSource] = useState("")
@@ -35,24 +62,35 @@ const VideoDetails = () => {
   const [watchTime, setWatchTime] = useState(0)
   const watchTimeRef = useRef(0)
   const lastUpdateTime = useRef(Date.now())
+  // checkpoint question currently shown over the paused video
+  const [activeCheckpoint, setActiveCheckpoint] = useState(null)
+  const [playback, setPlayback] = useState({ currentTime: 0, duration: 0 })
+  // playback position sent with the watch time so the lecture resumes there next visit
+  const positionRef = useRef(0)
+  const [resumedFrom, setResumedFrom] = useState(null)
+  // HLS renditions of the lecture, the one picked in the quality menu and the one playing
+  const [levels, setLevels] = useState([])
+  const [quality, setQuality] = useState(AUTO_QUALITY)
+  const [activeLevel, setActiveLevel] = useState(-1)
 
   // Update watch time every 30 seconds
   const updateWatchTime = useCallback(async () => {
     if (watchTimeRef.current > 0) {
+      const lastPosition = Math.floor(positionRef.current)
+      dispatch(updateLecturePosition({ subSectionId, position: lastPosition }))
       try {
-        await apiConnector("POST", endpoints.UPDATE_WATCH_TIME_API, {
+        await sendWatchTime({
           courseId,
           subSectionId,
-          watchTime: Math.floor(watchTimeRef.current)
-        }, {
-          Authorization: `Bearer ${token}`
-        })
+          watchTime: Math.floor(watchTimeRef.current),
+          lastPosition,
+        }, token)
         watchTimeRef.current = 0
       } catch (error) {
         console.error("Error updating watch time:", error)
       }
     }
-  }, [courseId, subSectionId, token])
+  }, [courseId, subSectionId, token, dispatch])
 
   // Handle time update from video player
   const handleTimeUpdate = useCallback(() => {
@@ -106,8 +144,106 @@ const VideoDetails = () => {
       }
     }
     setVideoEnded(false)
+    setActiveCheckpoint(null)
+    setPlayback({ currentTime: 0, duration: 0 })
+    positionRef.current = 0
+    setResumedFrom(null)
+    setLevels([])
+    setQuality(AUTO_QUALITY)
+    setActiveLevel(-1)
   }, [currentVideoData, courseEntireData, courseId, sectionId, subSectionId, navigate])
 
+  // The lecture can only be completed once every checkpoint is answered, so playback
+  // stops at the first unanswered one - also when the student seeks past it
+  const pendingCheckpoint = useMemo(
+    () => getNextPendingCheckpoint(videoData?.checkpoints, answeredCheckpoints),
+    [videoData, answeredCheckpoints]
+  )
+
+  const checkCheckpoint = useCallback((currentTime) => {
+    if (!pendingCheckpoint || activeCheckpoint || currentTime < pendingCheckpoint.time) return
+    playerRef.current.pause()
+    if (currentTime > pendingCheckpoint.time + 1) {
+      playerRef.current.seek(pendingCheckpoint.time)
+    }
+    setActiveCheckpoint(pendingCheckpoint)
+  }, [pendingCheckpoint, activeCheckpoint])
+
+  const handleCheckpointAnswered = () => {
+    dispatch(addAnsweredCheckpoint(activeCheckpoint._id))
+    setActiveCheckpoint(null)
+    playerRef.current?.play()
+  }
+
+  // replay from the start of the chapter leading up to the checkpoint
+  const handleCheckpointRewatch = () => {
+    const chapter = getCurrentChapter(videoData.chapters, activeCheckpoint.time - 1)
+    playerRef.current?.seek(chapter?.time ?? 0)
+    setActiveCheckpoint(null)
+    playerRef.current?.play()
+  }
+
+  const handleSeek = (time) => {
+    if (!playerRef.current) return
+    playerRef.current.seek(time)
+    setVideoEnded(false)
+  }
+
+  // transcript search results link here with ?t=<seconds>, otherwise the lecture picks up
+  // where the student left off
+  const linkedTime = Number(new URLSearchParams(location.search).get("t")) || 0
+
+  const handleLoadedMetadata = () => {
+    if (linkedTime) {
+      handleSeek(linkedTime)
+      return
+    }
+    const { duration } = playerRef.current.getState().player
+    const position = getResumePosition(lecturePositions[subSectionId], duration)
+    if (position) {
+      handleSeek(position)
+      setResumedFrom(position)
+    }
+  }
+
+  // a new link into the lecture that is already loaded
+  useEffect(() => {
+    if (!linkedTime || !playerRef.current?.getState().player.duration) return
+    playerRef.current.seek(linkedTime)
+    setVideoEnded(false)
+  }, [linkedTime])
+
+  // Offline downloads cache the progressive file only, so downloaded lectures and anything
+  // played offline skip HLS and use videoUrl, which the service worker serves from the cache
+  const isOnline = useOnlineStatus()
+  const [isDownloaded, setIsDownloaded] = useState(false)
+  useEffect(() => {
+    let cancelled = false
+    setIsDownloaded(false)
+    isLectureDownloaded(videoData.videoUrl)
+      .then((downloaded) => !cancelled && setIsDownloaded(downloaded))
+      .catch((error) => console.log("GET LECTURE DOWNLOAD STATUS ERROR............", error))
+    return () => {
+      cancelled = true
+    }
+  }, [videoData.videoUrl])
+
+  const hlsUrl = isOnline && !isDownloaded ? getHlsUrl(videoData) : null
+
+  // Drip-released sections stay locked until their release date, even when opened by URL
+  const [now, setNow] = useState(Date.now())
+  const releaseDate = useMemo(() => {
+    const currentSection = courseSectionData.find((section) => section._id === sectionId)
+    const date = getSectionReleaseDate(currentSection, enrollment)
+    return date && date.getTime() > now ? date : null
+  }, [courseSectionData, sectionId, enrollment, now])
+
+  useEffect(() => {
+    if (!releaseDate) return
+    const interval = setInterval(() => setNow(Date.now()), 60 * 1000)
+    return () => clearInterval(interval)
+  }, [releaseDate])
+
   // Memoized check if the lecture is the first video of the course
   const isFirstVideo = useMemo(() => {
     if (!courseSectionData.length) return false
@@ -170,11 +306,13 @@ const VideoDetails = () => {
 
   // Memoized lecture completion handler
   const handleLectureCompletion = useCallback(async () => {
+    if (pendingCheckpoint) return
     setLoading(true)
     try {
       const res = await markLectureAsComplete(
         { courseId: courseId, subsectionId: subSectionId },
-        token
+        token,
+        dispatch
       )
       if (res) {
         dispatch(updateCompletedLectures(subSectionId))
@@ -184,7 +322,7 @@ const VideoDetails = () => {
     } finally {
       setLoading(false)
     }
-  }, [courseId, subSectionId, token, dispatch])
+  }, [courseId, subSectionId, token, dispatch, pendingCheckpoint])
 
   const { courseViewSidebar } = useSelector(state => state.sidebar)
 
@@ -193,7 +331,10 @@ const VideoDetails = () => {
   if (courseViewSidebar && window.innerWidth <= 640) return;
 
   return (
-    <div className="flex flex-col gap-5 text-white">
+    <div
+      className="flex flex-col gap-5 text-white"
+      onKeyDown={(e) => isTypingTarget(e.target) && e.stopPropagation()}
+    >
 
       {/* open - close side bar icons */}
       <div className="sm:hidden text-white absolute left-7 top-3 cursor-pointer " onClick={() => dispatch(setCourseViewSidebar(!courseViewSidebar))}>
@@ -203,116 +344,247 @@ const VideoDetails = () => {
       </div>
 
 
-      {!videoData ? (
-        <div className="flex flex-col items-center justify-center h-[400px] bg-richblack-800 rounded-md">
-          <div className="animate-pulse">
-            <div className="h-4 w-48 bg-richblack-700 rounded mb-4"></div>
-            <div className="h-2 w-32 bg-richblack-700 rounded"></div>
-          </div>
-        </div>
-      ) : !videoData.videoUrl ? (
-        <div className="flex flex-col items-center justify-center h-[400px] bg-richblack-800 rounded-md">
-          <div className="text-center">
-            <p className="text-richblack-200 text-lg mb-2">No video available for this lecture</p>
-            <p className="text-richblack-400 text-sm">Please proceed to the next section or check back later.</p>
-          </div>
-        </div>
-      ) : (
-        <Player
-          ref={playerRef}
-          aspectRatio="16:9"
-          playsInline
-          autoPlay
-          onEnded={() => {
-            setVideoEnded(true)
-            updateWatchTime()
-          }}
-          onTimeUpdate={() => {
-            if (playerRef.current) {
-              const currentTime = playerRef.current.getState().player.currentTime;
-              const timeDiff = currentTime - (watchTimeRef.current || 0);
-              if (timeDiff >= 1) { // Update every second
-                watchTimeRef.current = currentTime;
-                setWatchTime(currentTime);
+      <div className="grid grid-cols-1 gap-5 xl:grid-cols-[minmax(0,1fr)_340px]">
+        <div className="flex min-w-0 flex-col gap-5">
+          {!videoData ? (
+            <div className="flex flex-col items-center justify-center h-[400px] bg-richblack-800 rounded-md">
+              <div className="animate-pulse">
+                <div className="h-4 w-48 bg-richblack-700 rounded mb-4"></div>
+                <div className="h-2 w-32 bg-richblack-700 rounded"></div>
+              </div>
+            </div>
+          ) : releaseDate ? (
+            <div className="flex flex-col items-center justify-center h-[400px] bg-richblack-800 rounded-md">
+              <div className="flex flex-col items-center text-center">
+                <FaRegClock size={36} className="mb-4 text-yellow-50" />
+                <p className="text-richblack-5 text-lg mb-2">
+                  This section unlocks in {formatCountdown(releaseDate.getTime() - now)}
+                </p>
+                <p className="text-richblack-400 text-sm">
+                  Available from {formatDate(releaseDate)} at {releaseDate.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+                </p>
+              </div>
+            </div>
+          ) : videoData.assignment ? (
+            <div className="flex flex-col items-center justify-center h-[400px] bg-richblack-800 rounded-md">
+              <div className="text-center">
+                <p className="text-richblack-5 text-lg mb-2">This lecture is an assignment</p>
+                <p className="text-richblack-400 text-sm mb-4">Read the brief and upload your work for grading.</p>
+                <IconBtn
+                  onClick={() => navigate(`/view-course/${courseId}/section/${sectionId}/sub-section/${subSectionId}/assignment`)}
+                  text="Open Assignment"
+                  customClasses="mx-auto"
+                />
+              </div>
+            </div>
+          ) : !videoData.videoUrl ? (
+            <div className="flex flex-col items-center justify-center h-[400px] bg-richblack-800 rounded-md">
+              <div className="text-center">
+                <p className="text-richblack-200 text-lg mb-2">No video available for this lecture</p>
+                <p className="text-richblack-400 text-sm">Please proceed to the next section or check back later.</p>
+              </div>
+            </div>
+          ) : (
+            <Player
+              ref={playerRef}
+              aspectRatio="16:9"
+              playsInline
+              autoPlay
+              onEnded={() => {
+                setVideoEnded(true)
+                updateWatchTime()
+              }}
+              onPause={() => updateWatchTime()}
+              onLoadedMetadata={handleLoadedMetadata}
+              onTimeUpdate={() => {
+                if (playerRef.current) {
+                  const { currentTime, duration } = playerRef.current.getState().player;
+                  positionRef.current = currentTime
+                  checkCheckpoint(currentTime)
+                  if (Math.floor(currentTime) !== Math.floor(playback.currentTime) || duration !== playback.duration) {
+                    setPlayback({ currentTime, duration })
+                  }
+                  const timeDiff = currentTime - (watchTimeRef.current || 0);
+                  if (timeDiff >= 1) { // Update every second
+                    watchTimeRef.current = currentTime;
+                    setWatchTime(currentTime);
                 
-                // Send update every 30 seconds
-                if (Math.floor(currentTime) % 30 === 0) {
-                  updateWatchTime();
+                    // Send update every 30 seconds
+                    if (Math.floor(currentTime) % 30 === 0) {
+                      updateWatchTime();
+                    }
+                  }
                 }
-              }
-            }
-          }}
-          src={videoData.videoUrl}
-        >
-          <BigPlayButton position="center" />
-          {/* Render When Video Ends */}
-          {videoEnded && (
-            <div
-              style={{
-                backgroundImage:
-                  "linear-gradient(to top, rgb(0, 0, 0), rgba(0,0,0,0.7), rgba(0,0,0,0.5), rgba(0,0,0,0.1))",
               }}
-              className="w-full absolute inset-0 z-[100] grid h-full place-content-center font-inter"
+              // hls.js feeds the <video> itself, giving the player a src as well would fight it
+              {...(hlsUrl ? {} : { src: videoData.videoUrl })}
+              // caption tracks are hosted on another origin, so they only load over CORS
+              crossOrigin={videoData.captions?.length ? "anonymous" : undefined}
             >
-              {!completedLectures.includes(subSectionId) && (
-                <IconBtn
-                  disabled={loading}
-                  onClick={() => handleLectureCompletion()}
-                  text={!loading ? "Mark As Completed" : "Loading..."}
-                  customClasses="text-xl max-w-max px-4 mx-auto"
+              {hlsUrl && (
+                <HLSSource
+                  isVideoChild
+                  manifestUrl={hlsUrl}
+                  quality={quality}
+                  onLevelsLoaded={setLevels}
+                  onLevelSwitched={setActiveLevel}
                 />
               )}
-              
-              {/* Show Take Quiz button if lecture is completed and has quiz */}
-              {completedLectures.includes(subSectionId) && videoData?.quiz && (
-                <IconBtn
-                  disabled={loading}
-                  onClick={() => navigate(`/view-course/${courseId}/section/${sectionId}/sub-section/${subSectionId}/quiz`)}
-                  text="Take Quiz"
-                  customClasses="text-xl max-w-max px-4 mx-auto bg-green-600 hover:bg-green-700"
+              {videoData.captions?.map((caption) => (
+                <track
+                  key={caption._id}
+                  kind="captions"
+                  src={caption.url}
+                  srcLang={caption.language}
+                  label={getLanguageLabel(caption.language)}
+                />
+              ))}
+              <BigPlayButton position="center" />
+              <ControlBar>
+                <ClosedCaptionButton order={7} />
+                <PlaybackRateMenuButton rates={PLAYBACK_RATES} order={7.1} />
+                <QualityMenuButton
+                  levels={levels}
+                  quality={quality}
+                  activeLevel={activeLevel}
+                  onSelect={setQuality}
+                  order={7.2}
+                />
+              </ControlBar>
+              <Shortcut shortcuts={PLAYER_SHORTCUTS} />
+              {activeCheckpoint && (
+                <CheckpointQuestion
+                  key={activeCheckpoint._id}
+                  checkpoint={activeCheckpoint}
+                  courseId={courseId}
+                  subSectionId={subSectionId}
+                  onAnswered={handleCheckpointAnswered}
+                  onRewatch={handleCheckpointRewatch}
                 />
               )}
-              
-              <IconBtn
-                disabled={loading}
-                onClick={() => {
-                  if (playerRef?.current) {
-                    // set the current time of the video to 0
-                    playerRef?.current?.seek(0)
-                    setVideoEnded(false)
-                  }
-                }}
-                text="Rewatch"
-                customClasses="text-xl max-w-max px-4 mx-auto mt-2"
-              />
-
-              <div className="mt-10 flex min-w-[250px] justify-center gap-x-4 text-xl">
-              {!isFirstVideo && (
-                <button
-                  disabled={loading}
-                  onClick={goToPrevVideo}
-                  className="blackButton"
-                >
-                  Prev
-                </button>
-              )}
-              {!isLastVideo && (
-                <button
-                  disabled={loading}
-                  onClick={goToNextVideo}
-                  className="blackButton"
+              {/* Render When Video Ends */}
+              {videoEnded && (
+                <div
+                  style={{
+                    backgroundImage:
+                      "linear-gradient(to top, rgb(0, 0, 0), rgba(0,0,0,0.7), rgba(0,0,0,0.5), rgba(0,0,0,0.1))",
+                  }}
+                  className="w-full absolute inset-0 z-[100] grid h-full place-content-center font-inter"
                 >
-                  {isLastVideo ? "Go to Course" : "Next"}
-                </button>
+                  {!completedLectures.includes(subSectionId) && pendingCheckpoint && (
+                    <p className="mx-auto mb-2 max-w-xs text-center text-sm text-richblack-100">
+                      Answer every checkpoint question to complete this lecture
+                    </p>
+                  )}
+                  {!completedLectures.includes(subSectionId) && !pendingCheckpoint && (
+                    <IconBtn
+                      disabled={loading}
+                      onClick={() => handleLectureCompletion()}
+                      text={!loading ? "Mark As Completed" : "Loading..."}
+                      customClasses="text-xl max-w-max px-4 mx-auto"
+                    />
+                  )}
+              
+                  {/* Show Take Quiz button if lecture is completed and has quiz */}
+                  {completedLectures.includes(subSectionId) && videoData?.quiz && (
+                    <IconBtn
+                      disabled={loading}
+                      onClick={() => navigate(`/view-course/${courseId}/section/${sectionId}/sub-section/${subSectionId}/quiz`)}
+                      text="Take Quiz"
+                      customClasses="text-xl max-w-max px-4 mx-auto bg-green-600 hover:bg-green-700"
+                    />
+                  )}
+              
+                  <IconBtn
+                    disabled={loading}
+                    onClick={() => {
+                      if (playerRef?.current) {
+                        // set the current time of the video to 0
+                        playerRef?.current?.seek(0)
+                        setVideoEnded(false)
+                      }
+                    }}
+                    text="Rewatch"
+                    customClasses="text-xl max-w-max px-4 mx-auto mt-2"
+                  />
+
+                  <div className="mt-10 flex min-w-[250px] justify-center gap-x-4 text-xl">
+                  {!isFirstVideo && (
+                    <button
+                      disabled={loading}
+                      onClick={goToPrevVideo}
+                      className="blackButton"
+                    >
+                      Prev
+                    </button>
+                  )}
+                  {!isLastVideo && (
+                    <button
+                      disabled={loading}
+                      onClick={goToNextVideo}
+                      className="blackButton"
+                    >
+                      {isLastVideo ? "Go to Course" : "Next"}
+                    </button>
+                  )}
+                  </div>
+                </div>
               )}
-              </div>
+            </Player>
+          )}
+
+          {videoData?.videoUrl && !releaseDate && (
+            <div className="-mt-2 flex flex-wrap items-center justify-between gap-2 text-xs text-richblack-400">
+              <span>
+                {resumedFrom ? (
+                  <>
+                    Resumed from {formatTimestamp(resumedFrom)} ·{" "}
+                    <button
+                      onClick={() => {
+                        handleSeek(0)
+                        setResumedFrom(null)
+                      }}
+                      className="text-yellow-50 hover:underline"
+                    >
+                      Start over
+                    </button>
+                  </>
+                ) : null}
+              </span>
+              <span>Space play/pause · J/L ±10s · M mute · F fullscreen · Shift + &gt;/&lt; speed</span>
             </div>
           )}
-        </Player>
-      )}
 
-      <h1 className="mt-4 text-3xl font-semibold">{videoData?.title}</h1>
-      <p className="pt-2 pb-6">{videoData?.description}</p>
+          {videoData?.videoUrl && !releaseDate && (
+            <VideoChapters
+              chapters={videoData.chapters}
+              checkpoints={videoData.checkpoints}
+              answeredCheckpoints={answeredCheckpoints}
+              currentTime={playback.currentTime}
+              duration={playback.duration}
+              onSeek={handleSeek}
+            />
+          )}
+
+          {videoData?.videoUrl && !releaseDate && videoData.captions?.length > 0 && (
+            <TranscriptPanel
+              captions={videoData.captions}
+              currentTime={playback.currentTime}
+              onSeek={handleSeek}
+            />
+          )}
+
+          <h1 className="mt-4 text-3xl font-semibold">{videoData?.title}</h1>
+          <p className="pt-2 pb-6">{videoData?.description}</p>
+
+          {videoData?._id && !releaseDate && <LectureDiscussion />}
+        </div>
+
+        {/* notes sit next to the player on wide screens */}
+        {videoData?.videoUrl && !releaseDate && (
+          <NotesPanel currentTime={playback.currentTime} onSeek={handleSeek} />
+        )}
+      </div>
     </div>
   )
 }
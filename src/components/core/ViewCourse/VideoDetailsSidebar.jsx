@@ -6,12 +6,18 @@ import IconBtn from './../../common/IconBtn';
 import { setCourseViewSidebar } from "../../../slices/sidebarSlice"
 import { checkSectionAccess } from "../../../services/operations/courseProgressAPI"
 import ChatButton from '../Chat/ChatButton';
+import SectionDownloadButton from './SectionDownloadButton';
+import TranscriptSearch from './TranscriptSearch';
+import useOnlineStatus from "../../../hooks/useOnlineStatus"
+import { formatDate } from "../../../utils/dateFormatter"
+import { formatCountdown, getSectionReleaseDate } from "../../../utils/dripSchedule"
 
 import { BsChevronDown } from "react-icons/bs"
 import { IoIosArrowBack } from "react-icons/io"
-import { FaLock } from "react-icons/fa"
-import { HiOutlineClipboardCheck } from "react-icons/hi"
+import { FaLock, FaRegClock } from "react-icons/fa"
+import { HiOutlineClipboardCheck, HiOutlineDocumentText } from "react-icons/hi"
 import { RiQuestionAnswerLine } from "react-icons/ri"
+import { MdCloudOff, MdSync } from "react-icons/md"
 
 import { IoMdClose } from 'react-icons/io'
 import { HiMenuAlt1 } from 'react-icons/hi'
@@ -34,11 +40,34 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
     completedLectures,
     completedQuizzes,
     passedQuizzes,
+    passedAssignments,
+    pendingSyncLectures,
+    enrollment,
   } = useSelector((state) => state.viewCourse)
+  const isOnline = useOnlineStatus()
 
 
   const { courseViewSidebar } = useSelector(state => state.sidebar)
 
+  // tick every minute so drip countdowns stay current and sections unlock on time
+  const [now, setNow] = useState(Date.now())
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 60 * 1000)
+    return () => clearInterval(interval)
+  }, [])
+
+  // release date of every section that is still drip-locked for this student
+  const pendingReleases = useMemo(() => {
+    const releases = {}
+    courseSectionData.forEach((section) => {
+      const releaseDate = getSectionReleaseDate(section, enrollment)
+      if (releaseDate && releaseDate.getTime() > now) {
+        releases[section._id] = releaseDate
+      }
+    })
+    return releases
+  }, [courseSectionData, enrollment, now])
+
 
   // set which section - subSection is selected 
   useEffect(() => {
@@ -71,6 +100,8 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
         
         // Check if all subsections in previous section are completed
         const previousSectionCompleted = previousSection.subSection.every(subSec => {
+          // Assignments count once their graded submission passed
+          if (subSec.assignment) return passedAssignments.includes(subSec._id)
           const videoCompleted = completedLectures.includes(subSec._id)
           // If there's a quiz, it should also be completed
           const quizCompleted = subSec.quiz ? completedQuizzes.includes(subSec._id) : true
@@ -85,10 +116,30 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
     }
 
     checkAllSectionAccess()
-  }, [courseSectionData, courseEntireData, completedLectures, completedQuizzes, token])
+  }, [courseSectionData, courseEntireData, completedLectures, completedQuizzes, passedAssignments, token])
+
+
 
 
+  // Whether a section's lectures are out of reach for now
+  const isSectionLocked = (section, index) => {
+    // sections on a drip schedule stay locked until their release date
+    if (pendingReleases[section._id]) return true
+    if (index === 0) return false
 
+    // Use the sectionAccess state if available, otherwise fall back to client-side check
+    if (sectionAccess.hasOwnProperty(section._id)) return !sectionAccess[section._id]
+
+    // Fallback: check if previous section is completed
+    const previousSection = courseSectionData[index - 1]
+    const previousSectionCompleted = previousSection.subSection.every(subSec => {
+      if (subSec.assignment) return passedAssignments.includes(subSec._id)
+      const videoCompleted = completedLectures.includes(subSec._id)
+      const quizCompleted = subSec.quiz ? completedQuizzes.includes(subSec._id) : true
+      return videoCompleted && quizCompleted
+    })
+    return !previousSectionCompleted
+  }
 
   return (
     <>
@@ -129,6 +180,23 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
             </p>
           </div>
 
+          {/* cohort the student is enrolled in */}
+          {enrollment?.cohort && (
+            <p className="text-xs font-medium text-richblack-300">
+              {enrollment.cohort.name} · Started {formatDate(enrollment.cohort.startDate)}
+            </p>
+          )}
+
+          {/* offline / pending sync status */}
+          {(!isOnline || pendingSyncLectures.length > 0) && (
+            <div className="flex items-center gap-2 rounded-md bg-richblack-700 px-3 py-2 text-xs font-medium text-yellow-50">
+              {!isOnline ? <MdCloudOff size={16} /> : <MdSync size={16} className="animate-spin" />}
+              {!isOnline
+                ? `You're offline${pendingSyncLectures.length ? ` - ${pendingSyncLectures.length} lecture(s) will sync later` : ""}`
+                : `Syncing ${pendingSyncLectures.length} lecture(s)...`}
+            </div>
+          )}
+
           {/* Chat with Instructor Button */}
           <div className="mt-3">
             <ChatButton 
@@ -140,6 +208,9 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
               }
             />
           </div>
+
+          {/* search across lecture transcripts */}
+          <TranscriptSearch courseId={courseEntireData?._id} />
         </div>
 
 
@@ -155,7 +226,15 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
               <div className="flex justify-between bg-richblack-700 px-5 py-4">
                 <div className="w-[70%] font-semibold flex items-center gap-2">
                   {section?.sectionName}
-                  {index > 0 && !sectionAccess[section._id] && (
+                  {pendingReleases[section._id] ? (
+                    <div className="relative group flex items-center gap-1 text-xs font-medium text-yellow-50">
+                      <FaRegClock size={12} />
+                      {formatCountdown(pendingReleases[section._id].getTime() - now)}
+                      <div className="absolute left-0 -top-8 hidden group-hover:block bg-richblack-900 text-xs text-yellow-50 p-2 rounded-md whitespace-nowrap">
+                        Unlocks on {formatDate(pendingReleases[section._id])}
+                      </div>
+                    </div>
+                  ) : index > 0 && !sectionAccess[section._id] && (
                     <div className="relative group">
                       <FaLock size={12} className="text-yellow-50" />
                       <div className="absolute left-0 -top-8 hidden group-hover:block bg-richblack-900 text-xs text-yellow-50 p-2 rounded-md whitespace-nowrap">
@@ -165,8 +244,15 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
                   )}
                 </div>
                 <div className="flex items-center gap-3">
+                  {!isSectionLocked(section, index) && (
+                    <SectionDownloadButton section={section} />
+                  )}
                   <span className="text-[12px] font-medium">
                     {section.subSection.filter(subSec => {
+                      // Count assignments once graded as passed
+                      if (subSec.assignment) {
+                        return passedAssignments.includes(subSec._id)
+                      }
                       // Count video completion
                       if (subSec.videoUrl) {
                         return completedLectures.includes(subSec._id)
@@ -195,25 +281,9 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
               {activeStatus === section?._id && (
                 <div className="transition-[height] duration-500 ease-in-out">
                   {section.subSection.map((topic, i) => {
-                    // Check if this section should be locked using the sectionAccess state
-                    let isLocked = false
-                    
-                    if (index > 0) {
-                      // Use the sectionAccess state if available, otherwise fall back to client-side check
-                      if (sectionAccess.hasOwnProperty(section._id)) {
-                        isLocked = !sectionAccess[section._id]
-                      } else {
-                        // Fallback: check if previous section is completed
-                        const previousSection = courseSectionData[index - 1]
-                        const previousSectionCompleted = previousSection.subSection.every(subSec => {
-                          const videoCompleted = completedLectures.includes(subSec._id)
-                          const quizCompleted = subSec.quiz ? completedQuizzes.includes(subSec._id) : true
-                          return videoCompleted && quizCompleted
-                        })
-                        isLocked = !previousSectionCompleted
-                      }
-                    }
-                    
+                    const isLocked = isSectionLocked(section, index)
+                    const releaseDate = pendingReleases[section._id]
+
                     return (
                       <div className="flex flex-col" key={`topic-${topic._id}`}>
                         <div
@@ -228,14 +298,14 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
                             if (isLocked) {
                               return // Don't navigate if locked
                             }
-                            navigate(`/view-course/${courseEntireData?._id}/section/${section?._id}/sub-section/${topic?._id}`)
+                            navigate(`/view-course/${courseEntireData?._id}/section/${section?._id}/sub-section/${topic?._id}${topic.assignment ? "/assignment" : ""}`)
                             setVideoBarActive(topic._id)
                             courseViewSidebar && window.innerWidth <= 640 ? dispatch(setCourseViewSidebar(false)) : null;
                           }}
                         >
                           <input
                             type="checkbox"
-                            checked={completedLectures.includes(topic?._id)}
+                            checked={topic.assignment ? passedAssignments.includes(topic._id) : completedLectures.includes(topic?._id)}
                             onChange={() => { }}
                             disabled={isLocked}
                           />
@@ -244,11 +314,23 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
                               <div className="relative group">
                                 <FaLock size={12} className="text-yellow-50" />
                                 <div className="absolute left-0 -top-12 hidden group-hover:block bg-richblack-900 text-xs text-yellow-50 p-2 rounded-md whitespace-nowrap">
-                                  Complete previous section to unlock
+                                  {releaseDate
+                                    ? `Unlocks in ${formatCountdown(releaseDate.getTime() - now)}`
+                                    : "Complete previous section to unlock"}
                                 </div>
                               </div>
                             )}
                             {topic.title}
+                            {pendingSyncLectures.includes(topic._id) && (
+                              <MdSync size={14} className="text-yellow-50" title="Waiting to sync" />
+                            )}
+                            {topic.assignment && (
+                              <HiOutlineDocumentText
+                                size={16}
+                                className={`ml-auto ${passedAssignments.includes(topic._id) ? 'text-caribbeangreen-100' : 'text-richblack-400'}`}
+                                title="Assignment"
+                              />
+                            )}
                             {topic.quiz && (
                               <div className="relative group ml-auto">
                                 <RiQuestionAnswerLine 
@@ -43,6 +43,132 @@ export const API_CONFIG = {
     }
 };
 
+// Code execution backend used by CodeEditor and codeSolve quiz questions.
+// executor: 'piston' | 'judge0' | 'browser'
+export const CODE_EXECUTION_CONFIG = {
+    executor: import.meta.env.VITE_CODE_EXECUTOR || 'piston',
+    piston: {
+        // Point this at a self-hosted Piston instance when behind a firewall
+        URL: import.meta.env.VITE_PISTON_URL || 'https://emkc.org/api/v2/piston',
+        // The public endpoint is rate limited, so throttle requests client-side
+        RATE_LIMIT: !import.meta.env.VITE_PISTON_URL
+    },
+    judge0: {
+        URL: import.meta.env.VITE_JUDGE0_URL || 'http://localhost:2358',
+        AUTH_TOKEN: import.meta.env.VITE_JUDGE0_AUTH_TOKEN || ''
+    },
+    browser: {
+        // Self-host these runtimes to run Python, SQL and TypeScript without network access
+        PYODIDE_URL: import.meta.env.VITE_PYODIDE_URL || 'https://cdn.jsdelivr.net/pyodide/v0.26.4/full/',
+        SQLJS_URL: import.meta.env.VITE_SQLJS_URL || 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.10.3/',
+        TYPESCRIPT_URL: import.meta.env.VITE_TYPESCRIPT_URL || 'https://cdn.jsdelivr.net/npm/typescript@5.6.3/lib/typescript.js'
+    },
+    TIME_LIMIT: 10000
+};
+
+export const getCodeExecutionConfig = () => CODE_EXECUTION_CONFIG;
+
+// Socket.io server used by chat. Defaults to the API server; set VITE_SOCKET_URL to
+// point chat at a local stand-in (npm run chat:standin) without running the backend.
+export const CHAT_SOCKET_CONFIG = {
+    URL: import.meta.env.VITE_SOCKET_URL || '',
+    RECONNECTION_DELAY: 1000,
+    RECONNECTION_DELAY_MAX: 10000
+};
+
+export const getSocketURL = () => CHAT_SOCKET_CONFIG.URL || getCurrentConfig().BASE_URL;
+
+// GST applied at checkout and on invoices. Buyers in the seller's state pay CGST + SGST,
+// other Indian states IGST, and buyers outside India are not charged GST.
+// Rates are percentages; course prices are exclusive of tax unless PRICES_INCLUDE_TAX.
+export const TAX_CONFIG = {
+    SELLER: {
+        NAME: 'Beeja Academy',
+        ADDRESS: 'No 31, Panchayat Main Road, Perungudi, Chennai, Tamil Nadu 600096',
+        STATE: 'TN',
+        GSTIN: import.meta.env.VITE_SELLER_GSTIN || ''
+    },
+    DEFAULT_REGION: 'TN',
+    PRICES_INCLUDE_TAX: false,
+    RULES: {
+        INTRA_STATE: [{ name: 'CGST', rate: 9 }, { name: 'SGST', rate: 9 }],
+        INTER_STATE: [{ name: 'IGST', rate: 18 }],
+        EXPORT: []
+    }
+};
+
+// Payment gateways offered at checkout (see services/paymentGateways). The backend creates
+// the order for the chosen gateway and confirms it by signature check or webhook.
+// The mock gateway settles payments in the browser for offline testing; the backend must
+// only accept it outside production.
+export const PAYMENT_CONFIG = {
+    GATEWAYS: (import.meta.env.VITE_PAYMENT_GATEWAYS || 'razorpay')
+        .split(',')
+        .map((name) => name.trim())
+        .filter(Boolean),
+    DEFAULT_GATEWAY: import.meta.env.VITE_PAYMENT_GATEWAY || 'razorpay',
+    razorpay: {
+        KEY_ID: import.meta.env.VITE_RAZORPAY_KEY || '',
+        SCRIPT_URL: 'https://checkout.razorpay.com/v1/checkout.js'
+    },
+    stripe: {
+        PUBLISHABLE_KEY: import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY || '',
+        SCRIPT_URL: 'https://js.stripe.com/v3/'
+    },
+    upi: {
+        PAYEE_VPA: import.meta.env.VITE_UPI_PAYEE_VPA || '',
+        PAYEE_NAME: 'Beeja Academy'
+    },
+    mock: {
+        ENABLED: import.meta.env.VITE_ENABLE_MOCK_PAYMENTS === 'true',
+        OUTCOME: import.meta.env.VITE_MOCK_PAYMENT_OUTCOME || 'success',
+        DELAY: 1000,
+        WEBHOOK_DELAY: 8000
+    },
+    // Pending payments (UPI, redirects, delayed webhooks) are polled until they settle
+    STATUS_POLL_INTERVAL: 3000,
+    STATUS_POLL_TIMEOUT: 5 * 60 * 1000
+};
+
+export const getPaymentConfig = () => PAYMENT_CONFIG;
+
+// Self-service refunds from purchase history. Students can ask for a refund within WINDOW_DAYS
+// of buying a course while they have completed at most MAX_PROGRESS_PERCENT of it. The backend
+// applies the same policy to incoming requests; admins decide the amount.
+export const REFUND_CONFIG = {
+    WINDOW_DAYS: Number(import.meta.env.VITE_REFUND_WINDOW_DAYS ?? 14),
+    MAX_PROGRESS_PERCENT: Number(import.meta.env.VITE_REFUND_MAX_PROGRESS ?? 30)
+};
+
+export const getRefundConfig = () => REFUND_CONFIG;
+
+// Days a past-due membership keeps access after its period ends while the gateway retries
+// the renewal. The backend expires the membership once the grace period is over.
+export const MEMBERSHIP_CONFIG = {
+    PAST_DUE_GRACE_DAYS: Number(import.meta.env.VITE_MEMBERSHIP_GRACE_DAYS ?? 7)
+};
+
+const parsePublicKeys = (value) => {
+    try {
+        return value ? JSON.parse(value) : {};
+    } catch (error) {
+        console.error('Invalid VITE_CERTIFICATE_PUBLIC_KEYS:', error);
+        return {};
+    }
+};
+
+// Certificates carry a payload signed by the backend (ECDSA P-256, SHA-256) in their QR code.
+// Public keys are bundled as { keyId: base64 SPKI } so verification works offline; keys
+// fetched from the server are cached for when a key is rotated after a build.
+export const CERTIFICATE_CONFIG = {
+    ISSUER: import.meta.env.VITE_CERTIFICATE_ISSUER || 'Beeja Academy',
+    PUBLIC_KEYS: parsePublicKeys(import.meta.env.VITE_CERTIFICATE_PUBLIC_KEYS),
+    PUBLIC_KEYS_CACHE_KEY: 'certificatePublicKeys',
+    REVOCATION_CACHE_KEY: 'certificateRevocations'
+};
+
+export const getCertificateConfig = () => CERTIFICATE_CONFIG;
+
 // Get current environment configuration
 export const getCurrentConfig = () => {
     if (environment.isDevelopment) {
@@ -154,7 +280,16 @@ export const performHealthCheck = async () => {
 
 export default {
     API_CONFIG,
+    CODE_EXECUTION_CONFIG,
+    CHAT_SOCKET_CONFIG,
+    TAX_CONFIG,
+    PAYMENT_CONFIG,
+    CERTIFICATE_CONFIG,
     getCurrentConfig,
+    getCodeExecutionConfig,
+    getSocketURL,
+    getPaymentConfig,
+    getCertificateConfig,
     getBaseURL,
     getEnvironmentInfo,
     corsAwareFetch,
@@ -0,0 +1,14 @@
+import { useMemo } from "react"
+import { useSelector } from "react-redux"
+
+import { priceCart } from "../utils/cartPricing"
+
+// Line-item pricing of the current cart, shared by the cart list and the order summary
+export default function useCartPricing() {
+  const { cart, itemCoupons, orderCoupon, taxRegion } = useSelector((state) => state.cart)
+
+  return useMemo(
+    () => priceCart(cart, { itemCoupons, orderCoupon, region: taxRegion }),
+    [cart, itemCoupons, orderCoupon, taxRegion]
+  )
+}
@@ -0,0 +1,38 @@
+import { useEffect, useState } from 'react';
+
+import { getCertificateCredential } from '../services/operations/certificateAPI';
+import { renderBadgeImage } from '../utils/openBadge';
+
+// Loads a certificate's Open Badges credential and draws its badge image
+export default function useCertificateBadge(certificateId) {
+  const [credential, setCredential] = useState(null);
+  const [badgeImage, setBadgeImage] = useState(null);
+  const [loading, setLoading] = useState(Boolean(certificateId));
+
+  useEffect(() => {
+    if (!certificateId) return;
+
+    let cancelled = false;
+    let imageUrl = null;
+    setLoading(true);
+
+    const load = async () => {
+      const result = await getCertificateCredential(certificateId);
+      const image = result ? await renderBadgeImage(result) : null;
+      if (cancelled) return;
+
+      imageUrl = image ? URL.createObjectURL(image) : null;
+      setCredential(result);
+      setBadgeImage(image ? { blob: image, url: imageUrl } : null);
+      setLoading(false);
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+      if (imageUrl) URL.revokeObjectURL(imageUrl);
+    };
+  }, [certificateId]);
+
+  return { credential, badgeImage, loading };
+}
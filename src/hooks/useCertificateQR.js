@@ -0,0 +1,36 @@
+import { useEffect, useState } from 'react';
+import QRCode from 'qrcode';
+
+import { getCertificateVerifyUrl } from '../utils/certificateTemplates';
+
+// QR code (as a data URL) linking to the certificate's verification page. Certificates
+// issued with a signed payload embed it, so the QR code verifies even offline.
+export default function useCertificateQR(certificateData, options) {
+  const certificateId = certificateData?.certificateId;
+  const signedPayload = certificateData?.signedPayload;
+  const verifyUrl = certificateId ? getCertificateVerifyUrl(certificateId, signedPayload) : '';
+  const [qrCodeUrl, setQrCodeUrl] = useState('');
+
+  useEffect(() => {
+    if (!verifyUrl) {
+      setQrCodeUrl('');
+      return;
+    }
+
+    let cancelled = false;
+    // Signed URLs are long; medium error correction keeps the code scannable when printed small
+    QRCode.toDataURL(verifyUrl, { errorCorrectionLevel: 'M', ...options })
+      .then((url) => {
+        if (!cancelled) setQrCodeUrl(url);
+      })
+      .catch((err) => console.error('Error generating QR code:', err));
+
+    return () => {
+      cancelled = true;
+    };
+    // options is a config literal; regenerate only when the link changes
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [verifyUrl]);
+
+  return { qrCodeUrl, verifyUrl };
+}
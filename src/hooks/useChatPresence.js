@@ -0,0 +1,57 @@
+import { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+
+import { connectChatSocket, releaseChatSocket } from "../services/chatSocket";
+
+// Online status of the given users: { [userId]: { online, lastSeen } }
+export default function useChatPresence(userIds) {
+  const { token } = useSelector((state) => state.auth);
+  const [presence, setPresence] = useState({});
+
+  // Stable dependency for the effect while the list of users stays the same
+  const idsKey = [...new Set(userIds.filter(Boolean).map(String))].sort().join(",");
+
+  useEffect(() => {
+    if (!token || !idsKey) return;
+
+    const ids = idsKey.split(",");
+    const socket = connectChatSocket(token);
+
+    const subscribe = () => socket.emit("presence_subscribe", ids);
+
+    const handlePresenceState = (states) => {
+      setPresence((prev) => {
+        const next = { ...prev };
+        states.forEach(({ userId, online, lastSeen }) => {
+          next[userId] = { online, lastSeen };
+        });
+        return next;
+      });
+    };
+
+    const handlePresence = ({ userId, online, lastSeen }) => {
+      if (!ids.includes(String(userId))) return;
+      setPresence((prev) => ({ ...prev, [userId]: { online, lastSeen } }));
+    };
+
+    // Everyone is shown offline while we are disconnected
+    const handleDisconnect = () => setPresence({});
+
+    // Subscribe now if the shared socket is already up, and after every (re)authentication
+    if (socket.connected) subscribe();
+    socket.on("authenticated", subscribe);
+    socket.on("presence_state", handlePresenceState);
+    socket.on("presence", handlePresence);
+    socket.on("disconnect", handleDisconnect);
+
+    return () => {
+      socket.off("authenticated", subscribe);
+      socket.off("presence_state", handlePresenceState);
+      socket.off("presence", handlePresence);
+      socket.off("disconnect", handleDisconnect);
+      releaseChatSocket();
+    };
+  }, [token, idsKey]);
+
+  return presence;
+}
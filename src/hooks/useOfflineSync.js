@@ -0,0 +1,37 @@
+import { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+
+import useOnlineStatus from "./useOnlineStatus";
+import { loadPendingSync, replaySyncQueue } from "../services/offlineSync";
+
+// Replays progress queued while offline whenever the user is logged in and back online
+export default function useOfflineSync() {
+  const dispatch = useDispatch();
+  const { token } = useSelector((state) => state.auth);
+  const isOnline = useOnlineStatus();
+
+  // Restore the pending-sync markers after a reload
+  useEffect(() => {
+    dispatch(loadPendingSync());
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (token && isOnline) {
+      dispatch(replaySyncQueue(token));
+    }
+  }, [token, isOnline, dispatch]);
+
+  // The service worker asks us to replay when Background Sync fires
+  useEffect(() => {
+    if (!("serviceWorker" in navigator) || !token) return;
+
+    const handleMessage = (event) => {
+      if (event.data?.type === "REPLAY_SYNC_QUEUE") {
+        dispatch(replaySyncQueue(token));
+      }
+    };
+
+    navigator.serviceWorker.addEventListener("message", handleMessage);
+    return () => navigator.serviceWorker.removeEventListener("message", handleMessage);
+  }, [token, dispatch]);
+}
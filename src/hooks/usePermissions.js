@@ -0,0 +1,11 @@
+import { useCallback } from "react"
+import { useSelector } from "react-redux"
+
+import { hasPermission } from "../utils/permissions"
+
+// `can(permission)` for the signed-in admin, from the role on their profile
+export default function usePermissions() {
+  const { user } = useSelector((state) => state.profile)
+
+  return useCallback((permission) => hasPermission(user, permission), [user])
+}
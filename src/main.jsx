@@ -6,11 +6,17 @@ import { BrowserRouter } from 'react-router-dom'
 import { Provider } from 'react-redux'
 import { configureStore } from '@reduxjs/toolkit'
 import rootReducer from './reducer/index';
+import { registerServiceWorker } from './services/offlineSync';
 
 const store = configureStore({
   reducer: rootReducer
 });
 
+// the worker caches the built bundles, which would fight Vite's dev server
+if (import.meta.env.PROD) {
+  registerServiceWorker();
+}
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <BrowserRouter>
     <Provider store={store}>
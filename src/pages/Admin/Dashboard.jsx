@@ -1,11 +1,12 @@
-import { useState, lazy, Suspense } from 'react';
-import { useSelector } from 'react-redux';
-import { useNavigate } from 'react-router-dom';
-import { FaUsers, FaBookOpen, FaChartBar, FaGraduationCap, FaQuestionCircle, FaChartLine, FaTag } from 'react-icons/fa';
+import { useEffect, useState, lazy, Suspense } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { FaUsers, FaBookOpen, FaChartBar, FaGraduationCap, FaQuestionCircle, FaChartLine, FaTag, FaCertificate, FaCrown, FaUserShield, FaHistory } from 'react-icons/fa';
 import { MdSettings } from 'react-icons/md';
 import { VscPackage } from 'react-icons/vsc';
 
 import AdminSidebar from '../../components/core/Dashboard/Admin/AdminSidebar';
+import { refreshUserDetails } from '../../services/operations/profileAPI';
+import { canViewTab } from '../../utils/permissions';
 
 // Lazy load components to improve initial load performance
 const StudentProgress = lazy(() => import('./components/StudentProgress/StudentProgress'));
@@ -16,17 +17,24 @@ const EnhancedAnalytics = lazy(() => import('./components/EnhancedAnalytics'));
 const Settings = lazy(() => import('./components/Settings'));
 const CourseAccessRequests = lazy(() => import('../../components/core/Dashboard/Admin/CourseAccessRequests'));
 const QuizManagement = lazy(() => import('./components/QuizManagement'));
+const QuestionBank = lazy(() => import('./components/QuestionBank'));
 const CourseCategories = lazy(() => import('../../components/core/Dashboard/AddCategory/CourseCategories'));
 const BundleAccessRequests = lazy(() => import('./components/BundleAccessRequests'));
+const BundleRules = lazy(() => import('./components/BundleRules/BundleRules'));
 const Coupons = lazy(() => import('./Coupons'));
 const Orders = lazy(() => import('./components/Orders'));
+const Memberships = lazy(() => import('./components/Memberships/Memberships'));
 const NotificationManagement = lazy(() => import('./components/NotificationManagement'));
 const FeaturedCoursesManagement = lazy(() => import('./components/FeaturedCoursesManagement'));
 const ContactMessages = lazy(() => import('../../components/core/Dashboard/Admin/ContactMessages'));
 const FaqManagement = lazy(() => import('./components/FaqManagement'));
 const AdminChats = lazy(() => import('../Dashboard/AdminChats'));
+const DiscussionModeration = lazy(() => import('./components/DiscussionModeration'));
 const CareersManagement = lazy(() => import('./components/CareersManagement'));
 const ReviewManagement = lazy(() => import('./components/ReviewManagement'));
+const CertificateTemplates = lazy(() => import('./components/CertificateTemplates/CertificateTemplates'));
+const RoleManagement = lazy(() => import('./components/Roles/RoleManagement'));
+const ActivityLog = lazy(() => import('./components/ActivityLog/ActivityLog'));
 
 // Loading component
 const LoadingSpinner = () => (
@@ -39,31 +47,47 @@ const LoadingSpinner = () => (
 );
 
 const AdminDashboard = () => {
+  const dispatch = useDispatch();
+  const { token } = useSelector((state) => state.auth);
   const { user } = useSelector((state) => state.profile);
   const { isCollapsed } = useSelector((state) => state.sidebar);
-  const [activeTab, setActiveTab] = useState('analytics');
   const [showCreateCourse, setShowCreateCourse] = useState(false);
 
+  // The stored profile is from login; reload it so role changes since then apply here
+  useEffect(() => {
+    dispatch(refreshUserDetails(token));
+  }, [dispatch, token]);
+
   // Sidebar navigation items for title display (matching AdminSidebar order)
-  const sidebarItems = [
+  const allSidebarItems = [
     { id: 'analytics', label: 'Analytics Dashboard', icon: <FaChartBar className="w-5 h-5" /> },
     { id: 'users', label: 'User Management', icon: <FaUsers className="w-5 h-5" /> },
     { id: 'courses', label: 'Course Management', icon: <FaBookOpen className="w-5 h-5" /> },
     { id: 'categories', label: 'Course Categories', icon: <FaGraduationCap className="w-5 h-5" /> },
     { id: 'studentProgress', label: 'Student Progress', icon: <FaChartLine className="w-5 h-5" /> },
     { id: 'quizzes', label: 'Quiz Management', icon: <FaQuestionCircle className="w-5 h-5" /> },
+    { id: 'questionBank', label: 'Question Bank', icon: <FaQuestionCircle className="w-5 h-5" /> },
     { id: 'featuredCourses', label: 'Featured Courses Management', icon: <FaUsers className="w-5 h-5" /> },
     { id: 'reviews', label: 'Review ', icon: <FaUsers className="w-5 h-5" /> },
     { id: 'accessRequests', label: 'Access Requests', icon: <FaUsers className="w-5 h-5" /> },
     { id: 'bundleRequests', label: 'Bundle Requests', icon: <FaUsers className="w-5 h-5" /> },
+    { id: 'bundleRules', label: 'Bundle Pricing', icon: <VscPackage className="w-5 h-5" /> },
     { id: 'orders', label: 'Orders', icon: <VscPackage className="w-5 h-5" /> },
+    { id: 'memberships', label: 'Memberships', icon: <FaCrown className="w-5 h-5" /> },
     { id: 'coupons', label: 'Coupons', icon: <FaTag className="w-5 h-5" /> },
+    { id: 'certificateTemplates', label: 'Certificate Templates', icon: <FaCertificate className="w-5 h-5" /> },
     { id: 'careers', label: 'Careers', icon: <FaUsers className="w-5 h-5" /> },
     { id: 'notifications', label: 'Notification Management', icon: <FaUsers className="w-5 h-5" /> },
     { id: 'contactMessages', label: 'Contact Messages', icon: <FaUsers className="w-5 h-5" /> },
     { id: 'faqs', label: 'FAQ Management', icon: <FaQuestionCircle className="w-5 h-5" /> },
     { id: 'chats', label: 'Manage Chats', icon: <FaUsers className="w-5 h-5" /> },
+    { id: 'discussions', label: 'Discussion Moderation', icon: <FaUsers className="w-5 h-5" /> },
+    { id: 'roles', label: 'Roles & Permissions', icon: <FaUserShield className="w-5 h-5" /> },
+    { id: 'activityLog', label: 'Activity Log', icon: <FaHistory className="w-5 h-5" /> },
   ];
+  // Only the tabs this admin's role allows
+  const sidebarItems = allSidebarItems.filter((item) => canViewTab(user, item.id));
+  const [activeTab, setActiveTab] = useState(() => sidebarItems[0]?.id || null);
 
   const handleTabChange = (tabId) => {
     setActiveTab(tabId);
@@ -101,7 +125,11 @@ const AdminDashboard = () => {
             {/* Content */}
             <div className="bg-richblack-800 border border-richblack-700 rounded-xl p-4 sm:p-6 shadow-md">
               <Suspense fallback={<LoadingSpinner />}>
-                {showCreateCourse ? (
+                {!activeTab || !canViewTab(user, activeTab) ? (
+                  <p className="py-20 text-center text-richblack-300">
+                    Your role doesn&apos;t include access to this section.
+                  </p>
+                ) : showCreateCourse ? (
                   <CreateCourse onCancel={() => setShowCreateCourse(false)} />
                 ) : (
                   <>
@@ -112,9 +140,12 @@ const AdminDashboard = () => {
                     {activeTab === 'accessRequests' && <CourseAccessRequests />}
                     {activeTab === 'settings' && <Settings />}
                     {activeTab === 'quizzes' && <QuizManagement />}
+                    {activeTab === 'questionBank' && <QuestionBank />}
                     {activeTab === 'bundleRequests' && <BundleAccessRequests />}
+                    {activeTab === 'bundleRules' && <BundleRules />}
                     {activeTab === 'studentProgress' && <StudentProgress />}
                     {activeTab === 'orders' && <Orders />}
+                    {activeTab === 'memberships' && <Memberships />}
                     {activeTab === 'coupons' && <Coupons />}
                     {activeTab === 'notifications' && <NotificationManagement />}
                     {activeTab === 'contactMessages' && <ContactMessages />}
@@ -122,7 +153,11 @@ const AdminDashboard = () => {
                     {activeTab === 'reviews' && <ReviewManagement />}
                     {activeTab === 'faqs' && <FaqManagement />}
                     {activeTab === 'chats' && <AdminChats />}
+                    {activeTab === 'discussions' && <DiscussionModeration />}
                     {activeTab === 'careers' && <CareersManagement />}
+                    {activeTab === 'certificateTemplates' && <CertificateTemplates />}
+                    {activeTab === 'roles' && <RoleManagement />}
+                    {activeTab === 'activityLog' && <ActivityLog />}
                   </>
                 )}
               </Suspense>
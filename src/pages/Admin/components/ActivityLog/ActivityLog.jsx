@@ -0,0 +1,299 @@
+import { Fragment, useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { FaChevronDown, FaChevronRight, FaFileCsv, FaFileExcel } from 'react-icons/fa';
+import * as XLSX from 'xlsx';
+import { saveAs } from 'file-saver';
+
+import { getAuditLogs } from '../../../../services/operations/auditAPI';
+import {
+  AUDIT_ENTITIES,
+  getActionLabel,
+  getActorName,
+  getAuditChanges,
+  toAuditExportRow,
+} from '../../../../utils/auditLog';
+
+const PAGE_SIZE = 25;
+// exports cover every matching entry, up to this many
+const EXPORT_LIMIT = 10000;
+
+const EMPTY_FILTERS = { actor: '', entityType: '', from: '', to: '' };
+
+const inputClasses =
+  'w-full px-3 py-2 bg-richblack-700 border border-richblack-600 rounded-md text-sm text-richblack-5 focus:outline-none focus:ring-1 focus:ring-yellow-50';
+
+// Query params for the API: dates cover whole local days and empty filters are left out
+const toQuery = (filters) => ({
+  ...(filters.actor && { actor: filters.actor }),
+  ...(filters.entityType && { entityType: filters.entityType }),
+  ...(filters.from && { from: new Date(`${filters.from}T00:00:00`).toISOString() }),
+  ...(filters.to && { to: new Date(`${filters.to}T23:59:59.999`).toISOString() }),
+});
+
+const formatTimestamp = (date) =>
+  new Date(date).toLocaleString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+
+// Who did what to which record, written by the server for every privileged admin call
+const ActivityLog = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [actors, setActors] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    const fetchEntries = async () => {
+      setLoading(true);
+      const result = await getAuditLogs(token, { ...toQuery(filters), page, limit: PAGE_SIZE });
+      setEntries(result.entries);
+      setTotal(result.total);
+      setActors(result.actors);
+      setLoading(false);
+    };
+    fetchEntries();
+  }, [token, filters, page]);
+
+  const setFilter = (field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
+    setPage(1);
+  };
+
+  const handleExport = async (format) => {
+    setExporting(true);
+    const { entries: allEntries, total: matching } = await getAuditLogs(token, {
+      ...toQuery(filters),
+      page: 1,
+      limit: EXPORT_LIMIT,
+    });
+    setExporting(false);
+    if (allEntries.length === 0) {
+      toast.error('Nothing to export for these filters');
+      return;
+    }
+    if (matching > allEntries.length) {
+      // The export is capped; say so instead of quietly leaving the oldest entries out
+      toast(`Exported the newest ${allEntries.length} of ${matching} entries. Narrow the dates to export the rest.`, {
+        duration: 6000,
+      });
+    }
+
+    const rows = allEntries.map(toAuditExportRow);
+    const fileName = `activity-log-${new Date().toISOString().slice(0, 10)}`;
+    if (format === 'xlsx') {
+      const ws = XLSX.utils.json_to_sheet(rows);
+      const wb = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(wb, ws, 'Activity Log');
+      XLSX.writeFile(wb, `${fileName}.xlsx`);
+      return;
+    }
+
+    const escapeCSV = (value) => {
+      const str = String(value ?? '');
+      return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const headers = Object.keys(rows[0]);
+    const csvRows = rows.map((row) => headers.map((header) => escapeCSV(row[header])).join(','));
+    // UTF-8 BOM so Excel reads names and arrows correctly
+    const csvContent = '\uFEFF' + [headers.join(','), ...csvRows].join('\n');
+    saveAs(new Blob([csvContent], { type: 'text/csv;charset=utf-8;' }), `${fileName}.csv`);
+  };
+
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+        <div>
+          <h2 className="text-2xl font-semibold text-richblack-5">Activity Log</h2>
+          <p className="text-sm text-richblack-300">
+            Every privileged admin action with who made it, what changed and where it came from.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            disabled={exporting}
+            onClick={() => handleExport('csv')}
+            className="flex items-center gap-2 px-3 py-2 rounded-md bg-richblack-700 text-sm text-richblack-50 hover:bg-richblack-600 disabled:opacity-50"
+          >
+            <FaFileCsv /> CSV
+          </button>
+          <button
+            disabled={exporting}
+            onClick={() => handleExport('xlsx')}
+            className="flex items-center gap-2 px-3 py-2 rounded-md bg-richblack-700 text-sm text-richblack-50 hover:bg-richblack-600 disabled:opacity-50"
+          >
+            <FaFileExcel /> Excel
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 gap-3 sm:grid-cols-2 lg:grid-cols-5">
+        <select value={filters.actor} onChange={(e) => setFilter('actor', e.target.value)} className={inputClasses}>
+          <option value="">All admins</option>
+          {actors.map((actor) => (
+            <option key={actor._id} value={actor._id}>
+              {getActorName(actor)}
+            </option>
+          ))}
+        </select>
+        <select value={filters.entityType} onChange={(e) => setFilter('entityType', e.target.value)} className={inputClasses}>
+          <option value="">All records</option>
+          {Object.entries(AUDIT_ENTITIES).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={filters.from}
+          max={filters.to || undefined}
+          onChange={(e) => setFilter('from', e.target.value)}
+          className={inputClasses}
+          title="From"
+        />
+        <input
+          type="date"
+          value={filters.to}
+          min={filters.from || undefined}
+          onChange={(e) => setFilter('to', e.target.value)}
+          className={inputClasses}
+          title="To"
+        />
+        <button
+          disabled={!hasFilters}
+          onClick={() => {
+            setFilters(EMPTY_FILTERS);
+            setPage(1);
+          }}
+          className="px-4 py-2 rounded-md bg-richblack-700 text-sm text-richblack-5 hover:bg-richblack-600 disabled:opacity-50"
+        >
+          Clear filters
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="grid h-40 place-items-center">
+          <div className="spinner"></div>
+        </div>
+      ) : entries.length === 0 ? (
+        <p className="rounded-lg border border-richblack-700 bg-richblack-800 p-6 text-center text-sm text-richblack-300">
+          {hasFilters ? 'No activity matches these filters.' : 'No admin activity recorded yet.'}
+        </p>
+      ) : (
+        <div className="overflow-x-auto rounded-lg border border-richblack-700">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-richblack-700 text-richblack-50">
+              <tr>
+                <th className="p-3 w-8"></th>
+                <th className="p-3">When</th>
+                <th className="p-3">Admin</th>
+                <th className="p-3">Action</th>
+                <th className="p-3">Target</th>
+                <th className="p-3">IP</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => {
+                const changes = getAuditChanges(entry);
+                const expanded = expandedId === entry._id;
+                return (
+                  <Fragment key={entry._id}>
+                    <tr
+                      onClick={() => setExpandedId(expanded ? null : entry._id)}
+                      className="cursor-pointer border-t border-richblack-700 text-richblack-100 hover:bg-richblack-700"
+                    >
+                      <td className="p-3 text-richblack-400">
+                        {expanded ? <FaChevronDown size={10} /> : <FaChevronRight size={10} />}
+                      </td>
+                      <td className="p-3 whitespace-nowrap">{formatTimestamp(entry.at)}</td>
+                      <td className="p-3">
+                        <p className="text-richblack-5">{getActorName(entry.actor)}</p>
+                        {entry.actor?.role && <p className="text-xs text-richblack-400">{entry.actor.role}</p>}
+                      </td>
+                      <td className="p-3">{getActionLabel(entry.action)}</td>
+                      <td className="p-3">
+                        <p className="text-richblack-5">{entry.entityLabel || entry.entityId}</p>
+                        <p className="text-xs text-richblack-400">{AUDIT_ENTITIES[entry.entityType] || entry.entityType}</p>
+                      </td>
+                      <td className="p-3 font-mono text-xs">{entry.ip || '—'}</td>
+                    </tr>
+                    {expanded && (
+                      <tr className="bg-richblack-900">
+                        <td></td>
+                        <td colSpan="5" className="p-3">
+                          {changes.length === 0 ? (
+                            <p className="text-xs text-richblack-400">No field changes recorded.</p>
+                          ) : (
+                            <table className="w-full text-xs">
+                              <thead className="text-richblack-400">
+                                <tr>
+                                  <th className="py-1 pr-4">Field</th>
+                                  <th className="py-1 pr-4">Before</th>
+                                  <th className="py-1">After</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {changes.map((change) => (
+                                  <tr key={change.field} className="align-top">
+                                    <td className="py-1 pr-4 font-mono text-richblack-300">{change.field}</td>
+                                    <td className="py-1 pr-4 break-all text-pink-200">{change.before}</td>
+                                    <td className="py-1 break-all text-caribbeangreen-200">{change.after}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          )}
+                          {entry.userAgent && <p className="mt-2 text-xs text-richblack-400">{entry.userAgent}</p>}
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {total > PAGE_SIZE && (
+        <div className="flex items-center justify-between text-sm text-richblack-300">
+          <span>
+            {total} entries · page {page} of {totalPages}
+          </span>
+          <div className="flex gap-2">
+            <button
+              disabled={page === 1}
+              onClick={() => setPage((prev) => prev - 1)}
+              className="px-3 py-1.5 rounded-md bg-richblack-700 text-richblack-5 hover:bg-richblack-600 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              disabled={page >= totalPages}
+              onClick={() => setPage((prev) => prev + 1)}
+              className="px-3 py-1.5 rounded-md bg-richblack-700 text-richblack-5 hover:bg-richblack-600 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ActivityLog;
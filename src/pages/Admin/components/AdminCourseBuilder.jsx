@@ -5,14 +5,27 @@ import { IoAddCircleOutline } from "react-icons/io5"
 import { useSelector } from "react-redux"
 import { AiFillCaretDown } from "react-icons/ai"
 import { FaPlus } from "react-icons/fa"
+import { FiClock } from "react-icons/fi"
 import { MdEdit } from "react-icons/md"
 import { RiDeleteBin6Line } from "react-icons/ri"
 import { RxDropdownMenu } from "react-icons/rx"
 
 import { createSection, updateSection, deleteSection, createSubSection, updateSubSection, deleteSubSection, getFullDetailsOfCourse } from "../../../services/operations/courseDetailsAPI"
 import ConfirmationModal from "../../../components/common/ConfirmationModal"
+import CohortManager from "../../../components/core/Dashboard/AddCourse/CourseBuilder/CohortManager"
+import SectionDripModal from "../../../components/core/Dashboard/AddCourse/CourseBuilder/SectionDripModal"
+import { describeDrip } from "../../../utils/dripSchedule"
+import { appendCaptions } from "../../../utils/captions"
+import { toTimelinePayload } from "../../../utils/videoTimeline"
 import AdminSubSectionModal from "./AdminSubSectionModal"
 
+// Chapters and checkpoints are sent as JSON alongside the lecture fields
+const appendTimeline = (formData, subSection) => {
+  const { chapters, checkpoints } = toTimelinePayload(subSection)
+  formData.append("chapters", JSON.stringify(chapters))
+  formData.append("checkpoints", JSON.stringify(checkpoints))
+}
+
 export default function AdminCourseBuilder({ course, onCourseUpdate }) {
   const { register, handleSubmit, setValue, formState: { errors } } = useForm()
   const { token } = useSelector((state) => state.auth)
@@ -29,6 +42,7 @@ export default function AdminCourseBuilder({ course, onCourseUpdate }) {
   const [viewSubSection, setViewSubSection] = useState(null)
   const [editSubSection, setEditSubSection] = useState(null)
   const [confirmationModal, setConfirmationModal] = useState(null)
+  const [dripSection, setDripSection] = useState(null)
 
   // Fetch full course details with sections and subsections
   useEffect(() => {
@@ -148,6 +162,21 @@ export default function AdminCourseBuilder({ course, onCourseUpdate }) {
     setValue("sectionName", sectionName)
   }
 
+  // Update section release schedule (local state only)
+  const handleSaveDrip = (drip) => {
+    const updatedCourseContent = courseData.courseContent.map((section) =>
+      section._id === dripSection._id ? { ...section, drip } : section
+    )
+    setCourseData({ ...courseData, courseContent: updatedCourseContent })
+    setDripSection(null)
+  }
+
+  // Cohorts are saved right away, so keep the saved copy in step as well
+  const handleCohortsChange = (cohorts) => {
+    setCourseData((prev) => ({ ...prev, cohorts }))
+    setOriginalCourseData((prev) => prev && { ...prev, cohorts })
+  }
+
   // Delete Section (local state only)
   const handleDeleteSection = (sectionId) => {
     try {
@@ -235,6 +264,7 @@ export default function AdminCourseBuilder({ course, onCourseUpdate }) {
           const result = await createSection({
             sectionName: section.sectionName,
             courseId: courseData._id,
+            ...(section.drip && { drip: section.drip }),
           }, token)
           
           if (result && result.courseContent) {
@@ -254,6 +284,8 @@ export default function AdminCourseBuilder({ course, onCourseUpdate }) {
                   if (subSection.quiz) {
                     formData.append("quiz", subSection.quiz._id || subSection.quiz)
                   }
+                  appendTimeline(formData, subSection)
+                  appendCaptions(formData, subSection.captions)
                   await createSubSection(formData, token)
                 }
               }
@@ -266,11 +298,13 @@ export default function AdminCourseBuilder({ course, onCourseUpdate }) {
       for (const section of courseData.courseContent) {
         if (!section.isNew) {
           const originalSection = originalCourseData.courseContent.find(s => s._id === section._id)
-          if (originalSection && originalSection.sectionName !== section.sectionName) {
+          const dripChanged = originalSection && JSON.stringify(originalSection.drip) !== JSON.stringify(section.drip)
+          if (originalSection && (originalSection.sectionName !== section.sectionName || dripChanged)) {
             await updateSection({
               sectionName: section.sectionName,
               sectionId: section._id,
               courseId: courseData._id,
+              ...(dripChanged && { drip: section.drip }),
             }, token)
           }
           
@@ -288,6 +322,8 @@ export default function AdminCourseBuilder({ course, onCourseUpdate }) {
               if (subSection.quiz) {
                 formData.append("quiz", subSection.quiz._id || subSection.quiz)
               }
+              appendTimeline(formData, subSection)
+              appendCaptions(formData, subSection.captions)
               await createSubSection(formData, token)
             } else if (subSection.isModified) {
               // Update modified subsection
@@ -302,6 +338,8 @@ export default function AdminCourseBuilder({ course, onCourseUpdate }) {
               if (subSection.quiz) {
                 formData.append("quiz", subSection.quiz._id || subSection.quiz)
               }
+              appendTimeline(formData, subSection)
+              appendCaptions(formData, subSection.captions)
               await updateSubSection(formData, token)
             }
           }
@@ -437,6 +475,11 @@ export default function AdminCourseBuilder({ course, onCourseUpdate }) {
                     {section.sectionName}
                     {section.isNew && <span className="ml-2 text-xs text-yellow-400">(Unsaved)</span>}
                   </p>
+                  {describeDrip(section.drip) && (
+                    <span className="rounded-full bg-richblack-600 px-2 py-0.5 text-xs text-yellow-50">
+                      {describeDrip(section.drip)}
+                    </span>
+                  )}
                 </div>
 
                 <div className="flex items-center gap-x-3">
@@ -449,6 +492,15 @@ export default function AdminCourseBuilder({ course, onCourseUpdate }) {
                     <MdEdit className="text-xl" />
                   </button>
 
+                  <button
+                    type="button"
+                    title="Release schedule"
+                    onClick={() => setDripSection(section)}
+                    className="text-richblack-300 hover:text-richblack-5"
+                  >
+                    <FiClock className="text-xl" />
+                  </button>
+
                   <button
                     onClick={() =>
                       setConfirmationModal({
@@ -538,6 +590,15 @@ export default function AdminCourseBuilder({ course, onCourseUpdate }) {
         </div>
       )}
 
+      {/* Cohorts */}
+      {!loading && courseData?._id && (
+        <CohortManager
+          courseId={courseData._id}
+          cohorts={courseData.cohorts || []}
+          onChange={handleCohortsChange}
+        />
+      )}
+
       {/* Save/Discard Changes Buttons */}
       {hasUnsavedChanges && (
         <div className="flex justify-end gap-x-4 mt-6 border-t border-richblack-700 pt-4">
@@ -591,6 +652,14 @@ export default function AdminCourseBuilder({ course, onCourseUpdate }) {
         />
       )}
 
+      {dripSection && (
+        <SectionDripModal
+          section={dripSection}
+          onSave={handleSaveDrip}
+          onClose={() => setDripSection(null)}
+        />
+      )}
+
       {/* Confirmation Modal */}
       {confirmationModal && (
         <ConfirmationModal
@@ -9,7 +9,11 @@ import {
   updateSubSection,
 } from "../../../services/operations/courseDetailsAPI"
 import { getAllQuizzes } from "../../../services/operations/quizAPI"
+import { validateCaptions } from "../../../utils/captions"
+import { validateTimeline } from "../../../utils/videoTimeline"
 import Upload from "../../../components/core/Dashboard/AddCourse/Upload"
+import VideoTimelineEditor from "../../../components/core/Dashboard/AddCourse/CourseBuilder/VideoTimelineEditor"
+import CaptionUploader from "../../../components/core/Dashboard/AddCourse/CourseBuilder/CaptionUploader"
 
 export default function AdminSubSectionModal({ 
   modalData, 
@@ -30,6 +34,16 @@ export default function AdminSubSectionModal({
   const [loading, setLoading] = useState(false)
   const { token } = useSelector((state) => state.auth)
 
+  // chapter markers and checkpoint questions of the lecture video
+  const [savedTimeline] = useState(() => ({
+    chapters: modalData?.chapters || [],
+    checkpoints: modalData?.checkpoints || [],
+  }))
+  const [timeline, setTimeline] = useState(savedTimeline)
+  // caption tracks - new files are uploaded with the batch save
+  const [savedCaptions] = useState(() => modalData?.captions || [])
+  const [captions, setCaptions] = useState(savedCaptions)
+
   useEffect(() => {
     if (view || edit) {
       setValue("lectureTitle", modalData.title)
@@ -45,7 +59,9 @@ export default function AdminSubSectionModal({
       currentValues.lectureTitle !== modalData.title ||
       currentValues.lectureDesc !== modalData.description ||
       currentValues.lectureVideo !== modalData.videoUrl ||
-      currentValues.quiz !== (modalData.quiz?._id || "")
+      currentValues.quiz !== (modalData.quiz?._id || "") ||
+      JSON.stringify(timeline) !== JSON.stringify(savedTimeline) ||
+      JSON.stringify(captions) !== JSON.stringify(savedCaptions)
     ) {
       return true
     }
@@ -62,6 +78,8 @@ export default function AdminSubSectionModal({
       title: currentValues.lectureTitle,
       description: currentValues.lectureDesc,
       quiz: currentValues.quiz ? { _id: currentValues.quiz } : null,
+      ...timeline,
+      captions,
       // Keep existing video URL if no new video is uploaded
       videoUrl: currentValues.lectureVideo instanceof File ? 
         URL.createObjectURL(currentValues.lectureVideo) : modalData.videoUrl,
@@ -80,6 +98,18 @@ export default function AdminSubSectionModal({
   const onSubmit = async (data) => {
     if (view) return
 
+    const timelineError = validateTimeline(timeline)
+    if (timelineError) {
+      toast.error(timelineError)
+      return
+    }
+
+    const captionsError = validateCaptions(captions)
+    if (captionsError) {
+      toast.error(captionsError)
+      return
+    }
+
     if (edit) {
       if (!isFormUpdated()) {
         toast.error("No changes made to the form")
@@ -103,6 +133,8 @@ export default function AdminSubSectionModal({
       title: data.lectureTitle,
       description: data.lectureDesc,
       quiz: data.quiz ? { _id: data.quiz } : null,
+      ...timeline,
+      captions,
       videoUrl: data.lectureVideo instanceof File ? 
         URL.createObjectURL(data.lectureVideo) : null,
       videoFile: data.lectureVideo instanceof File ? data.lectureVideo : null,
@@ -180,7 +212,11 @@ export default function AdminSubSectionModal({
               </span>
             )}
           </div>
+          {/* Captions */}
+          <CaptionUploader value={captions} onChange={setCaptions} disabled={view || loading} />
 
+          {/* Chapters and Checkpoints */}
+          <VideoTimelineEditor value={timeline} onChange={setTimeline} disabled={view || loading} />
 
           {!view && (
             <div className="flex justify-end">
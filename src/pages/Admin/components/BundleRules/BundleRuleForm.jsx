@@ -0,0 +1,369 @@
+import { useMemo, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { FaPlus, FaSearch, FaTrash } from 'react-icons/fa';
+
+import { createBundleRule, updateBundleRule } from '../../../../services/operations/bundleAPI';
+import {
+  BUNDLE_TYPES,
+  COURSE_TYPES,
+  RULE_SCOPES,
+  formatTier,
+  priceFixedBundle,
+  validateBundleRule,
+} from '../../../../utils/bundlePricing';
+import { formatCurrency } from '../../../../utils/cartPricing';
+import { toDateTimeInputValue } from '../../../../utils/dateFormatter';
+
+const getId = (value) => value?._id || value;
+
+const toFormState = (rule, type) => ({
+  type: rule?.type || type,
+  name: rule?.name || '',
+  description: rule?.description || '',
+  isActive: rule?.isActive ?? true,
+  validFrom: toDateTimeInputValue(rule?.validFrom),
+  validUntil: toDateTimeInputValue(rule?.validUntil),
+  // fixed bundles
+  courses: (rule?.courses || []).map(getId),
+  price: rule?.price ?? '',
+  thumbnail: rule?.thumbnail || '',
+  thumbnailFile: null,
+  // tiered rules
+  scope: rule?.scope || 'all',
+  category: getId(rule?.category) || '',
+  courseType: rule?.courseType || 'Paid',
+  tiers: rule?.tiers?.length ? rule.tiers : [{ minCourses: 2, discountPercent: 10 }],
+  excludedCourses: (rule?.excludedCourses || []).map(getId),
+});
+
+// Searchable checkbox list of courses
+const CoursePicker = ({ courses, selected, onChange, emptyText }) => {
+  const [search, setSearch] = useState('');
+  const filteredCourses = courses.filter((course) => course.courseName?.toLowerCase().includes(search.toLowerCase()));
+
+  const toggle = (courseId) =>
+    onChange(selected.includes(courseId) ? selected.filter((id) => id !== courseId) : [...selected, courseId]);
+
+  return (
+    <div>
+      <div className="relative mb-2">
+        <FaSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-richblack-400" size={12} />
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search courses..."
+          className="w-full pl-8 pr-3 py-2 bg-richblack-700 border border-richblack-600 rounded-md text-sm text-richblack-5 focus:outline-none focus:ring-1 focus:ring-yellow-50"
+        />
+      </div>
+      <div className="max-h-56 overflow-y-auto rounded-md border border-richblack-700 divide-y divide-richblack-700">
+        {filteredCourses.length === 0 ? (
+          <p className="p-3 text-sm text-richblack-400">{emptyText}</p>
+        ) : (
+          filteredCourses.map((course) => (
+            <label key={course._id} className="flex items-center gap-2 px-3 py-2 text-sm text-richblack-100 hover:bg-richblack-700">
+              <input type="checkbox" checked={selected.includes(course._id)} onChange={() => toggle(course._id)} />
+              <span className="flex-1">{course.courseName}</span>
+              <span className="text-xs text-richblack-400">
+                {course.courseType === 'Free' ? 'Free' : formatCurrency(course.price)}
+              </span>
+            </label>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+const inputClasses =
+  'w-full px-3 py-2 bg-richblack-700 border border-richblack-600 rounded-md text-sm text-richblack-5 focus:outline-none focus:ring-1 focus:ring-yellow-50';
+const labelClasses = 'mb-1 block text-sm font-medium text-richblack-100';
+
+// Create or edit a fixed bundle or a tiered discount rule
+const BundleRuleForm = ({ rule, type, courses, categories, onSaved, onCancel }) => {
+  const { token } = useSelector((state) => state.auth);
+  const [form, setForm] = useState(() => toFormState(rule, type));
+  const [saving, setSaving] = useState(false);
+
+  const isFixed = form.type === BUNDLE_TYPES.FIXED;
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const updateTier = (index, field, value) =>
+    setField('tiers', form.tiers.map((tier, i) => (i === index ? { ...tier, [field]: Number(value) } : tier)));
+
+  // what students will pay, using the same pricing as the catalog
+  const fixedQuote = useMemo(() => {
+    if (!isFixed) return null;
+    const bundleCourses = courses.filter((course) => form.courses.includes(course._id));
+    return priceFixedBundle({ courses: bundleCourses, price: Number(form.price) || 0 });
+  }, [isFixed, courses, form.courses, form.price]);
+
+  // courses the rule's scope covers, so exclusions are picked from the right list
+  const scopedCourses = courses.filter((course) => {
+    if (form.scope === 'category') return getId(course.category) === form.category;
+    if (form.scope === 'courseType') return (course.courseType || 'Paid') === form.courseType;
+    return true;
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const error = validateBundleRule(form);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('type', form.type);
+    formData.append('name', form.name.trim());
+    formData.append('description', form.description.trim());
+    formData.append('isActive', form.isActive);
+    formData.append('validFrom', form.validFrom ? new Date(form.validFrom).toISOString() : '');
+    formData.append('validUntil', form.validUntil ? new Date(form.validUntil).toISOString() : '');
+    if (isFixed) {
+      formData.append('courses', JSON.stringify(form.courses));
+      formData.append('price', form.price);
+      if (form.thumbnailFile) formData.append('thumbnailImage', form.thumbnailFile);
+    } else {
+      formData.append('scope', form.scope);
+      if (form.scope === 'category') formData.append('category', form.category);
+      if (form.scope === 'courseType') formData.append('courseType', form.courseType);
+      formData.append('tiers', JSON.stringify(form.tiers));
+      formData.append('excludedCourses', JSON.stringify(form.excludedCourses));
+    }
+
+    setSaving(true);
+    const saved = rule ? await updateBundleRule(rule._id, formData, token) : await createBundleRule(formData, token);
+    setSaving(false);
+    if (saved) onSaved(saved);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold text-richblack-5">
+          {rule ? 'Edit' : 'New'} {isFixed ? 'Curated Bundle' : 'Tiered Discount'}
+        </h2>
+        <button type="button" onClick={onCancel} className="text-sm text-richblack-300 hover:text-richblack-100">
+          ← Back to List
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+        <div>
+          <label className={labelClasses}>Name</label>
+          <input
+            value={form.name}
+            onChange={(e) => setField('name', e.target.value)}
+            placeholder={isFixed ? 'e.g. Full Stack Starter Pack' : 'e.g. Web Development multi-course'}
+            className={inputClasses}
+          />
+        </div>
+        <label className="flex items-center gap-2 self-end pb-2 text-sm text-richblack-100">
+          <input type="checkbox" checked={form.isActive} onChange={(e) => setField('isActive', e.target.checked)} />
+          Enabled
+        </label>
+        <div className="md:col-span-2">
+          <label className={labelClasses}>Description</label>
+          <textarea
+            value={form.description}
+            onChange={(e) => setField('description', e.target.value)}
+            rows={2}
+            className={inputClasses}
+          />
+        </div>
+        <div>
+          <label className={labelClasses}>Valid from</label>
+          <input
+            type="datetime-local"
+            value={form.validFrom}
+            onChange={(e) => setField('validFrom', e.target.value)}
+            className={inputClasses}
+          />
+        </div>
+        <div>
+          <label className={labelClasses}>Valid until</label>
+          <input
+            type="datetime-local"
+            value={form.validUntil}
+            onChange={(e) => setField('validUntil', e.target.value)}
+            className={inputClasses}
+          />
+          <p className="mt-1 text-xs text-richblack-400">Leave either date empty for an open-ended window.</p>
+        </div>
+      </div>
+
+      {isFixed ? (
+        <>
+          <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+            <div>
+              <label className={labelClasses}>Bundle price (₹)</label>
+              <input
+                type="number"
+                min="0"
+                value={form.price}
+                onChange={(e) => setField('price', e.target.value)}
+                className={inputClasses}
+              />
+              {fixedQuote.originalPrice > 0 && (
+                <p className="mt-1 text-xs text-richblack-300">
+                  Courses bought separately: {formatCurrency(fixedQuote.originalPrice)}
+                  {fixedQuote.discount > 0 && ` · students save ${formatCurrency(fixedQuote.discount)} (${fixedQuote.discountPercent}%)`}
+                </p>
+              )}
+            </div>
+            <div>
+              <label className={labelClasses}>Artwork</label>
+              <div className="flex items-center gap-3">
+                {(form.thumbnailFile || form.thumbnail) && (
+                  <img
+                    src={form.thumbnailFile ? URL.createObjectURL(form.thumbnailFile) : form.thumbnail}
+                    alt=""
+                    className="h-12 w-20 rounded object-cover"
+                  />
+                )}
+                <input
+                  type="file"
+                  accept="image/png, image/jpeg, image/webp"
+                  onChange={(e) => setField('thumbnailFile', e.target.files[0] || null)}
+                  className="text-sm text-richblack-300"
+                />
+              </div>
+            </div>
+          </div>
+          <div>
+            <p className={labelClasses}>
+              Courses <span className="text-richblack-400">({form.courses.length} selected)</span>
+            </p>
+            <CoursePicker
+              courses={courses}
+              selected={form.courses}
+              onChange={(value) => setField('courses', value)}
+              emptyText="No courses found"
+            />
+          </div>
+        </>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+            <div>
+              <label className={labelClasses}>Applies to</label>
+              <select value={form.scope} onChange={(e) => setField('scope', e.target.value)} className={inputClasses}>
+                {RULE_SCOPES.map((scope) => (
+                  <option key={scope.value} value={scope.value}>
+                    {scope.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {form.scope === 'category' && (
+              <div>
+                <label className={labelClasses}>Category</label>
+                <select value={form.category} onChange={(e) => setField('category', e.target.value)} className={inputClasses}>
+                  <option value="">Choose a category</option>
+                  {categories.map((category) => (
+                    <option key={category._id} value={category._id}>
+                      {category.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {form.scope === 'courseType' && (
+              <div>
+                <label className={labelClasses}>Course type</label>
+                <select value={form.courseType} onChange={(e) => setField('courseType', e.target.value)} className={inputClasses}>
+                  {COURSE_TYPES.map((courseType) => (
+                    <option key={courseType} value={courseType}>
+                      {courseType} courses
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+
+          <div>
+            <p className={labelClasses}>Discount tiers</p>
+            <div className="space-y-2">
+              {form.tiers.map((tier, index) => (
+                <div key={index} className="flex items-center gap-2 text-sm text-richblack-100">
+                  <input
+                    type="number"
+                    min="2"
+                    value={tier.minCourses}
+                    onChange={(e) => updateTier(index, 'minCourses', e.target.value)}
+                    className={`${inputClasses} w-20`}
+                  />
+                  <span>or more courses get</span>
+                  <input
+                    type="number"
+                    min="1"
+                    max="99"
+                    value={tier.discountPercent}
+                    onChange={(e) => updateTier(index, 'discountPercent', e.target.value)}
+                    className={`${inputClasses} w-20`}
+                  />
+                  <span>% off</span>
+                  {form.tiers.length > 1 && (
+                    <button
+                      type="button"
+                      onClick={() => setField('tiers', form.tiers.filter((_, i) => i !== index))}
+                      className="ml-2 text-richblack-400 hover:text-pink-200"
+                    >
+                      <FaTrash size={12} />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => {
+                const largest = Math.max(...form.tiers.map((tier) => tier.minCourses), 1);
+                setField('tiers', [...form.tiers, { minCourses: largest + 1, discountPercent: 15 }]);
+              }}
+              className="mt-2 flex items-center gap-1 text-sm text-yellow-50 hover:underline"
+            >
+              <FaPlus size={10} /> Add tier
+            </button>
+            <p className="mt-2 text-xs text-richblack-400">
+              {[...form.tiers].sort((a, b) => a.minCourses - b.minCourses).map(formatTier).join(' · ')}
+            </p>
+          </div>
+
+          <div>
+            <p className={labelClasses}>
+              Excluded courses <span className="text-richblack-400">({form.excludedCourses.length})</span>
+            </p>
+            <p className="mb-2 text-xs text-richblack-400">
+              Excluded courses can still be bought in a bundle but are not discounted and don&apos;t count towards a tier.
+            </p>
+            <CoursePicker
+              courses={scopedCourses}
+              selected={form.excludedCourses}
+              onChange={(value) => setField('excludedCourses', value)}
+              emptyText="No courses in this scope"
+            />
+          </div>
+        </>
+      )}
+
+      <div className="flex justify-end gap-3">
+        <button type="button" onClick={onCancel} className="px-4 py-2 rounded-md bg-richblack-700 text-richblack-5 hover:bg-richblack-600">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 rounded-md bg-yellow-50 text-richblack-900 font-semibold hover:bg-yellow-25 disabled:opacity-50"
+        >
+          {rule ? 'Save Changes' : 'Create'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default BundleRuleForm;
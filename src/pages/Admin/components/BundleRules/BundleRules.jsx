@@ -0,0 +1,217 @@
+import { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { FaBoxOpen, FaLayerGroup, FaPencilAlt, FaTrash } from 'react-icons/fa';
+
+import BundleRuleForm from './BundleRuleForm';
+import ConfirmationModal from '../../../../components/common/ConfirmationModal';
+import { getAllCourses } from '../../../../services/operations/adminAPI';
+import { deleteBundleRule, getBundleRules } from '../../../../services/operations/bundleAPI';
+import { fetchCourseCategories } from '../../../../services/operations/courseDetailsAPI';
+import { BUNDLE_TYPES, RULE_SCOPES, formatTier, getRuleStatus, priceFixedBundle } from '../../../../utils/bundlePricing';
+import { formatCurrency } from '../../../../utils/cartPricing';
+import { formatDate } from '../../../../utils/dateFormatter';
+
+const STATUS_CLASSES = {
+  Active: 'bg-caribbeangreen-700 text-caribbeangreen-25',
+  Scheduled: 'bg-blue-700 text-blue-25',
+  Expired: 'bg-richblack-700 text-richblack-300',
+  Disabled: 'bg-richblack-700 text-richblack-300',
+};
+
+const getValidity = (rule) => {
+  if (!rule.validFrom && !rule.validUntil) return 'Always';
+  if (!rule.validUntil) return `From ${formatDate(rule.validFrom)}`;
+  if (!rule.validFrom) return `Until ${formatDate(rule.validUntil)}`;
+  return `${formatDate(rule.validFrom)} – ${formatDate(rule.validUntil)}`;
+};
+
+// Curated bundles and tiered bundle discounts used by the catalog and bundle checkout
+const BundleRules = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [rules, setRules] = useState([]);
+  const [courses, setCourses] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(false);
+  // null: list view, otherwise { rule, type } being edited or created
+  const [editing, setEditing] = useState(null);
+  const [confirmationModal, setConfirmationModal] = useState(null);
+
+  useEffect(() => {
+    const fetchRules = async () => {
+      setLoading(true);
+      setRules(await getBundleRules(token));
+      setLoading(false);
+    };
+    fetchRules();
+    getAllCourses(token)
+      .then((response) => setCourses(response?.courses || []))
+      .catch((error) => console.error('Error fetching courses:', error));
+    fetchCourseCategories().then(setCategories);
+  }, [token]);
+
+  const handleSaved = (saved) => {
+    setRules((prev) =>
+      prev.some((rule) => rule._id === saved._id)
+        ? prev.map((rule) => (rule._id === saved._id ? saved : rule))
+        : [saved, ...prev]
+    );
+    setEditing(null);
+  };
+
+  const handleDelete = async (ruleId) => {
+    setConfirmationModal(null);
+    if (await deleteBundleRule(ruleId, token)) {
+      setRules((prev) => prev.filter((rule) => rule._id !== ruleId));
+    }
+  };
+
+  const describeScope = (rule) => {
+    if (rule.scope === 'category') {
+      const categoryId = rule.category?._id || rule.category;
+      return rule.category?.name || categories.find((category) => category._id === categoryId)?.name || 'One category';
+    }
+    if (rule.scope === 'courseType') return `${rule.courseType} courses`;
+    return RULE_SCOPES[0].label;
+  };
+
+  if (editing) {
+    return (
+      <BundleRuleForm
+        rule={editing.rule}
+        type={editing.type}
+        courses={courses}
+        categories={categories}
+        onSaved={handleSaved}
+        onCancel={() => setEditing(null)}
+      />
+    );
+  }
+
+  const fixedBundles = rules.filter((rule) => rule.type === BUNDLE_TYPES.FIXED);
+  const tieredRules = rules.filter((rule) => rule.type === BUNDLE_TYPES.TIERED);
+
+  const renderActions = (rule) => (
+    <div className="flex gap-2">
+      <button
+        onClick={() => setEditing({ rule, type: rule.type })}
+        className="flex items-center gap-1 px-3 py-1.5 rounded-md bg-richblack-700 text-sm text-richblack-5 hover:bg-richblack-600"
+      >
+        <FaPencilAlt size={12} /> Edit
+      </button>
+      <button
+        onClick={() =>
+          setConfirmationModal({
+            text1: `Delete "${rule.name}"?`,
+            text2: 'Students will no longer see this offer. Orders already placed keep their price.',
+            btn1Text: 'Delete',
+            btn2Text: 'Cancel',
+            btn1Handler: () => handleDelete(rule._id),
+            btn2Handler: () => setConfirmationModal(null),
+          })
+        }
+        className="flex items-center gap-1 px-3 py-1.5 rounded-md bg-richblack-700 text-sm text-pink-200 hover:bg-richblack-600"
+      >
+        <FaTrash size={12} />
+      </button>
+    </div>
+  );
+
+  const renderStatus = (rule) => {
+    const status = getRuleStatus(rule);
+    return <span className={`rounded-full px-2 py-0.5 text-xs ${STATUS_CLASSES[status]}`}>{status}</span>;
+  };
+
+  return (
+    <div className="space-y-8">
+      <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+        <div>
+          <h2 className="text-2xl font-semibold text-richblack-5">Bundle Pricing</h2>
+          <p className="text-sm text-richblack-300">
+            When several offers apply to a student&apos;s selection, the one that saves them the most is used.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setEditing({ rule: null, type: BUNDLE_TYPES.FIXED })}
+            className="flex items-center gap-2 px-4 py-2 rounded-md bg-yellow-50 text-richblack-900 font-semibold hover:bg-yellow-25"
+          >
+            <FaBoxOpen /> New Bundle
+          </button>
+          <button
+            onClick={() => setEditing({ rule: null, type: BUNDLE_TYPES.TIERED })}
+            className="flex items-center gap-2 px-4 py-2 rounded-md bg-richblack-700 text-richblack-5 font-semibold hover:bg-richblack-600"
+          >
+            <FaLayerGroup /> New Tiered Discount
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="grid h-40 place-items-center">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <>
+          <section className="space-y-3">
+            <h3 className="text-lg font-semibold text-richblack-5">Curated bundles</h3>
+            {fixedBundles.length === 0 ? (
+              <p className="rounded-lg border border-richblack-700 bg-richblack-800 p-6 text-center text-sm text-richblack-300">
+                No curated bundles yet.
+              </p>
+            ) : (
+              fixedBundles.map((bundle) => {
+                const quote = priceFixedBundle(bundle);
+                return (
+                  <div key={bundle._id} className="flex flex-col gap-3 rounded-lg border border-richblack-700 bg-richblack-800 p-4 md:flex-row md:items-center">
+                    {bundle.thumbnail && <img src={bundle.thumbnail} alt="" className="h-16 w-28 rounded object-cover" />}
+                    <div className="flex-1 space-y-1">
+                      <p className="flex items-center gap-2 font-semibold text-richblack-5">
+                        {bundle.name} {renderStatus(bundle)}
+                      </p>
+                      <p className="text-xs text-richblack-300">
+                        {bundle.courses?.length || 0} courses · {formatCurrency(bundle.price)}
+                        {quote.discount > 0 && ` (saves ${formatCurrency(quote.discount)})`} · {getValidity(bundle)}
+                      </p>
+                    </div>
+                    {renderActions(bundle)}
+                  </div>
+                );
+              })
+            )}
+          </section>
+
+          <section className="space-y-3">
+            <h3 className="text-lg font-semibold text-richblack-5">Tiered discounts</h3>
+            {tieredRules.length === 0 ? (
+              <p className="rounded-lg border border-richblack-700 bg-richblack-800 p-6 text-center text-sm text-richblack-300">
+                No tiered discounts. Students building their own bundle pay full price.
+              </p>
+            ) : (
+              tieredRules.map((rule) => (
+                <div key={rule._id} className="flex flex-col gap-3 rounded-lg border border-richblack-700 bg-richblack-800 p-4 md:flex-row md:items-center">
+                  <div className="flex-1 space-y-1">
+                    <p className="flex items-center gap-2 font-semibold text-richblack-5">
+                      {rule.name} {renderStatus(rule)}
+                    </p>
+                    <p className="text-xs text-richblack-300">
+                      {describeScope(rule)} · {getValidity(rule)}
+                      {rule.excludedCourses?.length > 0 && ` · ${rule.excludedCourses.length} excluded`}
+                    </p>
+                    <p className="text-xs text-yellow-50">
+                      {[...(rule.tiers || [])].sort((a, b) => a.minCourses - b.minCourses).map(formatTier).join(' · ')}
+                    </p>
+                  </div>
+                  {renderActions(rule)}
+                </div>
+              ))
+            )}
+          </section>
+        </>
+      )}
+
+      {confirmationModal && <ConfirmationModal modalData={confirmationModal} />}
+    </div>
+  );
+};
+
+export default BundleRules;
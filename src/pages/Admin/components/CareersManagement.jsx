@@ -15,9 +15,12 @@ import {
 import JobForm from './CareersManagement/JobForm';
 import JobApplications from './CareersManagement/JobApplications';
 import CareersAnalytics from './CareersManagement/CareersAnalytics';
+import usePermissions from '../../../hooks/usePermissions';
 
 const CareersManagement = () => {
   const { token } = useSelector((state) => state.auth);
+  const can = usePermissions();
+  const canManageJobs = can('careers.manage');
   const [activeTab, setActiveTab] = useState('jobs');
   const [jobs, setJobs] = useState([]);
   const [applications, setApplications] = useState([]);
@@ -166,7 +169,7 @@ const CareersManagement = () => {
           <p className="text-richblack-300 mt-1">Manage job postings and applications</p>
         </div>
         
-        {activeTab === 'jobs' && (
+        {activeTab === 'jobs' && canManageJobs && (
           <button
             onClick={() => setShowJobForm(true)}
             className="flex items-center gap-2 bg-yellow-50 text-richblack-900 px-4 py-2 rounded-lg font-medium hover:bg-yellow-100 transition-colors"
@@ -208,12 +211,14 @@ const CareersManagement = () => {
                 <FaBriefcase className="mx-auto text-4xl text-richblack-400 mb-4" />
                 <h3 className="text-lg font-medium text-richblack-100 mb-2">No jobs posted yet</h3>
                 <p className="text-richblack-400 mb-4">Create your first job posting to get started</p>
-                <button
-                  onClick={() => setShowJobForm(true)}
-                  className="bg-yellow-50 text-richblack-900 px-6 py-2 rounded-lg font-medium hover:bg-yellow-100 transition-colors"
-                >
-                  Create Job Posting
-                </button>
+                {canManageJobs && (
+                  <button
+                    onClick={() => setShowJobForm(true)}
+                    className="bg-yellow-50 text-richblack-900 px-6 py-2 rounded-lg font-medium hover:bg-yellow-100 transition-colors"
+                  >
+                    Create Job Posting
+                  </button>
+                )}
               </div>
             ) : (
               <div className="space-y-4">
@@ -253,17 +258,19 @@ const CareersManagement = () => {
                       </div>
                       
                       <div className="flex items-center gap-2">
-                        <button
-                          onClick={() => handleTogglePublication(job._id)}
-                          className={`p-2 rounded-lg transition-colors ${
-                            job.isPublished
-                              ? 'bg-green-600 hover:bg-green-700 text-white'
-                              : 'bg-richblack-600 hover:bg-richblack-500 text-richblack-300'
-                          }`}
-                          title={job.isPublished ? 'Unpublish Job' : 'Publish Job'}
-                        >
-                          {job.isPublished ? <FaToggleOn /> : <FaToggleOff />}
-                        </button>
+                        {canManageJobs && (
+                          <button
+                            onClick={() => handleTogglePublication(job._id)}
+                            className={`p-2 rounded-lg transition-colors ${
+                              job.isPublished
+                                ? 'bg-green-600 hover:bg-green-700 text-white'
+                                : 'bg-richblack-600 hover:bg-richblack-500 text-richblack-300'
+                            }`}
+                            title={job.isPublished ? 'Unpublish Job' : 'Publish Job'}
+                          >
+                            {job.isPublished ? <FaToggleOn /> : <FaToggleOff />}
+                          </button>
+                        )}
                         
                         <button
                           onClick={() => handleViewApplications(job)}
@@ -273,21 +280,25 @@ const CareersManagement = () => {
                           <FaEye />
                         </button>
                         
-                        <button
-                          onClick={() => handleEditJob(job)}
-                          className="p-2 bg-yellow-600 hover:bg-yellow-700 text-white rounded-lg transition-colors"
-                          title="Edit Job"
-                        >
-                          <FaEdit />
-                        </button>
+                        {canManageJobs && (
+                          <>
+                            <button
+                              onClick={() => handleEditJob(job)}
+                              className="p-2 bg-yellow-600 hover:bg-yellow-700 text-white rounded-lg transition-colors"
+                              title="Edit Job"
+                            >
+                              <FaEdit />
+                            </button>
                         
-                        <button
-                          onClick={() => handleDeleteJob(job._id)}
-                          className="p-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors"
-                          title="Delete Job"
-                        >
-                          <FaTrash />
-                        </button>
+                            <button
+                              onClick={() => handleDeleteJob(job._id)}
+                              className="p-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors"
+                              title="Delete Job"
+                            >
+                              <FaTrash />
+                            </button>
+                          </>
+                        )}
                       </div>
                     </div>
                   </motion.div>
@@ -302,6 +313,7 @@ const CareersManagement = () => {
             selectedJob={selectedJobApplications}
             applications={applications}
             onRefresh={fetchApplications}
+            canManage={canManageJobs}
           />
         )}
 
@@ -5,7 +5,7 @@ import { toast } from 'react-hot-toast';
 import { FaDownload, FaEye, FaEdit, FaTrash, FaFilter, FaSearch, FaFileAlt } from 'react-icons/fa';
 import { getJobApplications, updateApplicationStatus, deleteJobApplication } from '../../../../services/operations/jobsAPI';
 
-const JobApplications = ({ selectedJob, applications, onRefresh }) => {
+const JobApplications = ({ selectedJob, applications, onRefresh, canManage }) => {
   const { token } = useSelector((state) => state.auth);
   const [filteredApplications, setFilteredApplications] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -371,31 +371,35 @@ const JobApplications = ({ selectedJob, applications, onRefresh }) => {
                     <FaDownload />
                   </button>
 
-                  <button
-                    onClick={() => {
-                      setSelectedApplication(application);
-                      setShowStatusModal(true);
-                    }}
-                    className="p-2 bg-yellow-600 hover:bg-yellow-700 text-white rounded-lg transition-colors"
-                    title="Update Status"
-                  >
-                    <FaEdit />
-                  </button>
+                  {canManage && (
+                    <>
+                      <button
+                        onClick={() => {
+                          setSelectedApplication(application);
+                          setShowStatusModal(true);
+                        }}
+                        className="p-2 bg-yellow-600 hover:bg-yellow-700 text-white rounded-lg transition-colors"
+                        title="Update Status"
+                      >
+                        <FaEdit />
+                      </button>
 
-                  <button
-                    onClick={async () => {
-                      if (window.confirm('Are you sure you want to delete this application?')) {
-                        const deleted = await deleteJobApplication(application._id, token);
-                        if (deleted) {
-                          onRefresh();
-                        }
-                      }
-                    }}
-                    className="p-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors"
-                    title="Delete Application"
-                  >
-                    <FaTrash />
-                  </button>
+                      <button
+                        onClick={async () => {
+                          if (window.confirm('Are you sure you want to delete this application?')) {
+                            const deleted = await deleteJobApplication(application._id, token);
+                            if (deleted) {
+                              onRefresh();
+                            }
+                          }
+                        }}
+                        className="p-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition-colors"
+                        title="Delete Application"
+                      >
+                        <FaTrash />
+                      </button>
+                    </>
+                  )}
                 </div>
               </div>
             </motion.div>
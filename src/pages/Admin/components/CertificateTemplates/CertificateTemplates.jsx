@@ -0,0 +1,350 @@
+import { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { FaPlus, FaPencilAlt, FaTrash, FaLink, FaCheck, FaTimes, FaSearch, FaEye } from 'react-icons/fa';
+import TemplateDesigner from './TemplateDesigner';
+import TemplateCertificate from '../../../../components/core/Certificate/TemplateCertificate';
+import ConfirmationModal from '../../../../components/common/ConfirmationModal';
+import { getAllCourses } from '../../../../services/operations/adminAPI';
+import {
+  getCertificateTemplates,
+  updateCertificateTemplate,
+  deleteCertificateTemplate,
+  activateTemplateVersion,
+} from '../../../../services/operations/certificateTemplateAPI';
+import { SAMPLE_CERTIFICATE_DATA, TEMPLATE_COURSE_TYPES } from '../../../../utils/certificateTemplates';
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' }) : '');
+
+// Modal for choosing which courses / course types a template is used for
+const AssignTemplateModal = ({ template, courses, onClose, onSave }) => {
+  const [isDefault, setIsDefault] = useState(Boolean(template.isDefault));
+  const [courseTypes, setCourseTypes] = useState(template.courseTypes || []);
+  const [selectedCourses, setSelectedCourses] = useState(
+    (template.courses || []).map((course) => (typeof course === 'string' ? course : course._id))
+  );
+  const [search, setSearch] = useState('');
+
+  const toggle = (list, setList, value) =>
+    setList(list.includes(value) ? list.filter((item) => item !== value) : [...list, value]);
+
+  const filteredCourses = courses.filter((course) =>
+    course.courseName?.toLowerCase().includes(search.toLowerCase())
+  );
+
+  return (
+    <div className="fixed inset-0 z-[1000] grid place-items-center bg-white/10 backdrop-blur-sm p-4">
+      <div className="w-full max-w-lg rounded-lg border border-richblack-400 bg-richblack-800 p-6 space-y-5">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-richblack-5">Assign &quot;{template.name}&quot;</h3>
+          <button onClick={onClose} className="text-richblack-300 hover:text-richblack-5">
+            <FaTimes />
+          </button>
+        </div>
+
+        <p className="text-xs text-richblack-300">
+          New certificates use the template assigned to their course first, then to their course type, then the default template.
+        </p>
+
+        <label className="flex items-center gap-2 text-sm text-richblack-100">
+          <input type="checkbox" checked={isDefault} onChange={(e) => setIsDefault(e.target.checked)} />
+          Use as the default template
+        </label>
+
+        <div>
+          <p className="mb-2 text-sm font-medium text-richblack-100">Course types</p>
+          <div className="flex gap-4">
+            {TEMPLATE_COURSE_TYPES.map((type) => (
+              <label key={type} className="flex items-center gap-2 text-sm text-richblack-100">
+                <input
+                  type="checkbox"
+                  checked={courseTypes.includes(type)}
+                  onChange={() => toggle(courseTypes, setCourseTypes, type)}
+                />
+                {type} courses
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <p className="mb-2 text-sm font-medium text-richblack-100">
+            Courses <span className="text-richblack-400">({selectedCourses.length} selected)</span>
+          </p>
+          <div className="relative mb-2">
+            <FaSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-richblack-400" size={12} />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search courses..."
+              className="w-full pl-8 pr-3 py-2 bg-richblack-700 border border-richblack-600 rounded-md text-sm text-richblack-5 focus:outline-none focus:ring-1 focus:ring-yellow-50"
+            />
+          </div>
+          <div className="max-h-56 overflow-y-auto rounded-md border border-richblack-700 divide-y divide-richblack-700">
+            {filteredCourses.length === 0 ? (
+              <p className="p-3 text-sm text-richblack-400">No courses found</p>
+            ) : (
+              filteredCourses.map((course) => (
+                <label key={course._id} className="flex items-center gap-2 px-3 py-2 text-sm text-richblack-100 hover:bg-richblack-700">
+                  <input
+                    type="checkbox"
+                    checked={selectedCourses.includes(course._id)}
+                    onChange={() => toggle(selectedCourses, setSelectedCourses, course._id)}
+                  />
+                  <span className="flex-1">{course.courseName}</span>
+                  <span className="text-xs text-richblack-400">{course.courseType || 'Paid'}</span>
+                </label>
+              ))
+            )}
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <button onClick={onClose} className="px-4 py-2 rounded-md bg-richblack-700 text-richblack-5 hover:bg-richblack-600">
+            Cancel
+          </button>
+          <button
+            onClick={() => onSave({ isDefault, courseTypes, courses: selectedCourses })}
+            className="px-4 py-2 rounded-md bg-yellow-50 text-richblack-900 font-semibold hover:bg-yellow-25"
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const CertificateTemplates = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [templates, setTemplates] = useState([]);
+  const [courses, setCourses] = useState([]);
+  const [loading, setLoading] = useState(false);
+  // undefined: list view, null: designing a new template, object: designing that template
+  const [designing, setDesigning] = useState(undefined);
+  const [assigning, setAssigning] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [previewVersion, setPreviewVersion] = useState(null);
+  const [confirmationModal, setConfirmationModal] = useState(null);
+
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      setLoading(true);
+      const data = await getCertificateTemplates(token);
+      setTemplates(data || []);
+      setLoading(false);
+    };
+    fetchTemplates();
+    getAllCourses(token)
+      .then((response) => setCourses(response?.courses || []))
+      .catch((error) => console.error('Error fetching courses:', error));
+  }, [token]);
+
+  const replaceTemplate = (updated) => {
+    setTemplates((prev) => {
+      const exists = prev.some((template) => template._id === updated._id);
+      const next = exists
+        ? prev.map((template) => (template._id === updated._id ? updated : template))
+        : [updated, ...prev];
+      // Only one template can be the default
+      return updated.isDefault
+        ? next.map((template) => (template._id === updated._id ? template : { ...template, isDefault: false }))
+        : next;
+    });
+  };
+
+  const handleSaved = (template) => {
+    replaceTemplate(template);
+    setExpandedId(template._id);
+    setDesigning(undefined);
+  };
+
+  const handleAssign = async (assignment) => {
+    const updated = await updateCertificateTemplate(assigning._id, assignment, token);
+    if (updated) {
+      replaceTemplate(updated);
+      setAssigning(null);
+    }
+  };
+
+  const handleActivate = async (template, version) => {
+    const updated = await activateTemplateVersion(template._id, version, token);
+    if (updated) {
+      replaceTemplate(updated);
+    }
+  };
+
+  const handleDelete = async (templateId) => {
+    setConfirmationModal(null);
+    if (await deleteCertificateTemplate(templateId, token)) {
+      setTemplates((prev) => prev.filter((template) => template._id !== templateId));
+    }
+  };
+
+  const getAssignmentSummary = (template) => {
+    const parts = [];
+    if (template.isDefault) parts.push('Default');
+    if (template.courseTypes?.length) parts.push(`${template.courseTypes.join(' & ')} courses`);
+    if (template.courses?.length) parts.push(`${template.courses.length} course${template.courses.length > 1 ? 's' : ''}`);
+    return parts.length ? parts.join(' · ') : 'Not assigned';
+  };
+
+  if (designing !== undefined) {
+    return (
+      <TemplateDesigner
+        template={designing}
+        onSaved={handleSaved}
+        onClose={() => setDesigning(undefined)}
+      />
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-semibold text-richblack-5">Certificate Templates</h2>
+          <p className="text-sm text-richblack-300">
+            Issued certificates keep the template version that was active when they were issued.
+          </p>
+        </div>
+        <button
+          onClick={() => setDesigning(null)}
+          className="flex items-center gap-2 px-4 py-2 rounded-md bg-yellow-50 text-richblack-900 font-semibold hover:bg-yellow-25"
+        >
+          <FaPlus />
+          New Template
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="grid h-40 place-items-center">
+          <div className="spinner"></div>
+        </div>
+      ) : templates.length === 0 ? (
+        <div className="rounded-lg border border-richblack-700 bg-richblack-800 p-8 text-center text-richblack-300">
+          No templates yet. Certificates use the built-in design until one is created and assigned.
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {templates.map((template) => (
+            <div key={template._id} className="rounded-lg border border-richblack-700 bg-richblack-800">
+              <div className="flex flex-col md:flex-row md:items-center gap-3 justify-between p-4">
+                <button
+                  onClick={() => setExpandedId(expandedId === template._id ? null : template._id)}
+                  className="text-left"
+                >
+                  <p className="font-semibold text-richblack-5">
+                    {template.name}
+                    {template.isDefault && (
+                      <span className="ml-2 rounded-full bg-yellow-50/20 px-2 py-0.5 text-xs text-yellow-50">Default</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-richblack-300">
+                    Active v{template.activeVersion} of {template.versions?.length || 0} · {getAssignmentSummary(template)}
+                  </p>
+                </button>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setDesigning(template)}
+                    className="flex items-center gap-1 px-3 py-1.5 rounded-md bg-richblack-700 text-sm text-richblack-5 hover:bg-richblack-600"
+                  >
+                    <FaPencilAlt size={12} /> Design
+                  </button>
+                  <button
+                    onClick={() => setAssigning(template)}
+                    className="flex items-center gap-1 px-3 py-1.5 rounded-md bg-richblack-700 text-sm text-richblack-5 hover:bg-richblack-600"
+                  >
+                    <FaLink size={12} /> Assign
+                  </button>
+                  <button
+                    onClick={() =>
+                      setConfirmationModal({
+                        text1: 'Delete this template?',
+                        text2: 'Templates that have already issued certificates cannot be deleted.',
+                        btn1Text: 'Delete',
+                        btn2Text: 'Cancel',
+                        btn1Handler: () => handleDelete(template._id),
+                        btn2Handler: () => setConfirmationModal(null),
+                      })
+                    }
+                    className="px-3 py-1.5 rounded-md bg-red-500/20 text-red-400 hover:bg-red-500/30"
+                    title="Delete template"
+                  >
+                    <FaTrash size={12} />
+                  </button>
+                </div>
+              </div>
+
+              {expandedId === template._id && (
+                <div className="border-t border-richblack-700 divide-y divide-richblack-700">
+                  {[...(template.versions || [])].reverse().map((version) => (
+                    <div key={version.version} className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 px-4 py-3">
+                      <div>
+                        <p className="text-sm text-richblack-5">
+                          Version {version.version}
+                          <span className="ml-2 text-xs text-richblack-400">{formatDate(version.createdAt)}</span>
+                        </p>
+                        {version.note && <p className="text-xs text-richblack-300">{version.note}</p>}
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <button
+                          onClick={() => setPreviewVersion(version)}
+                          className="flex items-center gap-1 px-3 py-1 rounded-md bg-richblack-700 text-xs text-richblack-5 hover:bg-richblack-600"
+                        >
+                          <FaEye size={12} /> Preview
+                        </button>
+                        {version.version === template.activeVersion ? (
+                          <span className="flex items-center gap-1 px-3 py-1 rounded-md bg-caribbeangreen-400/20 text-xs text-caribbeangreen-100">
+                            <FaCheck size={10} /> Active
+                          </span>
+                        ) : (
+                          <button
+                            onClick={() => handleActivate(template, version.version)}
+                            className="px-3 py-1 rounded-md bg-yellow-50 text-xs font-semibold text-richblack-900 hover:bg-yellow-25"
+                          >
+                            Activate
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {previewVersion && (
+        <div
+          onClick={() => setPreviewVersion(null)}
+          className="fixed inset-0 z-[1000] grid place-items-center bg-white/10 backdrop-blur-sm p-4"
+        >
+          <div onClick={(e) => e.stopPropagation()} className="w-full max-w-4xl rounded-lg bg-richblack-800 p-4 space-y-3">
+            <div className="flex items-center justify-between">
+              <p className="font-semibold text-richblack-5">Version {previewVersion.version}</p>
+              <button onClick={() => setPreviewVersion(null)} className="text-richblack-300 hover:text-richblack-5">
+                <FaTimes />
+              </button>
+            </div>
+            <TemplateCertificate layout={previewVersion.layout} certificateData={SAMPLE_CERTIFICATE_DATA} />
+          </div>
+        </div>
+      )}
+
+      {assigning && (
+        <AssignTemplateModal
+          template={assigning}
+          courses={courses}
+          onClose={() => setAssigning(null)}
+          onSave={handleAssign}
+        />
+      )}
+
+      {confirmationModal && <ConfirmationModal modalData={confirmationModal} />}
+    </div>
+  );
+};
+
+export default CertificateTemplates;
@@ -0,0 +1,167 @@
+import { FaBold, FaItalic, FaClone, FaTrash, FaArrowUp, FaArrowDown } from 'react-icons/fa';
+import {
+  CERTIFICATE_ASSETS,
+  CERTIFICATE_PLACEHOLDERS,
+  FONT_FAMILIES,
+  readTemplateImage,
+} from '../../../../utils/certificateTemplates';
+
+const inputClass = 'w-full px-2 py-1.5 bg-richblack-700 border border-richblack-600 rounded-md text-richblack-5 text-sm focus:outline-none focus:ring-1 focus:ring-yellow-50';
+const labelClass = 'block text-xs font-medium text-richblack-300 mb-1';
+
+const NumberField = ({ label, value, onChange }) => (
+  <label>
+    <span className={labelClass}>{label}</span>
+    <input type="number" value={Math.round(value)} onChange={(e) => onChange(Number(e.target.value) || 0)} className={inputClass} />
+  </label>
+);
+
+// Properties panel for the element selected in the designer
+const ElementProperties = ({ element, onChange, onDuplicate, onDelete, onMove }) => {
+  const insertPlaceholder = (key) => onChange({ text: `${element.text}{{${key}}}` });
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-2">
+        <NumberField label="X" value={element.x} onChange={(x) => onChange({ x })} />
+        <NumberField label="Y" value={element.y} onChange={(y) => onChange({ y })} />
+        <NumberField label="Width" value={element.width} onChange={(width) => onChange({ width })} />
+        <NumberField label="Height" value={element.height} onChange={(height) => onChange({ height })} />
+      </div>
+
+      {element.type === 'text' && (
+        <>
+          <div>
+            <span className={labelClass}>Text</span>
+            <textarea
+              value={element.text}
+              onChange={(e) => onChange({ text: e.target.value })}
+              rows={3}
+              className={inputClass}
+            />
+            <div className="flex flex-wrap gap-1 mt-2">
+              {CERTIFICATE_PLACEHOLDERS.map((placeholder) => (
+                <button
+                  key={placeholder.key}
+                  type="button"
+                  onClick={() => insertPlaceholder(placeholder.key)}
+                  className="px-2 py-0.5 rounded bg-richblack-700 text-xs text-yellow-50 hover:bg-richblack-600"
+                  title={`Insert {{${placeholder.key}}}`}
+                >
+                  + {placeholder.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            <NumberField label="Font size" value={element.fontSize} onChange={(fontSize) => onChange({ fontSize: Math.max(fontSize, 4) })} />
+            <label>
+              <span className={labelClass}>Font</span>
+              <select value={element.fontFamily} onChange={(e) => onChange({ fontFamily: e.target.value })} className={inputClass}>
+                {FONT_FAMILIES.map((font) => (
+                  <option key={font.value} value={font.value}>{font.label}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              <span className={labelClass}>Align</span>
+              <select value={element.align} onChange={(e) => onChange({ align: e.target.value })} className={inputClass}>
+                <option value="left">Left</option>
+                <option value="center">Center</option>
+                <option value="right">Right</option>
+              </select>
+            </label>
+            <label>
+              <span className={labelClass}>Color</span>
+              <input type="color" value={element.color} onChange={(e) => onChange({ color: e.target.value })} className="w-full h-8 bg-transparent" />
+            </label>
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => onChange({ fontWeight: element.fontWeight === 'bold' ? 'normal' : 'bold' })}
+              className={`p-2 rounded-md ${element.fontWeight === 'bold' ? 'bg-yellow-50 text-richblack-900' : 'bg-richblack-700 text-richblack-100'}`}
+              title="Bold"
+            >
+              <FaBold />
+            </button>
+            <button
+              type="button"
+              onClick={() => onChange({ fontStyle: element.fontStyle === 'italic' ? 'normal' : 'italic' })}
+              className={`p-2 rounded-md ${element.fontStyle === 'italic' ? 'bg-yellow-50 text-richblack-900' : 'bg-richblack-700 text-richblack-100'}`}
+              title="Italic"
+            >
+              <FaItalic />
+            </button>
+          </div>
+        </>
+      )}
+
+      {element.type === 'image' && (
+        <>
+          <label>
+            <span className={labelClass}>Image</span>
+            <select
+              value={element.asset || ''}
+              onChange={(e) => onChange({ asset: e.target.value || null })}
+              className={inputClass}
+            >
+              <option value="">Uploaded image</option>
+              {Object.entries(CERTIFICATE_ASSETS).map(([key, asset]) => (
+                <option key={key} value={key}>{asset.label}</option>
+              ))}
+            </select>
+          </label>
+          {!element.asset && (
+            <input
+              type="file"
+              accept="image/*"
+              onChange={(e) => readTemplateImage(e.target.files[0], (src) => onChange({ src, asset: null }))}
+              className="w-full text-xs text-richblack-300"
+            />
+          )}
+          <label>
+            <span className={labelClass}>Caption</span>
+            <input
+              type="text"
+              value={element.caption || ''}
+              onChange={(e) => onChange({ caption: e.target.value })}
+              placeholder="e.g. Director"
+              className={inputClass}
+            />
+          </label>
+        </>
+      )}
+
+      {element.type === 'line' && (
+        <label>
+          <span className={labelClass}>Color</span>
+          <input type="color" value={element.color} onChange={(e) => onChange({ color: e.target.value })} className="w-full h-8 bg-transparent" />
+        </label>
+      )}
+
+      {element.type === 'qr' && (
+        <p className="text-xs text-richblack-300">Links to the certificate&apos;s verification page.</p>
+      )}
+
+      <div className="flex flex-wrap gap-2 pt-2 border-t border-richblack-700">
+        <button type="button" onClick={() => onMove(1)} className="p-2 rounded-md bg-richblack-700 text-richblack-100 hover:bg-richblack-600" title="Bring forward">
+          <FaArrowUp />
+        </button>
+        <button type="button" onClick={() => onMove(-1)} className="p-2 rounded-md bg-richblack-700 text-richblack-100 hover:bg-richblack-600" title="Send backward">
+          <FaArrowDown />
+        </button>
+        <button type="button" onClick={onDuplicate} className="p-2 rounded-md bg-richblack-700 text-richblack-100 hover:bg-richblack-600" title="Duplicate">
+          <FaClone />
+        </button>
+        <button type="button" onClick={onDelete} className="p-2 rounded-md bg-red-500/20 text-red-400 hover:bg-red-500/30" title="Delete">
+          <FaTrash />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ElementProperties;
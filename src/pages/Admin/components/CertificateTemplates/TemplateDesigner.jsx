@@ -0,0 +1,352 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { FaArrowLeft, FaSave } from 'react-icons/fa';
+import TemplateCertificate from '../../../../components/core/Certificate/TemplateCertificate';
+import ElementProperties from './ElementProperties';
+import {
+  CERTIFICATE_SIZE,
+  DEFAULT_TEMPLATE_LAYOUT,
+  ELEMENT_PRESETS,
+  SAMPLE_CERTIFICATE_DATA,
+  clampElement,
+  createElementId,
+  createTemplateElement,
+  readTemplateImage,
+} from '../../../../utils/certificateTemplates';
+import { createCertificateTemplate, saveTemplateVersion } from '../../../../services/operations/certificateTemplateAPI';
+
+const inputClass = 'w-full px-2 py-1.5 bg-richblack-700 border border-richblack-600 rounded-md text-richblack-5 text-sm focus:outline-none focus:ring-1 focus:ring-yellow-50';
+const labelClass = 'block text-xs font-medium text-richblack-300 mb-1';
+
+const cloneLayout = (layout) => JSON.parse(JSON.stringify(layout));
+
+const getLatestVersion = (template) =>
+  template?.versions?.reduce((latest, version) => (version.version > latest.version ? version : latest), template.versions[0]);
+
+// Canvas editor for certificate templates. Saving never edits an existing version:
+// it creates a new one that can be activated from the template list.
+const TemplateDesigner = ({ template, onSaved, onClose }) => {
+  const { token } = useSelector((state) => state.auth);
+  const [name, setName] = useState(template?.name || '');
+  const [baseVersion, setBaseVersion] = useState(getLatestVersion(template)?.version || null);
+  const [layout, setLayout] = useState(() => cloneLayout(getLatestVersion(template)?.layout || DEFAULT_TEMPLATE_LAYOUT));
+  const [selectedId, setSelectedId] = useState(null);
+  const [note, setNote] = useState('');
+  const [showSample, setShowSample] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const selectedElement = layout.elements.find((element) => element.id === selectedId);
+
+  const updateElement = useCallback((id, changes) => {
+    setLayout((prev) => ({
+      ...prev,
+      elements: prev.elements.map((element) => (element.id === id ? clampElement({ ...element, ...changes }) : element)),
+    }));
+  }, []);
+
+  const updateLayout = (field, changes) => {
+    setLayout((prev) => ({ ...prev, [field]: { ...prev[field], ...changes } }));
+  };
+
+  // ---- Dragging and resizing ----
+  const handlePointerMove = useCallback((event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const dx = (event.clientX - drag.startX) / drag.scale;
+    const dy = (event.clientY - drag.startY) / drag.scale;
+    if (drag.mode === 'move') {
+      updateElement(drag.id, { x: drag.origin.x + dx, y: drag.origin.y + dy });
+    } else {
+      updateElement(drag.id, {
+        width: Math.min(drag.origin.width + dx, CERTIFICATE_SIZE.width - drag.origin.x),
+        height: Math.min(drag.origin.height + dy, CERTIFICATE_SIZE.height - drag.origin.y),
+      });
+    }
+  }, [updateElement]);
+
+  const handlePointerUp = useCallback(() => {
+    dragRef.current = null;
+    window.removeEventListener('pointermove', handlePointerMove);
+  }, [handlePointerMove]);
+
+  useEffect(() => () => window.removeEventListener('pointermove', handlePointerMove), [handlePointerMove]);
+
+  const startDrag = (mode) => (event, element) => {
+    event.preventDefault();
+    event.stopPropagation();
+    setSelectedId(element.id);
+    canvasRef.current.focus();
+
+    dragRef.current = {
+      id: element.id,
+      mode,
+      origin: element,
+      startX: event.clientX,
+      startY: event.clientY,
+      // The canvas is scaled to fit; convert screen pixels to canvas units
+      scale: canvasRef.current.getBoundingClientRect().width / CERTIFICATE_SIZE.width,
+    };
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp, { once: true });
+  };
+
+  const handleKeyDown = (event) => {
+    if (!selectedElement || ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+
+    const step = event.shiftKey ? 10 : 1;
+    const moves = {
+      ArrowLeft: { x: selectedElement.x - step },
+      ArrowRight: { x: selectedElement.x + step },
+      ArrowUp: { y: selectedElement.y - step },
+      ArrowDown: { y: selectedElement.y + step },
+    };
+    if (moves[event.key]) {
+      event.preventDefault();
+      updateElement(selectedElement.id, moves[event.key]);
+    } else if (event.key === 'Delete' || event.key === 'Backspace') {
+      event.preventDefault();
+      deleteElement();
+    }
+  };
+
+  // ---- Element actions ----
+  const addElement = (presetKey) => {
+    const element = createTemplateElement(presetKey);
+    setLayout((prev) => ({ ...prev, elements: [...prev.elements, element] }));
+    setSelectedId(element.id);
+  };
+
+  const deleteElement = () => {
+    setLayout((prev) => ({ ...prev, elements: prev.elements.filter((element) => element.id !== selectedId) }));
+    setSelectedId(null);
+  };
+
+  const duplicateElement = () => {
+    const copy = clampElement({
+      ...selectedElement,
+      id: createElementId(),
+      x: selectedElement.x + 12,
+      y: selectedElement.y + 12,
+    });
+    setLayout((prev) => ({ ...prev, elements: [...prev.elements, copy] }));
+    setSelectedId(copy.id);
+  };
+
+  // Later elements are drawn on top
+  const moveElement = (direction) => {
+    setLayout((prev) => {
+      const elements = [...prev.elements];
+      const index = elements.findIndex((element) => element.id === selectedId);
+      const target = index + direction;
+      if (target < 0 || target >= elements.length) return prev;
+      [elements[index], elements[target]] = [elements[target], elements[index]];
+      return { ...prev, elements };
+    });
+  };
+
+  const loadVersion = (versionNumber) => {
+    const version = template.versions.find((item) => item.version === Number(versionNumber));
+    setBaseVersion(version.version);
+    setLayout(cloneLayout(version.layout));
+    setSelectedId(null);
+  };
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      toast.error('Template name is required');
+      return;
+    }
+    if (!layout.elements.length) {
+      toast.error('Add at least one element');
+      return;
+    }
+
+    setSaving(true);
+    const saved = template
+      ? await saveTemplateVersion(template._id, { layout, note: note.trim(), baseVersion }, token)
+      : await createCertificateTemplate({ name: name.trim(), layout, note: note.trim() }, token);
+    setSaving(false);
+
+    if (saved) {
+      onSaved(saved);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Toolbar */}
+      <div className="flex flex-col lg:flex-row lg:items-end gap-3 justify-between">
+        <div className="flex items-end gap-3 flex-wrap">
+          <button onClick={onClose} className="p-2 rounded-md bg-richblack-700 text-richblack-100 hover:bg-richblack-600" title="Back to templates">
+            <FaArrowLeft />
+          </button>
+          <label className="min-w-[220px]">
+            <span className={labelClass}>Template name</span>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              disabled={Boolean(template)}
+              placeholder="e.g. Internship 2025"
+              className={`${inputClass} disabled:opacity-60`}
+            />
+          </label>
+          {template?.versions?.length > 0 && (
+            <label>
+              <span className={labelClass}>Start from version</span>
+              <select value={baseVersion || ''} onChange={(e) => loadVersion(e.target.value)} className={inputClass}>
+                {[...template.versions].reverse().map((version) => (
+                  <option key={version.version} value={version.version}>
+                    v{version.version}{version.version === template.activeVersion ? ' (active)' : ''}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+        </div>
+
+        <div className="flex items-end gap-3 flex-wrap">
+          <label className="min-w-[220px]">
+            <span className={labelClass}>Version note</span>
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="What changed?"
+              className={inputClass}
+            />
+          </label>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="flex items-center gap-2 px-4 py-2 rounded-md bg-yellow-50 text-richblack-900 font-semibold hover:bg-yellow-25 disabled:opacity-50"
+          >
+            <FaSave />
+            {template ? 'Save as new version' : 'Create template'}
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 xl:grid-cols-[160px_1fr_260px] gap-4">
+        {/* Palette */}
+        <div className="space-y-2">
+          <p className="text-xs font-semibold uppercase tracking-wide text-richblack-400">Add element</p>
+          <div className="grid grid-cols-2 xl:grid-cols-1 gap-2">
+            {Object.entries(ELEMENT_PRESETS).map(([key, preset]) => (
+              <button
+                key={key}
+                onClick={() => addElement(key)}
+                className="px-3 py-2 rounded-md bg-richblack-700 text-left text-sm text-richblack-5 hover:bg-richblack-600"
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+          <label className="flex items-center gap-2 pt-2 text-sm text-richblack-200">
+            <input type="checkbox" checked={showSample} onChange={(e) => setShowSample(e.target.checked)} />
+            Preview with sample data
+          </label>
+        </div>
+
+        {/* Canvas */}
+        <div
+          ref={canvasRef}
+          tabIndex={0}
+          onKeyDown={handleKeyDown}
+          onPointerDown={() => setSelectedId(null)}
+          className="rounded-lg border border-richblack-600 bg-richblack-900 p-3 focus:outline-none"
+        >
+          <TemplateCertificate
+            layout={layout}
+            certificateData={showSample ? SAMPLE_CERTIFICATE_DATA : {}}
+            selectedId={selectedId}
+            onElementPointerDown={startDrag('move')}
+            onResizePointerDown={startDrag('resize')}
+          />
+          <p className="mt-2 text-xs text-richblack-400">
+            Drag to move, use the corner handle to resize. Arrow keys nudge (Shift for 10), Delete removes.
+          </p>
+        </div>
+
+        {/* Properties */}
+        <div className="rounded-lg border border-richblack-700 bg-richblack-800 p-3">
+          {selectedElement ? (
+            <ElementProperties
+              element={selectedElement}
+              onChange={(changes) => updateElement(selectedElement.id, changes)}
+              onDuplicate={duplicateElement}
+              onDelete={deleteElement}
+              onMove={moveElement}
+            />
+          ) : (
+            <div className="space-y-4">
+              <p className="text-sm font-semibold text-richblack-5">Certificate</p>
+              <label className="block">
+                <span className={labelClass}>Background color</span>
+                <input
+                  type="color"
+                  value={layout.background?.color || '#ffffff'}
+                  onChange={(e) => updateLayout('background', { color: e.target.value })}
+                  className="w-full h-8 bg-transparent"
+                />
+              </label>
+              <div>
+                <span className={labelClass}>Background image</span>
+                <input
+                  type="file"
+                  accept="image/*"
+                  onChange={(e) => readTemplateImage(e.target.files[0], (image) => updateLayout('background', { image }))}
+                  className="w-full text-xs text-richblack-300"
+                />
+                {layout.background?.image && (
+                  <button onClick={() => updateLayout('background', { image: null })} className="mt-1 text-xs text-red-400 hover:text-red-300">
+                    Remove background image
+                  </button>
+                )}
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <label>
+                  <span className={labelClass}>Border width</span>
+                  <input
+                    type="number"
+                    min={0}
+                    value={layout.border?.width || 0}
+                    onChange={(e) => updateLayout('border', { width: Math.max(Number(e.target.value) || 0, 0) })}
+                    className={inputClass}
+                  />
+                </label>
+                <label>
+                  <span className={labelClass}>Border inset</span>
+                  <input
+                    type="number"
+                    min={0}
+                    value={layout.border?.inset || 0}
+                    onChange={(e) => updateLayout('border', { inset: Math.max(Number(e.target.value) || 0, 0) })}
+                    className={inputClass}
+                  />
+                </label>
+              </div>
+              <label className="block">
+                <span className={labelClass}>Border color</span>
+                <input
+                  type="color"
+                  value={layout.border?.color || '#000000'}
+                  onChange={(e) => updateLayout('border', { color: e.target.value })}
+                  className="w-full h-8 bg-transparent"
+                />
+              </label>
+              <p className="text-xs text-richblack-400">Select an element on the canvas to edit it.</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateDesigner;
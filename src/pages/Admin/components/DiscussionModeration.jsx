@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react';
+import { useSelector } from 'react-redux';
+import { FaCheck, FaEye, FaEyeSlash, FaFlag, FaSpinner } from 'react-icons/fa';
+
+import { getFlaggedPosts, hidePost, unflagPost, unhidePost } from '../../../services/operations/discussionAPI';
+import { formatDate } from '../../../utils/dateFormatter';
+import { getFullName } from '../../../utils/discussions';
+
+// Reported lecture discussion posts: hide them, or dismiss the report
+const DiscussionModeration = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [posts, setPosts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [processingId, setProcessingId] = useState(null);
+
+  useEffect(() => {
+    const fetchPosts = async () => {
+      setLoading(true);
+      setPosts(await getFlaggedPosts(token));
+      setLoading(false);
+    };
+    fetchPosts();
+  }, [token]);
+
+  const runAction = async (post, action, changes) => {
+    setProcessingId(post._id);
+    const target = { postId: post._id, postType: post.postType };
+    if (await action(target)) {
+      setPosts((prev) =>
+        changes ? prev.map((item) => (item._id === post._id ? { ...item, ...changes } : item)) : prev.filter((item) => item._id !== post._id)
+      );
+    }
+    setProcessingId(null);
+  };
+
+  const handleHide = (post) => {
+    const reason = prompt('Reason for hiding this post (optional):');
+    if (reason === null) return;
+    runAction(post, (target) => hidePost({ ...target, reason }, token), { isHidden: true, hiddenReason: reason });
+  };
+
+  const handleUnhide = (post) => {
+    runAction(post, (target) => unhidePost(target, token), { isHidden: false, hiddenReason: null });
+  };
+
+  // dismissing clears the report, so the post drops out of this list
+  const handleDismiss = (post) => {
+    runAction(post, (target) => unflagPost(target, token));
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <FaSpinner className="animate-spin text-2xl text-yellow-50" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-richblack-300">
+        Questions and replies from lecture discussions that students have reported. Course instructors can also moderate
+        the discussions of their own courses from the lecture page.
+      </p>
+
+      {posts.length === 0 ? (
+        <div className="py-12 text-center text-richblack-300">No reported posts</div>
+      ) : (
+        posts.map((post) => (
+          <div key={post._id} className="rounded-lg border border-richblack-700 bg-richblack-900 p-4">
+            <div className="mb-2 flex flex-wrap items-center justify-between gap-2 text-xs text-richblack-300">
+              <span>
+                {post.course?.courseName}
+                {post.subSection?.title && ` · ${post.subSection.title}`}
+                {' · '}
+                {post.postType === 'thread' ? 'Question' : 'Reply'} by {getFullName(post.author)} on {formatDate(post.createdAt)}
+              </span>
+              {post.isHidden && <span className="rounded-full bg-richblack-700 px-2 py-0.5 text-richblack-100">Hidden</span>}
+            </div>
+
+            <div className={post.isHidden ? 'opacity-50' : ''}>
+              {post.title && <p className="font-semibold text-richblack-5">{post.title}</p>}
+              <p className="whitespace-pre-wrap break-words text-sm text-richblack-50">{post.body}</p>
+            </div>
+
+            <p className="mt-2 flex items-center gap-2 text-xs text-pink-200">
+              <FaFlag /> {post.flagReason || 'No reason given'}
+              {post.flaggedBy && <span className="text-richblack-400">— reported by {getFullName(post.flaggedBy)}</span>}
+            </p>
+            {post.isHidden && post.hiddenReason && (
+              <p className="mt-1 text-xs text-richblack-400">Hidden: {post.hiddenReason}</p>
+            )}
+
+            <div className="mt-3 flex gap-2">
+              {post.isHidden ? (
+                <button
+                  disabled={processingId === post._id}
+                  onClick={() => handleUnhide(post)}
+                  className="flex items-center gap-1 rounded-md bg-richblack-700 px-3 py-1.5 text-sm text-richblack-5 hover:bg-richblack-600 disabled:opacity-50"
+                >
+                  <FaEye /> Restore
+                </button>
+              ) : (
+                <button
+                  disabled={processingId === post._id}
+                  onClick={() => handleHide(post)}
+                  className="flex items-center gap-1 rounded-md bg-pink-700 px-3 py-1.5 text-sm text-white hover:bg-pink-600 disabled:opacity-50"
+                >
+                  <FaEyeSlash /> Hide
+                </button>
+              )}
+              <button
+                disabled={processingId === post._id}
+                onClick={() => handleDismiss(post)}
+                className="flex items-center gap-1 rounded-md bg-richblack-700 px-3 py-1.5 text-sm text-richblack-5 hover:bg-richblack-600 disabled:opacity-50"
+              >
+                <FaCheck /> Dismiss report
+              </button>
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default DiscussionModeration;
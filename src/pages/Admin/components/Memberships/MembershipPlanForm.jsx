@@ -0,0 +1,213 @@
+import { useState } from 'react';
+import { useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { FaPlus, FaTrash } from 'react-icons/fa';
+
+import { createPlan, updatePlan } from '../../../../services/operations/membershipAPI';
+import { PLAN_INTERVALS, validatePlan } from '../../../../utils/membership';
+
+const getId = (value) => value?._id || value;
+
+const toFormState = (plan) => ({
+  name: plan?.name || '',
+  description: plan?.description || '',
+  interval: plan?.interval || 'month',
+  price: plan?.price ?? '',
+  trialDays: plan?.trialDays ?? 0,
+  categories: (plan?.categories || []).map(getId),
+  features: plan?.features?.length ? plan.features : [''],
+  isActive: plan?.isActive ?? true,
+});
+
+const inputClasses =
+  'w-full px-3 py-2 bg-richblack-700 border border-richblack-600 rounded-md text-sm text-richblack-5 focus:outline-none focus:ring-1 focus:ring-yellow-50';
+const labelClasses = 'mb-1 block text-sm font-medium text-richblack-100';
+
+// Create or edit a membership plan
+const MembershipPlanForm = ({ plan, categories, onSaved, onCancel }) => {
+  const { token } = useSelector((state) => state.auth);
+  const [form, setForm] = useState(() => toFormState(plan));
+  const [saving, setSaving] = useState(false);
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const toggleCategory = (categoryId) =>
+    setField(
+      'categories',
+      form.categories.includes(categoryId)
+        ? form.categories.filter((id) => id !== categoryId)
+        : [...form.categories, categoryId]
+    );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const error = validatePlan(form);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    const data = {
+      name: form.name.trim(),
+      description: form.description.trim(),
+      interval: form.interval,
+      price: Number(form.price),
+      trialDays: Number(form.trialDays),
+      categories: form.categories,
+      features: form.features.map((feature) => feature.trim()).filter(Boolean),
+      isActive: form.isActive,
+    };
+
+    setSaving(true);
+    const saved = plan ? await updatePlan(plan._id, data, token) : await createPlan(data, token);
+    setSaving(false);
+    if (saved) onSaved(saved);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold text-richblack-5">{plan ? 'Edit Plan' : 'New Plan'}</h2>
+        <button type="button" onClick={onCancel} className="text-sm text-richblack-300 hover:text-richblack-100">
+          ← Back to Memberships
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+        <div>
+          <label className={labelClasses}>Name</label>
+          <input
+            value={form.name}
+            onChange={(e) => setField('name', e.target.value)}
+            placeholder="e.g. All Access"
+            className={inputClasses}
+          />
+        </div>
+        <label className="flex items-center gap-2 self-end pb-2 text-sm text-richblack-100">
+          <input type="checkbox" checked={form.isActive} onChange={(e) => setField('isActive', e.target.checked)} />
+          Open for new subscribers
+        </label>
+        <div className="md:col-span-2">
+          <label className={labelClasses}>Description</label>
+          <textarea
+            value={form.description}
+            onChange={(e) => setField('description', e.target.value)}
+            rows={2}
+            className={inputClasses}
+          />
+        </div>
+        <div>
+          <label className={labelClasses}>Billing</label>
+          <select value={form.interval} onChange={(e) => setField('interval', e.target.value)} className={inputClasses}>
+            {PLAN_INTERVALS.map((interval) => (
+              <option key={interval.value} value={interval.value}>
+                {interval.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className={labelClasses}>Price per period (₹)</label>
+          <input
+            type="number"
+            min="1"
+            value={form.price}
+            onChange={(e) => setField('price', e.target.value)}
+            className={inputClasses}
+          />
+          {plan && (
+            <p className="mt-1 text-xs text-richblack-400">Existing subscribers move to the new price at their next renewal.</p>
+          )}
+        </div>
+        <div>
+          <label className={labelClasses}>Free trial (days)</label>
+          <input
+            type="number"
+            min="0"
+            value={form.trialDays}
+            onChange={(e) => setField('trialDays', e.target.value)}
+            className={inputClasses}
+          />
+          <p className="mt-1 text-xs text-richblack-400">0 for no trial. Trials are only offered to first-time members.</p>
+        </div>
+      </div>
+
+      <div>
+        <p className={labelClasses}>
+          Categories covered{' '}
+          <span className="text-richblack-400">
+            ({form.categories.length ? `${form.categories.length} selected` : 'every category'})
+          </span>
+        </p>
+        <p className="mb-2 text-xs text-richblack-400">Leave all unchecked to include the whole catalog, including new categories.</p>
+        <div className="flex flex-wrap gap-2">
+          {categories.map((category) => (
+            <label
+              key={category._id}
+              className={`flex cursor-pointer items-center gap-2 rounded-full border px-3 py-1 text-sm ${
+                form.categories.includes(category._id)
+                  ? 'border-yellow-50 text-yellow-50'
+                  : 'border-richblack-600 text-richblack-200'
+              }`}
+            >
+              <input
+                type="checkbox"
+                className="hidden"
+                checked={form.categories.includes(category._id)}
+                onChange={() => toggleCategory(category._id)}
+              />
+              {category.name}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <p className={labelClasses}>Features shown on the plan card</p>
+        <div className="space-y-2">
+          {form.features.map((feature, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <input
+                value={feature}
+                onChange={(e) => setField('features', form.features.map((item, i) => (i === index ? e.target.value : item)))}
+                placeholder="e.g. Certificates for every course"
+                className={inputClasses}
+              />
+              {form.features.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => setField('features', form.features.filter((_, i) => i !== index))}
+                  className="text-richblack-400 hover:text-pink-200"
+                >
+                  <FaTrash size={12} />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={() => setField('features', [...form.features, ''])}
+          className="mt-2 flex items-center gap-1 text-sm text-yellow-50 hover:underline"
+        >
+          <FaPlus size={10} /> Add feature
+        </button>
+      </div>
+
+      <div className="flex justify-end gap-3">
+        <button type="button" onClick={onCancel} className="px-4 py-2 rounded-md bg-richblack-700 text-richblack-5 hover:bg-richblack-600">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 rounded-md bg-yellow-50 text-richblack-900 font-semibold hover:bg-yellow-25 disabled:opacity-50"
+        >
+          {plan ? 'Save Changes' : 'Create'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default MembershipPlanForm;
@@ -0,0 +1,241 @@
+import { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { FaCrown, FaPencilAlt } from 'react-icons/fa';
+
+import MembershipPlanForm from './MembershipPlanForm';
+import { fetchCourseCategories } from '../../../../services/operations/courseDetailsAPI';
+import { getAllPlans, getMembershipStats } from '../../../../services/operations/membershipAPI';
+import { formatCurrency } from '../../../../utils/cartPricing';
+import { formatPlanPrice, getPlanCoverage } from '../../../../utils/membership';
+
+const PERIODS = [
+  { days: 30, label: 'Last 30 days' },
+  { days: 90, label: 'Last 90 days' },
+  { days: 365, label: 'Last 12 months' },
+];
+
+const formatPercent = (value) => `${Math.round((value || 0) * 1000) / 10}%`;
+
+// Membership plans with subscriber, churn and renewal figures; sits next to Orders
+const Memberships = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [plans, setPlans] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [days, setDays] = useState(30);
+  const [loading, setLoading] = useState(false);
+  // null: overview, otherwise { plan } being edited or created
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    getAllPlans(token).then(setPlans);
+    fetchCourseCategories().then(setCategories);
+  }, [token]);
+
+  useEffect(() => {
+    const fetchStats = async () => {
+      setLoading(true);
+      setStats(await getMembershipStats(token, days));
+      setLoading(false);
+    };
+    fetchStats();
+  }, [token, days]);
+
+  const handleSaved = (saved) => {
+    setPlans((prev) =>
+      prev.some((plan) => plan._id === saved._id)
+        ? prev.map((plan) => (plan._id === saved._id ? { ...plan, ...saved } : plan))
+        : [saved, ...prev]
+    );
+    setEditing(null);
+  };
+
+  // saved plans may only carry category ids
+  const describeCoverage = (plan) =>
+    getPlanCoverage({
+      ...plan,
+      categories: (plan.categories || []).map(
+        (category) => categories.find((item) => item._id === (category?._id || category)) || category
+      ),
+    });
+
+  if (editing) {
+    return (
+      <MembershipPlanForm
+        plan={editing.plan}
+        categories={categories}
+        onSaved={handleSaved}
+        onCancel={() => setEditing(null)}
+      />
+    );
+  }
+
+  const statCards = stats
+    ? [
+        { label: 'Active members', value: stats.activeSubscribers },
+        { label: 'On free trial', value: stats.trialing },
+        { label: 'Payment overdue', value: stats.pastDue },
+        { label: 'Monthly recurring revenue', value: formatCurrency(stats.mrr) },
+        { label: 'Renewals', value: stats.renewals },
+        { label: 'Churned', value: stats.churned },
+        { label: 'Churn rate', value: formatPercent(stats.churnRate) },
+        { label: 'Trial conversion', value: formatPercent(stats.trialConversionRate) },
+      ]
+    : [];
+
+  return (
+    <div className="space-y-8">
+      <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+        <div>
+          <h2 className="text-2xl font-semibold text-richblack-5">Memberships</h2>
+          <p className="text-sm text-richblack-300">
+            Subscriptions that give access to every course a plan covers. Monthly figures for annual plans are prorated.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <select
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            className="px-3 py-2 rounded-md bg-richblack-700 border border-richblack-600 text-sm text-richblack-5"
+          >
+            {PERIODS.map((period) => (
+              <option key={period.days} value={period.days}>
+                {period.label}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => setEditing({ plan: null })}
+            className="flex items-center gap-2 px-4 py-2 rounded-md bg-yellow-50 text-richblack-900 font-semibold hover:bg-yellow-25"
+          >
+            <FaCrown /> New Plan
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="grid h-40 place-items-center">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        stats && (
+          <>
+            <div className="grid grid-cols-2 gap-4 lg:grid-cols-4">
+              {statCards.map((card) => (
+                <div key={card.label} className="rounded-lg border border-richblack-700 bg-richblack-800 p-4">
+                  <p className="text-xs text-richblack-300">{card.label}</p>
+                  <p className="mt-1 text-2xl font-semibold text-richblack-5">{card.value}</p>
+                </div>
+              ))}
+            </div>
+
+            <section className="space-y-3">
+              <h3 className="text-lg font-semibold text-richblack-5">By plan</h3>
+              <div className="overflow-x-auto rounded-lg border border-richblack-700">
+                <table className="w-full text-left text-sm text-richblack-100">
+                  <thead className="bg-richblack-700 text-richblack-5">
+                    <tr>
+                      <th className="px-4 py-3">Plan</th>
+                      <th className="px-4 py-3">Active</th>
+                      <th className="px-4 py-3">Trialing</th>
+                      <th className="px-4 py-3">Renewals</th>
+                      <th className="px-4 py-3">Churned</th>
+                      <th className="px-4 py-3">Revenue</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stats.plans.map((row) => (
+                      <tr key={row.planId} className="border-t border-richblack-700">
+                        <td className="px-4 py-3 font-medium text-richblack-5">{row.name}</td>
+                        <td className="px-4 py-3">{row.active}</td>
+                        <td className="px-4 py-3">{row.trialing}</td>
+                        <td className="px-4 py-3">{row.renewals}</td>
+                        <td className="px-4 py-3">{row.churned}</td>
+                        <td className="px-4 py-3">{formatCurrency(row.revenue)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </section>
+
+            {stats.monthly?.length > 0 && (
+              <section className="space-y-3">
+                <h3 className="text-lg font-semibold text-richblack-5">Month by month</h3>
+                <div className="overflow-x-auto rounded-lg border border-richblack-700">
+                  <table className="w-full text-left text-sm text-richblack-100">
+                    <thead className="bg-richblack-700 text-richblack-5">
+                      <tr>
+                        <th className="px-4 py-3">Month</th>
+                        <th className="px-4 py-3">New members</th>
+                        <th className="px-4 py-3">Renewals</th>
+                        <th className="px-4 py-3">Churned</th>
+                        <th className="px-4 py-3">Net change</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {stats.monthly.map((row) => (
+                        <tr key={row.month} className="border-t border-richblack-700">
+                          <td className="px-4 py-3 font-medium text-richblack-5">{row.month}</td>
+                          <td className="px-4 py-3">{row.newSubscribers}</td>
+                          <td className="px-4 py-3">{row.renewals}</td>
+                          <td className="px-4 py-3">{row.churned}</td>
+                          <td
+                            className={`px-4 py-3 ${
+                              row.newSubscribers - row.churned < 0 ? 'text-pink-200' : 'text-caribbeangreen-100'
+                            }`}
+                          >
+                            {row.newSubscribers - row.churned > 0 && '+'}
+                            {row.newSubscribers - row.churned}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </section>
+            )}
+          </>
+        )
+      )}
+
+      <section className="space-y-3">
+        <h3 className="text-lg font-semibold text-richblack-5">Plans</h3>
+        {plans.length === 0 ? (
+          <p className="rounded-lg border border-richblack-700 bg-richblack-800 p-6 text-center text-sm text-richblack-300">
+            No membership plans yet.
+          </p>
+        ) : (
+          plans.map((plan) => (
+            <div key={plan._id} className="flex flex-col gap-3 rounded-lg border border-richblack-700 bg-richblack-800 p-4 md:flex-row md:items-center">
+              <div className="flex-1 space-y-1">
+                <p className="flex items-center gap-2 font-semibold text-richblack-5">
+                  {plan.name}
+                  <span
+                    className={`rounded-full px-2 py-0.5 text-xs ${
+                      plan.isActive ? 'bg-caribbeangreen-700 text-caribbeangreen-25' : 'bg-richblack-700 text-richblack-300'
+                    }`}
+                  >
+                    {plan.isActive ? 'Open' : 'Closed'}
+                  </span>
+                </p>
+                <p className="text-xs text-richblack-300">
+                  {formatPlanPrice(plan)} · {describeCoverage(plan)}
+                  {plan.trialDays > 0 && ` · ${plan.trialDays}-day trial`} · {plan.subscriberCount || 0} subscribers
+                </p>
+              </div>
+              <button
+                onClick={() => setEditing({ plan })}
+                className="flex items-center gap-1 self-start px-3 py-1.5 rounded-md bg-richblack-700 text-sm text-richblack-5 hover:bg-richblack-600 md:self-auto"
+              >
+                <FaPencilAlt size={12} /> Edit
+              </button>
+            </div>
+          ))
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default Memberships;
@@ -0,0 +1,181 @@
+import { useState } from 'react'
+import { useSelector } from 'react-redux'
+import { toast } from 'react-hot-toast'
+import { FiDownload } from 'react-icons/fi'
+
+import ConfirmationModal from '../../../components/common/ConfirmationModal'
+import usePermissions from '../../../hooks/usePermissions'
+import { issueRefund, rejectRefund } from '../../../services/operations/refundAPI'
+import { formatCurrency } from '../../../utils/cartPricing'
+import { formatDate } from '../../../utils/dateFormatter'
+import { downloadCreditNotePdf } from '../../../utils/invoicePdf'
+import { REFUND_STATUS, getRefundableAmount, validateRefund } from '../../../utils/refunds'
+
+// Full or partial refunds for one order, answering the student's request if there is one.
+// Admins without the orders.refund permission only see the refund history.
+export default function OrderRefundPanel({ order, onOrderUpdated }) {
+  const { token } = useSelector((state) => state.auth)
+  const can = usePermissions()
+  const canRefund = can('orders.refund')
+  const refundable = getRefundableAmount(order.amount, order)
+  const pendingRequest = order.refund?.status === REFUND_STATUS.REQUESTED ? order.refund : null
+
+  const [partial, setPartial] = useState(false)
+  const [amount, setAmount] = useState(refundable)
+  const [reason, setReason] = useState('')
+  // a full refund normally ends the enrollment, a goodwill partial refund keeps it
+  const [revokeAccess, setRevokeAccess] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [confirmationModal, setConfirmationModal] = useState(null)
+
+  const handleModeChange = (isPartial) => {
+    setPartial(isPartial)
+    setAmount(refundable)
+    setRevokeAccess(!isPartial)
+  }
+
+  const handleRefund = () => {
+    const refundAmount = partial ? Number(amount) : refundable
+    const error = validateRefund({ amount: refundAmount, reason }, refundable)
+    if (error) {
+      toast.error(error)
+      return
+    }
+    setConfirmationModal({
+      text1: `Refund ${formatCurrency(refundAmount)}?`,
+      text2: revokeAccess
+        ? 'The student loses access to the course. This cannot be undone.'
+        : 'The student keeps access to the course. This cannot be undone.',
+      btn1Text: 'Issue refund',
+      btn2Text: 'Cancel',
+      btn1Handler: async () => {
+        setConfirmationModal(null)
+        setSaving(true)
+        const updated = await issueRefund(token, order._id, {
+          amount: refundAmount,
+          reason: reason.trim(),
+          revokeAccess,
+          refundId: pendingRequest?._id,
+        })
+        setSaving(false)
+        if (updated) {
+          setReason('')
+          onOrderUpdated(updated)
+        }
+      },
+      btn2Handler: () => setConfirmationModal(null),
+    })
+  }
+
+  const handleReject = async () => {
+    if (!reason.trim()) {
+      toast.error('Tell the student why the request was declined')
+      return
+    }
+    setSaving(true)
+    const updated = await rejectRefund(token, pendingRequest._id, reason.trim())
+    setSaving(false)
+    if (updated) {
+      setReason('')
+      onOrderUpdated(updated)
+    }
+  }
+
+  return (
+    <div className="space-y-4 rounded-lg border border-richblack-700 p-6">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-xl font-bold text-yellow-50">Refunds</h3>
+        <p className="text-sm text-richblack-300">
+          Paid {formatCurrency(order.amount)} · Refunded {formatCurrency(order.refundedAmount || 0)}
+        </p>
+      </div>
+
+      {pendingRequest && (
+        <div className="rounded-lg border border-yellow-100 bg-richblack-700 p-4 text-sm">
+          <p className="font-semibold text-yellow-50">Refund requested on {formatDate(pendingRequest.requestedAt)}</p>
+          <p className="mt-1 text-richblack-100">{pendingRequest.reason}</p>
+        </div>
+      )}
+
+      {order.creditNotes?.length > 0 && (
+        <div className="space-y-2">
+          {order.creditNotes.map((creditNote) => (
+            <div key={creditNote.creditNoteNumber} className="flex items-center justify-between text-sm text-richblack-100">
+              <span>
+                {creditNote.creditNoteNumber} · {formatCurrency(creditNote.total)} · {formatDate(creditNote.issuedAt)}
+              </span>
+              <button
+                onClick={() => downloadCreditNotePdf(creditNote, order.user)}
+                className="flex items-center gap-1 text-yellow-50 hover:text-yellow-100"
+              >
+                <FiDownload /> Credit note
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!canRefund ? (
+        <p className="text-sm text-richblack-300">Your role can&apos;t issue refunds or answer refund requests.</p>
+      ) : refundable > 0 ? (
+        <div className="space-y-3">
+          <div className="flex gap-4 text-sm text-richblack-100">
+            <label className="flex items-center gap-2">
+              <input type="radio" checked={!partial} onChange={() => handleModeChange(false)} />
+              Full refund ({formatCurrency(refundable)})
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="radio" checked={partial} onChange={() => handleModeChange(true)} />
+              Partial refund
+            </label>
+          </div>
+          {partial && (
+            <input
+              type="number"
+              min="1"
+              max={refundable}
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              className="w-40 rounded-md border border-richblack-600 bg-richblack-700 px-3 py-2 text-sm text-richblack-5"
+            />
+          )}
+          <textarea
+            rows={2}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason (shown to the student and on the credit note)"
+            className="w-full rounded-md border border-richblack-600 bg-richblack-700 px-3 py-2 text-sm text-richblack-5"
+          />
+          <label className="flex items-center gap-2 text-sm text-richblack-100">
+            <input type="checkbox" checked={revokeAccess} onChange={(e) => setRevokeAccess(e.target.checked)} />
+            Revoke enrollment
+          </label>
+          <div className="flex justify-end gap-3">
+            {pendingRequest && (
+              <button
+                disabled={saving}
+                onClick={handleReject}
+                className="rounded-md bg-richblack-700 px-4 py-2 text-richblack-5 hover:bg-richblack-600"
+              >
+                Decline request
+              </button>
+            )}
+            <button
+              disabled={saving}
+              onClick={handleRefund}
+              className="rounded-md bg-yellow-50 px-4 py-2 font-semibold text-richblack-900 hover:bg-yellow-25 disabled:opacity-50"
+            >
+              Issue refund
+            </button>
+          </div>
+        </div>
+      ) : (
+        <p className="text-sm text-richblack-300">
+          {order.amount > 0 ? 'This order has been fully refunded.' : 'Free enrollments have nothing to refund.'}
+        </p>
+      )}
+
+      {confirmationModal && <ConfirmationModal modalData={confirmationModal} />}
+    </div>
+  )
+}
@@ -0,0 +1,60 @@
+import { useEffect, useState } from 'react'
+import { useSelector } from 'react-redux'
+
+import { getOrderTimeline } from '../../../services/operations/refundAPI'
+import { formatCurrency } from '../../../utils/cartPricing'
+import { ORDER_EVENT_LABELS } from '../../../utils/refunds'
+
+// Everything that happened to an order, oldest first. Events are written by the server
+// and can't be edited, so the financial history survives refunds and revoked access.
+export default function OrderTimeline({ order }) {
+  const { token } = useSelector((state) => state.auth)
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(false)
+
+  // refetch after each refund or decision on a request
+  useEffect(() => {
+    const fetchTimeline = async () => {
+      setLoading(true)
+      setEvents(await getOrderTimeline(token, order._id))
+      setLoading(false)
+    }
+    fetchTimeline()
+  }, [token, order._id, order.refundedAmount, order.refund?.status])
+
+  return (
+    <div className="space-y-4 rounded-lg border border-richblack-700 p-6">
+      <h3 className="text-xl font-bold text-yellow-50">Timeline</h3>
+      {loading ? (
+        <div className="grid h-20 place-items-center">
+          <div className="spinner"></div>
+        </div>
+      ) : events.length === 0 ? (
+        <p className="text-sm text-richblack-300">No events recorded for this order.</p>
+      ) : (
+        <ol className="relative space-y-4 border-l border-richblack-600 pl-6">
+          {events.map((event) => (
+            <li key={event._id} className="relative">
+              <span className="absolute -left-[29px] top-1.5 h-2.5 w-2.5 rounded-full bg-yellow-50" />
+              <p className="text-sm font-semibold text-richblack-5">
+                {ORDER_EVENT_LABELS[event.type] || event.type}
+                {event.amount > 0 && <span className="ml-2 text-richblack-300">{formatCurrency(event.amount)}</span>}
+              </p>
+              <p className="text-xs text-richblack-400">
+                {new Date(event.at).toLocaleString('en-IN', {
+                  day: '2-digit',
+                  month: 'short',
+                  year: 'numeric',
+                  hour: '2-digit',
+                  minute: '2-digit'
+                })}
+                {event.actor && ` · ${`${event.actor.firstName || ''} ${event.actor.lastName || ''}`.trim()}`}
+              </p>
+              {event.note && <p className="mt-1 text-sm text-richblack-100">{event.note}</p>}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  )
+}
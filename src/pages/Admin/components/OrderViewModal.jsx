@@ -1,7 +1,9 @@
 import React from 'react'
 import { FiX, FiPrinter } from 'react-icons/fi'
+import OrderRefundPanel from './OrderRefundPanel'
+import OrderTimeline from './OrderTimeline'
 
-export default function OrderViewModal({ order, onClose }) {
+export default function OrderViewModal({ order, onClose, onOrderUpdated }) {
   const handlePrint = () => {
     const printContent = document.getElementById('invoice-content')
     const originalContent = document.body.innerHTML
@@ -515,7 +517,7 @@ export default function OrderViewModal({ order, onClose }) {
   }
 
   return (
-    <div className="fixed inset-0 z-[1000] grid place-items-center overflow-auto bg-white bg-opacity-10 backdrop-blur-sm">
+    <div className="fixed inset-0 z-[1000] grid place-items-center overflow-auto bg-white bg-opacity-10 backdrop-blur-sm py-10">
       <div className="w-11/12 max-w-4xl rounded-lg border border-richblack-400 bg-richblack-800 p-6">
         {/* Modal Header */}
         <div className="flex items-center justify-between border-b border-richblack-700 pb-4">
@@ -697,6 +699,12 @@ export default function OrderViewModal({ order, onClose }) {
             </div>
           </div>
         </div>
+
+        {/* Refunds and order history, kept out of the printed invoice */}
+        <div className="mt-8 space-y-6">
+          <OrderRefundPanel key={order.refundedAmount || 0} order={order} onOrderUpdated={onOrderUpdated} />
+          <OrderTimeline order={order} />
+        </div>
       </div>
     </div>
   )
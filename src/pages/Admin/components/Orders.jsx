@@ -1,17 +1,28 @@
 import React, { useEffect, useState } from 'react'
 import { useSelector } from 'react-redux'
 import { FiDownload, FiEye, FiSearch } from 'react-icons/fi'
-import { getAllOrders, updateOrderStatus, generateOrdersPDF } from '../../../services/operations/orderAPI'
+import { getAllOrders, generateOrdersPDF } from '../../../services/operations/orderAPI'
+import { REFUND_STATE_LABELS, REFUND_STATUS, getRefundState } from '../../../utils/refunds'
+import usePermissions from '../../../hooks/usePermissions'
 import OrderViewModal from './OrderViewModal'
 
+const REFUND_STATE_CLASSES = {
+  requested: 'bg-yellow-100 text-richblack-900',
+  rejected: 'bg-richblack-600 text-richblack-200',
+  partially_refunded: 'bg-blue-600 text-blue-5',
+  refunded: 'bg-pink-700 text-pink-5',
+}
+
 export default function Orders() {
   const { token } = useSelector((state) => state.auth)
+  const can = usePermissions()
   const [orders, setOrders] = useState([])
   const [loading, setLoading] = useState(true)
   const [searchQuery, setSearchQuery] = useState('')
   const [sortConfig, setSortConfig] = useState({ key: 'purchaseDate', direction: 'desc' })
   const [selectedOrder, setSelectedOrder] = useState(null)
   const [showViewModal, setShowViewModal] = useState(false)
+  const [showRefundRequestsOnly, setShowRefundRequestsOnly] = useState(false)
 
   // Fetch orders
   useEffect(() => {
@@ -34,8 +45,11 @@ export default function Orders() {
     }))
   }
 
+  const refundRequestCount = orders.filter((order) => order.refund?.status === REFUND_STATUS.REQUESTED).length
+
   // Filter and sort orders
   const filteredAndSortedOrders = orders
+    .filter((order) => !showRefundRequestsOnly || order.refund?.status === REFUND_STATUS.REQUESTED)
     .filter((order) => {
       const searchString = searchQuery.toLowerCase()
       return (
@@ -56,16 +70,27 @@ export default function Orders() {
       return 0
     })
 
-  // Handle status toggle
-  const handleStatusToggle = async (orderId, newStatus) => {
-    const success = await updateOrderStatus(token, orderId, newStatus)
-    if (success) {
-      setOrders((prev) =>
-        prev.map((order) =>
-          order._id === orderId ? { ...order, status: newStatus } : order
-        )
-      )
-    }
+  // Refunds and declined requests come back as the updated order
+  const handleOrderUpdated = (updated) => {
+    setOrders((prev) => prev.map((order) => (order._id === updated._id ? { ...order, ...updated } : order)))
+    setSelectedOrder((prev) => (prev?._id === updated._id ? { ...prev, ...updated } : prev))
+  }
+
+  // Access follows the enrollment; refunds are shown next to it instead of overwriting it
+  const renderStatus = (order) => {
+    const refundState = getRefundState(order.amount, order)
+    return (
+      <div className="flex flex-col items-start gap-1">
+        <span className={`text-xs font-medium ${order.status ? 'text-green-400' : 'text-richblack-400'}`}>
+          {order.status ? 'Active' : 'Access revoked'}
+        </span>
+        {refundState && (
+          <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${REFUND_STATE_CLASSES[refundState]}`}>
+            {REFUND_STATE_LABELS[refundState]}
+          </span>
+        )}
+      </div>
+    )
   }
 
   // Generate PDF
@@ -115,13 +140,28 @@ export default function Orders() {
             )}
           </div>
           <button
-            onClick={handleGeneratePDF}
-            className="flex items-center justify-center gap-2 rounded-xl bg-gradient-to-r from-yellow-50 to-yellow-100 px-4 sm:px-6 py-2.5 sm:py-3 text-sm sm:text-base text-richblack-900 font-medium transition-all duration-300 hover:scale-105 hover:shadow-lg hover:shadow-yellow-50/20 active:scale-95"
+            onClick={() => setShowRefundRequestsOnly((prev) => !prev)}
+            className={`flex items-center justify-center gap-2 rounded-xl border px-4 py-2.5 sm:py-3 text-sm sm:text-base font-medium transition-all duration-300 ${
+              showRefundRequestsOnly
+                ? 'border-yellow-50 bg-yellow-50 text-richblack-900'
+                : 'border-richblack-600 bg-richblack-700 text-richblack-5 hover:bg-richblack-600'
+            }`}
           >
-            <FiDownload size={18} />
-            <span className="hidden sm:inline">Download PDF</span>
-            <span className="sm:hidden">PDF</span>
+            Refund requests
+            {refundRequestCount > 0 && (
+              <span className="rounded-full bg-pink-500 px-2 text-xs text-white">{refundRequestCount}</span>
+            )}
           </button>
+          {can('orders.export') && (
+            <button
+              onClick={handleGeneratePDF}
+              className="flex items-center justify-center gap-2 rounded-xl bg-gradient-to-r from-yellow-50 to-yellow-100 px-4 sm:px-6 py-2.5 sm:py-3 text-sm sm:text-base text-richblack-900 font-medium transition-all duration-300 hover:scale-105 hover:shadow-lg hover:shadow-yellow-50/20 active:scale-95"
+            >
+              <FiDownload size={18} />
+              <span className="hidden sm:inline">Download PDF</span>
+              <span className="sm:hidden">PDF</span>
+            </button>
+          )}
         </div>
       </div>
 
@@ -143,25 +183,7 @@ export default function Orders() {
                     </span>
                     <span className="text-sm font-medium text-richblack-300">Order #{index + 1}</span>
                   </div>
-                  <div className="flex items-center gap-2">
-                    <button
-                      onClick={() => handleStatusToggle(order._id, !order.status)}
-                      className={`${
-                        order.status 
-                          ? 'bg-gradient-to-r from-green-500 to-green-400' 
-                          : 'bg-gradient-to-r from-richblack-600 to-richblack-500'
-                      } relative inline-flex h-6 w-10 items-center rounded-full transition-all duration-300`}
-                    >
-                      <span
-                        className={`${
-                          order.status ? 'translate-x-5' : 'translate-x-1'
-                        } inline-block h-4 w-4 transform rounded-full bg-white transition-transform duration-300`}
-                      />
-                    </button>
-                    <span className={`text-xs ${order.status ? 'text-green-400' : 'text-richblack-400'}`}>
-                      {order.status ? 'Active' : 'Inactive'}
-                    </span>
-                  </div>
+                  {renderStatus(order)}
                 </div>
 
                 {/* User Details */}
@@ -326,25 +348,7 @@ export default function Orders() {
                     </div>
                   </td>
                   <td className="p-4 xl:p-6">
-                    <div className="flex flex-col items-start gap-2">
-                      <button
-                        onClick={() => handleStatusToggle(order._id, !order.status)}
-                        className={`${
-                          order.status 
-                            ? 'bg-gradient-to-r from-green-500 to-green-400 shadow-green-500/30' 
-                            : 'bg-gradient-to-r from-richblack-600 to-richblack-500 shadow-richblack-600/30'
-                        } relative inline-flex h-6 w-10 xl:h-7 xl:w-12 items-center rounded-full shadow-lg transition-all duration-300 hover:scale-110 focus:outline-none focus:ring-2 focus:ring-yellow-50 focus:ring-offset-2 focus:ring-offset-richblack-800`}
-                      >
-                        <span
-                          className={`${
-                            order.status ? 'translate-x-5 xl:translate-x-6' : 'translate-x-1'
-                          } inline-block h-4 w-4 xl:h-5 xl:w-5 transform rounded-full bg-white shadow-lg transition-transform duration-300`}
-                        />
-                      </button>
-                      <span className={`text-xs font-medium ${order.status ? 'text-green-400' : 'text-richblack-400'}`}>
-                        {order.status ? 'Active' : 'Inactive'}
-                      </span>
-                    </div>
+                    {renderStatus(order)}
                   </td>
                   <td className="p-4 xl:p-6">
                     <div className="flex items-center gap-3">
@@ -376,6 +380,8 @@ export default function Orders() {
             <p className="text-sm sm:text-base text-richblack-300 text-center max-w-md leading-relaxed">
               {searchQuery 
                 ? `No orders match your search for "${searchQuery}". Try adjusting your search terms.` 
+                : showRefundRequestsOnly
+                ? 'No refund requests are waiting for review.'
                 : 'No orders have been placed yet. Orders will appear here once customers make purchases.'
               }
             </p>
@@ -395,6 +401,7 @@ export default function Orders() {
       {showViewModal && selectedOrder && (
         <OrderViewModal
           order={selectedOrder}
+          onOrderUpdated={handleOrderUpdated}
           onClose={() => {
             setShowViewModal(false)
             setSelectedOrder(null)
@@ -0,0 +1,494 @@
+import { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { FaSearch, FaEdit, FaTrash, FaPlus, FaTimes } from 'react-icons/fa';
+import { toast } from 'react-hot-toast';
+import {
+  getBankQuestions,
+  createBankQuestion,
+  updateBankQuestion,
+  deleteBankQuestion,
+} from '../../../services/operations/questionBankAPI';
+import { DIFFICULTY_LEVELS, parseTags } from '../../../utils/quizShuffler';
+
+const QUESTION_TYPES = {
+  multipleChoice: 'Multiple Choice',
+  singleAnswer: 'Single Answer',
+  shortAnswer: 'Short Answer',
+  matchTheFollowing: 'Match the Following',
+};
+
+const DIFFICULTY_STYLES = {
+  easy: 'bg-green-500/20 text-green-400',
+  medium: 'bg-yellow-500/20 text-yellow-400',
+  hard: 'bg-red-500/20 text-red-400',
+};
+
+const emptyQuestion = () => ({
+  questionText: '',
+  questionType: 'multipleChoice',
+  options: ['', '', '', ''],
+  answers: ['', '', '', ''],
+  correctAnswers: [],
+  correctAnswer: null,
+  keywordsText: '',
+  marks: 5,
+  tagsText: '',
+  difficulty: 'medium',
+});
+
+const QuestionBank = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [questions, setQuestions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [filterTag, setFilterTag] = useState('');
+  const [filterDifficulty, setFilterDifficulty] = useState('');
+  const [form, setForm] = useState(null); // question being created / edited
+  const [editingId, setEditingId] = useState(null);
+  const [deleteConfirm, setDeleteConfirm] = useState(null);
+
+  useEffect(() => {
+    const fetchQuestions = async () => {
+      setLoading(true);
+      const data = await getBankQuestions(token);
+      setQuestions(data || []);
+      setLoading(false);
+    };
+
+    fetchQuestions();
+  }, [token]);
+
+  const allTags = [...new Set(questions.flatMap((question) => question.tags || []))].sort();
+
+  const filteredQuestions = questions.filter((question) => {
+    const matchesSearch = question.questionText.toLowerCase().includes(searchTerm.toLowerCase());
+    const matchesTag = !filterTag || (question.tags || []).includes(filterTag);
+    const matchesDifficulty = !filterDifficulty || question.difficulty === filterDifficulty;
+    return matchesSearch && matchesTag && matchesDifficulty;
+  });
+
+  const openCreate = () => {
+    setEditingId(null);
+    setForm(emptyQuestion());
+  };
+
+  const openEdit = (question) => {
+    setEditingId(question._id);
+    setForm({
+      ...emptyQuestion(),
+      ...question,
+      options: question.options?.length ? [...question.options] : ['', '', '', ''],
+      answers: question.answers?.length ? [...question.answers] : ['', '', '', ''],
+      correctAnswers: question.correctAnswers || [],
+      keywordsText: (question.keywords || []).join(', '),
+      tagsText: (question.tags || []).join(', '),
+    });
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingId(null);
+  };
+
+  const updateForm = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const updateListItem = (field, index, value) => {
+    setForm((prev) => {
+      const list = [...prev[field]];
+      list[index] = value;
+      return { ...prev, [field]: list };
+    });
+  };
+
+  const toggleCorrectAnswer = (index) => {
+    setForm((prev) => ({
+      ...prev,
+      correctAnswers: prev.correctAnswers.includes(index)
+        ? prev.correctAnswers.filter((answer) => answer !== index)
+        : [...prev.correctAnswers, index],
+    }));
+  };
+
+  const validateForm = () => {
+    if (!form.questionText.trim()) return 'Question text is required';
+    if (!parseTags(form.tagsText).length) return 'Add at least one tag';
+    if (form.questionType === 'shortAnswer' && !parseTags(form.keywordsText).length) {
+      return 'At least one keyword is required';
+    }
+    if (['multipleChoice', 'singleAnswer', 'matchTheFollowing'].includes(form.questionType) && form.options.some((option) => !option.trim())) {
+      return 'All options are required';
+    }
+    if (form.questionType === 'matchTheFollowing' && form.answers.some((answer) => !answer.trim())) {
+      return 'All match answers are required';
+    }
+    if (form.questionType === 'multipleChoice' && !form.correctAnswers.length) {
+      return 'Please select at least one correct answer';
+    }
+    if (form.questionType === 'singleAnswer' && (form.correctAnswer === null || form.correctAnswer === undefined)) {
+      return 'Please select the correct answer';
+    }
+    return null;
+  };
+
+  const handleSave = async () => {
+    const error = validateForm();
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    const data = {
+      questionText: form.questionText.trim(),
+      questionType: form.questionType,
+      marks: Number(form.marks) || 1,
+      tags: parseTags(form.tagsText),
+      difficulty: form.difficulty,
+      options: form.questionType === 'shortAnswer' ? [] : form.options.map((option) => option.trim()),
+      answers: form.questionType === 'matchTheFollowing' ? form.answers.map((answer) => answer.trim()) : [],
+      correctAnswers: form.questionType === 'multipleChoice'
+        ? form.correctAnswers
+        : form.questionType === 'matchTheFollowing'
+          ? form.options.map((_, index) => index)
+          : [],
+      correctAnswer: form.questionType === 'singleAnswer' ? form.correctAnswer : null,
+      keywords: form.questionType === 'shortAnswer' ? parseTags(form.keywordsText) : [],
+    };
+
+    setSaving(true);
+    const result = editingId
+      ? await updateBankQuestion(editingId, data, token)
+      : await createBankQuestion(data, token);
+    setSaving(false);
+
+    if (result) {
+      setQuestions((prev) => (editingId
+        ? prev.map((question) => (question._id === editingId ? result : question))
+        : [result, ...prev]));
+      closeForm();
+    }
+  };
+
+  const handleDelete = async (questionId) => {
+    const deleted = await deleteBankQuestion(questionId, token);
+    if (deleted) {
+      setQuestions((prev) => prev.filter((question) => question._id !== questionId));
+    }
+    setDeleteConfirm(null);
+  };
+
+  const inputClass = 'w-full bg-richblack-700 border border-richblack-600 rounded-lg px-3 py-2 text-richblack-5 placeholder-richblack-400 focus:outline-none focus:border-yellow-50 text-sm';
+
+  return (
+    <div className="min-h-screen bg-richblack-900 p-3 sm:p-4 md:p-6 overflow-x-hidden">
+      <div className="max-w-7xl mx-auto w-full">
+        {/* Header */}
+        <div className="bg-richblack-800 rounded-xl p-4 sm:p-6 mb-4 sm:mb-6 shadow-lg">
+          <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+            <div>
+              <h1 className="text-2xl sm:text-3xl font-bold text-richblack-5 mb-2">Question Bank</h1>
+              <p className="text-sm sm:text-base text-richblack-300">
+                Reusable questions that quizzes draw from at random on every attempt
+              </p>
+            </div>
+            <div className="flex items-center gap-3">
+              {DIFFICULTY_LEVELS.map((level) => (
+                <div key={level} className="bg-richblack-700 px-3 py-2 rounded-lg text-center">
+                  <div className="text-xs text-richblack-300 capitalize">{level}</div>
+                  <div className="text-lg font-bold text-richblack-5">
+                    {questions.filter((question) => question.difficulty === level).length}
+                  </div>
+                </div>
+              ))}
+              <button
+                onClick={openCreate}
+                className="flex items-center gap-2 bg-yellow-50 text-richblack-900 px-4 py-2 rounded-lg font-medium hover:scale-95 transition-all duration-200"
+              >
+                <FaPlus /> Add Question
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <div className="bg-richblack-800 rounded-xl p-4 sm:p-6 mb-4 sm:mb-6 shadow-lg">
+          <div className="flex flex-col sm:flex-row gap-3 sm:gap-4 flex-wrap">
+            <div className="relative flex-1 min-w-[200px]">
+              <input
+                type="text"
+                placeholder="Search questions..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className={`${inputClass} pl-9`}
+              />
+              <FaSearch className="absolute left-3 top-1/2 transform -translate-y-1/2 text-richblack-400 w-4 h-4" />
+            </div>
+            <select value={filterTag} onChange={(e) => setFilterTag(e.target.value)} className={`${inputClass} sm:w-48`}>
+              <option value="">All Tags</option>
+              {allTags.map((tag) => (
+                <option key={tag} value={tag}>{tag}</option>
+              ))}
+            </select>
+            <select value={filterDifficulty} onChange={(e) => setFilterDifficulty(e.target.value)} className={`${inputClass} sm:w-40 capitalize`}>
+              <option value="">All Difficulties</option>
+              {DIFFICULTY_LEVELS.map((level) => (
+                <option key={level} value={level}>{level}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {/* Question List */}
+        {loading ? (
+          <div className="bg-richblack-800 rounded-xl p-8 sm:p-12 text-center shadow-lg">
+            <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-yellow-50 mx-auto mb-4"></div>
+            <p className="text-richblack-400">Loading questions...</p>
+          </div>
+        ) : filteredQuestions.length === 0 ? (
+          <div className="bg-richblack-800 rounded-xl p-8 sm:p-12 text-center shadow-lg">
+            <h3 className="text-lg font-semibold text-richblack-5 mb-2">No Questions Found</h3>
+            <p className="text-sm text-richblack-400">
+              {searchTerm || filterTag || filterDifficulty
+                ? 'Try adjusting your search or filter criteria'
+                : 'Add questions to start building the bank'}
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {filteredQuestions.map((question) => (
+              <div key={question._id} className="bg-richblack-800 rounded-xl p-4 sm:p-5 shadow-lg">
+                <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="flex flex-wrap items-center gap-2 mb-2">
+                      <span className={`px-2 py-1 text-xs rounded-full capitalize ${DIFFICULTY_STYLES[question.difficulty] || 'bg-richblack-700 text-richblack-300'}`}>
+                        {question.difficulty}
+                      </span>
+                      <span className="px-2 py-1 text-xs rounded-full bg-richblack-700 text-richblack-200">
+                        {QUESTION_TYPES[question.questionType] || question.questionType}
+                      </span>
+                      <span className="text-xs text-richblack-400">{question.marks} marks</span>
+                    </div>
+                    <p className="text-richblack-5 font-medium break-words">{question.questionText}</p>
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      {(question.tags || []).map((tag) => (
+                        <span key={tag} className="px-2 py-0.5 text-xs rounded bg-blue-500/20 text-blue-300">#{tag}</span>
+                      ))}
+                    </div>
+                  </div>
+
+                  {deleteConfirm === question._id ? (
+                    <div className="flex items-center gap-2 shrink-0">
+                      <span className="text-sm text-richblack-300">Delete?</span>
+                      <button
+                        onClick={() => handleDelete(question._id)}
+                        className="px-3 py-1 bg-red-500 text-white rounded-lg text-sm hover:bg-red-600"
+                      >
+                        Delete
+                      </button>
+                      <button
+                        onClick={() => setDeleteConfirm(null)}
+                        className="px-3 py-1 bg-richblack-600 text-white rounded-lg text-sm hover:bg-richblack-500"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  ) : (
+                    <div className="flex items-center gap-2 shrink-0">
+                      <button
+                        onClick={() => openEdit(question)}
+                        className="p-2 rounded-lg bg-blue-500/20 text-blue-400 hover:bg-blue-500/30"
+                        title="Edit question"
+                      >
+                        <FaEdit className="text-sm" />
+                      </button>
+                      <button
+                        onClick={() => setDeleteConfirm(question._id)}
+                        className="p-2 rounded-lg bg-red-500/20 text-red-400 hover:bg-red-500/30"
+                        title="Delete question"
+                      >
+                        <FaTrash className="text-sm" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Create / Edit Modal */}
+      {form && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-richblack-800 rounded-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6">
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-xl font-semibold text-richblack-5">
+                {editingId ? 'Edit Question' : 'Add Question'}
+              </h2>
+              <button onClick={closeForm} className="text-richblack-300 hover:text-richblack-5">
+                <FaTimes />
+              </button>
+            </div>
+
+            <div className="space-y-4">
+              <textarea
+                value={form.questionText}
+                onChange={(e) => updateForm('questionText', e.target.value)}
+                placeholder="Enter question text"
+                rows={3}
+                className={inputClass}
+              />
+
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                <div>
+                  <label className="text-xs text-richblack-300 mb-1 block">Type</label>
+                  <select
+                    value={form.questionType}
+                    onChange={(e) => setForm((prev) => ({
+                      ...prev,
+                      questionType: e.target.value,
+                      options: ['', '', '', ''],
+                      answers: ['', '', '', ''],
+                      correctAnswers: [],
+                      correctAnswer: null,
+                    }))}
+                    className={inputClass}
+                  >
+                    {Object.entries(QUESTION_TYPES).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="text-xs text-richblack-300 mb-1 block">Difficulty</label>
+                  <select
+                    value={form.difficulty}
+                    onChange={(e) => updateForm('difficulty', e.target.value)}
+                    className={`${inputClass} capitalize`}
+                  >
+                    {DIFFICULTY_LEVELS.map((level) => (
+                      <option key={level} value={level}>{level}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="text-xs text-richblack-300 mb-1 block">Marks</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={form.marks}
+                    onChange={(e) => updateForm('marks', e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="text-xs text-richblack-300 mb-1 block">Tags (comma separated)</label>
+                <input
+                  type="text"
+                  value={form.tagsText}
+                  onChange={(e) => updateForm('tagsText', e.target.value)}
+                  placeholder="e.g. arrays, loops"
+                  className={inputClass}
+                />
+              </div>
+
+              {(form.questionType === 'multipleChoice' || form.questionType === 'singleAnswer') && (
+                <div className="space-y-2">
+                  <p className="text-sm text-richblack-300">
+                    Options ({form.questionType === 'multipleChoice' ? 'tick every correct option' : 'select the correct option'})
+                  </p>
+                  {form.options.map((option, index) => (
+                    <div key={index} className="flex items-center gap-3">
+                      <input
+                        type={form.questionType === 'multipleChoice' ? 'checkbox' : 'radio'}
+                        name="bank-correct-answer"
+                        checked={form.questionType === 'multipleChoice'
+                          ? form.correctAnswers.includes(index)
+                          : form.correctAnswer === index}
+                        onChange={() => (form.questionType === 'multipleChoice'
+                          ? toggleCorrectAnswer(index)
+                          : updateForm('correctAnswer', index))}
+                      />
+                      <input
+                        type="text"
+                        value={option}
+                        onChange={(e) => updateListItem('options', index, e.target.value)}
+                        placeholder={`Option ${index + 1}`}
+                        className={inputClass}
+                      />
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {form.questionType === 'matchTheFollowing' && (
+                <div className="grid grid-cols-2 gap-3">
+                  <div className="space-y-2">
+                    <p className="text-sm text-richblack-300">Items</p>
+                    {form.options.map((option, index) => (
+                      <input
+                        key={index}
+                        type="text"
+                        value={option}
+                        onChange={(e) => updateListItem('options', index, e.target.value)}
+                        placeholder={`Item ${index + 1}`}
+                        className={inputClass}
+                      />
+                    ))}
+                  </div>
+                  <div className="space-y-2">
+                    <p className="text-sm text-richblack-300">Matching answers</p>
+                    {form.answers.map((answer, index) => (
+                      <input
+                        key={index}
+                        type="text"
+                        value={answer}
+                        onChange={(e) => updateListItem('answers', index, e.target.value)}
+                        placeholder={`Match for item ${index + 1}`}
+                        className={inputClass}
+                      />
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {form.questionType === 'shortAnswer' && (
+                <div>
+                  <label className="text-xs text-richblack-300 mb-1 block">Keywords (comma separated)</label>
+                  <input
+                    type="text"
+                    value={form.keywordsText}
+                    onChange={(e) => updateForm('keywordsText', e.target.value)}
+                    placeholder="Answers containing these keywords are marked correct"
+                    className={inputClass}
+                  />
+                </div>
+              )}
+            </div>
+
+            <div className="flex justify-end gap-3 mt-6 pt-4 border-t border-richblack-700">
+              <button
+                onClick={closeForm}
+                disabled={saving}
+                className="px-5 py-2 bg-richblack-700 text-richblack-50 rounded-lg hover:bg-richblack-600"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={saving}
+                className="px-5 py-2 bg-yellow-50 text-richblack-900 rounded-lg hover:scale-95 transition-all duration-200 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : editingId ? 'Update Question' : 'Add Question'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuestionBank;
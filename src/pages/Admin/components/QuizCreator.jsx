@@ -4,6 +4,9 @@ import { useForm } from "react-hook-form"
 import { toast } from "react-hot-toast"
 import { RiAddLine, RiDeleteBin6Line } from "react-icons/ri"
 import { createQuiz, updateQuiz } from "../../../services/operations/quizAPI"
+import { getBankQuestions } from "../../../services/operations/questionBankAPI"
+import { COMPARISON_MODES, COMPARISON_MODE_LABELS, DEFAULT_FLOAT_TOLERANCE, createTestCase, isValidPattern } from "../../../utils/codeGrading"
+import { DIFFICULTY_LEVELS, matchesPool, parseTags } from "../../../utils/quizShuffler"
 
 export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuccess }) {
   const { token } = useSelector((state) => state.auth)
@@ -23,6 +26,12 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
     }
   ])
 
+  // Question bank draws: every attempt gets `count` random bank questions per pool
+  const [questionPools, setQuestionPools] = useState([])
+  const [shuffleQuestions, setShuffleQuestions] = useState(false)
+  const [shuffleOptions, setShuffleOptions] = useState(false)
+  const [bankQuestions, setBankQuestions] = useState([])
+
   // Refs for question containers to scroll to on validation error
   const questionRefs = useRef([])
   
@@ -71,11 +80,9 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
           if (q.questionType === "codeSolve") {
             baseQuestion.programmingLanguage = q.programmingLanguage || 'javascript';
             baseQuestion.starterCode = q.starterCode || '// Write your code here\n';
-            baseQuestion.testCases = q.testCases || [{
-              input: '',
-              expectedOutput: '',
-              isHidden: false
-            }];
+            baseQuestion.testCases = q.testCases?.length
+              ? q.testCases.map(testCase => createTestCase(testCase))
+              : [createTestCase()];
           }
 
           return baseQuestion;
@@ -86,9 +93,42 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
       if (existingQuiz.timeLimit) {
         setTimeLimit(Math.floor(existingQuiz.timeLimit / 60)); // Convert seconds to minutes
       }
+      setQuestionPools((existingQuiz.questionPools || []).map(pool => ({
+        tagsText: (pool.tags || []).join(", "),
+        difficulty: pool.difficulty || "",
+        count: pool.count || 1
+      })));
+      setShuffleQuestions(Boolean(existingQuiz.shuffleQuestions));
+      setShuffleOptions(Boolean(existingQuiz.shuffleOptions));
     }
   }, [existingQuiz])
 
+  // Load the bank so each pool can show how many questions it can draw from
+  useEffect(() => {
+    const fetchBank = async () => {
+      const result = await getBankQuestions(token)
+      setBankQuestions(result || [])
+    }
+    fetchBank()
+  }, [token])
+
+  const getPoolSize = (pool) =>
+    bankQuestions.filter(question => matchesPool(question, { tags: parseTags(pool.tagsText), difficulty: pool.difficulty })).length
+
+  const addQuestionPool = () => {
+    setQuestionPools([...questionPools, { tagsText: "", difficulty: "", count: 1 }])
+  }
+
+  const handlePoolChange = (index, field, value) => {
+    const newPools = [...questionPools]
+    newPools[index] = { ...newPools[index], [field]: value }
+    setQuestionPools(newPools)
+  }
+
+  const removeQuestionPool = (index) => {
+    setQuestionPools(questionPools.filter((_, poolIndex) => poolIndex !== index))
+  }
+
   const {
     register,
     handleSubmit,
@@ -112,9 +152,9 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
     }
   }
 
-  // Remove question (minimum 15)
+  // Remove question (a quiz that draws from the bank may have no fixed questions)
   const removeQuestion = (index) => {
-    if (questions.length > 1) {
+    if (questions.length > 1 || questionPools.length > 0) {
       const newQuestions = [...questions]
       newQuestions.splice(index, 1)
       setQuestions(newQuestions)
@@ -190,6 +230,35 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
             validationErrorsList.push(`Question ${index + 1}: Test case ${invalidTestCase + 1} expected output is required`);
             questionErrors.push('testCases');
           }
+
+          const invalidPattern = q.testCases.findIndex(testCase =>
+            testCase.comparisonMode === COMPARISON_MODES.REGEX && !isValidPattern(testCase.expectedOutput)
+          );
+          if (invalidPattern !== -1) {
+            invalidQuestions.push(index);
+            validationErrorsList.push(`Question ${index + 1}: Test case ${invalidPattern + 1} expected output is not a valid regular expression`);
+            questionErrors.push('testCases');
+          }
+
+          const invalidLimits = q.testCases.findIndex(testCase =>
+            !(Number(testCase.points) > 0) || !(Number(testCase.timeLimit) > 0)
+          );
+          if (invalidLimits !== -1) {
+            invalidQuestions.push(index);
+            validationErrorsList.push(`Question ${index + 1}: Test case ${invalidLimits + 1} needs positive points and time limit`);
+            questionErrors.push('testCases');
+          }
+
+          // A blank tolerance would save as 0 and quietly turn the comparison into exact equality
+          const invalidTolerance = q.testCases.findIndex(testCase =>
+            testCase.comparisonMode === COMPARISON_MODES.FLOAT &&
+            (String(testCase.tolerance ?? '').trim() === '' || !(Number(testCase.tolerance) >= 0))
+          );
+          if (invalidTolerance !== -1) {
+            invalidQuestions.push(index);
+            validationErrorsList.push(`Question ${index + 1}: Test case ${invalidTolerance + 1} needs a tolerance of 0 or more`);
+            questionErrors.push('testCases');
+          }
         }
       } else if (q.questionType === "multipleChoice" || q.questionType === "singleAnswer") {
         // Validate options are filled
@@ -223,6 +292,17 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
     // Set validation errors for visual indicators
     setValidationErrors(newValidationErrors);
 
+    if (!questions.length && !questionPools.length) {
+      toast.error("Add at least one question or question pool");
+      return;
+    }
+
+    const invalidPool = questionPools.findIndex(pool => !(Number(pool.count) > 0) || Number(pool.count) > getPoolSize(pool));
+    if (invalidPool !== -1) {
+      toast.error(`Pool ${invalidPool + 1}: Draw count must be between 1 and the ${getPoolSize(questionPools[invalidPool])} matching bank questions`);
+      return;
+    }
+
     if (invalidQuestions.length > 0) {
       toast.error(validationErrorsList[0]); // Show the first validation error
       // Scroll to the first invalid question
@@ -256,7 +336,12 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
             ...base,
             programmingLanguage: q.programmingLanguage || 'javascript',
             starterCode: q.starterCode || '',
-            testCases: q.testCases || [],
+            testCases: (q.testCases || []).map(testCase => ({
+              ...testCase,
+              points: Number(testCase.points),
+              timeLimit: Number(testCase.timeLimit),
+              tolerance: String(testCase.tolerance ?? '').trim() === '' ? DEFAULT_FLOAT_TOLERANCE : Number(testCase.tolerance)
+            })),
             options: [] // Code solving questions don't have options
           }
         }
@@ -282,6 +367,13 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
       const quizData = {
         subSectionId,
         questions: cleanedQuestions,
+        questionPools: questionPools.map(pool => ({
+          tags: parseTags(pool.tagsText),
+          difficulty: pool.difficulty || null,
+          count: Number(pool.count)
+        })),
+        shuffleQuestions,
+        shuffleOptions,
         timeLimit: timeLimit * 60 // Convert minutes to seconds
       }
       
@@ -342,6 +434,95 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
         </div>
       </div>
 
+      {/* Question Bank Pools */}
+      <div className="bg-richblack-700 rounded-lg p-4">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-lg font-semibold text-richblack-5">Question Bank Pools</h3>
+            <p className="text-xs text-richblack-300 mt-1">
+              Each attempt draws the given number of random bank questions matching the pool tags and difficulty
+            </p>
+          </div>
+          <button
+            onClick={addQuestionPool}
+            className="flex items-center gap-2 bg-richblack-800 text-yellow-50 px-3 py-2 rounded-lg hover:bg-richblack-600 transition-all duration-200"
+          >
+            <RiAddLine />
+            Add Pool
+          </button>
+        </div>
+
+        <div className="space-y-3">
+          {questionPools.map((pool, pIndex) => (
+            <div key={pIndex} className="grid grid-cols-1 md:grid-cols-[1fr_140px_100px_auto] gap-3 items-end">
+              <div>
+                <label className="text-xs text-richblack-300 mb-1 block">Tags (comma separated)</label>
+                <input
+                  type="text"
+                  value={pool.tagsText}
+                  onChange={(e) => handlePoolChange(pIndex, "tagsText", e.target.value)}
+                  placeholder="e.g. arrays, loops"
+                  className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-2 border border-richblack-600 focus:border-yellow-50 focus:outline-none"
+                />
+              </div>
+              <div>
+                <label className="text-xs text-richblack-300 mb-1 block">Difficulty</label>
+                <select
+                  value={pool.difficulty}
+                  onChange={(e) => handlePoolChange(pIndex, "difficulty", e.target.value)}
+                  className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-2 border border-richblack-600 capitalize"
+                >
+                  <option value="">Any</option>
+                  {DIFFICULTY_LEVELS.map(level => (
+                    <option key={level} value={level}>{level}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="text-xs text-richblack-300 mb-1 block">Draw</label>
+                <input
+                  type="number"
+                  value={pool.count}
+                  onChange={(e) => handlePoolChange(pIndex, "count", e.target.value)}
+                  min="1"
+                  className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-2 border border-richblack-600"
+                />
+              </div>
+              <div className="flex items-center gap-3 pb-2">
+                <span className="text-xs text-richblack-300 whitespace-nowrap">{getPoolSize(pool)} available</span>
+                <button
+                  onClick={() => removeQuestionPool(pIndex)}
+                  className="text-pink-300 hover:text-pink-200"
+                >
+                  <RiDeleteBin6Line />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap gap-6 mt-4">
+          <label className="flex items-center gap-2 text-sm text-richblack-5">
+            <input
+              type="checkbox"
+              checked={shuffleQuestions}
+              onChange={(e) => setShuffleQuestions(e.target.checked)}
+              className="rounded"
+            />
+            Shuffle question order
+          </label>
+          <label className="flex items-center gap-2 text-sm text-richblack-5">
+            <input
+              type="checkbox"
+              checked={shuffleOptions}
+              onChange={(e) => setShuffleOptions(e.target.checked)}
+              className="rounded"
+            />
+            Shuffle answer options
+          </label>
+        </div>
+      </div>
+
       {/* Questions Header */}
       <div className="flex items-center justify-between">
         <p className="text-lg font-semibold text-richblack-5">
@@ -371,7 +552,7 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
           >
             <div className="flex justify-between items-center">
               <p className="text-sm text-richblack-5 font-medium">Question {qIndex + 1}</p>
-              {questions.length > 1 && (
+              {(questions.length > 1 || questionPools.length > 0) && (
                 <button
                   onClick={() => removeQuestion(qIndex)}
                   className="text-pink-300 hover:text-pink-200 p-1"
@@ -416,11 +597,7 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
                   if (newType === 'codeSolve') {
                     newQuestion.programmingLanguage = 'javascript';
                     newQuestion.starterCode = '// Write your code here\n';
-                    newQuestion.testCases = [{
-                      input: '',
-                      expectedOutput: '',
-                      isHidden: false
-                    }];
+                    newQuestion.testCases = [createTestCase()];
                   }
                   
                   // Initialize match the following with 3 pairs
@@ -503,11 +680,7 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
                         if (!newQuestions[qIndex].testCases) {
                           newQuestions[qIndex].testCases = [];
                         }
-                        newQuestions[qIndex].testCases.push({
-                          input: '',
-                          expectedOutput: '',
-                          isHidden: false
-                        });
+                        newQuestions[qIndex].testCases.push(createTestCase());
                         setQuestions(newQuestions);
                       }}
                       className="text-sm text-yellow-50 hover:text-yellow-100"
@@ -577,6 +750,75 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
                           />
                           Hidden Test Case
                         </label>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                          <div className="space-y-1">
+                            <label className="text-xs text-richblack-300">Comparison</label>
+                            <select
+                              value={testCase.comparisonMode}
+                              onChange={(e) => {
+                                const newQuestions = [...questions];
+                                newQuestions[qIndex].testCases[tIndex].comparisonMode = e.target.value;
+                                setQuestions(newQuestions);
+                              }}
+                              className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-2 text-sm"
+                            >
+                              {Object.values(COMPARISON_MODES).map(mode => (
+                                <option key={mode} value={mode}>{COMPARISON_MODE_LABELS[mode]}</option>
+                              ))}
+                            </select>
+                          </div>
+                          {testCase.comparisonMode === COMPARISON_MODES.FLOAT && (
+                            <div className="space-y-1">
+                              <label className="text-xs text-richblack-300">Tolerance</label>
+                              <input
+                                type="number"
+                                step="any"
+                                min="0"
+                                value={testCase.tolerance}
+                                onChange={(e) => {
+                                  const newQuestions = [...questions];
+                                  newQuestions[qIndex].testCases[tIndex].tolerance = e.target.value;
+                                  setQuestions(newQuestions);
+                                }}
+                                className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-2 text-sm"
+                              />
+                            </div>
+                          )}
+                          <div className="space-y-1">
+                            <label className="text-xs text-richblack-300">Points</label>
+                            <input
+                              type="number"
+                              min="1"
+                              value={testCase.points}
+                              onChange={(e) => {
+                                const newQuestions = [...questions];
+                                newQuestions[qIndex].testCases[tIndex].points = e.target.value;
+                                setQuestions(newQuestions);
+                              }}
+                              className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-2 text-sm"
+                            />
+                          </div>
+                          <div className="space-y-1">
+                            <label className="text-xs text-richblack-300">Time Limit (sec)</label>
+                            <input
+                              type="number"
+                              min="1"
+                              max="30"
+                              value={testCase.timeLimit}
+                              onChange={(e) => {
+                                const newQuestions = [...questions];
+                                newQuestions[qIndex].testCases[tIndex].timeLimit = e.target.value;
+                                setQuestions(newQuestions);
+                              }}
+                              className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-2 text-sm"
+                            />
+                          </div>
+                        </div>
+                        {testCase.comparisonMode === COMPARISON_MODES.REGEX && (
+                          <p className="text-xs text-richblack-400">
+                            Expected output is treated as a pattern that must match the whole output.
+                          </p>
+                        )}
                       </div>
                     ))}
                   </div>
@@ -22,9 +22,13 @@ import {
   bulkUpdateReviewSelection,
   deleteReview 
 } from '../../../services/operations/adminAPI';
+import usePermissions from '../../../hooks/usePermissions';
 
 const ReviewManagement = () => {
   const { token } = useSelector((state) => state.auth);
+  const can = usePermissions();
+  // without reviews.moderate the list is read-only
+  const canModerate = can('reviews.moderate');
   const [reviews, setReviews] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
@@ -256,7 +260,7 @@ const ReviewManagement = () => {
         </div>
 
         {/* Bulk Actions */}
-        {selectedReviews.length > 0 && (
+        {canModerate && selectedReviews.length > 0 && (
           <div className="flex flex-wrap items-center gap-3 pt-3 border-t border-richblack-600">
             <span className="text-richblack-300 text-sm">
               {selectedReviews.length} review(s) selected
@@ -283,14 +287,16 @@ const ReviewManagement = () => {
         )}
 
         {/* Select All */}
-        <div className="flex items-center gap-3 pt-3 border-t border-richblack-600">
-          <button
-            onClick={handleSelectAll}
-            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium transition-colors"
-          >
-            Select All Filtered ({filteredReviews.length})
-          </button>
-        </div>
+        {canModerate && (
+          <div className="flex items-center gap-3 pt-3 border-t border-richblack-600">
+            <button
+              onClick={handleSelectAll}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium transition-colors"
+            >
+              Select All Filtered ({filteredReviews.length})
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Reviews Grid */}
@@ -319,12 +325,14 @@ const ReviewManagement = () => {
             >
               <div className="flex items-start gap-4">
                 {/* Checkbox */}
-                <input
-                  type="checkbox"
-                  checked={selectedReviews.includes(review._id)}
-                  onChange={() => handleCheckboxChange(review._id)}
-                  className="mt-1 w-4 h-4 text-blue-600 bg-richblack-800 border-richblack-600 rounded focus:ring-blue-500"
-                />
+                {canModerate && (
+                  <input
+                    type="checkbox"
+                    checked={selectedReviews.includes(review._id)}
+                    onChange={() => handleCheckboxChange(review._id)}
+                    className="mt-1 w-4 h-4 text-blue-600 bg-richblack-800 border-richblack-600 rounded focus:ring-blue-500"
+                  />
+                )}
 
                 {/* User Avatar */}
                 <div className="flex-shrink-0">
@@ -384,39 +392,41 @@ const ReviewManagement = () => {
                     </div>
 
                     {/* Action Buttons */}
-                    <div className="flex-shrink-0 flex gap-2">
-                      <button
-                        onClick={() => handleToggleSelection(review._id)}
-                        disabled={processingIds.has(review._id)}
-                        className={`flex items-center gap-2 px-4 py-2 rounded-lg font-medium text-sm transition-all duration-200 ${
-                          review.isSelected
-                            ? 'bg-green-600 hover:bg-green-700 text-white'
-                            : 'bg-richblack-600 hover:bg-richblack-500 text-richblack-200'
-                        } disabled:opacity-50 disabled:cursor-not-allowed`}
-                      >
-                        {processingIds.has(review._id) ? (
-                          <FaSpinner className="animate-spin" />
-                        ) : review.isSelected ? (
-                          <FaToggleOn className="text-lg" />
-                        ) : (
-                          <FaToggleOff className="text-lg" />
-                        )}
-                        {review.isSelected ? 'Selected' : 'Select'}
-                      </button>
+                    {canModerate && (
+                      <div className="flex-shrink-0 flex gap-2">
+                        <button
+                          onClick={() => handleToggleSelection(review._id)}
+                          disabled={processingIds.has(review._id)}
+                          className={`flex items-center gap-2 px-4 py-2 rounded-lg font-medium text-sm transition-all duration-200 ${
+                            review.isSelected
+                              ? 'bg-green-600 hover:bg-green-700 text-white'
+                              : 'bg-richblack-600 hover:bg-richblack-500 text-richblack-200'
+                          } disabled:opacity-50 disabled:cursor-not-allowed`}
+                        >
+                          {processingIds.has(review._id) ? (
+                            <FaSpinner className="animate-spin" />
+                          ) : review.isSelected ? (
+                            <FaToggleOn className="text-lg" />
+                          ) : (
+                            <FaToggleOff className="text-lg" />
+                          )}
+                          {review.isSelected ? 'Selected' : 'Select'}
+                        </button>
                       
-                      <button
-                        onClick={() => handleDeleteReview(review._id)}
-                        disabled={processingIds.has(review._id)}
-                        className="flex items-center gap-2 px-3 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg font-medium text-sm transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-                        title="Delete Review"
-                      >
-                        {processingIds.has(review._id) ? (
-                          <FaSpinner className="animate-spin" />
-                        ) : (
-                          <FaTrash />
-                        )}
-                      </button>
-                    </div>
+                        <button
+                          onClick={() => handleDeleteReview(review._id)}
+                          disabled={processingIds.has(review._id)}
+                          className="flex items-center gap-2 px-3 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg font-medium text-sm transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                          title="Delete Review"
+                        >
+                          {processingIds.has(review._id) ? (
+                            <FaSpinner className="animate-spin" />
+                          ) : (
+                            <FaTrash />
+                          )}
+                        </button>
+                      </div>
+                    )}
                   </div>
                 </div>
               </div>
@@ -0,0 +1,136 @@
+import { useState } from 'react';
+import { useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+
+import { createRole, updateRole } from '../../../../services/operations/roleAPI';
+import { ALL_PERMISSIONS, PERMISSION_GROUPS, validateRole } from '../../../../utils/permissions';
+
+const inputClasses =
+  'w-full px-3 py-2 bg-richblack-700 border border-richblack-600 rounded-md text-sm text-richblack-5 focus:outline-none focus:ring-1 focus:ring-yellow-50';
+const labelClasses = 'mb-1 block text-sm font-medium text-richblack-100';
+
+// Create or edit a role; `role` without an _id is a template to start from
+const RoleEditor = ({ role, onSaved, onCancel }) => {
+  const { token } = useSelector((state) => state.auth);
+  const { user } = useSelector((state) => state.profile);
+  const [name, setName] = useState(role?.name || '');
+  const [description, setDescription] = useState(role?.description || '');
+  const [permissions, setPermissions] = useState(role?.permissions || []);
+  const [saving, setSaving] = useState(false);
+
+  const isEditing = Boolean(role?._id);
+  const fullAccess = permissions.includes(ALL_PERMISSIONS);
+
+  const togglePermission = (permission) =>
+    setPermissions((prev) =>
+      prev.includes(permission) ? prev.filter((id) => id !== permission) : [...prev, permission]
+    );
+
+  const toggleGroup = (group, checked) => {
+    const ids = group.permissions.map((permission) => permission.id);
+    setPermissions((prev) => (checked ? [...new Set([...prev, ...ids])] : prev.filter((id) => !ids.includes(id))));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const data = { name: name.trim(), description: description.trim(), permissions };
+    const error = validateRole(data, isEditing && user?.adminRole?._id === role._id);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    setSaving(true);
+    const saved = isEditing ? await updateRole(role._id, data, token) : await createRole(data, token);
+    setSaving(false);
+    if (saved) onSaved(saved);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold text-richblack-5">{isEditing ? 'Edit Role' : 'New Role'}</h2>
+        <button type="button" onClick={onCancel} className="text-sm text-richblack-300 hover:text-richblack-100">
+          ← Back to Roles
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+        <div>
+          <label className={labelClasses}>Name</label>
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g. Finance"
+            className={inputClasses}
+          />
+        </div>
+        <div>
+          <label className={labelClasses}>Description</label>
+          <input
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            placeholder="What admins with this role look after"
+            className={inputClasses}
+          />
+        </div>
+      </div>
+
+      <div className="space-y-4">
+        <label className="flex items-center gap-2 text-sm font-medium text-richblack-5">
+          <input
+            type="checkbox"
+            checked={fullAccess}
+            onChange={(e) => setPermissions(e.target.checked ? [ALL_PERMISSIONS] : [])}
+          />
+          Full access, including permissions added in future
+        </label>
+
+        {!fullAccess && (
+          <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+            {PERMISSION_GROUPS.map((group) => {
+              const allChecked = group.permissions.every((permission) => permissions.includes(permission.id));
+              return (
+                <fieldset key={group.label} className="rounded-lg border border-richblack-700 p-4">
+                  <legend className="px-1 text-sm font-semibold text-yellow-50">
+                    <label className="flex items-center gap-2">
+                      <input type="checkbox" checked={allChecked} onChange={(e) => toggleGroup(group, e.target.checked)} />
+                      {group.label}
+                    </label>
+                  </legend>
+                  <div className="space-y-2">
+                    {group.permissions.map((permission) => (
+                      <label key={permission.id} className="flex items-center gap-2 text-sm text-richblack-100">
+                        <input
+                          type="checkbox"
+                          checked={permissions.includes(permission.id)}
+                          onChange={() => togglePermission(permission.id)}
+                        />
+                        {permission.label}
+                      </label>
+                    ))}
+                  </div>
+                </fieldset>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      <div className="flex justify-end gap-3">
+        <button type="button" onClick={onCancel} className="px-4 py-2 rounded-md bg-richblack-700 text-richblack-5 hover:bg-richblack-600">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 rounded-md bg-yellow-50 text-richblack-900 font-semibold hover:bg-yellow-25 disabled:opacity-50"
+        >
+          {isEditing ? 'Save Role' : 'Create Role'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default RoleEditor;
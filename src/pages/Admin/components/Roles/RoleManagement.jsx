@@ -0,0 +1,151 @@
+import { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { FaPencilAlt, FaPlus, FaTrash, FaUserShield } from 'react-icons/fa';
+
+import RoleEditor from './RoleEditor';
+import ConfirmationModal from '../../../../components/common/ConfirmationModal';
+import { deleteRole, getRoles } from '../../../../services/operations/roleAPI';
+import { ALL_PERMISSIONS, PERMISSION_GROUPS, ROLE_TEMPLATES } from '../../../../utils/permissions';
+
+const PERMISSION_LABELS = Object.fromEntries(
+  PERMISSION_GROUPS.flatMap((group) => group.permissions).map((permission) => [permission.id, permission.label])
+);
+
+const describePermissions = (permissions = []) => {
+  if (permissions.includes(ALL_PERMISSIONS)) return 'Full access';
+  return permissions.map((permission) => PERMISSION_LABELS[permission] || permission).join(' · ');
+};
+
+// Admin roles and the permissions each one grants. Roles are assigned to admins from User Management.
+const RoleManagement = () => {
+  const { token } = useSelector((state) => state.auth);
+  const [roles, setRoles] = useState([]);
+  const [loading, setLoading] = useState(false);
+  // null: list view, otherwise the role (or template) being edited
+  const [editing, setEditing] = useState(null);
+  const [confirmationModal, setConfirmationModal] = useState(null);
+
+  useEffect(() => {
+    const fetchRoles = async () => {
+      setLoading(true);
+      setRoles(await getRoles(token));
+      setLoading(false);
+    };
+    fetchRoles();
+  }, [token]);
+
+  const handleSaved = (saved) => {
+    setRoles((prev) =>
+      prev.some((role) => role._id === saved._id)
+        ? prev.map((role) => (role._id === saved._id ? { ...role, ...saved } : role))
+        : [...prev, saved]
+    );
+    setEditing(null);
+  };
+
+  const handleDelete = async (roleId) => {
+    setConfirmationModal(null);
+    if (await deleteRole(roleId, token)) {
+      setRoles((prev) => prev.filter((role) => role._id !== roleId));
+    }
+  };
+
+  if (editing) {
+    return <RoleEditor role={editing} onSaved={handleSaved} onCancel={() => setEditing(null)} />;
+  }
+
+  return (
+    <div className="space-y-8">
+      <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+        <div>
+          <h2 className="text-2xl font-semibold text-richblack-5">Roles & Permissions</h2>
+          <p className="text-sm text-richblack-300">
+            Admins without a role keep full access. Assign roles from User Management.
+          </p>
+        </div>
+        <button
+          onClick={() => setEditing({ name: '', description: '', permissions: [] })}
+          className="flex items-center gap-2 px-4 py-2 rounded-md bg-yellow-50 text-richblack-900 font-semibold hover:bg-yellow-25"
+        >
+          <FaPlus /> New Role
+        </button>
+      </div>
+
+      <section className="space-y-3">
+        <h3 className="text-lg font-semibold text-richblack-5">Start from a template</h3>
+        <div className="grid grid-cols-1 gap-3 sm:grid-cols-2 lg:grid-cols-3">
+          {ROLE_TEMPLATES.map((template) => (
+            <button
+              key={template.name}
+              onClick={() => setEditing(template)}
+              className="rounded-lg border border-richblack-700 bg-richblack-800 p-4 text-left hover:border-yellow-50"
+            >
+              <p className="font-semibold text-richblack-5">{template.name}</p>
+              <p className="text-xs text-richblack-300">{template.description}</p>
+            </button>
+          ))}
+        </div>
+      </section>
+
+      {loading ? (
+        <div className="grid h-40 place-items-center">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <section className="space-y-3">
+          <h3 className="text-lg font-semibold text-richblack-5">Roles</h3>
+          {roles.length === 0 ? (
+            <p className="rounded-lg border border-richblack-700 bg-richblack-800 p-6 text-center text-sm text-richblack-300">
+              No roles yet. Every admin has full access.
+            </p>
+          ) : (
+            roles.map((role) => (
+              <div key={role._id} className="flex flex-col gap-3 rounded-lg border border-richblack-700 bg-richblack-800 p-4 md:flex-row md:items-center">
+                <FaUserShield className="hidden text-yellow-50 md:block" size={20} />
+                <div className="flex-1 space-y-1">
+                  <p className="flex items-center gap-2 font-semibold text-richblack-5">
+                    {role.name}
+                    <span className="rounded-full bg-richblack-700 px-2 py-0.5 text-xs text-richblack-300">
+                      {role.userCount || 0} {role.userCount === 1 ? 'admin' : 'admins'}
+                    </span>
+                  </p>
+                  {role.description && <p className="text-xs text-richblack-300">{role.description}</p>}
+                  <p className="text-xs text-yellow-50">{describePermissions(role.permissions)}</p>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setEditing(role)}
+                    className="flex items-center gap-1 px-3 py-1.5 rounded-md bg-richblack-700 text-sm text-richblack-5 hover:bg-richblack-600"
+                  >
+                    <FaPencilAlt size={12} /> Edit
+                  </button>
+                  <button
+                    disabled={role.userCount > 0}
+                    title={role.userCount > 0 ? 'Move its admins to another role first' : 'Delete role'}
+                    onClick={() =>
+                      setConfirmationModal({
+                        text1: `Delete "${role.name}"?`,
+                        text2: 'This role will no longer be available to assign.',
+                        btn1Text: 'Delete',
+                        btn2Text: 'Cancel',
+                        btn1Handler: () => handleDelete(role._id),
+                        btn2Handler: () => setConfirmationModal(null),
+                      })
+                    }
+                    className="flex items-center gap-1 px-3 py-1.5 rounded-md bg-richblack-700 text-sm text-pink-200 hover:bg-richblack-600 disabled:cursor-not-allowed disabled:opacity-50"
+                  >
+                    <FaTrash size={12} />
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </section>
+      )}
+
+      {confirmationModal && <ConfirmationModal modalData={confirmationModal} />}
+    </div>
+  );
+};
+
+export default RoleManagement;
@@ -3,11 +3,13 @@ import { useSelector } from 'react-redux';
 import { FaSpinner, FaVideo, FaCheckCircle, FaTimesCircle, FaCertificate } from 'react-icons/fa';
 import { getStudentProgress } from '../../../../services/operations/adminAPI';
 import { formatDate } from '../../../../utils/dateFormatter';
+import QuizAttemptReview from './QuizAttemptReview';
 
 const ProgressDetails = ({ courseId, studentId }) => {
   const [progress, setProgress] = useState(null);
   const [loading, setLoading] = useState(true);
   const [lastUpdated, setLastUpdated] = useState(new Date());
+  const [reviewAttemptId, setReviewAttemptId] = useState(null);
   const { token } = useSelector((state) => state.auth);
 
   const handleRefresh = async () => {
@@ -133,12 +135,20 @@ const ProgressDetails = ({ courseId, studentId }) => {
                     Section: {result.quiz.section || 'General'}
                   </p>
                 </div>
-                <div className={`px-3 py-1 rounded-full ${
-                  result.passed 
-                    ? 'bg-green-400' 
-                    : 'bg-red-400'
-                }`}>
-                  {result.passed ? 'Passed' : 'Failed'}
+                <div className="flex items-center gap-3">
+                  <button
+                    onClick={() => setReviewAttemptId(result.attemptId || result._id)}
+                    className="px-3 py-1 text-sm bg-richblack-700 text-yellow-50 rounded-lg hover:bg-richblack-800 transition-all duration-200"
+                  >
+                    Review Attempt
+                  </button>
+                  <div className={`px-3 py-1 rounded-full ${
+                    result.passed 
+                      ? 'bg-green-400' 
+                      : 'bg-red-400'
+                  }`}>
+                    {result.passed ? 'Passed' : 'Failed'}
+                  </div>
                 </div>
               </div>
 
@@ -207,6 +217,13 @@ const ProgressDetails = ({ courseId, studentId }) => {
           </div>
         </div>
       )}
+
+      {reviewAttemptId && (
+        <QuizAttemptReview
+          attemptId={reviewAttemptId}
+          onClose={() => setReviewAttemptId(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,148 @@
+import { useEffect, useState } from 'react';
+import { useSelector } from 'react-redux';
+import { FaSpinner, FaTimes, FaCheckCircle, FaTimesCircle } from 'react-icons/fa';
+import { getQuizAttempt } from '../../../../services/operations/quizAPI';
+import { getAttemptQuestions, getOptionOrder } from '../../../../utils/quizShuffler';
+
+// Formats a student's answer to one question for display
+const formatAnswer = (question, answers) => {
+  const answer = answers[question._id];
+
+  switch (question.questionType) {
+    case 'multipleChoice':
+      return (answer || []).map((index) => question.options[index]).join(', ');
+    case 'singleAnswer':
+      return answer !== undefined && answer !== null ? question.options[answer] : '';
+    case 'matchTheFollowing': {
+      const answersToShow = question.answers?.length ? question.answers : question.options;
+      return question.options
+        .map((option, index) => {
+          const match = answers[`${question._id}_${index}`];
+          return `${option} → ${match !== undefined ? answersToShow[match] : '—'}`;
+        })
+        .join('\n');
+    }
+    case 'codeSolve':
+      return answer?.code || '';
+    default:
+      return answer || '';
+  }
+};
+
+const formatCorrectAnswer = (question) => {
+  switch (question.questionType) {
+    case 'multipleChoice':
+      return (question.correctAnswers || []).map((index) => question.options[index]).join(', ');
+    case 'singleAnswer':
+      return question.options[question.correctAnswer];
+    case 'matchTheFollowing': {
+      const answersToShow = question.answers?.length ? question.answers : question.options;
+      return question.options.map((option, index) => `${option} → ${answersToShow[index]}`).join('\n');
+    }
+    case 'shortAnswer':
+      return `Keywords: ${(question.keywords || []).join(', ')}`;
+    default:
+      return null;
+  }
+};
+
+// Shows an attempt from its recorded question ids, in the order the student saw them,
+// with the option order replayed from its seed when the bank still allows it
+const QuizAttemptReview = ({ attemptId, onClose }) => {
+  const { token } = useSelector((state) => state.auth);
+  const [review, setReview] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchAttempt = async () => {
+      const data = await getQuizAttempt(attemptId, token);
+      if (data?.quiz) {
+        const questions = getAttemptQuestions(data.quiz, data.poolQuestions || [], data.attempt);
+        setReview({ ...data, questions });
+      }
+      setLoading(false);
+    };
+
+    fetchAttempt();
+  }, [attemptId, token]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-richblack-800 rounded-xl w-full max-w-3xl max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h2 className="text-xl font-semibold text-richblack-5">Attempt Review</h2>
+            {review && (
+              <p className="text-sm text-richblack-300">
+                {review.quiz.title} · Seed {review.attempt.seed}
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} className="text-richblack-300 hover:text-richblack-5">
+            <FaTimes />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center items-center h-40">
+            <FaSpinner className="animate-spin text-yellow-50 text-3xl" />
+          </div>
+        ) : !review ? (
+          <div className="text-center text-richblack-400 py-8">Attempt details are not available</div>
+        ) : (
+          <div className="space-y-4">
+            {review.questions.map((question, index) => {
+              const answers = review.attempt.answers || {};
+              const result = review.attempt.questionResults?.[question._id];
+              const correctAnswer = formatCorrectAnswer(question);
+
+              return (
+                <div key={question._id} className="bg-richblack-700 p-4 rounded-lg">
+                  <div className="flex justify-between items-start gap-4 mb-3">
+                    <div>
+                      <p className="text-xs text-richblack-300 mb-1">
+                        Question {index + 1}{question.fromPool && ' · drawn from bank'}
+                      </p>
+                      <p className="text-richblack-5 font-medium">{question.questionText}</p>
+                    </div>
+                    {result && (
+                      <span className={`flex items-center gap-1 text-sm shrink-0 ${result.correct ? 'text-green-400' : 'text-red-400'}`}>
+                        {result.correct ? <FaCheckCircle /> : <FaTimesCircle />}
+                        {result.score}/{question.marks}
+                      </span>
+                    )}
+                  </div>
+
+                  {question.optionOrder && (
+                    <p className="text-xs text-richblack-400 mb-2">
+                      Shown as: {getOptionOrder(question).map((optionIndex) => question.options[optionIndex]).join(' | ')}
+                    </p>
+                  )}
+
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+                    <div>
+                      <p className="text-richblack-300 mb-1">Student answer</p>
+                      <pre className="bg-richblack-800 p-2 rounded whitespace-pre-wrap text-richblack-100 font-sans">
+                        {formatAnswer(question, answers) || 'Not answered'}
+                      </pre>
+                    </div>
+                    {correctAnswer && (
+                      <div>
+                        <p className="text-richblack-300 mb-1">Correct answer</p>
+                        <pre className="bg-richblack-800 p-2 rounded whitespace-pre-wrap text-richblack-100 font-sans">
+                          {correctAnswer}
+                        </pre>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuizAttemptReview;
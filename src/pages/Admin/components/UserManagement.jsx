@@ -1,6 +1,8 @@
 import { useEffect, useState, useCallback } from "react";
 import { useSelector } from "react-redux";
 import { getAllUsers, createUser, updateUser, deleteUser, toggleUserStatus } from "../../../services/operations/adminAPI";
+import { assignRole, getRoles } from "../../../services/operations/roleAPI";
+import usePermissions from "../../../hooks/usePermissions";
 import { FaEdit, FaTrash, FaEye, FaEyeSlash, FaUser, FaPlus, FaSearch, FaCopy, FaFileCsv, FaFileExcel, FaFilePdf, FaPrint } from "react-icons/fa";
 import ConfirmationModal from "../../../components/common/ConfirmationModal";
 import { toast } from "react-hot-toast";
@@ -11,6 +13,13 @@ import { saveAs } from 'file-saver';
 
 const UserManagement = () => {
   const { token } = useSelector((state) => state.auth);
+  const can = usePermissions();
+  const canManageUsers = can('users.manage');
+  const canDeleteUsers = can('users.delete');
+  // only admins who manage roles may create admins or change what they can do
+  const canManageRoles = can('roles.manage');
+  // changing, deactivating or deleting an admin account also takes roles.manage
+  const canActOn = (user) => user.accountType !== 'Admin' || canManageRoles;
   const [users, setUsers] = useState([]); // Initialize as empty array
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -21,6 +30,8 @@ const UserManagement = () => {
   const [deletingUserId, setDeletingUserId] = useState(null);
   const [togglingUserId, setTogglingUserId] = useState(null);
   const [searchTerm, setSearchTerm] = useState("");
+  const [roles, setRoles] = useState([]);
+  const [roleId, setRoleId] = useState("");
   const [formData, setFormData] = useState({
     firstName: "",
     lastName: "",
@@ -131,11 +142,26 @@ const UserManagement = () => {
     };
   }, [loadUsers, token]);
 
+  useEffect(() => {
+    if (canManageRoles) {
+      getRoles(token).then(setRoles);
+    }
+  }, [canManageRoles, token]);
+
+  // Gives an admin account the chosen role; no role means full access
+  const saveAdminRole = async (user) => {
+    if (!canManageRoles || formData.accountType !== 'Admin') return;
+    if (roleId === (user.adminRole?._id || "")) return;
+    await assignRole(user._id, roleId || null, token);
+  };
+
   const handleCreateUser = async (e) => {
     e.preventDefault();
     try {
       const result = await createUser(formData, token);
+      await saveAdminRole(result);
       setShowCreateModal(false);
+      setRoleId("");
       setFormData({
         firstName: "",
         lastName: "",
@@ -155,8 +181,10 @@ const UserManagement = () => {
     e.preventDefault();
     try {
       const result = await updateUser(selectedUser._id, formData, token);
+      await saveAdminRole(selectedUser);
       setShowEditModal(false);
       setSelectedUser(null);
+      setRoleId("");
       setFormData({
         firstName: "",
         lastName: "",
@@ -235,7 +263,7 @@ const UserManagement = () => {
     'User ID': user._id,
     'User Name': `${user.firstName} ${user.lastName}`,
     'Email': user.email,
-    'Role': user.accountType,
+    'Role': user.adminRole ? `${user.accountType} (${user.adminRole.name})` : user.accountType,
     'Contact': user.additionalDetails?.contactNumber || 'N/A',
     'Status': user.active ? 'Active' : 'Inactive'
   });
@@ -425,6 +453,7 @@ const UserManagement = () => {
       accountType: user.accountType,
       contactNumber: user.additionalDetails?.contactNumber || ""
     });
+    setRoleId(user.adminRole?._id || "");
     setShowEditModal(true);
   };
 
@@ -435,13 +464,15 @@ const UserManagement = () => {
         <div className="space-y-4">
           <div className="flex justify-between items-center">
             <h4 className="text-2xl font-semibold">User Management</h4>
-            <button
-              onClick={() => setShowCreateModal(true)}
-              className="bg-yellow-50 text-richblack-900 px-4 py-2 rounded-lg flex items-center gap-2 hover:bg-yellow-100 transition-all duration-200"
-            >
-              <FaPlus size={16} />
-              Add New User
-            </button>
+            {canManageUsers && (
+              <button
+                onClick={() => setShowCreateModal(true)}
+                className="bg-yellow-50 text-richblack-900 px-4 py-2 rounded-lg flex items-center gap-2 hover:bg-yellow-100 transition-all duration-200"
+              >
+                <FaPlus size={16} />
+                Add New User
+              </button>
+            )}
           </div>
 
           {/* Stats Cards */}
@@ -586,13 +617,26 @@ const UserManagement = () => {
                 <select
                   value={formData.accountType}
                   onChange={(e) => setFormData({...formData, accountType: e.target.value})}
-                  className="w-full bg-richblack-700 rounded-lg p-3"
+                  className="w-full bg-richblack-700 rounded-lg p-3 disabled:opacity-50"
+                  disabled={!canManageRoles && formData.accountType === 'Admin'}
                   required
                 >
                   <option value="Student">Student</option>
                   <option value="Instructor">Instructor</option>
-                  <option value="Admin">Admin</option>
+                  {(canManageRoles || formData.accountType === 'Admin') && <option value="Admin">Admin</option>}
                 </select>
+                {canManageRoles && formData.accountType === 'Admin' && (
+                  <select
+                    value={roleId}
+                    onChange={(e) => setRoleId(e.target.value)}
+                    className="w-full bg-richblack-700 rounded-lg p-3"
+                  >
+                    <option value="">Full access (no role)</option>
+                    {roles.map((role) => (
+                      <option key={role._id} value={role._id}>{role.name}</option>
+                    ))}
+                  </select>
+                )}
                 <input
                   type="tel"
                   placeholder="Contact Number"
@@ -604,7 +648,10 @@ const UserManagement = () => {
               <div className="flex justify-end space-x-4 mt-6">
                 <button
                   type="button"
-                  onClick={() => setShowCreateModal(false)}
+                  onClick={() => {
+                    setShowCreateModal(false);
+                    setRoleId("");
+                  }}
                   className="bg-richblack-700 px-4 py-2 rounded-lg"
                 >
                   Cancel
@@ -655,13 +702,26 @@ const UserManagement = () => {
                 <select
                   value={formData.accountType}
                   onChange={(e) => setFormData({...formData, accountType: e.target.value})}
-                  className="w-full bg-richblack-700 rounded-lg p-3"
+                  className="w-full bg-richblack-700 rounded-lg p-3 disabled:opacity-50"
+                  disabled={!canManageRoles && formData.accountType === 'Admin'}
                   required
                 >
                   <option value="Student">Student</option>
                   <option value="Instructor">Instructor</option>
-                  <option value="Admin">Admin</option>
+                  {(canManageRoles || formData.accountType === 'Admin') && <option value="Admin">Admin</option>}
                 </select>
+                {canManageRoles && formData.accountType === 'Admin' && (
+                  <select
+                    value={roleId}
+                    onChange={(e) => setRoleId(e.target.value)}
+                    className="w-full bg-richblack-700 rounded-lg p-3"
+                  >
+                    <option value="">Full access (no role)</option>
+                    {roles.map((role) => (
+                      <option key={role._id} value={role._id}>{role.name}</option>
+                    ))}
+                  </select>
+                )}
                 <input
                   type="tel"
                   placeholder="Contact Number"
@@ -758,6 +818,9 @@ const UserManagement = () => {
                         <span className={`px-3 py-1 rounded-full text-xs font-medium ${getAccountTypeColor(user.accountType)}`}>
                           {user.accountType}
                         </span>
+                        {user.adminRole && (
+                          <div className="mt-1 text-xs text-richblack-300">{user.adminRole.name}</div>
+                        )}
                       </td>
                       <td className="p-4 text-richblack-100">{user.additionalDetails?.contactNumber || 'N/A'}</td>
                       <td className="p-4">
@@ -769,52 +832,58 @@ const UserManagement = () => {
                       </td>
                       <td className="p-4">
                         <div className="flex items-center gap-2">
-                          <button
-                            onClick={() => handleToggleUserStatus(user._id)}
-                            className={`p-3 rounded-lg transition-colors duration-200 ${
-                              user.active 
-                                ? 'text-green-500 hover:bg-green-500 hover:bg-opacity-20' 
-                                : 'text-gray-500 hover:bg-gray-500 hover:bg-opacity-20'
-                            }`}
-                            disabled={togglingUserId === user._id}
-                            title={user.active ? 'Deactivate User' : 'Activate User'}
-                          >
-                            {togglingUserId === user._id ? (
-                              <div className="w-4 h-4 animate-spin rounded-full border-b-2 border-green-500"/>
-                            ) : (
-                              user.active ? <FaEye size={16} /> : <FaEyeSlash size={16} />
-                            )}
-                          </button>
-                          <button
-                            onClick={() => handleEditClick(user)}
-                            className="text-yellow-50 hover:text-yellow-100"
-                            title="Edit User"
-                          >
-                            <FaEdit size={16} />
-                          </button>
-                          <button
-                            onClick={() => {
-                              setConfirmationModal({
-                                text1: "Delete User?",
-                                text2: "This action cannot be undone. The user will be permanently deleted.",
-                                btn1Text: "Delete",
-                                btn2Text: "Cancel",
-                                btn1Handler: () => handleDeleteUser(user._id),
-                                btn2Handler: () => setConfirmationModal(null),
-                              })
-                            }}
-                            disabled={deletingUserId === user._id}
-                            className={`text-red-500 hover:text-red-600 ${
-                              deletingUserId === user._id ? 'opacity-50 cursor-not-allowed' : ''
-                            }`}
-                            title="Delete User"
-                          >
-                            {deletingUserId === user._id ? (
-                              <div className="w-4 h-4 animate-spin rounded-full border-b-2 border-red-500"/>
-                            ) : (
-                              <FaTrash size={16} />
-                            )}
-                          </button>
+                          {canManageUsers && canActOn(user) && (
+                            <>
+                              <button
+                                onClick={() => handleToggleUserStatus(user._id)}
+                                className={`p-3 rounded-lg transition-colors duration-200 ${
+                                  user.active 
+                                    ? 'text-green-500 hover:bg-green-500 hover:bg-opacity-20' 
+                                    : 'text-gray-500 hover:bg-gray-500 hover:bg-opacity-20'
+                                }`}
+                                disabled={togglingUserId === user._id}
+                                title={user.active ? 'Deactivate User' : 'Activate User'}
+                              >
+                                {togglingUserId === user._id ? (
+                                  <div className="w-4 h-4 animate-spin rounded-full border-b-2 border-green-500"/>
+                                ) : (
+                                  user.active ? <FaEye size={16} /> : <FaEyeSlash size={16} />
+                                )}
+                              </button>
+                              <button
+                                onClick={() => handleEditClick(user)}
+                                className="text-yellow-50 hover:text-yellow-100"
+                                title="Edit User"
+                              >
+                                <FaEdit size={16} />
+                              </button>
+                            </>
+                          )}
+                          {canDeleteUsers && canActOn(user) && (
+                            <button
+                              onClick={() => {
+                                setConfirmationModal({
+                                  text1: "Delete User?",
+                                  text2: "This action cannot be undone. The user will be permanently deleted.",
+                                  btn1Text: "Delete",
+                                  btn2Text: "Cancel",
+                                  btn1Handler: () => handleDeleteUser(user._id),
+                                  btn2Handler: () => setConfirmationModal(null),
+                                })
+                              }}
+                              disabled={deletingUserId === user._id}
+                              className={`text-red-500 hover:text-red-600 ${
+                                deletingUserId === user._id ? 'opacity-50 cursor-not-allowed' : ''
+                              }`}
+                              title="Delete User"
+                            >
+                              {deletingUserId === user._id ? (
+                                <div className="w-4 h-4 animate-spin rounded-full border-b-2 border-red-500"/>
+                              ) : (
+                                <FaTrash size={16} />
+                              )}
+                            </button>
+                          )}
                         </div>
                       </td>
                     </tr>
@@ -858,6 +927,9 @@ const UserManagement = () => {
                           <span className={`px-2 py-1 rounded text-xs font-medium whitespace-nowrap ${getAccountTypeColor(user.accountType)}`}>
                             {user.accountType}
                           </span>
+                          {user.adminRole && (
+                            <p className="mt-1 text-xs text-richblack-300 text-right">{user.adminRole.name}</p>
+                          )}
                         </div>
                       </div>
                     </div>
@@ -876,48 +948,54 @@ const UserManagement = () => {
                   </div>
                   
                   <div className="flex justify-center gap-4 pt-2 border-t border-richblack-600">
-                    <button
-                      onClick={() => handleToggleUserStatus(user._id)}
-                      className={`p-2 rounded-full ${user.active ? 'text-green-500 bg-green-500/10' : 'text-gray-500 bg-gray-500/10'} hover:bg-opacity-20 transition-colors`}
-                      disabled={togglingUserId === user._id}
-                      title={user.active ? 'Deactivate User' : 'Activate User'}
-                    >
-                      {togglingUserId === user._id ? (
-                        <div className="w-4 h-4 animate-spin rounded-full border-b-2 border-green-500"/>
-                      ) : (
-                        user.active ? <FaEye size={14} /> : <FaEyeSlash size={14} />
-                      )}
-                    </button>
-                    <button
-                      onClick={() => handleEditClick(user)}
-                      className="p-2 rounded-full text-yellow-50 bg-yellow-50/10 hover:bg-yellow-50/20 transition-colors"
-                      title="Edit User"
-                    >
-                      <FaEdit size={14} />
-                    </button>
-                    <button
-                      onClick={() => {
-                        setConfirmationModal({
-                          text1: "Delete User?",
-                          text2: "This action cannot be undone. The user will be permanently deleted.",
-                          btn1Text: "Delete",
-                          btn2Text: "Cancel",
-                          btn1Handler: () => handleDeleteUser(user._id),
-                          btn2Handler: () => setConfirmationModal(null),
-                        })
-                      }}
-                      disabled={deletingUserId === user._id}
-                      className={`p-2 rounded-full text-red-500 bg-red-500/10 hover:bg-red-500/20 transition-colors ${
-                        deletingUserId === user._id ? 'opacity-50 cursor-not-allowed' : ''
-                      }`}
-                      title="Delete User"
-                    >
-                      {deletingUserId === user._id ? (
-                        <div className="w-4 h-4 animate-spin rounded-full border-b-2 border-red-500"/>
-                      ) : (
-                        <FaTrash size={14} />
-                      )}
-                    </button>
+                    {canManageUsers && canActOn(user) && (
+                      <>
+                        <button
+                          onClick={() => handleToggleUserStatus(user._id)}
+                          className={`p-2 rounded-full ${user.active ? 'text-green-500 bg-green-500/10' : 'text-gray-500 bg-gray-500/10'} hover:bg-opacity-20 transition-colors`}
+                          disabled={togglingUserId === user._id}
+                          title={user.active ? 'Deactivate User' : 'Activate User'}
+                        >
+                          {togglingUserId === user._id ? (
+                            <div className="w-4 h-4 animate-spin rounded-full border-b-2 border-green-500"/>
+                          ) : (
+                            user.active ? <FaEye size={14} /> : <FaEyeSlash size={14} />
+                          )}
+                        </button>
+                        <button
+                          onClick={() => handleEditClick(user)}
+                          className="p-2 rounded-full text-yellow-50 bg-yellow-50/10 hover:bg-yellow-50/20 transition-colors"
+                          title="Edit User"
+                        >
+                          <FaEdit size={14} />
+                        </button>
+                      </>
+                    )}
+                    {canDeleteUsers && canActOn(user) && (
+                      <button
+                        onClick={() => {
+                          setConfirmationModal({
+                            text1: "Delete User?",
+                            text2: "This action cannot be undone. The user will be permanently deleted.",
+                            btn1Text: "Delete",
+                            btn2Text: "Cancel",
+                            btn1Handler: () => handleDeleteUser(user._id),
+                            btn2Handler: () => setConfirmationModal(null),
+                          })
+                        }}
+                        disabled={deletingUserId === user._id}
+                        className={`p-2 rounded-full text-red-500 bg-red-500/10 hover:bg-red-500/20 transition-colors ${
+                          deletingUserId === user._id ? 'opacity-50 cursor-not-allowed' : ''
+                        }`}
+                        title="Delete User"
+                      >
+                        {deletingUserId === user._id ? (
+                          <div className="w-4 h-4 animate-spin rounded-full border-b-2 border-red-500"/>
+                        ) : (
+                          <FaTrash size={14} />
+                        )}
+                      </button>
+                    )}
                   </div>
                 </div>
               ))
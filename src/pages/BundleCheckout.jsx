@@ -1,14 +1,28 @@
-import React, { useState } from "react"
+import React, { useEffect, useMemo, useState } from "react"
 import { useLocation, useNavigate } from "react-router-dom"
 import { useSelector } from "react-redux"
 import { motion } from "framer-motion"
 import { buyCourse } from "../services/operations/studentFeaturesAPI"
 import CouponInput from "../components/core/Dashboard/Cart/CouponInput"
+import PaymentMethodSelector from "../components/core/Dashboard/Cart/PaymentMethodSelector"
+import { getDefaultGatewayName, getPaymentGateway } from "../services/paymentGateways"
 import { useDispatch } from "react-redux"
 import { FiArrowLeft, FiShoppingCart, FiCheck, FiStar, FiClock, FiUsers } from "react-icons/fi"
 import RatingStars from "../components/common/RatingStars"
 import { apiConnector } from "../services/apiConnector"
 import { courseAccessEndpoints } from "../services/apis"
+import { getBundlePricing } from "../services/operations/bundleAPI"
+import { priceBundle, priceFixedBundle } from "../utils/bundlePricing"
+import {
+  TAX_REGIONS,
+  applyOrderDiscount,
+  applyTax,
+  formatCurrency,
+  getCouponDiscount,
+  roundCurrency,
+  toCartCoupon,
+} from "../utils/cartPricing"
+import { setTaxRegion } from "../slices/cartSlice"
 import toast from "react-hot-toast"
 
 function BundleCheckout() {
@@ -17,14 +31,52 @@ function BundleCheckout() {
   const dispatch = useDispatch()
   const { token } = useSelector((state) => state.auth)
   const { user } = useSelector((state) => state.profile)
-  const [couponDiscount, setCouponDiscount] = useState(0)
+  const { taxRegion } = useSelector((state) => state.cart)
+  const [coupon, setCoupon] = useState(null)
+  const [gateway, setGateway] = useState(getDefaultGatewayName)
 
-  const handleCouponApply = (discountDetails) => {
-    const discountAmount = discountDetails.discountAmount;
-    setCouponDiscount(discountAmount);
+  // CouponInput reports a cancelled coupon as a zero discount
+  const handleCouponApply = (couponData) => {
+    setCoupon(couponData?.code ? toCartCoupon(couponData.code, couponData) : null)
   }
 
-  const selectedCourses = state?.selectedCourses || []
+  const [bundleRules, setBundleRules] = useState([])
+  const [pricingLoading, setPricingLoading] = useState(true)
+
+  // prices come from the bundle rules, never from what the catalog passed along
+  useEffect(() => {
+    getBundlePricing().then((rules) => {
+      setBundleRules(rules)
+      setPricingLoading(false)
+    })
+  }, [])
+
+  const bundle = state?.bundleId ? bundleRules.find((rule) => rule._id === state.bundleId) : null
+  const selectedCourses = state?.bundleId ? bundle?.courses || [] : state?.selectedCourses || []
+
+  const quote = useMemo(() => {
+    if (bundle) return priceFixedBundle(bundle)
+    // only the paid courses are charged; free ones go through an access request
+    const courses = (state?.selectedCourses || [])
+      .filter((course) => course.courseType !== "Free")
+      .map((course) => ({ ...course, category: course.category || state?.categoryId }))
+    return priceBundle(courses, bundleRules)
+  }, [bundle, bundleRules, state])
+
+  // The coupon comes off the bundle price before GST, which is charged the same way as in the cart
+  const couponDiscount = getCouponDiscount(coupon, quote.finalPrice)
+  const taxed = useMemo(
+    () => applyTax(applyOrderDiscount(quote.items, couponDiscount), taxRegion),
+    [quote, couponDiscount, taxRegion]
+  )
+
+  if (pricingLoading) {
+    return (
+      <div className="min-h-screen bg-richblack-900 grid place-items-center">
+        <div className="spinner"></div>
+      </div>
+    )
+  }
 
   if (!selectedCourses.length) {
     return (
@@ -44,39 +96,32 @@ function BundleCheckout() {
     )
   }
 
-  const getOriginalPrice = () => {
-    return selectedCourses.reduce((total, course) => {
-      return total + (course.courseType === 'Free' ? 0 : course.price)
-    }, 0)
-  }
-
-  const getBundleDiscount = () => {
-    if (selectedCourses.length >= 3) return 0.15 // 15% discount for 3+ courses
-    if (selectedCourses.length >= 2) return 0.10 // 10% discount for 2+ courses
-    return 0
+  // the server prices the bundle again from the same rules and rejects a mismatch
+  const bundleCheckout = {
+    bundleId: bundle?._id || null,
+    ruleId: quote.rule?._id || null,
+    items: taxed.items,
+    taxRegion,
+    subtotal: quote.originalPrice,
+    discount: roundCurrency(quote.discount + couponDiscount),
+    tax: taxed.tax,
+    totalAmount: taxed.total,
   }
+  const couponData = couponDiscount > 0 ? { code: coupon.code, discountAmount: couponDiscount } : null
 
-  const getFinalPrice = () => {
-    const originalPrice = getOriginalPrice()
-    const discount = getBundleDiscount()
-    return Math.round(originalPrice * (1 - discount))
-  }
-
-  const getSavings = () => {
-    return getOriginalPrice() - getFinalPrice()
-  }
-
-  const isAllFree = selectedCourses.every(course => course.courseType === 'Free')
+  const isAllFree = !bundle && selectedCourses.every(course => course.courseType === 'Free')
   const freeCourses = selectedCourses.filter(course => course.courseType === 'Free')
   const paidCourses = selectedCourses.filter(course => course.courseType !== 'Free')
 
   const handleBuyBundle = async () => {
-    const finalPrice = Math.max(0, getFinalPrice() - couponDiscount)
     const courseIds = selectedCourses.map(course => course._id)
     const paidCourseIds = paidCourses.map(course => course._id)
     const freeCourseIds = freeCourses.map(course => course._id)
     
-    if (isAllFree) {
+    if (bundle) {
+      // Curated bundle: every course is bought together at the bundle price
+      buyCourse(token, courseIds, user, navigate, dispatch, couponData, bundleCheckout, gateway)
+    } else if (isAllFree) {
       // Scenario 1: All courses are free - request access from admin
       try {
         const response = await apiConnector("POST", 
@@ -95,26 +140,16 @@ function BundleCheckout() {
         toast.error("Failed to send bundle access request")
       }
     } else if (paidCourses.length > 0 && freeCourses.length === 0) {
-      // Scenario 2: All courses are paid - check payment requirement
-      if (finalPrice !== 0) {
-        toast.error("First pay the course amount.")
-        return
-      }
-      // Proceed with payment for all paid courses
-      buyCourse(token, paidCourseIds, user, navigate, dispatch)
+      // Scenario 2: All courses are paid - pay through the selected gateway
+      buyCourse(token, paidCourseIds, user, navigate, dispatch, couponData, bundleCheckout, gateway)
     } else if (paidCourses.length > 0 && freeCourses.length > 0) {
       // Scenario 3: Mixed bundle (paid + free courses)
-      if (finalPrice !== 0) {
-        toast.error("First pay the course amount.")
-        return
-      }
-      
       // First, process payment for paid courses
       try {
-        const paymentResult = await buyCourse(token, paidCourseIds, user, navigate, dispatch)
+        const paymentResult = await buyCourse(token, paidCourseIds, user, navigate, dispatch, couponData, bundleCheckout, gateway)
         
         // After successful payment, request access for free courses
-        if (paymentResult !== false) { // Assuming buyCourse returns false on failure
+        if (paymentResult) {
           try {
             const response = await apiConnector("POST", 
               courseAccessEndpoints.REQUEST_BUNDLE_ACCESS_API,
@@ -158,7 +193,7 @@ function BundleCheckout() {
           
           <div className="flex items-center gap-2 sm:gap-4 mb-2">
             <FiShoppingCart className="text-yellow-50 text-2xl sm:text-3xl" />
-            <h1 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-richblack-5">Bundle Checkout</h1>
+            <h1 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-richblack-5">{bundle?.name || "Bundle Checkout"}</h1>
           </div>
           <p className="text-richblack-300 text-sm sm:text-base lg:text-lg">
             Complete your purchase and start your learning journey with {selectedCourses.length} courses
@@ -251,7 +286,7 @@ function BundleCheckout() {
               <div className="space-y-3 sm:space-y-4 mb-4 sm:mb-6">
                 {/* Coupon Input */}
                 <CouponInput 
-                  totalAmount={getOriginalPrice()} 
+                  totalAmount={quote.finalPrice} 
                   onCouponApply={handleCouponApply}
                   checkoutType="bundle"
                 />
@@ -263,40 +298,72 @@ function BundleCheckout() {
                 
                 <div className="flex justify-between text-richblack-300 text-sm sm:text-base">
                   <span>Original Price:</span>
-                  <span className="font-semibold">₹{getOriginalPrice()}</span>
+                  <span className="font-semibold">{formatCurrency(quote.originalPrice)}</span>
                 </div>
 
-                {getBundleDiscount() > 0 && (
+                {quote.discount > 0 && (
                   <>
                     <div className="flex justify-between text-green-400 text-sm sm:text-base">
-                      <span className="text-richblack-100">Bundle Discount ({Math.round(getBundleDiscount() * 100)}%):</span>
-                      <span className="font-bold text-green-400">-₹{getSavings()}</span>
+                      <span className="text-richblack-100">{bundle ? "Bundle Saving" : quote.rule?.name || "Bundle Discount"} ({quote.discountPercent}%):</span>
+                      <span className="font-bold text-green-400">-{formatCurrency(quote.discount)}</span>
                     </div>
                     
                     <div className="bg-gradient-to-r from-green-900/30 to-green-800/30 border border-green-600 rounded-lg p-3 sm:p-4">
                       <div className="flex items-center gap-2 text-white text-xs sm:text-sm font-semibold">
                         <FiCheck className="w-4 h-4 sm:w-5 sm:h-5 text-green-400 flex-shrink-0" />
-                        <span>🎉 You're saving ₹{getSavings()} with this bundle!</span>
+                        <span>🎉 You're saving {formatCurrency(quote.discount)} with this bundle!</span>
                       </div>
                     </div>
                   </>
                 )}
                 
-                <hr className="border-richblack-600" />
-                
                 {couponDiscount > 0 && (
                   <div className="flex justify-between text-green-400 text-sm sm:text-base">
-                    <span>Coupon Discount:</span>
-                    <span className="font-bold text-green-400">-₹{couponDiscount}</span>
+                    <span>Coupon Discount ({coupon.code}):</span>
+                    <span className="font-bold text-green-400">-{formatCurrency(couponDiscount)}</span>
+                  </div>
+                )}
+
+                {!isAllFree && (
+                  <div className="space-y-2">
+                    <label className="block text-sm font-medium text-richblack-300">
+                      Billing state
+                      <select
+                        value={taxRegion}
+                        onChange={(e) => dispatch(setTaxRegion(e.target.value))}
+                        className="mt-1 w-full px-3 py-2 bg-richblack-700 border border-richblack-600 rounded-md text-richblack-5 text-sm"
+                      >
+                        {TAX_REGIONS.map((region) => (
+                          <option key={region.code} value={region.code}>{region.name}</option>
+                        ))}
+                      </select>
+                    </label>
+                    {taxed.taxBreakdown.map((tax) => (
+                      <div key={tax.name} className="flex justify-between text-richblack-300 text-sm sm:text-base">
+                        <span>{tax.name} ({tax.rate}%):</span>
+                        <span className="font-semibold">{formatCurrency(tax.amount)}</span>
+                      </div>
+                    ))}
+                    {taxed.taxBreakdown.length === 0 && (
+                      <p className="text-xs text-richblack-400">No GST is charged outside India</p>
+                    )}
                   </div>
                 )}
 
+                <hr className="border-richblack-600" />
+                
                 <div className="flex justify-between text-lg sm:text-xl font-bold text-richblack-5">
                   <span>Total Amount:</span>
-                  <span className="text-yellow-50">₹{Math.max(0, getFinalPrice() - couponDiscount)}</span>
+                  <span className="text-yellow-50">{formatCurrency(taxed.total)}</span>
                 </div>
               </div>
 
+              {!isAllFree && (
+                <div className="mb-4">
+                  <PaymentMethodSelector value={gateway} onChange={setGateway} />
+                </div>
+              )}
+
               <div className="space-y-3 sm:space-y-4">
                 <button
                   onClick={handleBuyBundle}
@@ -339,7 +406,7 @@ function BundleCheckout() {
                       <span>Your request will be reviewed by admin</span>
                     ) : (
                       <>
-                        <span>Secure payment powered by Razorpay</span>
+                        <span>Secure payment powered by {getPaymentGateway(gateway).label}</span>
                         {freeCourses.length > 0 && (
                           <div className="mt-2 text-xs text-yellow-100">
                             Note: Free course access will be requested after payment completion
@@ -220,7 +220,7 @@ function Catalog() {
 
 
             {/* Bundle Course Section */}
-            <BundleCourseSection courses={catalogPageData?.selectedCategory?.courses} />
+            <BundleCourseSection courses={catalogPageData?.selectedCategory?.courses} categoryId={categoryId} />
 
             <ImprovedFooter />
         </>
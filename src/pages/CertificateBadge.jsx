@@ -0,0 +1,84 @@
+import { Link, useParams } from 'react-router-dom';
+import useCertificateBadge from '../hooks/useCertificateBadge';
+import BadgeShareOptions from '../components/core/Certificate/BadgeShareOptions';
+import QuickLinks from '../components/common/QuickLinks';
+import { formatDate } from '../utils/dateFormatter';
+import { getBadgeDetails } from '../utils/openBadge';
+
+// Public page for a certificate's Open Badge, linked from LinkedIn and shared badge links
+export default function CertificateBadge() {
+  const { certificateId } = useParams();
+  const { credential, badgeImage, loading } = useCertificateBadge(certificateId);
+  const details = credential ? getBadgeDetails(credential) : null;
+
+  return (
+    <div className="min-h-[calc(100vh-3.5rem)] flex flex-col bg-richblack-900">
+      <div className="flex-1 py-12 px-4">
+        {loading ? (
+          <div className="grid h-64 place-items-center">
+            <div className="spinner"></div>
+          </div>
+        ) : !details ? (
+          <div className="max-w-md mx-auto text-center">
+            <h1 className="text-2xl font-bold text-richblack-5 mb-2">Badge Not Found</h1>
+            <p className="text-richblack-300 mb-6">We could not find a badge for certificate {certificateId}.</p>
+            <Link to="/verify-certificate" className="text-yellow-50 hover:text-yellow-25">
+              Verify a certificate →
+            </Link>
+          </div>
+        ) : (
+          <div className="max-w-3xl mx-auto bg-richblack-800 rounded-lg p-6 sm:p-8">
+            <div className="flex flex-col sm:flex-row gap-8 items-center sm:items-start">
+              {badgeImage && <img src={badgeImage.url} alt={details.name} className="h-48 w-48 flex-shrink-0" />}
+              <div className="space-y-4 text-center sm:text-left">
+                <div>
+                  <h1 className="text-2xl md:text-3xl font-bold text-richblack-5">{details.name}</h1>
+                  <p className="text-richblack-300">
+                    Issued by{' '}
+                    {details.issuerUrl ? (
+                      <a href={details.issuerUrl} target="_blank" rel="noopener noreferrer" className="text-yellow-50 hover:text-yellow-25">
+                        {details.issuerName}
+                      </a>
+                    ) : (
+                      details.issuerName
+                    )}
+                  </p>
+                </div>
+                {details.recipientName && (
+                  <div>
+                    <label className="block text-sm text-richblack-300">Earned by</label>
+                    <p className="text-lg text-richblack-5 font-medium">{details.recipientName}</p>
+                  </div>
+                )}
+                <div>
+                  <label className="block text-sm text-richblack-300">Issued on</label>
+                  <p className="text-richblack-5">{formatDate(details.issuedOn)}</p>
+                </div>
+                {details.description && <p className="text-richblack-100">{details.description}</p>}
+                {details.criteria && (
+                  <div>
+                    <label className="block text-sm text-richblack-300">Earning criteria</label>
+                    <p className="text-richblack-100">{details.criteria}</p>
+                  </div>
+                )}
+                <Link
+                  to={`/verify-certificate/${certificateId}`}
+                  className="inline-block bg-yellow-50 text-richblack-900 px-6 py-2 rounded-lg font-semibold hover:bg-yellow-100 transition-colors duration-200"
+                >
+                  Verify Certificate
+                </Link>
+              </div>
+            </div>
+
+            <div className="mt-8 pt-6 border-t border-richblack-700">
+              <BadgeShareOptions certificateId={certificateId} credential={credential} badgeImage={badgeImage} />
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Quick Links Footer */}
+      <QuickLinks />
+    </div>
+  );
+}
@@ -4,6 +4,8 @@ import { useSelector } from "react-redux"
 import { motion } from "framer-motion"
 import { buyCourse } from "../services/operations/studentFeaturesAPI"
 import CouponInput from "../components/core/Dashboard/Cart/CouponInput"
+import PaymentMethodSelector from "../components/core/Dashboard/Cart/PaymentMethodSelector"
+import { getDefaultGatewayName, getPaymentGateway } from "../services/paymentGateways"
 import { useDispatch } from "react-redux"
 import { FiArrowLeft, FiShoppingCart, FiCheck, FiStar, FiUsers } from "react-icons/fi"
 import RatingStars from "../components/common/RatingStars"
@@ -17,6 +19,7 @@ function CourseCheckout() {
   const { user } = useSelector((state) => state.profile)
   const [couponDiscount, setCouponDiscount] = useState(0)
   const [appliedCoupon, setAppliedCoupon] = useState(null)
+  const [gateway, setGateway] = useState(getDefaultGatewayName)
 
   const handleCouponApply = (discountDetails) => {
     const discountAmount = discountDetails.discountAmount;
@@ -53,18 +56,14 @@ function CourseCheckout() {
   }
 
   const handleBuyCourse = () => {
-    const finalPrice = getFinalPrice()
-    
-    // Check if total amount is not zero - prevent purchase and show popup
-    if (finalPrice !== 0) {
-      toast.error("First pay the course amount.")
+    if (!token) {
+      toast.error("Please login to purchase the course")
+      navigate("/login")
       return
     }
-    
+
     const coursesId = [course._id]
-    
-    // Only proceed if total amount is 0
-    buyCourse(token, coursesId, user, navigate, dispatch, appliedCoupon)
+    buyCourse(token, coursesId, user, navigate, dispatch, appliedCoupon, null, gateway)
   }
 
   return (
@@ -198,6 +197,12 @@ function CourseCheckout() {
                 </div>
               </div>
 
+              {getFinalPrice() > 0 && (
+                <div className="mb-4">
+                  <PaymentMethodSelector value={gateway} onChange={setGateway} />
+                </div>
+              )}
+
               <div className="space-y-4">
                 <button
                   onClick={handleBuyCourse}
@@ -219,7 +224,7 @@ function CourseCheckout() {
               <div className="mt-6 p-4 bg-richblack-700/30 rounded-lg border border-richblack-600">
                 <div className="flex items-center gap-2 text-richblack-300 text-sm">
                   <FiCheck className="text-green-400 w-4 h-4" />
-                  <span>Secure payment powered by Razorpay</span>
+                  <span>Secure payment powered by {getPaymentGateway(gateway).label}</span>
                 </div>
               </div>
             </motion.div>
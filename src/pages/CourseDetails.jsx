@@ -19,7 +19,10 @@ import { buyCourse } from "../services/operations/studentFeaturesAPI"
 
 import GetAvgRating from "../utils/avgRating"
 import { ACCOUNT_TYPE } from './../utils/constants';
-import { addToCart } from "../slices/cartSlice"
+import { getCourseStartPath, hasMembershipAccess } from "../utils/membership"
+import { addCourseToCart } from "../services/operations/cartAPI"
+import { addCourseToWishlist, removeCourseFromWishlist } from "../services/operations/wishlistAPI"
+import { FaHeart, FaRegHeart } from "react-icons/fa"
 
 import { GiReturnArrow } from 'react-icons/gi'
 import { MdOutlineVerified } from 'react-icons/md'
@@ -36,6 +39,8 @@ function CourseDetails() {
   const { token } = useSelector((state) => state.auth)
   const { loading } = useSelector((state) => state.profile)
   const { paymentLoading } = useSelector((state) => state.course)
+  const { wishlist } = useSelector((state) => state.wishlist)
+  const { membership } = useSelector((state) => state.membership)
   const dispatch = useDispatch()
   const navigate = useNavigate()
 
@@ -140,6 +145,10 @@ function CourseDetails() {
     tag
   } = response?.data?.courseDetails
 
+  // an active membership counts as enrollment for the courses its plan covers
+  const includedInMembership =
+    !studentsEnrolled.includes(user?._id) && hasMembershipAccess(membership, response?.data?.courseDetails)
+
   // Buy Course handler
   const handleBuyCourse = () => {
     if (!courseId) {
@@ -174,7 +183,7 @@ function CourseDetails() {
     }
     
     if (token) {
-      dispatch(addToCart(response.data.courseDetails))
+      dispatch(addCourseToCart(response.data.courseDetails, token))
       return
     }
     
@@ -188,6 +197,29 @@ function CourseDetails() {
     })
   }
 
+  const isWishlisted = wishlist.some((item) => item.course?._id === courseId)
+
+  // Wishlist handler - the server notifies the student when the price drops
+  const handleToggleWishlist = () => {
+    if (!token) {
+      setConfirmationModal({
+        text1: "You are not logged in!",
+        text2: "Please login to save courses to your wishlist",
+        btn1Text: "Login",
+        btn2Text: "Cancel",
+        btn1Handler: () => navigate("/login"),
+        btn2Handler: () => setConfirmationModal(null),
+      })
+      return
+    }
+
+    if (isWishlisted) {
+      dispatch(removeCourseFromWishlist(courseId, token))
+    } else if (response?.data?.courseDetails) {
+      dispatch(addCourseToWishlist(response.data.courseDetails, token))
+    }
+  }
+
 
 
   return (
@@ -351,6 +383,20 @@ function CourseDetails() {
                     <p className="text-xs mt-1">This course is managed by {instructor?.firstName} {instructor?.lastName}</p>
                   </div>
                 )
+              ) : includedInMembership ? (
+                /* Student Role - Membership covers the course */
+                <>
+                  <motion.button 
+                    className="bg-yellow-50 text-richblack-900 font-semibold py-3 px-6 rounded-lg hover:bg-yellow-25 transition-all duration-300 shadow-lg"
+                    onClick={() => navigate(getCourseStartPath(response?.data?.courseDetails))}
+                    disabled={!getCourseStartPath(response?.data?.courseDetails)}
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                  >
+                    Start Learning
+                  </motion.button>
+                  <p className="text-center text-sm text-caribbeangreen-100">Included in your {membership.plan?.name} membership</p>
+                </>
               ) : (
                 /* Student Role - Normal buy/request access flow */
                 <>
@@ -370,6 +416,16 @@ function CourseDetails() {
                   >
                     Add to Cart
                   </motion.button>
+                  <motion.button
+                    onClick={handleToggleWishlist}
+                    className="flex items-center justify-center gap-2 bg-richblack-700 text-richblack-25 font-semibold py-3 px-6 rounded-lg border border-richblack-600 hover:bg-richblack-600 transition-all duration-300"
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                    title={isWishlisted ? "Remove from wishlist" : "Add to wishlist"}
+                  >
+                    {isWishlisted ? <FaHeart className="text-pink-400" /> : <FaRegHeart />}
+                    {isWishlisted ? "Wishlisted" : "Wishlist"}
+                  </motion.button>
                 </>
               )}
             </motion.div>
@@ -22,6 +22,7 @@ import {
   deleteChat 
 } from '../../services/operations/chatAPI';
 import ChatWindow from '../../components/core/Chat/ChatWindow';
+import { getMessagePreviewText } from '../../utils/chatAttachments';
 import { formatDistanceToNow } from 'date-fns';
 
 const AdminChats = () => {
@@ -449,7 +450,7 @@ const AdminChats = () => {
                     {chat.lastMessage && (
                       <div className="mt-2">
                         <p className="text-sm text-richblack-400 truncate">
-                          {chat.lastMessage.messageType === 'image' ? '📷 Image' : chat.lastMessage.content}
+                          {getMessagePreviewText(chat.lastMessage)}
                         </p>
                       </div>
                     )}
@@ -2,6 +2,7 @@ import React, { useEffect, useState } from 'react';
 import { useSelector } from 'react-redux';
 import { getUserCertificates } from '../../services/operations/certificateAPI';
 import CertificateModal from '../../components/core/Certificate/CertificateModal';
+import BadgeShareModal from '../../components/core/Certificate/BadgeShareModal';
 import { formatDate } from '../../utils/dateFormatter';
 
 export default function Certificates() {
@@ -9,6 +10,7 @@ export default function Certificates() {
   const [certificates, setCertificates] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedCertificate, setSelectedCertificate] = useState(null);
+  const [sharedCertificate, setSharedCertificate] = useState(null);
 
   useEffect(() => {
     const fetchCertificates = async () => {
@@ -61,10 +63,21 @@ export default function Certificates() {
                   <span className="font-medium">Completed on:</span> {formatDate(certificate.completionDate)}
                 </p>
               </div>
-              <button className="mt-4 text-yellow-50 text-sm font-medium hover:text-yellow-25 transition-colors flex items-center gap-1">
-                View Certificate 
-                <span className="text-xs">→</span>
-              </button>
+              <div className="mt-4 flex items-center justify-between gap-2">
+                <button className="text-yellow-50 text-sm font-medium hover:text-yellow-25 transition-colors flex items-center gap-1">
+                  View Certificate 
+                  <span className="text-xs">→</span>
+                </button>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setSharedCertificate(certificate);
+                  }}
+                  className="text-richblack-200 text-sm font-medium hover:text-yellow-50 transition-colors"
+                >
+                  Share Badge
+                </button>
+              </div>
             </div>
           ))}
         </div>
@@ -76,6 +89,13 @@ export default function Certificates() {
           onClose={() => setSelectedCertificate(null)}
         />
       )}
+
+      {sharedCertificate && (
+        <BadgeShareModal
+          certificate={sharedCertificate}
+          onClose={() => setSharedCertificate(null)}
+        />
+      )}
     </div>
   );
 }
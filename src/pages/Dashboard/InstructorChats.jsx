@@ -5,6 +5,8 @@ import { BsChatDots, BsSearch, BsFilter } from 'react-icons/bs';
 import { IoPersonCircle, IoTime } from 'react-icons/io5';
 import { getInstructorChats, getChatDetails } from '../../services/operations/chatAPI';
 import ChatWindow from '../../components/core/Chat/ChatWindow';
+import useChatPresence from '../../hooks/useChatPresence';
+import { getMessagePreviewText } from '../../utils/chatAttachments';
 import { formatDistanceToNow } from 'date-fns';
 
 const InstructorChats = () => {
@@ -22,6 +24,8 @@ const InstructorChats = () => {
     totalChats: 0
   });
 
+  const presence = useChatPresence(chats.map(chat => chat.student?._id));
+
   // Get unique courses for filter
   const uniqueCourses = [...new Set(chats.map(chat => chat.course?.courseName))].filter(Boolean);
 
@@ -176,15 +180,20 @@ const InstructorChats = () => {
               >
                 <div className="flex items-start gap-3">
                   {/* Student Avatar */}
-                  <div className="w-12 h-12 rounded-full overflow-hidden bg-richblack-600 flex items-center justify-center flex-shrink-0">
-                    {chat.student?.image ? (
-                      <img
-                        src={chat.student.image}
-                        alt={`${chat.student.firstName} ${chat.student.lastName}`}
-                        className="w-full h-full object-cover"
-                      />
-                    ) : (
-                      <IoPersonCircle size={48} className="text-richblack-300" />
+                  <div className="relative flex-shrink-0">
+                    <div className="w-12 h-12 rounded-full overflow-hidden bg-richblack-600 flex items-center justify-center">
+                      {chat.student?.image ? (
+                        <img
+                          src={chat.student.image}
+                          alt={`${chat.student.firstName} ${chat.student.lastName}`}
+                          className="w-full h-full object-cover"
+                        />
+                      ) : (
+                        <IoPersonCircle size={48} className="text-richblack-300" />
+                      )}
+                    </div>
+                    {presence[chat.student?._id]?.online && (
+                      <div className="absolute bottom-0 right-0 w-3 h-3 bg-caribbeangreen-200 rounded-full border-2 border-richblack-800"></div>
                     )}
                   </div>
 
@@ -198,6 +207,13 @@ const InstructorChats = () => {
                         <p className="text-sm text-richblack-300 truncate">
                           {chat.course?.courseName}
                         </p>
+                        {presence[chat.student?._id]?.online ? (
+                          <p className="text-xs text-caribbeangreen-200">Online</p>
+                        ) : presence[chat.student?._id]?.lastSeen && (
+                          <p className="text-xs text-richblack-400">
+                            Last seen {formatLastMessageTime(presence[chat.student._id].lastSeen)}
+                          </p>
+                        )}
                       </div>
                       <div className="flex flex-col items-end gap-1 flex-shrink-0">
                         <div className="flex items-center gap-1 text-xs text-richblack-400">
@@ -216,7 +232,7 @@ const InstructorChats = () => {
                     {chat.lastMessage && (
                       <div className="mt-2">
                         <p className="text-sm text-richblack-400 truncate">
-                          {chat.lastMessage.messageType === 'image' ? '📷 Image' : chat.lastMessage.content}
+                          {getMessagePreviewText(chat.lastMessage)}
                         </p>
                       </div>
                     )}
@@ -0,0 +1,181 @@
+import { useEffect, useState } from "react"
+import { useDispatch, useSelector } from "react-redux"
+import { Link, useLocation, useNavigate, useParams } from "react-router-dom"
+import { toast } from "react-hot-toast"
+import QRCode from "qrcode"
+import { FiCheckCircle, FiClock, FiXCircle } from "react-icons/fi"
+
+import { getPaymentConfig } from "../config/environment"
+import { PAYMENT_STATUS, getPaymentGateway } from "../services/paymentGateways"
+import { getPaymentStatus, verifyPayment } from "../services/operations/studentFeaturesAPI"
+import { resetCart } from "../slices/cartSlice"
+
+// Landing page for payments that don't settle in the checkout itself: UPI intent,
+// Stripe's redirect back and delayed webhooks. Polls until the payment settles.
+export default function PaymentStatus() {
+  const { orderId } = useParams()
+  const { state } = useLocation()
+  const { token } = useSelector((state) => state.auth)
+  const navigate = useNavigate()
+  const dispatch = useDispatch()
+
+  const [status, setStatus] = useState(PAYMENT_STATUS.PENDING)
+  const [timedOut, setTimedOut] = useState(false)
+  const [attempt, setAttempt] = useState(0)
+  const [qrCode, setQrCode] = useState(null)
+
+  const upiUri = state?.upiUri
+
+  useEffect(() => {
+    if (!upiUri) return
+    QRCode.toDataURL(upiUri, { width: 220, margin: 1 })
+      .then(setQrCode)
+      .catch((error) => console.log("UPI QR ERROR............", error))
+  }, [upiUri])
+
+  useEffect(() => {
+    if (status !== PAYMENT_STATUS.PENDING || timedOut) return
+
+    const { STATUS_POLL_INTERVAL, STATUS_POLL_TIMEOUT } = getPaymentConfig()
+    const gateway = state?.gateway ? getPaymentGateway(state.gateway) : null
+    const startedAt = Date.now()
+    let cancelled = false
+    let timer = null
+
+    const checkStatus = async () => {
+      // Gateways that settle in the browser (mock) still go through COURSE_VERIFY_API
+      if (gateway?.getStatus && state?.order) {
+        const result = await gateway.getStatus(state.order)
+        if (result.status !== PAYMENT_STATUS.SUCCESS) return result.status
+        try {
+          await verifyPayment({ ...state.verifyBody, ...result.payment }, token)
+          return PAYMENT_STATUS.SUCCESS
+        } catch (error) {
+          console.log("VERIFY PAYMENT ERROR............", error)
+          return PAYMENT_STATUS.FAILED
+        }
+      }
+
+      const result = await getPaymentStatus(orderId, token)
+      return result?.status || PAYMENT_STATUS.PENDING
+    }
+
+    const poll = async () => {
+      const nextStatus = await checkStatus()
+      if (cancelled) return
+
+      if (nextStatus !== PAYMENT_STATUS.PENDING) {
+        setStatus(nextStatus)
+      } else if (Date.now() - startedAt >= STATUS_POLL_TIMEOUT) {
+        setTimedOut(true)
+      } else {
+        timer = setTimeout(poll, STATUS_POLL_INTERVAL)
+      }
+    }
+
+    timer = setTimeout(poll, STATUS_POLL_INTERVAL)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [status, timedOut, attempt, orderId, state, token])
+
+  useEffect(() => {
+    if (status === PAYMENT_STATUS.SUCCESS) {
+      toast.success("Successfully enrolled in the course!")
+      dispatch(resetCart())
+    }
+  }, [status, dispatch])
+
+  const handleCheckAgain = () => {
+    setTimedOut(false)
+    setAttempt((count) => count + 1)
+  }
+
+  return (
+    <div className="min-h-[calc(100vh-3.5rem)] grid place-items-center bg-richblack-900 px-4 py-12">
+      <div className="w-full max-w-md rounded-2xl border border-richblack-700 bg-richblack-800 p-8 text-center">
+        {status === PAYMENT_STATUS.SUCCESS && (
+          <>
+            <FiCheckCircle className="mx-auto mb-4 h-14 w-14 text-caribbeangreen-200" />
+            <h1 className="mb-2 text-2xl font-bold text-richblack-5">Payment confirmed</h1>
+            <p className="mb-6 text-richblack-300">You are enrolled. Happy learning!</p>
+            <button
+              onClick={() => navigate("/dashboard/enrolled-courses")}
+              className="w-full rounded-lg bg-yellow-50 py-3 font-semibold text-richblack-900 hover:bg-yellow-25"
+            >
+              Go to Enrolled Courses
+            </button>
+          </>
+        )}
+
+        {(status === PAYMENT_STATUS.FAILED || status === PAYMENT_STATUS.CANCELLED) && (
+          <>
+            <FiXCircle className="mx-auto mb-4 h-14 w-14 text-pink-200" />
+            <h1 className="mb-2 text-2xl font-bold text-richblack-5">
+              {status === PAYMENT_STATUS.CANCELLED ? "Payment cancelled" : "Payment failed"}
+            </h1>
+            <p className="mb-6 text-richblack-300">
+              No money was taken. If your account was debited, it will be refunded automatically.
+            </p>
+            <button
+              onClick={() => (state ? navigate(-1) : navigate("/dashboard/cart"))}
+              className="w-full rounded-lg bg-yellow-50 py-3 font-semibold text-richblack-900 hover:bg-yellow-25"
+            >
+              Try again
+            </button>
+          </>
+        )}
+
+        {status === PAYMENT_STATUS.PENDING && (
+          <>
+            <FiClock className="mx-auto mb-4 h-14 w-14 text-yellow-50" />
+            <h1 className="mb-2 text-2xl font-bold text-richblack-5">Waiting for payment</h1>
+
+            {upiUri && (
+              <div className="mb-6 space-y-3">
+                <p className="text-richblack-300">Scan with any UPI app, or open your UPI app on this device.</p>
+                {qrCode && <img src={qrCode} alt="UPI QR code" className="mx-auto rounded-lg bg-white p-2" />}
+                <a href={upiUri} className="inline-block text-sm font-medium text-yellow-50 underline">
+                  Open UPI app
+                </a>
+              </div>
+            )}
+
+            {timedOut ? (
+              <>
+                <p className="mb-6 text-richblack-300">
+                  Your payment is still being confirmed. You will be enrolled automatically once it
+                  goes through - check your purchase history in a few minutes.
+                </p>
+                <div className="flex gap-3">
+                  <button
+                    onClick={handleCheckAgain}
+                    className="flex-1 rounded-lg bg-yellow-50 py-3 font-semibold text-richblack-900 hover:bg-yellow-25"
+                  >
+                    Check again
+                  </button>
+                  <Link
+                    to="/dashboard/purchase-history"
+                    className="flex-1 rounded-lg border border-richblack-600 bg-richblack-700 py-3 font-semibold text-richblack-50 hover:bg-richblack-600"
+                  >
+                    Purchase history
+                  </Link>
+                </div>
+              </>
+            ) : (
+              <>
+                <p className="mb-6 text-richblack-300">
+                  Please keep this page open while we confirm your payment.
+                </p>
+                <div className="spinner mx-auto"></div>
+              </>
+            )}
+          </>
+        )}
+
+        <p className="mt-6 text-xs text-richblack-400">Order {orderId}</p>
+      </div>
+    </div>
+  )
+}
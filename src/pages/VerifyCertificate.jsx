@@ -1,52 +1,180 @@
-import React, { useState, useEffect } from 'react';
-import { useParams } from 'react-router-dom';
-import { verifyCertificate } from '../services/operations/certificateAPI';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Link, useLocation, useParams } from 'react-router-dom';
+import { verifyCertificate, verifySignedCertificate } from '../services/operations/certificateAPI';
+import { CERTIFICATE_CONFIG } from '../config/environment';
 import CourseCertificate from '../components/core/Certificate/CourseCertificate';
+import IssuedCertificate from '../components/core/Certificate/IssuedCertificate';
 import QuickLinks from '../components/common/QuickLinks';
 import { formatDate } from '../utils/dateFormatter';
+import {
+  SIGNATURE_STATUS,
+  extractSignedPayload,
+  extractSignedPayloadFromPdf,
+  hashRecipientEmail,
+} from '../utils/certificateSignature';
+
+const SIGNATURE_MESSAGES = {
+  [SIGNATURE_STATUS.INVALID]: {
+    title: 'Signature Does Not Match',
+    text: 'This certificate was not issued by us as shown, or its details have been altered.',
+  },
+  [SIGNATURE_STATUS.UNKNOWN_KEY]: {
+    title: 'Unknown Signing Key',
+    text: 'The certificate is signed with a key we do not recognise. Connect to the internet and try again.',
+  },
+  [SIGNATURE_STATUS.WRONG_ISSUER]: {
+    title: 'Issued by Someone Else',
+    text: `This certificate is genuinely signed, but not as a ${CERTIFICATE_CONFIG.ISSUER} certificate.`,
+  },
+  [SIGNATURE_STATUS.MALFORMED]: {
+    title: 'Unreadable Certificate Code',
+    text: 'The QR code or pasted text is not a valid certificate code.',
+  },
+  [SIGNATURE_STATUS.UNSUPPORTED]: {
+    title: 'Cannot Check Signature',
+    text: 'This browser can only check signatures on secure (https) pages.',
+  },
+};
+
+const StatusIcon = ({ success }) => (
+  <div className={`inline-flex items-center justify-center w-12 h-12 rounded-full mb-4 ${success ? 'bg-green-500/20' : 'bg-pink-500/20'}`}>
+    <svg className={`w-6 h-6 ${success ? 'text-green-500' : 'text-pink-200'}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      {success ? (
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7"></path>
+      ) : (
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path>
+      )}
+    </svg>
+  </div>
+);
+
+const Detail = ({ label, children, mono = false }) => (
+  <div>
+    <label className="block text-sm text-richblack-300">{label}</label>
+    <p className={`text-richblack-5 ${mono ? 'font-mono' : 'text-lg font-medium'}`}>{children}</p>
+  </div>
+);
 
 export default function VerifyCertificate() {
   const { certificateId: urlCertificateId } = useParams();
+  const location = useLocation();
   const [certificateId, setCertificateId] = useState('');
   const [certificateData, setCertificateData] = useState(null);
+  const [signedResult, setSignedResult] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [showCertificate, setShowCertificate] = useState(false);
+  const [email, setEmail] = useState('');
+  const [emailMatches, setEmailMatches] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const resetResults = useCallback(() => {
+    setError(null);
+    setCertificateData(null);
+    setSignedResult(null);
+    setShowCertificate(false);
+    setEmailMatches(null);
+  }, []);
 
-  const handleVerification = async (id) => {
+  // Signed payloads verify locally; the server record is only needed to show the certificate
+  const handleSignedVerification = useCallback(async (token) => {
+    setLoading(true);
+    resetResults();
+
+    const result = await verifySignedCertificate(token);
+    setSignedResult(result);
+    if (result.status === SIGNATURE_STATUS.VALID && navigator.onLine) {
+      try {
+        setCertificateData(await verifyCertificate(result.payload.cid));
+      } catch (error) {
+        // Revoked or unreachable; the signature result stands on its own
+      }
+    }
+    setLoading(false);
+  }, [resetResults]);
+
+  const handleVerification = useCallback(async (id) => {
     if (!id.trim()) {
       setError("Please enter a certificate ID");
       return;
     }
 
+    const token = extractSignedPayload(id);
+    if (token) {
+      handleSignedVerification(token);
+      return;
+    }
+
     setLoading(true);
-    setError(null);
-    setCertificateData(null);
+    resetResults();
 
     try {
-      const data = await verifyCertificate(id);
+      const data = await verifyCertificate(id.trim());
       setCertificateData(data);
-      setError(null);
+      if (data?.signedPayload) {
+        setSignedResult(await verifySignedCertificate(data.signedPayload));
+      }
     } catch (error) {
       setError(error.message || "Invalid certificate ID");
-      setCertificateData(null);
     } finally {
       setLoading(false);
     }
-  };
+  }, [handleSignedVerification, resetResults]);
 
-  // Auto-verify if certificateId is in URL
+  // Auto-verify if certificateId is in URL; scanned QR codes also carry the signed payload
   useEffect(() => {
-    if (urlCertificateId) {
+    const token = extractSignedPayload(location.hash);
+    if (token) {
+      setCertificateId(urlCertificateId || '');
+      handleSignedVerification(token);
+    } else if (urlCertificateId) {
       setCertificateId(urlCertificateId);
       handleVerification(urlCertificateId);
     }
-  }, [urlCertificateId]);
+  }, [urlCertificateId, location.hash, handleSignedVerification, handleVerification]);
 
   const handleSearch = async () => {
     handleVerification(certificateId);
   };
 
+  const handlePdfUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const token = await extractSignedPayloadFromPdf(file);
+    if (!token) {
+      resetResults();
+      setError("No verification code found in this PDF. Try scanning its QR code instead.");
+      return;
+    }
+    handleSignedVerification(token);
+  };
+
+  const handleEmailCheck = async () => {
+    if (!email.trim()) return;
+    setEmailMatches((await hashRecipientEmail(email)) === signedResult.payload.hash);
+  };
+
+  const payload = signedResult?.payload;
+  const revocation = signedResult?.revocation;
+  const signatureValid = signedResult?.status === SIGNATURE_STATUS.VALID;
+  const revoked = Boolean(revocation?.entry);
+  // A signed code opened through someone else's certificate link doesn't vouch for that link
+  const idMismatch = signatureValid && Boolean(urlCertificateId) && urlCertificateId !== payload.cid;
+  const verified = signedResult ? signatureValid && !revoked && !idMismatch : Boolean(certificateData);
+
+  const details = signatureValid
+    ? {
+        studentName: payload.name,
+        certificateId: payload.cid,
+        courseName: payload.course,
+        completionDate: payload.issuedAt,
+        issuer: payload.iss,
+        email: certificateData?.email,
+      }
+    : certificateData;
+
   return (
     <div className="min-h-[calc(100vh-3.5rem)] flex flex-col bg-richblack-900">
       <div className="flex-1 py-12 px-4">
@@ -56,7 +184,7 @@ export default function VerifyCertificate() {
             Certificate Verification
           </h1>
           <p className="text-richblack-200">
-            Enter the certificate ID to verify its authenticity
+            Enter the certificate ID, paste the code from its QR, or upload the certificate PDF
           </p>
         </div>
 
@@ -67,7 +195,7 @@ export default function VerifyCertificate() {
               type="text"
               value={certificateId}
               onChange={(e) => setCertificateId(e.target.value)}
-              placeholder="Enter Certificate ID (e.g., BA-25FJ2849)"
+              placeholder="Certificate ID (e.g., BA-25FJ2849) or QR code"
               className="flex-1 bg-richblack-700 rounded-lg px-4 py-3 text-richblack-5 border border-richblack-600"
               onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
             />
@@ -79,6 +207,16 @@ export default function VerifyCertificate() {
               {loading ? 'Searching...' : 'Search'}
             </button>
           </div>
+          <div className="mt-3 text-center">
+            <input ref={fileInputRef} type="file" accept="application/pdf" onChange={handlePdfUpload} className="hidden" />
+            <button
+              onClick={() => fileInputRef.current.click()}
+              disabled={loading}
+              className="text-sm text-richblack-300 underline hover:text-yellow-50 transition-colors duration-200"
+            >
+              Upload certificate PDF
+            </button>
+          </div>
         </div>
 
         {/* Error Message */}
@@ -88,49 +226,121 @@ export default function VerifyCertificate() {
           </div>
         )}
 
+        {/* Signature problems */}
+        {signedResult && !signatureValid && !showCertificate && (
+          <div className="max-w-3xl mx-auto">
+            <div className="bg-richblack-800 rounded-lg p-6 text-center">
+              <StatusIcon success={false} />
+              <h2 className="text-xl text-pink-200 font-semibold">{SIGNATURE_MESSAGES[signedResult.status].title}</h2>
+              <p className="mt-2 text-richblack-300">{SIGNATURE_MESSAGES[signedResult.status].text}</p>
+            </div>
+          </div>
+        )}
+
         {/* Certificate Results */}
-        {certificateData && !showCertificate && (
+        {details && (!signedResult || signatureValid) && !showCertificate && (
           <div className="max-w-3xl mx-auto">
             <div className="bg-richblack-800 rounded-lg p-6">
               <div className="text-center mb-6">
-                <div className="inline-flex items-center justify-center w-12 h-12 bg-green-500/20 rounded-full mb-4">
-                  <svg className="w-6 h-6 text-green-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7"></path>
-                  </svg>
-                </div>
-                <h2 className="text-xl text-green-500 font-semibold">Certificate Verified Successfully</h2>
+                <StatusIcon success={verified} />
+                <h2 className={`text-xl font-semibold ${verified ? 'text-green-500' : 'text-pink-200'}`}>
+                  {revoked
+                    ? 'Certificate Revoked'
+                    : idMismatch
+                      ? 'Certificate ID Does Not Match'
+                      : 'Certificate Verified Successfully'}
+                </h2>
+                {revoked && (
+                  <p className="mt-2 text-richblack-300">
+                    Revoked on {formatDate(revocation.entry.revokedAt)}
+                    {revocation.entry.reason && ` — ${revocation.entry.reason}`}
+                  </p>
+                )}
+                {signatureValid && !revoked && !idMismatch && (
+                  <p className="mt-2 text-sm text-richblack-300">
+                    Signature verified with {payload.iss}&apos;s public key.{' '}
+                    {revocation.online
+                      ? 'Not revoked.'
+                      : revocation.checkedAt
+                        ? `Revocation list last checked on ${formatDate(revocation.checkedAt)}; go online to check for newer revocations.`
+                        : 'Revocation status could not be checked offline.'}
+                  </p>
+                )}
+                {idMismatch && (
+                  <p className="mt-2 text-sm text-pink-200">
+                    The link points to {urlCertificateId}, but the signed code belongs to {payload.cid}.
+                  </p>
+                )}
               </div>
 
               <div className="space-y-4">
+                <Detail label="Student Name">{details.studentName}</Detail>
+                <Detail label="Certificate ID" mono>{details.certificateId}</Detail>
+                <Detail label="Course Name">{details.courseName}</Detail>
                 <div>
-                  <label className="block text-sm text-richblack-300">Student Name</label>
-                  <p className="text-lg text-richblack-5 font-medium">{certificateData.studentName}</p>
-                </div>
-                <div>
-                  <label className="block text-sm text-richblack-300">Certificate ID</label>
-                  <p className="text-richblack-5 font-mono">{certificateData.certificateId}</p>
-                </div>
-                <div>
-                  <label className="block text-sm text-richblack-300">Course Name</label>
-                  <p className="text-lg text-richblack-5 font-medium">{certificateData.courseName}</p>
-                </div>
-                <div>
-                  <label className="block text-sm text-richblack-300">Completed on</label>
-                  <p className="text-richblack-5">{formatDate(certificateData.completionDate)}</p>
-                </div>
-                <div>
-                  <label className="block text-sm text-richblack-300">Email</label>
-                  <p className="text-richblack-5">{certificateData.email}</p>
+                  <label className="block text-sm text-richblack-300">{signatureValid ? 'Issued on' : 'Completed on'}</label>
+                  <p className="text-richblack-5">{formatDate(details.completionDate)}</p>
                 </div>
+                {details.issuer && (
+                  <div>
+                    <label className="block text-sm text-richblack-300">Issued by</label>
+                    <p className="text-richblack-5">{details.issuer}</p>
+                  </div>
+                )}
+                {details.email && (
+                  <div>
+                    <label className="block text-sm text-richblack-300">Email</label>
+                    <p className="text-richblack-5">{details.email}</p>
+                  </div>
+                )}
 
-                <div className="pt-4">
-                  <button
-                    onClick={() => setShowCertificate(true)}
-                    className="w-full bg-yellow-50 text-richblack-900 py-3 rounded-lg font-semibold hover:bg-yellow-100 transition-colors duration-200"
-                  >
-                    View Certificate
-                  </button>
-                </div>
+                {/* The email is not in the QR code, only its hash */}
+                {signatureValid && payload.hash && (
+                  <div>
+                    <label className="block text-sm text-richblack-300 mb-1">Check recipient email</label>
+                    <div className="flex gap-2">
+                      <input
+                        type="email"
+                        value={email}
+                        onChange={(e) => {
+                          setEmail(e.target.value);
+                          setEmailMatches(null);
+                        }}
+                        placeholder="name@example.com"
+                        className="flex-1 bg-richblack-700 rounded-lg px-3 py-2 text-richblack-5 border border-richblack-600"
+                        onKeyPress={(e) => e.key === 'Enter' && handleEmailCheck()}
+                      />
+                      <button
+                        onClick={handleEmailCheck}
+                        className="bg-richblack-700 text-richblack-5 px-4 py-2 rounded-lg hover:bg-richblack-600 transition-colors duration-200"
+                      >
+                        Check
+                      </button>
+                    </div>
+                    {emailMatches !== null && (
+                      <p className={`mt-1 text-sm ${emailMatches ? 'text-green-500' : 'text-pink-200'}`}>
+                        {emailMatches ? 'This certificate was issued to this email.' : 'This certificate was not issued to this email.'}
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                {certificateData && verified && (
+                  <div className="pt-4 space-y-3">
+                    <button
+                      onClick={() => setShowCertificate(true)}
+                      className="w-full bg-yellow-50 text-richblack-900 py-3 rounded-lg font-semibold hover:bg-yellow-100 transition-colors duration-200"
+                    >
+                      View Certificate
+                    </button>
+                    <Link
+                      to={`/verify-certificate/${details.certificateId}/badge`}
+                      className="block w-full text-center bg-richblack-700 text-richblack-5 py-3 rounded-lg font-semibold hover:bg-richblack-600 transition-colors duration-200"
+                    >
+                      View Badge
+                    </Link>
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -148,7 +358,7 @@ export default function VerifyCertificate() {
               </button>
             </div>
             <div className="bg-white rounded-lg shadow-lg p-4">
-              <CourseCertificate certificateData={certificateData} />
+              <IssuedCertificate certificateData={certificateData} fallback={CourseCertificate} />
             </div>
           </div>
         )}
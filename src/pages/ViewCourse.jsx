@@ -13,13 +13,20 @@ import {
   setTotalNoOfLectures,
   setCompletedQuizzes,
   setPassedQuizzes,
+  setPassedAssignments,
+  setAnsweredCheckpoints,
+  setLecturePositions,
+  setEnrollment,
 } from "../slices/viewCourseSlice"
 
 import { setCourseViewSidebar } from "../slices/sidebarSlice"
+import { canAccessCourse } from "../utils/membership"
 
 export default function ViewCourse() {
   const { courseId } = useParams()
   const { token } = useSelector((state) => state.auth)
+  const { user } = useSelector((state) => state.profile)
+  const { membership, loading: membershipLoading, error: membershipError } = useSelector((state) => state.membership)
   const dispatch = useDispatch()
   const navigate = useNavigate()
   const [reviewModal, setReviewModal] = useState(false)
@@ -37,7 +44,11 @@ export default function ViewCourse() {
     dispatch(setCompletedLectures([]))
     dispatch(setCompletedQuizzes([]))
     dispatch(setPassedQuizzes([]))
+    dispatch(setPassedAssignments([]))
+    dispatch(setAnsweredCheckpoints([]))
+    dispatch(setLecturePositions({}))
     dispatch(setTotalNoOfLectures(0))
+    dispatch(setEnrollment(null))
   }, [dispatch])
 
   // Get current course data from Redux store
@@ -64,7 +75,11 @@ export default function ViewCourse() {
           dispatch(setCompletedLectures(courseData.completedVideos || []))
           dispatch(setCompletedQuizzes(courseData.completedQuizzes || []))
           dispatch(setPassedQuizzes(courseData.passedQuizzes || []))
+          dispatch(setPassedAssignments(courseData.passedAssignments || []))
+          dispatch(setAnsweredCheckpoints(courseData.answeredCheckpoints || []))
+          dispatch(setLecturePositions(courseData.lecturePositions || {}))
           dispatch(setTotalNoOfLectures(totalLectures))
+          dispatch(setEnrollment(courseData.enrollment || null))
         })
       } else {
         console.error("Course data not found or invalid response")
@@ -86,6 +101,19 @@ export default function ViewCourse() {
     fetchCourseDetails()
   }, [fetchCourseDetails])
 
+  // Members open courses they never enrolled in; once the membership stops covering the
+  // course (cancelled period ended, plan changed) send them back to the course page. When the
+  // membership couldn't be fetched we don't know that, so they stay.
+  const enrollment = useSelector(state => state.viewCourse.enrollment)
+  useEffect(() => {
+    if (loading || membershipLoading || membershipError || currentCourseData?._id !== courseId) return
+    if (enrollment || canAccessCourse(user, currentCourseData, membership)) return
+
+    resetCourseState()
+    toast.error("Your membership doesn't include this course")
+    navigate(`/courses/${courseId}`)
+  }, [loading, membershipLoading, membershipError, membership, enrollment, user, courseId, currentCourseData, resetCourseState, navigate])
+
 
   // Memoized sidebar handling for small devices
   const { courseViewSidebar } = useSelector(state => state.sidebar)
@@ -3,8 +3,10 @@ import { combineReducers } from "@reduxjs/toolkit"
 import authReducer from "../slices/authSlice"
 import cartReducer from "../slices/cartSlice"
 import courseReducer from "../slices/courseSlice"
+import membershipReducer from "../slices/membershipSlice"
 import profileReducer from "../slices/profileSlice"
 import viewCourseReducer from "../slices/viewCourseSlice"
+import wishlistReducer from "../slices/wishlistSlice"
 
 import sidebarSlice from "../slices/sidebarSlice"
 
@@ -13,6 +15,8 @@ const rootReducer = combineReducers({
   profile: profileReducer,
   course: courseReducer,
   cart: cartReducer,
+  wishlist: wishlistReducer,
+  membership: membershipReducer,
   viewCourse: viewCourseReducer,
   sidebar: sidebarSlice
 })
@@ -26,6 +26,21 @@ export const studentEndpoints = {
   COURSE_PAYMENT_API: BASE_URL + "/api/v1/payment/capturePayment",
   COURSE_VERIFY_API: BASE_URL + "/api/v1/payment/verifyPayment",
   SEND_PAYMENT_SUCCESS_EMAIL_API: BASE_URL + "/api/v1/payment/sendPaymentSuccessEmail",
+  PAYMENT_STATUS_API: BASE_URL + "/api/v1/payment/status/:orderId",
+}
+
+// CART ENDPOINTS
+export const cartEndpoints = {
+  GET_CART_API: BASE_URL + "/api/v1/cart",
+  UPDATE_CART_API: BASE_URL + "/api/v1/cart",
+  VALIDATE_CART_API: BASE_URL + "/api/v1/cart/validate",
+}
+
+// WISHLIST ENDPOINTS
+export const wishlistEndpoints = {
+  GET_WISHLIST_API: BASE_URL + "/api/v1/wishlist",
+  ADD_TO_WISHLIST_API: BASE_URL + "/api/v1/wishlist/add",
+  REMOVE_FROM_WISHLIST_API: BASE_URL + "/api/v1/wishlist/remove/:courseId",
 }
 
 // COURSE ENDPOINTS
@@ -46,10 +61,15 @@ export const courseEndpoints = {
   COURSE_PURCHASE_HISTORY_API: BASE_URL + "/api/v1/payment/purchaseHistory",
   DELETE_SECTION_API: BASE_URL + "/api/v1/course/deleteSection",
   DELETE_SUBSECTION_API: BASE_URL + "/api/v1/course/deleteSubSection",
+  CREATE_COHORT_API: BASE_URL + "/api/v1/course/addCohort",
+  UPDATE_COHORT_API: BASE_URL + "/api/v1/course/updateCohort",
+  DELETE_COHORT_API: BASE_URL + "/api/v1/course/deleteCohort",
   DELETE_COURSE_API: BASE_URL + "/api/v1/course/deleteCourse",
   GET_FULL_COURSE_DETAILS_AUTHENTICATED: BASE_URL + "/api/v1/course/getFullCourseDetails",
   LECTURE_COMPLETION_API: BASE_URL + "/api/v1/course/updateCourseProgress",
   UPDATE_QUIZ_PROGRESS_API: BASE_URL + "/api/v1/course/updateQuizProgress",
+  ANSWER_CHECKPOINT_API: BASE_URL + "/api/v1/course/answerCheckpoint",
+  SEARCH_TRANSCRIPTS_API: BASE_URL + "/api/v1/course/searchTranscripts",
   CHECK_SECTION_ACCESS_API: BASE_URL + "/api/v1/course/checkSectionAccess",
   GET_PROGRESS_PERCENTAGE_API: BASE_URL + "/api/v1/course/getProgressPercentage",
   CREATE_RATING_API: BASE_URL + "/api/v1/course/createRating",
@@ -175,6 +195,100 @@ export const quizEndpoints = {
   GET_QUIZ_RESULTS_API: BASE_URL + "/api/v1/quiz/results/:quizId",
   GET_QUIZ_STATUS_API: BASE_URL + "/api/v1/quiz/status/:quizId",
   VALIDATE_SECTION_ACCESS_API: BASE_URL + "/api/v1/quiz/validate-access/:sectionId",
+  START_QUIZ_ATTEMPT_API: BASE_URL + "/api/v1/quiz/attempt/start/:quizId",
+  GET_ACTIVE_QUIZ_ATTEMPT_API: BASE_URL + "/api/v1/quiz/attempt/active/:quizId",
+  SAVE_QUIZ_ATTEMPT_API: BASE_URL + "/api/v1/quiz/attempt/save/:attemptId",
+  GET_QUIZ_ATTEMPT_API: BASE_URL + "/api/v1/quiz/attempt/:attemptId",
+}
+
+// ASSIGNMENT ENDPOINTS
+export const assignmentEndpoints = {
+  CREATE_ASSIGNMENT_API: BASE_URL + "/api/v1/assignment/create",
+  UPDATE_ASSIGNMENT_API: BASE_URL + "/api/v1/assignment/update/:assignmentId",
+  DELETE_ASSIGNMENT_API: BASE_URL + "/api/v1/assignment/delete/:assignmentId",
+  GET_ASSIGNMENT_API: BASE_URL + "/api/v1/assignment/:assignmentId",
+  SUBMIT_ASSIGNMENT_API: BASE_URL + "/api/v1/assignment/submit/:assignmentId",
+  GET_MY_SUBMISSION_API: BASE_URL + "/api/v1/assignment/my-submission/:assignmentId",
+  GET_INSTRUCTOR_SUBMISSIONS_API: BASE_URL + "/api/v1/assignment/submissions",
+  GRADE_SUBMISSION_API: BASE_URL + "/api/v1/assignment/grade/:submissionId",
+}
+
+// LECTURE DISCUSSION ENDPOINTS
+// posts are threads or replies; moderation is open to the course instructor and admins
+export const discussionEndpoints = {
+  GET_LECTURE_THREADS_API: BASE_URL + "/api/v1/discussions/lecture/:subSectionId",
+  CREATE_THREAD_API: BASE_URL + "/api/v1/discussions/create",
+  GET_THREAD_API: BASE_URL + "/api/v1/discussions/thread/:threadId",
+  CREATE_REPLY_API: BASE_URL + "/api/v1/discussions/thread/:threadId/reply",
+  ACCEPT_ANSWER_API: BASE_URL + "/api/v1/discussions/thread/:threadId/accept",
+  TOGGLE_UPVOTE_API: BASE_URL + "/api/v1/discussions/upvote",
+  FLAG_POST_API: BASE_URL + "/api/v1/discussions/flag",
+  HIDE_POST_API: BASE_URL + "/api/v1/discussions/moderation/hide",
+  UNHIDE_POST_API: BASE_URL + "/api/v1/discussions/moderation/unhide",
+  UNFLAG_POST_API: BASE_URL + "/api/v1/discussions/moderation/unflag",
+  GET_FLAGGED_POSTS_API: BASE_URL + "/api/v1/discussions/moderation/flagged",
+}
+
+// LECTURE NOTES ENDPOINTS
+export const notesEndpoints = {
+  GET_COURSE_NOTES_API: BASE_URL + "/api/v1/notes/course/:courseId",
+  CREATE_NOTE_API: BASE_URL + "/api/v1/notes/create",
+  UPDATE_NOTE_API: BASE_URL + "/api/v1/notes/update/:noteId",
+  DELETE_NOTE_API: BASE_URL + "/api/v1/notes/delete/:noteId",
+}
+
+// QUESTION BANK ENDPOINTS (Admin)
+export const questionBankEndpoints = {
+  GET_BANK_QUESTIONS_API: BASE_URL + "/api/v1/question-bank",
+  CREATE_BANK_QUESTION_API: BASE_URL + "/api/v1/question-bank/create",
+  UPDATE_BANK_QUESTION_API: BASE_URL + "/api/v1/question-bank/update/:questionId",
+  DELETE_BANK_QUESTION_API: BASE_URL + "/api/v1/question-bank/delete/:questionId",
+}
+
+// ADMIN ROLE ENDPOINTS (Admin, needs the roles.manage permission)
+export const roleEndpoints = {
+  GET_ROLES_API: BASE_URL + "/api/v1/admin/roles",
+  CREATE_ROLE_API: BASE_URL + "/api/v1/admin/roles/create",
+  UPDATE_ROLE_API: BASE_URL + "/api/v1/admin/roles/update/:roleId",
+  DELETE_ROLE_API: BASE_URL + "/api/v1/admin/roles/delete/:roleId",
+  ASSIGN_ROLE_API: BASE_URL + "/api/v1/admin/users/:userId/role",
+}
+
+// AUDIT LOG ENDPOINTS (Admin, needs the audit.view permission)
+export const auditEndpoints = {
+  GET_AUDIT_LOGS_API: BASE_URL + "/api/v1/admin/audit-logs",
+}
+
+// REFUND ENDPOINTS (students request, admins refund and reject)
+export const refundEndpoints = {
+  REQUEST_REFUND_API: BASE_URL + "/api/v1/refunds/request",
+  ISSUE_REFUND_API: BASE_URL + "/api/v1/refunds/orders/:orderId/refund",
+  REJECT_REFUND_API: BASE_URL + "/api/v1/refunds/:refundId/reject",
+  GET_ORDER_TIMELINE_API: BASE_URL + "/api/v1/refunds/orders/:orderId/timeline",
+}
+
+// MEMBERSHIP ENDPOINTS (plans are public, managing plans and stats is admin only)
+export const membershipEndpoints = {
+  GET_PLANS_API: BASE_URL + "/api/v1/membership/plans",
+  GET_MY_MEMBERSHIP_API: BASE_URL + "/api/v1/membership/me",
+  SUBSCRIBE_API: BASE_URL + "/api/v1/membership/subscribe",
+  VERIFY_SUBSCRIPTION_API: BASE_URL + "/api/v1/membership/verify",
+  CANCEL_MEMBERSHIP_API: BASE_URL + "/api/v1/membership/cancel",
+  RESUME_MEMBERSHIP_API: BASE_URL + "/api/v1/membership/resume",
+  GET_BILLING_HISTORY_API: BASE_URL + "/api/v1/membership/billing",
+  GET_ALL_PLANS_API: BASE_URL + "/api/v1/membership/admin/plans",
+  CREATE_PLAN_API: BASE_URL + "/api/v1/membership/admin/plans/create",
+  UPDATE_PLAN_API: BASE_URL + "/api/v1/membership/admin/plans/update/:planId",
+  GET_MEMBERSHIP_STATS_API: BASE_URL + "/api/v1/membership/admin/stats",
+}
+
+// BUNDLE ENDPOINTS (pricing is public, managing bundles and rules is admin only)
+export const bundleEndpoints = {
+  GET_BUNDLE_PRICING_API: BASE_URL + "/api/v1/bundles/pricing",
+  GET_BUNDLE_RULES_API: BASE_URL + "/api/v1/bundles",
+  CREATE_BUNDLE_RULE_API: BASE_URL + "/api/v1/bundles/create",
+  UPDATE_BUNDLE_RULE_API: BASE_URL + "/api/v1/bundles/update/:ruleId",
+  DELETE_BUNDLE_RULE_API: BASE_URL + "/api/v1/bundles/delete/:ruleId",
 }
 
 // CERTIFICATE ENDPOINTS
@@ -182,6 +296,20 @@ export const certificateEndpoints = {
   GENERATE_CERTIFICATE_API: BASE_URL + "/api/v1/certificate/generate",
   VERIFY_CERTIFICATE_API: BASE_URL + "/api/v1/certificate/verify",
   GET_USER_CERTIFICATES_API: BASE_URL + "/api/v1/certificate/user-certificates",
+  CERTIFICATE_PUBLIC_KEYS_API: BASE_URL + "/api/v1/certificate/public-keys",
+  CERTIFICATE_REVOCATIONS_API: BASE_URL + "/api/v1/certificate/revocations",
+  GET_CERTIFICATE_CREDENTIAL_API: BASE_URL + "/api/v1/certificate/credential/:certificateId",
+}
+
+// CERTIFICATE TEMPLATE ENDPOINTS (Admin, version layouts are public for verification)
+export const certificateTemplateEndpoints = {
+  GET_CERTIFICATE_TEMPLATES_API: BASE_URL + "/api/v1/certificate-template",
+  CREATE_CERTIFICATE_TEMPLATE_API: BASE_URL + "/api/v1/certificate-template/create",
+  UPDATE_CERTIFICATE_TEMPLATE_API: BASE_URL + "/api/v1/certificate-template/update/:templateId",
+  DELETE_CERTIFICATE_TEMPLATE_API: BASE_URL + "/api/v1/certificate-template/delete/:templateId",
+  SAVE_TEMPLATE_VERSION_API: BASE_URL + "/api/v1/certificate-template/:templateId/versions",
+  ACTIVATE_TEMPLATE_VERSION_API: BASE_URL + "/api/v1/certificate-template/:templateId/versions/:version/activate",
+  GET_TEMPLATE_VERSION_API: BASE_URL + "/api/v1/certificate-template/:templateId/versions/:version",
 }
 // NOTIFICATION ENDPOINTS
 export const notificationEndpoints = {
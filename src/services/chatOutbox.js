@@ -0,0 +1,90 @@
+// Outbox for chat messages. Every message is stored in IndexedDB before it is sent,
+// so messages written while offline (or lost to a closed tab) are retried in order
+// once the connection is back. Messages the server keeps rejecting are marked failed
+// and wait for the user to retry or discard them.
+
+import { postChatMessage } from "./operations/chatAPI"
+import { isOfflineError } from "./offlineSync"
+import { STORES, deleteRecord, getAllRecords, putRecord } from "../utils/offlineDB"
+
+const MAX_ATTEMPTS = 3
+
+// Fallback when IndexedDB is unavailable (e.g. private browsing) - messages are
+// still retried, they just don't survive a reload
+const memoryOutbox = new Map()
+
+const saveRecord = async (record) => {
+  try {
+    await putRecord(STORES.CHAT_OUTBOX, record)
+  } catch (error) {
+    console.log("SAVE CHAT OUTBOX ERROR............", error)
+    memoryOutbox.set(record.clientId, record)
+  }
+}
+
+const loadRecords = async () => {
+  try {
+    return [...(await getAllRecords(STORES.CHAT_OUTBOX)), ...memoryOutbox.values()]
+  } catch (error) {
+    return [...memoryOutbox.values()]
+  }
+}
+
+export const createClientId = () =>
+  window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`
+
+export const getOutboxMessages = async (chatId) => {
+  const records = await loadRecords()
+  return records
+    .filter((record) => record.chatId === chatId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+}
+
+// record: { clientId, chatId, content, messageType, image, imagePreview, createdAt }
+export const queueOutboxMessage = async (record) => {
+  const queued = { attempts: 0, failed: false, ...record }
+  await saveRecord(queued)
+  return queued
+}
+
+export const removeOutboxMessage = async (clientId) => {
+  memoryOutbox.delete(clientId)
+  try {
+    await deleteRecord(STORES.CHAT_OUTBOX, clientId)
+  } catch (error) {
+    console.log("REMOVE CHAT OUTBOX ERROR............", error)
+  }
+}
+
+export const retryOutboxMessage = (record) => saveRecord({ ...record, attempts: 0, failed: false })
+
+// Send queued messages of a chat in order. Stops at the first network failure so
+// later messages never overtake earlier ones. Returns the remaining outbox.
+const sendPending = async (chatId, token, onSent) => {
+  const pending = (await getOutboxMessages(chatId)).filter((record) => !record.failed)
+
+  for (const record of pending) {
+    try {
+      const message = await postChatMessage(record, token)
+      await removeOutboxMessage(record.clientId)
+      onSent(record, message)
+    } catch (error) {
+      console.log("CHAT OUTBOX SEND ERROR............", error)
+      if (isOfflineError(error)) break
+
+      const attempts = record.attempts + 1
+      await saveRecord({ ...record, attempts, failed: attempts >= MAX_ATTEMPTS })
+    }
+  }
+
+  return getOutboxMessages(chatId)
+}
+
+// Flushes are chained so two triggers (send + reconnect) never send a message twice
+let flushChain = Promise.resolve()
+
+export const flushOutbox = (chatId, token, onSent = () => {}) => {
+  const flush = flushChain.then(() => sendPending(chatId, token, onSent))
+  flushChain = flush.catch(() => {})
+  return flush
+}
@@ -0,0 +1,52 @@
+// One socket.io connection shared by every chat component (chat window, chat lists,
+// presence). socket.io reconnects on its own; we re-authenticate after each connect,
+// and components listen for "authenticated" to rejoin rooms and backfill messages.
+//
+// Events besides the existing typing/message ones:
+//   emit  message_delivered / message_read  { chatId, messageIds }
+//   on    message_status                    { chatId, messageIds, userId, status, at }
+//   emit  presence_subscribe                [userId]
+//   on    presence_state                    [{ userId, online, lastSeen }]
+//   on    presence                          { userId, online, lastSeen }
+//   on    message_hidden                    { chatId, messageId, reason }
+
+import io from "socket.io-client"
+
+import { CHAT_SOCKET_CONFIG, getSocketURL } from "../config/environment"
+
+let socket = null
+let socketToken = null
+let subscribers = 0
+
+export const connectChatSocket = (token) => {
+  if (socket && socketToken === token) {
+    subscribers++
+    return socket
+  }
+
+  socket?.disconnect()
+  socketToken = token
+  subscribers = 1
+  socket = io(getSocketURL(), {
+    withCredentials: true,
+    reconnection: true,
+    reconnectionDelay: CHAT_SOCKET_CONFIG.RECONNECTION_DELAY,
+    reconnectionDelayMax: CHAT_SOCKET_CONFIG.RECONNECTION_DELAY_MAX,
+  })
+
+  // Authenticate on the first connection and again after every reconnection
+  socket.on("connect", () => socket.emit("authenticate", token))
+
+  return socket
+}
+
+// Disconnect once the last component using the socket has unmounted
+export const releaseChatSocket = () => {
+  subscribers--
+  if (subscribers <= 0 && socket) {
+    socket.disconnect()
+    socket = null
+    socketToken = null
+    subscribers = 0
+  }
+}
@@ -1,4 +1,9 @@
-// Real code execution service using Piston API
+// Code execution service - the backend (Piston, Judge0 or in-browser) is
+// chosen in config/environment.js, callers see the same result shape
+import { getCodeExecutionConfig } from '../config/environment';
+import { getExecutor } from './executors';
+import { cleanInputPrompts } from './executors/codeTransforms';
+import { compareOutput, createTestCase, getPartialCredit } from '../utils/codeGrading';
 
 // Rate limiting setup
 const rateLimiter = {
@@ -8,8 +13,10 @@ const rateLimiter = {
   maxTokens: 5
 };
 
-// Helper to check rate limit
-const checkRateLimit = () => {
+// Helper function to add delay between requests
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const refillTokens = () => {
   const now = Date.now();
   const timePassed = now - rateLimiter.lastRefill;
   const tokensToAdd = Math.floor(timePassed / rateLimiter.refillRate);
@@ -18,6 +25,11 @@ const checkRateLimit = () => {
     rateLimiter.tokens = Math.min(rateLimiter.maxTokens, rateLimiter.tokens + tokensToAdd);
     rateLimiter.lastRefill = now;
   }
+};
+
+// Helper to check rate limit
+const checkRateLimit = () => {
+  refillTokens();
 
   if (rateLimiter.tokens <= 0) {
     throw new Error("Rate limit exceeded. Please wait a moment before trying again.");
@@ -26,232 +38,72 @@ const checkRateLimit = () => {
   rateLimiter.tokens--;
 };
 
-// Transform JavaScript code to work in Node.js environment
-const transformJavaScriptCode = (code, customInput) => {
-  if (!code.includes('prompt(')) {
-    return code;
+// Waits for the next token instead of failing; grading must not lose points to our own limiter
+const waitForRateLimit = async () => {
+  refillTokens();
+  while (rateLimiter.tokens <= 0) {
+    await delay(Math.max(0, rateLimiter.lastRefill + rateLimiter.refillRate - Date.now()));
+    refillTokens();
   }
-
-  // Convert input to array of lines
-  const inputLines = customInput.split('\n').filter(line => line.trim());
-  
-  // Add input handling at the beginning
-  const inputSetup = `
-const readline = require('readline');
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
-
-// Mock prompt function using stdin
-const inputLines = ${JSON.stringify(inputLines)};
-let inputIndex = 0;
-
-function prompt(message) {
-  // Don't display the prompt message in output
-  return inputLines[inputIndex++] || '';
-}
-
-// Mock alert function
-function alert(message) {
-  console.log(message);
-}
-
-`;
-
-  // Wrap the user code in an async function if it contains prompt
-  const wrappedCode = `
-${inputSetup}
-
-// User code starts here
-${code}
-
-rl.close();
-`;
-
-  return wrappedCode;
+  rateLimiter.tokens--;
 };
 
-
-// Execute code using Piston API
-export const executeCode = async (code, language, customInput = "") => {
+// Execute code using the configured executor (see services/executors)
+export const executeCode = async (code, language, customInput = "", options = {}) => {
   try {
-    // Check rate limit before executing
-    checkRateLimit();
-    
-    const pistonLanguageMap = {
-      javascript: "javascript",
-      python: "python",
-      java: "java",
-      cpp: "cpp",
-      c: "c",
-      go: "go",
-      rust: "rust",
-      ruby: "ruby",
-      csharp: "csharp",
-      kotlin: "kotlin",
-      typescript: "typescript",
-      sql: "sqlite"
-    };
+    const executor = getExecutor();
+    const { TIME_LIMIT } = getCodeExecutionConfig();
 
-    const pistonLanguage = pistonLanguageMap[language];
-    if (!pistonLanguage) {
+    if (!executor.supports(language)) {
       return {
         success: false,
         error: `Language ${language} not supported`
       };
     }
 
-    // Transform code based on language
-    let processedCode = code;
-    let processedInput = customInput;
-
-    if (language === 'javascript') {
-      processedCode = transformJavaScriptCode(code, customInput);
-      processedInput = ''; // Input is now handled within the code
-    } else if (language === 'kotlin') {
-      // Check if code needs Scanner (contains readLine, nextInt, etc.)
-      const needsScanner = code.includes('readLine') || code.includes('nextInt') || code.includes('nextDouble') || code.includes('next()') || code.includes('scanner.');
-      
-      // Ensure Kotlin code has proper main function structure
-      if (!code.includes('fun main')) {
-        if (needsScanner && customInput && customInput.trim()) {
-          processedCode = `
-import java.util.*
-
-fun main() {
-    val scanner = Scanner(System.\`in\`)
-${code.split('\n').map(line => '    ' + line).join('\n')}
-}`;
-        } else {
-          processedCode = `
-fun main() {
-${code.split('\n').map(line => '    ' + line).join('\n')}
-}`;
-        }
-      } else if (needsScanner && customInput && customInput.trim() && !code.includes('Scanner')) {
-        // Add Scanner import if needed but main function exists
-        processedCode = `import java.util.*
-
-${code}`;
-      }
+    // Check rate limit before executing; options.waitForRateLimit queues instead of failing
+    if (executor.rateLimited) {
+      if (options.waitForRateLimit) await waitForRateLimit();
+      else checkRateLimit();
     }
-    // For other languages, we'll use the normal stdin approach
 
-    // Determine the correct filename and extension
-    let fileName = 'main';
-    if (language === 'java') {
-      fileName = 'Main.java';
-    } else if (language === 'cpp') {
-      fileName = 'main.cpp';
-    } else if (language === 'c') {
-      fileName = 'main.c';
-    } else if (language === 'go') {
-      fileName = 'main.go';
-    } else if (language === 'rust') {
-      fileName = 'main.rs';
-    } else if (language === 'ruby') {
-      fileName = 'main.rb';
-    } else if (language === 'python') {
-      fileName = 'main.py';
-    } else if (language === 'javascript') {
-      fileName = 'main.js';
-    } else if (language === 'typescript') {
-      fileName = 'main.ts';
-    } else if (language === 'csharp') {
-      fileName = 'main.cs';
-    } else if (language === 'kotlin') {
-      fileName = 'main.kt';
-    } else if (language === 'sql') {
-      fileName = 'main.sql';
-      // Add SQLite setup commands
-      processedCode = `
--- Enable column headers in output
-.headers on
-.mode column
-
--- Create temporary in-memory database
-.open :memory:
-
--- Execute user's SQL code
-${code}`;
-    }
-
-    const pistonData = {
-      language: pistonLanguage,
-      version: "*",
-      files: [
-        {
-          name: fileName,
-          content: processedCode
-        }
-      ],
-      stdin: processedInput,
-      // Add compilation and runtime args - increase timeouts for Kotlin
-      compile_timeout: language === 'kotlin' ? 30000 : 10000,
-      run_timeout: language === 'kotlin' ? 15000 : 10000,
-      compile_memory_limit: -1,
-      run_memory_limit: -1
-    };
-
-    const response = await fetch("https://emkc.org/api/v2/piston/execute", {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(pistonData)
+    const result = await executor.execute({
+      code,
+      language,
+      stdin: customInput,
+      timeLimit: options.timeLimit || TIME_LIMIT
     });
 
-    if (!response.ok) {
-      throw new Error(`Execution API error: ${response.status}`);
-    }
-
-    const result = await response.json();
-
     // Get clean output
-    let stdout = result.run.stdout || "";
+    let stdout = result.stdout || "";
     
     // Clean input prompts from output for all languages
-    if (language !== 'javascript') {
-      // Remove common input prompt patterns
-      const inputPromptPatterns = [
-        /Enter\s+.*?:\s*/gi,
-        /Input\s+.*?:\s*/gi,
-        /Please\s+enter\s+.*?:\s*/gi,
-        /Enter\s+first\s+.*?:\s*/gi,
-        /Enter\s+second\s+.*?:\s*/gi,
-        /Enter\s+the\s+.*?:\s*/gi,
-        /Enter\s+a\s+string:\s*/gi,
-        /Enter\s+a\s+number:\s*/gi,
-        /Enter\s+value:\s*/gi,
-        /Enter\s+.*?number.*?:\s*/gi,
-        /Enter\s+.*?name.*?:\s*/gi,
-        /Enter\s+.*?text.*?:\s*/gi,
-        /Type\s+.*?:\s*/gi,
-        /Provide\s+.*?:\s*/gi,
-        /Give\s+.*?:\s*/gi
-      ];
-      
-      for (const pattern of inputPromptPatterns) {
-        stdout = stdout.replace(pattern, '');
-      }
+    if (executor.cleansInputPrompts && language !== 'javascript') {
+      stdout = cleanInputPrompts(stdout);
     }
     
-    // Clean up extra newlines and whitespace
+    // Graded as-is so "Exact match" sees every blank line and trailing space;
+    // only the displayed output is tidied up
+    const rawStdout = stdout;
     stdout = stdout.replace(/\n\s*\n/g, '\n').trim();
 
+    const accepted = result.exitCode === 0 && !result.timedOut;
+
     return {
       success: true,
       data: {
         stdout,
-        stderr: result.run.stderr || "",
-        compile_output: result.compile?.stderr || "",
-        status: { 
-          id: result.run.code === 0 ? 3 : 6, 
-          description: result.run.code === 0 ? "Accepted" : "Runtime Error" 
-        },
-        time: result.run.time || "0.01",
-        memory: result.run.memory || 1024
+        rawStdout,
+        stderr: result.stderr || "",
+        compile_output: result.compileOutput || "",
+        status: result.timedOut
+          ? { id: 5, description: "Time Limit Exceeded" }
+          : { 
+            id: accepted ? 3 : 6, 
+            description: accepted ? "Accepted" : "Runtime Error" 
+          },
+        time: result.time || "0.01",
+        memory: result.memory || 1024
       }
     };
   } catch (error) {
@@ -265,28 +117,37 @@ ${code}`;
   }
 };
 
-// Helper function to add delay between requests
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-// Validate code with test cases using real execution
+// Validate code with test cases using real execution.
+// Each test case is compared with its own mode and earns its points when it passes.
 export const validateCodeWithTestCases = async (code, language, testCases) => {
-  // Execute test cases with a small delay between each to avoid rate limiting
-  const testPromises = testCases.map((testCase, index) => 
-    delay(index * 200).then(() => executeCode(code, language, testCase.input)
+  const cases = testCases.map(testCase => createTestCase(testCase));
+
+  // Execute test cases with a small delay between each; once the rate limit's burst is used
+  // up the rest wait for tokens rather than fail
+  const spacing = getExecutor().rateLimited ? 200 : 0;
+  const testPromises = cases.map((testCase, index) => 
+    delay(index * spacing).then(() => executeCode(code, language, testCase.input, {
+      timeLimit: Number(testCase.timeLimit) * 1000 || undefined,
+      waitForRateLimit: true
+    })
       .then(result => {
         if (result.success) {
-          const cleanOutput = (output) => output.trim().replace(/\r\n/g, '\n');
-          const expectedOutput = cleanOutput(testCase.expectedOutput);
-          const actualOutput = cleanOutput(result.data.stdout || '');
-          
-          const passed = expectedOutput === actualOutput;
+          const actualOutput = result.data.stdout || '';
+          const timedOut = result.data.status?.id === 5;
+          const passed = !timedOut &&
+            compareOutput(result.data.rawStdout ?? actualOutput, testCase.expectedOutput, testCase.comparisonMode, testCase.tolerance);
           
           return {
             passed,
             input: testCase.input,
-            expectedOutput,
+            expectedOutput: testCase.expectedOutput,
             actualOutput,
-            error: result.data.stderr || null
+            isHidden: testCase.isHidden,
+            points: Number(testCase.points) || 0,
+            earnedPoints: passed ? Number(testCase.points) || 0 : 0,
+            status: result.data.status?.description,
+            time: result.data.time,
+            error: result.data.stderr || result.data.compile_output || null
           };
         } else {
           return {
@@ -294,6 +155,9 @@ export const validateCodeWithTestCases = async (code, language, testCases) => {
             input: testCase.input,
             expectedOutput: testCase.expectedOutput,
             actualOutput: "",
+            isHidden: testCase.isHidden,
+            points: Number(testCase.points) || 0,
+            earnedPoints: 0,
             error: result.error || "Execution failed"
           };
         }
@@ -303,6 +167,9 @@ export const validateCodeWithTestCases = async (code, language, testCases) => {
         input: testCase.input,
         expectedOutput: testCase.expectedOutput,
         actualOutput: "",
+        isHidden: testCase.isHidden,
+        points: Number(testCase.points) || 0,
+        earnedPoints: 0,
         error: error.message
       })))
   );
@@ -314,7 +181,50 @@ export const validateCodeWithTestCases = async (code, language, testCases) => {
   return {
     results,
     passedCount,
-    totalCount: testCases.length,
-    allPassed: passedCount === testCases.length
+    totalCount: cases.length,
+    allPassed: passedCount === cases.length,
+    earnedPoints: results.reduce((sum, r) => sum + r.earnedPoints, 0),
+    totalPoints: results.reduce((sum, r) => sum + r.points, 0)
+  };
+};
+
+// Grade a codeSolve answer against all of its test cases (visible and hidden).
+// The report is safe to show the student: hidden cases never expose their I/O.
+export const gradeCodeSolveQuestion = async (question, answer) => {
+  const language = answer?.language || question.programmingLanguage;
+  const testCases = question.testCases || [];
+
+  if (!answer?.code?.trim() || !testCases.length) {
+    return {
+      questionId: question._id,
+      earnedPoints: 0,
+      totalPoints: testCases.reduce((sum, tc) => sum + (Number(createTestCase(tc).points) || 0), 0),
+      score: 0,
+      results: []
+    };
+  }
+
+  const validation = await validateCodeWithTestCases(answer.code, language, testCases);
+
+  return {
+    questionId: question._id,
+    earnedPoints: validation.earnedPoints,
+    totalPoints: validation.totalPoints,
+    score: getPartialCredit(validation.earnedPoints, validation.totalPoints, question.marks || 0),
+    results: validation.results.map((result, index) => ({
+      index,
+      passed: result.passed,
+      isHidden: result.isHidden,
+      points: result.points,
+      earnedPoints: result.earnedPoints,
+      status: result.status,
+      time: result.time,
+      ...(result.isHidden ? {} : {
+        input: result.input,
+        expectedOutput: result.expectedOutput,
+        actualOutput: result.actualOutput,
+        error: result.error
+      })
+    }))
   };
 };
@@ -0,0 +1,112 @@
+// Executor that runs code in the browser (Web Worker + WASM runtimes), no server needed
+
+const BROWSER_LANGUAGES = ['javascript', 'typescript', 'python', 'sql'];
+
+// Allow slow runtime downloads (Pyodide is several MB) before the time limit starts
+const RUNTIME_LOAD_TIMEOUT = 60000;
+
+const workers = {};
+let requestId = 0;
+
+// Python and SQL keep their runtime loaded between runs, JS/TS share one worker
+const getWorkerKey = (language) => (language === 'python' || language === 'sql' ? language : 'js');
+
+const getWorker = (key) => {
+  if (!workers[key]) {
+    const worker = new Worker(new URL('./browserRunner.worker.js', import.meta.url));
+    workers[key] = { worker, pending: new Map() };
+
+    worker.onmessage = ({ data }) => {
+      const request = workers[key]?.pending.get(data.id);
+      if (request) request.handleMessage(data);
+    };
+  }
+  return workers[key];
+};
+
+// The worker runs one request at a time in the order they were posted, so only the first
+// pending one is loading a runtime or running; the rest are just waiting their turn
+const startNext = (key) => {
+  const next = workers[key]?.pending.values().next().value;
+  if (next) next.awaitRuntime();
+};
+
+// Kill a worker (e.g. stuck in an infinite loop) and fail the request that timed out;
+// the rest of the queue starts over on a fresh worker
+const terminateWorker = (key, reason, timedOutId) => {
+  const entry = workers[key];
+  if (!entry) return;
+  entry.worker.terminate();
+  delete workers[key];
+  entry.pending.forEach((request, id) => {
+    if (id === timedOutId) request.fail(reason);
+    else request.start();
+  });
+};
+
+export const createBrowserExecutor = (config, timeLimit) => ({
+  name: 'browser',
+  rateLimited: false,
+  cleansInputPrompts: false,
+
+  supports: (language) => BROWSER_LANGUAGES.includes(language),
+
+  execute: ({ code, language, stdin, timeLimit: runTimeLimit = timeLimit }) =>
+    new Promise((resolve, reject) => {
+      const key = getWorkerKey(language);
+      const id = ++requestId;
+      let timer = null;
+      let pending;
+
+      const clearTimer = () => {
+        clearTimeout(timer);
+        timer = null;
+      };
+
+      const finish = () => {
+        clearTimer();
+        pending.delete(id);
+        startNext(key);
+      };
+
+      const request = {
+        // Queue the run on the current worker for this language, again after a restart
+        start: () => {
+          clearTimer();
+          const entry = getWorker(key);
+          pending = entry.pending;
+          pending.set(id, request);
+          entry.worker.postMessage({ id, language, code, stdin, config });
+          startNext(key);
+        },
+        // Called once this request reaches the front of the queue; the time limit replaces
+        // this timer when the runtime reports ready
+        awaitRuntime: () => {
+          if (timer) return;
+          timer = setTimeout(
+            () => terminateWorker(key, 'Timed out while loading the language runtime', id),
+            RUNTIME_LOAD_TIMEOUT
+          );
+        },
+        handleMessage: (message) => {
+          if (message.type === 'ready') {
+            clearTimer();
+            timer = setTimeout(() => terminateWorker(key, 'Time limit exceeded', id), runTimeLimit);
+            return;
+          }
+          finish();
+          if (message.type === 'error') {
+            reject(new Error(message.error));
+          } else {
+            resolve({ ...message.result, compileOutput: '', timedOut: false, memory: null });
+          }
+        },
+        fail: (reason) => {
+          finish();
+          resolve({ stdout: '', stderr: reason, compileOutput: '', exitCode: 1, timedOut: true, time: runTimeLimit / 1000, memory: null });
+        }
+      };
+
+      request.start();
+    })
+});
@@ -0,0 +1,147 @@
+/* eslint-env worker */
+/* global ts, loadPyodide, initSqlJs */
+
+// Runs student code inside a Web Worker so nothing leaves the browser.
+// JavaScript runs directly, TypeScript is transpiled first, Python runs on
+// Pyodide and SQL on sql.js. Runtimes are loaded lazily from the configured URLs.
+
+let pyodidePromise = null
+let sqlPromise = null
+let queue = Promise.resolve()
+
+const formatValue = (value) => {
+  if (typeof value === "string") return value
+  try {
+    return JSON.stringify(value)
+  } catch (error) {
+    return String(value)
+  }
+}
+
+const toInputLines = (stdin) => (stdin ? stdin.split("\n") : [])
+
+const runJavaScript = async (code, stdin) => {
+  const stdout = []
+  const stderr = []
+  const inputLines = toInputLines(stdin)
+  let inputIndex = 0
+  const readLine = () => (inputIndex < inputLines.length ? inputLines[inputIndex++] : "")
+
+  const sandboxConsole = {
+    log: (...args) => stdout.push(args.map(formatValue).join(" ")),
+    info: (...args) => stdout.push(args.map(formatValue).join(" ")),
+    warn: (...args) => stderr.push(args.map(formatValue).join(" ")),
+    error: (...args) => stderr.push(args.map(formatValue).join(" ")),
+  }
+
+  let exitCode = 0
+  try {
+    const program = new Function(
+      "console",
+      "prompt",
+      "alert",
+      "readline",
+      `return (async () => {\n${code}\n})()`
+    )
+    await program(sandboxConsole, readLine, sandboxConsole.log, readLine)
+  } catch (error) {
+    stderr.push(error?.stack || String(error))
+    exitCode = 1
+  }
+
+  return { stdout: stdout.join("\n"), stderr: stderr.join("\n"), exitCode }
+}
+
+const runTypeScript = (code, stdin, config) => {
+  if (typeof ts === "undefined") {
+    importScripts(config.TYPESCRIPT_URL)
+  }
+  const compiled = ts.transpile(code, { target: ts.ScriptTarget.ES2020 })
+  return runJavaScript(compiled, stdin)
+}
+
+const getPyodide = (config) => {
+  if (!pyodidePromise) {
+    importScripts(`${config.PYODIDE_URL}pyodide.js`)
+    pyodidePromise = loadPyodide({ indexURL: config.PYODIDE_URL })
+  }
+  return pyodidePromise
+}
+
+const runPython = async (code, stdin, config) => {
+  const pyodide = await getPyodide(config)
+  const stdout = []
+  const stderr = []
+  const inputLines = toInputLines(stdin)
+  let inputIndex = 0
+
+  pyodide.setStdout({ batched: (text) => stdout.push(text) })
+  pyodide.setStderr({ batched: (text) => stderr.push(text) })
+  pyodide.setStdin({ stdin: () => (inputIndex < inputLines.length ? inputLines[inputIndex++] : undefined) })
+
+  let exitCode = 0
+  const globals = pyodide.toPy({})
+  try {
+    // Fresh globals per run so state never leaks between executions
+    await pyodide.runPythonAsync(code, { globals })
+  } catch (error) {
+    stderr.push(error.message)
+    exitCode = 1
+  } finally {
+    globals.destroy()
+  }
+
+  return { stdout: stdout.join("\n"), stderr: stderr.join("\n"), exitCode }
+}
+
+// Mirror sqlite3's ".headers on" + ".mode column" output
+const formatResultSet = ({ columns, values }) => {
+  const rows = [columns, ...values.map((row) => row.map((cell) => (cell === null ? "" : String(cell))))]
+  const widths = columns.map((_, col) => Math.max(...rows.map((row) => String(row[col]).length)))
+  const formatRow = (row) => row.map((cell, col) => String(cell).padEnd(widths[col])).join("  ").trimEnd()
+  return [formatRow(columns), widths.map((width) => "-".repeat(width)).join("  "), ...rows.slice(1).map(formatRow)].join("\n")
+}
+
+const runSql = async (code, config) => {
+  if (!sqlPromise) {
+    importScripts(`${config.SQLJS_URL}sql-wasm.js`)
+    sqlPromise = initSqlJs({ locateFile: (file) => `${config.SQLJS_URL}${file}` })
+  }
+  const SQL = await sqlPromise
+  const db = new SQL.Database()
+  try {
+    const results = db.exec(code)
+    return { stdout: results.map(formatResultSet).join("\n\n"), stderr: "", exitCode: 0 }
+  } catch (error) {
+    return { stdout: "", stderr: error.message, exitCode: 1 }
+  } finally {
+    db.close()
+  }
+}
+
+const run = async ({ id, language, code, stdin, config }) => {
+  try {
+    // Load runtimes before reporting ready so download time doesn't count against the time limit
+    if (language === "python") await getPyodide(config)
+    if (language === "typescript" && typeof ts === "undefined") importScripts(config.TYPESCRIPT_URL)
+
+    self.postMessage({ id, type: "ready" })
+    const startedAt = performance.now()
+
+    let result
+    if (language === "javascript") result = await runJavaScript(code, stdin)
+    else if (language === "typescript") result = await runTypeScript(code, stdin, config)
+    else if (language === "python") result = await runPython(code, stdin, config)
+    else if (language === "sql") result = await runSql(code, config)
+    else throw new Error(`Language ${language} not supported`)
+
+    self.postMessage({ id, type: "result", result: { ...result, time: (performance.now() - startedAt) / 1000 } })
+  } catch (error) {
+    self.postMessage({ id, type: "error", error: error.message })
+  }
+}
+
+// Run one program at a time so captured stdout never interleaves
+self.onmessage = (event) => {
+  queue = queue.then(() => run(event.data))
+}
@@ -0,0 +1,149 @@
+// Source transforms shared by the server-side executors (Piston, Judge0),
+// which run JavaScript under Node and SQL through the sqlite3 CLI.
+
+// Transform JavaScript code to work in Node.js environment
+export const transformJavaScriptCode = (code, customInput) => {
+  if (!code.includes('prompt(')) {
+    return code;
+  }
+
+  // Convert input to array of lines
+  const inputLines = customInput.split('\n').filter(line => line.trim());
+  
+  // Add input handling at the beginning
+  const inputSetup = `
+const readline = require('readline');
+const rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout
+});
+
+// Mock prompt function using stdin
+const inputLines = ${JSON.stringify(inputLines)};
+let inputIndex = 0;
+
+function prompt(message) {
+  // Don't display the prompt message in output
+  return inputLines[inputIndex++] || '';
+}
+
+// Mock alert function
+function alert(message) {
+  console.log(message);
+}
+
+`;
+
+  // Wrap the user code in an async function if it contains prompt
+  const wrappedCode = `
+${inputSetup}
+
+// User code starts here
+${code}
+
+rl.close();
+`;
+
+  return wrappedCode;
+};
+
+// Ensure Kotlin code has a main function (and a Scanner when it reads input)
+export const transformKotlinCode = (code, customInput) => {
+  // Check if code needs Scanner (contains readLine, nextInt, etc.)
+  const needsScanner = code.includes('readLine') || code.includes('nextInt') || code.includes('nextDouble') || code.includes('next()') || code.includes('scanner.');
+
+  if (!code.includes('fun main')) {
+    if (needsScanner && customInput && customInput.trim()) {
+      return `
+import java.util.*
+
+fun main() {
+    val scanner = Scanner(System.\`in\`)
+${code.split('\n').map(line => '    ' + line).join('\n')}
+}`;
+    }
+    return `
+fun main() {
+${code.split('\n').map(line => '    ' + line).join('\n')}
+}`;
+  }
+
+  if (needsScanner && customInput && customInput.trim() && !code.includes('Scanner')) {
+    // Add Scanner import if needed but main function exists
+    return `import java.util.*
+
+${code}`;
+  }
+
+  return code;
+};
+
+// Add SQLite setup commands
+export const transformSqlCode = (code) => `
+-- Enable column headers in output
+.headers on
+.mode column
+
+-- Create temporary in-memory database
+.open :memory:
+
+-- Execute user's SQL code
+${code}`;
+
+// Apply the language specific transforms; stdin is consumed by the JS wrapper itself
+export const prepareSource = (code, language, customInput) => {
+  switch (language) {
+    case 'javascript':
+      return { code: transformJavaScriptCode(code, customInput), stdin: '' };
+    case 'kotlin':
+      return { code: transformKotlinCode(code, customInput), stdin: customInput };
+    case 'sql':
+      return { code: transformSqlCode(code), stdin: customInput };
+    default:
+      return { code, stdin: customInput };
+  }
+};
+
+const FILE_NAMES = {
+  java: 'Main.java',
+  cpp: 'main.cpp',
+  c: 'main.c',
+  go: 'main.go',
+  rust: 'main.rs',
+  ruby: 'main.rb',
+  python: 'main.py',
+  javascript: 'main.js',
+  typescript: 'main.ts',
+  csharp: 'main.cs',
+  kotlin: 'main.kt',
+  sql: 'main.sql'
+};
+
+export const getFileName = (language) => FILE_NAMES[language] || 'main';
+
+// Remove common input prompt patterns echoed by programs reading stdin
+const INPUT_PROMPT_PATTERNS = [
+  /Enter\s+.*?:\s*/gi,
+  /Input\s+.*?:\s*/gi,
+  /Please\s+enter\s+.*?:\s*/gi,
+  /Enter\s+first\s+.*?:\s*/gi,
+  /Enter\s+second\s+.*?:\s*/gi,
+  /Enter\s+the\s+.*?:\s*/gi,
+  /Enter\s+a\s+string:\s*/gi,
+  /Enter\s+a\s+number:\s*/gi,
+  /Enter\s+value:\s*/gi,
+  /Enter\s+.*?number.*?:\s*/gi,
+  /Enter\s+.*?name.*?:\s*/gi,
+  /Enter\s+.*?text.*?:\s*/gi,
+  /Type\s+.*?:\s*/gi,
+  /Provide\s+.*?:\s*/gi,
+  /Give\s+.*?:\s*/gi
+];
+
+export const cleanInputPrompts = (stdout) => {
+  let cleaned = stdout;
+  for (const pattern of INPUT_PROMPT_PATTERNS) {
+    cleaned = cleaned.replace(pattern, '');
+  }
+  return cleaned;
+};
@@ -0,0 +1,37 @@
+import { getCodeExecutionConfig } from '../../config/environment';
+import { createPistonExecutor } from './pistonExecutor';
+import { createJudge0Executor } from './judge0Executor';
+import { createBrowserExecutor } from './browserExecutor';
+
+// Every executor exposes the same shape:
+//   name               - adapter id
+//   rateLimited        - whether requests must be throttled client-side
+//   cleansInputPrompts - whether echoed "Enter x:" prompts should be stripped from stdout
+//   supports(language) - boolean
+//   execute({ code, language, stdin, timeLimit })
+//     -> { stdout, stderr, compileOutput, exitCode, timedOut, time, memory }
+
+const EXECUTOR_FACTORIES = {
+  piston: (config) => createPistonExecutor(config.piston),
+  judge0: (config) => createJudge0Executor(config.judge0),
+  browser: (config) => createBrowserExecutor(config.browser, config.TIME_LIMIT),
+};
+
+let executor = null;
+
+export const getExecutor = () => {
+  if (!executor) {
+    const config = getCodeExecutionConfig();
+    const createExecutor = EXECUTOR_FACTORIES[config.executor];
+    if (!createExecutor) {
+      throw new Error(`Unknown code executor "${config.executor}"`);
+    }
+    executor = createExecutor(config);
+  }
+  return executor;
+};
+
+// Swap the active executor, e.g. to inject a stub executor in tests
+export const setExecutor = (customExecutor) => {
+  executor = customExecutor;
+};
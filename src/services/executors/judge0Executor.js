@@ -0,0 +1,73 @@
+import { prepareSource } from './codeTransforms';
+
+// Executor backed by a Judge0-compatible server (Judge0 CE or a self-hosted clone)
+
+// Judge0 CE language ids
+const JUDGE0_LANGUAGES = {
+  javascript: 63,
+  python: 71,
+  java: 62,
+  cpp: 54,
+  c: 50,
+  go: 60,
+  rust: 73,
+  ruby: 72,
+  csharp: 51,
+  kotlin: 78,
+  typescript: 74,
+  sql: 82
+};
+
+// Judge0 status ids we need to tell apart
+const JUDGE0_STATUS = {
+  TIME_LIMIT_EXCEEDED: 5,
+  COMPILATION_ERROR: 6
+};
+
+// base64 that survives non-latin characters in source and output
+const encode = (text) => btoa(unescape(encodeURIComponent(text || '')));
+const decode = (text) => (text ? decodeURIComponent(escape(atob(text))) : '');
+
+export const createJudge0Executor = ({ URL, AUTH_TOKEN }) => ({
+  name: 'judge0',
+  rateLimited: false,
+  cleansInputPrompts: true,
+
+  supports: (language) => Boolean(JUDGE0_LANGUAGES[language]),
+
+  execute: async ({ code, language, stdin, timeLimit }) => {
+    const source = prepareSource(code, language, stdin);
+
+    const response = await fetch(`${URL}/submissions?base64_encoded=true&wait=true`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(AUTH_TOKEN ? { 'X-Auth-Token': AUTH_TOKEN } : {})
+      },
+      body: JSON.stringify({
+        language_id: JUDGE0_LANGUAGES[language],
+        source_code: encode(source.code),
+        stdin: encode(source.stdin),
+        cpu_time_limit: timeLimit / 1000,
+        wall_time_limit: (timeLimit / 1000) * 2
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Execution API error: ${response.status}`);
+    }
+
+    const result = await response.json();
+    const statusId = result.status?.id;
+
+    return {
+      stdout: decode(result.stdout),
+      stderr: decode(result.stderr),
+      compileOutput: statusId === JUDGE0_STATUS.COMPILATION_ERROR ? decode(result.compile_output) : "",
+      exitCode: result.exit_code ?? (result.status?.description === 'Accepted' ? 0 : 1),
+      timedOut: statusId === JUDGE0_STATUS.TIME_LIMIT_EXCEEDED,
+      time: result.time,
+      memory: result.memory
+    };
+  }
+});
@@ -0,0 +1,71 @@
+import { getFileName, prepareSource } from './codeTransforms';
+
+// Executor backed by a Piston server (public emkc.org or self-hosted)
+
+const PISTON_LANGUAGES = {
+  javascript: "javascript",
+  python: "python",
+  java: "java",
+  cpp: "cpp",
+  c: "c",
+  go: "go",
+  rust: "rust",
+  ruby: "ruby",
+  csharp: "csharp",
+  kotlin: "kotlin",
+  typescript: "typescript",
+  sql: "sqlite"
+};
+
+export const createPistonExecutor = ({ URL, RATE_LIMIT }) => ({
+  name: 'piston',
+  rateLimited: RATE_LIMIT,
+  cleansInputPrompts: true,
+
+  supports: (language) => Boolean(PISTON_LANGUAGES[language]),
+
+  execute: async ({ code, language, stdin, timeLimit }) => {
+    const source = prepareSource(code, language, stdin);
+
+    const pistonData = {
+      language: PISTON_LANGUAGES[language],
+      version: "*",
+      files: [
+        {
+          name: getFileName(language),
+          content: source.code
+        }
+      ],
+      stdin: source.stdin,
+      // Kotlin compiles slowly, give it more headroom
+      compile_timeout: language === 'kotlin' ? 30000 : 10000,
+      run_timeout: language === 'kotlin' ? Math.max(timeLimit, 15000) : timeLimit,
+      compile_memory_limit: -1,
+      run_memory_limit: -1
+    };
+
+    const response = await fetch(`${URL}/execute`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(pistonData)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Execution API error: ${response.status}`);
+    }
+
+    const result = await response.json();
+
+    return {
+      stdout: result.run?.stdout || "",
+      stderr: result.run?.stderr || "",
+      compileOutput: result.compile?.stderr || "",
+      exitCode: result.run?.code ?? 1,
+      timedOut: result.run?.signal === 'SIGKILL',
+      time: result.run?.time,
+      memory: result.run?.memory
+    };
+  }
+});
@@ -0,0 +1,64 @@
+// Lecture downloads for the offline course player.
+// Videos are stored in the Cache API under their original URL; public/sw.js
+// serves them back to the video player whenever they are requested.
+
+import { isSectionReleased } from "../utils/dripSchedule"
+
+const LECTURE_CACHE = "beeja-lectures-v1"
+
+export const isDownloadSupported = () => "caches" in window && "serviceWorker" in navigator
+
+// Lectures of a section that has not been drip-released yet are never downloaded
+const getSectionVideoUrls = (section, enrollment) =>
+  isSectionReleased(section, enrollment)
+    ? (section?.subSection || []).map((subSection) => subSection.videoUrl).filter(Boolean)
+    : []
+
+export const isLectureDownloaded = async (videoUrl) => {
+  if (!videoUrl || !isDownloadSupported()) return false
+  const cache = await caches.open(LECTURE_CACHE)
+  return Boolean(await cache.match(videoUrl))
+}
+
+export const getSectionDownloadStatus = async (section, enrollment) => {
+  const urls = getSectionVideoUrls(section, enrollment)
+  if (!urls.length || !isDownloadSupported()) return { downloaded: 0, total: urls.length }
+
+  const cache = await caches.open(LECTURE_CACHE)
+  const matches = await Promise.all(urls.map((url) => cache.match(url)))
+  return { downloaded: matches.filter(Boolean).length, total: urls.length }
+}
+
+// Download every lecture video in a section, skipping the ones already cached
+export const downloadSectionLectures = async (section, enrollment, onProgress = () => {}) => {
+  if (!isDownloadSupported()) {
+    throw new Error("Offline downloads are not supported in this browser")
+  }
+
+  // Ask the browser not to evict downloads under storage pressure
+  await navigator.storage?.persist?.()
+
+  const urls = getSectionVideoUrls(section, enrollment)
+  const cache = await caches.open(LECTURE_CACHE)
+  let completed = 0
+
+  for (const url of urls) {
+    if (!(await cache.match(url))) {
+      const response = await fetch(url, { mode: "cors" })
+      if (!response.ok) {
+        throw new Error(`Could not download lecture (${response.status})`)
+      }
+      await cache.put(url, response)
+    }
+    completed++
+    onProgress(completed, urls.length)
+  }
+
+  return completed
+}
+
+export const removeSectionDownloads = async (section) => {
+  if (!isDownloadSupported()) return
+  const cache = await caches.open(LECTURE_CACHE)
+  await Promise.all(getSectionVideoUrls(section).map((url) => cache.delete(url)))
+}
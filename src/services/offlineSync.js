@@ -0,0 +1,186 @@
+import { toast } from "react-hot-toast"
+
+import { apiConnector } from "./apiConnector"
+import { courseEndpoints, endpoints } from "./apis"
+import { STORES, addRecord, deleteRecord, getAllRecords, getRecord, putRecord } from "../utils/offlineDB"
+import {
+  setCompletedLectures,
+  setPendingSyncLectures,
+  removePendingSyncLecture,
+} from "../slices/viewCourseSlice"
+
+const { LECTURE_COMPLETION_API, GET_FULL_COURSE_DETAILS_AUTHENTICATED } = courseEndpoints
+const { UPDATE_WATCH_TIME_API } = endpoints
+
+export const SYNC_ACTIONS = {
+  LECTURE_COMPLETION: "LECTURE_COMPLETION",
+  WATCH_TIME: "WATCH_TIME",
+}
+
+const SYNC_TAG = "beeja-progress-sync"
+
+// A request failed because we could not reach the server (as opposed to the server rejecting it)
+export const isOfflineError = (error) => !navigator.onLine || !error?.response
+
+// Worth sending again later: unreachable server, expired session (401) or a server error.
+// Any other 4xx is the server definitively rejecting the action.
+const isRetryableError = (error) =>
+  isOfflineError(error) || error.response.status === 401 || error.response.status >= 500
+
+
+// ================ service worker ================
+export const registerServiceWorker = async () => {
+  if (!("serviceWorker" in navigator)) return null
+  try {
+    const registration = await navigator.serviceWorker.register("/sw.js")
+    console.log("SERVICE WORKER REGISTERED............", registration.scope)
+    return registration
+  } catch (error) {
+    console.log("SERVICE WORKER REGISTRATION ERROR............", error)
+    return null
+  }
+}
+
+// Ask the browser to wake the service worker once connectivity returns (Chromium only)
+const requestBackgroundSync = async () => {
+  try {
+    if (!("serviceWorker" in navigator)) return
+    const registration = await navigator.serviceWorker.ready
+    await registration.sync?.register(SYNC_TAG)
+  } catch (error) {
+    console.log("BACKGROUND SYNC REGISTRATION ERROR............", error)
+  }
+}
+
+
+// ================ queue ================
+export const queueSyncAction = async (type, payload) => {
+  await addRecord(STORES.SYNC_QUEUE, {
+    type,
+    payload,
+    createdAt: new Date().toISOString(),
+  })
+  requestBackgroundSync()
+}
+
+const sendSyncAction = (action, token) => {
+  const headers = { Authorization: `Bearer ${token}` }
+  switch (action.type) {
+    case SYNC_ACTIONS.LECTURE_COMPLETION:
+      return apiConnector("POST", LECTURE_COMPLETION_API, action.payload, headers)
+    case SYNC_ACTIONS.WATCH_TIME:
+      return apiConnector("POST", UPDATE_WATCH_TIME_API, action.payload, headers)
+    default:
+      return Promise.reject(new Error(`Unknown sync action: ${action.type}`))
+  }
+}
+
+const getQueuedLectureIds = (actions, courseId) =>
+  actions
+    .filter((action) => action.type === SYNC_ACTIONS.LECTURE_COMPLETION)
+    .filter((action) => !courseId || action.payload.courseId === courseId)
+    .map((action) => action.payload.subsectionId)
+
+
+// ================ course snapshots ================
+export const saveCourseSnapshot = async (courseId, data) => {
+  try {
+    await putRecord(STORES.COURSES, { courseId, data, savedAt: new Date().toISOString() })
+  } catch (error) {
+    console.log("SAVE COURSE SNAPSHOT ERROR............", error)
+  }
+}
+
+// Last known course details with lectures completed offline merged in
+export const getOfflineCourseDetails = async (courseId) => {
+  try {
+    const snapshot = await getRecord(STORES.COURSES, courseId)
+    if (!snapshot) return null
+    const queuedLectures = getQueuedLectureIds(await getAllRecords(STORES.SYNC_QUEUE), courseId)
+    return {
+      ...snapshot.data,
+      completedVideos: [...new Set([...(snapshot.data.completedVideos || []), ...queuedLectures])],
+    }
+  } catch (error) {
+    console.log("GET OFFLINE COURSE DETAILS ERROR............", error)
+    return null
+  }
+}
+
+
+// ================ load pending sync state ================
+export function loadPendingSync() {
+  return async (dispatch) => {
+    try {
+      const actions = await getAllRecords(STORES.SYNC_QUEUE)
+      dispatch(setPendingSyncLectures(getQueuedLectureIds(actions)))
+    } catch (error) {
+      console.log("LOAD PENDING SYNC ERROR............", error)
+    }
+  }
+}
+
+
+// ================ replay queue ================
+let isReplaying = false
+
+export function replaySyncQueue(token) {
+  return async (dispatch, getState) => {
+    if (isReplaying || !token || !navigator.onLine) return
+    isReplaying = true
+
+    let syncedCount = 0
+    try {
+      const actions = await getAllRecords(STORES.SYNC_QUEUE)
+
+      // Replay strictly in order; stop at the first retryable failure so later actions wait
+      for (const action of actions) {
+        try {
+          await sendSyncAction(action, token)
+        } catch (error) {
+          if (isRetryableError(error)) break
+          // The server rejected it (e.g. already completed) - drop it, reconciliation fixes the UI
+          console.log("REPLAY SYNC ACTION REJECTED............", action, error)
+        }
+
+        await deleteRecord(STORES.SYNC_QUEUE, action.id)
+        if (action.type === SYNC_ACTIONS.LECTURE_COMPLETION) {
+          dispatch(removePendingSyncLecture(action.payload.subsectionId))
+        }
+        syncedCount++
+      }
+    } catch (error) {
+      console.log("REPLAY SYNC QUEUE ERROR............", error)
+    } finally {
+      isReplaying = false
+    }
+
+    if (syncedCount > 0) {
+      await reconcileCourseProgress(dispatch, getState, token)
+      toast.success("Offline progress synced")
+    }
+  }
+}
+
+// Replace optimistic progress with the server's view, keeping anything still queued
+const reconcileCourseProgress = async (dispatch, getState, token) => {
+  const { courseEntireData, pendingSyncLectures } = getState().viewCourse
+  const courseId = courseEntireData?._id
+  if (!courseId) return
+
+  try {
+    const response = await apiConnector(
+      "POST",
+      GET_FULL_COURSE_DETAILS_AUTHENTICATED,
+      { courseId },
+      { Authorization: `Bearer ${token}` }
+    )
+    const data = response?.data?.data
+    if (!response?.data?.success || !data) return
+
+    await saveCourseSnapshot(courseId, data)
+    dispatch(setCompletedLectures([...new Set([...(data.completedVideos || []), ...pendingSyncLectures])]))
+  } catch (error) {
+    console.log("RECONCILE COURSE PROGRESS ERROR............", error)
+  }
+}
@@ -0,0 +1,178 @@
+import { toast } from "react-hot-toast"
+import { apiConnector } from "../apiConnector"
+import { assignmentEndpoints } from "../apis"
+
+const {
+  CREATE_ASSIGNMENT_API,
+  UPDATE_ASSIGNMENT_API,
+  DELETE_ASSIGNMENT_API,
+  GET_ASSIGNMENT_API,
+  SUBMIT_ASSIGNMENT_API,
+  GET_MY_SUBMISSION_API,
+  GET_INSTRUCTOR_SUBMISSIONS_API,
+  GRADE_SUBMISSION_API,
+} = assignmentEndpoints
+
+// ================ Create Assignment ================
+export const createAssignment = async (data, token) => {
+  let result = null
+  const toastId = toast.loading("Creating Assignment...")
+  try {
+    const response = await apiConnector("POST", CREATE_ASSIGNMENT_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Create Assignment")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("CREATE_ASSIGNMENT_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Update Assignment ================
+export const updateAssignment = async (assignmentId, data, token) => {
+  let result = null
+  const toastId = toast.loading("Updating Assignment...")
+  try {
+    const response = await apiConnector("PUT", UPDATE_ASSIGNMENT_API.replace(":assignmentId", assignmentId), data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Update Assignment")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("UPDATE_ASSIGNMENT_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Delete Assignment ================
+// Used to clean up an assignment whose subsection could not be created, so it stays quiet
+export const deleteAssignment = async (assignmentId, token) => {
+  try {
+    const response = await apiConnector("DELETE", DELETE_ASSIGNMENT_API.replace(":assignmentId", assignmentId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Delete Assignment")
+    }
+    return true
+  } catch (error) {
+    console.log("DELETE_ASSIGNMENT_API ERROR............", error)
+    return false
+  }
+}
+
+// ================ Get Assignment by ID ================
+export const getAssignmentById = async (assignmentId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", GET_ASSIGNMENT_API.replace(":assignmentId", assignmentId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Assignment")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_ASSIGNMENT_API ERROR............", error)
+    toast.error(error.message)
+  }
+  return result
+}
+
+// ================ Submit Assignment ================
+// formData carries the uploaded files and an optional comment for the instructor
+export const submitAssignment = async (assignmentId, formData, token) => {
+  let result = null
+  const toastId = toast.loading("Uploading Submission...")
+  try {
+    const response = await apiConnector("POST", SUBMIT_ASSIGNMENT_API.replace(":assignmentId", assignmentId), formData, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Submit Assignment")
+    }
+    result = response?.data?.data
+    toast.success("Assignment Submitted Successfully")
+  } catch (error) {
+    console.log("SUBMIT_ASSIGNMENT_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Get Own Submission ================
+// Latest submission of the logged in student, or null when nothing was submitted yet
+export const getMySubmission = async (assignmentId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", GET_MY_SUBMISSION_API.replace(":assignmentId", assignmentId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Submission")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_MY_SUBMISSION_API ERROR............", error)
+  }
+  return result
+}
+
+// ================ Get Submissions to Grade ================
+// params: { courseId, status } - both optional
+export const getInstructorSubmissions = async (params, token) => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", GET_INSTRUCTOR_SUBMISSIONS_API, null, {
+      Authorization: `Bearer ${token}`,
+    }, params)
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Submissions")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_INSTRUCTOR_SUBMISSIONS_API ERROR............", error)
+    toast.error(error.message)
+  }
+  return result
+}
+
+// ================ Grade Submission ================
+// data: { scores: [{ criterionId, points, comment }], feedback, status }
+export const gradeSubmission = async (submissionId, data, token) => {
+  let result = null
+  const toastId = toast.loading("Saving Grade...")
+  try {
+    const response = await apiConnector("PUT", GRADE_SUBMISSION_API.replace(":submissionId", submissionId), data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Save Grade")
+    }
+    result = response?.data?.data
+    toast.success("Grade Saved")
+  } catch (error) {
+    console.log("GRADE_SUBMISSION_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
@@ -0,0 +1,27 @@
+import { toast } from "react-hot-toast"
+
+import { apiConnector } from "../apiConnector"
+import { auditEndpoints } from "../apis"
+
+const { GET_AUDIT_LOGS_API } = auditEndpoints
+
+// ================ Get Audit Logs (Admin) ================
+// filters: { actor, entityType, action, from, to, page, limit }, newest entries first.
+// Returns { entries, total, actors } where actors lists every admin who appears in the log.
+export const getAuditLogs = async (token, filters = {}) => {
+  let result = { entries: [], total: 0, actors: [] }
+  try {
+    const response = await apiConnector("GET", GET_AUDIT_LOGS_API, null, {
+      Authorization: `Bearer ${token}`,
+    }, filters)
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Activity Log")
+    }
+    result = { ...result, ...response?.data?.data }
+  } catch (error) {
+    console.log("GET_AUDIT_LOGS_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
@@ -3,6 +3,11 @@ import { toast } from "react-hot-toast"
 import { setLoading, setToken, setUser, clearAuth } from "../../slices/authSlice"
 import { resetCart } from "../../slices/cartSlice"
 import { setUser as setProfileUser } from "../../slices/profileSlice"
+import { resetWishlist } from "../../slices/wishlistSlice"
+import { resetMembership } from "../../slices/membershipSlice"
+import { ACCOUNT_TYPE } from "../../utils/constants"
+import { syncCartOnLogin } from "./cartAPI"
+import { fetchWishlist } from "./wishlistAPI"
 import { apiConnector } from "../apiConnector"
 import { endpoints } from "../apis"
 
@@ -117,6 +122,12 @@ export function login(email, password, navigate) {
       dispatch(setUser(userData));
       dispatch(setProfileUser(userData));
 
+      // Bring in the cart and wishlist saved from other devices
+      if (userData.accountType === ACCOUNT_TYPE.STUDENT) {
+        dispatch(syncCartOnLogin(response.data.token, userData))
+        dispatch(fetchWishlist(response.data.token))
+      }
+
       navigate("/dashboard/my-profile");
     } catch (error) {
       console.log("LOGIN API ERROR.......", error)
@@ -253,6 +264,8 @@ export function logout(navigate) {
     dispatch(clearAuth())
     dispatch(setProfileUser(null))
     dispatch(resetCart())
+    dispatch(resetWishlist())
+    dispatch(resetMembership())
     toast.success("Logged Out")
     navigate("/")
   }
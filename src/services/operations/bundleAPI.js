@@ -0,0 +1,121 @@
+import { toast } from "react-hot-toast"
+import { apiConnector } from "../apiConnector"
+import { bundleEndpoints } from "../apis"
+
+const {
+  GET_BUNDLE_PRICING_API,
+  GET_BUNDLE_RULES_API,
+  CREATE_BUNDLE_RULE_API,
+  UPDATE_BUNDLE_RULE_API,
+  DELETE_BUNDLE_RULE_API,
+} = bundleEndpoints
+
+// Fixed bundles and tiered rules share one shape, see utils/bundlePricing:
+// { _id, type, name, description, isActive, validFrom, validUntil,
+//   fixed:  courses, price, thumbnail
+//   tiered: scope, category, courseType, tiers: [{ minCourses, discountPercent }], excludedCourses }
+
+// ================ Get Bundle Pricing ================
+// active fixed bundles (with their courses) and tiered rules, for the catalog and checkout
+export const getBundlePricing = async () => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", GET_BUNDLE_PRICING_API)
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Bundle Offers")
+    }
+    result = response?.data?.data || []
+  } catch (error) {
+    console.log("GET_BUNDLE_PRICING_API ERROR............", error)
+  }
+  return result
+}
+
+// ================ Get All Bundle Rules (Admin) ================
+export const getBundleRules = async (token) => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", GET_BUNDLE_RULES_API, null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Bundles")
+    }
+    result = response?.data?.data || []
+  } catch (error) {
+    console.log("GET_BUNDLE_RULES_API ERROR............", error)
+    toast.error(error.message)
+  }
+  return result
+}
+
+// ================ Create Bundle Rule (Admin) ================
+// data: FormData, so a fixed bundle can carry its artwork as thumbnailImage
+export const createBundleRule = async (data, token) => {
+  let result = null
+  const toastId = toast.loading("Saving Bundle...")
+  try {
+    const response = await apiConnector("POST", CREATE_BUNDLE_RULE_API, data, {
+      "Content-Type": "multipart/form-data",
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Create Bundle")
+    }
+    result = response?.data?.data
+    toast.success("Bundle Created")
+  } catch (error) {
+    console.log("CREATE_BUNDLE_RULE_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Update Bundle Rule (Admin) ================
+export const updateBundleRule = async (ruleId, data, token) => {
+  let result = null
+  const toastId = toast.loading("Saving Bundle...")
+  try {
+    const response = await apiConnector("PUT", UPDATE_BUNDLE_RULE_API.replace(":ruleId", ruleId), data, {
+      "Content-Type": "multipart/form-data",
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Update Bundle")
+    }
+    result = response?.data?.data
+    toast.success("Bundle Updated")
+  } catch (error) {
+    console.log("UPDATE_BUNDLE_RULE_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Delete Bundle Rule (Admin) ================
+export const deleteBundleRule = async (ruleId, token) => {
+  let result = false
+  const toastId = toast.loading("Deleting...")
+  try {
+    const response = await apiConnector("DELETE", DELETE_BUNDLE_RULE_API.replace(":ruleId", ruleId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Delete Bundle")
+    }
+    result = true
+    toast.success("Bundle Deleted")
+  } catch (error) {
+    console.log("DELETE_BUNDLE_RULE_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
@@ -0,0 +1,151 @@
+import { toast } from "react-hot-toast"
+
+import { apiConnector } from "../apiConnector"
+import { cartEndpoints } from "../apis"
+import { addToCart, removeFromCart, setCart } from "../../slices/cartSlice"
+
+const { GET_CART_API, UPDATE_CART_API, VALIDATE_CART_API } = cartEndpoints
+
+// The server keeps a copy of the cart so it follows the student across devices.
+// localStorage stays the working copy; every change is mirrored to the server and the
+// two are merged on login.
+
+// Replace the server cart with the given courses. Returns the server's cart, or null
+const saveServerCart = async (courseIds, token) => {
+  try {
+    const response = await apiConnector("PUT", UPDATE_CART_API, { courseIds }, {
+      Authorization: `Bearer ${token}`,
+    })
+    console.log("UPDATE_CART_API RESPONSE............", response)
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not save cart")
+    }
+    return response.data.data
+  } catch (error) {
+    // Not fatal - the next login merge picks the local cart up again
+    console.log("UPDATE_CART_API ERROR............", error)
+    return null
+  }
+}
+
+// Duplicates keep the server copy (it has current prices) in the local position;
+// courses the student is already enrolled in are dropped
+export const mergeCarts = (localCart, serverCart, enrolledIds = []) => {
+  const merged = new Map()
+  ;[...localCart, ...serverCart].forEach((course) => merged.set(course._id, course))
+
+  const courses = [...merged.values()]
+  return {
+    cart: courses.filter((course) => !enrolledIds.includes(course._id)),
+    enrolled: courses.filter((course) => enrolledIds.includes(course._id)),
+  }
+}
+
+// ================ sync cart on login ================
+export function syncCartOnLogin(token, user) {
+  return async (dispatch, getState) => {
+    try {
+      const response = await apiConnector("GET", GET_CART_API, null, {
+        Authorization: `Bearer ${token}`,
+      })
+      console.log("GET_CART_API RESPONSE............", response)
+
+      if (!response?.data?.success) {
+        throw new Error(response?.data?.message || "Could not fetch cart")
+      }
+
+      const { cart, enrolled } = mergeCarts(
+        getState().cart.cart,
+        response.data.data || [],
+        (user?.courses || []).map(String)
+      )
+
+      if (enrolled.length) {
+        toast(`Removed ${enrolled.length === 1 ? enrolled[0].courseName : `${enrolled.length} courses`} from your cart - you're already enrolled`)
+      }
+
+      dispatch(setCart(cart))
+      const saved = await saveServerCart(cart.map((course) => course._id), token)
+      // The server may drop courses that were unpublished meanwhile
+      if (saved && saved.length !== cart.length) {
+        dispatch(setCart(saved))
+      }
+    } catch (error) {
+      console.log("GET_CART_API ERROR............", error)
+    }
+  }
+}
+
+// ================ add / remove ================
+export function addCourseToCart(course, token) {
+  return async (dispatch, getState) => {
+    dispatch(addToCart(course))
+    if (token) {
+      await saveServerCart(getState().cart.cart.map((item) => item._id), token)
+    }
+  }
+}
+
+export function removeCourseFromCart(courseId, token) {
+  return async (dispatch, getState) => {
+    dispatch(removeFromCart(courseId))
+    if (token) {
+      await saveServerCart(getState().cart.cart.map((item) => item._id), token)
+    }
+  }
+}
+
+// ================ revalidate cart ================
+// Refreshes prices and availability before checkout. Resolves to true when the cart
+// was already up to date; otherwise updates it and resolves to false so the student
+// can review the new total before paying.
+export function revalidateCart(token) {
+  return async (dispatch, getState) => {
+    const { cart } = getState().cart
+    if (!cart.length) return true
+
+    try {
+      const response = await apiConnector(
+        "POST",
+        VALIDATE_CART_API,
+        { courseIds: cart.map((course) => course._id) },
+        { Authorization: `Bearer ${token}` }
+      )
+      console.log("VALIDATE_CART_API RESPONSE............", response)
+
+      if (!response?.data?.success) {
+        throw new Error(response?.data?.message || "Could not verify cart")
+      }
+
+      const { courses = [], enrolled = [] } = response.data.data
+      const current = new Map(courses.map((course) => [course._id, course]))
+
+      const updatedCart = cart
+        .filter((course) => current.has(course._id) && !enrolled.includes(course._id))
+        .map((course) => ({ ...course, ...current.get(course._id) }))
+      const priceChanges = updatedCart.filter(
+        (course) => course.price !== cart.find((item) => item._id === course._id).price
+      )
+      const removedCount = cart.length - updatedCart.length
+
+      if (!priceChanges.length && !removedCount) return true
+
+      priceChanges.forEach((course) => {
+        const oldPrice = cart.find((item) => item._id === course._id).price
+        toast(`${course.courseName}: price changed from ₹${oldPrice} to ₹${course.price}`)
+      })
+      if (removedCount) {
+        toast.error(`${removedCount} course(s) are no longer available or already purchased and were removed`)
+      }
+
+      dispatch(setCart(updatedCart))
+      await saveServerCart(updatedCart.map((course) => course._id), token)
+      return false
+    } catch (error) {
+      console.log("VALIDATE_CART_API ERROR............", error)
+      toast.error("Could not verify cart prices. Please try again.")
+      return false
+    }
+  }
+}
@@ -1,11 +1,16 @@
 import { toast } from "react-hot-toast"
 import { apiConnector } from "../apiConnector"
 import { certificateEndpoints } from "../apis"
+import { CERTIFICATE_CONFIG } from "../../config/environment"
+import { SIGNATURE_STATUS, verifySignedPayload } from "../../utils/certificateSignature"
 
 const {
   GENERATE_CERTIFICATE_API,
   VERIFY_CERTIFICATE_API,
   GET_USER_CERTIFICATES_API,
+  CERTIFICATE_PUBLIC_KEYS_API,
+  CERTIFICATE_REVOCATIONS_API,
+  GET_CERTIFICATE_CREDENTIAL_API,
 } = certificateEndpoints
 
 export async function generateCertificate(data, token) {
@@ -70,3 +75,88 @@ export async function getUserCertificates(token) {
   }
   return result
 }
+
+// Open Badges 3.0 OpenBadgeCredential for a certificate, signed by the backend (its proof
+// covers the JSON as returned, so it must be exported unchanged). Public, like verification.
+export async function getCertificateCredential(certificateId) {
+  let result = null
+  try {
+    const response = await apiConnector(
+      "GET",
+      GET_CERTIFICATE_CREDENTIAL_API.replace(":certificateId", certificateId)
+    )
+    console.log("GET CERTIFICATE CREDENTIAL API RESPONSE............", response)
+    if (!response?.data?.success) {
+      throw new Error("Could Not Get Badge")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET CERTIFICATE CREDENTIAL API ERROR............", error)
+    toast.error(error.response?.data?.message || "Could Not Get Badge")
+  }
+  return result
+}
+
+const readCache = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key))
+  } catch (error) {
+    return null
+  }
+}
+
+// Bundled keys plus any fetched since, so rotated keys keep working offline
+export async function getCertificatePublicKeys() {
+  const cached = readCache(CERTIFICATE_CONFIG.PUBLIC_KEYS_CACHE_KEY) || {}
+  let fetched = {}
+  try {
+    const response = await apiConnector("GET", CERTIFICATE_PUBLIC_KEYS_API)
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Public Keys")
+    }
+    fetched = Object.fromEntries(response.data.data.map(({ kid, publicKey }) => [kid, publicKey]))
+    localStorage.setItem(CERTIFICATE_CONFIG.PUBLIC_KEYS_CACHE_KEY, JSON.stringify({ ...cached, ...fetched }))
+  } catch (error) {
+    console.log("CERTIFICATE PUBLIC KEYS API ERROR............", error)
+  }
+  return { ...cached, ...fetched, ...CERTIFICATE_CONFIG.PUBLIC_KEYS }
+}
+
+// Revoked certificates as { online, checkedAt, revoked: [{ certificateId, reason, revokedAt }] }.
+// Offline, the last fetched list is returned with online: false.
+export async function getRevokedCertificates() {
+  try {
+    const response = await apiConnector("GET", CERTIFICATE_REVOCATIONS_API)
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Revocation List")
+    }
+    const list = { revoked: response.data.data, checkedAt: new Date().toISOString() }
+    localStorage.setItem(CERTIFICATE_CONFIG.REVOCATION_CACHE_KEY, JSON.stringify(list))
+    return { ...list, online: true }
+  } catch (error) {
+    console.log("CERTIFICATE REVOCATIONS API ERROR............", error)
+    const cached = readCache(CERTIFICATE_CONFIG.REVOCATION_CACHE_KEY)
+    return { revoked: cached?.revoked || [], checkedAt: cached?.checkedAt || null, online: false }
+  }
+}
+
+// Checks a signed payload from a QR code, pasted text or PDF. Returns
+// { status, payload, revocation: { online, checkedAt, entry } }; entry is set when revoked.
+export async function verifySignedCertificate(token) {
+  const [publicKeys, revocations] = await Promise.all([
+    getCertificatePublicKeys(),
+    getRevokedCertificates(),
+  ])
+  const { status, payload } = await verifySignedPayload(token, publicKeys, CERTIFICATE_CONFIG.ISSUER)
+
+  const entry =
+    status === SIGNATURE_STATUS.VALID
+      ? revocations.revoked.find((item) => item.certificateId === payload.cid) || null
+      : null
+
+  return {
+    status,
+    payload,
+    revocation: { online: revocations.online, checkedAt: revocations.checkedAt, entry },
+  }
+}
@@ -0,0 +1,189 @@
+import { toast } from "react-hot-toast"
+import { apiConnector } from "../apiConnector"
+import { certificateTemplateEndpoints } from "../apis"
+
+const {
+  GET_CERTIFICATE_TEMPLATES_API,
+  CREATE_CERTIFICATE_TEMPLATE_API,
+  UPDATE_CERTIFICATE_TEMPLATE_API,
+  DELETE_CERTIFICATE_TEMPLATE_API,
+  SAVE_TEMPLATE_VERSION_API,
+  ACTIVATE_TEMPLATE_VERSION_API,
+  GET_TEMPLATE_VERSION_API,
+} = certificateTemplateEndpoints
+
+// A template is { _id, name, courses, courseTypes, isDefault, activeVersion,
+// versions: [{ version, layout, note, createdAt }] }. When a certificate is issued the
+// backend picks the template assigned to the course, then to its course type, then the
+// default, and stores { templateId, version } of its active version on the certificate.
+
+// ================ Get Certificate Templates ================
+export const getCertificateTemplates = async (token) => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", GET_CERTIFICATE_TEMPLATES_API, null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Certificate Templates")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_CERTIFICATE_TEMPLATES_API ERROR............", error)
+    toast.error(error.message)
+  }
+  return result
+}
+
+// ================ Create Certificate Template ================
+// data: { name, layout } - the layout becomes version 1
+export const createCertificateTemplate = async (data, token) => {
+  let result = null
+  const toastId = toast.loading("Creating Template...")
+  try {
+    const response = await apiConnector("POST", CREATE_CERTIFICATE_TEMPLATE_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Create Template")
+    }
+    result = response?.data?.data
+    toast.success("Template Created")
+  } catch (error) {
+    console.log("CREATE_CERTIFICATE_TEMPLATE_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Update Certificate Template ================
+// data: { name, courses, courseTypes, isDefault } - layouts change through new versions
+export const updateCertificateTemplate = async (templateId, data, token) => {
+  let result = null
+  const toastId = toast.loading("Updating Template...")
+  try {
+    const response = await apiConnector(
+      "PUT",
+      UPDATE_CERTIFICATE_TEMPLATE_API.replace(":templateId", templateId),
+      data,
+      { Authorization: `Bearer ${token}` }
+    )
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Update Template")
+    }
+    result = response?.data?.data
+    toast.success("Template Updated")
+  } catch (error) {
+    console.log("UPDATE_CERTIFICATE_TEMPLATE_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Delete Certificate Template ================
+export const deleteCertificateTemplate = async (templateId, token) => {
+  let result = false
+  const toastId = toast.loading("Deleting Template...")
+  try {
+    const response = await apiConnector(
+      "DELETE",
+      DELETE_CERTIFICATE_TEMPLATE_API.replace(":templateId", templateId),
+      null,
+      { Authorization: `Bearer ${token}` }
+    )
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Delete Template")
+    }
+    result = true
+    toast.success("Template Deleted")
+  } catch (error) {
+    console.log("DELETE_CERTIFICATE_TEMPLATE_API ERROR............", error)
+    // Templates that issued certificates are kept so those certificates still render
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Save Template Version ================
+// Returns the updated template; the new version is not active until activated
+export const saveTemplateVersion = async (templateId, data, token) => {
+  let result = null
+  const toastId = toast.loading("Saving Version...")
+  try {
+    const response = await apiConnector(
+      "POST",
+      SAVE_TEMPLATE_VERSION_API.replace(":templateId", templateId),
+      data,
+      { Authorization: `Bearer ${token}` }
+    )
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Save Version")
+    }
+    result = response?.data?.data
+    toast.success("Version Saved")
+  } catch (error) {
+    console.log("SAVE_TEMPLATE_VERSION_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Activate Template Version ================
+export const activateTemplateVersion = async (templateId, version, token) => {
+  let result = null
+  const toastId = toast.loading("Activating Version...")
+  try {
+    const response = await apiConnector(
+      "PUT",
+      ACTIVATE_TEMPLATE_VERSION_API.replace(":templateId", templateId).replace(":version", version),
+      null,
+      { Authorization: `Bearer ${token}` }
+    )
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Activate Version")
+    }
+    result = response?.data?.data
+    toast.success(`Version ${version} is now active`)
+  } catch (error) {
+    console.log("ACTIVATE_TEMPLATE_VERSION_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// Saved versions never change, so layouts are cached for the session
+const versionCache = new Map()
+
+// ================ Get Template Version ================
+// Layout of one version, used to render issued certificates. Returns null on failure
+export const getTemplateVersion = async (templateId, version) => {
+  const key = `${templateId}:${version}`
+  if (versionCache.has(key)) return versionCache.get(key)
+
+  try {
+    const response = await apiConnector(
+      "GET",
+      GET_TEMPLATE_VERSION_API.replace(":templateId", templateId).replace(":version", version)
+    )
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Template Version")
+    }
+    versionCache.set(key, response.data.data)
+    return response.data.data
+  } catch (error) {
+    console.log("GET_TEMPLATE_VERSION_API ERROR............", error)
+    return null
+  }
+}
@@ -349,37 +349,67 @@ export const hideMessage = async (messageId, reason, token) => {
 
 // ================ MESSAGE FUNCTIONS ================
 
-// Send message
-export const sendMessage = async (chatId, content, messageType = 'text', image = null, token) => {
-  let result = null;
-  
-  try {
-    const formData = new FormData();
-    formData.append('chatId', chatId);
-    formData.append('content', content);
-    formData.append('messageType', messageType);
-    
-    if (messageType === 'image' && image) {
-      formData.append('image', image);
+// Post a message and return the saved message. Throws on failure so callers such as
+// the chat outbox can tell a network failure from a rejected message.
+// `clientId` lets the server drop duplicates when a retried message had already arrived.
+// Message types: 'text', 'image' (image), 'file' and 'voice' (file, voice also sends its
+// duration in seconds) and 'code' (content is the snippet, language its editor language).
+export const postChatMessage = async ({
+  chatId,
+  content,
+  messageType = 'text',
+  image = null,
+  file = null,
+  language = null,
+  duration = null,
+  clientId = null
+}, token) => {
+  const formData = new FormData();
+  formData.append('chatId', chatId);
+  formData.append('content', content);
+  formData.append('messageType', messageType);
+
+  if (messageType === 'image' && (image || file)) {
+    formData.append('image', image || file);
+  }
+  if ((messageType === 'file' || messageType === 'voice') && file) {
+    formData.append('file', file, file.name);
+  }
+  if (messageType === 'code' && language) {
+    formData.append('language', language);
+  }
+  if (messageType === 'voice' && duration) {
+    formData.append('duration', duration);
+  }
+  if (clientId) {
+    formData.append('clientId', clientId);
+  }
+
+  // Don't set Content-Type header manually for FormData - axios will handle it
+  const response = await apiConnector(
+    "POST",
+    SEND_MESSAGE_API,
+    formData,
+    {
+      Authorization: `Bearer ${token}`,
     }
+  );
 
-    // Don't set Content-Type header manually for FormData - axios will handle it
-    const response = await apiConnector(
-      "POST",
-      SEND_MESSAGE_API,
-      formData,
-      {
-        Authorization: `Bearer ${token}`,
-      }
-    );
+  console.log("SEND_MESSAGE_API RESPONSE............", response);
 
-    console.log("SEND_MESSAGE_API RESPONSE............", response);
+  if (!response?.data?.success) {
+    throw new Error(response?.data?.message || "Could not send message");
+  }
 
-    if (!response?.data?.success) {
-      throw new Error(response?.data?.message || "Could not send message");
-    }
+  return response.data.data;
+};
 
-    result = response.data.data;
+// Send message
+export const sendMessage = async (chatId, content, messageType = 'text', image = null, token, clientId = null) => {
+  let result = null;
+  
+  try {
+    result = await postChatMessage({ chatId, content, messageType, image, clientId }, token);
   } catch (error) {
     console.log("SEND_MESSAGE_API ERROR............", error);
     toast.error(error.response?.data?.message || error.message || "Could not send message");
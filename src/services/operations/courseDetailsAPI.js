@@ -1,9 +1,16 @@
 import { toast } from "react-hot-toast"
 const BASE_URL = import.meta.env.VITE_APP_BASE_URL;
-import { updateCompletedLectures } from "../../slices/viewCourseSlice"
+import { addPendingSyncLecture, updateCompletedLectures } from "../../slices/viewCourseSlice"
 // import { setLoading } from "../../slices/profileSlice";
 import { apiConnector } from "../apiConnector"
 import { courseEndpoints } from "../apis"
+import {
+  SYNC_ACTIONS,
+  getOfflineCourseDetails,
+  isOfflineError,
+  queueSyncAction,
+  saveCourseSnapshot,
+} from "../offlineSync"
 
 const {
   COURSE_DETAILS_API,
@@ -17,11 +24,16 @@ const {
   UPDATE_SUBSECTION_API,
   DELETE_SECTION_API,
   DELETE_SUBSECTION_API,
+  CREATE_COHORT_API,
+  UPDATE_COHORT_API,
+  DELETE_COHORT_API,
   GET_ALL_INSTRUCTOR_COURSES_API,
   DELETE_COURSE_API,
   GET_FULL_COURSE_DETAILS_AUTHENTICATED,
   CREATE_RATING_API,
   LECTURE_COMPLETION_API,
+  ANSWER_CHECKPOINT_API,
+  SEARCH_TRANSCRIPTS_API,
 } = courseEndpoints
 
 
@@ -294,6 +306,88 @@ export const deleteSection = async (data, token) => {
 }
 
 
+// Cohorts are batches of students with a shared start date that drip schedules count from.
+// Each call returns the course's updated cohorts: [{ _id, name, startDate, endDate, capacity }]
+
+// ================ create Cohort ================
+export const createCohort = async (data, token) => {
+  let result = null
+  const toastId = toast.loading("Loading...")
+
+  try {
+    const response = await apiConnector("POST", CREATE_COHORT_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+    console.log("CREATE COHORT API RESPONSE............", response)
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Create Cohort")
+    }
+
+    result = response?.data?.data
+    toast.success("Cohort Created")
+  } catch (error) {
+    console.log("CREATE COHORT API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+
+// ================ update Cohort ================
+export const updateCohort = async (data, token) => {
+  let result = null
+  const toastId = toast.loading("Loading...")
+
+  try {
+    const response = await apiConnector("POST", UPDATE_COHORT_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+    console.log("UPDATE COHORT API RESPONSE............", response)
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Update Cohort")
+    }
+
+    result = response?.data?.data
+    toast.success("Cohort Updated")
+  } catch (error) {
+    console.log("UPDATE COHORT API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+
+// ================ delete Cohort ================
+// The backend refuses to delete a cohort that still has students
+export const deleteCohort = async (data, token) => {
+  let result = null
+  const toastId = toast.loading("Loading...")
+
+  try {
+    const response = await apiConnector("POST", DELETE_COHORT_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+    console.log("DELETE COHORT API RESPONSE............", response)
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Delete Cohort")
+    }
+
+    result = response?.data?.data
+    toast.success("Cohort Deleted")
+  } catch (error) {
+    console.log("DELETE COHORT API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+
 // ================ delete SubSection ================
 export const deleteSubSection = async (data, token) => {
   let result = null
@@ -396,8 +490,18 @@ export const getFullDetailsOfCourse = async (courseId, token) => {
       throw new Error(response.data.message)
     }
     result = response?.data?.data
+    // keep a copy so the course can still be opened without a connection
+    saveCourseSnapshot(courseId, result)
   } catch (error) {
     console.log("COURSE_FULL_DETAILS_API API ERROR............", error)
+
+    if (isOfflineError(error)) {
+      const offlineData = await getOfflineCourseDetails(courseId)
+      if (offlineData) {
+        toast("You are offline - showing your downloaded course", { icon: "📴" })
+        return offlineData
+      }
+    }
     
     // Show appropriate error message to user
     if (error.response?.status === 401) {
@@ -419,7 +523,9 @@ export const getFullDetailsOfCourse = async (courseId, token) => {
 
 
 // ================ mark Lecture As Complete ================
-export const markLectureAsComplete = async (data, token) => {
+// When the network is down the completion is queued for replay and, if dispatch
+// is passed, marked as pending sync so the UI can show it optimistically
+export const markLectureAsComplete = async (data, token, dispatch) => {
   let result = null
   // console.log("mark complete data", data)
   const toastId = toast.loading("Loading...")
@@ -441,14 +547,69 @@ export const markLectureAsComplete = async (data, token) => {
     }
   } catch (error) {
     console.log("MARK_LECTURE_AS_COMPLETE_API API ERROR............", error)
-    toast.error(error.response?.data?.error || error.response?.data?.message || error.message)
-    result = false
+    if (isOfflineError(error)) {
+      try {
+        await queueSyncAction(SYNC_ACTIONS.LECTURE_COMPLETION, data)
+        dispatch?.(addPendingSyncLecture(data.subsectionId))
+        toast.success("Saved offline - will sync when you're back online")
+        result = true
+      } catch (queueError) {
+        console.log("QUEUE LECTURE COMPLETION ERROR............", queueError)
+        toast.error("Could not save progress offline")
+        result = false
+      }
+    } else {
+      toast.error(error.response?.data?.error || error.response?.data?.message || error.message)
+      result = false
+    }
   }
   toast.dismiss(toastId)
   return result
 }
 
 
+// ================ answer In-Video Checkpoint ================
+// data: { courseId, subsectionId, checkpointId, answer } - the server checks the answer
+// and returns { correct }
+export const answerCheckpoint = async (data, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("POST", ANSWER_CHECKPOINT_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+    console.log("ANSWER_CHECKPOINT_API RESPONSE............", response)
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Check Answer")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("ANSWER_CHECKPOINT_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ search lecture transcripts of a course ================
+export const searchCourseTranscripts = async (courseId, query, token) => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", SEARCH_TRANSCRIPTS_API, null, {
+      Authorization: `Bearer ${token}`,
+    }, { courseId, query })
+    console.log("SEARCH_TRANSCRIPTS_API RESPONSE............", response)
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Search Transcripts")
+    }
+    result = response?.data?.data || []
+  } catch (error) {
+    console.log("SEARCH_TRANSCRIPTS_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
+
 // ================ create Course Rating  ================
 export const createRating = async (data, token) => {
   const toastId = toast.loading("Loading...")
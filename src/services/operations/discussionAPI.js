@@ -0,0 +1,241 @@
+import { toast } from "react-hot-toast"
+import { apiConnector } from "../apiConnector"
+import { discussionEndpoints } from "../apis"
+
+const {
+  GET_LECTURE_THREADS_API,
+  CREATE_THREAD_API,
+  GET_THREAD_API,
+  CREATE_REPLY_API,
+  ACCEPT_ANSWER_API,
+  TOGGLE_UPVOTE_API,
+  FLAG_POST_API,
+  HIDE_POST_API,
+  UNHIDE_POST_API,
+  UNFLAG_POST_API,
+  GET_FLAGGED_POSTS_API,
+} = discussionEndpoints
+
+// ================ Get Lecture Threads ================
+// only threads visible to the student's cohort are returned
+export const getLectureThreads = async (subSectionId, token) => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", GET_LECTURE_THREADS_API.replace(":subSectionId", subSectionId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Discussions")
+    }
+    result = response?.data?.data || []
+  } catch (error) {
+    console.log("GET_LECTURE_THREADS_API ERROR............", error)
+    toast.error(error.message)
+  }
+  return result
+}
+
+// ================ Create Thread ================
+// data: { courseId, sectionId, subSectionId, title, body, mentions }
+export const createThread = async (data, token) => {
+  let result = null
+  const toastId = toast.loading("Posting...")
+  try {
+    const response = await apiConnector("POST", CREATE_THREAD_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Post Question")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("CREATE_THREAD_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Get Thread with Replies ================
+export const getThread = async (threadId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", GET_THREAD_API.replace(":threadId", threadId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Discussion")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_THREAD_API ERROR............", error)
+    toast.error(error.message)
+  }
+  return result
+}
+
+// ================ Reply to Thread ================
+// data: { body, mentions }
+export const createReply = async (threadId, data, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("POST", CREATE_REPLY_API.replace(":threadId", threadId), data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Post Reply")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("CREATE_REPLY_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Accept Answer ================
+// thread author or course instructor; replyId null clears the accepted answer
+export const acceptAnswer = async (threadId, replyId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("PATCH", ACCEPT_ANSWER_API.replace(":threadId", threadId), { replyId }, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Update Accepted Answer")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("ACCEPT_ANSWER_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Toggle Upvote ================
+// returns { upvotes, hasUpvoted }
+export const toggleUpvote = async ({ postId, postType }, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("PATCH", TOGGLE_UPVOTE_API, { postId, postType }, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Update Vote")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("TOGGLE_UPVOTE_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Flag Post ================
+// any participant can report a post to the moderators
+export const flagPost = async ({ postId, postType, reason }, token) => {
+  const toastId = toast.loading("Reporting post...")
+  let result = false
+  try {
+    const response = await apiConnector("PATCH", FLAG_POST_API, { postId, postType, reason }, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not report post")
+    }
+    toast.success("Post reported to the moderators")
+    result = true
+  } catch (error) {
+    console.log("FLAG_POST_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ MODERATION (course instructor / admin) ================
+
+export const hidePost = async ({ postId, postType, reason }, token) => {
+  const toastId = toast.loading("Hiding post...")
+  let result = false
+  try {
+    const response = await apiConnector("PATCH", HIDE_POST_API, { postId, postType, reason }, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not hide post")
+    }
+    toast.success("Post hidden")
+    result = true
+  } catch (error) {
+    console.log("HIDE_POST_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+export const unhidePost = async ({ postId, postType }, token) => {
+  let result = false
+  try {
+    const response = await apiConnector("PATCH", UNHIDE_POST_API, { postId, postType }, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not restore post")
+    }
+    toast.success("Post restored")
+    result = true
+  } catch (error) {
+    console.log("UNHIDE_POST_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
+
+export const unflagPost = async ({ postId, postType }, token) => {
+  let result = false
+  try {
+    const response = await apiConnector("PATCH", UNFLAG_POST_API, { postId, postType }, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could not dismiss report")
+    }
+    toast.success("Report dismissed")
+    result = true
+  } catch (error) {
+    console.log("UNFLAG_POST_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// flagged threads and replies across all courses, newest report first
+export const getFlaggedPosts = async (token) => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", GET_FLAGGED_POSTS_API, null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Flagged Posts")
+    }
+    result = response?.data?.data || []
+  } catch (error) {
+    console.log("GET_FLAGGED_POSTS_API ERROR............", error)
+    toast.error(error.message)
+  }
+  return result
+}
@@ -0,0 +1,277 @@
+import { toast } from "react-hot-toast"
+
+import { apiConnector } from "../apiConnector"
+import { membershipEndpoints } from "../apis"
+import { PAYMENT_STATUS, getPaymentGateway } from "../paymentGateways"
+import { setMembership, setMembershipError, setMembershipLoading } from "../../slices/membershipSlice"
+
+const {
+  GET_PLANS_API,
+  GET_MY_MEMBERSHIP_API,
+  SUBSCRIBE_API,
+  VERIFY_SUBSCRIPTION_API,
+  CANCEL_MEMBERSHIP_API,
+  RESUME_MEMBERSHIP_API,
+  GET_BILLING_HISTORY_API,
+  GET_ALL_PLANS_API,
+  CREATE_PLAN_API,
+  UPDATE_PLAN_API,
+  GET_MEMBERSHIP_STATS_API,
+} = membershipEndpoints
+
+// ================ Get Membership Plans ================
+// plans students can subscribe to
+export const getMembershipPlans = async () => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", GET_PLANS_API)
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Plans")
+    }
+    result = response?.data?.data || []
+  } catch (error) {
+    console.log("GET_PLANS_API ERROR............", error)
+    toast.error(error.message)
+  }
+  return result
+}
+
+// ================ fetch my membership ================
+export function fetchMembership(token) {
+  return async (dispatch) => {
+    dispatch(setMembershipLoading(true))
+    dispatch(setMembershipError(false))
+    try {
+      const response = await apiConnector("GET", GET_MY_MEMBERSHIP_API, null, {
+        Authorization: `Bearer ${token}`,
+      })
+
+      if (!response?.data?.success) {
+        throw new Error(response?.data?.message || "Could not fetch membership")
+      }
+      dispatch(setMembership(response.data.data || null))
+    } catch (error) {
+      console.log("GET_MY_MEMBERSHIP_API ERROR............", error)
+      dispatch(setMembershipError(true))
+    }
+    dispatch(setMembershipLoading(false))
+  }
+}
+
+// ================ subscribe to plan ================
+// Starts the plan's free trial when startTrial is set, otherwise charges the first period
+// through the chosen gateway. The gateway renews the membership from then on.
+export function subscribeToPlan(token, plan, user, { gatewayName = null, startTrial = false } = {}) {
+  return async (dispatch) => {
+    let toastId = toast.loading(startTrial ? "Starting your trial..." : "Processing your membership...")
+    try {
+      const gateway = getPaymentGateway(gatewayName)
+      const requestBody = { planId: plan._id, gateway: gateway.name, startTrial }
+
+      const response = await apiConnector("POST", SUBSCRIBE_API, requestBody, {
+        Authorization: `Bearer ${token}`,
+      })
+
+      if (!response?.data?.success) {
+        throw new Error(response?.data?.message)
+      }
+
+      // trials start without a charge
+      const { membership, order } = response.data.data
+      if (membership) {
+        dispatch(setMembership(membership))
+        toast.success(startTrial ? `Your ${plan.trialDays}-day trial has started` : "Membership activated")
+        return true
+      }
+
+      toast.dismiss(toastId)
+      const result = await gateway.pay({ order, user })
+      console.log("PAYMENT GATEWAY RESULT............", gateway.name, result.status)
+
+      if (result.status === PAYMENT_STATUS.PENDING) {
+        toast("Your payment is processing. The membership starts once it is confirmed.")
+        return false
+      }
+      if (result.status === PAYMENT_STATUS.CANCELLED) {
+        toast("Payment cancelled")
+        return false
+      }
+      if (result.status !== PAYMENT_STATUS.SUCCESS) {
+        toast.error(result.error || "Payment failed")
+        return false
+      }
+
+      toastId = toast.loading("Verifying payment...")
+      const verifyResponse = await apiConnector(
+        "POST",
+        VERIFY_SUBSCRIPTION_API,
+        { ...requestBody, orderId: order.orderId, ...result.payment },
+        { Authorization: `Bearer ${token}` }
+      )
+      if (!verifyResponse?.data?.success) {
+        throw new Error(verifyResponse?.data?.message)
+      }
+      dispatch(setMembership(verifyResponse.data.data))
+      toast.success("Membership activated")
+      return true
+    } catch (error) {
+      console.log("SUBSCRIBE_API ERROR............", error)
+      toast.error(error.response?.data?.message || error.message || "Could not start membership")
+      return false
+    } finally {
+      toast.dismiss(toastId)
+    }
+  }
+}
+
+// ================ cancel membership ================
+// access continues until the end of the period already paid for
+export function cancelMembership(token) {
+  return async (dispatch) => {
+    const toastId = toast.loading("Cancelling...")
+    try {
+      const response = await apiConnector("POST", CANCEL_MEMBERSHIP_API, null, {
+        Authorization: `Bearer ${token}`,
+      })
+
+      if (!response?.data?.success) {
+        throw new Error(response?.data?.message || "Could not cancel membership")
+      }
+      dispatch(setMembership(response.data.data))
+      toast.success("Your membership will not renew")
+    } catch (error) {
+      console.log("CANCEL_MEMBERSHIP_API ERROR............", error)
+      toast.error(error.response?.data?.message || error.message)
+    }
+    toast.dismiss(toastId)
+  }
+}
+
+// ================ resume membership ================
+// undoes a cancellation before the period ends
+export function resumeMembership(token) {
+  return async (dispatch) => {
+    const toastId = toast.loading("Resuming...")
+    try {
+      const response = await apiConnector("POST", RESUME_MEMBERSHIP_API, null, {
+        Authorization: `Bearer ${token}`,
+      })
+
+      if (!response?.data?.success) {
+        throw new Error(response?.data?.message || "Could not resume membership")
+      }
+      dispatch(setMembership(response.data.data))
+      toast.success("Your membership will renew")
+    } catch (error) {
+      console.log("RESUME_MEMBERSHIP_API ERROR............", error)
+      toast.error(error.response?.data?.message || error.message)
+    }
+    toast.dismiss(toastId)
+  }
+}
+
+// ================ Get Billing History ================
+// [{ _id, plan, amount, status: "paid" | "failed" | "refunded", periodStart, periodEnd, paidAt, orderId }]
+export const getBillingHistory = async (token) => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", GET_BILLING_HISTORY_API, null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Billing History")
+    }
+    result = response?.data?.data || []
+  } catch (error) {
+    console.log("GET_BILLING_HISTORY_API ERROR............", error)
+    toast.error(error.message)
+  }
+  return result
+}
+
+// ================ ADMIN ================
+
+// every plan including retired ones, with subscriberCount
+export const getAllPlans = async (token) => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", GET_ALL_PLANS_API, null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Plans")
+    }
+    result = response?.data?.data || []
+  } catch (error) {
+    console.log("GET_ALL_PLANS_API ERROR............", error)
+    toast.error(error.message)
+  }
+  return result
+}
+
+export const createPlan = async (data, token) => {
+  let result = null
+  const toastId = toast.loading("Creating Plan...")
+  try {
+    const response = await apiConnector("POST", CREATE_PLAN_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Create Plan")
+    }
+    result = response?.data?.data
+    toast.success("Plan Created")
+  } catch (error) {
+    console.log("CREATE_PLAN_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// price and interval changes apply to subscribers from their next renewal
+export const updatePlan = async (planId, data, token) => {
+  let result = null
+  const toastId = toast.loading("Updating Plan...")
+  try {
+    const response = await apiConnector("PUT", UPDATE_PLAN_API.replace(":planId", planId), data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Update Plan")
+    }
+    result = response?.data?.data
+    toast.success("Plan Updated")
+  } catch (error) {
+    console.log("UPDATE_PLAN_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// { activeSubscribers, trialing, pastDue, mrr, churned, renewals, churnRate, trialConversionRate,
+//   plans: [{ planId, name, active, trialing, churned, renewals, revenue }],
+//   monthly: [{ month, newSubscribers, churned, renewals }] } over the last `days` days
+export const getMembershipStats = async (token, days = 30) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", GET_MEMBERSHIP_STATS_API, null, {
+      Authorization: `Bearer ${token}`,
+    }, { days })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Membership Stats")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_MEMBERSHIP_STATS_API ERROR............", error)
+    toast.error(error.message)
+  }
+  return result
+}
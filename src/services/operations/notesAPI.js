@@ -0,0 +1,87 @@
+import { toast } from "react-hot-toast"
+import { apiConnector } from "../apiConnector"
+import { notesEndpoints } from "../apis"
+
+const {
+  GET_COURSE_NOTES_API,
+  CREATE_NOTE_API,
+  UPDATE_NOTE_API,
+  DELETE_NOTE_API,
+} = notesEndpoints
+
+// ================ Get the student's notes of a course ================
+export const getCourseNotes = async (courseId, token) => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", GET_COURSE_NOTES_API.replace(":courseId", courseId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Notes")
+    }
+    result = response?.data?.data || []
+  } catch (error) {
+    console.log("GET_COURSE_NOTES_API ERROR............", error)
+    toast.error(error.message)
+  }
+  return result
+}
+
+// ================ Create Note ================
+// data: { courseId, sectionId, subSectionId, timestamp, type, content }
+export const createNote = async (data, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("POST", CREATE_NOTE_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Save Note")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("CREATE_NOTE_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Update Note ================
+export const updateNote = async (noteId, data, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("PUT", UPDATE_NOTE_API.replace(":noteId", noteId), data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Update Note")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("UPDATE_NOTE_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Delete Note ================
+export const deleteNote = async (noteId, token) => {
+  let success = false
+  try {
+    const response = await apiConnector("DELETE", DELETE_NOTE_API.replace(":noteId", noteId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Delete Note")
+    }
+    success = true
+  } catch (error) {
+    console.log("DELETE_NOTE_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return success
+}
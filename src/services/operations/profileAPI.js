@@ -34,6 +34,29 @@ export function getUserDetails(token, navigate) {
   }
 }
 
+// ================ refresh User Details  ================
+// Quietly reloads the signed-in user (e.g. a changed admin role). Keeps the stored
+// profile when the request fails, so a network blip doesn't sign anyone out.
+export function refreshUserDetails(token) {
+  return async (dispatch) => {
+    try {
+      const response = await apiConnector("GET", GET_USER_DETAILS_API, null, { Authorization: `Bearer ${token}`, })
+
+      if (!response.data.success) {
+        throw new Error(response.data.message)
+      }
+      const userImage = response.data.data.image
+        ? response.data.data.image
+        : `https://api.dicebear.com/5.x/initials/svg?seed=${response.data.data.firstName} ${response.data.data.lastName}`
+      const user = { ...response.data.data, image: userImage }
+      dispatch(setUser(user))
+      localStorage.setItem("user", JSON.stringify(user))
+    } catch (error) {
+      console.log("REFRESH_USER_DETAILS API ERROR............", error)
+    }
+  }
+}
+
 // ================ get User Enrolled Courses  ================
 export async function getUserEnrolledCourses(token) {
   const toastId = toast.loading("Loading your courses...")
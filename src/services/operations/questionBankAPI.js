@@ -0,0 +1,95 @@
+import { toast } from "react-hot-toast"
+import { apiConnector } from "../apiConnector"
+import { questionBankEndpoints } from "../apis"
+
+const {
+  GET_BANK_QUESTIONS_API,
+  CREATE_BANK_QUESTION_API,
+  UPDATE_BANK_QUESTION_API,
+  DELETE_BANK_QUESTION_API,
+} = questionBankEndpoints
+
+// ================ Get Question Bank ================
+export const getBankQuestions = async (token) => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", GET_BANK_QUESTIONS_API, null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Question Bank")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_BANK_QUESTIONS_API ERROR............", error)
+    toast.error(error.message)
+  }
+  return result
+}
+
+// ================ Create Bank Question ================
+export const createBankQuestion = async (data, token) => {
+  let result = null
+  const toastId = toast.loading("Saving Question...")
+  try {
+    const response = await apiConnector("POST", CREATE_BANK_QUESTION_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Save Question")
+    }
+    result = response?.data?.data
+    toast.success("Question Added To Bank")
+  } catch (error) {
+    console.log("CREATE_BANK_QUESTION_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Update Bank Question ================
+export const updateBankQuestion = async (questionId, data, token) => {
+  let result = null
+  const toastId = toast.loading("Updating Question...")
+  try {
+    const response = await apiConnector("PUT", UPDATE_BANK_QUESTION_API.replace(":questionId", questionId), data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Update Question")
+    }
+    result = response?.data?.data
+    toast.success("Question Updated Successfully")
+  } catch (error) {
+    console.log("UPDATE_BANK_QUESTION_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Delete Bank Question ================
+export const deleteBankQuestion = async (questionId, token) => {
+  let result = false
+  const toastId = toast.loading("Deleting Question...")
+  try {
+    const response = await apiConnector("DELETE", DELETE_BANK_QUESTION_API.replace(":questionId", questionId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Delete Question")
+    }
+    result = true
+    toast.success("Question Deleted Successfully")
+  } catch (error) {
+    console.log("DELETE_BANK_QUESTION_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
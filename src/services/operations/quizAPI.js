@@ -11,6 +11,10 @@ const {
   GET_QUIZ_RESULTS_API,
   GET_QUIZ_STATUS_API,
   VALIDATE_SECTION_ACCESS_API,
+  START_QUIZ_ATTEMPT_API,
+  GET_ACTIVE_QUIZ_ATTEMPT_API,
+  SAVE_QUIZ_ATTEMPT_API,
+  GET_QUIZ_ATTEMPT_API,
 } = quizEndpoints
 
 // ================ Get All Quizzes ================
@@ -200,3 +204,82 @@ export const validateSectionAccess = async (sectionId, token) => {
   }
   return result
 }
+
+// ================ Start Quiz Attempt ================
+// The server records a seed on the attempt and returns it together with the
+// bank questions the quiz's pools can draw from
+export const startQuizAttempt = async (quizId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("POST", START_QUIZ_ATTEMPT_API.replace(":quizId", quizId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Start Quiz Attempt")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("START_QUIZ_ATTEMPT_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Get Active Quiz Attempt ================
+// In-progress attempt of the current student (with its server start time).
+// Returns { attempt }, where attempt is null when none is running, or null when the
+// request failed - so callers can tell "no attempt" from "server unreachable"
+export const getActiveQuizAttempt = async (quizId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", GET_ACTIVE_QUIZ_ATTEMPT_API.replace(":quizId", quizId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Fetch Active Attempt")
+    }
+    result = { attempt: response?.data?.data || null }
+  } catch (error) {
+    console.log("GET_ACTIVE_QUIZ_ATTEMPT_API ERROR............", error)
+  }
+  return result
+}
+
+// ================ Save Quiz Attempt Progress ================
+// Autosave while the quiz is running, failures are ignored (the attempt is also kept locally)
+export const saveQuizAttemptProgress = async (attemptId, data, token) => {
+  try {
+    const response = await apiConnector("PUT", SAVE_QUIZ_ATTEMPT_API.replace(":attemptId", attemptId), data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Save Attempt")
+    }
+    return true
+  } catch (error) {
+    console.log("SAVE_QUIZ_ATTEMPT_API ERROR............", error)
+    return false
+  }
+}
+
+// ================ Get Quiz Attempt (Admin review) ================
+export const getQuizAttempt = async (attemptId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", GET_QUIZ_ATTEMPT_API.replace(":attemptId", attemptId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Fetch Quiz Attempt")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_QUIZ_ATTEMPT_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
@@ -0,0 +1,99 @@
+import { toast } from "react-hot-toast"
+
+import { apiConnector } from "../apiConnector"
+import { refundEndpoints } from "../apis"
+
+const { REQUEST_REFUND_API, ISSUE_REFUND_API, REJECT_REFUND_API, GET_ORDER_TIMELINE_API } = refundEndpoints
+
+// ================ request refund ================
+// returns the updated purchase, with its refund request attached
+export const requestRefund = async (token, purchaseId, reason) => {
+  let result = null
+  const toastId = toast.loading("Sending request...")
+  try {
+    const response = await apiConnector("POST", REQUEST_REFUND_API, { purchaseId, reason }, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Request Refund")
+    }
+    result = response?.data?.data
+    toast.success("Refund requested. We'll email you once it's reviewed")
+  } catch (error) {
+    console.log("REQUEST_REFUND_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ ADMIN ================
+
+// Refunds `amount` of an order, answering the student's request when refundId is given.
+// revokeAccess removes the enrollment; otherwise the student keeps the course.
+// Returns the updated order with its new credit note.
+export const issueRefund = async (token, orderId, { amount, reason, revokeAccess, refundId = null }) => {
+  let result = null
+  const toastId = toast.loading("Issuing refund...")
+  try {
+    const response = await apiConnector(
+      "POST",
+      ISSUE_REFUND_API.replace(":orderId", orderId),
+      { amount, reason, revokeAccess, refundId },
+      { Authorization: `Bearer ${token}` }
+    )
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Issue Refund")
+    }
+    result = response?.data?.data
+    toast.success("Refund issued")
+  } catch (error) {
+    console.log("ISSUE_REFUND_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// returns the updated order
+export const rejectRefund = async (token, refundId, reason) => {
+  let result = null
+  const toastId = toast.loading("Declining request...")
+  try {
+    const response = await apiConnector("POST", REJECT_REFUND_API.replace(":refundId", refundId), { reason }, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Decline Refund")
+    }
+    result = response?.data?.data
+    toast.success("Refund request declined")
+  } catch (error) {
+    console.log("REJECT_REFUND_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// the order's events, oldest first (see ORDER_EVENT_LABELS in utils/refunds)
+export const getOrderTimeline = async (token, orderId) => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", GET_ORDER_TIMELINE_API.replace(":orderId", orderId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Order Timeline")
+    }
+    result = response?.data?.data || []
+  } catch (error) {
+    console.log("GET_ORDER_TIMELINE_API ERROR............", error)
+    toast.error(error.message)
+  }
+  return result
+}
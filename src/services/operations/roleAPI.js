@@ -0,0 +1,116 @@
+import { toast } from "react-hot-toast"
+
+import { apiConnector } from "../apiConnector"
+import { roleEndpoints } from "../apis"
+
+const { GET_ROLES_API, CREATE_ROLE_API, UPDATE_ROLE_API, DELETE_ROLE_API, ASSIGN_ROLE_API } = roleEndpoints
+
+// ================ Get Roles (Admin) ================
+// each role comes with `userCount`, the number of admins holding it
+export const getRoles = async (token) => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", GET_ROLES_API, null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Roles")
+    }
+    result = response?.data?.data || []
+  } catch (error) {
+    console.log("GET_ROLES_API ERROR............", error)
+    toast.error(error.message)
+  }
+  return result
+}
+
+// ================ Create Role (Admin) ================
+export const createRole = async (data, token) => {
+  let result = null
+  const toastId = toast.loading("Saving Role...")
+  try {
+    const response = await apiConnector("POST", CREATE_ROLE_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Create Role")
+    }
+    result = response?.data?.data
+    toast.success("Role Created")
+  } catch (error) {
+    console.log("CREATE_ROLE_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Update Role (Admin) ================
+export const updateRole = async (roleId, data, token) => {
+  let result = null
+  const toastId = toast.loading("Saving Role...")
+  try {
+    const response = await apiConnector("PUT", UPDATE_ROLE_API.replace(":roleId", roleId), data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Update Role")
+    }
+    result = response?.data?.data
+    toast.success("Role Updated")
+  } catch (error) {
+    console.log("UPDATE_ROLE_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Delete Role (Admin) ================
+// the server refuses while admins still hold the role
+export const deleteRole = async (roleId, token) => {
+  let result = false
+  const toastId = toast.loading("Deleting...")
+  try {
+    const response = await apiConnector("DELETE", DELETE_ROLE_API.replace(":roleId", roleId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Delete Role")
+    }
+    result = true
+    toast.success("Role Deleted")
+  } catch (error) {
+    console.log("DELETE_ROLE_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Assign Role (Admin) ================
+// roleId null gives the admin full access again; returns the updated user
+export const assignRole = async (userId, roleId, token) => {
+  let result = null
+  const toastId = toast.loading("Assigning role...")
+  try {
+    const response = await apiConnector("PUT", ASSIGN_ROLE_API.replace(":userId", userId), { roleId }, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Assign Role")
+    }
+    result = response?.data?.data
+    toast.success("Role assigned")
+  } catch (error) {
+    console.log("ASSIGN_ROLE_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
@@ -1,41 +1,37 @@
 import { toast } from "react-hot-toast";
 import { studentEndpoints } from "../apis";
 import { apiConnector } from "../apiConnector";
-import rzpLogo from "../../assets/Logo/rzp_logo.png"
 import { setPaymentLoading } from "../../slices/courseSlice";
 import { resetCart } from "../../slices/cartSlice";
+import { PAYMENT_STATUS, getPaymentGateway } from "../paymentGateways";
 
 
-const { COURSE_PAYMENT_API, COURSE_VERIFY_API, SEND_PAYMENT_SUCCESS_EMAIL_API } = studentEndpoints;
-
-function loadScript(src) {
-    return new Promise((resolve) => {
-        const script = document.createElement("script");
-        script.src = src;
-
-        script.onload = () => {
-            resolve(true);
-        }
-        script.onerror = () => {
-            resolve(false);
-        }
-        document.body.appendChild(script);
-    })
-}
+const { COURSE_PAYMENT_API, COURSE_VERIFY_API, SEND_PAYMENT_SUCCESS_EMAIL_API, PAYMENT_STATUS_API } = studentEndpoints;
 
 // ================ buyCourse ================ 
-export async function buyCourse(token, coursesId, userDetails, navigate, dispatch, couponData = null) {
-    const toastId = toast.loading("Processing your enrollment...");
+// `checkout` carries the cart's line-item pricing ({ items, taxRegion, subtotal, discount,
+// tax, totalAmount }); the server re-prices the order and stores it for the invoice.
+// `gatewayName` picks the payment gateway (services/paymentGateways), defaulting to the
+// configured one. Resolves true once enrolled; pending payments continue on the
+// /payment-status page and resolve false here.
+export async function buyCourse(token, coursesId, userDetails, navigate, dispatch, couponData = null, checkout = null, gatewayName = null) {
+    let toastId = toast.loading("Processing your enrollment...");
+    dispatch(setPaymentLoading(true));
 
     try {
+        const gateway = getPaymentGateway(gatewayName);
+
         // Prepare request body with coupon information if available
-        const requestBody = { coursesId };
+        const requestBody = { coursesId, gateway: gateway.name };
         if (couponData) {
             requestBody.couponCode = couponData.code;
             requestBody.discountAmount = couponData.discountAmount;
         }
+        if (checkout) {
+            requestBody.checkout = checkout;
+        }
 
-        // First API call - capture payment/initiate enrollment
+        // First API call - create the order with the gateway
         const courseResponse = await apiConnector(
             "POST", 
             COURSE_PAYMENT_API,
@@ -49,40 +45,110 @@ export async function buyCourse(token, coursesId, userDetails, navigate, dispatc
             throw new Error(courseResponse.data.message);
         }
 
-        // If first call succeeds, proceed with verification
-        const verifyResponse = await apiConnector(
-            "POST", 
-            COURSE_VERIFY_API, 
-            requestBody,
-            {
-                Authorization: `Bearer ${token}`,
-            }
-        );
-
-        if (!verifyResponse.data.success) {
-            throw new Error(verifyResponse.data.message);
+        // Free enrollments have nothing to collect
+        const order = courseResponse.data.data;
+        if (!order?.amount) {
+            await verifyPayment(requestBody, token);
+            finishEnrollment(navigate, dispatch);
+            return true;
         }
 
-        toast.success("Successfully enrolled in the course!");
-        navigate("/dashboard/enrolled-courses");
-        dispatch(resetCart());
+        toast.dismiss(toastId);
+        const result = await gateway.pay({ order, user: userDetails });
+        console.log("PAYMENT GATEWAY RESULT............", gateway.name, result.status);
+
+        if (result.status === PAYMENT_STATUS.PENDING) {
+            navigate(`/payment-status/${order.orderId}`, {
+                state: {
+                    order,
+                    gateway: gateway.name,
+                    upiUri: result.upiUri,
+                    verifyBody: { ...requestBody, orderId: order.orderId },
+                },
+            });
+            return false;
+        }
+        if (result.status === PAYMENT_STATUS.CANCELLED) {
+            toast("Payment cancelled");
+            return false;
+        }
+        if (result.status !== PAYMENT_STATUS.SUCCESS) {
+            toast.error(result.error || "Payment failed");
+            return false;
+        }
 
+        toastId = toast.loading("Verifying payment...");
+        await verifyPayment({ ...requestBody, orderId: order.orderId, ...result.payment }, token);
+        sendPaymentSuccessEmail(order, result.paymentId, token);
+        finishEnrollment(navigate, dispatch);
+        return true;
     } catch (error) {
         console.log("ENROLLMENT API ERROR.....", error);
-        toast.error(error.response?.data?.message || "Could not complete enrollment");
+        toast.error(error.response?.data?.message || error.message || "Could not complete enrollment");
+        return false;
     } finally {
         toast.dismiss(toastId);
+        dispatch(setPaymentLoading(false));
+    }
+}
+
+function finishEnrollment(navigate, dispatch) {
+    toast.success("Successfully enrolled in the course!");
+    navigate("/dashboard/enrolled-courses");
+    dispatch(resetCart());
+}
+
+
+// ================ verify Payment ================
+// Throws when the backend rejects the payment
+export async function verifyPayment(bodyData, token) {
+    const verifyResponse = await apiConnector(
+        "POST", 
+        COURSE_VERIFY_API, 
+        bodyData,
+        {
+            Authorization: `Bearer ${token}`,
+        }
+    );
+
+    if (!verifyResponse.data.success) {
+        throw new Error(verifyResponse.data.message);
+    }
+    return verifyResponse.data;
+}
+
+
+// ================ get Payment Status ================
+// Status the backend recorded from gateway webhooks: { status, enrolled }
+export async function getPaymentStatus(orderId, token) {
+    try {
+        const response = await apiConnector(
+            "GET",
+            PAYMENT_STATUS_API.replace(":orderId", orderId),
+            null,
+            {
+                Authorization: `Bearer ${token}`,
+            }
+        );
+
+        if (!response.data.success) {
+            throw new Error(response.data.message);
+        }
+        return response.data.data;
+    } catch (error) {
+        console.log("PAYMENT_STATUS_API ERROR............", error);
+        return null;
     }
 }
 
 
 // ================ send Payment Success Email ================
-async function sendPaymentSuccessEmail(response, amount, token) {
+async function sendPaymentSuccessEmail(order, paymentId, token) {
     try {
         await apiConnector("POST", SEND_PAYMENT_SUCCESS_EMAIL_API, {
-            orderId: response.razorpay_order_id,
-            paymentId: response.razorpay_payment_id,
-            amount,
+            orderId: order.orderId,
+            paymentId,
+            amount: order.amount,
         }, {
             Authorization: `Bearer ${token}`
         })
@@ -91,5 +157,3 @@ async function sendPaymentSuccessEmail(response, amount, token) {
         console.log("PAYMENT SUCCESS EMAIL ERROR....", error);
     }
 }
-
-
@@ -1,7 +1,8 @@
 import { apiConnector } from "../apiConnector";
 import { endpoints } from "../apis";
+import { SYNC_ACTIONS, isOfflineError, queueSyncAction } from "../offlineSync";
 
-const { USER_ANALYTICS_API, USER_ACTIVITY_API } = endpoints;
+const { USER_ANALYTICS_API, USER_ACTIVITY_API, UPDATE_WATCH_TIME_API } = endpoints;
 
 export const getUserAnalytics = async (token) => {
   try {
@@ -36,3 +37,17 @@ export const getUserActivity = async (token, period = '7d') => {
     throw error;
   }
 };
+
+// Watch time is queued for replay when offline so no viewing time is lost
+export const updateWatchTime = async (data, token) => {
+  try {
+    await apiConnector("POST", UPDATE_WATCH_TIME_API, data, {
+      Authorization: `Bearer ${token}`,
+    });
+  } catch (error) {
+    console.log("UPDATE_WATCH_TIME_API ERROR............", error);
+    if (isOfflineError(error)) {
+      await queueSyncAction(SYNC_ACTIONS.WATCH_TIME, data);
+    }
+  }
+};
@@ -0,0 +1,81 @@
+import { toast } from "react-hot-toast"
+
+import { apiConnector } from "../apiConnector"
+import { wishlistEndpoints } from "../apis"
+import {
+  addToWishlist,
+  removeFromWishlist,
+  setWishlist,
+  setWishlistLoading,
+} from "../../slices/wishlistSlice"
+
+const { GET_WISHLIST_API, ADD_TO_WISHLIST_API, REMOVE_FROM_WISHLIST_API } = wishlistEndpoints
+
+// The server records the price when a course is wishlisted and sends a `price_drop`
+// notification when the course gets cheaper.
+
+// ================ fetch wishlist ================
+export function fetchWishlist(token) {
+  return async (dispatch) => {
+    dispatch(setWishlistLoading(true))
+    try {
+      const response = await apiConnector("GET", GET_WISHLIST_API, null, {
+        Authorization: `Bearer ${token}`,
+      })
+      console.log("GET_WISHLIST_API RESPONSE............", response)
+
+      if (!response?.data?.success) {
+        throw new Error(response?.data?.message || "Could not fetch wishlist")
+      }
+      dispatch(setWishlist(response.data.data || []))
+    } catch (error) {
+      console.log("GET_WISHLIST_API ERROR............", error)
+    }
+    dispatch(setWishlistLoading(false))
+  }
+}
+
+// ================ add to wishlist ================
+export function addCourseToWishlist(course, token) {
+  return async (dispatch) => {
+    try {
+      const response = await apiConnector("POST", ADD_TO_WISHLIST_API, { courseId: course._id }, {
+        Authorization: `Bearer ${token}`,
+      })
+      console.log("ADD_TO_WISHLIST_API RESPONSE............", response)
+
+      if (!response?.data?.success) {
+        throw new Error(response?.data?.message || "Could not add to wishlist")
+      }
+      dispatch(addToWishlist(response.data.data || { course, priceWhenAdded: course.price, addedAt: new Date().toISOString() }))
+      toast.success("Added to wishlist")
+    } catch (error) {
+      console.log("ADD_TO_WISHLIST_API ERROR............", error)
+      toast.error(error.response?.data?.message || "Could not add to wishlist")
+    }
+  }
+}
+
+// ================ remove from wishlist ================
+export function removeCourseFromWishlist(courseId, token) {
+  return async (dispatch) => {
+    try {
+      const response = await apiConnector(
+        "DELETE",
+        REMOVE_FROM_WISHLIST_API.replace(":courseId", courseId),
+        null,
+        { Authorization: `Bearer ${token}` }
+      )
+      console.log("REMOVE_FROM_WISHLIST_API RESPONSE............", response)
+
+      if (!response?.data?.success) {
+        throw new Error(response?.data?.message || "Could not remove from wishlist")
+      }
+      dispatch(removeFromWishlist(courseId))
+      toast.success("Removed from wishlist")
+    } catch (error) {
+      console.log("REMOVE_FROM_WISHLIST_API ERROR............", error)
+      toast.error("Could not remove from wishlist")
+    }
+  }
+}
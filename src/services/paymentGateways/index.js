@@ -0,0 +1,60 @@
+import { getPaymentConfig } from '../../config/environment';
+import { createRazorpayGateway } from './razorpayGateway';
+import { createStripeGateway } from './stripeGateway';
+import { createUpiGateway } from './upiGateway';
+import { createMockGateway } from './mockGateway';
+
+export { PAYMENT_STATUS } from './paymentStatus';
+
+// Every gateway exposes the same shape:
+//   name, label, description
+//   pay({ order, user }) -> { status, paymentId, payment, error, upiUri }
+//     order is COURSE_PAYMENT_API's response: { orderId, amount (paise), currency,
+//     gatewayOrderId, ...gateway specific fields }; payment holds the fields
+//     COURSE_VERIFY_API checks
+//   getStatus(order) -> { status, paymentId, payment } (optional) for gateways that settle
+//     in the browser; the rest are polled through PAYMENT_STATUS_API, which the backend
+//     updates from gateway webhooks
+
+const GATEWAY_FACTORIES = {
+  razorpay: (config) => createRazorpayGateway(config.razorpay),
+  stripe: (config) => createStripeGateway(config.stripe),
+  upi: (config) => createUpiGateway(config.upi),
+  mock: (config) => createMockGateway(config.mock),
+};
+
+const gateways = {};
+
+const getEnabledNames = () => {
+  const config = getPaymentConfig();
+  const names = config.GATEWAYS.filter((name) => GATEWAY_FACTORIES[name] && name !== 'mock');
+  return config.mock.ENABLED ? [...names, 'mock'] : names;
+};
+
+export const getPaymentGateway = (name) => {
+  const config = getPaymentConfig();
+  const gatewayName = name || config.DEFAULT_GATEWAY;
+
+  if (!gateways[gatewayName]) {
+    const createGateway = GATEWAY_FACTORIES[gatewayName];
+    if (!createGateway) {
+      throw new Error(`Unknown payment gateway "${gatewayName}"`);
+    }
+    gateways[gatewayName] = createGateway(config);
+  }
+  return gateways[gatewayName];
+};
+
+// Gateways offered at checkout
+export const getAvailableGateways = () => getEnabledNames().map((name) => getPaymentGateway(name));
+
+export const getDefaultGatewayName = () => {
+  const names = getEnabledNames();
+  const { DEFAULT_GATEWAY } = getPaymentConfig();
+  return names.includes(DEFAULT_GATEWAY) ? DEFAULT_GATEWAY : names[0];
+};
+
+// Swap a gateway implementation, e.g. to inject a stub gateway in tests
+export const setPaymentGateway = (name, customGateway) => {
+  gateways[name] = customGateway;
+};
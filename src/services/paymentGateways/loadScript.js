@@ -0,0 +1,24 @@
+// Loads a gateway's checkout script once; resolves false when it can't be fetched
+
+const scripts = {};
+
+export const loadScript = (src) => {
+  if (!scripts[src]) {
+    scripts[src] = new Promise((resolve) => {
+      const script = document.createElement('script');
+      script.src = src;
+
+      script.onload = () => {
+        resolve(true);
+      };
+      script.onerror = () => {
+        // Allow a retry once the network is back
+        delete scripts[src];
+        script.remove();
+        resolve(false);
+      };
+      document.body.appendChild(script);
+    });
+  }
+  return scripts[src];
+};
@@ -0,0 +1,79 @@
+import { PAYMENT_STATUS } from './paymentStatus';
+
+// Fully local gateway for offline testing. Nothing leaves the browser: the outcome is
+// picked at checkout (or VITE_MOCK_PAYMENT_OUTCOME) and COURSE_VERIFY_API receives
+// mock_* fields instead of a real signature.
+//   success         - paid straight away
+//   failure         - declined, nothing to verify
+//   pending         - never settles, exercises the pending/timeout path
+//   webhook_delayed - pending until WEBHOOK_DELAY has passed, then paid
+
+export const MOCK_OUTCOMES = ['success', 'failure', 'pending', 'webhook_delayed'];
+
+const OUTCOME_KEY = 'mockPaymentOutcome';
+// Pending mock payments, kept so a reload of the status page can still settle them
+const PAYMENTS_KEY = 'mockPayments';
+
+export const getMockOutcome = (fallback = 'success') => {
+  const outcome = localStorage.getItem(OUTCOME_KEY);
+  return MOCK_OUTCOMES.includes(outcome) ? outcome : fallback;
+};
+
+export const setMockOutcome = (outcome) => {
+  localStorage.setItem(OUTCOME_KEY, outcome);
+};
+
+const readPayments = () => JSON.parse(sessionStorage.getItem(PAYMENTS_KEY) || '{}');
+
+const savePayment = (orderId, payment) => {
+  sessionStorage.setItem(PAYMENTS_KEY, JSON.stringify({ ...readPayments(), [orderId]: payment }));
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const createMockPayment = (order) => {
+  const paymentId = `pay_mock_${Date.now().toString(36)}`;
+  return {
+    paymentId,
+    payment: {
+      mock_order_id: order.gatewayOrderId || order.orderId,
+      mock_payment_id: paymentId,
+      mock_signature: 'mock_signature',
+    },
+  };
+};
+
+export const createMockGateway = ({ OUTCOME, DELAY, WEBHOOK_DELAY }) => ({
+  name: 'mock',
+  label: 'Test payment',
+  description: 'Simulated gateway - no money is charged',
+
+  pay: async ({ order }) => {
+    const outcome = getMockOutcome(OUTCOME);
+    await delay(DELAY);
+
+    switch (outcome) {
+      case 'failure':
+        return { status: PAYMENT_STATUS.FAILED, error: 'Card declined (mock)' };
+      case 'pending':
+      case 'webhook_delayed':
+        savePayment(order.orderId, {
+          outcome,
+          settleAt: outcome === 'webhook_delayed' ? Date.now() + WEBHOOK_DELAY : null,
+          ...createMockPayment(order),
+        });
+        return { status: PAYMENT_STATUS.PENDING };
+      default:
+        return { status: PAYMENT_STATUS.SUCCESS, ...createMockPayment(order) };
+    }
+  },
+
+  // Stands in for the webhook: settles the payment once its delay has passed
+  getStatus: async (order) => {
+    const pending = readPayments()[order.orderId];
+    if (!pending?.settleAt || Date.now() < pending.settleAt) {
+      return { status: PAYMENT_STATUS.PENDING };
+    }
+    return { status: PAYMENT_STATUS.SUCCESS, paymentId: pending.paymentId, payment: pending.payment };
+  },
+});
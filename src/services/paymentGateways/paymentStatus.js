@@ -0,0 +1,8 @@
+// Outcome of a payment attempt, shared by every gateway and PAYMENT_STATUS_API
+export const PAYMENT_STATUS = {
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  // Money may still arrive: UPI apps, redirects and webhook-confirmed payments
+  PENDING: 'pending',
+  CANCELLED: 'cancelled',
+};
@@ -0,0 +1,58 @@
+import rzpLogo from '../../assets/Logo/rzp_logo.png';
+import { loadScript } from './loadScript';
+import { PAYMENT_STATUS } from './paymentStatus';
+
+// Gateway backed by Razorpay's checkout modal. The backend verifies
+// razorpay_signature against the order before enrolling.
+
+export const createRazorpayGateway = ({ KEY_ID, SCRIPT_URL }) => ({
+  name: 'razorpay',
+  label: 'Razorpay',
+  description: 'Cards, netbanking, wallets and UPI',
+
+  pay: async ({ order, user }) => {
+    const loaded = await loadScript(SCRIPT_URL);
+    if (!loaded) {
+      return { status: PAYMENT_STATUS.FAILED, error: 'Razorpay SDK failed to load. Check your Internet Connection.' };
+    }
+
+    return new Promise((resolve) => {
+      const paymentObject = new window.Razorpay({
+        key: order.keyId || KEY_ID,
+        currency: order.currency,
+        amount: `${order.amount}`,
+        order_id: order.gatewayOrderId,
+        name: 'Beeja Academy',
+        description: 'Thank you for purchasing the course',
+        image: rzpLogo,
+        prefill: {
+          name: `${user?.firstName || ''} ${user?.lastName || ''}`.trim(),
+          email: user?.email,
+        },
+        theme: { color: '#FFD60A' },
+        handler: (response) => {
+          resolve({
+            status: PAYMENT_STATUS.SUCCESS,
+            paymentId: response.razorpay_payment_id,
+            payment: {
+              razorpay_order_id: response.razorpay_order_id,
+              razorpay_payment_id: response.razorpay_payment_id,
+              razorpay_signature: response.razorpay_signature,
+            },
+          });
+        },
+        modal: {
+          ondismiss: () => resolve({ status: PAYMENT_STATUS.CANCELLED }),
+        },
+      });
+
+      paymentObject.on('payment.failed', (response) => {
+        console.log('RAZORPAY PAYMENT FAILED............', response.error);
+        paymentObject.close?.();
+        resolve({ status: PAYMENT_STATUS.FAILED, error: response.error?.description || 'Payment failed' });
+      });
+
+      paymentObject.open();
+    });
+  },
+});
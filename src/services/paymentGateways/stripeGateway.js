@@ -0,0 +1,31 @@
+import { loadScript } from './loadScript';
+import { PAYMENT_STATUS } from './paymentStatus';
+
+// Gateway backed by Stripe Checkout. The student is redirected to Stripe and comes back
+// to /payment-status/:orderId (the session's success/cancel URL); the backend enrolls
+// them when Stripe's checkout.session.completed webhook arrives.
+
+export const createStripeGateway = ({ PUBLISHABLE_KEY, SCRIPT_URL }) => ({
+  name: 'stripe',
+  label: 'Stripe',
+  description: 'International cards',
+
+  pay: async ({ order }) => {
+    if (order.checkoutUrl) {
+      window.location.assign(order.checkoutUrl);
+      return { status: PAYMENT_STATUS.PENDING };
+    }
+
+    const loaded = await loadScript(SCRIPT_URL);
+    if (!loaded || !window.Stripe) {
+      return { status: PAYMENT_STATUS.FAILED, error: 'Stripe failed to load. Check your Internet Connection.' };
+    }
+
+    const stripe = window.Stripe(order.publishableKey || PUBLISHABLE_KEY);
+    const { error } = await stripe.redirectToCheckout({ sessionId: order.checkoutSessionId });
+    if (error) {
+      return { status: PAYMENT_STATUS.FAILED, error: error.message };
+    }
+    return { status: PAYMENT_STATUS.PENDING };
+  },
+});
@@ -0,0 +1,40 @@
+import { PAYMENT_STATUS } from './paymentStatus';
+
+// UPI intent: hands the payment to the student's UPI app (or a QR code on desktop, see
+// PaymentStatus page). The PSP confirms it to the backend by webhook, so the result is
+// always pending here.
+
+const isMobile = () => /Android|iPhone|iPad|iPod/i.test(navigator.userAgent);
+
+// upi://pay link for an order; the backend may provide its own (e.g. from the PSP)
+export const buildUpiUri = (order, { PAYEE_VPA, PAYEE_NAME }) => {
+  if (order.upiUri) return order.upiUri;
+
+  const params = new URLSearchParams({
+    pa: order.payeeVpa || PAYEE_VPA,
+    pn: PAYEE_NAME,
+    tr: order.orderId,
+    am: (order.amount / 100).toFixed(2),
+    cu: order.currency || 'INR',
+    tn: `Order ${order.orderId}`,
+  });
+  return `upi://pay?${params.toString()}`;
+};
+
+export const createUpiGateway = (config) => ({
+  name: 'upi',
+  label: 'UPI',
+  description: 'Pay with any UPI app',
+
+  pay: async ({ order }) => {
+    if (!order.upiUri && !order.payeeVpa && !config.PAYEE_VPA) {
+      return { status: PAYMENT_STATUS.FAILED, error: 'UPI payments are not configured' };
+    }
+
+    const upiUri = buildUpiUri(order, config);
+    if (isMobile()) {
+      window.location.href = upiUri;
+    }
+    return { status: PAYMENT_STATUS.PENDING, upiUri };
+  },
+});
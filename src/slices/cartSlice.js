@@ -1,6 +1,8 @@
 import { createSlice } from "@reduxjs/toolkit"
 import { toast } from "react-hot-toast"
 
+import { TAX_CONFIG } from "../config/environment"
+
 const initialState = {
   cart: localStorage.getItem("cart")
     ? JSON.parse(localStorage.getItem("cart"))
@@ -11,6 +13,24 @@ const initialState = {
   totalItems: localStorage.getItem("totalItems")
     ? JSON.parse(localStorage.getItem("totalItems"))
     : 0,
+  // Course-specific coupons keyed by course id, and the coupon for the whole cart
+  itemCoupons: localStorage.getItem("cartItemCoupons")
+    ? JSON.parse(localStorage.getItem("cartItemCoupons"))
+    : {},
+  orderCoupon: localStorage.getItem("cartOrderCoupon")
+    ? JSON.parse(localStorage.getItem("cartOrderCoupon"))
+    : null,
+  // Buyer's GST place of supply
+  taxRegion: localStorage.getItem("taxRegion") || TAX_CONFIG.DEFAULT_REGION,
+}
+
+const saveCoupons = (state) => {
+  localStorage.setItem("cartItemCoupons", JSON.stringify(state.itemCoupons))
+  if (state.orderCoupon) {
+    localStorage.setItem("cartOrderCoupon", JSON.stringify(state.orderCoupon))
+  } else {
+    localStorage.removeItem("cartOrderCoupon")
+  }
 }
 
 const cartSlice = createSlice({
@@ -48,6 +68,12 @@ const cartSlice = createSlice({
         state.totalItems--;
         state.total -= state.cart[index].price;
         state.cart.splice(index, 1);
+        // A course coupon goes with its course
+        delete state.itemCoupons[courseId];
+        if (state.cart.length === 0) {
+          state.orderCoupon = null;
+        }
+        saveCoupons(state);
         // Update to localstorage
         localStorage.setItem("cart", JSON.stringify(state.cart));
         localStorage.setItem("total", JSON.stringify(state.total));
@@ -57,18 +83,78 @@ const cartSlice = createSlice({
       }
     },
 
+    // Replace the cart with a synced or revalidated list of courses
+    setCart: (state, action) => {
+      state.cart = action.payload;
+      state.totalItems = state.cart.length;
+      state.total = state.cart.reduce((sum, course) => sum + (course.price || 0), 0);
+      // Drop coupons of courses that are no longer in the cart
+      Object.keys(state.itemCoupons).forEach((courseId) => {
+        if (!state.cart.some((course) => course._id === courseId)) {
+          delete state.itemCoupons[courseId];
+        }
+      });
+      if (state.cart.length === 0) {
+        state.orderCoupon = null;
+      }
+      localStorage.setItem("cart", JSON.stringify(state.cart));
+      localStorage.setItem("total", JSON.stringify(state.total));
+      localStorage.setItem("totalItems", JSON.stringify(state.totalItems));
+      saveCoupons(state);
+    },
+
     resetCart: (state) => {
       state.cart = [];
       state.total = 0;
       state.totalItems = 0;
+      state.itemCoupons = {};
+      state.orderCoupon = null;
       // Update to localstorage
       localStorage.removeItem("cart");
       localStorage.removeItem("total");
       localStorage.removeItem("totalItems");
+      localStorage.removeItem("cartItemCoupons");
+      localStorage.removeItem("cartOrderCoupon");
+    },
+
+    applyItemCoupon: (state, action) => {
+      const { courseId, coupon } = action.payload;
+      state.itemCoupons[courseId] = coupon;
+      saveCoupons(state);
+    },
+
+    removeItemCoupon: (state, action) => {
+      delete state.itemCoupons[action.payload];
+      saveCoupons(state);
+    },
+
+    applyOrderCoupon: (state, action) => {
+      state.orderCoupon = action.payload;
+      saveCoupons(state);
+    },
+
+    removeOrderCoupon: (state) => {
+      state.orderCoupon = null;
+      saveCoupons(state);
+    },
+
+    setTaxRegion: (state, action) => {
+      state.taxRegion = action.payload;
+      localStorage.setItem("taxRegion", action.payload);
     },
   },
 })
 
-export const { addToCart, removeFromCart, resetCart } = cartSlice.actions;
+export const {
+  addToCart,
+  removeFromCart,
+  setCart,
+  resetCart,
+  applyItemCoupon,
+  removeItemCoupon,
+  applyOrderCoupon,
+  removeOrderCoupon,
+  setTaxRegion,
+} = cartSlice.actions;
 
 export default cartSlice.reducer;
\ No newline at end of file
@@ -0,0 +1,33 @@
+import { createSlice } from "@reduxjs/toolkit"
+
+// The student's current membership, or null when they never subscribed (see utils/membership).
+// `error` is set when it could not be fetched, so null can't be mistaken for "no membership".
+const initialState = {
+  membership: null,
+  loading: false,
+  error: false,
+}
+
+const membershipSlice = createSlice({
+  name: "membership",
+  initialState,
+  reducers: {
+    setMembership: (state, action) => {
+      state.membership = action.payload
+    },
+    setMembershipLoading: (state, action) => {
+      state.loading = action.payload
+    },
+    setMembershipError: (state, action) => {
+      state.error = action.payload
+    },
+    resetMembership: (state) => {
+      state.membership = null
+      state.error = false
+    },
+  },
+})
+
+export const { setMembership, setMembershipLoading, setMembershipError, resetMembership } = membershipSlice.actions
+
+export default membershipSlice.reducer
@@ -6,7 +6,17 @@ const initialState = {
   completedLectures: [],
   completedQuizzes: [],
   passedQuizzes: [],
+  // assignment subsections whose graded submission met the passing score
+  passedAssignments: [],
+  // in-video checkpoint questions answered correctly, by checkpoint id
+  answeredCheckpoints: [],
+  // last playback position of each lecture in seconds, by subsection id
+  lecturePositions: {},
   totalNoOfLectures: 0,
+  // lectures completed offline that are still waiting to be synced to the server
+  pendingSyncLectures: [],
+  // { enrolledAt, cohort } used to work out drip-released sections
+  enrollment: null,
 }
 
 const viewCourseSlice = createSlice({
@@ -40,6 +50,38 @@ const viewCourseSlice = createSlice({
     updatePassedQuizzes: (state, action) => {
       state.passedQuizzes = [...state.passedQuizzes, action.payload]
     },
+    setPassedAssignments: (state, action) => {
+      state.passedAssignments = action.payload
+    },
+    setAnsweredCheckpoints: (state, action) => {
+      state.answeredCheckpoints = action.payload
+    },
+    addAnsweredCheckpoint: (state, action) => {
+      if (!state.answeredCheckpoints.includes(action.payload)) {
+        state.answeredCheckpoints = [...state.answeredCheckpoints, action.payload]
+      }
+    },
+    setLecturePositions: (state, action) => {
+      state.lecturePositions = action.payload
+    },
+    updateLecturePosition: (state, action) => {
+      const { subSectionId, position } = action.payload
+      state.lecturePositions = { ...state.lecturePositions, [subSectionId]: position }
+    },
+    setPendingSyncLectures: (state, action) => {
+      state.pendingSyncLectures = action.payload
+    },
+    addPendingSyncLecture: (state, action) => {
+      if (!state.pendingSyncLectures.includes(action.payload)) {
+        state.pendingSyncLectures = [...state.pendingSyncLectures, action.payload]
+      }
+    },
+    removePendingSyncLecture: (state, action) => {
+      state.pendingSyncLectures = state.pendingSyncLectures.filter((id) => id !== action.payload)
+    },
+    setEnrollment: (state, action) => {
+      state.enrollment = action.payload
+    },
   },
 })
 
@@ -53,6 +95,15 @@ export const {
   updateCompletedQuizzes,
   setPassedQuizzes,
   updatePassedQuizzes,
+  setPassedAssignments,
+  setAnsweredCheckpoints,
+  addAnsweredCheckpoint,
+  setLecturePositions,
+  updateLecturePosition,
+  setPendingSyncLectures,
+  addPendingSyncLecture,
+  removePendingSyncLecture,
+  setEnrollment,
 } = viewCourseSlice.actions
 
 export default viewCourseSlice.reducer
\ No newline at end of file
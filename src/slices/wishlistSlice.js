@@ -0,0 +1,42 @@
+import { createSlice } from "@reduxjs/toolkit"
+
+// Wishlist lives on the server; items are { course, priceWhenAdded, addedAt }
+const initialState = {
+  wishlist: [],
+  loading: false,
+}
+
+const wishlistSlice = createSlice({
+  name: "wishlist",
+  initialState,
+  reducers: {
+    setWishlist: (state, action) => {
+      state.wishlist = action.payload
+    },
+    setWishlistLoading: (state, action) => {
+      state.loading = action.payload
+    },
+    addToWishlist: (state, action) => {
+      const item = action.payload
+      if (!state.wishlist.some((entry) => entry.course._id === item.course._id)) {
+        state.wishlist.push(item)
+      }
+    },
+    removeFromWishlist: (state, action) => {
+      state.wishlist = state.wishlist.filter((entry) => entry.course._id !== action.payload)
+    },
+    resetWishlist: (state) => {
+      state.wishlist = []
+    },
+  },
+})
+
+export const {
+  setWishlist,
+  setWishlistLoading,
+  addToWishlist,
+  removeFromWishlist,
+  resetWishlist,
+} = wishlistSlice.actions
+
+export default wishlistSlice.reducer
@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest"
+
+import {
+  escapeSpreadsheetValue,
+  getActionLabel,
+  getActorName,
+  getAuditChanges,
+  toAuditExportRow,
+} from "../auditLog"
+import { NOW } from "./helpers/time"
+
+// an admin deactivating a student
+const entry = {
+  at: NOW.toISOString(),
+  actor: { _id: "a1", firstName: "Asha", lastName: "Rao", email: "asha@example.com" },
+  action: "user.update",
+  entityType: "user",
+  entityId: "u1",
+  entityLabel: "Ravi Kumar",
+  before: { active: true, role: "Student" },
+  after: { active: false, role: "Student" },
+  ip: "10.0.0.1",
+}
+
+describe("getActionLabel / getActorName", () => {
+  it("falls back to the raw action and the email", () => {
+    expect(getActionLabel("user.delete")).toBe("Deleted user")
+    expect(getActionLabel("user.unknown")).toBe("user.unknown")
+    expect(getActorName(entry.actor)).toBe("Asha Rao")
+    expect(getActorName({ email: "ops@example.com" })).toBe("ops@example.com")
+    expect(getActorName(null)).toBe("System")
+  })
+})
+
+describe("getAuditChanges", () => {
+  it("lists only the fields that changed", () => {
+    expect(getAuditChanges(entry)).toEqual([{ field: "active", before: "true", after: "false" }])
+  })
+
+  it("shows missing values on creates and deletes", () => {
+    expect(getAuditChanges({ before: null, after: { name: "Finance" } })).toEqual([
+      { field: "name", before: "—", after: "Finance" },
+    ])
+  })
+})
+
+describe("escapeSpreadsheetValue", () => {
+  it("quotes values a spreadsheet would run as formulas", () => {
+    const formulas = ["=1+1", "+1", "-1", "@SUM(A1)"]
+    formulas.forEach((value) => expect(escapeSpreadsheetValue(value)).toBe(`'${value}`))
+    expect(escapeSpreadsheetValue("Ravi")).toBe("Ravi")
+    expect(escapeSpreadsheetValue(5)).toBe(5)
+  })
+})
+
+describe("toAuditExportRow", () => {
+  it("flattens an entry into export columns", () => {
+    expect(toAuditExportRow(entry)).toEqual({
+      Timestamp: NOW.toISOString(),
+      Actor: "Asha Rao",
+      "Actor Email": "asha@example.com",
+      Action: "Updated user",
+      Entity: "User",
+      "Entity ID": "u1",
+      Target: "Ravi Kumar",
+      Changes: "active: true → false",
+      IP: "10.0.0.1",
+    })
+  })
+
+  it("escapes formulas in user-supplied fields", () => {
+    const row = toAuditExportRow({ ...entry, entityLabel: '=HYPERLINK("http://x")' })
+    expect(row.Target).toBe('\'=HYPERLINK("http://x")')
+  })
+})
@@ -0,0 +1,155 @@
+import { describe, expect, it } from "vitest"
+
+import {
+  BUNDLE_TYPES,
+  getRuleStatus,
+  getRulesForCategory,
+  getTier,
+  isCourseEligible,
+  isRuleActive,
+  priceBundle,
+  priceFixedBundle,
+  validateBundleRule,
+} from "../bundlePricing"
+import { NOW } from "./helpers/time"
+
+const course = (id, price, extra = {}) => ({ _id: id, price, courseType: "Paid", category: "web", ...extra })
+
+const tieredRule = (extra = {}) => ({
+  _id: "rule",
+  name: "Web bundle",
+  type: BUNDLE_TYPES.TIERED,
+  scope: "all",
+  tiers: [
+    { minCourses: 2, discountPercent: 10 },
+    { minCourses: 3, discountPercent: 20 },
+  ],
+  ...extra,
+})
+
+
+describe("isRuleActive / getRuleStatus", () => {
+  it("respects the enabled flag and validity window", () => {
+    expect(isRuleActive({}, NOW)).toBe(true)
+    expect(isRuleActive({ isActive: false }, NOW)).toBe(false)
+    expect(isRuleActive({ validFrom: "2026-07-01" }, NOW)).toBe(false)
+    expect(isRuleActive({ validUntil: "2026-06-01" }, NOW)).toBe(false)
+
+    expect(getRuleStatus({ isActive: false }, NOW)).toBe("Disabled")
+    expect(getRuleStatus({ validFrom: "2026-07-01" }, NOW)).toBe("Scheduled")
+    expect(getRuleStatus({ validUntil: "2026-06-01" }, NOW)).toBe("Expired")
+    expect(getRuleStatus({}, NOW)).toBe("Active")
+  })
+})
+
+describe("isCourseEligible", () => {
+  it("applies scope and exclusions", () => {
+    expect(isCourseEligible(tieredRule({ scope: "category", category: { _id: "web" } }), course("a", 100))).toBe(true)
+    expect(isCourseEligible(tieredRule({ scope: "category", category: "data" }), course("a", 100))).toBe(false)
+    expect(isCourseEligible(tieredRule({ scope: "courseType", courseType: "Free" }), course("a", 100))).toBe(false)
+    expect(isCourseEligible(tieredRule({ excludedCourses: [{ _id: "a" }] }), course("a", 100))).toBe(false)
+  })
+})
+
+describe("getTier", () => {
+  it("picks the largest tier the count reaches", () => {
+    expect(getTier(tieredRule(), 1)).toBe(null)
+    expect(getTier(tieredRule(), 2).discountPercent).toBe(10)
+    expect(getTier(tieredRule(), 5).discountPercent).toBe(20)
+  })
+})
+
+describe("priceBundle", () => {
+  it("charges full price when no rule applies", () => {
+    const quote = priceBundle([course("a", 100), course("b", 200)], [], NOW)
+    expect(quote.finalPrice).toBe(300)
+    expect(quote.discount).toBe(0)
+    expect(quote.rule).toBe(null)
+  })
+
+  it("uses the rule that saves the most", () => {
+    const better = tieredRule({ _id: "better", tiers: [{ minCourses: 2, discountPercent: 25 }] })
+    const quote = priceBundle([course("a", 100), course("b", 200)], [tieredRule(), better], NOW)
+    expect(quote.rule._id).toBe("better")
+    expect(quote.discount).toBe(75)
+    expect(quote.finalPrice).toBe(225)
+    expect(quote.discountPercent).toBe(25)
+  })
+
+  it("only counts and discounts eligible courses", () => {
+    const rule = tieredRule({ excludedCourses: ["c"] })
+    const quote = priceBundle([course("a", 100), course("b", 100), course("c", 100)], [rule], NOW)
+    expect(quote.tier.minCourses).toBe(2)
+    expect(quote.items.map((item) => item.discount)).toEqual([10, 10, 0])
+  })
+
+  it("ignores inactive rules", () => {
+    const quote = priceBundle([course("a", 100), course("b", 100)], [tieredRule({ isActive: false })], NOW)
+    expect(quote.discount).toBe(0)
+  })
+})
+
+describe("priceFixedBundle", () => {
+  it("spreads the saving across paid courses so the lines add up", () => {
+    const bundle = {
+      price: 200,
+      courses: [course("a", 100), course("b", 100), course("free", 50, { courseType: "Free" }), course("c", 100)],
+    }
+    const quote = priceFixedBundle(bundle)
+    expect(quote.originalPrice).toBe(300)
+    expect(quote.finalPrice).toBe(200)
+    expect(quote.items.map((item) => item.discount)).toEqual([33.33, 33.33, 0, 33.34])
+  })
+
+  it("never discounts below zero when the bundle costs more", () => {
+    const quote = priceFixedBundle({ price: 500, courses: [course("a", 100), course("b", 100)] })
+    expect(quote.discount).toBe(0)
+    expect(quote.finalPrice).toBe(200)
+  })
+})
+
+describe("getRulesForCategory", () => {
+  it("returns active tiered rules for the category or every category", () => {
+    const rules = [
+      tieredRule({ _id: "all" }),
+      tieredRule({ _id: "web", scope: "category", category: "web" }),
+      tieredRule({ _id: "data", scope: "category", category: "data" }),
+      { _id: "fixed", type: BUNDLE_TYPES.FIXED },
+    ]
+    expect(getRulesForCategory(rules, "web", NOW).map((rule) => rule._id)).toEqual(["all", "web"])
+  })
+})
+
+describe("validateBundleRule", () => {
+  it("accepts a complete tiered rule", () => {
+    expect(validateBundleRule(tieredRule())).toBe(null)
+  })
+
+  it("rejects broken rules", () => {
+    expect(validateBundleRule(tieredRule({ name: " " }))).toBe("Give the bundle a name")
+    expect(validateBundleRule(tieredRule({ validFrom: "2026-02-01", validUntil: "2026-01-01" }))).toBe(
+      "The bundle must start before it ends"
+    )
+    expect(validateBundleRule(tieredRule({ tiers: [] }))).toBe("Add at least one discount tier")
+    expect(validateBundleRule(tieredRule({ tiers: [{ minCourses: 1, discountPercent: 10 }] }))).toBe(
+      "Tiers start at two courses"
+    )
+    expect(
+      validateBundleRule(
+        tieredRule({
+          tiers: [
+            { minCourses: 2, discountPercent: 10 },
+            { minCourses: 2, discountPercent: 15 },
+          ],
+        })
+      )
+    ).toBe("There are two tiers for 2+ courses")
+  })
+
+  it("checks fixed bundles have courses and a price", () => {
+    const fixed = { name: "Pack", type: BUNDLE_TYPES.FIXED, courses: ["a", "b"], price: 100 }
+    expect(validateBundleRule(fixed)).toBe(null)
+    expect(validateBundleRule({ ...fixed, courses: ["a"] })).toBe("A bundle needs at least two courses")
+    expect(validateBundleRule({ ...fixed, price: "" })).toBe("Enter the bundle price")
+  })
+})
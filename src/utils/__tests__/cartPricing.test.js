@@ -0,0 +1,132 @@
+import { describe, expect, it } from "vitest"
+
+import {
+  EXPORT_REGION,
+  applyOrderDiscount,
+  applyTax,
+  canStackCoupons,
+  getCouponDiscount,
+  getTaxComponents,
+  priceCart,
+  roundCurrency,
+} from "../cartPricing"
+
+const percent = (value, extra = {}) => ({ code: `P${value}`, discountType: "percentage", discountValue: value, ...extra })
+const flat = (value, extra = {}) => ({ code: `F${value}`, discountType: "flat", discountValue: value, ...extra })
+
+describe("roundCurrency", () => {
+  it("rounds to paise", () => {
+    expect(roundCurrency(1.005)).toBe(1.01)
+    expect(roundCurrency(10)).toBe(10)
+  })
+})
+
+describe("getTaxComponents", () => {
+  it("charges CGST and SGST inside the seller's state, IGST elsewhere and nothing abroad", () => {
+    expect(getTaxComponents("TN").map((tax) => tax.name)).toEqual(["CGST", "SGST"])
+    expect(getTaxComponents("KA").map((tax) => tax.name)).toEqual(["IGST"])
+    expect(getTaxComponents(EXPORT_REGION)).toEqual([])
+  })
+})
+
+describe("getCouponDiscount", () => {
+  it("applies percentage caps and never exceeds the amount", () => {
+    expect(getCouponDiscount(percent(10), 500)).toBe(50)
+    expect(getCouponDiscount(percent(50, { maxDiscountAmount: 100 }), 500)).toBe(100)
+    expect(getCouponDiscount(flat(800), 500)).toBe(500)
+    expect(getCouponDiscount(null, 500)).toBe(0)
+    expect(getCouponDiscount(flat(100), 0)).toBe(0)
+  })
+})
+
+describe("canStackCoupons", () => {
+  it("only combines stackable coupons", () => {
+    expect(canStackCoupons(null, [flat(10)])).toBe(true)
+    expect(canStackCoupons(flat(10), [])).toBe(true)
+    expect(canStackCoupons(flat(10, { stackable: true }), [flat(5, { stackable: true })])).toBe(true)
+    expect(canStackCoupons(flat(10, { stackable: true }), [flat(5)])).toBe(false)
+    expect(canStackCoupons(flat(10), [flat(5, { stackable: true })])).toBe(false)
+  })
+})
+
+describe("applyTax", () => {
+  it("adds tax per line and sums the breakdown", () => {
+    const result = applyTax(
+      [
+        { courseId: "a", price: 1000, discount: 100 },
+        { courseId: "b", price: 500, discount: 0 },
+      ],
+      "KA"
+    )
+    expect(result.items[0]).toMatchObject({ courseId: "a", taxableAmount: 900, tax: 162, total: 1062 })
+    expect(result.items[1]).toMatchObject({ taxableAmount: 500, tax: 90, total: 590 })
+    expect(result.taxBreakdown).toEqual([{ name: "IGST", rate: 18, amount: 252 }])
+    expect(result.tax).toBe(252)
+    expect(result.total).toBe(1652)
+  })
+
+  it("charges nothing to buyers abroad", () => {
+    const result = applyTax([{ price: 1000, discount: 0 }], EXPORT_REGION)
+    expect(result.tax).toBe(0)
+    expect(result.total).toBe(1000)
+    expect(result.taxBreakdown).toEqual([])
+  })
+})
+
+describe("applyOrderDiscount", () => {
+  it("splits the discount over what is left of each line", () => {
+    const lines = applyOrderDiscount(
+      [
+        { price: 1000, discount: 400 },
+        { price: 300, discount: 0 },
+      ],
+      90
+    )
+    expect(lines.map((line) => line.orderDiscount)).toEqual([60, 30])
+    expect(lines.map((line) => line.discount)).toEqual([460, 30])
+  })
+
+  it("never discounts more than the lines cost", () => {
+    const lines = applyOrderDiscount([{ price: 100, discount: 50 }], 80)
+    expect(lines[0].discount).toBe(100)
+  })
+})
+
+describe("priceCart", () => {
+  const cart = [
+    { _id: "a", courseName: "A", price: 1000 },
+    { _id: "b", courseName: "B", price: 500 },
+  ]
+
+  it("prices a cart without coupons", () => {
+    const pricing = priceCart(cart, { region: "TN" })
+    expect(pricing.subtotal).toBe(1500)
+    expect(pricing.discount).toBe(0)
+    expect(pricing.taxBreakdown).toEqual([
+      { name: "CGST", rate: 9, amount: 135 },
+      { name: "SGST", rate: 9, amount: 135 },
+    ])
+    expect(pricing.total).toBe(1770)
+  })
+
+  it("applies course coupons to their course only", () => {
+    const pricing = priceCart(cart, { itemCoupons: { a: flat(200) }, region: EXPORT_REGION })
+    expect(pricing.items[0]).toMatchObject({ couponCode: "F200", itemDiscount: 200, discount: 200, total: 800 })
+    expect(pricing.items[1].discount).toBe(0)
+    expect(pricing.total).toBe(1300)
+  })
+
+  it("splits a cart-wide coupon across items in proportion", () => {
+    const pricing = priceCart(cart, { orderCoupon: flat(100), region: EXPORT_REGION })
+    expect(pricing.orderCouponApplied).toBe(true)
+    expect(pricing.items.map((item) => item.orderDiscount)).toEqual([66.67, 33.33])
+    expect(pricing.orderDiscount).toBe(100)
+    expect(pricing.total).toBe(1400)
+  })
+
+  it("drops a cart-wide coupon that cannot stack with course coupons", () => {
+    const pricing = priceCart(cart, { itemCoupons: { a: flat(200) }, orderCoupon: percent(10), region: EXPORT_REGION })
+    expect(pricing.orderCouponApplied).toBe(false)
+    expect(pricing.discount).toBe(200)
+  })
+})
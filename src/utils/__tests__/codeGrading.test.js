@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest"
+
+import {
+  COMPARISON_MODES,
+  DEFAULT_FLOAT_TOLERANCE,
+  compareOutput,
+  createTestCase,
+  getPartialCredit,
+  isValidPattern,
+} from "../codeGrading"
+
+describe("compareOutput", () => {
+  it("exact mode only forgives CRLF line endings", () => {
+    expect(compareOutput("1\r\n2\r\n", "1\n2\n", COMPARISON_MODES.EXACT)).toBe(true)
+    expect(compareOutput("1\n\n2", "1\n2", COMPARISON_MODES.EXACT)).toBe(false)
+    expect(compareOutput("1\n2 ", "1\n2", COMPARISON_MODES.EXACT)).toBe(false)
+    expect(compareOutput("1\n2\n", "1\n2", COMPARISON_MODES.EXACT)).toBe(false)
+  })
+
+  it("trim mode ignores trailing spaces and surrounding blank lines", () => {
+    expect(compareOutput("\n1  \n2\n\n", "1\n2", COMPARISON_MODES.TRIM)).toBe(true)
+    expect(compareOutput("1\n\n2", "1\n2", COMPARISON_MODES.TRIM)).toBe(false)
+  })
+
+  it("defaults to trim mode", () => {
+    expect(compareOutput("hello \n", "hello")).toBe(true)
+  })
+
+  it("regex mode matches the whole trimmed output", () => {
+    expect(compareOutput("  answer: 42\n", "answer: \\d+", COMPARISON_MODES.REGEX)).toBe(true)
+    expect(compareOutput("the answer: 42", "answer: \\d+", COMPARISON_MODES.REGEX)).toBe(false)
+    expect(compareOutput("anything", "(", COMPARISON_MODES.REGEX)).toBe(false)
+  })
+
+  it("float mode compares numbers within a relative tolerance", () => {
+    expect(compareOutput("3.1415927", "3.14159265", COMPARISON_MODES.FLOAT)).toBe(true)
+    expect(compareOutput("3.15", "3.14159265", COMPARISON_MODES.FLOAT, 0.01)).toBe(true)
+    expect(compareOutput("3.2", "3.14159265", COMPARISON_MODES.FLOAT, 0.01)).toBe(false)
+    expect(compareOutput("x = 1.0000001", "x = 1", COMPARISON_MODES.FLOAT)).toBe(true)
+    expect(compareOutput("y = 1", "x = 1", COMPARISON_MODES.FLOAT)).toBe(false)
+    expect(compareOutput("1 2", "1 2 3", COMPARISON_MODES.FLOAT)).toBe(false)
+  })
+
+  it("float mode honours an explicit zero tolerance", () => {
+    expect(compareOutput("1.0000001", "1", COMPARISON_MODES.FLOAT, 0)).toBe(false)
+    expect(compareOutput("1.0", "1", COMPARISON_MODES.FLOAT, 0)).toBe(true)
+  })
+
+  it("float mode falls back to the default tolerance when none is usable", () => {
+    expect(compareOutput("1.0000001", "1", COMPARISON_MODES.FLOAT, undefined)).toBe(true)
+    expect(compareOutput("1.0000001", "1", COMPARISON_MODES.FLOAT, "abc")).toBe(true)
+  })
+})
+
+describe("createTestCase", () => {
+  it("fills in grading fields for older test cases", () => {
+    expect(createTestCase({ input: "1", expectedOutput: "2" })).toEqual({
+      input: "1",
+      expectedOutput: "2",
+      isHidden: false,
+      comparisonMode: COMPARISON_MODES.TRIM,
+      tolerance: DEFAULT_FLOAT_TOLERANCE,
+      points: 1,
+      timeLimit: 5,
+    })
+  })
+})
+
+describe("isValidPattern", () => {
+  it("reports whether a pattern compiles", () => {
+    expect(isValidPattern("a+b")).toBe(true)
+    expect(isValidPattern("[")).toBe(false)
+  })
+})
+
+describe("getPartialCredit", () => {
+  it("scales earned points to the question marks", () => {
+    expect(getPartialCredit(2, 3, 10)).toBe(6.67)
+    expect(getPartialCredit(3, 3, 10)).toBe(10)
+    expect(getPartialCredit(0, 0, 10)).toBe(0)
+  })
+})
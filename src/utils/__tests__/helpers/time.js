@@ -0,0 +1,7 @@
+// Fixed clock for tests that depend on dates
+export const DAY = 24 * 60 * 60 * 1000
+
+export const NOW = new Date("2026-06-15T12:00:00Z")
+
+// ISO timestamp `days` after NOW; negative for the past
+export const daysFromNow = (days) => new Date(NOW.getTime() + days * DAY).toISOString()
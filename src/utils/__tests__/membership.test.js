@@ -0,0 +1,99 @@
+import { describe, expect, it } from "vitest"
+
+import { MEMBERSHIP_CONFIG } from "../../config/environment"
+import {
+  MEMBERSHIP_STATUS,
+  canAccessCourse,
+  getCourseStartPath,
+  getMonthlyPrice,
+  hasMembershipAccess,
+  isMembershipActive,
+  isTrialAvailable,
+  planCoversCourse,
+  validatePlan,
+} from "../membership"
+import { NOW, daysFromNow } from "./helpers/time"
+
+describe("isMembershipActive", () => {
+  it("gives access until the period ends", () => {
+    const tomorrow = daysFromNow(1)
+    expect(isMembershipActive({ status: MEMBERSHIP_STATUS.ACTIVE, currentPeriodEnd: tomorrow }, NOW)).toBe(true)
+    expect(isMembershipActive({ status: MEMBERSHIP_STATUS.CANCELLED, currentPeriodEnd: tomorrow }, NOW)).toBe(true)
+    expect(isMembershipActive({ status: MEMBERSHIP_STATUS.EXPIRED, currentPeriodEnd: tomorrow }, NOW)).toBe(false)
+    expect(isMembershipActive({ status: MEMBERSHIP_STATUS.ACTIVE, currentPeriodEnd: daysFromNow(-1) }, NOW)).toBe(false)
+    expect(isMembershipActive(null, NOW)).toBe(false)
+  })
+
+  it("keeps a past-due membership for the grace period", () => {
+    const grace = MEMBERSHIP_CONFIG.PAST_DUE_GRACE_DAYS
+    expect(isMembershipActive({ status: MEMBERSHIP_STATUS.PAST_DUE, currentPeriodEnd: daysFromNow(-grace) }, NOW)).toBe(true)
+    expect(isMembershipActive({ status: MEMBERSHIP_STATUS.PAST_DUE, currentPeriodEnd: daysFromNow(-grace - 1) }, NOW)).toBe(
+      false
+    )
+  })
+})
+
+describe("planCoversCourse / hasMembershipAccess", () => {
+  const course = { _id: "c1", category: { _id: "web" } }
+
+  it("covers every course without categories, otherwise only matching ones", () => {
+    expect(planCoversCourse({ categories: [] }, course)).toBe(true)
+    expect(planCoversCourse({ categories: [{ _id: "web" }] }, course)).toBe(true)
+    expect(planCoversCourse({ categories: ["data"] }, course)).toBe(false)
+  })
+
+  it("needs an active membership", () => {
+    const plan = { categories: [] }
+    const status = MEMBERSHIP_STATUS.ACTIVE
+    expect(hasMembershipAccess({ status, plan, currentPeriodEnd: daysFromNow(1) }, course, NOW)).toBe(true)
+    expect(hasMembershipAccess({ status, plan, currentPeriodEnd: daysFromNow(-1) }, course, NOW)).toBe(false)
+  })
+})
+
+describe("canAccessCourse", () => {
+  const course = { _id: "c1", instructor: { _id: "i1" }, studentsEnrolled: ["s1"], category: "web" }
+
+  it("lets admins, the instructor and enrolled students in", () => {
+    expect(canAccessCourse({ _id: "a1", accountType: "Admin" }, course, null)).toBe(true)
+    expect(canAccessCourse({ _id: "i1", accountType: "Instructor" }, course, null)).toBe(true)
+    expect(canAccessCourse({ _id: "s1", accountType: "Student" }, course, null)).toBe(true)
+    expect(canAccessCourse({ _id: "s2", accountType: "Student" }, course, null)).toBe(false)
+    expect(canAccessCourse(null, course, null)).toBe(false)
+  })
+})
+
+describe("getCourseStartPath", () => {
+  it("opens the first lecture of the first section that has one", () => {
+    const course = {
+      _id: "c1",
+      courseContent: [
+        { _id: "empty", subSection: [] },
+        { _id: "s1", subSection: [{ _id: "l1" }] },
+      ],
+    }
+    expect(getCourseStartPath(course)).toBe("/view-course/c1/section/s1/sub-section/l1")
+    expect(getCourseStartPath({ courseContent: [] })).toBe(null)
+  })
+})
+
+describe("plans", () => {
+  it("compares annual plans per month", () => {
+    expect(getMonthlyPrice({ interval: "year", price: 1200 })).toBe(100)
+    expect(getMonthlyPrice({ interval: "month", price: 150 })).toBe(150)
+  })
+
+  it("offers a trial only to first-time members", () => {
+    expect(isTrialAvailable({ trialDays: 7 }, null)).toBe(true)
+    expect(isTrialAvailable({ trialDays: 7 }, { status: MEMBERSHIP_STATUS.EXPIRED })).toBe(false)
+    expect(isTrialAvailable({ trialDays: 0 }, null)).toBe(false)
+  })
+
+  it("validates the plan form", () => {
+    const plan = { name: "Pro", interval: "month", price: "499", trialDays: "7" }
+    expect(validatePlan(plan)).toBe(null)
+    expect(validatePlan({ ...plan, name: "" })).toBe("Give the plan a name")
+    expect(validatePlan({ ...plan, interval: "week" })).toBe("Choose how often the plan bills")
+    expect(validatePlan({ ...plan, price: "0" })).toBe("Enter the plan price")
+    expect(validatePlan({ ...plan, trialDays: "1.5" })).toBe("Trial length must be a whole number of days")
+  })
+})
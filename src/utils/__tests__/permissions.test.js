@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest"
+
+import { ALL_PERMISSIONS, canViewTab, hasPermission, validateRole } from "../permissions"
+
+const admin = (permissions) => ({
+  accountType: "Admin",
+  adminRole: permissions && { _id: "r1", name: "Role", permissions },
+})
+
+describe("hasPermission", () => {
+  it("gives admins without a role full access", () => {
+    expect(hasPermission(admin(), "roles.manage")).toBe(true)
+  })
+
+  it("checks the role's permissions", () => {
+    expect(hasPermission(admin(["orders.view"]), "orders.view")).toBe(true)
+    expect(hasPermission(admin(["orders.view"]), "orders.refund")).toBe(false)
+    expect(hasPermission(admin([ALL_PERMISSIONS]), "settings.manage")).toBe(true)
+    expect(hasPermission(admin([]), "orders.view")).toBe(false)
+  })
+
+  it("never grants anything to other account types", () => {
+    expect(hasPermission({ accountType: "Instructor" }, "orders.view")).toBe(false)
+    expect(hasPermission(null, "orders.view")).toBe(false)
+  })
+})
+
+describe("canViewTab", () => {
+  it("uses the tab's permission and leaves unlisted tabs open", () => {
+    expect(canViewTab(admin(["orders.view"]), "orders")).toBe(true)
+    expect(canViewTab(admin(["orders.view"]), "roles")).toBe(false)
+    expect(canViewTab(admin([]), "unknown")).toBe(true)
+  })
+})
+
+describe("validateRole", () => {
+  it("requires a name and a permission", () => {
+    expect(validateRole({ name: "Finance", permissions: ["orders.view"] })).toBe(null)
+    expect(validateRole({ name: " ", permissions: ["orders.view"] })).toBe("Give the role a name")
+    expect(validateRole({ name: "Finance", permissions: [] })).toBe("Choose at least one permission")
+  })
+
+  it("keeps role management on the admin's own role", () => {
+    expect(validateRole({ name: "Mine", permissions: ["orders.view"] }, true)).toBe(
+      "You can't remove role management from your own role"
+    )
+    expect(validateRole({ name: "Mine", permissions: ["roles.manage"] }, true)).toBe(null)
+    expect(validateRole({ name: "Mine", permissions: [ALL_PERMISSIONS] }, true)).toBe(null)
+  })
+})
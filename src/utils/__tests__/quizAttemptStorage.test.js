@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest"
+
+import { getRemainingSeconds, restoreQuizAttempt } from "../quizAttemptStorage"
+
+const quiz = { questions: [{ _id: "q1", questionType: "shortAnswer" }], timeLimit: 600 }
+
+const local = (extra = {}) => ({
+  attemptId: "a1",
+  seed: 1,
+  questions: quiz.questions,
+  answers: { q1: "local" },
+  currentQuestion: 0,
+  startedAt: 1000,
+  timeLimit: 600,
+  ...extra,
+})
+
+const serverAttempt = (extra = {}) => ({
+  attemptId: "a1",
+  seed: 1,
+  startedAt: new Date(1000).toISOString(),
+  answers: { q1: "server" },
+  ...extra,
+})
+
+describe("restoreQuizAttempt", () => {
+  it("resumes the server attempt with the matching local answers", () => {
+    const restored = restoreQuizAttempt(quiz, local(), { attempt: serverAttempt() })
+    expect(restored.attemptId).toBe("a1")
+    expect(restored.answers).toEqual({ q1: "local" })
+    expect(restored.startedAt).toBe(1000)
+  })
+
+  it("uses the server answers when the local copy belongs to another attempt", () => {
+    const restored = restoreQuizAttempt(quiz, local({ attemptId: "old" }), { attempt: serverAttempt() })
+    expect(restored.answers).toEqual({ q1: "server" })
+  })
+
+  it("discards the local copy when the server has no attempt running", () => {
+    expect(restoreQuizAttempt(quiz, local(), { attempt: null })).toBe(null)
+  })
+
+  it("keeps an attempt started offline", () => {
+    const offline = local({ attemptId: null })
+    expect(restoreQuizAttempt(quiz, offline, { attempt: null })).toBe(offline)
+  })
+
+  it("falls back to the local copy when the server could not be reached", () => {
+    expect(restoreQuizAttempt(quiz, local(), null)).toEqual(local())
+    expect(restoreQuizAttempt(quiz, null, null)).toBe(null)
+  })
+
+  it("ignores a local copy finished after it started", () => {
+    expect(restoreQuizAttempt(quiz, local(), null, new Date(2000).toISOString())).toBe(null)
+  })
+})
+
+describe("getRemainingSeconds", () => {
+  it("counts down from the server start time", () => {
+    expect(getRemainingSeconds({ startedAt: 0, timeLimit: 600 }, 60 * 1000)).toBe(540)
+    expect(getRemainingSeconds({ startedAt: 0, timeLimit: 600, clockOffset: 30 * 1000 }, 60 * 1000)).toBe(510)
+    expect(getRemainingSeconds({ startedAt: 0, timeLimit: 60 }, 120 * 1000)).toBe(0)
+  })
+})
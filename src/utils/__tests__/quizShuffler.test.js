@@ -0,0 +1,127 @@
+import { describe, expect, it } from "vitest"
+
+import {
+  buildQuizAttempt,
+  createSeededRandom,
+  getAttemptQuestions,
+  getOptionOrder,
+  getQuizQuestionCount,
+  matchesPool,
+  parseTags,
+  shuffleMatchingOptions,
+} from "../quizShuffler"
+
+const question = (id, extra = {}) => ({
+  _id: id,
+  questionText: id,
+  questionType: "singleAnswer",
+  options: ["a", "b", "c", "d"],
+  ...extra,
+})
+
+const bank = [
+  question("b1", { tags: ["arrays"], difficulty: "easy" }),
+  question("b2", { tags: ["arrays"], difficulty: "hard" }),
+  question("b3", { tags: ["arrays", "loops"], difficulty: "easy" }),
+  question("b4", { tags: ["loops"], difficulty: "easy" }),
+]
+
+const quiz = {
+  questions: [question("q1"), question("q2")],
+  questionPools: [{ tags: ["arrays"], count: 2 }],
+  shuffleQuestions: true,
+  shuffleOptions: true,
+}
+
+describe("createSeededRandom", () => {
+  it("repeats the same sequence for the same seed", () => {
+    const first = createSeededRandom(42)
+    const second = createSeededRandom(42)
+    const other = createSeededRandom("attempt-1")
+    const a = [first(), first(), first()]
+    expect([second(), second(), second()]).toEqual(a)
+    expect([other(), other(), other()]).not.toEqual(a)
+    a.forEach((value) => {
+      expect(value).toBeGreaterThanOrEqual(0)
+      expect(value).toBeLessThan(1)
+    })
+  })
+})
+
+describe("shuffleMatchingOptions", () => {
+  it("never keeps the original order", () => {
+    const random = createSeededRandom(1)
+    for (let i = 0; i < 20; i++) {
+      const order = shuffleMatchingOptions(["a", "b", "c"], random).map((item) => item.originalIndex)
+      expect(order).not.toEqual([0, 1, 2])
+      expect([...order].sort()).toEqual([0, 1, 2])
+    }
+  })
+
+  it("leaves a single option alone", () => {
+    expect(shuffleMatchingOptions(["only"]).map((item) => item.text)).toEqual(["only"])
+  })
+})
+
+describe("parseTags / matchesPool", () => {
+  it("parses comma separated tags in lowercase", () => {
+    expect(parseTags(" Arrays, LOOPS ,, ")).toEqual(["arrays", "loops"])
+  })
+
+  it("requires every pool tag and the pool difficulty", () => {
+    expect(matchesPool(bank[2], { tags: ["arrays", "loops"] })).toBe(true)
+    expect(matchesPool(bank[0], { tags: ["arrays", "loops"] })).toBe(false)
+    expect(matchesPool(bank[1], { tags: ["arrays"], difficulty: "easy" })).toBe(false)
+  })
+})
+
+describe("buildQuizAttempt", () => {
+  it("reproduces the same attempt from the same seed", () => {
+    const first = buildQuizAttempt(quiz, bank, 7)
+    const second = buildQuizAttempt(quiz, [...bank].reverse(), 7)
+    expect(second).toEqual(first)
+  })
+
+  it("draws each pool's count from matching questions without repeats", () => {
+    const { questions } = buildQuizAttempt(quiz, bank, 3)
+    const drawn = questions.filter((item) => item.fromPool)
+    expect(questions).toHaveLength(4)
+    expect(drawn).toHaveLength(2)
+    drawn.forEach((item) => expect(item.tags).toContain("arrays"))
+    expect(new Set(questions.map((item) => item._id)).size).toBe(4)
+  })
+
+  it("shuffles option order as original indices", () => {
+    const { questions } = buildQuizAttempt(quiz, bank, 3)
+    questions.forEach((item) => expect([...getOptionOrder(item)].sort()).toEqual([0, 1, 2, 3]))
+    expect(getOptionOrder(question("plain"))).toEqual([0, 1, 2, 3])
+  })
+})
+
+describe("getQuizQuestionCount", () => {
+  it("caps pools by their candidates when they are known", () => {
+    const greedy = { ...quiz, questionPools: [{ tags: ["loops"], count: 5 }] }
+    expect(getQuizQuestionCount(greedy, bank)).toBe(4)
+    expect(getQuizQuestionCount(greedy)).toBe(7)
+  })
+})
+
+describe("getAttemptQuestions", () => {
+  it("uses the replayed draw when it matches the stored ids", () => {
+    const built = buildQuizAttempt(quiz, bank, 11)
+    const questionIds = built.questions.map((item) => item._id)
+    expect(getAttemptQuestions(quiz, bank, { seed: 11, questionIds })).toEqual(built.questions)
+  })
+
+  it("follows the stored ids when the bank changed since", () => {
+    const built = buildQuizAttempt(quiz, bank, 11)
+    const questionIds = built.questions.map((item) => item._id)
+    const changedBank = [...bank, question("b0", { tags: ["arrays"] })]
+    const questions = getAttemptQuestions(quiz, changedBank, { seed: 11, questionIds })
+    expect(questions.map((item) => item._id)).toEqual(questionIds)
+  })
+
+  it("replays the seed for attempts recorded without ids", () => {
+    expect(getAttemptQuestions(quiz, bank, { seed: 5 })).toEqual(buildQuizAttempt(quiz, bank, 5).questions)
+  })
+})
@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest"
+
+import { REFUND_CONFIG } from "../../config/environment"
+import {
+  REFUND_STATUS,
+  getRefundDeadline,
+  getRefundEligibility,
+  getRefundState,
+  getRefundableAmount,
+  validateRefund,
+} from "../refunds"
+import { DAY, NOW, daysFromNow } from "./helpers/time"
+
+describe("getRefundableAmount", () => {
+  it("is what was paid less what was refunded", () => {
+    expect(getRefundableAmount(1000, { refundedAmount: 250.5 })).toBe(749.5)
+    expect(getRefundableAmount(1000, {})).toBe(1000)
+    expect(getRefundableAmount(1000, { refundedAmount: 1200 })).toBe(0)
+  })
+})
+
+describe("getRefundState", () => {
+  it("reports refunds before requests", () => {
+    expect(getRefundState(1000, { refundedAmount: 1000 })).toBe("refunded")
+    expect(getRefundState(1000, { refundedAmount: 400 })).toBe("partially_refunded")
+    expect(getRefundState(1000, { refund: { status: REFUND_STATUS.REQUESTED } })).toBe("requested")
+    expect(getRefundState(1000, { refund: { status: REFUND_STATUS.REJECTED } })).toBe("rejected")
+    expect(getRefundState(1000, {})).toBe(null)
+  })
+})
+
+describe("getRefundDeadline", () => {
+  it("ends the configured number of days after purchase", () => {
+    expect(getRefundDeadline(NOW.toISOString()).getTime()).toBe(NOW.getTime() + REFUND_CONFIG.WINDOW_DAYS * DAY)
+  })
+})
+
+describe("getRefundEligibility", () => {
+  // bought yesterday, not started
+  const paid = { price: 1000, purchaseDate: daysFromNow(-1), progressPercentage: 0 }
+
+  it("allows a recent paid purchase with progress up to the limit", () => {
+    expect(getRefundEligibility(paid, NOW)).toEqual({ eligible: true, reason: null })
+    expect(
+      getRefundEligibility({ ...paid, progressPercentage: REFUND_CONFIG.MAX_PROGRESS_PERCENT }, NOW).eligible
+    ).toBe(true)
+  })
+
+  it("explains why a purchase can't be refunded", () => {
+    const ineligible = [
+      { ...paid, price: 0 },
+      { ...paid, refundedAmount: 100 },
+      { ...paid, refund: { status: REFUND_STATUS.REQUESTED } },
+      { ...paid, refund: { status: REFUND_STATUS.REJECTED } },
+      { ...paid, purchaseDate: daysFromNow(-(REFUND_CONFIG.WINDOW_DAYS + 1)) },
+      { ...paid, progressPercentage: REFUND_CONFIG.MAX_PROGRESS_PERCENT + 1 },
+      { ...paid, progressPercentage: null },
+    ]
+    ineligible.forEach((item) => {
+      const result = getRefundEligibility(item, NOW)
+      expect(result.eligible).toBe(false)
+      expect(result.reason).toEqual(expect.any(String))
+    })
+  })
+})
+
+describe("validateRefund", () => {
+  it("checks the amount and reason", () => {
+    expect(validateRefund({ amount: "200", reason: "Duplicate order" }, 500)).toBe(null)
+    expect(validateRefund({ amount: "0", reason: "x" }, 500)).toBe("Enter the amount to refund")
+    expect(validateRefund({ amount: "600", reason: "x" }, 500)).toBe(
+      "The refund can't be more than what is left to refund"
+    )
+    expect(validateRefund({ amount: "100", reason: "  " }, 500)).toBe("Give a reason for the refund")
+  })
+})
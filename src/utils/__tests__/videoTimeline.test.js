@@ -0,0 +1,134 @@
+import { describe, expect, it } from "vitest"
+
+import {
+  createCheckpoint,
+  formatTimestamp,
+  getCurrentChapter,
+  getNextPendingCheckpoint,
+  hasCheckpointAnswer,
+  parseTimestamp,
+  toTimelinePayload,
+  validateTimeline,
+} from "../videoTimeline"
+
+const checkpoint = (time, question = {}) => ({
+  ...createCheckpoint(time),
+  question: {
+    questionText: "Why?",
+    questionType: "singleAnswer",
+    options: ["a", "b"],
+    correctAnswers: [],
+    correctAnswer: 0,
+    keywords: [],
+    ...question,
+  },
+})
+
+describe("parseTimestamp / formatTimestamp", () => {
+  it("reads seconds, m:ss and h:mm:ss", () => {
+    expect(parseTimestamp("90")).toBe(90)
+    expect(parseTimestamp("1:30")).toBe(90)
+    expect(parseTimestamp(" 0:01:30 ")).toBe(90)
+    expect(parseTimestamp("1:xx")).toBe(null)
+    expect(parseTimestamp("1:2:3:4")).toBe(null)
+  })
+
+  it("formats seconds for display", () => {
+    expect(formatTimestamp(90)).toBe("1:30")
+    expect(formatTimestamp(3725)).toBe("1:02:05")
+    expect(formatTimestamp(-5)).toBe("0:00")
+  })
+})
+
+describe("getCurrentChapter", () => {
+  it("returns the last chapter that started", () => {
+    const chapters = [
+      { _id: "b", time: 60, title: "B" },
+      { _id: "a", time: 0, title: "A" },
+    ]
+    expect(getCurrentChapter(chapters, 30)._id).toBe("a")
+    expect(getCurrentChapter(chapters, 60)._id).toBe("b")
+    expect(getCurrentChapter([], 10)).toBe(null)
+  })
+})
+
+describe("getNextPendingCheckpoint", () => {
+  it("returns the earliest unanswered checkpoint", () => {
+    const checkpoints = [
+      { _id: "late", time: 120 },
+      { _id: "early", time: 30 },
+    ]
+    expect(getNextPendingCheckpoint(checkpoints, [])._id).toBe("early")
+    expect(getNextPendingCheckpoint(checkpoints, ["early"])._id).toBe("late")
+    expect(getNextPendingCheckpoint(checkpoints, ["early", "late"])).toBe(null)
+  })
+})
+
+describe("hasCheckpointAnswer", () => {
+  it("checks the answer shape for each question type", () => {
+    expect(hasCheckpointAnswer({ questionType: "multipleChoice" }, [1])).toBe(true)
+    expect(hasCheckpointAnswer({ questionType: "multipleChoice" }, [])).toBe(false)
+    expect(hasCheckpointAnswer({ questionType: "singleAnswer" }, 0)).toBe(true)
+    expect(hasCheckpointAnswer({ questionType: "singleAnswer" }, null)).toBe(false)
+    expect(hasCheckpointAnswer({ questionType: "shortAnswer" }, "  ")).toBe(false)
+    expect(hasCheckpointAnswer({ questionType: "shortAnswer" }, "because")).toBe(true)
+  })
+})
+
+describe("validateTimeline", () => {
+  it("accepts a complete timeline", () => {
+    expect(
+      validateTimeline({
+        chapters: [{ time: 0, title: "Intro" }],
+        checkpoints: [checkpoint(30), checkpoint(60, { questionType: "shortAnswer", options: [], keywords: ["x"] })],
+      })
+    ).toBe(null)
+  })
+
+  it("requires chapter titles and question text", () => {
+    expect(validateTimeline({ chapters: [{ time: 0, title: " " }] })).toBe("Every chapter needs a title")
+    expect(validateTimeline({ checkpoints: [checkpoint(0, { questionText: "" })] })).toBe(
+      "Every checkpoint needs a question"
+    )
+  })
+
+  it("requires options and correct answers", () => {
+    expect(validateTimeline({ checkpoints: [checkpoint(0, { options: ["a", ""] })] })).toBe(
+      "Fill in every option of the checkpoint questions"
+    )
+    expect(validateTimeline({ checkpoints: [checkpoint(0, { correctAnswer: null })] })).toBe(
+      "Mark the correct answer of every single answer checkpoint"
+    )
+    expect(validateTimeline({ checkpoints: [checkpoint(0, { questionType: "multipleChoice" })] })).toBe(
+      "Mark the correct answers of every multiple choice checkpoint"
+    )
+  })
+
+  it("requires keywords for short answer checkpoints", () => {
+    expect(validateTimeline({ checkpoints: [checkpoint(0, { questionType: "shortAnswer", options: [] })] })).toBe(
+      "Add keywords to every short answer checkpoint"
+    )
+  })
+
+  it("rejects checkpoints that share a timestamp", () => {
+    expect(validateTimeline({ checkpoints: [checkpoint(30), checkpoint(30)] })).toBe(
+      "Two checkpoints can't share a timestamp"
+    )
+  })
+})
+
+describe("toTimelinePayload", () => {
+  it("sorts rows, trims titles and drops temporary ids", () => {
+    const payload = toTimelinePayload({
+      chapters: [
+        { _id: "saved", time: 60, title: " Later " },
+        { _id: "temp_1", time: 0, title: "Intro" },
+      ],
+      checkpoints: [],
+    })
+    expect(payload.chapters).toEqual([
+      { time: 0, title: "Intro" },
+      { _id: "saved", time: 60, title: "Later" },
+    ])
+  })
+})
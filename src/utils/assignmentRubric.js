@@ -0,0 +1,106 @@
+// Assignment subsections: file type rules for submissions and rubric scoring.
+// An assignment looks like
+//   { _id, instructions, dueDate, allowedFileTypes: ["pdf", "zip"], maxFileSizeMB,
+//     passingPercentage, rubric: [{ _id, title, description, maxPoints }] }
+// and a graded submission carries { status, scores: [{ criterionId, points, comment }], feedback }
+
+import { toDateTimeInputValue } from "./dateFormatter"
+
+export const ASSIGNMENT_FILE_TYPES = {
+  pdf: { label: "PDF", extensions: [".pdf"] },
+  doc: { label: "Word", extensions: [".doc", ".docx"] },
+  ppt: { label: "Slides", extensions: [".ppt", ".pptx"] },
+  image: { label: "Images", extensions: [".png", ".jpg", ".jpeg"] },
+  zip: { label: "ZIP archive", extensions: [".zip"] },
+  code: { label: "Source code", extensions: [".js", ".jsx", ".ts", ".py", ".java", ".c", ".cpp", ".html", ".css"] },
+  text: { label: "Text", extensions: [".txt", ".md"] },
+}
+
+export const SUBMISSION_STATUS = {
+  SUBMITTED: "submitted",
+  GRADED: "graded",
+  RESUBMIT: "resubmit",
+}
+
+export const DEFAULT_MAX_FILE_SIZE_MB = 25
+export const MAX_SUBMISSION_FILES = 5
+
+export const createCriterion = () => ({
+  _id: `temp_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+  title: "",
+  description: "",
+  maxPoints: 10,
+})
+
+const getExtensions = (allowedFileTypes = []) =>
+  allowedFileTypes.flatMap((type) => ASSIGNMENT_FILE_TYPES[type]?.extensions || [])
+
+// value for the file input's accept attribute
+export const getAcceptAttribute = (allowedFileTypes) => getExtensions(allowedFileTypes).join(",")
+
+export const describeFileTypes = (allowedFileTypes = []) =>
+  allowedFileTypes.map((type) => ASSIGNMENT_FILE_TYPES[type]?.label || type).join(", ")
+
+// Reason the file can't be submitted, or null when it is fine
+export const validateSubmissionFile = (file, assignment) => {
+  const extensions = getExtensions(assignment?.allowedFileTypes)
+  const name = file.name.toLowerCase()
+  if (extensions.length && !extensions.some((ext) => name.endsWith(ext))) {
+    return `${file.name} is not an allowed file type (${describeFileTypes(assignment.allowedFileTypes)})`
+  }
+  const maxSizeMB = assignment?.maxFileSizeMB || DEFAULT_MAX_FILE_SIZE_MB
+  if (file.size > maxSizeMB * 1024 * 1024) {
+    return `${file.name} is larger than ${maxSizeMB}MB`
+  }
+  return null
+}
+
+export const getRubricTotal = (rubric = []) =>
+  rubric.reduce((total, criterion) => total + (Number(criterion.maxPoints) || 0), 0)
+
+export const getSubmissionScore = (scores = []) =>
+  scores.reduce((total, score) => total + (Number(score.points) || 0), 0)
+
+export const isPassingScore = (score, assignment) => {
+  const total = getRubricTotal(assignment?.rubric)
+  if (!total) return true
+  return (score / total) * 100 >= (assignment?.passingPercentage ?? 0)
+}
+
+export const isPastDue = (assignment, now = Date.now()) =>
+  Boolean(assignment?.dueDate) && new Date(assignment.dueDate).getTime() < now
+
+// Builder form state for an assignment (new or existing)
+export const toAssignmentForm = (assignment) => ({
+  instructions: assignment?.instructions || "",
+  dueDate: toDateTimeInputValue(assignment?.dueDate),
+  allowedFileTypes: assignment?.allowedFileTypes || ["pdf", "zip"],
+  maxFileSizeMB: assignment?.maxFileSizeMB || DEFAULT_MAX_FILE_SIZE_MB,
+  passingPercentage: assignment?.passingPercentage ?? 50,
+  rubric: assignment?.rubric?.length ? assignment.rubric : [createCriterion()],
+})
+
+// Reason the builder form can't be saved, or null
+export const validateAssignmentForm = (form) => {
+  if (!form.instructions.trim()) return "Please add assignment instructions"
+  if (!form.allowedFileTypes.length) return "Please allow at least one file type"
+  if (form.rubric.some((criterion) => !criterion.title.trim() || !(Number(criterion.maxPoints) > 0))) {
+    return "Every rubric criterion needs a title and points"
+  }
+  return null
+}
+
+export const toAssignmentPayload = (form) => ({
+  instructions: form.instructions.trim(),
+  dueDate: form.dueDate ? new Date(form.dueDate).toISOString() : null,
+  allowedFileTypes: form.allowedFileTypes,
+  maxFileSizeMB: Number(form.maxFileSizeMB) || DEFAULT_MAX_FILE_SIZE_MB,
+  passingPercentage: Number(form.passingPercentage) || 0,
+  // criteria added in the builder get their ids from the server
+  rubric: form.rubric.map(({ _id, title, description, maxPoints }) => ({
+    ...(!String(_id).startsWith("temp_") && { _id }),
+    title: title.trim(),
+    description: (description || "").trim(),
+    maxPoints: Number(maxPoints),
+  })),
+})
@@ -0,0 +1,89 @@
+// Admin audit trail. The server writes an entry for every privileged call (user, course,
+// review, order, refund, job and role changes), taking the actor from the token and the IP
+// from the request, so entries can't be forged or edited from the dashboard:
+//   { _id, at, actor: { _id, firstName, lastName, email, role }, action, entityType,
+//     entityId, entityLabel, before, after, ip, userAgent }
+// `before` and `after` are snapshots of the changed fields; either is null for creates
+// and deletes.
+
+export const AUDIT_ENTITIES = {
+  user: "User",
+  course: "Course",
+  review: "Review",
+  order: "Order",
+  job: "Job",
+  jobApplication: "Job application",
+  role: "Role",
+}
+
+export const AUDIT_ACTIONS = {
+  "user.create": "Created user",
+  "user.update": "Updated user",
+  "user.delete": "Deleted user",
+  "user.toggle_status": "Changed user status",
+  "user.assign_role": "Assigned role",
+  "course.approve": "Approved course",
+  "course.delete": "Deleted course",
+  "course.toggle_visibility": "Changed course visibility",
+  "course.set_type": "Changed course type",
+  "review.toggle_selection": "Changed review display",
+  "review.bulk_selection": "Changed review display (bulk)",
+  "review.delete": "Deleted review",
+  "order.delete": "Deleted order",
+  "order.update_status": "Changed order status",
+  "order.refund": "Issued refund",
+  "order.reject_refund": "Declined refund request",
+  "job.create": "Posted job",
+  "job.update": "Updated job",
+  "job.delete": "Deleted job",
+  "job.toggle_publication": "Changed job publication",
+  "jobApplication.update_status": "Changed application status",
+  "jobApplication.delete": "Deleted application",
+  "role.create": "Created role",
+  "role.update": "Updated role",
+  "role.delete": "Deleted role",
+}
+
+export const getActionLabel = (action) => AUDIT_ACTIONS[action] || action
+
+export const getActorName = (actor) =>
+  actor ? `${actor.firstName || ""} ${actor.lastName || ""}`.trim() || actor.email : "System"
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "—"
+  if (typeof value === "object") return JSON.stringify(value)
+  return String(value)
+}
+
+// The fields an entry changed: [{ field, before, after }], values formatted for display
+export const getAuditChanges = ({ before, after }) => {
+  const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+  return fields
+    .filter((field) => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]))
+    .map((field) => ({ field, before: formatValue(before?.[field]), after: formatValue(after?.[field]) }))
+}
+
+// Spreadsheets run cells starting with these as formulas; entity labels and changed values
+// come from user input, so a leading quote keeps them as text
+const FORMULA_PREFIX = /^[=+\-@]/
+
+export const escapeSpreadsheetValue = (value) =>
+  typeof value === "string" && FORMULA_PREFIX.test(value) ? `'${value}` : value
+
+// One flat row per entry for the CSV and XLSX exports
+export const toAuditExportRow = (entry) => {
+  const row = {
+    Timestamp: new Date(entry.at).toISOString(),
+    Actor: getActorName(entry.actor),
+    "Actor Email": entry.actor?.email || "",
+    Action: getActionLabel(entry.action),
+    Entity: AUDIT_ENTITIES[entry.entityType] || entry.entityType,
+    "Entity ID": entry.entityId || "",
+    Target: entry.entityLabel || "",
+    Changes: getAuditChanges(entry)
+      .map((change) => `${change.field}: ${change.before} → ${change.after}`)
+      .join("; "),
+    IP: entry.ip || "",
+  }
+  return Object.fromEntries(Object.entries(row).map(([key, value]) => [key, escapeSpreadsheetValue(value)]))
+}
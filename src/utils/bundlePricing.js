@@ -0,0 +1,151 @@
+// Bundle pricing shared by the catalog and bundle checkout. Admins configure two kinds of bundles:
+//   fixed:  a curated set of courses sold together at its own price, with its own artwork
+//   tiered: a discount that grows with the number of courses a student picks, e.g. 2+ → 10%, 3+ → 15%,
+//           limited to a category or course type and skipping excluded courses
+// Both can be limited to a validity window. The server prices bundles with the same rules at
+// checkout, so nothing computed here is trusted - it only keeps what the buyer sees in step.
+
+import { roundCurrency } from "./cartPricing"
+
+export const BUNDLE_TYPES = {
+  FIXED: "fixed",
+  TIERED: "tiered",
+}
+
+export const RULE_SCOPES = [
+  { value: "all", label: "All courses" },
+  { value: "category", label: "One category" },
+  { value: "courseType", label: "One course type" },
+]
+
+export const COURSE_TYPES = ["Paid", "Free"]
+
+const getId = (value) => value?._id || value
+
+export const getCoursePrice = (course) => (course.courseType === "Free" ? 0 : Number(course.price) || 0)
+
+// enabled and inside its validity window; either end of the window may be open
+export const isRuleActive = (rule, now = new Date()) =>
+  rule.isActive !== false &&
+  (!rule.validFrom || new Date(rule.validFrom) <= now) &&
+  (!rule.validUntil || new Date(rule.validUntil) >= now)
+
+export const getRuleStatus = (rule, now = new Date()) => {
+  if (rule.isActive === false) return "Disabled"
+  if (rule.validFrom && new Date(rule.validFrom) > now) return "Scheduled"
+  if (rule.validUntil && new Date(rule.validUntil) < now) return "Expired"
+  return "Active"
+}
+
+const isExcluded = (rule, course) => (rule.excludedCourses || []).some((excluded) => getId(excluded) === course._id)
+
+export const isCourseEligible = (rule, course) => {
+  if (isExcluded(rule, course)) return false
+  if (rule.scope === "category") return getId(course.category) === getId(rule.category)
+  if (rule.scope === "courseType") return (course.courseType || "Paid") === rule.courseType
+  return true
+}
+
+// tiers sorted by size, largest first
+const sortTiers = (tiers = []) => [...tiers].sort((a, b) => b.minCourses - a.minCourses)
+
+export const getTier = (rule, count) => sortTiers(rule.tiers).find((tier) => count >= tier.minCourses) || null
+
+const buildQuote = (courses, discounts, extra) => {
+  const items = courses.map((course, index) => {
+    const price = getCoursePrice(course)
+    return { courseId: course._id, price, discount: discounts[index] }
+  })
+  const originalPrice = roundCurrency(items.reduce((sum, item) => sum + item.price, 0))
+  const discount = roundCurrency(Math.min(originalPrice, items.reduce((sum, item) => sum + item.discount, 0)))
+  return {
+    items,
+    originalPrice,
+    discount,
+    discountPercent: originalPrice ? Math.round((discount / originalPrice) * 100) : 0,
+    finalPrice: roundCurrency(originalPrice - discount),
+    rule: null,
+    tier: null,
+    bundle: null,
+    ...extra,
+  }
+}
+
+// Prices a tiered rule for the selected courses. Only eligible courses count towards a tier
+// and only they are discounted.
+export const priceWithRule = (courses, rule) => {
+  const eligible = courses.filter((course) => isCourseEligible(rule, course))
+  const tier = getTier(rule, eligible.length)
+  const discounts = courses.map((course) =>
+    tier && eligible.includes(course) ? roundCurrency((getCoursePrice(course) * tier.discountPercent) / 100) : 0
+  )
+  return buildQuote(courses, discounts, { rule, tier })
+}
+
+// Prices the student's own selection with whichever active tiered rule saves them the most
+export const priceBundle = (courses, rules = [], now = new Date()) => {
+  const quotes = rules
+    .filter((rule) => rule.type === BUNDLE_TYPES.TIERED && isRuleActive(rule, now))
+    .map((rule) => priceWithRule(courses, rule))
+    .filter((quote) => quote.tier)
+
+  if (!quotes.length) return buildQuote(courses, courses.map(() => 0))
+  return quotes.reduce((best, quote) => (quote.discount > best.discount ? quote : best))
+}
+
+// A curated bundle sells its courses at the bundle price; the saving is spread across the
+// paid courses in proportion to their prices so every line still adds up
+export const priceFixedBundle = (bundle) => {
+  const courses = bundle.courses || []
+  const originalPrice = courses.reduce((sum, course) => sum + getCoursePrice(course), 0)
+  const saving = Math.max(0, originalPrice - (Number(bundle.price) || 0))
+
+  const lastPaid = courses.reduce((last, course, index) => (getCoursePrice(course) > 0 ? index : last), -1)
+  let allocated = 0
+  const discounts = courses.map((course, index) => {
+    if (index === lastPaid) return roundCurrency(saving - allocated)
+    const share = originalPrice ? roundCurrency((saving * getCoursePrice(course)) / originalPrice) : 0
+    allocated += share
+    return share
+  })
+  return buildQuote(courses, discounts, { bundle })
+}
+
+// Active tiered rules that apply to a catalog category, used for the offer badges
+export const getRulesForCategory = (rules = [], categoryId, now = new Date()) =>
+  rules.filter(
+    (rule) =>
+      rule.type === BUNDLE_TYPES.TIERED &&
+      isRuleActive(rule, now) &&
+      (rule.scope !== "category" || getId(rule.category) === categoryId)
+  )
+
+export const getActiveFixedBundles = (rules = [], now = new Date()) =>
+  rules.filter((rule) => rule.type === BUNDLE_TYPES.FIXED && isRuleActive(rule, now))
+
+export const formatTier = (tier) => `${tier.minCourses}+ Courses: ${tier.discountPercent}% OFF`
+
+// Checks an admin form before it is sent; returns an error message or null
+export const validateBundleRule = (rule) => {
+  if (!rule.name?.trim()) return "Give the bundle a name"
+  if (rule.validFrom && rule.validUntil && new Date(rule.validFrom) > new Date(rule.validUntil)) {
+    return "The bundle must start before it ends"
+  }
+
+  if (rule.type === BUNDLE_TYPES.FIXED) {
+    if ((rule.courses || []).length < 2) return "A bundle needs at least two courses"
+    if (!(Number(rule.price) >= 0) || rule.price === "") return "Enter the bundle price"
+    return null
+  }
+
+  if (rule.scope === "category" && !rule.category) return "Choose a category"
+  if (!rule.tiers?.length) return "Add at least one discount tier"
+  const sizes = new Set()
+  for (const tier of rule.tiers) {
+    if (!(tier.minCourses >= 2)) return "Tiers start at two courses"
+    if (!(tier.discountPercent > 0 && tier.discountPercent < 100)) return "Tier discounts must be between 1% and 99%"
+    if (sizes.has(tier.minCourses)) return `There are two tiers for ${tier.minCourses}+ courses`
+    sizes.add(tier.minCourses)
+  }
+  return null
+}
@@ -0,0 +1,103 @@
+// Caption tracks of a lecture video: [{ _id, language, url }] once uploaded, { _id, language, file }
+// while waiting to be saved. SRT files are converted to WebVTT before upload because that is
+// the only format the browser's <track> element reads.
+
+export const CAPTION_LANGUAGES = [
+  { code: "en", label: "English" },
+  { code: "hi", label: "Hindi" },
+  { code: "bn", label: "Bengali" },
+  { code: "mr", label: "Marathi" },
+  { code: "ta", label: "Tamil" },
+  { code: "te", label: "Telugu" },
+  { code: "es", label: "Spanish" },
+  { code: "fr", label: "French" },
+  { code: "de", label: "German" },
+  { code: "pt", label: "Portuguese" },
+  { code: "ar", label: "Arabic" },
+  { code: "ja", label: "Japanese" },
+  { code: "zh", label: "Chinese" },
+]
+
+export const MAX_CAPTION_FILE_SIZE_MB = 2
+
+export const getLanguageLabel = (code) =>
+  CAPTION_LANGUAGES.find((language) => language.code === code)?.label || code
+
+const createId = () => `temp_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`
+
+// "00:01:02.500", "01:02,500" or "1:02.5" -> seconds
+const parseCueTime = (value) => {
+  const parts = value.trim().replace(",", ".").split(":")
+  return parts.reduce((total, part) => total * 60 + Number(part), 0)
+}
+
+const formatCueTime = (seconds) => {
+  const hours = Math.floor(seconds / 3600)
+  const minutes = Math.floor((seconds % 3600) / 60)
+  const secs = (seconds % 60).toFixed(3).padStart(6, "0")
+  return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}:${secs}`
+}
+
+// Cues of a WebVTT or SRT file: [{ start, end, text }] with markup stripped
+export const parseCaptions = (content = "") => {
+  const blocks = content.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").split(/\n{2,}/)
+  const cues = []
+  blocks.forEach((block) => {
+    const lines = block.split("\n")
+    const timingIndex = lines.findIndex((line) => line.includes("-->"))
+    if (timingIndex === -1) return
+    const [start, end] = lines[timingIndex].split("-->")
+    // cue settings such as "align:start" follow the end time
+    const text = lines
+      .slice(timingIndex + 1)
+      .join(" ")
+      .replace(/<[^>]+>/g, "")
+      .trim()
+    if (!text) return
+    cues.push({ start: parseCueTime(start), end: parseCueTime(end.trim().split(/\s+/)[0]), text })
+  })
+  return cues.sort((a, b) => a.start - b.start)
+}
+
+export const toWebVtt = (cues) =>
+  ["WEBVTT", ...cues.map((cue) => `${formatCueTime(cue.start)} --> ${formatCueTime(cue.end)}\n${cue.text}`)].join("\n\n")
+
+// Reason the file can't be used as captions, or null
+export const validateCaptionFile = (file) => {
+  if (!/\.(vtt|srt)$/i.test(file.name)) return `${file.name} is not a WebVTT (.vtt) or SRT (.srt) file`
+  if (file.size > MAX_CAPTION_FILE_SIZE_MB * 1024 * 1024) {
+    return `${file.name} is larger than ${MAX_CAPTION_FILE_SIZE_MB}MB`
+  }
+  return null
+}
+
+// Reads a caption file and returns it as a WebVTT file, null when it has no cues
+export const toWebVttFile = async (file) => {
+  const cues = parseCaptions(await file.text())
+  if (!cues.length) return null
+  const name = file.name.replace(/\.(vtt|srt)$/i, ".vtt")
+  return new File([toWebVtt(cues)], name, { type: "text/vtt" })
+}
+
+export const createCaption = (language, file) => ({ _id: createId(), language, file })
+
+// Reason the caption list can't be saved, or null
+export const validateCaptions = (captions = []) => {
+  const languages = captions.map((caption) => caption.language)
+  if (new Set(languages).size !== languages.length) return "Only one caption file per language"
+  return null
+}
+
+// Uploaded tracks are sent as JSON so removed ones can be dropped; new files go in the
+// same order as captionLanguages
+export const appendCaptions = (formData, captions = []) => {
+  const uploaded = captions.filter((caption) => !caption.file)
+  const pending = captions.filter((caption) => caption.file)
+  formData.append("captions", JSON.stringify(uploaded.map(({ _id, language }) => ({ _id, language }))))
+  formData.append("captionLanguages", JSON.stringify(pending.map((caption) => caption.language)))
+  pending.forEach((caption) => formData.append("captionFiles", caption.file))
+}
+
+// Cue playing at `time`
+export const getActiveCue = (cues = [], time = 0) =>
+  cues.find((cue) => time >= cue.start && time < cue.end) || null
@@ -0,0 +1,226 @@
+// Line-item pricing for the cart: coupons, GST and totals. The server recomputes the
+// same breakdown at checkout; this module keeps what the buyer sees in step with it.
+
+import { TAX_CONFIG } from "../config/environment"
+
+export const EXPORT_REGION = "INTL"
+
+// GST place of supply - Indian states and union territories, plus buyers abroad
+export const TAX_REGIONS = [
+  { code: "AN", name: "Andaman and Nicobar Islands" },
+  { code: "AP", name: "Andhra Pradesh" },
+  { code: "AR", name: "Arunachal Pradesh" },
+  { code: "AS", name: "Assam" },
+  { code: "BR", name: "Bihar" },
+  { code: "CH", name: "Chandigarh" },
+  { code: "CT", name: "Chhattisgarh" },
+  { code: "DN", name: "Dadra and Nagar Haveli and Daman and Diu" },
+  { code: "DL", name: "Delhi" },
+  { code: "GA", name: "Goa" },
+  { code: "GJ", name: "Gujarat" },
+  { code: "HR", name: "Haryana" },
+  { code: "HP", name: "Himachal Pradesh" },
+  { code: "JK", name: "Jammu and Kashmir" },
+  { code: "JH", name: "Jharkhand" },
+  { code: "KA", name: "Karnataka" },
+  { code: "KL", name: "Kerala" },
+  { code: "LA", name: "Ladakh" },
+  { code: "LD", name: "Lakshadweep" },
+  { code: "MP", name: "Madhya Pradesh" },
+  { code: "MH", name: "Maharashtra" },
+  { code: "MN", name: "Manipur" },
+  { code: "ML", name: "Meghalaya" },
+  { code: "MZ", name: "Mizoram" },
+  { code: "NL", name: "Nagaland" },
+  { code: "OR", name: "Odisha" },
+  { code: "PY", name: "Puducherry" },
+  { code: "PB", name: "Punjab" },
+  { code: "RJ", name: "Rajasthan" },
+  { code: "SK", name: "Sikkim" },
+  { code: "TN", name: "Tamil Nadu" },
+  { code: "TG", name: "Telangana" },
+  { code: "TR", name: "Tripura" },
+  { code: "UP", name: "Uttar Pradesh" },
+  { code: "UT", name: "Uttarakhand" },
+  { code: "WB", name: "West Bengal" },
+  { code: EXPORT_REGION, name: "Outside India" },
+]
+
+export const getRegionName = (code) =>
+  TAX_REGIONS.find((region) => region.code === code)?.name || code
+
+export const roundCurrency = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100
+
+export const formatCurrency = (amount) =>
+  `₹${roundCurrency(amount || 0).toLocaleString("en-IN", { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`
+
+// Tax components ({ name, rate }) charged to a buyer in the given region
+export const getTaxComponents = (region = TAX_CONFIG.DEFAULT_REGION) => {
+  if (region === EXPORT_REGION) return TAX_CONFIG.RULES.EXPORT
+  if (region === TAX_CONFIG.SELLER.STATE) return TAX_CONFIG.RULES.INTRA_STATE
+  return TAX_CONFIG.RULES.INTER_STATE
+}
+
+// Discount a coupon gives on an amount. Mirrors the server: percentage coupons may be
+// capped by maxDiscountAmount, flat coupons never exceed the amount.
+export const getCouponDiscount = (coupon, amount) => {
+  if (!coupon || amount <= 0) return 0
+
+  let discount =
+    coupon.discountType === "percentage"
+      ? (amount * Number(coupon.discountValue || 0)) / 100
+      : Number(coupon.discountValue || 0)
+
+  if (coupon.maxDiscountAmount) {
+    discount = Math.min(discount, Number(coupon.maxDiscountAmount))
+  }
+  return roundCurrency(Math.min(discount, amount))
+}
+
+// Keeps what pricing needs from a validateAndApplyCoupon response
+export const toCartCoupon = (code, data = {}) => ({
+  code: data.code || code,
+  discountType: data.discountType,
+  discountValue: data.discountValue,
+  maxDiscountAmount: data.maxDiscountAmount || null,
+  stackable: data.stackable ?? data.isStackable ?? false,
+})
+
+// Stacking rules: each course takes at most one coupon of its own, and a cart-wide
+// coupon only combines with course coupons when every coupon involved allows stacking.
+export const canStackCoupons = (orderCoupon, itemCoupons = []) =>
+  !orderCoupon ||
+  itemCoupons.length === 0 ||
+  (orderCoupon.stackable === true && itemCoupons.every((coupon) => coupon.stackable === true))
+
+// Splits an order-level discount across items in proportion to their amounts, putting
+// the rounding remainder on the last item so the parts always add up
+const allocateDiscount = (discount, amounts) => {
+  const base = amounts.reduce((sum, amount) => sum + amount, 0)
+  if (!discount || !base) return amounts.map(() => 0)
+
+  let allocated = 0
+  return amounts.map((amount, index) => {
+    if (index === amounts.length - 1) return roundCurrency(discount - allocated)
+    const share = roundCurrency((discount * amount) / base)
+    allocated += share
+    return share
+  })
+}
+
+// Adds an order-wide coupon discount to priced lines ({ price, discount }) before tax,
+// split the same way as the cart's order coupon
+export const applyOrderDiscount = (lines, discount) => {
+  const amounts = lines.map((line) => roundCurrency(line.price - line.discount))
+  const base = amounts.reduce((sum, amount) => sum + amount, 0)
+  const shares = allocateDiscount(Math.min(discount, base), amounts)
+  return lines.map((line, index) => ({
+    ...line,
+    orderDiscount: shares[index],
+    discount: roundCurrency(line.discount + shares[index]),
+  }))
+}
+
+const getTaxes = (amount, components) => {
+  if (TAX_CONFIG.PRICES_INCLUDE_TAX) {
+    const totalRate = components.reduce((sum, component) => sum + component.rate, 0)
+    const taxable = amount / (1 + totalRate / 100)
+    return {
+      taxableAmount: roundCurrency(taxable),
+      taxes: components.map(({ name, rate }) => ({ name, rate, amount: roundCurrency((taxable * rate) / 100) })),
+    }
+  }
+
+  return {
+    taxableAmount: roundCurrency(amount),
+    taxes: components.map(({ name, rate }) => ({ name, rate, amount: roundCurrency((amount * rate) / 100) })),
+  }
+}
+
+// Adds GST to priced lines ({ price, discount, ... }) for a buyer in the given region.
+// Returns the lines with their taxes and the order's tax breakdown and totals.
+export const applyTax = (lines, region = TAX_CONFIG.DEFAULT_REGION) => {
+  const components = getTaxComponents(region)
+
+  const items = lines.map((line) => {
+    const net = roundCurrency(line.price - line.discount)
+    const { taxableAmount, taxes } = getTaxes(net, components)
+    const tax = roundCurrency(taxes.reduce((sum, item) => sum + item.amount, 0))
+    return {
+      ...line,
+      taxableAmount,
+      taxes,
+      tax,
+      total: TAX_CONFIG.PRICES_INCLUDE_TAX ? net : roundCurrency(net + tax),
+    }
+  })
+
+  const sum = (field) => roundCurrency(items.reduce((total, item) => total + item[field], 0))
+
+  const taxBreakdown = components.map(({ name, rate }) => ({
+    name,
+    rate,
+    amount: roundCurrency(
+      items.reduce((total, item) => total + (item.taxes.find((entry) => entry.name === name)?.amount || 0), 0)
+    ),
+  }))
+
+  return {
+    items,
+    taxableAmount: sum("taxableAmount"),
+    taxBreakdown,
+    tax: sum("tax"),
+    total: sum("total"),
+  }
+}
+
+// Prices every course in the cart.
+// itemCoupons: { [courseId]: coupon } course-specific coupons, orderCoupon: cart-wide coupon,
+// region: tax region code from TAX_REGIONS
+export const priceCart = (cart, { itemCoupons = {}, orderCoupon = null, region = TAX_CONFIG.DEFAULT_REGION } = {}) => {
+  const appliedItemCoupons = cart.map((course) => itemCoupons[course._id]).filter(Boolean)
+  const orderCouponApplied = !!orderCoupon && canStackCoupons(orderCoupon, appliedItemCoupons)
+
+  const lines = cart.map((course) => {
+    const price = Number(course.price) || 0
+    const coupon = itemCoupons[course._id] || null
+    const itemDiscount = getCouponDiscount(coupon, price)
+    return { course, price, coupon, itemDiscount }
+  })
+
+  const afterItemCoupons = lines.map((line) => roundCurrency(line.price - line.itemDiscount))
+  const orderDiscount = orderCouponApplied
+    ? getCouponDiscount(orderCoupon, afterItemCoupons.reduce((sum, amount) => sum + amount, 0))
+    : 0
+  const orderShares = allocateDiscount(orderDiscount, afterItemCoupons)
+
+  const taxed = applyTax(
+    lines.map((line, index) => ({
+      courseId: line.course._id,
+      courseName: line.course.courseName,
+      originalPrice: Math.max(Number(line.course.originalPrice) || 0, line.price),
+      price: line.price,
+      couponCode: line.coupon?.code || null,
+      itemDiscount: line.itemDiscount,
+      orderDiscount: orderShares[index],
+      discount: roundCurrency(line.itemDiscount + orderShares[index]),
+    })),
+    region
+  )
+
+  const sum = (field) => roundCurrency(taxed.items.reduce((total, item) => total + item[field], 0))
+
+  return {
+    items: taxed.items,
+    subtotal: sum("price"),
+    originalTotal: sum("originalPrice"),
+    itemDiscount: sum("itemDiscount"),
+    orderDiscount: sum("orderDiscount"),
+    discount: sum("discount"),
+    taxableAmount: taxed.taxableAmount,
+    taxBreakdown: taxed.taxBreakdown,
+    tax: taxed.tax,
+    total: taxed.total,
+    orderCouponApplied,
+  }
+}
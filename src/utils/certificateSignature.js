@@ -0,0 +1,134 @@
+// Signed certificate payloads. The backend signs every certificate it issues and the
+// token travels in the certificate's QR code, so anyone holding the public key can check
+// a printed or downloaded certificate without our server.
+//
+// Token: base64url(JSON payload) + "." + base64url(signature), where the signature is
+// ECDSA P-256 / SHA-256 (raw r||s) over the encoded payload. Payload:
+//   { v: 1, kid, iss, cid, name, course, issuedAt, hash }
+// hash is the SHA-256 (hex) of the recipient's lowercased email, so the email can be
+// checked without being readable from the QR code.
+
+// Query parameter in the verify URL's fragment; fragments never reach the server
+export const SIGNED_PAYLOAD_PARAM = 'cert';
+
+export const SIGNATURE_STATUS = {
+  VALID: 'valid',
+  INVALID: 'invalid',
+  UNKNOWN_KEY: 'unknown_key',
+  WRONG_ISSUER: 'wrong_issuer',
+  MALFORMED: 'malformed',
+  UNSUPPORTED: 'unsupported',
+};
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+const URL_TOKEN_PATTERN = new RegExp(`[#&?]${SIGNED_PAYLOAD_PARAM}=([A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+)`);
+
+const base64UrlToBytes = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+const base64ToBytes = (value) => Uint8Array.from(atob(value.replace(/\s/g, '')), (char) => char.charCodeAt(0));
+
+// Accepts a bare token, a scanned verify URL or text containing either
+export const extractSignedPayload = (input) => {
+  const value = input?.trim();
+  if (!value) return null;
+  if (TOKEN_PATTERN.test(value)) return value;
+  return value.match(URL_TOKEN_PATTERN)?.[1] || null;
+};
+
+export const decodeSignedPayload = (token) => {
+  try {
+    const [encodedPayload, encodedSignature] = token.split('.');
+    const payload = JSON.parse(new TextDecoder().decode(base64UrlToBytes(encodedPayload)));
+    if (!payload?.cid || !payload?.kid) return null;
+    return { payload, encodedPayload, signature: base64UrlToBytes(encodedSignature) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// publicKeys: { keyId: base64 SPKI }. A genuine signature over another issuer's payload
+// is reported as WRONG_ISSUER.
+export const verifySignedPayload = async (token, publicKeys, issuer) => {
+  const decoded = decodeSignedPayload(token);
+  if (!decoded) {
+    return { status: SIGNATURE_STATUS.MALFORMED, payload: null };
+  }
+
+  const { payload, encodedPayload, signature } = decoded;
+  // crypto.subtle only exists on https pages and localhost
+  if (!window.crypto?.subtle) {
+    return { status: SIGNATURE_STATUS.UNSUPPORTED, payload };
+  }
+
+  const publicKey = publicKeys[payload.kid];
+  if (!publicKey) {
+    return { status: SIGNATURE_STATUS.UNKNOWN_KEY, payload };
+  }
+
+  try {
+    const key = await window.crypto.subtle.importKey(
+      'spki',
+      base64ToBytes(publicKey),
+      { name: 'ECDSA', namedCurve: 'P-256' },
+      false,
+      ['verify']
+    );
+    const valid = await window.crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      key,
+      signature,
+      new TextEncoder().encode(encodedPayload)
+    );
+    if (!valid) return { status: SIGNATURE_STATUS.INVALID, payload };
+    if (issuer && payload.iss !== issuer) return { status: SIGNATURE_STATUS.WRONG_ISSUER, payload };
+    return { status: SIGNATURE_STATUS.VALID, payload };
+  } catch (error) {
+    console.error('Certificate signature check failed:', error);
+    return { status: SIGNATURE_STATUS.INVALID, payload };
+  }
+};
+
+export const hashRecipientEmail = async (email) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(email.trim().toLowerCase()));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const inflate = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Finds the signed verify URL in a downloaded certificate. Printing to PDF keeps the link
+// around the QR code as a URI annotation, which may sit inside a compressed stream.
+export const extractSignedPayloadFromPdf = async (file) => {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const text = new TextDecoder('latin1').decode(bytes);
+
+  const direct = text.match(URL_TOKEN_PATTERN)?.[1];
+  if (direct || typeof DecompressionStream === 'undefined') return direct || null;
+
+  const streamPattern = /stream\r?\n/g;
+  let match;
+  while ((match = streamPattern.exec(text))) {
+    const start = match.index + match[0].length;
+    const end = text.indexOf('endstream', start);
+    if (end === -1) break;
+    // Trailing end-of-line bytes would make the inflater reject the stream
+    let dataEnd = end;
+    while (dataEnd > start && (bytes[dataEnd - 1] === 0x0a || bytes[dataEnd - 1] === 0x0d)) dataEnd--;
+
+    try {
+      const inflated = new TextDecoder('latin1').decode(await inflate(bytes.subarray(start, dataEnd)));
+      const token = inflated.match(URL_TOKEN_PATTERN)?.[1];
+      if (token) return token;
+    } catch (error) {
+      // Not a deflate stream (images, fonts with other filters)
+    }
+    streamPattern.lastIndex = end + 'endstream'.length;
+  }
+  return null;
+};
@@ -0,0 +1,172 @@
+// Certificate templates designed by admins. A layout is a list of positioned elements on
+// an A4 landscape canvas; text elements may contain {{placeholders}} filled in per
+// certificate. Saved versions never change, so a certificate always renders with the
+// version that was active when it was issued.
+
+import { toast } from 'react-hot-toast';
+import { formatDate } from './dateFormatter';
+import { SIGNED_PAYLOAD_PARAM } from './certificateSignature';
+import { beejaLogo, founderSign, isoLogo, msmeLogo } from '../assets/Images/certification img';
+
+// A4 landscape in points; element positions and sizes use these units
+export const CERTIFICATE_SIZE = { width: 842, height: 595 };
+
+export const CERTIFICATE_PLACEHOLDERS = [
+  { key: 'studentName', label: 'Student name', sample: 'Aarav Sharma' },
+  { key: 'courseName', label: 'Course name', sample: 'Full Stack Web Development' },
+  { key: 'completionDate', label: 'Completion date', sample: new Date().toISOString() },
+  { key: 'certificateId', label: 'Certificate ID', sample: 'BEEJA-175035933086-165' },
+  { key: 'email', label: 'Student email', sample: 'aarav@example.com' },
+];
+
+export const SAMPLE_CERTIFICATE_DATA = Object.fromEntries(
+  CERTIFICATE_PLACEHOLDERS.map(({ key, sample }) => [key, sample])
+);
+
+// Bundled images are referenced by key: their build URLs change between deployments
+export const CERTIFICATE_ASSETS = {
+  beejaLogo: { label: 'Beeja logo', src: beejaLogo },
+  isoLogo: { label: 'ISO logo', src: isoLogo },
+  msmeLogo: { label: 'MSME logo', src: msmeLogo },
+  founderSign: { label: 'Founder signature', src: founderSign },
+};
+
+// Uploaded logos and signatures are embedded in the layout as data URLs
+export const MAX_TEMPLATE_IMAGE_SIZE = 300 * 1024;
+
+// Reads an uploaded image as a data URL so it is stored with the template version
+export const readTemplateImage = (file, onLoad) => {
+  if (!file) return;
+  if (!file.type.startsWith('image/')) {
+    toast.error('Please choose an image file');
+    return;
+  }
+  if (file.size > MAX_TEMPLATE_IMAGE_SIZE) {
+    toast.error(`Images must be under ${Math.round(MAX_TEMPLATE_IMAGE_SIZE / 1024)} KB`);
+    return;
+  }
+  const reader = new FileReader();
+  reader.onload = () => onLoad(reader.result);
+  reader.readAsDataURL(file);
+};
+
+export const FONT_FAMILIES = [
+  { value: 'serif', label: 'Serif' },
+  { value: 'sans-serif', label: 'Sans serif' },
+  { value: 'cursive', label: 'Script' },
+  { value: 'monospace', label: 'Monospace' },
+];
+
+// Course types a template can be assigned to (Course.courseType)
+export const TEMPLATE_COURSE_TYPES = ['Paid', 'Free'];
+
+const TEXT_DEFAULTS = {
+  type: 'text',
+  fontSize: 16,
+  fontFamily: 'serif',
+  fontWeight: 'normal',
+  fontStyle: 'normal',
+  color: '#1f2937',
+  align: 'center',
+};
+
+// Elements offered by the designer's palette
+export const ELEMENT_PRESETS = {
+  studentName: {
+    label: 'Student name',
+    element: { ...TEXT_DEFAULTS, text: '{{studentName}}', fontSize: 32, fontWeight: 'bold', width: 500, height: 44 },
+  },
+  courseName: {
+    label: 'Course name',
+    element: { ...TEXT_DEFAULTS, text: '{{courseName}}', fontSize: 20, fontWeight: 'bold', width: 500, height: 30 },
+  },
+  completionDate: {
+    label: 'Completion date',
+    element: { ...TEXT_DEFAULTS, text: '{{completionDate}}', fontSize: 14, width: 180, height: 22 },
+  },
+  certificateId: {
+    label: 'Certificate ID',
+    element: { ...TEXT_DEFAULTS, text: 'Certificate ID: {{certificateId}}', fontSize: 10, fontFamily: 'sans-serif', color: '#4b5563', width: 260, height: 16 },
+  },
+  text: {
+    label: 'Text',
+    element: { ...TEXT_DEFAULTS, text: 'Certificate of Completion', fontSize: 24, width: 400, height: 34 },
+  },
+  qr: {
+    label: 'QR code',
+    element: { type: 'qr', width: 80, height: 80 },
+  },
+  signature: {
+    label: 'Signature',
+    element: { type: 'image', asset: 'founderSign', caption: 'Founder', width: 150, height: 60 },
+  },
+  logo: {
+    label: 'Logo',
+    element: { type: 'image', asset: 'beejaLogo', width: 120, height: 60 },
+  },
+  line: {
+    label: 'Line',
+    element: { type: 'line', color: '#9ca3af', width: 220, height: 2 },
+  },
+};
+
+export const createElementId = () => `el_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+export const createTemplateElement = (presetKey) => {
+  const { element } = ELEMENT_PRESETS[presetKey];
+  return {
+    ...element,
+    id: createElementId(),
+    x: Math.round((CERTIFICATE_SIZE.width - element.width) / 2),
+    y: Math.round((CERTIFICATE_SIZE.height - element.height) / 2),
+  };
+};
+
+// Keeps an element inside the canvas
+export const clampElement = (element) => {
+  const width = Math.min(Math.max(element.width, 8), CERTIFICATE_SIZE.width);
+  const height = Math.min(Math.max(element.height, 2), CERTIFICATE_SIZE.height);
+  return {
+    ...element,
+    width,
+    height,
+    x: Math.round(Math.min(Math.max(element.x, 0), CERTIFICATE_SIZE.width - width)),
+    y: Math.round(Math.min(Math.max(element.y, 0), CERTIFICATE_SIZE.height - height)),
+  };
+};
+
+export const fillPlaceholders = (text = '', data = {}) =>
+  text.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+    if (key === 'completionDate') return data.completionDate ? formatDate(data.completionDate) : '';
+    return data[key] ?? '';
+  });
+
+export const resolveImageSrc = (element) =>
+  element.asset ? CERTIFICATE_ASSETS[element.asset]?.src : element.src;
+
+// The signed payload rides in the fragment so the page can verify it offline
+export const getCertificateVerifyUrl = (certificateId, signedPayload) =>
+  `${window.location.origin}/verify-certificate/${certificateId}${signedPayload ? `#${SIGNED_PAYLOAD_PARAM}=${signedPayload}` : ''}`;
+
+// Starting point for new templates, close to the built-in certificate
+export const DEFAULT_TEMPLATE_LAYOUT = {
+  background: { color: '#ffffff' },
+  border: { color: '#1d4ed8', width: 10, inset: 14 },
+  elements: [
+    { ...ELEMENT_PRESETS.logo.element, id: 'logo', x: 40, y: 40, width: 110, height: 55 },
+    { ...ELEMENT_PRESETS.certificateId.element, id: 'certificateId', x: 542, y: 44, width: 260, height: 16, align: 'right' },
+    { ...TEXT_DEFAULTS, id: 'title', text: 'Certificate of Completion', fontSize: 34, fontWeight: 'bold', color: '#1d4ed8', x: 121, y: 120, width: 600, height: 46 },
+    { ...TEXT_DEFAULTS, id: 'intro', text: 'This is to certify that', fontSize: 16, fontStyle: 'italic', x: 271, y: 190, width: 300, height: 24 },
+    { ...ELEMENT_PRESETS.studentName.element, id: 'studentName', x: 171, y: 222, width: 500, height: 44 },
+    { ...ELEMENT_PRESETS.line.element, id: 'nameLine', x: 221, y: 270, width: 400, height: 2 },
+    { ...TEXT_DEFAULTS, id: 'completed', text: 'has successfully completed the course', fontSize: 16, fontStyle: 'italic', x: 221, y: 290, width: 400, height: 24 },
+    { ...ELEMENT_PRESETS.courseName.element, id: 'courseName', x: 121, y: 322, width: 600, height: 30 },
+    { ...ELEMENT_PRESETS.signature.element, id: 'signature', caption: '', x: 80, y: 440, width: 150, height: 60 },
+    { ...ELEMENT_PRESETS.line.element, id: 'signatureLine', x: 70, y: 504, width: 170, height: 2 },
+    { ...TEXT_DEFAULTS, id: 'signatureLabel', text: 'Founder', fontSize: 12, fontFamily: 'sans-serif', x: 70, y: 510, width: 170, height: 18 },
+    { ...ELEMENT_PRESETS.qr.element, id: 'qr', x: 381, y: 440, width: 80, height: 80 },
+    { ...ELEMENT_PRESETS.completionDate.element, id: 'date', x: 612, y: 480, width: 170, height: 22 },
+    { ...ELEMENT_PRESETS.line.element, id: 'dateLine', x: 612, y: 504, width: 170, height: 2 },
+    { ...TEXT_DEFAULTS, id: 'dateLabel', text: 'Date of Completion', fontSize: 12, fontFamily: 'sans-serif', x: 612, y: 510, width: 170, height: 18 },
+  ],
+};
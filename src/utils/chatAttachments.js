@@ -0,0 +1,140 @@
+// Message types, upload limits and display helpers for chat attachments
+
+export const CHAT_MESSAGE_TYPES = {
+  TEXT: "text",
+  IMAGE: "image",
+  FILE: "file",
+  CODE: "code",
+  VOICE: "voice",
+}
+
+const MB = 1024 * 1024
+
+export const CHAT_ATTACHMENT_LIMITS = {
+  [CHAT_MESSAGE_TYPES.IMAGE]: 10 * MB,
+  [CHAT_MESSAGE_TYPES.FILE]: 20 * MB,
+  [CHAT_MESSAGE_TYPES.VOICE]: 10 * MB,
+}
+
+export const MAX_CODE_SNIPPET_LENGTH = 20000
+export const MAX_VOICE_NOTE_SECONDS = 300
+
+// Documents students typically share with instructors; kept in sync with the server
+export const ALLOWED_FILE_TYPES = {
+  "application/pdf": "PDF",
+  "application/msword": "Word",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": "Word",
+  "application/vnd.ms-powerpoint": "PowerPoint",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation": "PowerPoint",
+  "application/vnd.ms-excel": "Excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": "Excel",
+  "application/zip": "ZIP",
+  "application/x-zip-compressed": "ZIP",
+  "text/plain": "Text",
+  "text/csv": "CSV",
+  "application/json": "JSON",
+}
+
+export const FILE_INPUT_ACCEPT = [
+  ...Object.keys(ALLOWED_FILE_TYPES),
+  ".pdf,.doc,.docx,.ppt,.pptx,.xls,.xlsx,.zip,.txt,.csv,.json",
+].join(",")
+
+// Same languages CodeEditor offers
+export const CODE_LANGUAGES = [
+  { value: "javascript", label: "JavaScript" },
+  { value: "python", label: "Python" },
+  { value: "java", label: "Java" },
+  { value: "cpp", label: "C++" },
+  { value: "c", label: "C" },
+  { value: "go", label: "Go" },
+  { value: "rust", label: "Rust" },
+  { value: "ruby", label: "Ruby" },
+  { value: "csharp", label: "C#" },
+  { value: "kotlin", label: "Kotlin" },
+  { value: "typescript", label: "TypeScript" },
+  { value: "sql", label: "SQL" },
+]
+
+export const getLanguageLabel = (language) =>
+  CODE_LANGUAGES.find((item) => item.value === language)?.label || language || "Code"
+
+// Returns an error message, or null when the file can be sent as the given type
+export const validateChatAttachment = (file, messageType) => {
+  if (!file) return "No file selected"
+
+  const limit = CHAT_ATTACHMENT_LIMITS[messageType]
+  if (limit && file.size > limit) {
+    return `File size should be less than ${formatFileSize(limit)}`
+  }
+
+  switch (messageType) {
+    case CHAT_MESSAGE_TYPES.IMAGE:
+      return file.type.startsWith("image/") ? null : "Please select a valid image file"
+    case CHAT_MESSAGE_TYPES.VOICE:
+      return file.type.startsWith("audio/") ? null : "Voice notes must be audio recordings"
+    case CHAT_MESSAGE_TYPES.FILE:
+      return ALLOWED_FILE_TYPES[file.type]
+        ? null
+        : "This file type is not supported. Share PDFs, Office documents, text files or ZIP archives"
+    default:
+      return null
+  }
+}
+
+export const validateCodeSnippet = (code) => {
+  if (!code?.trim()) return "Code snippet is empty"
+  if (code.length > MAX_CODE_SNIPPET_LENGTH) {
+    return `Code snippets are limited to ${MAX_CODE_SNIPPET_LENGTH.toLocaleString()} characters`
+  }
+  return null
+}
+
+export const formatFileSize = (bytes = 0) => {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < MB) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / MB).toFixed(1)} MB`
+}
+
+export const formatDuration = (seconds = 0) => {
+  const total = Math.round(seconds)
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`
+}
+
+export const getFileLabel = (mimeType) => ALLOWED_FILE_TYPES[mimeType] || "File"
+
+export const isPreviewableFile = (mimeType) =>
+  mimeType === "application/pdf" || mimeType?.startsWith("image/")
+
+// Content sent with an attachment when the user typed no caption; not shown as text
+export const getDefaultCaption = (messageType, fileName) => {
+  switch (messageType) {
+    case CHAT_MESSAGE_TYPES.IMAGE:
+      return "Image"
+    case CHAT_MESSAGE_TYPES.FILE:
+      return fileName || "File"
+    case CHAT_MESSAGE_TYPES.VOICE:
+      return "Voice note"
+    default:
+      return ""
+  }
+}
+
+// One-line summary used in chat lists
+export const getMessagePreviewText = (message) => {
+  if (!message) return ""
+  if (message.isHidden) return "Message hidden by a moderator"
+
+  switch (message.messageType) {
+    case CHAT_MESSAGE_TYPES.IMAGE:
+      return "📷 Image"
+    case CHAT_MESSAGE_TYPES.FILE:
+      return `📎 ${message.fileName || "File"}`
+    case CHAT_MESSAGE_TYPES.CODE:
+      return `💻 ${getLanguageLabel(message.language)} snippet`
+    case CHAT_MESSAGE_TYPES.VOICE:
+      return `🎤 Voice note${message.duration ? ` (${formatDuration(message.duration)})` : ""}`
+    default:
+      return message.content
+  }
+}
@@ -0,0 +1,92 @@
+// Output comparison and partial-credit grading for codeSolve questions
+
+export const COMPARISON_MODES = {
+  EXACT: "exact",
+  TRIM: "trim",
+  REGEX: "regex",
+  FLOAT: "float",
+}
+
+export const COMPARISON_MODE_LABELS = {
+  [COMPARISON_MODES.EXACT]: "Exact match",
+  [COMPARISON_MODES.TRIM]: "Ignore surrounding whitespace",
+  [COMPARISON_MODES.REGEX]: "Regular expression",
+  [COMPARISON_MODES.FLOAT]: "Numbers within tolerance",
+}
+
+export const DEFAULT_FLOAT_TOLERANCE = 1e-6
+
+// Fields every test case gets; older quizzes only stored input/expectedOutput/isHidden
+export const createTestCase = (testCase = {}) => ({
+  input: "",
+  expectedOutput: "",
+  isHidden: false,
+  comparisonMode: COMPARISON_MODES.TRIM,
+  tolerance: DEFAULT_FLOAT_TOLERANCE,
+  points: 1,
+  timeLimit: 5, // seconds
+  ...testCase,
+})
+
+const normalizeLineEndings = (text) => (text || "").replace(/\r\n/g, "\n")
+
+const trimLines = (text) =>
+  normalizeLineEndings(text)
+    .split("\n")
+    .map((line) => line.trimEnd())
+    .join("\n")
+    .trim()
+
+const isNumeric = (token) => token !== "" && !isNaN(Number(token))
+
+// Token-wise comparison where numeric tokens may differ by a relative/absolute tolerance
+const compareFloats = (actual, expected, tolerance) => {
+  const actualTokens = trimLines(actual).split(/\s+/)
+  const expectedTokens = trimLines(expected).split(/\s+/)
+  if (actualTokens.length !== expectedTokens.length) return false
+
+  return expectedTokens.every((expectedToken, index) => {
+    const actualToken = actualTokens[index]
+    if (isNumeric(expectedToken) && isNumeric(actualToken)) {
+      const a = Number(actualToken)
+      const b = Number(expectedToken)
+      return Math.abs(a - b) <= tolerance * Math.max(1, Math.abs(b))
+    }
+    return actualToken === expectedToken
+  })
+}
+
+// Check whether a regex pattern entered by an admin compiles
+export const isValidPattern = (pattern) => {
+  try {
+    new RegExp(pattern)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+export const compareOutput = (actual, expected, mode = COMPARISON_MODES.TRIM, tolerance = DEFAULT_FLOAT_TOLERANCE) => {
+  switch (mode) {
+    case COMPARISON_MODES.EXACT:
+      return normalizeLineEndings(actual) === normalizeLineEndings(expected)
+    case COMPARISON_MODES.REGEX:
+      // The pattern must match the whole (trimmed) output
+      return isValidPattern(expected) && new RegExp(`^(?:${expected})$`).test(trimLines(actual))
+    case COMPARISON_MODES.FLOAT:
+      return compareFloats(
+        actual,
+        expected,
+        Number.isFinite(Number(tolerance)) ? Number(tolerance) : DEFAULT_FLOAT_TOLERANCE
+      )
+    case COMPARISON_MODES.TRIM:
+    default:
+      return trimLines(actual) === trimLines(expected)
+  }
+}
+
+// Scale the test-case points earned to the question's marks
+export const getPartialCredit = (earnedPoints, totalPoints, marks) => {
+  if (!totalPoints) return 0
+  return Math.round((earnedPoints / totalPoints) * marks * 100) / 100
+}
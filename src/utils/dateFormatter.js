@@ -41,3 +41,21 @@ export const getRelativeTime = (dateString) => {
   
   return `${Math.floor(diffInDays / 365)} years ago`
 }
+
+// yyyy-mm-dd in local time, as <input type="date"> expects
+export const toDateInputValue = (dateString) => {
+  if (!dateString) return ''
+
+  const date = new Date(dateString)
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset())
+  return date.toISOString().slice(0, 10)
+}
+
+// yyyy-mm-ddThh:mm in local time, as <input type="datetime-local"> expects
+export const toDateTimeInputValue = (dateString) => {
+  if (!dateString) return ''
+
+  const date = new Date(dateString)
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset())
+  return date.toISOString().slice(0, 16)
+}
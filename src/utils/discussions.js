@@ -0,0 +1,90 @@
+// Lecture discussions: threads with replies, both "posts" that can be upvoted, reported and hidden.
+//   author:   { _id, firstName, lastName, image, accountType }
+//   mentions: users named in the body as "@First Last", sent as ids and returned populated
+// Moderation mirrors chat moderation: posts carry isFlagged/flagReason and isHidden/hiddenReason.
+
+import { ACCOUNT_TYPE } from "./constants"
+
+export const POST_TYPES = {
+  THREAD: "thread",
+  REPLY: "reply",
+}
+
+export const THREAD_SORTS = [
+  { value: "top", label: "Top" },
+  { value: "newest", label: "Newest" },
+  { value: "unanswered", label: "Unanswered" },
+]
+
+export const getFullName = (user) => `${user?.firstName || ""} ${user?.lastName || ""}`.trim()
+
+const getId = (value) => value?._id || value
+
+export const isCourseInstructor = (user, course) =>
+  Boolean(user && course?.instructor) && getId(user) === getId(course.instructor)
+
+// the course instructor and admins can hide posts and see hidden content
+export const canModerate = (user, course) =>
+  user?.accountType === ACCOUNT_TYPE.ADMIN || isCourseInstructor(user, course)
+
+// the thread author and the course instructor can mark a reply as the accepted answer
+export const canAcceptAnswer = (user, thread, course) =>
+  Boolean(user) && (getId(thread.author) === getId(user) || isCourseInstructor(user, course))
+
+export const isAnswered = (thread) => Boolean(thread.acceptedAnswer || thread.isInstructorAnswered)
+
+export const sortThreads = (threads, sort) => {
+  const newestFirst = (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
+  if (sort === "unanswered") return threads.filter((thread) => !isAnswered(thread)).sort(newestFirst)
+  if (sort === "newest") return [...threads].sort(newestFirst)
+  return [...threads].sort((a, b) => b.upvotes - a.upvotes || newestFirst(a, b))
+}
+
+// accepted answer first, then instructor replies, then the rest in the order they were posted
+export const sortReplies = (replies, thread, course) => {
+  const rank = (reply) => {
+    if (getId(thread.acceptedAnswer) === reply._id) return 0
+    if (isCourseInstructor(reply.author, course)) return 1
+    return 2
+  }
+  return [...replies].sort((a, b) => rank(a) - rank(b) || new Date(a.createdAt) - new Date(b.createdAt))
+}
+
+// People who can be @mentioned: the instructor and everyone taking part in the thread
+export const getMentionCandidates = (course, posts = [], currentUser) => {
+  const people = [course?.instructor, ...posts.map((post) => post.author)]
+  const seen = new Set([getId(currentUser)])
+  return people.filter((person) => {
+    if (!person?._id || seen.has(person._id)) return false
+    seen.add(person._id)
+    return true
+  })
+}
+
+// "@jo" being typed just before the caret, or null
+export const getMentionQuery = (text, caret) => {
+  const match = text.slice(0, caret).match(/(^|\s)@([\w]*(?: [\w]*)?)$/)
+  return match ? match[2] : null
+}
+
+// replaces the "@jo" being typed with the full "@John Doe "
+export const insertMention = (text, caret, user) => {
+  const before = text.slice(0, caret).replace(/@[\w]*(?: [\w]*)?$/, `@${getFullName(user)} `)
+  return { text: before + text.slice(caret), caret: before.length }
+}
+
+export const extractMentions = (body, candidates) =>
+  candidates.filter((person) => body.includes(`@${getFullName(person)}`)).map((person) => person._id)
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// body split into text and mention parts for rendering: [{ text, mention }]
+export const splitMentions = (body = "", mentions = []) => {
+  const names = mentions.map((person) => `@${getFullName(person)}`).filter((name) => name.length > 1)
+  if (!names.length) return [{ text: body, mention: false }]
+  const pattern = new RegExp(`(${names.map(escapeRegExp).join("|")})`, "g")
+  return body
+    .split(pattern)
+    .filter(Boolean)
+    .map((text) => ({ text, mention: names.includes(text) }))
+}
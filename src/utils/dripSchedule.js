@@ -0,0 +1,63 @@
+// Drip release of course sections. A section's drip setting is one of
+//   { type: "none" }                      available as soon as the student is enrolled
+//   { type: "days", days }                unlocks `days` after the student's start
+//   { type: "date", date }                unlocks on a fixed calendar date
+// A student's start is their cohort's start date, or their enrollment date when the
+// course has no cohorts. `enrollment` comes with the full course details:
+//   { enrolledAt, cohort: { _id, name, startDate } | null }
+
+import { formatDate } from "./dateFormatter"
+
+export const DRIP_TYPES = {
+  NONE: "none",
+  DAYS: "days",
+  DATE: "date",
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const getDripStart = (enrollment) =>
+  enrollment?.cohort?.startDate || enrollment?.enrolledAt || null
+
+// Date the section unlocks for this student, or null when it is not drip-released
+export const getSectionReleaseDate = (section, enrollment) => {
+  const drip = section?.drip
+  if (drip?.type === DRIP_TYPES.DATE && drip.date) {
+    return new Date(drip.date)
+  }
+  if (drip?.type === DRIP_TYPES.DAYS) {
+    const start = getDripStart(enrollment)
+    return start ? new Date(new Date(start).getTime() + (drip.days || 0) * DAY_MS) : null
+  }
+  return null
+}
+
+export const isSectionReleased = (section, enrollment, now = Date.now()) => {
+  const releaseDate = getSectionReleaseDate(section, enrollment)
+  return !releaseDate || releaseDate.getTime() <= now
+}
+
+// "3d 4h", "5h 20m", "12m"
+export const formatCountdown = (ms) => {
+  const minutes = Math.max(Math.ceil(ms / 60000), 1)
+  const days = Math.floor(minutes / 1440)
+  const hours = Math.floor((minutes % 1440) / 60)
+  const mins = minutes % 60
+
+  if (days > 0) return `${days}d ${hours}h`
+  if (hours > 0) return `${hours}h ${mins}m`
+  return `${mins}m`
+}
+
+// Summary shown in the course builder
+export const describeDrip = (drip) => {
+  if (drip?.type === DRIP_TYPES.DAYS) {
+    return drip.days
+      ? `Unlocks ${drip.days} day${drip.days > 1 ? "s" : ""} after start`
+      : "Unlocks at start"
+  }
+  if (drip?.type === DRIP_TYPES.DATE && drip.date) {
+    return `Unlocks on ${formatDate(drip.date)}`
+  }
+  return null
+}
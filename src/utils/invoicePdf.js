@@ -0,0 +1,229 @@
+// GST invoices and refund credit notes for purchases, generated client-side with jspdf
+
+import jsPDF from "jspdf"
+import autoTable from "jspdf-autotable"
+
+import { TAX_CONFIG } from "../config/environment"
+import { getRegionName, roundCurrency } from "./cartPricing"
+
+// jspdf's built-in fonts have no rupee glyph
+const formatAmount = (amount) =>
+  `Rs. ${roundCurrency(amount || 0).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+// Purchases priced before line-item checkout only have the amount paid
+const getPurchaseLine = (purchase) => {
+  const pricing = purchase.pricing || {}
+  const price = pricing.price ?? purchase.price ?? 0
+  const discount = pricing.discount || 0
+  const taxes = pricing.taxes || []
+
+  return {
+    courseName: purchase.courseName,
+    price,
+    couponCode: pricing.couponCode || null,
+    discount,
+    taxableAmount: pricing.taxableAmount ?? roundCurrency(price - discount),
+    taxes,
+    total: pricing.total ?? roundCurrency(price - discount + taxes.reduce((sum, tax) => sum + tax.amount, 0)),
+  }
+}
+
+// Purchase history lists one entry per course; an order groups the courses bought together
+export const groupPurchasesIntoOrders = (purchases) => {
+  const orders = new Map()
+
+  purchases.forEach((purchase) => {
+    const orderId = purchase.orderId || purchase._id
+    if (!orders.has(orderId)) {
+      orders.set(orderId, {
+        orderId,
+        invoiceNumber: purchase.invoiceNumber || `INV-${String(orderId).slice(-8).toUpperCase()}`,
+        purchaseDate: purchase.purchaseDate,
+        taxRegion: purchase.taxRegion || null,
+        status: purchase.status,
+        purchases: [],
+      })
+    }
+    orders.get(orderId).purchases.push(purchase)
+  })
+
+  return [...orders.values()].map((order) => {
+    const items = order.purchases.map(getPurchaseLine)
+    const taxNames = [...new Set(items.flatMap((item) => item.taxes.map((tax) => `${tax.name}|${tax.rate}`)))]
+    const taxBreakdown = taxNames.map((key) => {
+      const [name, rate] = key.split("|")
+      return {
+        name,
+        rate: Number(rate),
+        amount: roundCurrency(
+          items.reduce((sum, item) => sum + (item.taxes.find((tax) => tax.name === name)?.amount || 0), 0)
+        ),
+      }
+    })
+    const sum = (field) => roundCurrency(items.reduce((total, item) => total + item[field], 0))
+
+    return {
+      ...order,
+      items,
+      taxBreakdown,
+      subtotal: sum("price"),
+      discount: sum("discount"),
+      taxableAmount: sum("taxableAmount"),
+      total: sum("total"),
+    }
+  })
+}
+
+export const downloadInvoicePdf = (order, user) => {
+  const doc = new jsPDF("portrait", "mm", "a4")
+  const pageWidth = doc.internal.pageSize.getWidth()
+  const { SELLER } = TAX_CONFIG
+
+  // Header
+  doc.setFontSize(18)
+  doc.text("TAX INVOICE", pageWidth - 14, 18, { align: "right" })
+  doc.setFontSize(14)
+  doc.text(SELLER.NAME, 14, 18)
+  doc.setFontSize(9)
+  doc.text(doc.splitTextToSize(SELLER.ADDRESS, 90), 14, 24)
+  if (SELLER.GSTIN) {
+    doc.text(`GSTIN: ${SELLER.GSTIN}`, 14, 34)
+  }
+
+  doc.text(`Invoice No: ${order.invoiceNumber}`, pageWidth - 14, 26, { align: "right" })
+  doc.text(`Order ID: ${order.orderId}`, pageWidth - 14, 31, { align: "right" })
+  doc.text(`Date: ${new Date(order.purchaseDate).toLocaleDateString("en-IN")}`, pageWidth - 14, 36, { align: "right" })
+
+  // Buyer
+  doc.setFontSize(10)
+  doc.text("Bill To:", 14, 46)
+  doc.setFontSize(9)
+  doc.text(`${user?.firstName || ""} ${user?.lastName || ""}`.trim(), 14, 51)
+  if (user?.email) doc.text(user.email, 14, 56)
+  if (order.taxRegion) {
+    doc.text(`Place of supply: ${getRegionName(order.taxRegion)}`, 14, 61)
+  }
+
+  // Line items, one column per tax component
+  const taxColumns = order.taxBreakdown.map((tax) => `${tax.name} (${tax.rate}%)`)
+  autoTable(doc, {
+    startY: 68,
+    head: [["#", "Course", "Price", "Discount", "Taxable", ...taxColumns, "Total"]],
+    body: order.items.map((item, index) => [
+      index + 1,
+      item.couponCode ? `${item.courseName}\nCoupon: ${item.couponCode}` : item.courseName,
+      formatAmount(item.price),
+      item.discount ? `-${formatAmount(item.discount)}` : "-",
+      formatAmount(item.taxableAmount),
+      ...order.taxBreakdown.map((tax) => formatAmount(item.taxes.find((entry) => entry.name === tax.name)?.amount)),
+      formatAmount(item.total),
+    ]),
+    theme: "grid",
+    styles: { fontSize: 8, cellPadding: 2, valign: "middle" },
+    headStyles: { fillColor: [33, 37, 41], textColor: [255, 255, 255], fontStyle: "bold" },
+    columnStyles: { 0: { cellWidth: 8 }, 1: { cellWidth: 60 } },
+    margin: { left: 14, right: 14 },
+  })
+
+  // Totals
+  const totals = [
+    ["Subtotal", formatAmount(order.subtotal)],
+    ["Discount", order.discount ? `-${formatAmount(order.discount)}` : formatAmount(0)],
+    ["Taxable amount", formatAmount(order.taxableAmount)],
+    ...order.taxBreakdown.map((tax) => [`${tax.name} (${tax.rate}%)`, formatAmount(tax.amount)]),
+    ["Total", formatAmount(order.total)],
+  ]
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 6,
+    body: totals,
+    theme: "plain",
+    styles: { fontSize: 9, cellPadding: 1.5 },
+    columnStyles: { 0: { halign: "right" }, 1: { halign: "right", cellWidth: 35 } },
+    margin: { left: pageWidth / 2, right: 14 },
+    didParseCell: (data) => {
+      if (data.row.index === totals.length - 1) {
+        data.cell.styles.fontStyle = "bold"
+      }
+    },
+  })
+
+  if (order.taxBreakdown.length === 0) {
+    doc.setFontSize(8)
+    doc.text("No GST charged.", 14, doc.lastAutoTable.finalY + 8)
+  }
+
+  doc.setFontSize(8)
+  doc.text(
+    `This is a computer generated invoice. ${SELLER.NAME} © ${new Date().getFullYear()}`,
+    pageWidth / 2,
+    doc.internal.pageSize.getHeight() - 10,
+    { align: "center" }
+  )
+
+  doc.save(`${order.invoiceNumber}.pdf`)
+}
+
+// A credit note reverses part or all of an invoice; its taxes are reversed in proportion
+// to the refund (see utils/refunds for the shape)
+export const downloadCreditNotePdf = (creditNote, user) => {
+  const doc = new jsPDF("portrait", "mm", "a4")
+  const pageWidth = doc.internal.pageSize.getWidth()
+  const { SELLER } = TAX_CONFIG
+  const taxes = creditNote.taxes || []
+
+  // Header
+  doc.setFontSize(18)
+  doc.text("CREDIT NOTE", pageWidth - 14, 18, { align: "right" })
+  doc.setFontSize(14)
+  doc.text(SELLER.NAME, 14, 18)
+  doc.setFontSize(9)
+  doc.text(doc.splitTextToSize(SELLER.ADDRESS, 90), 14, 24)
+  if (SELLER.GSTIN) {
+    doc.text(`GSTIN: ${SELLER.GSTIN}`, 14, 34)
+  }
+
+  doc.text(`Credit Note No: ${creditNote.creditNoteNumber}`, pageWidth - 14, 26, { align: "right" })
+  doc.text(`Against Invoice: ${creditNote.invoiceNumber}`, pageWidth - 14, 31, { align: "right" })
+  doc.text(`Date: ${new Date(creditNote.issuedAt).toLocaleDateString("en-IN")}`, pageWidth - 14, 36, { align: "right" })
+
+  // Buyer
+  doc.setFontSize(10)
+  doc.text("Issued To:", 14, 46)
+  doc.setFontSize(9)
+  doc.text(`${user?.firstName || ""} ${user?.lastName || ""}`.trim(), 14, 51)
+  if (user?.email) doc.text(user.email, 14, 56)
+  doc.text(doc.splitTextToSize(`Reason: ${creditNote.reason}`, pageWidth - 28), 14, 61)
+
+  autoTable(doc, {
+    startY: 70,
+    head: [["Course", "Taxable", ...taxes.map((tax) => `${tax.name} (${tax.rate}%)`), "Refunded"]],
+    body: [
+      [
+        creditNote.courseName,
+        formatAmount(creditNote.taxableAmount),
+        ...taxes.map((tax) => formatAmount(tax.amount)),
+        formatAmount(creditNote.total),
+      ],
+    ],
+    theme: "grid",
+    styles: { fontSize: 8, cellPadding: 2, valign: "middle" },
+    headStyles: { fillColor: [33, 37, 41], textColor: [255, 255, 255], fontStyle: "bold" },
+    columnStyles: { 0: { cellWidth: 70 } },
+    margin: { left: 14, right: 14 },
+  })
+
+  doc.setFontSize(10)
+  doc.text(`Total credited: ${formatAmount(creditNote.total)}`, pageWidth - 14, doc.lastAutoTable.finalY + 8, {
+    align: "right",
+  })
+
+  doc.setFontSize(8)
+  doc.text(
+    `This is a computer generated credit note. ${SELLER.NAME} © ${new Date().getFullYear()}`,
+    pageWidth / 2,
+    doc.internal.pageSize.getHeight() - 10,
+    { align: "center" }
+  )
+
+  doc.save(`${creditNote.creditNoteNumber}.pdf`)
+}
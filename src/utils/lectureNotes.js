@@ -0,0 +1,97 @@
+// Student notes and bookmarks anchored to a moment of a lecture:
+//   { _id, courseId, sectionId, subSectionId, timestamp, type, content, createdAt, updatedAt }
+// `timestamp` is in seconds and `content` is markdown (optional for bookmarks).
+
+import { formatTimestamp } from "./videoTimeline"
+
+export const NOTE_TYPES = {
+  NOTE: "note",
+  BOOKMARK: "bookmark",
+}
+
+// subSectionId -> where the lecture sits in the course, used to order and label notes
+export const getLectureIndex = (courseSectionData = []) => {
+  const index = {}
+  courseSectionData.forEach((section, sectionPosition) => {
+    section.subSection.forEach((subSection, lecturePosition) => {
+      index[subSection._id] = {
+        section,
+        subSection,
+        order: sectionPosition * 10000 + lecturePosition,
+      }
+    })
+  })
+  return index
+}
+
+// course order first, then the moment in the lecture
+export const sortNotes = (notes, lectureIndex) =>
+  [...notes].sort(
+    (a, b) =>
+      (lectureIndex[a.subSectionId]?.order ?? Infinity) - (lectureIndex[b.subSectionId]?.order ?? Infinity) ||
+      a.timestamp - b.timestamp
+  )
+
+// matches the note text as well as the lecture and section it belongs to
+export const searchNotes = (notes, query, lectureIndex) => {
+  const phrase = query.trim().toLowerCase()
+  if (!phrase) return notes
+  return notes.filter((note) => {
+    const lecture = lectureIndex[note.subSectionId]
+    return [note.content, lecture?.subSection.title, lecture?.section.sectionName]
+      .filter(Boolean)
+      .some((text) => text.toLowerCase().includes(phrase))
+  })
+}
+
+export const getNoteLink = (courseId, note) =>
+  `/view-course/${courseId}/section/${note.sectionId}/sub-section/${note.subSectionId}?t=${Math.floor(note.timestamp)}`
+
+// notes grouped by section and lecture, in course order
+export const groupNotesByLecture = (notes, lectureIndex) => {
+  const groups = []
+  sortNotes(notes, lectureIndex).forEach((note) => {
+    const lecture = lectureIndex[note.subSectionId]
+    if (!lecture) return
+    const last = groups[groups.length - 1]
+    if (last?.subSection._id === note.subSectionId) {
+      last.notes.push(note)
+    } else {
+      groups.push({ section: lecture.section, subSection: lecture.subSection, notes: [note] })
+    }
+  })
+  return groups
+}
+
+export const describeNote = (note) =>
+  note.type === NOTE_TYPES.BOOKMARK ? `Bookmark at ${formatTimestamp(note.timestamp)}` : formatTimestamp(note.timestamp)
+
+// Markdown study guide; every entry links back to the moment it was taken at
+export const toStudyGuideMarkdown = (course, notes, lectureIndex, origin = window.location.origin) => {
+  const lines = [`# ${course.courseName} - Study Guide`, "", `Exported on ${new Date().toLocaleDateString("en-IN")}`]
+  let currentSectionId = null
+  groupNotesByLecture(notes, lectureIndex).forEach(({ section, subSection, notes: lectureNotes }) => {
+    if (section._id !== currentSectionId) {
+      currentSectionId = section._id
+      lines.push("", `## ${section.sectionName}`)
+    }
+    lines.push("", `### ${subSection.title}`)
+    lectureNotes.forEach((note) => {
+      lines.push("", `**[${describeNote(note)}](${origin}${getNoteLink(course._id, note)})**`)
+      if (note.content?.trim()) lines.push("", note.content.trim())
+    })
+  })
+  return lines.join("\n") + "\n"
+}
+
+// Plain text of a markdown note, for exports that can't render markdown
+export const stripMarkdown = (content = "") =>
+  content
+    .replace(/```[a-z]*\n?/gi, "")
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, "$1 ($2)")
+    .replace(/^#{1,6}\s+/gm, "")
+    .replace(/^\s*[-*+]\s+/gm, "- ")
+    .replace(/^>\s?/gm, "")
+    .replace(/(\*\*|__|\*|_|~~|`)(.+?)\1/g, "$2")
+    .trim()
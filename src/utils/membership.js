@@ -0,0 +1,104 @@
+// Membership plans give catalog-wide access instead of buying courses one by one.
+//   plan:       { _id, name, description, interval: "month" | "year", price, trialDays,
+//                 categories: [] (empty = every category), features: [string], isActive }
+//   membership: { _id, plan, status, trialEndsAt, currentPeriodStart, currentPeriodEnd,
+//                 cancelAtPeriodEnd, cancelledAt }
+// The server renews memberships through the payment gateway and moves them between statuses;
+// an active membership is treated as enrollment in every course its plan covers.
+
+import { MEMBERSHIP_CONFIG } from "../config/environment"
+import { formatCurrency } from "./cartPricing"
+import { ACCOUNT_TYPE } from "./constants"
+import { formatDate } from "./dateFormatter"
+
+export const PLAN_INTERVALS = [
+  { value: "month", label: "Monthly", short: "mo" },
+  { value: "year", label: "Annual", short: "yr" },
+]
+
+export const MEMBERSHIP_STATUS = {
+  TRIALING: "trialing",
+  ACTIVE: "active",
+  PAST_DUE: "past_due", // renewal failed, access continues while the gateway retries
+  CANCELLED: "cancelled",
+  EXPIRED: "expired",
+}
+
+export const STATUS_LABELS = {
+  trialing: "Free trial",
+  active: "Active",
+  past_due: "Payment overdue",
+  cancelled: "Cancelled",
+  expired: "Expired",
+}
+
+const ACCESS_STATUSES = [MEMBERSHIP_STATUS.TRIALING, MEMBERSHIP_STATUS.ACTIVE, MEMBERSHIP_STATUS.PAST_DUE]
+
+const getId = (value) => value?._id || value
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const getIntervalLabel = (interval) => PLAN_INTERVALS.find((item) => item.value === interval)?.label || interval
+
+export const formatPlanPrice = (plan) =>
+  `${formatCurrency(plan.price)}/${PLAN_INTERVALS.find((item) => item.value === plan.interval)?.short || plan.interval}`
+
+// what an annual plan costs per month, to compare it with monthly plans
+export const getMonthlyPrice = (plan) => (plan.interval === "year" ? plan.price / 12 : plan.price)
+
+// A cancelled membership keeps access until the period it was paid for ends, a past-due one
+// for a grace period after that
+export const isMembershipActive = (membership, now = new Date()) => {
+  if (!membership?.currentPeriodEnd) return false
+  const grace = membership.status === MEMBERSHIP_STATUS.PAST_DUE ? MEMBERSHIP_CONFIG.PAST_DUE_GRACE_DAYS * DAY_MS : 0
+  if (new Date(membership.currentPeriodEnd).getTime() + grace < now.getTime()) return false
+  return ACCESS_STATUSES.includes(membership.status) || membership.status === MEMBERSHIP_STATUS.CANCELLED
+}
+
+export const planCoversCourse = (plan, course) =>
+  !plan?.categories?.length || plan.categories.some((category) => getId(category) === getId(course?.category))
+
+export const hasMembershipAccess = (membership, course, now = new Date()) =>
+  isMembershipActive(membership, now) && planCoversCourse(membership.plan, course)
+
+// Enrolled, covered by a membership, or managing the course
+export const canAccessCourse = (user, course, membership) => {
+  if (!user || !course) return false
+  if (user.accountType === ACCOUNT_TYPE.ADMIN) return true
+  if (getId(course.instructor) === user._id) return true
+  if ((course.studentsEnrolled || []).some((student) => getId(student) === user._id)) return true
+  return hasMembershipAccess(membership, course)
+}
+
+// first lecture of a course, where members land when they start learning
+export const getCourseStartPath = (course) => {
+  const section = course?.courseContent?.find((item) => item.subSection?.length)
+  if (!section) return null
+  return `/view-course/${course._id}/section/${section._id}/sub-section/${section.subSection[0]._id}`
+}
+
+export const getPlanCoverage = (plan) =>
+  plan.categories?.length ? plan.categories.map((category) => category.name || category).join(", ") : "Every course in the catalog"
+
+// a trial is only offered to students who have never had a membership
+export const isTrialAvailable = (plan, membership) => plan.trialDays > 0 && !membership
+
+// One-line summary for the billing page
+export const describeMembership = (membership, now = new Date()) => {
+  if (!isMembershipActive(membership, now)) return `Ended on ${formatDate(membership.currentPeriodEnd)}`
+  if (membership.status === MEMBERSHIP_STATUS.TRIALING) return `Trial ends on ${formatDate(membership.trialEndsAt || membership.currentPeriodEnd)}`
+  if (membership.status === MEMBERSHIP_STATUS.CANCELLED || membership.cancelAtPeriodEnd) {
+    return `Access until ${formatDate(membership.currentPeriodEnd)}, will not renew`
+  }
+  if (membership.status === MEMBERSHIP_STATUS.PAST_DUE) return "We couldn't charge your last renewal, we'll retry shortly"
+  return `Renews on ${formatDate(membership.currentPeriodEnd)}`
+}
+
+// Checks an admin plan form before it is sent; returns an error message or null
+export const validatePlan = (plan) => {
+  if (!plan.name?.trim()) return "Give the plan a name"
+  if (!PLAN_INTERVALS.some((item) => item.value === plan.interval)) return "Choose how often the plan bills"
+  if (!(Number(plan.price) > 0)) return "Enter the plan price"
+  if (!(Number(plan.trialDays) >= 0) || !Number.isInteger(Number(plan.trialDays))) return "Trial length must be a whole number of days"
+  return null
+}
@@ -0,0 +1,78 @@
+// Small promise wrapper around IndexedDB used for offline support.
+// - syncQueue : progress calls made while offline, replayed in insertion order
+// - courses   : last known full course details, so ViewCourse can open offline
+// - chatOutbox: chat messages waiting to be sent
+
+const DB_NAME = "beeja-offline";
+const DB_VERSION = 2;
+
+export const STORES = {
+  SYNC_QUEUE: "syncQueue",
+  COURSES: "courses",
+  CHAT_OUTBOX: "chatOutbox",
+};
+
+let dbPromise = null;
+
+const openDB = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!("indexedDB" in window)) {
+      reject(new Error("IndexedDB is not supported in this browser"));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORES.SYNC_QUEUE)) {
+        // autoIncrement keys keep the queue in the order actions were made
+        db.createObjectStore(STORES.SYNC_QUEUE, { keyPath: "id", autoIncrement: true });
+      }
+      if (!db.objectStoreNames.contains(STORES.COURSES)) {
+        db.createObjectStore(STORES.COURSES, { keyPath: "courseId" });
+      }
+      if (!db.objectStoreNames.contains(STORES.CHAT_OUTBOX)) {
+        db.createObjectStore(STORES.CHAT_OUTBOX, { keyPath: "clientId" });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+// Run a single request inside a transaction and resolve with its result
+const runRequest = async (storeName, mode, getRequest) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = getRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const addRecord = (storeName, value) =>
+  runRequest(storeName, "readwrite", (store) => store.add(value));
+
+export const putRecord = (storeName, value) =>
+  runRequest(storeName, "readwrite", (store) => store.put(value));
+
+export const getRecord = (storeName, key) =>
+  runRequest(storeName, "readonly", (store) => store.get(key));
+
+// Records come back sorted by key, which for the sync queue is insertion order
+export const getAllRecords = (storeName) =>
+  runRequest(storeName, "readonly", (store) => store.getAll());
+
+export const deleteRecord = (storeName, key) =>
+  runRequest(storeName, "readwrite", (store) => store.delete(key));
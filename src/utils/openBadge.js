@@ -0,0 +1,172 @@
+// Open Badges 3.0 export. The backend issues each certificate as a signed
+// OpenBadgeCredential (a W3C Verifiable Credential); this module draws the badge image,
+// bakes the credential into it and builds the links for sharing it.
+
+import { beejaLogo } from '../assets/Images/certification img';
+
+const BADGE_SIZE = 600;
+
+// Keyword of the PNG text chunk that carries a baked Open Badges 3.0 credential
+const BAKED_CREDENTIAL_KEYWORD = 'openbadgecredential';
+
+export const getBadgePageUrl = (certificateId) =>
+  `${window.location.origin}/verify-certificate/${certificateId}/badge`;
+
+export const getCredentialFileName = (credential, extension) =>
+  `${credential.credentialSubject.achievement.name.replace(/[^a-z0-9]+/gi, '_')}_badge.${extension}`;
+
+// The parts of a credential the UI shows
+export const getBadgeDetails = (credential) => {
+  const { achievement } = credential.credentialSubject;
+  return {
+    name: achievement.name,
+    description: achievement.description,
+    criteria: achievement.criteria?.narrative,
+    recipientName: credential.credentialSubject.name,
+    issuerName: credential.issuer.name,
+    issuerUrl: credential.issuer.url,
+    issuedOn: credential.validFrom,
+  };
+};
+
+// LinkedIn's "Add license or certification" form, prefilled
+export const getLinkedInAddToProfileUrl = (credential, certificateId) => {
+  const { name, issuerName, issuedOn } = getBadgeDetails(credential);
+  const issued = new Date(issuedOn);
+  const params = new URLSearchParams({
+    startTask: 'CERTIFICATION_NAME',
+    name,
+    organizationName: issuerName,
+    issueYear: String(issued.getFullYear()),
+    issueMonth: String(issued.getMonth() + 1),
+    certUrl: getBadgePageUrl(certificateId),
+    certId: certificateId,
+  });
+  return `https://www.linkedin.com/profile/add?${params}`;
+};
+
+export const getLinkedInShareUrl = (certificateId) =>
+  `https://www.linkedin.com/sharing/share-offsite/?url=${encodeURIComponent(getBadgePageUrl(certificateId))}`;
+
+export const downloadFile = (blob, fileName) => {
+  const fileURL = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = fileURL;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  URL.revokeObjectURL(fileURL);
+  document.body.removeChild(link);
+};
+
+const loadImage = (src) =>
+  new Promise((resolve) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = src;
+  });
+
+const wrapText = (context, text, maxWidth) =>
+  text.split(' ').reduce((lines, word) => {
+    const current = lines[lines.length - 1];
+    if (current && context.measureText(`${current} ${word}`).width <= maxWidth) {
+      lines[lines.length - 1] = `${current} ${word}`;
+    } else {
+      lines.push(word);
+    }
+    return lines;
+  }, []);
+
+// Draws the badge as a PNG blob
+export const renderBadgeImage = async (credential) => {
+  const { name, issuerName, issuedOn } = getBadgeDetails(credential);
+  const canvas = document.createElement('canvas');
+  canvas.width = BADGE_SIZE;
+  canvas.height = BADGE_SIZE;
+  const context = canvas.getContext('2d');
+  const center = BADGE_SIZE / 2;
+
+  // Gold rim and dark face
+  const rim = context.createLinearGradient(0, 0, BADGE_SIZE, BADGE_SIZE);
+  rim.addColorStop(0, '#FFD60A');
+  rim.addColorStop(1, '#E7C009');
+  context.fillStyle = rim;
+  context.beginPath();
+  context.arc(center, center, center - 4, 0, Math.PI * 2);
+  context.fill();
+  context.fillStyle = '#161D29';
+  context.beginPath();
+  context.arc(center, center, center - 28, 0, Math.PI * 2);
+  context.fill();
+
+  const logo = await loadImage(beejaLogo);
+  if (logo) {
+    const logoWidth = 150;
+    const logoHeight = (logo.height / logo.width) * logoWidth;
+    context.save();
+    context.beginPath();
+    context.arc(center, 130, 48, 0, Math.PI * 2);
+    context.fillStyle = '#ffffff';
+    context.fill();
+    context.clip();
+    context.drawImage(logo, center - logoWidth / 2, 130 - logoHeight / 2, logoWidth, logoHeight);
+    context.restore();
+  }
+
+  context.textAlign = 'center';
+  context.fillStyle = '#FFD60A';
+  context.font = 'bold 22px sans-serif';
+  context.fillText('CERTIFIED', center, 218);
+
+  context.fillStyle = '#F1F2FF';
+  context.font = 'bold 34px sans-serif';
+  const lines = wrapText(context, name, 400).slice(0, 4);
+  const top = center + 20 - ((lines.length - 1) * 42) / 2;
+  lines.forEach((line, index) => context.fillText(line, center, top + index * 42));
+
+  context.fillStyle = '#AFB2BF';
+  context.font = '20px sans-serif';
+  context.fillText(issuerName, center, 470);
+  context.fillText(String(new Date(issuedOn).getFullYear()), center, 500);
+
+  return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Bakes the credential into the PNG as an iTXt chunk (Open Badges 3.0 baking), so the
+// image alone can be imported into a badge wallet
+export const bakeBadgeImage = async (pngBlob, credential) => {
+  const png = new Uint8Array(await pngBlob.arrayBuffer());
+  const encoder = new TextEncoder();
+
+  // keyword, null, compression flag, compression method, empty language tag and translated keyword
+  const header = encoder.encode(`${BAKED_CREDENTIAL_KEYWORD}\0\0\0\0\0`);
+  const text = encoder.encode(JSON.stringify(credential));
+  const chunk = new Uint8Array(12 + header.length + text.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, header.length + text.length);
+  chunk.set(encoder.encode('iTXt'), 4);
+  chunk.set(header, 8);
+  chunk.set(text, 8 + header.length);
+  view.setUint32(chunk.length - 4, crc32(chunk.subarray(4, chunk.length - 4)));
+
+  // IEND is always the last 12 bytes
+  const iendStart = png.length - 12;
+  return new Blob([png.subarray(0, iendStart), chunk, png.subarray(iendStart)], { type: 'image/png' });
+};
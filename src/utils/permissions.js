@@ -0,0 +1,149 @@
+// Admin roles. An admin account may carry
+//   adminRole: { _id, name, description, permissions: ["orders.view", ...] }
+// and sees only the dashboard tabs and actions its permissions allow. Admins without a role
+// predate roles and keep full access. The server enforces the same permissions on every
+// admin endpoint; these checks only decide what the dashboard offers.
+
+import { ACCOUNT_TYPE } from "./constants"
+
+// Grants every permission, including ones added later
+export const ALL_PERMISSIONS = "*"
+
+// Grouped the way the role editor lists them
+export const PERMISSION_GROUPS = [
+  {
+    label: "Analytics",
+    permissions: [{ id: "analytics.view", label: "View analytics" }],
+  },
+  {
+    label: "Users",
+    permissions: [
+      { id: "users.view", label: "View users" },
+      { id: "users.manage", label: "Create, edit and deactivate users" },
+      { id: "users.delete", label: "Delete users" },
+    ],
+  },
+  {
+    label: "Courses",
+    permissions: [
+      { id: "courses.manage", label: "Manage courses, categories, quizzes and certificates" },
+      { id: "access.manage", label: "Approve course and bundle access requests" },
+    ],
+  },
+  {
+    label: "Reviews & discussions",
+    permissions: [
+      { id: "reviews.view", label: "View reviews" },
+      { id: "reviews.moderate", label: "Feature and delete reviews" },
+      { id: "discussions.moderate", label: "Moderate lecture discussions" },
+    ],
+  },
+  {
+    label: "Sales",
+    permissions: [
+      { id: "orders.view", label: "View orders" },
+      { id: "orders.refund", label: "Issue refunds and decline refund requests" },
+      { id: "orders.export", label: "Export orders" },
+      { id: "pricing.manage", label: "Manage coupons, bundle pricing and memberships" },
+    ],
+  },
+  {
+    label: "Careers",
+    permissions: [
+      { id: "careers.view", label: "View jobs and applications" },
+      { id: "careers.manage", label: "Post, edit and publish jobs, review applications" },
+    ],
+  },
+  {
+    label: "Support",
+    permissions: [
+      { id: "support.manage", label: "Contact messages, chats, FAQs and notifications" },
+    ],
+  },
+  {
+    label: "Administration",
+    permissions: [
+      { id: "roles.manage", label: "Manage roles and assign them to admins" },
+      { id: "audit.view", label: "View and export the activity log" },
+      { id: "settings.manage", label: "Change platform settings" },
+    ],
+  },
+]
+
+// Permission needed to open each admin dashboard tab
+export const TAB_PERMISSIONS = {
+  analytics: "analytics.view",
+  users: "users.view",
+  courses: "courses.manage",
+  categories: "courses.manage",
+  studentProgress: "courses.manage",
+  quizzes: "courses.manage",
+  questionBank: "courses.manage",
+  featuredCourses: "courses.manage",
+  certificateTemplates: "courses.manage",
+  reviews: "reviews.view",
+  accessRequests: "access.manage",
+  bundleRequests: "access.manage",
+  bundleRules: "pricing.manage",
+  orders: "orders.view",
+  memberships: "pricing.manage",
+  coupons: "pricing.manage",
+  careers: "careers.view",
+  notifications: "support.manage",
+  contactMessages: "support.manage",
+  faqs: "support.manage",
+  chats: "support.manage",
+  discussions: "discussions.moderate",
+  roles: "roles.manage",
+  activityLog: "audit.view",
+  settings: "settings.manage",
+}
+
+// Starting points offered when creating a role
+export const ROLE_TEMPLATES = [
+  {
+    name: "Super Admin",
+    description: "Everything, including roles",
+    permissions: [ALL_PERMISSIONS],
+  },
+  {
+    name: "Content Moderator",
+    description: "Reviews, discussions and course content",
+    permissions: ["courses.manage", "reviews.view", "reviews.moderate", "discussions.moderate"],
+  },
+  {
+    name: "Finance",
+    description: "Orders, refunds and pricing",
+    permissions: ["analytics.view", "orders.view", "orders.refund", "orders.export", "pricing.manage"],
+  },
+  {
+    name: "HR / Careers",
+    description: "Job postings and applications",
+    permissions: ["careers.view", "careers.manage"],
+  },
+  {
+    name: "Support",
+    description: "Helps students with access, orders and messages",
+    permissions: ["users.view", "orders.view", "access.manage", "support.manage"],
+  },
+]
+
+export const hasPermission = (user, permission) => {
+  if (user?.accountType !== ACCOUNT_TYPE.ADMIN) return false
+  if (!user.adminRole) return true
+  const permissions = user.adminRole.permissions || []
+  return permissions.includes(ALL_PERMISSIONS) || permissions.includes(permission)
+}
+
+export const canViewTab = (user, tabId) => !TAB_PERMISSIONS[tabId] || hasPermission(user, TAB_PERMISSIONS[tabId])
+
+// Checks a role before it is saved; returns an error message or null. `isOwnRole` keeps
+// admins from taking roles.manage away from themselves and locking everyone out of roles.
+export const validateRole = ({ name, permissions }, isOwnRole = false) => {
+  if (!name?.trim()) return "Give the role a name"
+  if (!permissions?.length) return "Choose at least one permission"
+  if (isOwnRole && !permissions.includes(ALL_PERMISSIONS) && !permissions.includes("roles.manage")) {
+    return "You can't remove role management from your own role"
+  }
+  return null
+}
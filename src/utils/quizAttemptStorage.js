@@ -0,0 +1,74 @@
+// Keeps the running quiz attempt in localStorage so a reload or a crashed tab
+// can resume it (answers, drawn questions, answer order and start time).
+
+import { buildQuizAttempt } from "./quizShuffler"
+
+const storageKey = (userId, quizId) => `quizAttempt_${userId}_${quizId}`
+
+export const saveQuizAttempt = (userId, quizId, attempt) => {
+  try {
+    localStorage.setItem(storageKey(userId, quizId), JSON.stringify({ ...attempt, savedAt: Date.now() }))
+  } catch (error) {
+    // Storage full or disabled - the server autosave still covers the attempt
+    console.log("SAVE QUIZ ATTEMPT ERROR............", error)
+  }
+}
+
+export const loadQuizAttempt = (userId, quizId) => {
+  try {
+    const saved = localStorage.getItem(storageKey(userId, quizId))
+    return saved ? JSON.parse(saved) : null
+  } catch (error) {
+    return null
+  }
+}
+
+export const clearQuizAttempt = (userId, quizId) => {
+  localStorage.removeItem(storageKey(userId, quizId))
+}
+
+// Offset between the server clock and this device, so the countdown follows the
+// server's start time even when the local clock is wrong
+export const getClockOffset = (serverTime) => (serverTime ? new Date(serverTime).getTime() - Date.now() : 0)
+
+// Seconds left on an attempt; `startedAt` is server time in ms
+export const getRemainingSeconds = (attempt, now = Date.now()) => {
+  const elapsed = (now + (attempt.clockOffset || 0) - attempt.startedAt) / 1000
+  return Math.max(0, Math.ceil(attempt.timeLimit - elapsed))
+}
+
+// Pick the attempt to resume. `server` is getActiveQuizAttempt's result: { attempt } or
+// null when the server could not be reached. The server's in-progress attempt is
+// authoritative for the seed and start time; the local copy is used for answers since it
+// is saved on every change. Returns null when there is nothing to resume.
+export const restoreQuizAttempt = (quiz, local, server, lastCompletedAt) => {
+  const timeLimit = quiz.timeLimit || 10 * 60
+  const active = server?.attempt
+
+  if (active?.attemptId) {
+    const localMatches = local?.attemptId === active.attemptId
+    const { questions } = buildQuizAttempt(quiz, active.poolQuestions || [], active.seed)
+    return {
+      attemptId: active.attemptId,
+      seed: active.seed,
+      questions,
+      shuffledAnswers: localMatches ? local.shuffledAnswers : null,
+      startedAt: new Date(active.startedAt).getTime(),
+      clockOffset: getClockOffset(active.serverTime),
+      timeLimit,
+      answers: (localMatches ? local.answers : active.answers) || {},
+      currentQuestion: (localMatches ? local.currentQuestion : active.currentQuestion) || 0,
+    }
+  }
+
+  // The server confirms nothing is running, so a local copy of a server attempt was
+  // submitted or expired elsewhere. Attempts started offline were never on the server.
+  if (server && local?.attemptId) return null
+
+  // Server unreachable or the attempt was started offline - fall back to the local copy,
+  // unless a result was recorded after it started
+  if (!local || (lastCompletedAt && new Date(lastCompletedAt).getTime() > local.startedAt)) {
+    return null
+  }
+  return local
+}
@@ -1,7 +1,8 @@
 // Function to shuffle array using Fisher-Yates algorithm
-const shuffleArray = (array) => {
+// `random` defaults to Math.random; pass a seeded generator for reproducible orders
+const shuffleArray = (array, random = Math.random) => {
   for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [array[i], array[j]] = [array[j], array[i]];
   }
   return array;
@@ -14,14 +15,14 @@ const areArraysEqual = (arr1, arr2) => {
 };
 
 // Function to shuffle match-the-following options and ensure they don't match original order
-export const shuffleMatchingOptions = (options) => {
+export const shuffleMatchingOptions = (options, random = Math.random) => {
   const indices = Array.from({ length: options.length }, (_, i) => i);
   let shuffledIndices;
-  
-  // Keep shuffling until we get a different order
+
+  // Keep shuffling until we get a different order (a single option can't be reordered)
   do {
-    shuffledIndices = shuffleArray([...indices]);
-  } while (areArraysEqual(indices, shuffledIndices));
+    shuffledIndices = shuffleArray([...indices], random);
+  } while (indices.length > 1 && areArraysEqual(indices, shuffledIndices));
 
   // Map the shuffled indices to create new array with original indices tracked
   return shuffledIndices.map((index, newIndex) => ({
@@ -30,3 +31,127 @@ export const shuffleMatchingOptions = (options) => {
     displayIndex: newIndex
   }));
 };
+
+// ================ seeded randomisation for quiz attempts ================
+
+// Random 32-bit seed used when the server doesn't hand one out
+export const createSeed = () => Math.floor(Math.random() * 0xffffffff);
+
+// Turn a seed (number or string such as an attempt id) into a 32-bit integer
+const hashSeed = (seed) => {
+  const text = String(seed);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32 - small, fast PRNG; the same seed always yields the same sequence
+export const createSeededRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const seededShuffle = (array, random) => shuffleArray([...array], random);
+
+export const DIFFICULTY_LEVELS = ["easy", "medium", "hard"];
+
+// Tags are edited as comma separated text and stored lowercase
+export const parseTags = (text = "") =>
+  text.split(",").map((tag) => tag.trim().toLowerCase()).filter(Boolean);
+
+// A bank question belongs to a pool when it has every pool tag and the pool's difficulty (if set)
+export const matchesPool = (question, pool) => {
+  const tags = pool.tags || [];
+  const hasTags = tags.every((tag) => (question.tags || []).includes(tag));
+  const hasDifficulty = !pool.difficulty || question.difficulty === pool.difficulty;
+  return hasTags && hasDifficulty;
+};
+
+const OPTION_QUESTION_TYPES = ["multipleChoice", "singleAnswer"];
+
+// Build the questions of one attempt: fixed questions plus N draws per pool,
+// with question and option order shuffled. Everything is derived from `seed`,
+// so replaying the same quiz, pool candidates and seed reproduces the attempt.
+//
+// Answers keep referring to original option indices; only the display order changes:
+//   optionOrder - display order of options (multipleChoice / singleAnswer)
+//   answerOrder - display order of answers (matchTheFollowing)
+export const buildQuizAttempt = (quiz, poolQuestions = [], seed) => {
+  const random = createSeededRandom(seed);
+
+  // Sort candidates so the draw doesn't depend on the order the server returned them in
+  const candidates = [...poolQuestions].sort((a, b) => String(a._id).localeCompare(String(b._id)));
+  const drawnIds = new Set();
+  const drawn = [];
+
+  (quiz.questionPools || []).forEach((pool) => {
+    const available = candidates.filter((question) => !drawnIds.has(question._id) && matchesPool(question, pool));
+    seededShuffle(available, random)
+      .slice(0, Number(pool.count) || 0)
+      .forEach((question) => {
+        drawnIds.add(question._id);
+        drawn.push({ ...question, fromPool: true });
+      });
+  });
+
+  let questions = [...(quiz.questions || []), ...drawn];
+  if (quiz.shuffleQuestions) {
+    questions = seededShuffle(questions, random);
+  }
+
+  questions = questions.map((question) => {
+    if (OPTION_QUESTION_TYPES.includes(question.questionType) && quiz.shuffleOptions) {
+      const indices = (question.options || []).map((_, index) => index);
+      return { ...question, optionOrder: seededShuffle(indices, random) };
+    }
+    if (question.questionType === "matchTheFollowing") {
+      const answersToShow = question.answers?.length ? question.answers : question.options;
+      return {
+        ...question,
+        answerOrder: shuffleMatchingOptions(answersToShow, random).map((item) => item.originalIndex),
+      };
+    }
+    return question;
+  });
+
+  return { seed, questions };
+};
+
+// Number of questions an attempt holds. A pool never draws more than its candidates, so
+// pool counts are capped by them when known; without them they are an upper bound.
+export const getQuizQuestionCount = (quiz, poolQuestions) => {
+  const fixed = (quiz.questions || []).length;
+  if (!poolQuestions) {
+    return fixed + (quiz.questionPools || []).reduce((total, pool) => total + (Number(pool.count) || 0), 0);
+  }
+  return buildQuizAttempt(quiz, poolQuestions, 0).questions.length;
+};
+
+// Questions of a recorded attempt in the order the student saw them. The stored
+// questionIds are authoritative: the bank may have changed since, so a replay of the
+// seed is only trusted (for option order) when it draws exactly the same questions.
+export const getAttemptQuestions = (quiz, poolQuestions = [], { seed, questionIds } = {}) => {
+  const replayed = buildQuizAttempt(quiz, poolQuestions, seed).questions;
+  if (!questionIds?.length) return replayed;
+
+  const ids = questionIds.map(String);
+  if (areArraysEqual(ids, replayed.map((question) => String(question._id)))) return replayed;
+
+  const byId = new Map([
+    ...poolQuestions.map((question) => [String(question._id), { ...question, fromPool: true }]),
+    ...(quiz.questions || []).map((question) => [String(question._id), question]),
+  ]);
+  return ids.map((id) => byId.get(id)).filter(Boolean);
+};
+
+// Display order of a question's options as original indices
+export const getOptionOrder = (question) =>
+  question.optionOrder || (question.options || []).map((_, index) => index);
@@ -0,0 +1,77 @@
+// Refunds for course purchases. A purchase (one course in an order, `courseId` being the
+// course) carries
+//   refundedAmount: total refunded so far
+//   refund:         the latest request { _id, status, reason, requestedAt, decisionReason }
+//   creditNotes:    [{ creditNoteNumber, invoiceNumber, orderId, issuedAt, courseName, reason,
+//                      taxableAmount, taxes: [{ name, rate, amount }], total }]
+// Refunds never edit or delete the order; each step is appended to the order's timeline and
+// every refund issues a credit note against the original invoice.
+
+import { REFUND_CONFIG } from "../config/environment"
+import { roundCurrency } from "./cartPricing"
+
+export const REFUND_STATUS = {
+  REQUESTED: "requested",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+}
+
+export const REFUND_STATE_LABELS = {
+  requested: "Refund requested",
+  rejected: "Refund declined",
+  partially_refunded: "Partially refunded",
+  refunded: "Refunded",
+}
+
+// Order timeline entries, oldest first: { _id, type, at, actor, amount, note }
+export const ORDER_EVENT_LABELS = {
+  placed: "Order placed",
+  paid: "Payment received",
+  refund_requested: "Refund requested",
+  refund_rejected: "Refund declined",
+  refunded: "Refund issued",
+  credit_note_issued: "Credit note issued",
+  access_revoked: "Enrollment revoked",
+  access_retained: "Enrollment kept",
+}
+
+const DAY = 24 * 60 * 60 * 1000
+
+export const getRefundableAmount = (paid, record) => roundCurrency(Math.max(0, (paid || 0) - (record.refundedAmount || 0)))
+
+// What has happened to the purchase money-wise, or null while it is simply paid
+export const getRefundState = (paid, record) => {
+  if (record.refundedAmount > 0) return record.refundedAmount >= paid ? "refunded" : "partially_refunded"
+  if (record.refund?.status === REFUND_STATUS.REQUESTED) return "requested"
+  if (record.refund?.status === REFUND_STATUS.REJECTED) return "rejected"
+  return null
+}
+
+export const getRefundDeadline = (purchaseDate) => new Date(new Date(purchaseDate).getTime() + REFUND_CONFIG.WINDOW_DAYS * DAY)
+
+// Whether a student may ask for a refund; `reason` explains why not
+export const getRefundEligibility = (purchase, now = new Date()) => {
+  if (!(purchase.price > 0)) return { eligible: false, reason: "Free courses can't be refunded" }
+  if (purchase.refundedAmount > 0) return { eligible: false, reason: "This purchase has already been refunded" }
+  if (purchase.refund?.status === REFUND_STATUS.REQUESTED) return { eligible: false, reason: "Your request is being reviewed" }
+  if (purchase.refund?.status === REFUND_STATUS.REJECTED) return { eligible: false, reason: "Your refund request was declined" }
+  if (getRefundDeadline(purchase.purchaseDate) < now) {
+    return { eligible: false, reason: `Refunds are available for ${REFUND_CONFIG.WINDOW_DAYS} days after purchase` }
+  }
+  // Unknown progress could hide a course that's mostly done
+  if (purchase.progressPercentage === null || purchase.progressPercentage === undefined) {
+    return { eligible: false, reason: "We couldn't check your course progress, please try again later" }
+  }
+  if (purchase.progressPercentage > REFUND_CONFIG.MAX_PROGRESS_PERCENT) {
+    return { eligible: false, reason: `Refunds are available until you complete ${REFUND_CONFIG.MAX_PROGRESS_PERCENT}% of the course` }
+  }
+  return { eligible: true, reason: null }
+}
+
+// Checks an admin refund before it is sent; returns an error message or null
+export const validateRefund = ({ amount, reason }, refundable) => {
+  if (!(Number(amount) > 0)) return "Enter the amount to refund"
+  if (Number(amount) > refundable) return "The refund can't be more than what is left to refund"
+  if (!reason?.trim()) return "Give a reason for the refund"
+  return null
+}
@@ -0,0 +1,74 @@
+// Study guides built from a student's lecture notes, as Markdown or a PDF generated with jspdf
+
+import { saveAs } from "file-saver"
+import jsPDF from "jspdf"
+
+import { describeNote, getNoteLink, groupNotesByLecture, stripMarkdown, toStudyGuideMarkdown } from "./lectureNotes"
+
+const getFileName = (course, extension) =>
+  `${(course.courseName || "course").replace(/[^a-z0-9]+/gi, "-").toLowerCase()}-study-guide.${extension}`
+
+export const downloadStudyGuideMarkdown = (course, notes, lectureIndex) => {
+  const blob = new Blob([toStudyGuideMarkdown(course, notes, lectureIndex)], { type: "text/markdown;charset=utf-8" })
+  saveAs(blob, getFileName(course, "md"))
+}
+
+export const downloadStudyGuidePdf = (course, notes, lectureIndex) => {
+  const doc = new jsPDF("portrait", "mm", "a4")
+  const pageHeight = doc.internal.pageSize.getHeight()
+  const contentWidth = doc.internal.pageSize.getWidth() - 28
+  let y = 20
+
+  // starts a new page when the next block would run off the bottom
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - 15) {
+      doc.addPage()
+      y = 20
+    }
+  }
+
+  const writeLines = (text, fontSize, lineHeight, fontStyle = "normal") => {
+    doc.setFont("helvetica", fontStyle)
+    doc.setFontSize(fontSize)
+    doc.splitTextToSize(text, contentWidth).forEach((line) => {
+      ensureSpace(lineHeight)
+      doc.text(line, 14, y)
+      y += lineHeight
+    })
+  }
+
+  writeLines(`${course.courseName} - Study Guide`, 18, 8, "bold")
+  doc.setTextColor(110)
+  writeLines(`Exported on ${new Date().toLocaleDateString("en-IN")}`, 9, 5)
+  doc.setTextColor(0)
+
+  let currentSectionId = null
+  groupNotesByLecture(notes, lectureIndex).forEach(({ section, subSection, notes: lectureNotes }) => {
+    if (section._id !== currentSectionId) {
+      currentSectionId = section._id
+      y += 6
+      ensureSpace(14)
+      writeLines(section.sectionName, 14, 7, "bold")
+    }
+    y += 3
+    ensureSpace(12)
+    writeLines(subSection.title, 11, 6, "bold")
+
+    lectureNotes.forEach((note) => {
+      y += 2
+      ensureSpace(10)
+      // the timestamp links back to the moment in the lecture
+      doc.setFont("helvetica", "bold")
+      doc.setFontSize(9)
+      doc.setTextColor(37, 99, 235)
+      doc.textWithLink(describeNote(note), 14, y, { url: `${window.location.origin}${getNoteLink(course._id, note)}` })
+      doc.setTextColor(0)
+      y += 5
+      if (note.content?.trim()) {
+        writeLines(stripMarkdown(note.content), 10, 5)
+      }
+    })
+  })
+
+  doc.save(getFileName(course, "pdf"))
+}
@@ -0,0 +1,27 @@
+// Adaptive (HLS) playback and resume positions of lecture videos.
+// Lectures transcoded by the server carry an `hlsUrl` manifest next to the progressive `videoUrl`;
+// older lectures only have the progressive file and keep playing it.
+
+export const PLAYBACK_RATES = [2, 1.75, 1.5, 1.25, 1, 0.75, 0.5]
+
+// quality menu index meaning "let the player pick"
+export const AUTO_QUALITY = -1
+
+export const getHlsUrl = (lecture) => {
+  if (lecture?.hlsUrl) return lecture.hlsUrl
+  return /\.m3u8(\?|$)/i.test(lecture?.videoUrl || "") ? lecture.videoUrl : null
+}
+
+// 1080 -> "1080p", falls back to the bitrate for audio-less or odd renditions
+export const formatQualityLabel = (level) =>
+  level.height ? `${level.height}p` : `${Math.round(level.bitrate / 1000)} kbps`
+
+// Don't resume from the first few seconds, or so close to the end that the lecture just finishes again
+const MIN_RESUME_SECONDS = 5
+const END_MARGIN_SECONDS = 15
+
+export const getResumePosition = (position, duration) => {
+  if (!position || position < MIN_RESUME_SECONDS) return 0
+  if (duration && position > duration - END_MARGIN_SECONDS) return 0
+  return Math.floor(position)
+}
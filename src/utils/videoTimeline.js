@@ -0,0 +1,94 @@
+// Chapters and checkpoint questions placed on a lecture video's timeline.
+//   chapters:    [{ _id, time, title }]
+//   checkpoints: [{ _id, time, question: { questionText, questionType, options, correctAnswers, correctAnswer, keywords } }]
+// `time` is in seconds. Checkpoint questions reuse the quiz question types that can be
+// answered without leaving the player; students never receive the correct answers, the
+// server checks them.
+
+export const CHECKPOINT_QUESTION_TYPES = [
+  { value: "singleAnswer", label: "Single Answer" },
+  { value: "multipleChoice", label: "Multiple Choice" },
+  { value: "shortAnswer", label: "Short Answer" },
+]
+
+const createId = () => `temp_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`
+
+export const createChapter = (time = 0) => ({ _id: createId(), time, title: "" })
+
+export const createCheckpoint = (time = 0) => ({
+  _id: createId(),
+  time,
+  question: {
+    questionText: "",
+    questionType: "singleAnswer",
+    options: ["", "", "", ""],
+    correctAnswers: [],
+    correctAnswer: null,
+    keywords: [],
+  },
+})
+
+// "90", "1:30" or "0:01:30" -> 90, null when it can't be read
+export const parseTimestamp = (value) => {
+  const parts = String(value).trim().split(":")
+  if (!parts.length || parts.length > 3 || parts.some((part) => !/^\d+$/.test(part))) return null
+  return parts.reduce((total, part) => total * 60 + Number(part), 0)
+}
+
+// 90 -> "1:30", 3725 -> "1:02:05"
+export const formatTimestamp = (seconds = 0) => {
+  const total = Math.max(Math.floor(seconds), 0)
+  const hours = Math.floor(total / 3600)
+  const minutes = Math.floor((total % 3600) / 60)
+  const secs = String(total % 60).padStart(2, "0")
+  return hours ? `${hours}:${String(minutes).padStart(2, "0")}:${secs}` : `${minutes}:${secs}`
+}
+
+export const sortByTime = (items = []) => [...items].sort((a, b) => a.time - b.time)
+
+// Chapter playing at `time`
+export const getCurrentChapter = (chapters = [], time = 0) =>
+  sortByTime(chapters).filter((chapter) => chapter.time <= time).pop() || null
+
+// First checkpoint the student still has to answer
+export const getNextPendingCheckpoint = (checkpoints = [], answeredIds = []) =>
+  sortByTime(checkpoints).find((checkpoint) => !answeredIds.includes(checkpoint._id)) || null
+
+// Whether the student filled in enough to send the answer
+export const hasCheckpointAnswer = (question, answer) => {
+  if (question.questionType === "multipleChoice") return Array.isArray(answer) && answer.length > 0
+  if (question.questionType === "singleAnswer") return answer !== undefined && answer !== null
+  return Boolean(String(answer ?? "").trim())
+}
+
+// Reason the timeline can't be saved, or null
+export const validateTimeline = ({ chapters = [], checkpoints = [] }) => {
+  if (chapters.some((chapter) => !chapter.title.trim())) return "Every chapter needs a title"
+  for (const { question } of checkpoints) {
+    if (!question.questionText.trim()) return "Every checkpoint needs a question"
+    if (question.questionType === "shortAnswer") {
+      // graded like quiz short answers: an answer is correct when it contains a keyword
+      if (!question.keywords?.length) return "Add keywords to every short answer checkpoint"
+      continue
+    }
+    if (question.options.some((option) => !option.trim())) return "Fill in every option of the checkpoint questions"
+    if (question.questionType === "multipleChoice" && !question.correctAnswers.length) {
+      return "Mark the correct answers of every multiple choice checkpoint"
+    }
+    if (question.questionType === "singleAnswer" && question.correctAnswer === null) {
+      return "Mark the correct answer of every single answer checkpoint"
+    }
+  }
+  const times = checkpoints.map((checkpoint) => checkpoint.time)
+  if (new Set(times).size !== times.length) return "Two checkpoints can't share a timestamp"
+  return null
+}
+
+// Payload sent with the subsection - ids of new rows are assigned by the server
+export const toTimelinePayload = ({ chapters = [], checkpoints = [] }) => {
+  const withoutTempId = ({ _id, ...rest }) => (String(_id).startsWith("temp_") ? rest : { _id, ...rest })
+  return {
+    chapters: sortByTime(chapters).map((chapter) => withoutTempId({ ...chapter, title: chapter.title.trim() })),
+    checkpoints: sortByTime(checkpoints).map(withoutTempId),
+  }
+}